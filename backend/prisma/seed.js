@@ -123,6 +123,88 @@ async function main() {
     });
   }
 
+  // Create image catalog
+  console.log('📦 Creating image catalog...');
+  const imageTemplates = [
+    {
+      slug: 'ubuntu-22-04',
+      name: 'Ubuntu 22.04 LTS',
+      description: 'Ubuntu Server 22.04 LTS (Jammy Jellyfish)',
+      category: 'OS',
+      dockerImage: 'ubuntu:22.04',
+      defaultCpu: 1,
+      defaultRam: 1024,
+      defaultStorage: 20,
+      sortOrder: 10
+    },
+    {
+      slug: 'debian-12',
+      name: 'Debian 12',
+      description: 'Debian 12 (Bookworm)',
+      category: 'OS',
+      dockerImage: 'debian:12',
+      defaultCpu: 1,
+      defaultRam: 1024,
+      defaultStorage: 20,
+      sortOrder: 20
+    },
+    {
+      slug: 'alpine-3',
+      name: 'Alpine Linux 3',
+      description: 'Minimal Alpine Linux image',
+      category: 'OS',
+      dockerImage: 'alpine:3',
+      defaultCpu: 1,
+      defaultRam: 512,
+      defaultStorage: 10,
+      sortOrder: 30
+    },
+    {
+      slug: 'nodejs-20',
+      name: 'Node.js 20 LTS',
+      description: 'Node.js 20 LTS runtime on Debian',
+      category: 'APPLICATION',
+      dockerImage: 'node:20',
+      defaultCpu: 1,
+      defaultRam: 1024,
+      defaultStorage: 20,
+      minRam: 1024,
+      sortOrder: 110
+    },
+    {
+      slug: 'wordpress',
+      name: 'WordPress',
+      description: 'WordPress with Apache and PHP',
+      category: 'APPLICATION',
+      dockerImage: 'wordpress:latest',
+      defaultCpu: 1,
+      defaultRam: 2048,
+      defaultStorage: 20,
+      minRam: 1024,
+      minStorage: 20,
+      sortOrder: 120
+    },
+    {
+      slug: 'nginx',
+      name: 'Nginx',
+      description: 'Nginx web server on Alpine Linux',
+      category: 'APPLICATION',
+      dockerImage: 'nginx:alpine',
+      defaultCpu: 1,
+      defaultRam: 512,
+      defaultStorage: 10,
+      sortOrder: 130
+    }
+  ];
+
+  for (const template of imageTemplates) {
+    await prisma.imageTemplate.upsert({
+      where: { slug: template.slug },
+      update: template,
+      create: template
+    });
+  }
+
   // Create admin user
   console.log('👤 Creating admin user...');
   const hashedPassword = await bcrypt.hash('admin123!@#', 12);
@@ -229,6 +311,7 @@ async function main() {
 📊 Created:
 - ${systemSettings.length} system settings
 - ${pricingPlans.length} pricing plans
+- ${imageTemplates.length} image templates
 - 1 admin user (admin@saharycloud.com / admin123!@#)
 - 1 demo user (demo@saharycloud.com / demo123)
 - ${solarDataPoints.length} solar data points
@@ -71,6 +71,120 @@ const config = {
     registry: process.env.DOCKER_REGISTRY || 'registry.saharycloud.com',
   },
 
+  // Container runtime configuration
+  runtime: {
+    // docker, or simulator to keep containers in memory (no Docker daemon needed, the default for tests)
+    driver: process.env.RUNTIME_DRIVER || (process.env.NODE_ENV === 'test' ? 'simulator' : 'docker'),
+  },
+
+  // Backup archive configuration
+  backup: {
+    storagePath: process.env.BACKUP_STORAGE_PATH || './backups',
+    maxImportSize: parseInt(process.env.BACKUP_MAX_IMPORT_SIZE) || 20 * 1024 * 1024 * 1024, // 20GB
+    maxImportImageSize: parseInt(process.env.BACKUP_MAX_IMPORT_IMAGE_SIZE, 10) || 50 * 1024 * 1024 * 1024, // 50GB
+  },
+
+  // First boot user-data configuration
+  userData: {
+    timeout: parseInt(process.env.USER_DATA_TIMEOUT) || 30 * 60 * 1000, // 30 minutes
+    maxOutput: parseInt(process.env.USER_DATA_MAX_OUTPUT) || 64 * 1024, // 64KB
+  },
+
+  // SSH access configuration
+  ssh: {
+    containerPort: parseInt(process.env.SSH_CONTAINER_PORT) || 22,
+    maxKeysPerUser: parseInt(process.env.SSH_MAX_KEYS_PER_USER) || 20,
+  },
+
+  // Web terminal configuration
+  terminal: {
+    maxDuration: parseInt(process.env.TERMINAL_MAX_DURATION) || 60 * 60 * 1000, // 1 hour
+    idleTimeout: parseInt(process.env.TERMINAL_IDLE_TIMEOUT) || 15 * 60 * 1000, // 15 minutes
+    keepaliveInterval: parseInt(process.env.TERMINAL_KEEPALIVE_INTERVAL) || 30 * 1000, // 30 seconds
+    maxSessionsPerUser: parseInt(process.env.TERMINAL_MAX_SESSIONS_PER_USER) || 5,
+  },
+
+  // Firewall configuration (security groups)
+  firewall: {
+    enabled: process.env.FIREWALL_ENABLED === 'true',
+    iptablesRestore: process.env.FIREWALL_IPTABLES_RESTORE || 'iptables-restore',
+    iptables: process.env.FIREWALL_IPTABLES || 'iptables',
+    maxGroupsPerVM: parseInt(process.env.FIREWALL_MAX_GROUPS_PER_VM) || 5,
+    maxRulesPerGroup: parseInt(process.env.FIREWALL_MAX_RULES_PER_GROUP) || 50,
+  },
+
+  // Private network configuration
+  privateNetwork: {
+    supernet: process.env.PRIVATE_NETWORK_SUPERNET || '10.200.0.0/16',
+    prefix: parseInt(process.env.PRIVATE_NETWORK_PREFIX) || 24,
+    dnsDomain: process.env.PRIVATE_NETWORK_DNS_DOMAIN || 'internal',
+    maxPerUser: parseInt(process.env.PRIVATE_NETWORK_MAX_PER_USER) || 5,
+    maxPerVM: parseInt(process.env.PRIVATE_NETWORK_MAX_PER_VM) || 4,
+  },
+
+  // Public port forwarding configuration
+  ports: {
+    rangeStart: parseInt(process.env.PORT_POOL_START) || 30000,
+    rangeEnd: parseInt(process.env.PORT_POOL_END) || 32767,
+    bindAddress: process.env.PORT_BIND_ADDRESS || '0.0.0.0',
+    publicHost: process.env.PUBLIC_HOST || 'localhost',
+    maxPerVM: parseInt(process.env.PORT_MAX_PER_VM) || 10,
+  },
+
+  // Block storage volume configuration
+  volumes: {
+    pricePerGBHour: parseFloat(process.env.VOLUME_PRICE_PER_GB_HOUR) || 0.0001,
+    minSize: parseInt(process.env.VOLUME_MIN_SIZE) || 1, // GB
+    maxSize: parseInt(process.env.VOLUME_MAX_SIZE) || 2048, // GB
+    maxPerUser: parseInt(process.env.VOLUME_MAX_PER_USER) || 20,
+    maxPerVM: parseInt(process.env.VOLUME_MAX_PER_VM) || 8,
+    maxSnapshots: parseInt(process.env.VOLUME_MAX_SNAPSHOTS) || 10, // Per volume
+    snapshotPath: process.env.VOLUME_SNAPSHOT_PATH || './volume-snapshots',
+    helperImage: process.env.VOLUME_HELPER_IMAGE || 'busybox:latest',
+  },
+
+  // Asynchronous operation configuration
+  operations: {
+    concurrency: parseInt(process.env.OPERATION_CONCURRENCY) || 2, // Operations running at once
+  },
+
+  // Docker/database reconciliation configuration
+  reconciler: {
+    interval: parseInt(process.env.RECONCILE_INTERVAL) || 5 * 60 * 1000, // 5 minutes
+    gracePeriod: parseInt(process.env.RECONCILE_GRACE_PERIOD) || 2 * 60 * 1000, // VMs changed more recently are skipped
+    autoRepair: process.env.RECONCILE_AUTO_REPAIR !== 'false',
+  },
+
+  // VM health check configuration
+  healthChecks: {
+    interval: parseInt(process.env.HEALTH_MONITOR_INTERVAL) || 10 * 1000, // How often due checks are looked for
+    concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY) || 10, // Checks running at once
+    retentionDays: parseInt(process.env.HEALTH_HISTORY_RETENTION_DAYS) || 7,
+  },
+
+  // VM project, tag and bulk action configuration
+  projects: {
+    maxPerUser: parseInt(process.env.PROJECT_MAX_PER_USER) || 50,
+    maxTagsPerVM: parseInt(process.env.VM_MAX_TAGS) || 50,
+    bulkMaxVMs: parseInt(process.env.BULK_ACTION_MAX_VMS) || 200, // VMs a single bulk action may select
+  },
+
+  // VM environment variable and secret configuration
+  secrets: {
+    // Comma separated "version:base64 key" pairs of 32 byte keys, the highest version encrypts new values
+    masterKeys: process.env.SECRETS_MASTER_KEYS || '',
+    maxPerVM: parseInt(process.env.SECRETS_MAX_PER_VM) || 100,
+    maxValueSize: parseInt(process.env.SECRETS_MAX_VALUE_SIZE) || 32 * 1024, // 32KB
+  },
+
+  // Compute node and VM placement configuration
+  nodes: {
+    localName: process.env.LOCAL_NODE_NAME || 'local', // Node registered for DOCKER_HOST
+    localStorage: parseInt(process.env.LOCAL_NODE_STORAGE) || 500, // GB, Docker does not report it
+    cpuOvercommit: parseFloat(process.env.NODE_CPU_OVERCOMMIT) || 4, // VM cores per node core
+    solarWindow: parseInt(process.env.SCHEDULER_SOLAR_WINDOW) || 60 * 60 * 1000, // Older solar readings are ignored
+  },
+
   // File upload configuration
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
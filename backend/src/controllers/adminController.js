@@ -1,4 +1,13 @@
 const AdminService = require('../services/adminService');
+const QuotaService = require('../services/quotaService');
+const IpamService = require('../services/ipamService');
+const PortService = require('../services/portService');
+const TemplateService = require('../services/templateService');
+const ReconcileService = require('../services/reconcileService');
+const NodeService = require('../services/nodeService');
+const SchedulerService = require('../services/schedulerService');
+const SecretService = require('../services/secretService');
+const reconciler = require('../jobs/reconciler');
 const { prisma } = require('../config/database');
 
 /**
@@ -307,6 +316,699 @@ class AdminController {
         }
     }
 
+    // ==================== Plans & Quotas ====================
+
+    /**
+     * Get all pricing plans
+     */
+    static async getPricingPlans(req, res) {
+        try {
+            const plans = await prisma.pricingPlan.findMany({
+                orderBy: { monthlyPrice: 'asc' },
+                include: {
+                    _count: {
+                        select: { users: true },
+                    },
+                },
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Pricing plans retrieved successfully',
+                data: { plans },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get pricing plans',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Get user quota (plan limits, overrides, usage and headroom)
+     */
+    static async getUserQuota(req, res) {
+        try {
+            const { id } = req.params;
+
+            const quota = await QuotaService.getQuotaReport(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'User quota retrieved successfully',
+                data: { quota },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get user quota',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Assign pricing plan to user
+     */
+    static async assignUserPlan(req, res) {
+        try {
+            const { id } = req.params;
+            const { planId } = req.body;
+
+            const quota = await QuotaService.assignPlan(id, planId, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'User plan updated successfully',
+                data: { quota },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to update user plan',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Set user quota override
+     */
+    static async setUserQuota(req, res) {
+        try {
+            const { id } = req.params;
+
+            const quota = await QuotaService.setOverride(id, req.body, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'User quota override saved successfully',
+                data: { quota },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to save user quota override',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Remove user quota override
+     */
+    static async clearUserQuota(req, res) {
+        try {
+            const { id } = req.params;
+
+            const quota = await QuotaService.clearOverride(id, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'User quota override removed successfully',
+                data: { quota },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to remove user quota override',
+                message: error.message,
+            });
+        }
+    }
+
+    // ==================== IP Address Management ====================
+
+    /**
+     * Get IP pools with utilization
+     */
+    static async getIpPools(req, res) {
+        try {
+            const pools = await IpamService.getPools();
+
+            res.status(200).json({
+                success: true,
+                message: 'IP pools retrieved successfully',
+                data: { pools },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get IP pools',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Create IP pool
+     */
+    static async createIpPool(req, res) {
+        try {
+            const pool = await IpamService.createPool(req.body, req.user.userId);
+
+            res.status(201).json({
+                success: true,
+                message: 'IP pool created successfully',
+                data: { pool },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to create IP pool',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Get IP pool with utilization
+     */
+    static async getIpPool(req, res) {
+        try {
+            const { id } = req.params;
+
+            const pool = await IpamService.getPoolById(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'IP pool retrieved successfully',
+                data: { pool },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get IP pool',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Update IP pool
+     */
+    static async updateIpPool(req, res) {
+        try {
+            const { id } = req.params;
+
+            const pool = await IpamService.updatePool(id, req.body, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'IP pool updated successfully',
+                data: { pool },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to update IP pool',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Delete IP pool
+     */
+    static async deleteIpPool(req, res) {
+        try {
+            const { id } = req.params;
+
+            await IpamService.deletePool(id, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'IP pool deleted successfully',
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to delete IP pool',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Get IP pool leases
+     */
+    static async getIpPoolLeases(req, res) {
+        try {
+            const { id } = req.params;
+            const { page, limit, type } = req.query;
+
+            const result = await IpamService.getPoolLeases(id, { page, limit, type });
+
+            res.status(200).json({
+                success: true,
+                message: 'IP leases retrieved successfully',
+                data: result,
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get IP leases',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Reserve IP address in pool
+     */
+    static async reserveIpAddress(req, res) {
+        try {
+            const { id } = req.params;
+            const { address, note } = req.body;
+
+            const lease = await IpamService.reserveAddress(id, address, note, req.user.userId);
+
+            res.status(201).json({
+                success: true,
+                message: 'IP address reserved successfully',
+                data: { lease },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to reserve IP address',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Release IP address reservation
+     */
+    static async releaseIpReservation(req, res) {
+        try {
+            const { leaseId } = req.params;
+
+            await IpamService.releaseReservation(leaseId, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'IP reservation released successfully',
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to release IP reservation',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Get the public port pool with its leases
+     */
+    static async getPortPool(req, res) {
+        try {
+            const { page, limit, protocol } = req.query;
+
+            const result = await PortService.getPool({ page, limit, protocol });
+
+            res.status(200).json({
+                success: true,
+                message: 'Port pool retrieved successfully',
+                data: result,
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get port pool',
+                message: error.message,
+            });
+        }
+    }
+
+    // ==================== Image Catalog ====================
+
+    /**
+     * Get all catalog templates, including inactive ones
+     */
+    static async getTemplates(req, res) {
+        try {
+            const templates = await TemplateService.getTemplates({ includeInactive: true });
+
+            res.status(200).json({
+                success: true,
+                message: 'Templates retrieved successfully',
+                data: { templates },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get templates',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Get catalog template
+     */
+    static async getTemplate(req, res) {
+        try {
+            const { id } = req.params;
+
+            const template = await TemplateService.getTemplateById(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template retrieved successfully',
+                data: { template },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get template',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Create catalog template
+     */
+    static async createTemplate(req, res) {
+        try {
+            const template = await TemplateService.createTemplate(req.body, req.user.userId);
+
+            res.status(201).json({
+                success: true,
+                message: 'Template created successfully',
+                data: { template },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to create template',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Update catalog template
+     */
+    static async updateTemplate(req, res) {
+        try {
+            const { id } = req.params;
+
+            const template = await TemplateService.updateTemplate(id, req.body, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template updated successfully',
+                data: { template },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to update template',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Delete catalog template
+     */
+    static async deleteTemplate(req, res) {
+        try {
+            const { id } = req.params;
+
+            await TemplateService.deleteTemplate(id, req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template deleted successfully',
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to delete template',
+                message: error.message,
+            });
+        }
+    }
+
+    // ==================== Reconciliation ====================
+
+    /**
+     * Get the last reconciliation report with the reconciler status
+     */
+    static async getReconciliationReport(req, res) {
+        try {
+            res.status(200).json({
+                success: true,
+                message: 'Reconciliation report retrieved successfully',
+                data: {
+                    report: ReconcileService.getLastReport(),
+                    reconciler: reconciler.getStatus(),
+                },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get reconciliation report',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Run a reconciliation now
+     */
+    static async runReconciliation(req, res) {
+        try {
+            const { repair } = req.body;
+
+            const report = await ReconcileService.reconcile({ repair });
+
+            res.status(200).json({
+                success: true,
+                message: 'Reconciliation completed successfully',
+                data: { report },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Reconciliation failed',
+                message: error.message,
+            });
+        }
+    }
+
+    // ==================== Compute Nodes ====================
+
+    /**
+     * Get compute nodes with their allocated and free resources
+     */
+    static async getNodes(req, res) {
+        try {
+            const nodes = await NodeService.listNodes();
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute nodes retrieved successfully',
+                data: { nodes },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get compute nodes',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Register a Docker endpoint as compute node
+     */
+    static async registerNode(req, res) {
+        try {
+            const node = await NodeService.registerNode(req.user.userId, req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Compute node registered successfully',
+                data: { node },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to register compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Get compute node with its VMs
+     */
+    static async getNode(req, res) {
+        try {
+            const { id } = req.params;
+
+            const node = await NodeService.getNode(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute node retrieved successfully',
+                data: { node },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to get compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Update compute node
+     */
+    static async updateNode(req, res) {
+        try {
+            const { id } = req.params;
+
+            const node = await NodeService.updateNode(req.user.userId, id, req.body);
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute node updated successfully',
+                data: { node },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to update compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Remove compute node without VMs
+     */
+    static async removeNode(req, res) {
+        try {
+            const { id } = req.params;
+
+            await NodeService.removeNode(req.user.userId, id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute node removed successfully',
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to remove compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Cordon compute node, no new VMs are placed on it
+     */
+    static async cordonNode(req, res) {
+        try {
+            const { id } = req.params;
+
+            const node = await NodeService.setStatus(req.user.userId, id, 'CORDONED');
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute node cordoned successfully',
+                data: { node },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to cordon compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Uncordon compute node, VMs are placed on it again
+     */
+    static async uncordonNode(req, res) {
+        try {
+            const { id } = req.params;
+
+            const node = await NodeService.setStatus(req.user.userId, id, 'ACTIVE');
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute node uncordoned successfully',
+                data: { node },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to uncordon compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Drain compute node, moving the VMs that can be moved
+     */
+    static async drainNode(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await SchedulerService.drainNode(req.user.userId, id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Compute node drained successfully',
+                data: result,
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to drain compute node',
+                message: error.message,
+            });
+        }
+    }
+
+    // ==================== Secrets ====================
+
+    /**
+     * Re-encrypt VM secrets with the newest master key
+     */
+    static async rotateSecretKeys(req, res) {
+        try {
+            const report = await SecretService.rotateKeys(req.user.userId);
+
+            res.status(200).json({
+                success: true,
+                message: report.failed.length > 0
+                    ? `Secret keys rotated, ${report.failed.length} value(s) could not be re-encrypted`
+                    : 'Secret keys rotated successfully',
+                data: { report },
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Failed to rotate secret keys',
+                message: error.message,
+            });
+        }
+    }
+
     // ==================== Analytics ====================
 
     /**
@@ -297,7 +297,8 @@ class DockerController {
     try {
       const { networkName = 'sahary-network' } = req.body;
 
-      const network = await dockerService.createNetwork(networkName);
+      // Shared by all users' VMs, which must not reach each other through it
+      const network = await dockerService.createNetwork(networkName, { isolated: true });
 
       res.json({
         success: true,
@@ -0,0 +1,130 @@
+const NetworkService = require('../services/networkService');
+
+/**
+ * Network Controller
+ * Handles HTTP requests for private networks
+ */
+class NetworkController {
+  /**
+   * Get current user's private networks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getNetworks(req, res) {
+    try {
+      const networks = await NetworkService.getNetworks(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Networks retrieved successfully',
+        data: { networks },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get networks',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a private network with its VMs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getNetwork(req, res) {
+    try {
+      const network = await NetworkService.getNetwork(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Network retrieved successfully',
+        data: { network },
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: 'Network not found',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a private network
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createNetwork(req, res) {
+    try {
+      const { name, description, cidr } = req.body;
+
+      const network = await NetworkService.createNetwork(req.user.userId, { name, description, cidr });
+
+      res.status(201).json({
+        success: true,
+        message: 'Network created successfully',
+        data: { network },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create network',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update a private network
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateNetwork(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const network = await NetworkService.updateNetwork(req.params.id, req.user.userId, {
+        name,
+        description,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Network updated successfully',
+        data: { network },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to update network',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a private network
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteNetwork(req, res) {
+    try {
+      await NetworkService.deleteNetwork(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Network deleted successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete network',
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = NetworkController;
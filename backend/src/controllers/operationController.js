@@ -0,0 +1,89 @@
+const OperationService = require('../services/operationService');
+
+/**
+ * Operation Controller
+ * Handles HTTP requests for asynchronous operations
+ */
+class OperationController {
+  /**
+   * Get current user's operations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getOperations(req, res) {
+    try {
+      const { page, limit, status, type } = req.query;
+
+      const result = await OperationService.getOperations(
+        { userId: req.user.userId },
+        { page, limit, status, type },
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Operations retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get operations',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get an operation with its progress
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getOperation(req, res) {
+    try {
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const operation = await OperationService.getOperation(req.params.id, isAdmin ? null : req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Operation retrieved successfully',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: 'Operation not found',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cancel an operation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async cancelOperation(req, res) {
+    try {
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const operation = await OperationService.cancelOperation(req.params.id, isAdmin ? null : req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: operation.status === 'CANCELLED'
+          ? 'Operation cancelled successfully'
+          : 'Operation cancellation requested',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Operation cancellation failed',
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = OperationController;
@@ -0,0 +1,130 @@
+const ProjectService = require('../services/projectService');
+
+/**
+ * Project Controller
+ * Handles HTTP requests for projects
+ */
+class ProjectController {
+  /**
+   * Get current user's projects
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getProjects(req, res) {
+    try {
+      const projects = await ProjectService.getProjects(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Projects retrieved successfully',
+        data: { projects },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get projects',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a project with its VMs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getProject(req, res) {
+    try {
+      const project = await ProjectService.getProject(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Project retrieved successfully',
+        data: { project },
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: 'Project not found',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createProject(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const project = await ProjectService.createProject(req.user.userId, { name, description });
+
+      res.status(201).json({
+        success: true,
+        message: 'Project created successfully',
+        data: { project },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create project',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateProject(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const project = await ProjectService.updateProject(req.params.id, req.user.userId, {
+        name,
+        description,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Project updated successfully',
+        data: { project },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to update project',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a project
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteProject(req, res) {
+    try {
+      await ProjectService.deleteProject(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Project deleted successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete project',
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = ProjectController;
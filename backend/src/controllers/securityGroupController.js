@@ -0,0 +1,131 @@
+const SecurityGroupService = require('../services/securityGroupService');
+
+/**
+ * Security Group Controller
+ * Handles HTTP requests for VM firewall security groups
+ */
+class SecurityGroupController {
+  /**
+   * Get current user's security groups
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getGroups(req, res) {
+    try {
+      const groups = await SecurityGroupService.getGroups(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Security groups retrieved successfully',
+        data: { groups },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get security groups',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a security group with its rules and VMs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getGroup(req, res) {
+    try {
+      const group = await SecurityGroupService.getGroup(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Security group retrieved successfully',
+        data: { group },
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: 'Security group not found',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a security group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createGroup(req, res) {
+    try {
+      const { name, description, rules } = req.body;
+
+      const group = await SecurityGroupService.createGroup(req.user.userId, { name, description, rules });
+
+      res.status(201).json({
+        success: true,
+        message: 'Security group created successfully',
+        data: { group },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create security group',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update a security group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateGroup(req, res) {
+    try {
+      const { name, description, rules } = req.body;
+
+      const group = await SecurityGroupService.updateGroup(req.params.id, req.user.userId, {
+        name,
+        description,
+        rules,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Security group updated successfully',
+        data: { group },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to update security group',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a security group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteGroup(req, res) {
+    try {
+      await SecurityGroupService.deleteGroup(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Security group deleted successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete security group',
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = SecurityGroupController;
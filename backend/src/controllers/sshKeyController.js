@@ -0,0 +1,130 @@
+const SshKeyService = require('../services/sshKeyService');
+
+/**
+ * SSH Key Controller
+ * Handles HTTP requests for user SSH public keys
+ */
+class SshKeyController {
+  /**
+   * Get current user's SSH keys
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getKeys(req, res) {
+    try {
+      const keys = await SshKeyService.getKeys(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'SSH keys retrieved successfully',
+        data: { keys },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get SSH keys',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get an SSH key with the VMs using it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getKey(req, res) {
+    try {
+      const key = await SshKeyService.getKey(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'SSH key retrieved successfully',
+        data: { key },
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: 'SSH key not found',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Add an SSH public key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createKey(req, res) {
+    try {
+      const { name, publicKey } = req.body;
+
+      const key = await SshKeyService.createKey(req.user.userId, { name, publicKey });
+
+      res.status(201).json({
+        success: true,
+        message: 'SSH key added successfully',
+        data: { key },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to add SSH key',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Rename an SSH key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateKey(req, res) {
+    try {
+      const key = await SshKeyService.updateKey(req.params.id, req.user.userId, {
+        name: req.body.name,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'SSH key updated successfully',
+        data: { key },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to update SSH key',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete an SSH key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteKey(req, res) {
+    try {
+      const report = await SshKeyService.deleteKey(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: report.failed.length > 0
+          ? `SSH key deleted, it could not be removed from ${report.failed.length} running VM(s)`
+          : 'SSH key deleted successfully',
+        data: { report },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete SSH key',
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = SshKeyController;
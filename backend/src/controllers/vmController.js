@@ -1,5 +1,16 @@
 const VMService = require('../services/vmService');
-const { prisma } = require('../config/database');
+const BackupPolicyService = require('../services/backupPolicyService');
+const HealthCheckService = require('../services/healthCheckService');
+const BackupArchiveService = require('../services/backupArchiveService');
+const BackupChainService = require('../services/backupChainService');
+const MigrationService = require('../services/migrationService');
+const TemplateService = require('../services/templateService');
+const UserDataService = require('../services/userDataService');
+const SecretService = require('../services/secretService');
+const TagService = require('../services/tagService');
+const BulkActionService = require('../services/bulkActionService');
+const LogStreamService = require('../services/logStreamService');
+const config = require('../config');
 
 /**
  * Virtual Machine Controller
@@ -14,7 +25,47 @@ class VMController {
   static async createVM(req, res) {
     try {
       const userId = req.user.userId;
-      const { name, description, cpu, ram, storage, bandwidth, dockerImage } = req.body;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+      const {
+        name,
+        description,
+        cpu,
+        ram,
+        storage,
+        bandwidth,
+        dockerImage,
+        userData,
+        sshKeyIds,
+        securityGroupIds,
+        networkIds,
+        ports,
+        placement,
+        projectId,
+        tags,
+      } = req.body;
+      let { templateId } = req.body;
+
+      // Users describe where the VM should run, only admins choose the node
+      if (placement && placement.nodeId && !isAdmin) {
+        return res.status(400).json({
+          success: false,
+          error: 'VM creation failed',
+          message: 'Only admins can place VMs on a specific compute node',
+        });
+      }
+
+      // Users pick images from the catalog, admins may use any image
+      if (!templateId && dockerImage && !isAdmin) {
+        const template = await TemplateService.findTemplateByImage(dockerImage);
+        if (!template) {
+          return res.status(400).json({
+            success: false,
+            error: 'VM creation failed',
+            message: `Image ${dockerImage} is not in the image catalog`,
+          });
+        }
+        templateId = template.id;
+      }
 
       const vm = await VMService.createVM(userId, {
         name,
@@ -24,6 +75,15 @@ class VMController {
         storage,
         bandwidth,
         dockerImage,
+        templateId,
+        userData,
+        sshKeyIds,
+        securityGroupIds,
+        networkIds,
+        ports,
+        placement,
+        projectId,
+        tags,
       });
 
       res.status(201).json({
@@ -40,6 +100,31 @@ class VMController {
     }
   }
 
+  /**
+   * Get image catalog templates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTemplates(req, res) {
+    try {
+      const { category } = req.query;
+
+      const templates = await TemplateService.getTemplates({ category });
+
+      res.json({
+        success: true,
+        message: 'Templates retrieved successfully',
+        data: { templates },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get templates',
+        message: error.message,
+      });
+    }
+  }
+
   /**
    * Get user's VMs
    * @param {Object} req - Express request object
@@ -48,13 +133,15 @@ class VMController {
   static async getUserVMs(req, res) {
     try {
       const userId = req.user.userId;
-      const { page, limit, status, search, sortBy, sortOrder } = req.query;
+      const { page, limit, status, search, projectId, tag, sortBy, sortOrder } = req.query;
 
       const result = await VMService.getUserVMs(userId, {
         page,
         limit,
         status,
         search,
+        projectId,
+        tags: TagService.parseSelectors(tag),
         sortBy,
         sortOrder,
       });
@@ -119,7 +206,7 @@ class VMController {
       const { id } = req.params;
       const userId = req.user.userId;
       const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
-      const { name, description, cpu, ram, storage, bandwidth } = req.body;
+      const { name, description, cpu, ram, storage, bandwidth, projectId } = req.body;
 
       // For admin users, allow updating any VM
       const targetUserId = isAdmin ? null : userId;
@@ -131,6 +218,7 @@ class VMController {
         ram,
         storage,
         bandwidth,
+        projectId,
       });
 
       res.status(200).json({
@@ -139,7 +227,7 @@ class VMController {
         data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         error: 'VM update failed',
         message: error.message,
@@ -148,569 +236,1497 @@ class VMController {
   }
 
   /**
-   * Delete VM
+   * Resize VM
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async deleteVM(req, res) {
+  static async resizeVM(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
       const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+      const { cpu, ram, storage } = req.body;
 
-      // For admin users, allow deleting any VM
+      // For admin users, allow resizing any VM
       const targetUserId = isAdmin ? null : userId;
 
-      await VMService.deleteVM(id, targetUserId || userId);
+      const vm = await VMService.resizeVM(id, targetUserId || userId, { cpu, ram, storage });
 
       res.status(200).json({
         success: true,
-        message: 'VM deleted successfully',
+        message: 'VM resized successfully',
+        data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'VM deletion failed',
+        error: 'VM resize failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Start VM
+   * Clone VM
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async startVM(req, res) {
+  static async cloneVM(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
       const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      // For admin users, allow starting any VM
+      // For admin users, allow cloning any VM
       const targetUserId = isAdmin ? null : userId;
 
-      const vm = await VMService.startVM(id, targetUserId || userId);
+      const vm = await VMService.cloneVM(id, targetUserId || userId, req.body);
 
-      res.status(200).json({
+      res.status(201).json({
         success: true,
-        message: 'VM start initiated successfully',
+        message: 'VM cloned successfully',
         data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'VM start failed',
+        error: 'VM clone failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Stop VM
+   * Set VM security groups
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async stopVM(req, res) {
+  static async setSecurityGroups(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
       const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      // For admin users, allow stopping any VM
+      // For admin users, allow updating any VM
       const targetUserId = isAdmin ? null : userId;
 
-      const vm = await VMService.stopVM(id, targetUserId || userId);
+      const vm = await VMService.setSecurityGroups(id, targetUserId || userId, req.body.securityGroupIds);
 
       res.status(200).json({
         success: true,
-        message: 'VM stop initiated successfully',
+        message: 'VM security groups updated successfully',
         data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'VM stop failed',
+        error: 'VM security groups update failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Restart VM
+   * Replace or merge VM tags
+   * PUT replaces all tags, PATCH merges and removes tags set to null
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async restartVM(req, res) {
+  static async setTags(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
       const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      // For admin users, allow restarting any VM
+      // For admin users, allow updating any VM
       const targetUserId = isAdmin ? null : userId;
 
-      const vm = await VMService.restartVM(id, targetUserId || userId);
+      const vm = await VMService.setTags(id, targetUserId || userId, req.body.tags, {
+        merge: req.method === 'PATCH',
+      });
 
       res.status(200).json({
         success: true,
-        message: 'VM restart initiated successfully',
+        message: 'VM tags updated successfully',
         data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'VM restart failed',
+        error: 'VM tags update failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Get user resource usage
+   * Run an action on the VMs of a project or tag selector
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getUserResourceUsage(req, res) {
+  static async bulkAction(req, res) {
     try {
       const userId = req.user.userId;
-
-      const [usage, limits] = await Promise.all([
-        VMService.getUserResourceUsage(userId),
-        VMService.getUserResourceLimits(userId),
-      ]);
-
-      // Calculate usage percentages
-      const usagePercentages = {
-        cpu: limits.cpu > 0 ? (usage.cpu / limits.cpu) * 100 : 0,
-        ram: limits.ram > 0 ? (usage.ram / limits.ram) * 100 : 0,
-        storage: limits.storage > 0 ? (usage.storage / limits.storage) * 100 : 0,
-        bandwidth: limits.bandwidth > 0 ? (usage.bandwidth / limits.bandwidth) * 100 : 0,
-      };
+      const { action, selector, dryRun, backupName, backupType } = req.body;
+
+      const report = await BulkActionService.runBulkAction(userId, {
+        action,
+        selector: {
+          projectId: selector.projectId,
+          tags: TagService.parseSelectors(selector.tags),
+          status: selector.status,
+        },
+        dryRun,
+        backupName,
+        backupType,
+      });
 
       res.status(200).json({
         success: true,
-        message: 'Resource usage retrieved successfully',
-        data: {
-          usage,
-          limits,
-          usagePercentages,
-          available: {
-            cpu: limits.cpu - usage.cpu,
-            ram: limits.ram - usage.ram,
-            storage: limits.storage - usage.storage,
-            bandwidth: limits.bandwidth - usage.bandwidth,
-          },
-        },
+        message: dryRun
+          ? `Bulk ${action} would apply to ${report.summary.READY || 0} of ${report.total} VMs`
+          : `Bulk ${action} processed ${report.total} VMs`,
+        data: report,
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        error: 'Failed to get resource usage',
+        error: 'Bulk action failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Get VM statistics
+   * Attach VM to a private network
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getVMStatistics(req, res) {
+  static async attachNetwork(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
       const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
-      const { startDate, endDate, granularity } = req.query;
 
-      // For admin users, allow accessing any VM stats
+      // For admin users, allow updating any VM
       const targetUserId = isAdmin ? null : userId;
 
-      const stats = await VMService.getVMStatistics(id, targetUserId || userId, {
-        startDate,
-        endDate,
-        granularity,
-      });
+      const vm = await VMService.attachNetwork(id, targetUserId || userId, req.body.networkId);
 
       res.status(200).json({
         success: true,
-        message: 'VM statistics retrieved successfully',
-        data: stats,
+        message: 'VM attached to network successfully',
+        data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'Failed to get VM statistics',
+        error: 'Network attach failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Get all VMs (admin only)
+   * Detach VM from a private network
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getAllVMs(req, res) {
+  static async detachNetwork(req, res) {
     try {
-      const { page, limit, status, userId, search, sortBy, sortOrder } = req.query;
+      const { id, networkId } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      const result = await VMService.getAllVMs({
-        page,
-        limit,
-        status,
-        userId,
-        search,
-        sortBy,
-        sortOrder,
-      });
+      // For admin users, allow updating any VM
+      const targetUserId = isAdmin ? null : userId;
+
+      const vm = await VMService.detachNetwork(id, targetUserId || userId, networkId);
 
       res.status(200).json({
         success: true,
-        message: 'All VMs retrieved successfully',
-        data: result.data,
-        pagination: result.pagination,
+        message: 'VM detached from network successfully',
+        data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'Failed to get all VMs',
+        error: 'Network detach failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Get system resource statistics (admin only)
+   * Attach a volume to a VM
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getSystemStats(req, res) {
+  static async attachVolume(req, res) {
     try {
-      const stats = await VMService.getSystemResourceStats();
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      // For admin users, allow updating any VM
+      const targetUserId = isAdmin ? null : userId;
+
+      const { volumeId, mountPath } = req.body;
+      const vm = await VMService.attachVolume(id, targetUserId || userId, { volumeId, mountPath });
 
       res.status(200).json({
         success: true,
-        message: 'System statistics retrieved successfully',
-        data: stats,
+        message: 'Volume attached successfully',
+        data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'Failed to get system statistics',
+        error: 'Volume attach failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Suspend VM (admin only)
+   * Detach a volume from a VM
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async suspendVM(req, res) {
+  static async detachVolume(req, res) {
     try {
-      const { id } = req.params;
-      const { reason } = req.body;
-
-      // Get VM first
-      const vm = await VMService.getVMById(id);
-      if (!vm) {
-        return res.status(404).json({
-          success: false,
-          error: 'VM not found',
-          message: 'VM not found',
-        });
-      }
+      const { id, volumeId } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      // Update VM status to SUSPENDED
-      await prisma.virtualMachine.update({
-        where: { id },
-        data: { status: 'SUSPENDED' },
-      });
+      // For admin users, allow updating any VM
+      const targetUserId = isAdmin ? null : userId;
 
-      // Log suspension
-      await VMService.logVMEvent(req.user.userId, 'VM_SUSPENDED', id, {
-        vmName: vm.name,
-        reason: reason || 'Administrative action',
-        suspendedBy: req.user.email,
-      });
+      const vm = await VMService.detachVolume(id, targetUserId || userId, volumeId);
 
       res.status(200).json({
         success: true,
-        message: 'VM suspended successfully',
+        message: 'Volume detached successfully',
+        data: { vm },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'VM suspension failed',
+        error: 'Volume detach failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Resume VM (admin only)
+   * Get VM public ports
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async resumeVM(req, res) {
+  static async getPorts(req, res) {
     try {
       const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const vm = await VMService.getVMById(id, isAdmin ? null : userId);
 
-      // Get VM first
-      const vm = await VMService.getVMById(id);
       if (!vm) {
         return res.status(404).json({
           success: false,
           error: 'VM not found',
-          message: 'VM not found',
-        });
-      }
-
-      if (vm.status !== 'SUSPENDED') {
-        return res.status(400).json({
-          success: false,
-          error: 'VM not suspended',
-          message: 'VM is not in suspended state',
+          message: 'VM not found or access denied',
         });
       }
 
-      // Update VM status to STOPPED (user can then start it)
-      await prisma.virtualMachine.update({
-        where: { id },
-        data: { status: 'STOPPED' },
-      });
-
-      // Log resumption
-      await VMService.logVMEvent(req.user.userId, 'VM_RESUMED', id, {
-        vmName: vm.name,
-        resumedBy: req.user.email,
-      });
-
       res.status(200).json({
         success: true,
-        message: 'VM resumed successfully',
+        message: 'Ports retrieved successfully',
+        data: { ports: vm.portLeases },
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        error: 'VM resumption failed',
+        error: 'Failed to get ports',
         message: error.message,
       });
     }
   }
 
   /**
-   * Get VM pricing estimate
+   * Forward a public port to a VM
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getVMPricingEstimate(req, res) {
+  static async openPort(req, res) {
     try {
-      const { cpu, ram, storage, bandwidth, duration } = req.body;
-
-      // Validate resources
-      const ValidationHelpers = require('../utils/validation.helpers');
-      const resourceValidation = ValidationHelpers.validateVMResources({
-        cpu,
-        ram,
-        storage,
-        bandwidth: bandwidth || 1000,
-      });
-
-      if (!resourceValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid resources',
-          message: resourceValidation.errors.join(', '),
-        });
-      }
-
-      // Calculate pricing
-      const hourlyRate = ValidationHelpers.calculateVMCost({
-        cpu,
-        ram,
-        storage,
-        bandwidth: bandwidth || 1000,
-      });
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      const estimates = {
-        hourly: hourlyRate,
-        daily: hourlyRate * 24,
-        weekly: hourlyRate * 24 * 7,
-        monthly: hourlyRate * 24 * 30,
-        yearly: hourlyRate * 24 * 365,
-      };
+      // For admin users, allow updating any VM
+      const targetUserId = isAdmin ? null : userId;
 
-      if (duration) {
-        estimates.custom = hourlyRate * duration;
-      }
+      const port = await VMService.openPort(id, targetUserId || userId, req.body);
 
-      res.status(200).json({
+      res.status(201).json({
         success: true,
-        message: 'Pricing estimate calculated successfully',
-        data: {
-          resources: { cpu, ram, storage, bandwidth: bandwidth || 1000 },
-          estimates,
-          currency: 'USD',
-          warnings: resourceValidation.warnings || [],
-        },
+        message: 'Port opened successfully',
+        data: { port },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'Pricing calculation failed',
+        error: 'Port open failed',
         message: error.message,
       });
     }
   }
+
   /**
-   * Get VM container status
+   * Close a VM public port
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getVMContainerStatus(req, res) {
+  static async closePort(req, res) {
     try {
+      const { id, portId } = req.params;
       const userId = req.user.userId;
-      const { vmId } = req.params;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      const containerStatus = await VMService.getVMContainerStatus(vmId, userId);
+      // For admin users, allow updating any VM
+      const targetUserId = isAdmin ? null : userId;
 
-      res.json({
+      await VMService.closePort(id, targetUserId || userId, portId);
+
+      res.status(200).json({
         success: true,
-        data: containerStatus,
+        message: 'Port closed successfully',
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: 'Failed to get VM container status',
+        error: 'Port close failed',
         message: error.message,
       });
     }
   }
 
   /**
-   * Get VM container logs
+   * Delete VM
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getVMContainerLogs(req, res) {
+  static async deleteVM(req, res) {
     try {
+      const { id } = req.params;
       const userId = req.user.userId;
-      const { vmId } = req.params;
-      const { tail = 100, since, until, timestamps = true } = req.query;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      const logs = await VMService.getVMContainerLogs(vmId, userId, {
-        tail: parseInt(tail),
-        since,
-        until,
-        timestamps: timestamps === 'true',
-      });
+      // For admin users, allow deleting any VM
+      const targetUserId = isAdmin ? null : userId;
 
-      res.json({
+      await VMService.deleteVM(id, targetUserId || userId);
+
+      res.status(200).json({
         success: true,
-        data: logs,
+        message: 'VM deleted successfully',
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM deletion failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Start VM
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async startVM(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      // For admin users, allow starting any VM
+      const targetUserId = isAdmin ? null : userId;
+
+      const operation = await VMService.requestStart(id, targetUserId || userId);
+
+      res.status(202).json({
+        success: true,
+        message: 'VM start initiated successfully',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM start failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stop VM
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async stopVM(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      // For admin users, allow stopping any VM
+      const targetUserId = isAdmin ? null : userId;
+
+      const operation = await VMService.requestStop(id, targetUserId || userId);
+
+      res.status(202).json({
+        success: true,
+        message: 'VM stop initiated successfully',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM stop failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Restart VM
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restartVM(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      // For admin users, allow restarting any VM
+      const targetUserId = isAdmin ? null : userId;
+
+      const operation = await VMService.requestRestart(id, targetUserId || userId);
+
+      res.status(202).json({
+        success: true,
+        message: 'VM restart initiated successfully',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM restart failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM operation history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVMOperations(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+      const { page, limit, status, type } = req.query;
+
+      const targetUserId = isAdmin ? null : userId;
+
+      const result = await VMService.getVMOperations(id, targetUserId || userId, { page, limit, status, type });
+
+      res.status(200).json({
+        success: true,
+        message: 'VM operations retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get VM operations',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM status change history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVMStateHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+      const { page, limit } = req.query;
+
+      const targetUserId = isAdmin ? null : userId;
+
+      const result = await VMService.getVMStateHistory(id, targetUserId || userId, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'VM state history retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get VM state history',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get user resource usage against plan limits
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUserResourceUsage(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const report = await VMService.getUserQuotaReport(userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Resource usage retrieved successfully',
+        data: {
+          plan: report.plan,
+          override: report.override,
+          usage: report.usage,
+          limits: report.limits,
+          usagePercentages: report.usagePercentages,
+          headroom: report.headroom,
+          available: report.headroom,
+        },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get resource usage',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM statistics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVMStatistics(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+      const { startDate, endDate, granularity } = req.query;
+
+      // For admin users, allow accessing any VM stats
+      const targetUserId = isAdmin ? null : userId;
+
+      const stats = await VMService.getVMStatistics(id, targetUserId || userId, {
+        startDate,
+        endDate,
+        granularity,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'VM statistics retrieved successfully',
+        data: stats,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get VM statistics',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get all VMs (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllVMs(req, res) {
+    try {
+      const { page, limit, status, userId, search, sortBy, sortOrder } = req.query;
+
+      const result = await VMService.getAllVMs({
+        page,
+        limit,
+        status,
+        userId,
+        search,
+        sortBy,
+        sortOrder,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'All VMs retrieved successfully',
+        data: result.data,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get all VMs',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get system resource statistics (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSystemStats(req, res) {
+    try {
+      const stats = await VMService.getSystemResourceStats();
+
+      res.status(200).json({
+        success: true,
+        message: 'System statistics retrieved successfully',
+        data: stats,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get system statistics',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Suspend VM (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async suspendVM(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const vm = await VMService.suspendVM(id, req.user.userId, reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'VM suspended successfully',
+        data: { vm },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM suspension failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Move VM to another compute node (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async migrateVM(req, res) {
+    try {
+      const { id } = req.params;
+      const { nodeId } = req.body;
+
+      const operation = await MigrationService.requestMigration(id, req.user.userId, nodeId);
+
+      res.status(202).json({
+        success: true,
+        message: 'VM migration initiated successfully',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM migration failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Resume VM (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resumeVM(req, res) {
+    try {
+      const { id } = req.params;
+
+      const vm = await VMService.resumeVM(id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'VM resumed successfully',
+        data: { vm },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'VM resumption failed',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM pricing estimate
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVMPricingEstimate(req, res) {
+    try {
+      const { cpu, ram, storage, bandwidth, duration } = req.body;
+
+      // Validate resources
+      const ValidationHelpers = require('../utils/validation.helpers');
+      const resourceValidation = ValidationHelpers.validateVMResources({
+        cpu,
+        ram,
+        storage,
+        bandwidth: bandwidth || 1000,
+      });
+
+      if (!resourceValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid resources',
+          message: resourceValidation.errors.join(', '),
+        });
+      }
+
+      // Calculate pricing
+      const hourlyRate = ValidationHelpers.calculateVMCost({
+        cpu,
+        ram,
+        storage,
+        bandwidth: bandwidth || 1000,
+      });
+
+      const estimates = {
+        hourly: hourlyRate,
+        daily: hourlyRate * 24,
+        weekly: hourlyRate * 24 * 7,
+        monthly: hourlyRate * 24 * 30,
+        yearly: hourlyRate * 24 * 365,
+      };
+
+      if (duration) {
+        estimates.custom = hourlyRate * duration;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Pricing estimate calculated successfully',
+        data: {
+          resources: { cpu, ram, storage, bandwidth: bandwidth || 1000 },
+          estimates,
+          currency: 'USD',
+          warnings: resourceValidation.warnings || [],
+        },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Pricing calculation failed',
+        message: error.message,
+      });
+    }
+  }
+  /**
+   * Get VM container status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVMContainerStatus(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { vmId } = req.params;
+
+      const containerStatus = await VMService.getVMContainerStatus(vmId, userId);
+
+      res.json({
+        success: true,
+        data: containerStatus,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get VM container status',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM container logs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVMContainerLogs(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { vmId } = req.params;
+      const { tail = 100, since, until, timestamps = true } = req.query;
+
+      const logs = await VMService.getVMContainerLogs(vmId, userId, {
+        tail: parseInt(tail),
+        since,
+        until,
+        timestamps: timestamps === 'true',
+      });
+
+      res.json({
+        success: true,
+        data: logs,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get VM container logs',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Follow VM container logs as Server-Sent Events
+   * Sends `log` events ({ stream, timestamp, message }) and an `end` event when the VM stops
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async streamVMContainerLogs(req, res) {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+    const { tail, since, stream, grep } = req.query;
+
+    let logStream;
+    try {
+      logStream = await LogStreamService.follow(id, isAdmin ? null : userId, {
+        tail,
+        since,
+        stream,
+        grep,
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Failed to stream VM container logs',
+        message: error.message,
+      });
+    }
+
+    // no-transform keeps the compression middleware from buffering events
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Comments keep proxies from closing quiet streams
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      logStream.close();
+    });
+
+    let paused = false;
+    logStream.start({
+      onLog: (entry) => {
+        // Stop reading Docker logs until the client catches up
+        if (!send('log', entry) && !paused) {
+          paused = true;
+          logStream.pause();
+          res.once('drain', () => {
+            paused = false;
+            logStream.resume();
+          });
+        }
+      },
+      onEnd: (reason) => {
+        clearInterval(keepalive);
+        send('end', { reason });
+        res.end();
+      },
+    });
+  }
+
+  /**
+   * Get VM first boot user-data and its execution status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUserData(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const userData = await UserDataService.getUserData(id, isAdmin ? null : userId);
+
+      if (!userData) {
+        return res.status(404).json({
+          success: false,
+          error: 'User-data not found',
+          message: 'No user-data was provided for this VM',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User-data retrieved successfully',
+        data: { userData },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get user-data',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Execute command in VM container
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async execInVMContainer(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { vmId } = req.params;
+      const { command } = req.body;
+
+      if (!command || !Array.isArray(command)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Command must be an array of strings',
+        });
+      }
+
+      const result = await VMService.execInVMContainer(vmId, userId, command);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to execute command in VM container',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create VM backup
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createVMBackup(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { id: vmId } = req.params;
+      const { backupName, description, backupType } = req.body;
+
+      if (!backupName) {
+        return res.status(400).json({
+          success: false,
+          error: 'Backup name is required',
+        });
+      }
+
+      const operation = await BackupChainService.requestBackup(vmId, userId, backupName, {
+        description,
+        backupType,
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'VM backup started',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to create VM backup',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Restore VM from backup
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreVMFromBackup(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { backupId } = req.params;
+      const restoreConfig = req.body;
+
+      const operation = await BackupChainService.requestRestore(backupId, userId, restoreConfig);
+
+      res.status(202).json({
+        success: true,
+        message: 'VM restore from backup started',
+        data: { operation },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to restore VM from backup',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Export backup to a portable archive
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async exportBackup(req, res) {
+    try {
+      const { backupId } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const result = await BackupArchiveService.exportBackup(backupId, isAdmin ? null : userId, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Backup exported successfully',
+        data: {
+          backup: {
+            ...result.backup,
+            size: Number(result.backup.size),
+            archiveSize: Number(result.backup.archiveSize),
+          },
+          manifest: result.manifest,
+        },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to export backup',
+        message: error.message,
       });
+    }
+  }
+
+  /**
+   * Download exported backup archive
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadBackup(req, res) {
+    try {
+      const { backupId } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const archive = await BackupArchiveService.getArchive(backupId, isAdmin ? null : userId);
+
+      res.setHeader('Content-Type', 'application/gzip');
+      res.setHeader('X-Checksum-SHA256', archive.checksum);
+      res.download(archive.path, archive.fileName);
     } catch (error) {
-      res.status(500).json({
+      res.status(404).json({
         success: false,
-        error: 'Failed to get VM container logs',
+        error: 'Backup archive not available',
         message: error.message,
       });
     }
   }
 
   /**
-   * Execute command in VM container
+   * Import backup archive into a new VM
+   * @param {Object} req - Express request object (raw archive body)
+   * @param {Object} res - Express response object
+   */
+  static async importBackup(req, res) {
+    try {
+      const userId = req.user.userId;
+      const contentLength = parseInt(req.headers['content-length'], 10);
+
+      if (contentLength > config.backup.maxImportSize) {
+        return res.status(413).json({
+          success: false,
+          error: 'Archive too large',
+          message: `Archives must not exceed ${config.backup.maxImportSize} bytes`,
+        });
+      }
+
+      const result = await BackupArchiveService.importArchive(req, userId, {
+        ...req.query,
+        checksum: req.headers['x-checksum-sha256'],
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Backup imported successfully',
+        data: {
+          vm: result.vm,
+          backup: {
+            ...result.backup,
+            size: Number(result.backup.size),
+            archiveSize: Number(result.backup.archiveSize),
+          },
+          manifest: result.manifest,
+        },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to import backup',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM backup policy
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async execInVMContainer(req, res) {
+  static async getBackupPolicy(req, res) {
     try {
+      const { id } = req.params;
       const userId = req.user.userId;
-      const { vmId } = req.params;
-      const { command } = req.body;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      if (!command || !Array.isArray(command)) {
-        return res.status(400).json({
+      const policy = await BackupPolicyService.getPolicy(id, isAdmin ? null : userId);
+
+      if (!policy) {
+        return res.status(404).json({
           success: false,
-          error: 'Command must be an array of strings',
+          error: 'Backup policy not found',
+          message: 'No backup policy is configured for this VM',
         });
       }
 
-      const result = await VMService.execInVMContainer(vmId, userId, command);
+      res.status(200).json({
+        success: true,
+        message: 'Backup policy retrieved successfully',
+        data: { policy },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get backup policy',
+        message: error.message,
+      });
+    }
+  }
 
-      res.json({
+  /**
+   * Create or update VM backup policy
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateBackupPolicy(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const policy = await BackupPolicyService.upsertPolicy(id, isAdmin ? null : userId, req.body, userId);
+
+      res.status(200).json({
         success: true,
-        data: result,
+        message: 'Backup policy saved successfully',
+        data: { policy },
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(400).json({
         success: false,
-        error: 'Failed to execute command in VM container',
+        error: 'Failed to save backup policy',
         message: error.message,
       });
     }
   }
 
   /**
-   * Create VM backup
+   * Delete VM backup policy
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async createVMBackup(req, res) {
+  static async deleteBackupPolicy(req, res) {
     try {
+      const { id } = req.params;
       const userId = req.user.userId;
-      const { vmId } = req.params;
-      const { backupName } = req.body;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      if (!backupName) {
-        return res.status(400).json({
+      await BackupPolicyService.deletePolicy(id, isAdmin ? null : userId, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Backup policy deleted successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete backup policy',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM health check
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getHealthCheck(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const check = await HealthCheckService.getCheck(id, isAdmin ? null : userId);
+
+      if (!check) {
+        return res.status(404).json({
           success: false,
-          error: 'Backup name is required',
+          error: 'Health check not found',
+          message: 'No health check is configured for this VM',
         });
       }
 
-      const backup = await VMService.createVMBackup(vmId, userId, backupName);
+      res.status(200).json({
+        success: true,
+        message: 'Health check retrieved successfully',
+        data: { check },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get health check',
+        message: error.message,
+      });
+    }
+  }
 
-      res.status(201).json({
+  /**
+   * Create or update VM health check
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateHealthCheck(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const check = await HealthCheckService.upsertCheck(id, isAdmin ? null : userId, req.body, userId);
+
+      res.status(200).json({
         success: true,
-        message: 'VM backup created successfully',
-        data: backup,
+        message: 'Health check saved successfully',
+        data: { check },
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(400).json({
         success: false,
-        error: 'Failed to create VM backup',
+        error: 'Failed to save health check',
         message: error.message,
       });
     }
   }
 
   /**
-   * Restore VM from backup
+   * Delete VM health check
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async restoreVMFromBackup(req, res) {
+  static async deleteHealthCheck(req, res) {
     try {
+      const { id } = req.params;
       const userId = req.user.userId;
-      const { backupId } = req.params;
-      const restoreConfig = req.body;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
 
-      const restoredVM = await VMService.restoreVMFromBackup(backupId, userId, restoreConfig);
+      await HealthCheckService.deleteCheck(id, isAdmin ? null : userId, userId);
 
-      res.status(201).json({
+      res.status(200).json({
         success: true,
-        message: 'VM restored from backup successfully',
-        data: restoredVM,
+        message: 'Health check deleted successfully',
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(400).json({
         success: false,
-        error: 'Failed to restore VM from backup',
+        error: 'Failed to delete health check',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM health history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getHealthHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+      const { page, limit } = req.query;
+
+      const result = await HealthCheckService.getHistory(id, isAdmin ? null : userId, { page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'VM health history retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get VM health history',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get VM environment variables, secret values masked
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSecrets(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const result = await SecretService.listSecrets(id, isAdmin ? null : userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Environment variables retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get environment variables',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get the value of a VM environment variable (audited)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSecret(req, res) {
+    try {
+      const { id, name } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const secret = await SecretService.getSecret(id, isAdmin ? null : userId, name, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Environment variable retrieved successfully',
+        data: { secret },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get environment variable',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create or update a VM environment variable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setSecret(req, res) {
+    try {
+      const { id, name } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const result = await SecretService.setSecret(id, isAdmin ? null : userId, { ...req.body, name }, userId);
+
+      res.status(200).json({
+        success: true,
+        message: result.restartRequired
+          ? 'Environment variable saved, restart the VM to apply it'
+          : 'Environment variable saved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to save environment variable',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a VM environment variable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteSecret(req, res) {
+    try {
+      const { id, name } = req.params;
+      const userId = req.user.userId;
+      const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(req.user.role);
+
+      const result = await SecretService.unsetSecret(id, isAdmin ? null : userId, name, userId);
+
+      res.status(200).json({
+        success: true,
+        message: result.restartRequired
+          ? 'Environment variable deleted, restart the VM to apply it'
+          : 'Environment variable deleted successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete environment variable',
         message: error.message,
       });
     }
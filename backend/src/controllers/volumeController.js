@@ -0,0 +1,179 @@
+const VolumeService = require('../services/volumeService');
+
+/**
+ * Volume Controller
+ * Handles HTTP requests for block storage volumes
+ */
+class VolumeController {
+  /**
+   * Get current user's volumes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVolumes(req, res) {
+    try {
+      const volumes = await VolumeService.getVolumes(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Volumes retrieved successfully',
+        data: { volumes },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to get volumes',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a volume with its snapshots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVolume(req, res) {
+    try {
+      const volume = await VolumeService.getVolume(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Volume retrieved successfully',
+        data: { volume },
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        error: 'Volume not found',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a volume
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createVolume(req, res) {
+    try {
+      const { name, description, size, snapshotId } = req.body;
+
+      const volume = await VolumeService.createVolume(req.user.userId, {
+        name,
+        description,
+        size,
+        snapshotId,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Volume created successfully',
+        data: { volume },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create volume',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Grow a volume
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resizeVolume(req, res) {
+    try {
+      const volume = await VolumeService.resizeVolume(req.params.id, req.user.userId, req.body.size);
+
+      res.status(200).json({
+        success: true,
+        message: 'Volume resized successfully',
+        data: { volume },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to resize volume',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a volume
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteVolume(req, res) {
+    try {
+      await VolumeService.deleteVolume(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Volume deleted successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete volume',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Snapshot a volume
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createSnapshot(req, res) {
+    try {
+      const snapshot = await VolumeService.createSnapshot(req.params.id, req.user.userId, {
+        name: req.body.name,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Snapshot created successfully',
+        data: { snapshot },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to create snapshot',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a volume snapshot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteSnapshot(req, res) {
+    try {
+      const { id, snapshotId } = req.params;
+
+      await VolumeService.deleteSnapshot(id, snapshotId, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Snapshot deleted successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to delete snapshot',
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = VolumeController;
@@ -5,6 +5,7 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const session = require('express-session');
 const RedisStore = require('connect-redis').default;
+const config = require('./config');
 const { connectDatabase, checkDatabaseHealth } = require('./config/database');
 const redisService = require('./services/redisService');
 const logger = require('./utils/logger');
@@ -139,6 +140,12 @@ app.get('/api', (req, res) => {
 // Routes
 app.use('/api/v1/auth', require('./routes/auth'));
 app.use('/api/v1/vms', require('./routes/vms'));
+app.use('/api/v1/ssh-keys', require('./routes/sshKeys'));
+app.use('/api/v1/security-groups', require('./routes/securityGroups'));
+app.use('/api/v1/networks', require('./routes/networks'));
+app.use('/api/v1/projects', require('./routes/projects'));
+app.use('/api/v1/volumes', require('./routes/volumes'));
+app.use('/api/v1/operations', require('./routes/operations'));
 app.use('/api/v1/docker', require('./routes/docker'));
 app.use('/api/v1/payments', require('./routes/payments'));
 app.use('/api/v1/billing', require('./routes/billing'));
@@ -168,8 +175,20 @@ process.on('SIGTERM', async () => {
     
     const cacheCleanup = require('./jobs/cacheCleanup');
     cacheCleanup.stop();
+    
+    const backupScheduler = require('./jobs/backupScheduler');
+    backupScheduler.stop();
+    
+    const reconciler = require('./jobs/reconciler');
+    reconciler.stop();
+    
+    const healthMonitor = require('./jobs/healthMonitor');
+    healthMonitor.stop();
   }
   
+  // Close web terminal sessions
+  await require('./services/terminalService').closeAll();
+  
   // Disconnect Redis
   await redisService.disconnect();
   
@@ -189,8 +208,20 @@ process.on('SIGINT', async () => {
     
     const cacheCleanup = require('./jobs/cacheCleanup');
     cacheCleanup.stop();
+    
+    const backupScheduler = require('./jobs/backupScheduler');
+    backupScheduler.stop();
+    
+    const reconciler = require('./jobs/reconciler');
+    reconciler.stop();
+    
+    const healthMonitor = require('./jobs/healthMonitor');
+    healthMonitor.stop();
   }
   
+  // Close web terminal sessions
+  await require('./services/terminalService').closeAll();
+  
   // Disconnect Redis
   await redisService.disconnect();
   
@@ -227,19 +258,62 @@ if (process.env.NODE_ENV !== 'test') {
       const cacheCleanup = require('./jobs/cacheCleanup');
       cacheCleanup.start();
       
+      // Start backup scheduler
+      const backupScheduler = require('./jobs/backupScheduler');
+      backupScheduler.start();
+      
+      // Operations of the previous process will never finish
+      const operationService = require('./services/operationService');
+      operationService.failInterrupted()
+        .then((count) => {
+          if (count > 0) {
+            console.log(`⚠️  Marked ${count} interrupted operation(s) as failed`);
+          }
+        })
+        .catch(error => console.error('❌ Failed to check interrupted operations:', error.message));
+      
+      // Start Docker/database reconciler, it also settles VMs left by interrupted operations
+      const reconciler = require('./jobs/reconciler');
+      reconciler.start();
+      
+      // Start VM health monitor
+      const healthMonitor = require('./jobs/healthMonitor');
+      healthMonitor.start();
+      
+      // Keep VMs on the shared network from reaching each other
+      const networkService = require('./services/networkService');
+      networkService.ensureSharedNetworks()
+        .then(({ errors }) => errors.forEach(({ nodeName, error }) => {
+          console.error(`❌ Failed to isolate the shared network on node ${nodeName}:`, error);
+        }))
+        .catch(error => console.error('❌ Failed to check the shared network:', error.message));
+      
+      // Restore VM firewall rules (lost when the host reboots)
+      const firewallService = require('./services/firewallService');
+      firewallService.sync()
+        .catch(error => console.error('❌ Failed to apply VM firewall rules:', error.message));
+      
       // Start HTTP server
-      app.listen(PORT, HOST, () => {
+      const server = app.listen(PORT, HOST, () => {
         console.log(`🚀 Sahary Cloud API Server running on http://${HOST}:${PORT}`);
         console.log(`📊 Environment: ${process.env.NODE_ENV}`);
         console.log(`🔗 API Base URL: http://${HOST}:${PORT}/api`);
         console.log(`❤️  Health Check: http://${HOST}:${PORT}/health`);
         console.log(`🗄️  Database: Connected`);
         console.log(`🔴 Redis: ${redisService.isReady() ? 'Connected' : 'Disconnected'}`);
+        console.log(`🐳 Container Runtime: ${config.runtime.driver}`);
         console.log(`📈 Usage Collector: Started`);
         console.log(`💰 Invoice Generator: Started`);
         console.log(`🌞 Solar Data Collector: Started`);
         console.log(`🧹 Cache Cleanup: Started`);
+        console.log(`💾 Backup Scheduler: Started`);
+        console.log(`🔁 Reconciler: Started`);
+        console.log(`🩺 Health Monitor: Started`);
       });
+      
+      // Accept web terminal WebSocket connections
+      const terminalService = require('./services/terminalService');
+      terminalService.attach(server);
     } catch (error) {
       console.error('❌ Failed to start server:', error);
       process.exit(1);
@@ -0,0 +1,180 @@
+const cron = require('node-cron');
+const BackupPolicyService = require('../services/backupPolicyService');
+const logger = require('../utils/logger');
+
+/**
+ * Backup Scheduler Job
+ * Runs per-VM backup policies on their own schedules and prunes expired backups
+ */
+class BackupScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.policyTasks = new Map(); // policyId -> { schedule, task }
+    this.activeRuns = new Set();
+    this.syncTask = null;
+    this.pruneTask = null;
+    this.lastSync = null;
+    this.lastPrune = null;
+    // Policy changes are picked up on the next sync
+    this.syncSchedule = process.env.BACKUP_POLICY_SYNC_SCHEDULE || '* * * * *';
+    this.pruneSchedule = process.env.BACKUP_PRUNE_SCHEDULE || '30 3 * * *';
+  }
+
+  /**
+   * Schedule enabled policies and unschedule removed or disabled ones
+   */
+  async syncPolicies() {
+    try {
+      const policies = await BackupPolicyService.getEnabledPolicies();
+      const enabled = new Map(policies.map((policy) => [policy.id, policy]));
+
+      // Drop tasks for deleted, disabled or rescheduled policies
+      for (const [policyId, entry] of this.policyTasks) {
+        const policy = enabled.get(policyId);
+        if (!policy || policy.schedule !== entry.schedule) {
+          entry.task.stop();
+          this.policyTasks.delete(policyId);
+        }
+      }
+
+      policies.forEach((policy) => {
+        if (this.policyTasks.has(policy.id)) {
+          return;
+        }
+
+        if (!cron.validate(policy.schedule)) {
+          logger.warn('Skipping backup policy with invalid schedule', {
+            policyId: policy.id,
+            schedule: policy.schedule,
+          });
+          return;
+        }
+
+        const task = cron.schedule(policy.schedule, () => this.runPolicy(policy.id));
+        this.policyTasks.set(policy.id, { schedule: policy.schedule, task });
+      });
+
+      this.lastSync = new Date();
+    } catch (error) {
+      logger.error('Failed to sync backup policies', { error: error.message });
+    }
+  }
+
+  /**
+   * Run a single policy, skipping it if the previous run is still in progress
+   * @param {string} policyId - Policy ID
+   */
+  async runPolicy(policyId) {
+    if (this.activeRuns.has(policyId)) {
+      logger.warn('Scheduled backup is still running, skipping', { policyId });
+      return null;
+    }
+
+    this.activeRuns.add(policyId);
+
+    try {
+      const result = await BackupPolicyService.runPolicy(policyId);
+
+      if (result.error) {
+        logger.error('Scheduled backup failed', { policyId, error: result.error });
+      } else if (!result.skipped) {
+        logger.info('Scheduled backup completed', {
+          policyId,
+          backupId: result.backupId,
+          pruned: result.pruned,
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Scheduled backup failed', { policyId, error: error.message });
+      return null;
+    } finally {
+      this.activeRuns.delete(policyId);
+    }
+  }
+
+  /**
+   * Apply retention for all policies
+   */
+  async pruneNow() {
+    try {
+      const results = await BackupPolicyService.pruneAllPolicies();
+      this.lastPrune = new Date();
+
+      logger.info('Backup retention applied', {
+        policies: results.policies,
+        pruned: results.pruned,
+        failed: results.failed,
+      });
+
+      if (results.failed > 0) {
+        logger.error('Some expired backups could not be pruned', { errors: results.errors });
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Backup pruning failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start the backup scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Backup scheduler is already running');
+      return;
+    }
+
+    this.syncTask = cron.schedule(this.syncSchedule, () => this.syncPolicies());
+    this.pruneTask = cron.schedule(this.pruneSchedule, () => this.pruneNow().catch(() => {}));
+    this.syncPolicies();
+
+    this.isRunning = true;
+    logger.info('Backup scheduler started', {
+      syncSchedule: this.syncSchedule,
+      pruneSchedule: this.pruneSchedule,
+    });
+  }
+
+  /**
+   * Stop the backup scheduler
+   */
+  stop() {
+    if (this.syncTask) {
+      this.syncTask.stop();
+    }
+
+    if (this.pruneTask) {
+      this.pruneTask.stop();
+    }
+
+    this.policyTasks.forEach(({ task }) => task.stop());
+    this.policyTasks.clear();
+
+    this.isRunning = false;
+    logger.info('Backup scheduler stopped');
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      scheduledPolicies: this.policyTasks.size,
+      activeRuns: this.activeRuns.size,
+      lastSync: this.lastSync,
+      lastPrune: this.lastPrune,
+      syncSchedule: this.syncSchedule,
+      pruneSchedule: this.pruneSchedule,
+    };
+  }
+}
+
+// Create singleton instance
+const backupScheduler = new BackupScheduler();
+
+module.exports = backupScheduler;
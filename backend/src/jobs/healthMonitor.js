@@ -0,0 +1,107 @@
+const config = require('../config');
+const HealthCheckService = require('../services/healthCheckService');
+const logger = require('../utils/logger');
+
+// How often old health history is deleted
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Health Monitor Job
+ * Runs the VM health checks that are due and applies their recovery policies
+ */
+class HealthMonitor {
+  constructor() {
+    this.intervalId = null;
+    this.isRunning = false;
+    this.inProgress = false;
+    this.interval = config.healthChecks.interval;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Start the health monitor
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Health monitor is already running');
+      return;
+    }
+
+    logger.info(`Starting health monitor with ${this.interval / 1000}s interval`);
+
+    this.intervalId = setInterval(() => {
+      this.run();
+    }, this.interval);
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop the health monitor
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Health monitor is not running');
+      return;
+    }
+
+    logger.info('Stopping health monitor');
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+  }
+
+  /**
+   * Run the due checks, skipped while the previous run is still going
+   */
+  async run() {
+    if (this.inProgress) {
+      return null;
+    }
+
+    this.inProgress = true;
+
+    try {
+      const summary = await HealthCheckService.runDueChecks();
+
+      if (summary.actions.length > 0) {
+        logger.warn('Health checks triggered recovery', { actions: summary.actions });
+      }
+
+      if (Date.now() - this.lastPrunedAt >= PRUNE_INTERVAL) {
+        this.lastPrunedAt = Date.now();
+        await HealthCheckService.pruneHistory();
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Health monitor run failed', {
+        error: error.message,
+        stack: error.stack,
+      });
+      return null;
+    } finally {
+      this.inProgress = false;
+    }
+  }
+
+  /**
+   * Get health monitor status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      inProgress: this.inProgress,
+      interval: this.interval,
+    };
+  }
+}
+
+// Create singleton instance
+const healthMonitor = new HealthMonitor();
+
+module.exports = healthMonitor;
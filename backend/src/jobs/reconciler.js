@@ -0,0 +1,103 @@
+const config = require('../config');
+const ReconcileService = require('../services/reconcileService');
+const logger = require('../utils/logger');
+
+/**
+ * Reconciler Job
+ * Periodically repairs VM records that drifted from their Docker containers
+ */
+class Reconciler {
+  constructor() {
+    this.intervalId = null;
+    this.isRunning = false;
+    this.inProgress = false;
+    this.interval = config.reconciler.interval;
+  }
+
+  /**
+   * Start the reconciliation job
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Reconciler is already running');
+      return;
+    }
+
+    logger.info(`Starting reconciler with ${this.interval / 1000}s interval`);
+
+    this.intervalId = setInterval(() => {
+      this.run();
+    }, this.interval);
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop the reconciliation job
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Reconciler is not running');
+      return;
+    }
+
+    logger.info('Stopping reconciler');
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+  }
+
+  /**
+   * Run one reconciliation, skipped while the previous one is still running
+   */
+  async run() {
+    if (this.inProgress) {
+      return null;
+    }
+
+    this.inProgress = true;
+
+    try {
+      const report = await ReconcileService.reconcile();
+
+      if (report.drift.length > 0 || report.orphans.length > 0) {
+        logger.warn('Reconciliation found drift', {
+          drift: report.drift.length,
+          repaired: report.drift.filter(entry => entry.repaired).length,
+          orphans: report.orphans.length,
+        });
+      }
+
+      return report;
+    } catch (error) {
+      logger.error('Reconciliation failed', {
+        error: error.message,
+        stack: error.stack,
+      });
+      return null;
+    } finally {
+      this.inProgress = false;
+    }
+  }
+
+  /**
+   * Get reconciler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      inProgress: this.inProgress,
+      interval: this.interval,
+      autoRepair: config.reconciler.autoRepair,
+    };
+  }
+}
+
+// Create singleton instance
+const reconciler = new Reconciler();
+
+module.exports = reconciler;
@@ -3,7 +3,7 @@ const logger = require('../utils/logger');
 
 /**
  * Usage Collector Job
- * Periodically collects usage data from running VMs
+ * Periodically collects usage data from running VMs and volumes
  */
 class UsageCollector {
   constructor() {
@@ -54,7 +54,7 @@ class UsageCollector {
   }
 
   /**
-   * Collect usage data from all running VMs
+   * Collect usage data from all running VMs and all volumes
    */
   async collect() {
     try {
@@ -78,6 +78,16 @@ class UsageCollector {
         });
       }
 
+      // Volumes are billed whether they are attached or not
+      const volumeResults = await BillingService.collectAllVolumesUsage();
+
+      if (volumeResults.failed > 0) {
+        logger.warn('Some volumes failed during usage collection', {
+          failed: volumeResults.failed,
+          errors: volumeResults.errors,
+        });
+      }
+
       return results;
     } catch (error) {
       logger.error('Usage collection failed', {
@@ -136,6 +136,7 @@ ROLE_PERMISSIONS.ADMIN = [
   'vm:stop:all',
   'vm:restart:all',
   'vm:suspend:all',
+  'vm:migrate:all',
   'billing:read:all',
   'billing:create',
   'billing:update',
@@ -2,7 +2,24 @@ const express = require('express');
 const AdminController = require('../controllers/adminController');
 const { authenticate } = require('../middlewares/auth');
 const { requirePermission } = require('../middlewares/rbac');
+const { validate } = require('../middlewares/validation');
 const { apiRateLimit, sanitizeInput, xssProtection } = require('../middlewares/security');
+const {
+  assignUserPlanSchema,
+  setUserQuotaSchema,
+  createIpPoolSchema,
+  updateIpPoolSchema,
+  ipLeasesQuerySchema,
+  reserveIpAddressSchema,
+  portLeasesQuerySchema,
+  createTemplateSchema,
+  updateTemplateSchema,
+  templateIdSchema,
+  runReconciliationSchema,
+  createNodeSchema,
+  updateNodeSchema,
+  nodeIdSchema,
+} = require('../validations/admin.validation');
 
 const router = express.Router();
 
@@ -67,6 +84,228 @@ router.put('/users/:id/status', apiRateLimit(), AdminController.updateUserStatus
  */
 router.put('/users/:id/role', requirePermission('admin:super'), AdminController.updateUserRole);
 
+// ==================== Plans & Quotas ====================
+
+/**
+ * @route   GET /api/v1/admin/plans
+ * @desc    Get all pricing plans
+ * @access  Private (Admin+)
+ */
+router.get('/plans', apiRateLimit(), AdminController.getPricingPlans);
+
+/**
+ * @route   GET /api/v1/admin/users/:id/quota
+ * @desc    Get user quota (plan limits, overrides, usage and headroom)
+ * @access  Private (Admin+)
+ */
+router.get('/users/:id/quota', apiRateLimit(), AdminController.getUserQuota);
+
+/**
+ * @route   PUT /api/v1/admin/users/:id/plan
+ * @desc    Assign pricing plan to user
+ * @access  Private (Admin+)
+ */
+router.put('/users/:id/plan', apiRateLimit(), validate(assignUserPlanSchema), AdminController.assignUserPlan);
+
+/**
+ * @route   PUT /api/v1/admin/users/:id/quota
+ * @desc    Set per-user quota override
+ * @access  Private (Admin+)
+ */
+router.put('/users/:id/quota', apiRateLimit(), validate(setUserQuotaSchema), AdminController.setUserQuota);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id/quota
+ * @desc    Remove per-user quota override
+ * @access  Private (Admin+)
+ */
+router.delete('/users/:id/quota', apiRateLimit(), AdminController.clearUserQuota);
+
+// ==================== IP Address Management ====================
+
+/**
+ * @route   GET /api/v1/admin/ip-pools
+ * @desc    Get IP pools with utilization
+ * @access  Private (Admin+)
+ */
+router.get('/ip-pools', apiRateLimit(), AdminController.getIpPools);
+
+/**
+ * @route   POST /api/v1/admin/ip-pools
+ * @desc    Create IP pool
+ * @access  Private (Admin+)
+ */
+router.post('/ip-pools', apiRateLimit(), validate(createIpPoolSchema), AdminController.createIpPool);
+
+/**
+ * @route   GET /api/v1/admin/ip-pools/:id
+ * @desc    Get IP pool with utilization
+ * @access  Private (Admin+)
+ */
+router.get('/ip-pools/:id', apiRateLimit(), AdminController.getIpPool);
+
+/**
+ * @route   PUT /api/v1/admin/ip-pools/:id
+ * @desc    Update IP pool (name, description, active flag)
+ * @access  Private (Admin+)
+ */
+router.put('/ip-pools/:id', apiRateLimit(), validate(updateIpPoolSchema), AdminController.updateIpPool);
+
+/**
+ * @route   DELETE /api/v1/admin/ip-pools/:id
+ * @desc    Delete IP pool without allocated addresses
+ * @access  Private (Admin+)
+ */
+router.delete('/ip-pools/:id', apiRateLimit(), AdminController.deleteIpPool);
+
+/**
+ * @route   GET /api/v1/admin/ip-pools/:id/leases
+ * @desc    Get allocated and reserved addresses of a pool
+ * @access  Private (Admin+)
+ */
+router.get('/ip-pools/:id/leases', apiRateLimit(), validate(ipLeasesQuerySchema), AdminController.getIpPoolLeases);
+
+/**
+ * @route   POST /api/v1/admin/ip-pools/:id/reservations
+ * @desc    Reserve an address so it is never allocated to a VM
+ * @access  Private (Admin+)
+ */
+router.post('/ip-pools/:id/reservations', apiRateLimit(), validate(reserveIpAddressSchema), AdminController.reserveIpAddress);
+
+/**
+ * @route   DELETE /api/v1/admin/ip-leases/:leaseId
+ * @desc    Release an address reservation
+ * @access  Private (Admin+)
+ */
+router.delete('/ip-leases/:leaseId', apiRateLimit(), AdminController.releaseIpReservation);
+
+/**
+ * @route   GET /api/v1/admin/ports
+ * @desc    Get the public port pool with its utilization and leases
+ * @access  Private (Admin+)
+ */
+router.get('/ports', apiRateLimit(), validate(portLeasesQuerySchema), AdminController.getPortPool);
+
+// ==================== Image Catalog ====================
+
+/**
+ * @route   GET /api/v1/admin/templates
+ * @desc    Get all catalog templates, including inactive ones
+ * @access  Private (Admin+)
+ */
+router.get('/templates', apiRateLimit(), AdminController.getTemplates);
+
+/**
+ * @route   POST /api/v1/admin/templates
+ * @desc    Create catalog template
+ * @access  Private (Admin+)
+ */
+router.post('/templates', apiRateLimit(), validate(createTemplateSchema), AdminController.createTemplate);
+
+/**
+ * @route   GET /api/v1/admin/templates/:id
+ * @desc    Get catalog template
+ * @access  Private (Admin+)
+ */
+router.get('/templates/:id', apiRateLimit(), validate(templateIdSchema), AdminController.getTemplate);
+
+/**
+ * @route   PUT /api/v1/admin/templates/:id
+ * @desc    Update catalog template
+ * @access  Private (Admin+)
+ */
+router.put('/templates/:id', apiRateLimit(), validate(updateTemplateSchema), AdminController.updateTemplate);
+
+/**
+ * @route   DELETE /api/v1/admin/templates/:id
+ * @desc    Delete catalog template
+ * @access  Private (Admin+)
+ */
+router.delete('/templates/:id', apiRateLimit(), validate(templateIdSchema), AdminController.deleteTemplate);
+
+// ==================== Reconciliation ====================
+
+/**
+ * @route   GET /api/v1/admin/reconciliation
+ * @desc    Get the last Docker/database reconciliation report
+ * @access  Private (Admin+)
+ */
+router.get('/reconciliation', apiRateLimit(), AdminController.getReconciliationReport);
+
+/**
+ * @route   POST /api/v1/admin/reconciliation
+ * @desc    Compare VMs with their containers now, repairing the drift unless repair is false
+ * @access  Private (Admin+)
+ */
+router.post('/reconciliation', apiRateLimit(), validate(runReconciliationSchema), AdminController.runReconciliation);
+
+// ==================== Compute Nodes ====================
+
+/**
+ * @route   GET /api/v1/admin/nodes
+ * @desc    Get compute nodes with allocated and free resources
+ * @access  Private (Admin+)
+ */
+router.get('/nodes', apiRateLimit(), AdminController.getNodes);
+
+/**
+ * @route   POST /api/v1/admin/nodes
+ * @desc    Register a Docker endpoint as compute node
+ * @access  Private (Admin+)
+ */
+router.post('/nodes', apiRateLimit(), validate(createNodeSchema), AdminController.registerNode);
+
+/**
+ * @route   GET /api/v1/admin/nodes/:id
+ * @desc    Get compute node with its VMs
+ * @access  Private (Admin+)
+ */
+router.get('/nodes/:id', apiRateLimit(), validate(nodeIdSchema), AdminController.getNode);
+
+/**
+ * @route   PUT /api/v1/admin/nodes/:id
+ * @desc    Update compute node (endpoint, capacity, labels, solar flag)
+ * @access  Private (Admin+)
+ */
+router.put('/nodes/:id', apiRateLimit(), validate(updateNodeSchema), AdminController.updateNode);
+
+/**
+ * @route   DELETE /api/v1/admin/nodes/:id
+ * @desc    Remove compute node without VMs
+ * @access  Private (Admin+)
+ */
+router.delete('/nodes/:id', apiRateLimit(), validate(nodeIdSchema), AdminController.removeNode);
+
+/**
+ * @route   POST /api/v1/admin/nodes/:id/cordon
+ * @desc    Stop placing new VMs on compute node
+ * @access  Private (Admin+)
+ */
+router.post('/nodes/:id/cordon', apiRateLimit(), validate(nodeIdSchema), AdminController.cordonNode);
+
+/**
+ * @route   POST /api/v1/admin/nodes/:id/uncordon
+ * @desc    Place new VMs on compute node again
+ * @access  Private (Admin+)
+ */
+router.post('/nodes/:id/uncordon', apiRateLimit(), validate(nodeIdSchema), AdminController.uncordonNode);
+
+/**
+ * @route   POST /api/v1/admin/nodes/:id/drain
+ * @desc    Cordon compute node and move the VMs that can be moved
+ * @access  Private (Admin+)
+ */
+router.post('/nodes/:id/drain', apiRateLimit(), validate(nodeIdSchema), AdminController.drainNode);
+
+// ==================== Secrets ====================
+
+/**
+ * @route   POST /api/v1/admin/secrets/rotate
+ * @desc    Re-encrypt VM secrets encrypted with older master keys using the newest one
+ * @access  Private (Super Admin)
+ */
+router.post('/secrets/rotate', apiRateLimit(), requirePermission('admin:super'), AdminController.rotateSecretKeys);
+
 // ==================== Analytics ====================
 
 /**
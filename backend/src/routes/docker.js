@@ -4,6 +4,7 @@ const dockerController = require('../controllers/dockerController');
 const authMiddleware = require('../middleware/auth');
 const roleMiddleware = require('../middleware/role');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const config = require('../config');
 
 const router = express.Router();
 
@@ -55,7 +56,9 @@ router.post('/containers',
     body('ports.*.hostPort')
       .optional()
       .isInt({ min: 1, max: 65535 })
-      .withMessage('Host port must be between 1 and 65535'),
+      .withMessage('Host port must be between 1 and 65535')
+      .custom(value => value < config.ports.rangeStart || value > config.ports.rangeEnd)
+      .withMessage('Host port is reserved for the public port pool'),
     body('environment')
       .optional()
       .isArray()
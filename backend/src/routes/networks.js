@@ -0,0 +1,75 @@
+const express = require('express');
+const NetworkController = require('../controllers/networkController');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireEmailVerification } = require('../middlewares/auth');
+const { apiRateLimit } = require('../middlewares/security');
+const {
+  createNetworkSchema,
+  updateNetworkSchema,
+  networkIdSchema,
+} = require('../validations/vm.validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/networks
+ * @desc    Get current user's private networks
+ * @access  Private
+ */
+router.get('/',
+  apiRateLimit(),
+  authenticate,
+  NetworkController.getNetworks
+);
+
+/**
+ * @route   POST /api/v1/networks
+ * @desc    Create a private network
+ * @access  Private
+ */
+router.post('/',
+  apiRateLimit(),
+  validate(createNetworkSchema),
+  authenticate,
+  requireEmailVerification,
+  NetworkController.createNetwork
+);
+
+/**
+ * @route   GET /api/v1/networks/:id
+ * @desc    Get a private network with its VMs, addresses and DNS names
+ * @access  Private
+ */
+router.get('/:id',
+  apiRateLimit(),
+  validate(networkIdSchema),
+  authenticate,
+  NetworkController.getNetwork
+);
+
+/**
+ * @route   PUT /api/v1/networks/:id
+ * @desc    Rename a private network
+ * @access  Private
+ */
+router.put('/:id',
+  apiRateLimit(),
+  validate(updateNetworkSchema),
+  authenticate,
+  requireEmailVerification,
+  NetworkController.updateNetwork
+);
+
+/**
+ * @route   DELETE /api/v1/networks/:id
+ * @desc    Delete a private network without attached VMs
+ * @access  Private
+ */
+router.delete('/:id',
+  apiRateLimit(),
+  validate(networkIdSchema),
+  authenticate,
+  NetworkController.deleteNetwork
+);
+
+module.exports = router;
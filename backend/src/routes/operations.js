@@ -0,0 +1,49 @@
+const express = require('express');
+const OperationController = require('../controllers/operationController');
+const { validate } = require('../middlewares/validation');
+const { authenticate } = require('../middlewares/auth');
+const { apiRateLimit } = require('../middlewares/security');
+const {
+  operationQuerySchema,
+  operationIdSchema,
+} = require('../validations/vm.validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/operations
+ * @desc    Get current user's operations, newest first
+ * @access  Private
+ */
+router.get('/',
+  apiRateLimit(),
+  validate(operationQuerySchema),
+  authenticate,
+  OperationController.getOperations
+);
+
+/**
+ * @route   GET /api/v1/operations/:id
+ * @desc    Get an operation with its progress
+ * @access  Private
+ */
+router.get('/:id',
+  apiRateLimit(),
+  validate(operationIdSchema),
+  authenticate,
+  OperationController.getOperation
+);
+
+/**
+ * @route   POST /api/v1/operations/:id/cancel
+ * @desc    Cancel a queued or running operation
+ * @access  Private
+ */
+router.post('/:id/cancel',
+  apiRateLimit(),
+  validate(operationIdSchema),
+  authenticate,
+  OperationController.cancelOperation
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const ProjectController = require('../controllers/projectController');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireEmailVerification } = require('../middlewares/auth');
+const { apiRateLimit } = require('../middlewares/security');
+const {
+  createProjectSchema,
+  updateProjectSchema,
+  projectIdSchema,
+} = require('../validations/vm.validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/projects
+ * @desc    Get current user's projects
+ * @access  Private
+ */
+router.get('/',
+  apiRateLimit(),
+  authenticate,
+  ProjectController.getProjects
+);
+
+/**
+ * @route   POST /api/v1/projects
+ * @desc    Create a project
+ * @access  Private
+ */
+router.post('/',
+  apiRateLimit(),
+  validate(createProjectSchema),
+  authenticate,
+  requireEmailVerification,
+  ProjectController.createProject
+);
+
+/**
+ * @route   GET /api/v1/projects/:id
+ * @desc    Get a project with its VMs
+ * @access  Private
+ */
+router.get('/:id',
+  apiRateLimit(),
+  validate(projectIdSchema),
+  authenticate,
+  ProjectController.getProject
+);
+
+/**
+ * @route   PUT /api/v1/projects/:id
+ * @desc    Update a project
+ * @access  Private
+ */
+router.put('/:id',
+  apiRateLimit(),
+  validate(updateProjectSchema),
+  authenticate,
+  requireEmailVerification,
+  ProjectController.updateProject
+);
+
+/**
+ * @route   DELETE /api/v1/projects/:id
+ * @desc    Delete a project, its VMs are kept without a project
+ * @access  Private
+ */
+router.delete('/:id',
+  apiRateLimit(),
+  validate(projectIdSchema),
+  authenticate,
+  ProjectController.deleteProject
+);
+
+module.exports = router;
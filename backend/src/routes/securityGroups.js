@@ -0,0 +1,75 @@
+const express = require('express');
+const SecurityGroupController = require('../controllers/securityGroupController');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireEmailVerification } = require('../middlewares/auth');
+const { apiRateLimit } = require('../middlewares/security');
+const {
+  createSecurityGroupSchema,
+  updateSecurityGroupSchema,
+  securityGroupIdSchema,
+} = require('../validations/vm.validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/security-groups
+ * @desc    Get current user's security groups
+ * @access  Private
+ */
+router.get('/',
+  apiRateLimit(),
+  authenticate,
+  SecurityGroupController.getGroups
+);
+
+/**
+ * @route   POST /api/v1/security-groups
+ * @desc    Create a security group
+ * @access  Private
+ */
+router.post('/',
+  apiRateLimit(),
+  validate(createSecurityGroupSchema),
+  authenticate,
+  requireEmailVerification,
+  SecurityGroupController.createGroup
+);
+
+/**
+ * @route   GET /api/v1/security-groups/:id
+ * @desc    Get a security group with its rules and VMs
+ * @access  Private
+ */
+router.get('/:id',
+  apiRateLimit(),
+  validate(securityGroupIdSchema),
+  authenticate,
+  SecurityGroupController.getGroup
+);
+
+/**
+ * @route   PUT /api/v1/security-groups/:id
+ * @desc    Update a security group (rules are replaced and applied to attached VMs)
+ * @access  Private
+ */
+router.put('/:id',
+  apiRateLimit(),
+  validate(updateSecurityGroupSchema),
+  authenticate,
+  requireEmailVerification,
+  SecurityGroupController.updateGroup
+);
+
+/**
+ * @route   DELETE /api/v1/security-groups/:id
+ * @desc    Delete a security group not attached to any VM
+ * @access  Private
+ */
+router.delete('/:id',
+  apiRateLimit(),
+  validate(securityGroupIdSchema),
+  authenticate,
+  SecurityGroupController.deleteGroup
+);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const SshKeyController = require('../controllers/sshKeyController');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireEmailVerification } = require('../middlewares/auth');
+const { apiRateLimit } = require('../middlewares/security');
+const {
+  createSshKeySchema,
+  updateSshKeySchema,
+  sshKeyIdSchema,
+} = require('../validations/user.validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/ssh-keys
+ * @desc    Get current user's SSH keys
+ * @access  Private
+ */
+router.get('/',
+  apiRateLimit(),
+  authenticate,
+  SshKeyController.getKeys
+);
+
+/**
+ * @route   POST /api/v1/ssh-keys
+ * @desc    Add an SSH public key
+ * @access  Private
+ */
+router.post('/',
+  apiRateLimit(),
+  validate(createSshKeySchema),
+  authenticate,
+  requireEmailVerification,
+  SshKeyController.createKey
+);
+
+/**
+ * @route   GET /api/v1/ssh-keys/:id
+ * @desc    Get an SSH key with the VMs using it
+ * @access  Private
+ */
+router.get('/:id',
+  apiRateLimit(),
+  validate(sshKeyIdSchema),
+  authenticate,
+  SshKeyController.getKey
+);
+
+/**
+ * @route   PUT /api/v1/ssh-keys/:id
+ * @desc    Rename an SSH key
+ * @access  Private
+ */
+router.put('/:id',
+  apiRateLimit(),
+  validate(updateSshKeySchema),
+  authenticate,
+  SshKeyController.updateKey
+);
+
+/**
+ * @route   DELETE /api/v1/ssh-keys/:id
+ * @desc    Delete an SSH key and revoke it from running VMs
+ * @access  Private
+ */
+router.delete('/:id',
+  apiRateLimit(),
+  validate(sshKeyIdSchema),
+  authenticate,
+  SshKeyController.deleteKey
+);
+
+module.exports = router;
@@ -2,25 +2,58 @@ const express = require('express');
 const VMController = require('../controllers/vmController');
 const { validate } = require('../middlewares/validation');
 const { authenticate, requireEmailVerification } = require('../middlewares/auth');
-const { requirePermission, requireAnyPermission } = require('../middlewares/rbac');
+const { requirePermission, requireAnyPermission, requireDynamicPermission } = require('../middlewares/rbac');
 const { apiRateLimit, sanitizeInput, xssProtection } = require('../middlewares/security');
 const { 
   createVMSchema,
+  templateQuerySchema,
   updateVMSchema,
+  resizeVMSchema,
+  cloneVMSchema,
   vmActionSchema,
   vmQuerySchema,
   createBackupSchema,
+  backupPolicySchema,
+  healthCheckSchema,
   execContainerSchema,
   containerLogsSchema,
+  containerLogsStreamSchema,
   restoreBackupSchema,
+  backupArchiveSchema,
+  importBackupSchema,
   vmStatsQuerySchema,
   adminVMQuerySchema,
   vmSuspendSchema,
+  vmMigrateSchema,
+  vmSecurityGroupsSchema,
+  vmNetworkAttachSchema,
+  vmNetworkDetachSchema,
+  vmPortSchema,
+  vmPortIdSchema,
+  vmVolumeAttachSchema,
+  vmVolumeDetachSchema,
+  vmOperationsSchema,
+  vmStateHistorySchema,
+  vmHealthHistorySchema,
+  vmSecretSchema,
+  vmSecretIdSchema,
+  vmTagsSchema,
+  vmBulkActionSchema,
 } = require('../validations/vm.validation');
 const { calculatePricingSchema } = require('../validations/billing.validation');
 
 const router = express.Router();
 
+// A bulk action needs the permission of the same action on a single VM,
+// backups the update permission, as backup policies and exports do
+const BULK_ACTION_PERMISSIONS = {
+  start: 'vm:start:own',
+  stop: 'vm:stop:own',
+  restart: 'vm:restart:own',
+  backup: 'vm:update:own',
+  delete: 'vm:delete:own',
+};
+
 // Apply security middleware to all routes
 router.use(sanitizeInput());
 router.use(xssProtection());
@@ -89,6 +122,18 @@ router.get('/resources',
   VMController.getUserResourceUsage
 );
 
+/**
+ * @route   GET /api/v1/vms/templates
+ * @desc    Get image catalog templates
+ * @access  Private (User+)
+ */
+router.get('/templates',
+  apiRateLimit(),
+  validate(templateQuerySchema),
+  authenticate,
+  VMController.getTemplates
+);
+
 /**
  * @route   POST /api/v1/vms/pricing
  * @desc    Get VM pricing estimate
@@ -101,6 +146,20 @@ router.post('/pricing',
   VMController.getVMPricingEstimate
 );
 
+/**
+ * @route   POST /api/v1/vms/bulk
+ * @desc    Run an action on the VMs of a project or tag selector
+ * @access  Private (User+)
+ */
+router.post('/bulk',
+  apiRateLimit(),
+  validate(vmBulkActionSchema),
+  authenticate,
+  requireEmailVerification,
+  requireDynamicPermission(req => BULK_ACTION_PERMISSIONS[req.body.action]),
+  VMController.bulkAction
+);
+
 /**
  * @route   GET /api/v1/vms/:id
  * @desc    Get VM by ID
@@ -144,7 +203,7 @@ router.delete('/:id',
 
 /**
  * @route   POST /api/v1/vms/:id/start
- * @desc    Start VM
+ * @desc    Start VM in the background (202 with the operation)
  * @access  Private (Owner or Admin)
  */
 router.post('/:id/start',
@@ -157,7 +216,7 @@ router.post('/:id/start',
 
 /**
  * @route   POST /api/v1/vms/:id/stop
- * @desc    Stop VM
+ * @desc    Stop VM in the background (202 with the operation)
  * @access  Private (Owner or Admin)
  */
 router.post('/:id/stop',
@@ -170,7 +229,7 @@ router.post('/:id/stop',
 
 /**
  * @route   POST /api/v1/vms/:id/restart
- * @desc    Restart VM
+ * @desc    Restart VM in the background (202 with the operation)
  * @access  Private (Owner or Admin)
  */
 router.post('/:id/restart',
@@ -181,6 +240,168 @@ router.post('/:id/restart',
   VMController.restartVM
 );
 
+/**
+ * @route   POST /api/v1/vms/:id/resize
+ * @desc    Resize VM CPU, RAM and storage
+ * @access  Private (Owner or Admin)
+ */
+router.post('/:id/resize',
+  apiRateLimit(),
+  validate(resizeVMSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.resizeVM
+);
+
+/**
+ * @route   POST /api/v1/vms/:id/clone
+ * @desc    Clone VM into a new VM
+ * @access  Private (Owner or Admin)
+ */
+router.post('/:id/clone',
+  apiRateLimit(),
+  validate(cloneVMSchema),
+  authenticate,
+  requireEmailVerification,
+  requirePermission('vm:create'),
+  VMController.cloneVM
+);
+
+/**
+ * @route   PUT /api/v1/vms/:id/security-groups
+ * @desc    Set VM security groups (firewall)
+ * @access  Private (Owner or Admin)
+ */
+router.put('/:id/security-groups',
+  apiRateLimit(),
+  validate(vmSecurityGroupsSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.setSecurityGroups
+);
+
+/**
+ * @route   PUT /api/v1/vms/:id/tags
+ * @desc    Replace VM tags
+ * @access  Private (Owner or Admin)
+ */
+router.put('/:id/tags',
+  apiRateLimit(),
+  validate(vmTagsSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.setTags
+);
+
+/**
+ * @route   PATCH /api/v1/vms/:id/tags
+ * @desc    Merge VM tags, null values remove a tag
+ * @access  Private (Owner or Admin)
+ */
+router.patch('/:id/tags',
+  apiRateLimit(),
+  validate(vmTagsSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.setTags
+);
+
+/**
+ * @route   POST /api/v1/vms/:id/networks
+ * @desc    Attach VM to a private network
+ * @access  Private (Owner or Admin)
+ */
+router.post('/:id/networks',
+  apiRateLimit(),
+  validate(vmNetworkAttachSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.attachNetwork
+);
+
+/**
+ * @route   DELETE /api/v1/vms/:id/networks/:networkId
+ * @desc    Detach VM from a private network
+ * @access  Private (Owner or Admin)
+ */
+router.delete('/:id/networks/:networkId',
+  apiRateLimit(),
+  validate(vmNetworkDetachSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.detachNetwork
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/ports
+ * @desc    Get VM public ports and their endpoints
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/ports',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getPorts
+);
+
+/**
+ * @route   POST /api/v1/vms/:id/ports
+ * @desc    Forward a public port from the port pool to a VM port
+ * @access  Private (Owner or Admin)
+ */
+router.post('/:id/ports',
+  apiRateLimit(),
+  validate(vmPortSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.openPort
+);
+
+/**
+ * @route   DELETE /api/v1/vms/:id/ports/:portId
+ * @desc    Close a VM public port and return it to the pool
+ * @access  Private (Owner or Admin)
+ */
+router.delete('/:id/ports/:portId',
+  apiRateLimit(),
+  validate(vmPortIdSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.closePort
+);
+
+/**
+ * @route   POST /api/v1/vms/:id/volumes
+ * @desc    Attach a volume to a VM at a mount path
+ * @access  Private (Owner or Admin)
+ */
+router.post('/:id/volumes',
+  apiRateLimit(),
+  validate(vmVolumeAttachSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.attachVolume
+);
+
+/**
+ * @route   DELETE /api/v1/vms/:id/volumes/:volumeId
+ * @desc    Detach a volume from a VM
+ * @access  Private (Owner or Admin)
+ */
+router.delete('/:id/volumes/:volumeId',
+  apiRateLimit(),
+  validate(vmVolumeDetachSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.detachVolume
+);
+
 /**
  * @route   POST /api/v1/vms/:id/suspend
  * @desc    Suspend VM (Admin only)
@@ -207,6 +428,19 @@ router.post('/:id/resume',
   VMController.resumeVM
 );
 
+/**
+ * @route   POST /api/v1/vms/:id/migrate
+ * @desc    Move VM to another compute node (Admin only)
+ * @access  Private (Admin+)
+ */
+router.post('/:id/migrate',
+  apiRateLimit(),
+  validate(vmMigrateSchema),
+  authenticate,
+  requirePermission('vm:migrate:all'),
+  VMController.migrateVM
+);
+
 /**
  * @route   GET /api/v1/vms/:id/stats
  * @desc    Get VM statistics
@@ -246,6 +480,32 @@ router.get('/:id/container/logs',
   VMController.getVMContainerLogs
 );
 
+/**
+ * @route   GET /api/v1/vms/:id/container/logs/stream
+ * @desc    Follow VM container logs (Server-Sent Events)
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/container/logs/stream',
+  apiRateLimit(),
+  validate(containerLogsStreamSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.streamVMContainerLogs
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/user-data
+ * @desc    Get VM first boot user-data and its execution status
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/user-data',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getUserData
+);
+
 /**
  * @route   POST /api/v1/vms/:id/container/exec
  * @desc    Execute command in VM container
@@ -259,9 +519,35 @@ router.post('/:id/container/exec',
   VMController.execInVMContainer
 );
 
+/**
+ * @route   GET /api/v1/vms/:id/operations
+ * @desc    Get VM operation history, newest first
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/operations',
+  apiRateLimit(),
+  validate(vmOperationsSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getVMOperations
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/state-history
+ * @desc    Get VM status changes, newest first
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/state-history',
+  apiRateLimit(),
+  validate(vmStateHistorySchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getVMStateHistory
+);
+
 /**
  * @route   POST /api/v1/vms/:id/backup
- * @desc    Create VM backup
+ * @desc    Create VM backup in the background (202 with the operation)
  * @access  Private (Owner or Admin)
  */
 router.post('/:id/backup',
@@ -272,9 +558,155 @@ router.post('/:id/backup',
   VMController.createVMBackup
 );
 
+/**
+ * @route   GET /api/v1/vms/:id/backup-policy
+ * @desc    Get VM backup schedule and retention policy
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/backup-policy',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getBackupPolicy
+);
+
+/**
+ * @route   PUT /api/v1/vms/:id/backup-policy
+ * @desc    Create or update VM backup schedule and retention policy
+ * @access  Private (Owner or Admin)
+ */
+router.put('/:id/backup-policy',
+  apiRateLimit(),
+  validate(backupPolicySchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.updateBackupPolicy
+);
+
+/**
+ * @route   DELETE /api/v1/vms/:id/backup-policy
+ * @desc    Delete VM backup policy (existing backups are kept)
+ * @access  Private (Owner or Admin)
+ */
+router.delete('/:id/backup-policy',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.deleteBackupPolicy
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/health-check
+ * @desc    Get VM health check, its recovery policy and current health
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/health-check',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getHealthCheck
+);
+
+/**
+ * @route   PUT /api/v1/vms/:id/health-check
+ * @desc    Create or update VM health check and recovery policy
+ * @access  Private (Owner or Admin)
+ */
+router.put('/:id/health-check',
+  apiRateLimit(),
+  validate(healthCheckSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.updateHealthCheck
+);
+
+/**
+ * @route   DELETE /api/v1/vms/:id/health-check
+ * @desc    Delete VM health check (the health history is kept)
+ * @access  Private (Owner or Admin)
+ */
+router.delete('/:id/health-check',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.deleteHealthCheck
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/health
+ * @desc    Get VM health check results and recoveries, newest first
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/health',
+  apiRateLimit(),
+  validate(vmHealthHistorySchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getHealthHistory
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/secrets
+ * @desc    Get VM environment variables and secrets, secret values masked
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/secrets',
+  apiRateLimit(),
+  validate(vmActionSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.getSecrets
+);
+
+/**
+ * @route   GET /api/v1/vms/:id/secrets/:name
+ * @desc    Get the value of a VM environment variable or secret (audited)
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/secrets/:name',
+  apiRateLimit(),
+  validate(vmSecretIdSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.getSecret
+);
+
+/**
+ * @route   PUT /api/v1/vms/:id/secrets/:name
+ * @desc    Create or update a VM environment variable or secret, applied on the next start or restart
+ * @access  Private (Owner or Admin)
+ */
+router.put('/:id/secrets/:name',
+  apiRateLimit(),
+  validate(vmSecretSchema),
+  authenticate,
+  requireEmailVerification,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.setSecret
+);
+
+/**
+ * @route   DELETE /api/v1/vms/:id/secrets/:name
+ * @desc    Delete a VM environment variable or secret, applied on the next start or restart
+ * @access  Private (Owner or Admin)
+ */
+router.delete('/:id/secrets/:name',
+  apiRateLimit(),
+  validate(vmSecretIdSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.deleteSecret
+);
+
 /**
  * @route   POST /api/v1/vms/restore/:backupId
- * @desc    Restore VM from backup
+ * @desc    Restore VM from backup in the background (202 with the operation)
  * @access  Private (Owner or Admin)
  */
 router.post('/restore/:backupId',
@@ -285,6 +717,46 @@ router.post('/restore/:backupId',
   VMController.restoreVMFromBackup
 );
 
+/**
+ * @route   POST /api/v1/vms/backups/import
+ * @desc    Import a backup archive (raw application/gzip body) into a new VM
+ * @access  Private (User+)
+ */
+router.post('/backups/import',
+  apiRateLimit(),
+  validate(importBackupSchema),
+  authenticate,
+  requireEmailVerification,
+  requirePermission('vm:create'),
+  VMController.importBackup
+);
+
+/**
+ * @route   POST /api/v1/vms/backups/:backupId/export
+ * @desc    Export backup to a portable archive
+ * @access  Private (Owner or Admin)
+ */
+router.post('/backups/:backupId/export',
+  apiRateLimit(),
+  validate(backupArchiveSchema),
+  authenticate,
+  requireAnyPermission('vm:update:own', 'vm:update:all'),
+  VMController.exportBackup
+);
+
+/**
+ * @route   GET /api/v1/vms/backups/:backupId/download
+ * @desc    Download exported backup archive
+ * @access  Private (Owner or Admin)
+ */
+router.get('/backups/:backupId/download',
+  apiRateLimit(),
+  validate(backupArchiveSchema),
+  authenticate,
+  requireAnyPermission('vm:read:own', 'vm:read:all'),
+  VMController.downloadBackup
+);
+
 /**
  * @route   GET /api/v1/vms/:id/resources
  * @desc    Get VM resource usage stats
@@ -0,0 +1,102 @@
+const express = require('express');
+const VolumeController = require('../controllers/volumeController');
+const { validate } = require('../middlewares/validation');
+const { authenticate, requireEmailVerification } = require('../middlewares/auth');
+const { apiRateLimit } = require('../middlewares/security');
+const {
+  createVolumeSchema,
+  resizeVolumeSchema,
+  volumeIdSchema,
+  createVolumeSnapshotSchema,
+  volumeSnapshotIdSchema,
+} = require('../validations/vm.validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/volumes
+ * @desc    Get current user's volumes
+ * @access  Private
+ */
+router.get('/',
+  apiRateLimit(),
+  authenticate,
+  VolumeController.getVolumes
+);
+
+/**
+ * @route   POST /api/v1/volumes
+ * @desc    Create a volume, empty or from a snapshot
+ * @access  Private
+ */
+router.post('/',
+  apiRateLimit(),
+  validate(createVolumeSchema),
+  authenticate,
+  requireEmailVerification,
+  VolumeController.createVolume
+);
+
+/**
+ * @route   GET /api/v1/volumes/:id
+ * @desc    Get a volume with its VM and snapshots
+ * @access  Private
+ */
+router.get('/:id',
+  apiRateLimit(),
+  validate(volumeIdSchema),
+  authenticate,
+  VolumeController.getVolume
+);
+
+/**
+ * @route   POST /api/v1/volumes/:id/resize
+ * @desc    Grow a volume
+ * @access  Private
+ */
+router.post('/:id/resize',
+  apiRateLimit(),
+  validate(resizeVolumeSchema),
+  authenticate,
+  requireEmailVerification,
+  VolumeController.resizeVolume
+);
+
+/**
+ * @route   DELETE /api/v1/volumes/:id
+ * @desc    Delete a detached volume with its snapshots
+ * @access  Private
+ */
+router.delete('/:id',
+  apiRateLimit(),
+  validate(volumeIdSchema),
+  authenticate,
+  VolumeController.deleteVolume
+);
+
+/**
+ * @route   POST /api/v1/volumes/:id/snapshots
+ * @desc    Snapshot the content of a volume
+ * @access  Private
+ */
+router.post('/:id/snapshots',
+  apiRateLimit(),
+  validate(createVolumeSnapshotSchema),
+  authenticate,
+  requireEmailVerification,
+  VolumeController.createSnapshot
+);
+
+/**
+ * @route   DELETE /api/v1/volumes/:id/snapshots/:snapshotId
+ * @desc    Delete a volume snapshot
+ * @access  Private
+ */
+router.delete('/:id/snapshots/:snapshotId',
+  apiRateLimit(),
+  validate(volumeSnapshotIdSchema),
+  authenticate,
+  VolumeController.deleteSnapshot
+);
+
+module.exports = router;
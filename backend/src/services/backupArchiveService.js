@@ -0,0 +1,536 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+const VMService = require('./vmService');
+const NodeService = require('./nodeService');
+
+const ARCHIVE_FORMAT = 'sahary-backup';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_ENTRY = 'manifest.json';
+const IMAGE_ENTRY = 'image.tar';
+const MAX_MANIFEST_SIZE = 1024 * 1024;
+
+/**
+ * Backup Archive Service
+ * Exports backups to portable archives (manifest + `docker save` image, gzipped)
+ * and restores archives into new VMs
+ */
+class BackupArchiveService {
+    /**
+     * Get the archive storage directory
+     * @returns {string} Absolute storage path
+     */
+    static getStorageDir() {
+        return path.resolve(config.backup.storagePath);
+    }
+
+    /**
+     * Get the archive path of a backup
+     * @param {string} backupId - Backup ID
+     * @returns {string} Archive path
+     */
+    static getArchivePath(backupId) {
+        return path.join(this.getStorageDir(), `backup-${backupId}.tar.gz`);
+    }
+
+    /**
+     * Export a backup to a compressed archive in the storage directory
+     * @param {string} backupId - Backup ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {string} actorId - User performing the export
+     * @returns {Promise<Object>} Updated backup and manifest
+     */
+    static async exportBackup(backupId, userId, actorId) {
+        const storageDir = this.getStorageDir();
+        const archivePath = this.getArchivePath(backupId);
+        const tempImagePath = `${archivePath}.image.tmp`;
+        const tempArchivePath = `${archivePath}.tmp`;
+
+        try {
+            const backup = await this.findBackup(backupId, userId);
+
+            if (backup.backupType !== 'FULL') {
+                throw new Error('Only FULL backups can be exported');
+            }
+
+            if (backup.status !== 'COMPLETED' || !backup.dockerImageId) {
+                throw new Error('Only completed backups can be exported');
+            }
+
+            await fs.promises.mkdir(storageDir, { recursive: true });
+
+            // Tar entries need their size up front, so the image is saved to disk first
+            const docker = await NodeService.getDocker(backup.vm);
+            const image = await docker.exportImage(backup.dockerImageId);
+            const imageHash = crypto.createHash('sha256');
+            await pipeline(image.stream, this.createHashStream(imageHash), fs.createWriteStream(tempImagePath));
+            const imageStats = await fs.promises.stat(tempImagePath);
+
+            const manifest = this.buildManifest(backup, {
+                id: image.imageId,
+                tags: image.tags,
+                size: imageStats.size,
+                sha256: imageHash.digest('hex'),
+            });
+
+            const archiveHash = crypto.createHash('sha256');
+            const pack = tar.pack();
+            const written = pipeline(
+                pack,
+                zlib.createGzip(),
+                this.createHashStream(archiveHash),
+                fs.createWriteStream(tempArchivePath),
+            );
+
+            pack.entry({ name: MANIFEST_ENTRY }, JSON.stringify(manifest, null, 2));
+            const imageEntry = pack.entry({ name: IMAGE_ENTRY, size: imageStats.size });
+            await pipeline(fs.createReadStream(tempImagePath), imageEntry);
+            pack.finalize();
+            await written;
+
+            await fs.promises.rename(tempArchivePath, archivePath);
+
+            const checksum = archiveHash.digest('hex');
+            const archiveStats = await fs.promises.stat(archivePath);
+            await fs.promises.writeFile(`${archivePath}.sha256`, `${checksum}  ${path.basename(archivePath)}\n`);
+
+            const updatedBackup = await prisma.backup.update({
+                where: { id: backup.id },
+                data: {
+                    backupPath: archivePath,
+                    checksum,
+                    archiveSize: archiveStats.size,
+                    exportedAt: new Date(),
+                },
+            });
+
+            await VMService.logVMEvent(actorId, 'VM_BACKUP_EXPORTED', backup.vmId, {
+                backupId: backup.id,
+                backupName: backup.name,
+                checksum,
+                archiveSize: archiveStats.size,
+            });
+
+            return {
+                backup: updatedBackup,
+                manifest,
+            };
+        } catch (error) {
+            await this.removeFile(tempArchivePath);
+            throw new Error(`Backup export failed: ${error.message}`);
+        } finally {
+            await this.removeFile(tempImagePath);
+        }
+    }
+
+    /**
+     * Get the exported archive of a backup for download
+     * @param {string} backupId - Backup ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object>} Archive info ({ path, fileName, size, checksum })
+     */
+    static async getArchive(backupId, userId) {
+        try {
+            const backup = await this.findBackup(backupId, userId);
+
+            if (!backup.backupPath || !backup.checksum) {
+                throw new Error('Backup has not been exported');
+            }
+
+            try {
+                await fs.promises.access(backup.backupPath, fs.constants.R_OK);
+            } catch (error) {
+                throw new Error('Backup archive is missing from storage');
+            }
+
+            return {
+                path: backup.backupPath,
+                fileName: path.basename(backup.backupPath),
+                size: Number(backup.archiveSize),
+                checksum: backup.checksum,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get backup archive: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import an archive and restore it into a new VM
+     * @param {Object} stream - Readable archive stream
+     * @param {string} userId - Owner of the new VM
+     * @param {Object} options - Import options
+     * @param {string} options.checksum - Expected SHA-256 of the archive
+     * @param {string} options.name - New VM name (defaults to "<original>-imported")
+     * @returns {Promise<Object>} Created VM, backup and manifest
+     */
+    static async importArchive(stream, userId, options = {}) {
+        const importDir = path.join(this.getStorageDir(), 'imports');
+        const uploadPath = path.join(importDir, `import-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.tar.gz`);
+        let imagePath = null;
+        let archivePath = null;
+        let imageId = null;
+        let vm = null;
+
+        try {
+            await fs.promises.mkdir(importDir, { recursive: true });
+
+            const archiveHash = crypto.createHash('sha256');
+            await pipeline(
+                stream,
+                this.createHashStream(archiveHash, config.backup.maxImportSize),
+                fs.createWriteStream(uploadPath),
+            );
+            const checksum = archiveHash.digest('hex');
+
+            if (options.checksum && options.checksum.toLowerCase() !== checksum) {
+                throw new Error('Archive checksum mismatch');
+            }
+
+            const extracted = await this.extractArchive(uploadPath, importDir);
+            imagePath = extracted.imagePath;
+            const { manifest } = extracted;
+
+            this.validateManifest(manifest);
+
+            if (extracted.imageSha256 !== manifest.image.sha256) {
+                throw new Error('Image checksum mismatch');
+            }
+
+            // Images are imported on the local node, the VM is placed there. The archive tags are
+            // dropped so an upload cannot replace images of other VMs, the VM runs the loaded ID
+            const loaded = await dockerService.importImage(fs.createReadStream(imagePath), { untagged: true });
+            if (loaded.imageIds.length !== 1) {
+                throw new Error('Archive image must contain exactly one image');
+            }
+            [imageId] = loaded.imageIds;
+            const localNode = await NodeService.ensureLocalNode();
+
+            vm = await VMService.createVM(userId, {
+                name: options.name || `${manifest.vm.name}-imported`,
+                description: options.description || `Imported from backup: ${manifest.backup.name}`,
+                cpu: options.cpu || manifest.vm.cpu,
+                ram: options.ram || manifest.vm.ram,
+                storage: options.storage || manifest.vm.storage,
+                bandwidth: options.bandwidth || manifest.vm.bandwidth,
+                dockerImage: imageId,
+                placement: { nodeId: localNode.id },
+            });
+
+            const archiveStats = await fs.promises.stat(uploadPath);
+            const backup = await prisma.backup.create({
+                data: {
+                    name: manifest.backup.name,
+                    description: `Imported from archive ${checksum.slice(0, 12)}`,
+                    vmId: vm.id,
+                    userId,
+                    size: manifest.image.size,
+                    dockerImageId: imageId,
+                    status: 'COMPLETED',
+                    completedAt: new Date(),
+                    checksum,
+                    archiveSize: archiveStats.size,
+                    exportedAt: new Date(manifest.exportedAt),
+                },
+            });
+
+            // Keep the uploaded archive as the export of the imported backup
+            archivePath = this.getArchivePath(backup.id);
+            await fs.promises.rename(uploadPath, archivePath);
+            await fs.promises.writeFile(`${archivePath}.sha256`, `${checksum}  ${path.basename(archivePath)}\n`);
+            const importedBackup = await prisma.backup.update({
+                where: { id: backup.id },
+                data: { backupPath: archivePath },
+            });
+
+            await VMService.logVMEvent(userId, 'VM_IMPORTED_FROM_ARCHIVE', vm.id, {
+                vmName: vm.name,
+                backupId: backup.id,
+                originalVmId: manifest.vm.id,
+                checksum,
+            });
+
+            return {
+                vm,
+                backup: importedBackup,
+                manifest,
+            };
+        } catch (error) {
+            // Remove what was created so a failed import leaves no VM behind
+            if (vm) {
+                await VMService.deleteVM(vm.id, userId)
+                    .catch(deleteError => console.error(`Failed to remove imported VM ${vm.id}:`, deleteError));
+            }
+            if (archivePath) {
+                await this.removeArchive({ backupPath: archivePath });
+            }
+            if (imageId) {
+                await this.removeImportedImage(imageId);
+            }
+
+            throw new Error(`Backup import failed: ${error.message}`);
+        } finally {
+            await this.removeFile(uploadPath);
+            if (imagePath) {
+                await this.removeFile(imagePath);
+            }
+        }
+    }
+
+    /**
+     * Remove the image loaded by a failed import
+     * Identical images load under the same ID, an image a VM or backup uses is kept
+     * @param {string} imageId - Loaded image ID
+     * @returns {Promise<void>}
+     */
+    static async removeImportedImage(imageId) {
+        try {
+            const [backups, vms] = await Promise.all([
+                prisma.backup.count({ where: { dockerImageId: imageId } }),
+                prisma.virtualMachine.count({ where: { dockerImage: imageId } }),
+            ]);
+
+            if (backups === 0 && vms === 0) {
+                await dockerService.removeImage(imageId);
+            }
+        } catch (error) {
+            console.error(`Failed to remove imported image ${imageId}:`, error);
+        }
+    }
+
+    /**
+     * Extract the manifest and image of an archive
+     * The image is written next to the archive; the caller removes it
+     * @param {string} archivePath - Archive path
+     * @param {string} workDir - Directory for the extracted image
+     * @returns {Promise<Object>} Manifest, image path and image SHA-256
+     */
+    static extractArchive(archivePath, workDir) {
+        return new Promise((resolve, reject) => {
+            const extract = tar.extract();
+            const result = { manifest: null, imagePath: null, imageSha256: null };
+
+            extract.on('entry', (header, entryStream, next) => {
+                if (header.name === MANIFEST_ENTRY) {
+                    if (header.size > MAX_MANIFEST_SIZE) {
+                        extract.destroy(new Error('Archive manifest is too large'));
+                        return;
+                    }
+
+                    const chunks = [];
+                    entryStream.on('data', chunk => chunks.push(chunk));
+                    entryStream.on('end', () => {
+                        try {
+                            result.manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                            next();
+                        } catch (error) {
+                            extract.destroy(new Error('Archive manifest is not valid JSON'));
+                        }
+                    });
+                } else if (header.name === IMAGE_ENTRY) {
+                    const imageHash = crypto.createHash('sha256');
+                    result.imagePath = path.join(workDir, `${path.basename(archivePath)}.image.tmp`);
+                    pipeline(entryStream, this.createHashStream(imageHash), fs.createWriteStream(result.imagePath))
+                        .then(() => {
+                            result.imageSha256 = imageHash.digest('hex');
+                            next();
+                        })
+                        .catch(error => extract.destroy(error));
+                } else {
+                    entryStream.on('end', next);
+                    entryStream.resume();
+                }
+            });
+
+            // The upload size does not bound what it decompresses to
+            pipeline(
+                fs.createReadStream(archivePath),
+                zlib.createGunzip(),
+                this.createLimitStream(config.backup.maxImportImageSize, 'Archive exceeds the maximum image size'),
+                extract,
+            )
+                .then(() => {
+                    if (!result.manifest || !result.imagePath) {
+                        reject(new Error('Archive is missing its manifest or image'));
+                    } else {
+                        resolve(result);
+                    }
+                })
+                .catch(error => reject(new Error(`Invalid archive: ${error.message}`)));
+        });
+    }
+
+    /**
+     * Build the manifest stored in an archive
+     * @param {Object} backup - Backup with VM
+     * @param {Object} image - Saved image ({ id, tags, size, sha256 })
+     * @returns {Object} Manifest
+     */
+    static buildManifest(backup, image) {
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            backup: {
+                id: backup.id,
+                name: backup.name,
+                description: backup.description,
+                type: backup.backupType,
+                createdAt: backup.createdAt,
+            },
+            vm: {
+                id: backup.vm.id,
+                name: backup.vm.name,
+                cpu: backup.vm.cpu,
+                ram: backup.vm.ram,
+                storage: backup.vm.storage,
+                bandwidth: backup.vm.bandwidth,
+                dockerImage: backup.vm.dockerImage,
+            },
+            image,
+        };
+    }
+
+    /**
+     * Validate an archive manifest
+     * @param {Object} manifest - Manifest
+     * @returns {void}
+     */
+    static validateManifest(manifest) {
+        if (manifest.format !== ARCHIVE_FORMAT) {
+            throw new Error('Not a Sahary Cloud backup archive');
+        }
+
+        if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+            throw new Error(`Unsupported archive version: ${manifest.version}`);
+        }
+
+        if (!manifest.image || !manifest.image.id || !manifest.image.sha256 || !manifest.vm || !manifest.backup) {
+            throw new Error('Archive manifest is incomplete');
+        }
+    }
+
+    /**
+     * Remove the exported archive of a backup
+     * @param {Object} backup - Backup ({ backupPath })
+     * @returns {Promise<void>}
+     */
+    static async removeArchive(backup) {
+        if (!backup.backupPath) {
+            return;
+        }
+
+        await this.removeFile(backup.backupPath);
+        await this.removeFile(`${backup.backupPath}.sha256`);
+    }
+
+    /**
+     * Remove everything a backup keeps outside the database: its image, exported archive and changes archive
+     * @param {Object} backup - Backup ({ dockerImageId, backupPath, deltaPath, vm: { nodeId } })
+     * @returns {Promise<void>}
+     */
+    static async removeBackupFiles(backup) {
+        if (backup.dockerImageId) {
+            const docker = await NodeService.getDocker(backup.vm);
+            await docker.removeImage(backup.dockerImageId);
+        }
+
+        await this.removeArchive(backup);
+
+        if (backup.deltaPath) {
+            await this.removeFile(backup.deltaPath);
+        }
+    }
+
+    /**
+     * Find a backup with its VM, checking ownership
+     * @param {string} backupId - Backup ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object>} Backup
+     */
+    static async findBackup(backupId, userId) {
+        const where = { id: backupId };
+        if (userId) {
+            where.userId = userId;
+        }
+
+        const backup = await prisma.backup.findFirst({
+            where,
+            include: { vm: true },
+        });
+
+        if (!backup) {
+            throw new Error('Backup not found or access denied');
+        }
+
+        return backup;
+    }
+
+    /**
+     * Create a pass-through stream that hashes data and optionally enforces a size limit
+     * @param {Object} hash - crypto Hash instance
+     * @param {number} maxBytes - Maximum bytes allowed (optional)
+     * @returns {Transform} Pass-through stream
+     */
+    static createHashStream(hash, maxBytes = null) {
+        let total = 0;
+
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                total += chunk.length;
+                if (maxBytes && total > maxBytes) {
+                    callback(new Error('Archive exceeds the maximum import size'));
+                    return;
+                }
+
+                hash.update(chunk);
+                callback(null, chunk);
+            },
+        });
+    }
+
+    /**
+     * Create a pass-through stream that fails once a size limit is exceeded
+     * @param {number} maxBytes - Maximum bytes allowed
+     * @param {string} message - Error message when the limit is exceeded
+     * @returns {Transform} Pass-through stream
+     */
+    static createLimitStream(maxBytes, message) {
+        let total = 0;
+
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                total += chunk.length;
+                if (total > maxBytes) {
+                    callback(new Error(message));
+                    return;
+                }
+
+                callback(null, chunk);
+            },
+        });
+    }
+
+    /**
+     * Remove a file, ignoring missing files
+     * @param {string} filePath - File path
+     * @returns {Promise<void>}
+     */
+    static async removeFile(filePath) {
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Failed to remove ${filePath}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = BackupArchiveService;
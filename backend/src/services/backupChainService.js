@@ -0,0 +1,651 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+const VMService = require('./vmService');
+const NodeService = require('./nodeService');
+const VMStateMachine = require('./vmStateMachine');
+const OperationService = require('./operationService');
+const BackupArchiveService = require('./backupArchiveService');
+
+const CHANGE_DELETED = 2;
+const DELETED = 'deleted';
+const MAX_CHAIN_LENGTH = 100;
+
+/**
+ * Backup Chain Service
+ * Creates FULL, INCREMENTAL and DIFFERENTIAL backups and restores backup chains.
+ *
+ * FULL backups commit the container to an image. Every backup also stores a file index:
+ * the state of each path that differs from the VM image (`docker diff`). INCREMENTAL backups
+ * (against the latest backup) and DIFFERENTIAL backups (against the latest FULL backup) only
+ * store the paths whose state changed since their parent, as a tar archive plus deleted paths.
+ */
+class BackupChainService {
+    /**
+     * Request a VM backup, run in the background as an operation
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} backupName - Backup name
+     * @param {Object} options - Backup options ({ backupType, description })
+     * @returns {Promise<Object>} Queued operation
+     */
+    static async requestBackup(vmId, userId, backupName, options = {}) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(vm, 'BACKUP');
+
+            if (!vm.dockerContainerId) {
+                throw new Error('No container associated with this VM');
+            }
+
+            const params = { backupName, backupType: options.backupType || 'FULL' };
+
+            return await OperationService.enqueue('VM_BACKUP', { userId: vm.userId, vmId, params }, async (operation) => {
+                const backup = await this.createBackup(vmId, userId, backupName, options, operation);
+                return { backupId: backup.id, size: Number(backup.size) };
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to create VM backup');
+        }
+    }
+
+    /**
+     * Request a backup restore into a new VM, run in the background as an operation
+     * @param {string} backupId - Backup ID
+     * @param {string} userId - User ID
+     * @param {Object} restoreConfig - Restore configuration
+     * @returns {Promise<Object>} Queued operation
+     */
+    static async requestRestore(backupId, userId, restoreConfig) {
+        try {
+            const backup = await prisma.backup.findFirst({
+                where: {
+                    id: backupId,
+                    userId,
+                },
+            });
+
+            if (!backup) {
+                throw new Error('Backup not found or access denied');
+            }
+
+            const target = { userId, vmId: backup.vmId, params: { backupId } };
+
+            return await OperationService.enqueue('VM_RESTORE', target, async (operation) => {
+                const vm = await this.restoreBackup(backupId, userId, restoreConfig, operation);
+                return { vmId: vm.id, vmName: vm.name };
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to restore VM from backup');
+        }
+    }
+
+    /**
+     * Create a VM backup of any type
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} backupName - Backup name
+     * @param {Object} options - Backup options
+     * @param {string} options.backupType - FULL, INCREMENTAL or DIFFERENTIAL (default FULL)
+     * @param {string} options.description - Backup description
+     * @param {string} options.policyId - Backup policy that triggered the backup
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} Backup info
+     */
+    static async createBackup(vmId, userId, backupName, options = {}, operation = OperationService.untracked()) {
+        const backupType = options.backupType || 'FULL';
+
+        if (backupType === 'FULL') {
+            return this.createFullBackup(vmId, userId, backupName, options, operation);
+        }
+
+        return this.createDeltaBackup(vmId, userId, backupName, backupType, options, operation);
+    }
+
+    /**
+     * Create a FULL backup and index the container so later backups can build on it
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} backupName - Backup name
+     * @param {Object} options - Backup options ({ description, policyId })
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} Backup info
+     */
+    static async createFullBackup(vmId, userId, backupName, options = {}, operation = OperationService.untracked()) {
+        // The image commit cannot be interrupted, cancellation stops here at the latest
+        operation.throwIfCancelled();
+        await operation.progress(10, 'Committing container');
+        const backup = await VMService.createVMBackup(vmId, userId, backupName, options);
+
+        try {
+            await operation.progress(70, 'Indexing files');
+            const vm = await VMService.getVMById(vmId, userId);
+            const docker = await NodeService.getDocker(vm);
+            const scan = await this.scanContainer(
+                vm.dockerContainerId,
+                null,
+                null,
+                OperationService.untracked(),
+                docker,
+            );
+
+            const indexed = await prisma.backup.update({
+                where: { id: backup.id },
+                data: { fileIndex: scan.index },
+            });
+
+            return {
+                ...backup,
+                ...indexed,
+            };
+        } catch (error) {
+            // The image is still a valid backup, it just cannot be the parent of a chain
+            console.error(`Failed to index backup ${backup.id}:`, error.message);
+            return backup;
+        }
+    }
+
+    /**
+     * Create an INCREMENTAL or DIFFERENTIAL backup
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} backupName - Backup name
+     * @param {string} backupType - INCREMENTAL or DIFFERENTIAL
+     * @param {Object} options - Backup options ({ description, policyId })
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} Backup info
+     */
+    static async createDeltaBackup(vmId, userId, backupName, backupType, options = {}, operation = OperationService.untracked()) {
+        let backup = null;
+        let deltaPath = null;
+
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(vm, 'BACKUP');
+
+            if (!vm.dockerContainerId) {
+                throw new Error('No container associated with this VM');
+            }
+
+            const parent = await this.findParent(vmId, backupType);
+            operation.throwIfCancelled();
+
+            backup = await prisma.backup.create({
+                data: {
+                    name: backupName,
+                    description: options.description || null,
+                    backupType,
+                    status: 'IN_PROGRESS',
+                    vmId,
+                    userId,
+                    parentId: parent.id,
+                    policyId: options.policyId || null,
+                },
+            });
+
+            await fs.promises.mkdir(BackupArchiveService.getStorageDir(), { recursive: true });
+            deltaPath = this.getDeltaPath(backup.id);
+
+            await operation.progress(10, 'Archiving changed files');
+            const docker = await NodeService.getDocker(vm);
+            const scan = await this.scanContainer(vm.dockerContainerId, parent.fileIndex, deltaPath, operation, docker);
+
+            backup = await prisma.backup.update({
+                where: { id: backup.id },
+                data: {
+                    status: 'COMPLETED',
+                    size: scan.size,
+                    deltaPath,
+                    deletedPaths: scan.deletedPaths,
+                    fileIndex: scan.index,
+                    completedAt: new Date(),
+                },
+            });
+
+            await VMService.logVMEvent(userId, 'VM_BACKUP_CREATED', vmId, {
+                vmName: vm.name,
+                backupName,
+                backupId: backup.id,
+                backupType,
+                parentId: parent.id,
+                changedPaths: scan.changedPaths,
+                deletedPaths: scan.deletedPaths.length,
+                size: scan.size,
+            });
+
+            return backup;
+        } catch (error) {
+            if (backup) {
+                await prisma.backup.update({
+                    where: { id: backup.id },
+                    data: { status: 'FAILED' },
+                }).catch(() => {});
+            }
+
+            if (deltaPath) {
+                await BackupArchiveService.removeFile(deltaPath);
+            }
+
+            throw VMStateMachine.wrapError(error, 'Failed to create VM backup');
+        }
+    }
+
+    /**
+     * Find the parent of a new backup
+     * INCREMENTAL backups build on the latest completed backup, DIFFERENTIAL ones on the latest FULL backup
+     * @param {string} vmId - VM ID
+     * @param {string} backupType - INCREMENTAL or DIFFERENTIAL
+     * @returns {Promise<Object>} Parent backup
+     */
+    static async findParent(vmId, backupType) {
+        const where = { vmId, status: 'COMPLETED' };
+        if (backupType === 'DIFFERENTIAL') {
+            where.backupType = 'FULL';
+        }
+
+        const parent = await prisma.backup.findFirst({
+            where,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        if (!parent) {
+            throw new Error(`${backupType} backups require a completed FULL backup of the VM`);
+        }
+
+        if (!parent.fileIndex) {
+            throw new Error(`Backup "${parent.name}" has no file index, create a new FULL backup first`);
+        }
+
+        return parent;
+    }
+
+    /**
+     * Restore a backup into a new VM
+     * FULL backups are restored from their image, other backups from an image rebuilt from their chain
+     * @param {string} backupId - Backup ID
+     * @param {string} userId - User ID
+     * @param {Object} restoreConfig - Restore configuration
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} Restored VM info
+     */
+    static async restoreBackup(backupId, userId, restoreConfig, operation = OperationService.untracked()) {
+        try {
+            const backup = await prisma.backup.findFirst({
+                where: {
+                    id: backupId,
+                    userId,
+                },
+                include: { vm: true },
+            });
+
+            if (!backup) {
+                throw new Error('Backup not found or access denied');
+            }
+
+            operation.throwIfCancelled();
+
+            if (backup.backupType === 'FULL') {
+                await operation.progress(30, 'Creating VM');
+                return await VMService.restoreVMFromBackup(backupId, userId, restoreConfig);
+            }
+
+            const chain = await this.getChain(backup);
+            await operation.progress(10, `Rebuilding image from ${chain.length} backups`);
+
+            // Backup images are on the node of the VM, the restored VM is placed there too
+            const docker = await NodeService.getDocker(backup.vm);
+            const image = await docker.buildImageFromLayers(
+                chain[0].dockerImageId,
+                chain.slice(1).map(layer => ({
+                    archivePath: layer.deltaPath,
+                    deletedPaths: layer.deletedPaths,
+                })),
+                {
+                    repo: `sahary-restore/${backup.id}`,
+                    tag: new Date().toISOString().replace(/[:.]/g, '-'),
+                    comment: `Restored from ${backup.backupType} backup ${backup.name}`,
+                },
+            );
+
+            try {
+                operation.throwIfCancelled();
+            } catch (error) {
+                await docker.removeImage(image.imageId).catch(() => {});
+                throw error;
+            }
+
+            await operation.progress(60, 'Creating VM');
+            return await VMService.restoreVMFromBackup(backupId, userId, restoreConfig, {
+                dockerImage: image.imageId,
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to restore VM from backup');
+        }
+    }
+
+    /**
+     * Get the chain of a backup, from its FULL backup to the backup itself
+     * @param {Object} backup - Backup
+     * @returns {Promise<Object[]>} Backups in restore order
+     */
+    static async getChain(backup) {
+        const chain = [backup];
+        let current = backup;
+
+        while (current.backupType !== 'FULL') {
+            if (current.status !== 'COMPLETED' || !current.deltaPath) {
+                throw new Error(`Backup "${current.name}" in the chain is not completed`);
+            }
+
+            if (!fs.existsSync(current.deltaPath)) {
+                throw new Error(`Changes archive of backup "${current.name}" is missing`);
+            }
+
+            if (!current.parentId || chain.length > MAX_CHAIN_LENGTH) {
+                throw new Error(`Backup chain of "${backup.name}" is broken`);
+            }
+
+            current = await prisma.backup.findUnique({ where: { id: current.parentId } });
+            if (!current) {
+                throw new Error(`Backup chain of "${backup.name}" is broken`);
+            }
+
+            chain.unshift(current);
+        }
+
+        if (current.status !== 'COMPLETED' || !current.dockerImageId) {
+            throw new Error(`FULL backup "${current.name}" of the chain is not completed`);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Scan the changed paths of a container
+     * With a parent index and a delta path, paths whose state differs from the parent are
+     * written to a gzipped tar archive (paths relative to `/`)
+     * @param {string} containerId - Container ID
+     * @param {Object} parentIndex - File index of the parent backup (null for FULL backups)
+     * @param {string} deltaPath - Changes archive path (null to only build the index)
+     * @param {Object} operation - Operation tracker, checked for cancellation between paths
+     * @param {Object} docker - Docker client of the VM node
+     * @returns {Promise<Object>} Scan result ({ index, deletedPaths, changedPaths, size })
+     */
+    static async scanContainer(
+        containerId,
+        parentIndex = null,
+        deltaPath = null,
+        operation = OperationService.untracked(),
+        docker = dockerService,
+    ) {
+        const changes = await docker.getContainerChanges(containerId);
+        const leaves = this.getChangedLeaves(changes);
+
+        // Paths changed at the parent but no longer reported were reverted to the image content
+        if (parentIndex) {
+            Object.keys(parentIndex).forEach((filePath) => {
+                if (!leaves.has(filePath)) {
+                    leaves.set(filePath, null);
+                }
+            });
+        }
+
+        const index = {};
+        const deletedPaths = [];
+        let changedPaths = 0;
+
+        const pack = deltaPath ? tar.pack() : null;
+        const written = pack
+            ? pipeline(pack, zlib.createGzip(), fs.createWriteStream(deltaPath))
+            : Promise.resolve();
+        const tempPath = deltaPath ? `${deltaPath}.entry.tmp` : null;
+
+        try {
+            for (const filePath of Array.from(leaves.keys()).sort()) {
+                operation.throwIfCancelled();
+
+                const entry = leaves.get(filePath) === CHANGE_DELETED
+                    ? null
+                    : await this.readPath(containerId, filePath, tempPath, docker);
+
+                if (!entry) {
+                    index[filePath] = { type: DELETED };
+                    if (parentIndex && !this.isSameEntry(parentIndex[filePath], index[filePath])) {
+                        deletedPaths.push(filePath);
+                    }
+                    continue;
+                }
+
+                index[filePath] = entry;
+
+                if (pack && !this.isSameEntry(parentIndex && parentIndex[filePath], entry)) {
+                    await this.addEntry(pack, filePath, entry, tempPath);
+                    changedPaths++;
+                }
+            }
+
+            if (pack) {
+                pack.finalize();
+            }
+            await written;
+        } catch (error) {
+            if (pack) {
+                pack.destroy(error);
+                await written.catch(() => {});
+            }
+            throw error;
+        } finally {
+            if (tempPath) {
+                await BackupArchiveService.removeFile(tempPath);
+            }
+        }
+
+        const size = deltaPath ? (await fs.promises.stat(deltaPath)).size : 0;
+
+        return {
+            index,
+            deletedPaths,
+            changedPaths,
+            size,
+        };
+    }
+
+    /**
+     * Reduce `docker diff` output to the paths that carry the changes
+     * Directories are dropped when a path below them changed, and paths below a deleted path are dropped
+     * @param {Array} changes - Container changes ({ Path, Kind })
+     * @returns {Map<string, number>} Changed paths and their change kind
+     */
+    static getChangedLeaves(changes) {
+        const ancestors = new Set();
+        const deleted = new Set();
+
+        changes.forEach(({ Path: filePath, Kind: kind }) => {
+            if (kind === CHANGE_DELETED) {
+                deleted.add(filePath);
+            }
+
+            let dir = path.posix.dirname(filePath);
+            while (dir !== '/' && !ancestors.has(dir)) {
+                ancestors.add(dir);
+                dir = path.posix.dirname(dir);
+            }
+        });
+
+        const hasDeletedAncestor = (filePath) => {
+            let dir = path.posix.dirname(filePath);
+            while (dir !== '/') {
+                if (deleted.has(dir)) {
+                    return true;
+                }
+                dir = path.posix.dirname(dir);
+            }
+            return false;
+        };
+
+        const leaves = new Map();
+
+        changes.forEach(({ Path: filePath, Kind: kind }) => {
+            if (hasDeletedAncestor(filePath)) {
+                return;
+            }
+
+            if (kind === CHANGE_DELETED || !ancestors.has(filePath)) {
+                leaves.set(filePath, kind);
+            }
+        });
+
+        return leaves;
+    }
+
+    /**
+     * Read the state of a path in a container
+     * File contents are hashed (and copied to a temporary file when given), directories are not descended into
+     * @param {string} containerId - Container ID
+     * @param {string} filePath - Absolute path
+     * @param {string} tempPath - Temporary file for file contents (null to only hash them)
+     * @param {Object} docker - Docker client of the VM node
+     * @returns {Promise<Object|null>} Entry ({ type, mode, uid, gid, size, sha256, linkname }), or null if missing
+     */
+    static async readPath(containerId, filePath, tempPath, docker = dockerService) {
+        const stream = await docker.getContainerArchive(containerId, filePath);
+        if (!stream) {
+            return null;
+        }
+
+        const extract = tar.extract();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const finish = (error, entry) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+
+                stream.unpipe(extract);
+                stream.destroy();
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(entry);
+                }
+            };
+
+            extract.on('entry', (header, entryStream) => {
+                const entry = {
+                    type: header.type,
+                    mode: header.mode,
+                    uid: header.uid,
+                    gid: header.gid,
+                };
+
+                if (header.type === 'symlink') {
+                    entry.linkname = header.linkname;
+                }
+
+                if (header.type !== 'file') {
+                    entryStream.resume();
+                    finish(null, entry);
+                    return;
+                }
+
+                const hash = crypto.createHash('sha256');
+                const target = tempPath
+                    ? fs.createWriteStream(tempPath)
+                    : new Writable({ write: (chunk, encoding, callback) => callback() });
+
+                pipeline(entryStream, BackupArchiveService.createHashStream(hash), target)
+                    .then(() => finish(null, {
+                        ...entry,
+                        size: header.size,
+                        sha256: hash.digest('hex'),
+                    }))
+                    .catch(finish);
+            });
+
+            extract.on('finish', () => finish(new Error(`Empty archive for ${filePath}`)));
+            extract.on('error', finish);
+            stream.on('error', finish);
+
+            stream.pipe(extract);
+        });
+    }
+
+    /**
+     * Add a path to a changes archive
+     * @param {Object} pack - tar-stream pack
+     * @param {string} filePath - Absolute path
+     * @param {Object} entry - Path state
+     * @param {string} tempPath - Temporary file holding file contents
+     * @returns {Promise<void>}
+     */
+    static addEntry(pack, filePath, entry, tempPath) {
+        const header = {
+            name: filePath.replace(/^\/+/, ''),
+            type: entry.type,
+            mode: entry.mode,
+            uid: entry.uid,
+            gid: entry.gid,
+        };
+
+        if (entry.type === 'symlink') {
+            header.linkname = entry.linkname;
+        }
+
+        if (header.type !== 'file') {
+            return new Promise((resolve, reject) => {
+                pack.entry(header, error => (error ? reject(error) : resolve()));
+            });
+        }
+
+        header.size = entry.size;
+
+        return new Promise((resolve, reject) => {
+            const target = pack.entry(header, error => (error ? reject(error) : resolve()));
+            fs.createReadStream(tempPath).on('error', reject).pipe(target);
+        });
+    }
+
+    /**
+     * Compare two path states
+     * @param {Object} a - Path state
+     * @param {Object} b - Path state
+     * @returns {boolean} True if both states are the same
+     */
+    static isSameEntry(a, b) {
+        if (!a || !b) {
+            return false;
+        }
+
+        return ['type', 'mode', 'uid', 'gid', 'sha256', 'linkname']
+            .every(key => (a[key] === undefined ? null : a[key]) === (b[key] === undefined ? null : b[key]));
+    }
+
+    /**
+     * Get the changes archive path of a backup
+     * @param {string} backupId - Backup ID
+     * @returns {string} Changes archive path
+     */
+    static getDeltaPath(backupId) {
+        return path.join(BackupArchiveService.getStorageDir(), `delta-${backupId}.tar.gz`);
+    }
+}
+
+module.exports = BackupChainService;
@@ -0,0 +1,358 @@
+const cron = require('node-cron');
+const { prisma } = require('../config/database');
+const VMService = require('./vmService');
+const BackupArchiveService = require('./backupArchiveService');
+const BackupChainService = require('./backupChainService');
+
+/**
+ * Backup Policy Service
+ * Handles scheduled VM backups and their retention
+ */
+class BackupPolicyService {
+    /**
+     * Get the backup policy of a VM
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object|null>} Backup policy
+     */
+    static async getPolicy(vmId, userId = null) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            return await prisma.backupPolicy.findUnique({
+                where: { vmId },
+                include: {
+                    _count: {
+                        select: { backups: true },
+                    },
+                },
+            });
+        } catch (error) {
+            throw new Error(`Failed to get backup policy: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create or update the backup policy of a VM
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {Object} policyData - Policy data ({ schedule, keepDaily, keepWeekly, keepMonthly, isEnabled })
+     * @param {string} actorId - User performing the change
+     * @returns {Promise<Object>} Backup policy
+     */
+    static async upsertPolicy(vmId, userId, policyData, actorId) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            if (!cron.validate(policyData.schedule)) {
+                throw new Error(`Invalid schedule: ${policyData.schedule}`);
+            }
+
+            const data = {
+                schedule: policyData.schedule,
+                keepDaily: policyData.keepDaily,
+                keepWeekly: policyData.keepWeekly,
+                keepMonthly: policyData.keepMonthly,
+                isEnabled: policyData.isEnabled,
+            };
+
+            const policy = await prisma.backupPolicy.upsert({
+                where: { vmId },
+                update: data,
+                create: {
+                    ...data,
+                    vmId,
+                    userId: vm.userId,
+                },
+            });
+
+            await VMService.logVMEvent(actorId, 'VM_BACKUP_POLICY_UPDATED', vmId, {
+                vmName: vm.name,
+                policy: data,
+            });
+
+            return policy;
+        } catch (error) {
+            throw new Error(`Failed to save backup policy: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the backup policy of a VM
+     * Backups created by the policy are kept and no longer pruned
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {string} actorId - User performing the change
+     * @returns {Promise<void>}
+     */
+    static async deletePolicy(vmId, userId, actorId) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            const result = await prisma.backupPolicy.deleteMany({ where: { vmId } });
+            if (result.count === 0) {
+                throw new Error('Backup policy not found');
+            }
+
+            await VMService.logVMEvent(actorId, 'VM_BACKUP_POLICY_DELETED', vmId, {
+                vmName: vm.name,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete backup policy: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all enabled policies
+     * @returns {Promise<Object[]>} Enabled policies
+     */
+    static async getEnabledPolicies() {
+        return prisma.backupPolicy.findMany({
+            where: { isEnabled: true },
+            select: { id: true, schedule: true },
+        });
+    }
+
+    /**
+     * Run a backup policy: back up the VM, then apply retention
+     * Failures are recorded on the policy and reported to the VM owner as a notification
+     * @param {string} policyId - Policy ID
+     * @returns {Promise<Object>} Run result
+     */
+    static async runPolicy(policyId) {
+        const policy = await prisma.backupPolicy.findUnique({
+            where: { id: policyId },
+            include: {
+                vm: {
+                    select: { id: true, name: true },
+                },
+            },
+        });
+
+        if (!policy || !policy.isEnabled) {
+            return { skipped: true };
+        }
+
+        const startedAt = new Date();
+
+        try {
+            const backup = await BackupChainService.createBackup(
+                policy.vmId,
+                policy.userId,
+                this.buildBackupName(policy.vm.name, startedAt),
+                { policyId: policy.id },
+            );
+
+            await prisma.backupPolicy.update({
+                where: { id: policy.id },
+                data: {
+                    lastRunAt: startedAt,
+                    lastStatus: 'COMPLETED',
+                    lastError: null,
+                },
+            });
+
+            const retention = await this.applyRetention(policy);
+
+            return {
+                skipped: false,
+                backupId: backup.id,
+                pruned: retention.pruned,
+            };
+        } catch (error) {
+            await prisma.backupPolicy.update({
+                where: { id: policy.id },
+                data: {
+                    lastRunAt: startedAt,
+                    lastStatus: 'FAILED',
+                    lastError: error.message,
+                },
+            });
+
+            await this.notifyFailure(policy, error);
+
+            await VMService.logVMEvent(policy.userId, 'VM_SCHEDULED_BACKUP_FAILED', policy.vmId, {
+                vmName: policy.vm.name,
+                policyId: policy.id,
+                error: error.message,
+            });
+
+            return {
+                skipped: false,
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * Apply the retention rules of a policy, pruning expired backups with their images and archives
+     * Backups that other backups were taken against are kept until their chain is gone
+     * @param {Object} policy - Backup policy
+     * @returns {Promise<Object>} Prune results
+     */
+    static async applyRetention(policy) {
+        const backups = await prisma.backup.findMany({
+            where: {
+                policyId: policy.id,
+                status: 'COMPLETED',
+            },
+            select: {
+                id: true,
+                createdAt: true,
+                dockerImageId: true,
+                backupPath: true,
+                deltaPath: true,
+                vm: { select: { nodeId: true } },
+                _count: {
+                    select: { children: true },
+                },
+            },
+            orderBy: { createdAt: 'desc' },
+        });
+
+        const keep = this.selectBackupsToKeep(backups, policy);
+        const expired = backups.filter(backup => !keep.has(backup.id)
+            && !(backup._count && backup._count.children));
+
+        const results = { pruned: 0, failed: 0, errors: [] };
+
+        for (const backup of expired) {
+            try {
+                await BackupArchiveService.removeBackupFiles(backup);
+
+                await prisma.backup.delete({ where: { id: backup.id } });
+                results.pruned++;
+            } catch (error) {
+                results.failed++;
+                results.errors.push({ backupId: backup.id, error: error.message });
+            }
+        }
+
+        if (results.pruned > 0) {
+            await VMService.logVMEvent(policy.userId, 'VM_BACKUPS_PRUNED', policy.vmId, {
+                policyId: policy.id,
+                pruned: results.pruned,
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Apply retention for every policy
+     * @returns {Promise<Object>} Aggregated prune results
+     */
+    static async pruneAllPolicies() {
+        const policies = await prisma.backupPolicy.findMany();
+
+        const results = { policies: policies.length, pruned: 0, failed: 0, errors: [] };
+
+        for (const policy of policies) {
+            try {
+                const retention = await this.applyRetention(policy);
+                results.pruned += retention.pruned;
+                results.failed += retention.failed;
+                results.errors.push(...retention.errors);
+            } catch (error) {
+                results.failed++;
+                results.errors.push({ policyId: policy.id, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Select backups to keep (newest backup of each of the last N days, weeks and months)
+     * @param {Object[]} backups - Completed backups ({ id, createdAt })
+     * @param {Object} policy - Retention counts ({ keepDaily, keepWeekly, keepMonthly })
+     * @returns {Set<string>} IDs of backups to keep
+     */
+    static selectBackupsToKeep(backups, policy) {
+        const sorted = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const keep = new Set();
+
+        const periods = [
+            { count: policy.keepDaily, key: date => date.toISOString().slice(0, 10) },
+            { count: policy.keepWeekly, key: date => this.getWeekStart(date) },
+            { count: policy.keepMonthly, key: date => date.toISOString().slice(0, 7) },
+        ];
+
+        periods.forEach(({ count, key }) => {
+            const seen = new Set();
+
+            for (const backup of sorted) {
+                if (seen.size >= count) {
+                    break;
+                }
+
+                const period = key(new Date(backup.createdAt));
+                if (!seen.has(period)) {
+                    seen.add(period);
+                    keep.add(backup.id);
+                }
+            }
+        });
+
+        return keep;
+    }
+
+    /**
+     * Get the Monday (UTC) of the week a date falls in
+     * @param {Date} date - Date
+     * @returns {string} Week start (YYYY-MM-DD)
+     */
+    static getWeekStart(date) {
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+        return start.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Build the name of a scheduled backup
+     * Backup names become Docker repository names, so they are lowercased
+     * @param {string} vmName - VM name
+     * @param {Date} date - Backup time
+     * @returns {string} Backup name
+     */
+    static buildBackupName(vmName, date) {
+        const stamp = date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        return `auto-${vmName.toLowerCase()}-${stamp}`;
+    }
+
+    /**
+     * Notify the VM owner about a failed scheduled backup
+     * @param {Object} policy - Backup policy (with vm)
+     * @param {Error} error - Failure
+     * @returns {Promise<void>}
+     */
+    static async notifyFailure(policy, error) {
+        try {
+            await prisma.notification.create({
+                data: {
+                    userId: policy.userId,
+                    type: 'ERROR',
+                    title: 'Scheduled backup failed',
+                    message: `The scheduled backup of VM "${policy.vm.name}" failed: ${error.message}`,
+                    metadata: {
+                        vmId: policy.vmId,
+                        policyId: policy.id,
+                    },
+                },
+            });
+        } catch (notifyError) {
+            console.error('Failed to send backup failure notification:', notifyError);
+        }
+    }
+}
+
+module.exports = BackupPolicyService;
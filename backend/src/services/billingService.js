@@ -1,6 +1,11 @@
 const { prisma } = require('../config/database');
 const ValidationHelpers = require('../utils/validation.helpers');
 
+// Minutes between two usage collections (see jobs/usageCollector.js)
+const COLLECTION_INTERVAL_MINUTES = Math.round(
+    (parseInt(process.env.USAGE_COLLECTION_INTERVAL) || 5 * 60 * 1000) / 60000
+);
+
 /**
  * Billing Service
  * Handles usage tracking, cost calculation, and billing operations
@@ -388,6 +393,7 @@ class BillingService {
                 select: {
                     id: true,
                     dockerContainerId: true,
+                    nodeId: true,
                     cpu: true,
                     ram: true,
                     storage: true,
@@ -408,9 +414,10 @@ class BillingService {
                 };
             }
 
-            // Get Docker service for container stats
-            const dockerService = require('./dockerService');
-            const containerStats = await dockerService.getContainerStats(vm.dockerContainerId);
+            // Get the Docker client of the VM node for container stats
+            const NodeService = require('./nodeService');
+            const docker = await NodeService.getDocker(vm);
+            const containerStats = await docker.getContainerStats(vm.dockerContainerId);
 
             // Extract usage metrics
             const cpuUsage = containerStats.cpu_stats?.cpu_usage?.total_usage || 0;
@@ -471,6 +478,61 @@ class BillingService {
         }
     }
 
+    /**
+     * Get the running minutes of a VM not covered by a usage record yet
+     * @param {string} vmId - Virtual Machine ID
+     * @param {number} maxMinutes - Upper bound, a collection interval by default
+     * @returns {Promise<number>} Unbilled minutes
+     */
+    static async getUnbilledMinutes(vmId, maxMinutes = COLLECTION_INTERVAL_MINUTES) {
+        const [vm, lastRecord] = await Promise.all([
+            prisma.virtualMachine.findUnique({
+                where: { id: vmId },
+                select: { startedAt: true },
+            }),
+            prisma.usageRecord.findFirst({
+                where: { vmId },
+                orderBy: { timestamp: 'desc' },
+                select: { timestamp: true },
+            }),
+        ]);
+
+        const since = [vm && vm.startedAt, lastRecord && lastRecord.timestamp]
+            .filter(Boolean)
+            .map(date => new Date(date).getTime());
+
+        if (since.length === 0) {
+            return maxMinutes;
+        }
+
+        const minutes = Math.round((Date.now() - Math.max(...since)) / 60000);
+        return Math.min(Math.max(minutes, 0), maxMinutes);
+    }
+
+    /**
+     * Bill the unbilled minutes of a running VM at its current rate
+     * Called before the hourly rate changes so every minute is billed at the rate it ran with
+     * @param {string} vmId - Virtual Machine ID
+     * @param {number} maxMinutes - Upper bound, a collection interval by default
+     * @returns {Promise<Object|null>} Created usage record (null if nothing to bill)
+     */
+    static async prorateUsage(vmId, maxMinutes = COLLECTION_INTERVAL_MINUTES) {
+        try {
+            const duration = await this.getUnbilledMinutes(vmId, maxMinutes);
+            if (duration === 0) {
+                return null;
+            }
+
+            const currentUsage = await this.collectCurrentUsage(vmId);
+            return await this.recordUsage(vmId, {
+                ...currentUsage,
+                duration,
+            });
+        } catch (error) {
+            throw new Error(`Failed to prorate usage: ${error.message}`);
+        }
+    }
+
     /**
      * Periodic usage collection job (to be called by scheduler)
      * @returns {Promise<Object>} Collection results
@@ -493,13 +555,16 @@ class BillingService {
             // Collect usage for each VM
             for (const vm of runningVMs) {
                 try {
-                    const currentUsage = await this.collectCurrentUsage(vm.id);
-
-                    // Record usage with 5-minute duration (typical collection interval)
-                    await this.recordUsage(vm.id, {
-                        ...currentUsage,
-                        duration: 5,
-                    });
+                    // Only bill the minutes not prorated yet (e.g. by a resize)
+                    const duration = await this.getUnbilledMinutes(vm.id);
+                    if (duration > 0) {
+                        const currentUsage = await this.collectCurrentUsage(vm.id);
+
+                        await this.recordUsage(vm.id, {
+                            ...currentUsage,
+                            duration,
+                        });
+                    }
 
                     results.success++;
                 } catch (error) {
@@ -518,6 +583,184 @@ class BillingService {
         }
     }
 
+    /**
+     * Get the minutes of a volume not covered by a usage record yet
+     * Volumes are billed from their creation, attached or not
+     * @param {Object} volume - Volume ({ id, createdAt })
+     * @param {number} maxMinutes - Upper bound, a collection interval by default
+     * @returns {Promise<number>} Unbilled minutes
+     */
+    static async getUnbilledVolumeMinutes(volume, maxMinutes = COLLECTION_INTERVAL_MINUTES) {
+        const lastRecord = await prisma.volumeUsageRecord.findFirst({
+            where: { volumeId: volume.id },
+            orderBy: { timestamp: 'desc' },
+            select: { timestamp: true },
+        });
+
+        const since = Math.max(
+            new Date(volume.createdAt).getTime(),
+            lastRecord ? new Date(lastRecord.timestamp).getTime() : 0
+        );
+
+        const minutes = Math.round((Date.now() - since) / 60000);
+        return Math.min(Math.max(minutes, 0), maxMinutes);
+    }
+
+    /**
+     * Record volume usage for billing
+     * @param {Object} volume - Volume ({ id, name, size, hourlyRate, userId })
+     * @param {number} duration - Duration in minutes
+     * @returns {Promise<Object>} Created usage record
+     */
+    static async recordVolumeUsage(volume, duration) {
+        try {
+            const cost = (parseFloat(volume.hourlyRate) / 60) * duration;
+
+            return await prisma.volumeUsageRecord.create({
+                data: {
+                    volumeId: volume.id,
+                    volumeName: volume.name,
+                    size: volume.size,
+                    duration: parseInt(duration),
+                    cost: parseFloat(cost.toFixed(4)),
+                    userId: volume.userId,
+                    timestamp: new Date(),
+                },
+            });
+        } catch (error) {
+            throw new Error(`Failed to record volume usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Bill the unbilled minutes of a volume at its current rate
+     * Called before the volume is resized or deleted
+     * @param {string} volumeId - Volume ID
+     * @returns {Promise<Object|null>} Created usage record (null if nothing to bill)
+     */
+    static async prorateVolumeUsage(volumeId) {
+        try {
+            const volume = await prisma.volume.findUnique({ where: { id: volumeId } });
+            if (!volume) {
+                return null;
+            }
+
+            const duration = await this.getUnbilledVolumeMinutes(volume);
+            if (duration === 0) {
+                return null;
+            }
+
+            return await this.recordVolumeUsage(volume, duration);
+        } catch (error) {
+            throw new Error(`Failed to prorate volume usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Periodic volume usage collection (to be called by scheduler)
+     * @returns {Promise<Object>} Collection results
+     */
+    static async collectAllVolumesUsage() {
+        try {
+            const volumes = await prisma.volume.findMany({
+                select: {
+                    id: true,
+                    name: true,
+                    size: true,
+                    hourlyRate: true,
+                    createdAt: true,
+                    userId: true,
+                },
+            });
+
+            const results = {
+                success: 0,
+                failed: 0,
+                total: volumes.length,
+                errors: [],
+            };
+
+            for (const volume of volumes) {
+                try {
+                    const duration = await this.getUnbilledVolumeMinutes(volume);
+                    if (duration > 0) {
+                        await this.recordVolumeUsage(volume, duration);
+                    }
+
+                    results.success++;
+                } catch (error) {
+                    results.failed++;
+                    results.errors.push({
+                        volumeId: volume.id,
+                        volumeName: volume.name,
+                        error: error.message,
+                    });
+                }
+            }
+
+            return results;
+        } catch (error) {
+            throw new Error(`Failed to collect volume usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get volume usage of a user per volume, deleted volumes included
+     * @param {string} userId - User ID
+     * @param {Object} options - Query options ({ startDate, endDate })
+     * @returns {Promise<Object>} Volume usage
+     */
+    static async getVolumeUsage(userId, options = {}) {
+        try {
+            const { startDate, endDate } = options;
+
+            const where = { userId };
+            if (startDate || endDate) {
+                where.timestamp = {};
+                if (startDate) where.timestamp.gte = new Date(startDate);
+                if (endDate) where.timestamp.lte = new Date(endDate);
+            }
+
+            const records = await prisma.volumeUsageRecord.findMany({
+                where,
+                orderBy: { timestamp: 'asc' },
+            });
+
+            const volumes = new Map();
+            records.forEach((record) => {
+                const key = record.volumeId || record.volumeName;
+                const volume = volumes.get(key) || {
+                    volumeId: record.volumeId,
+                    volumeName: record.volumeName,
+                    size: 0,
+                    totalDuration: 0,
+                    gbHours: 0,
+                    totalCost: 0,
+                };
+
+                volume.size = record.size; // Latest size
+                volume.totalDuration += record.duration;
+                volume.gbHours += (record.size * record.duration) / 60;
+                volume.totalCost += parseFloat(record.cost);
+                volumes.set(key, volume);
+            });
+
+            const volumeUsage = [...volumes.values()].map(volume => ({
+                ...volume,
+                gbHours: parseFloat(volume.gbHours.toFixed(2)),
+                totalCost: parseFloat(volume.totalCost.toFixed(4)),
+            }));
+
+            return {
+                totalCost: parseFloat(volumeUsage.reduce((sum, volume) => sum + volume.totalCost, 0).toFixed(2)),
+                volumeCount: volumeUsage.length,
+                volumes: volumeUsage,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get volume usage: ${error.message}`);
+        }
+    }
+
     /**
      * Get usage summary for date range
      * @param {string} userId - User ID
@@ -689,13 +932,17 @@ class BillingService {
                 throw new Error('Invoice already exists for this billing period');
             }
 
-            // Get user usage for the period
-            const usage = await this.getUserUsage(userId, {
+            // Get user usage for the period, VMs and volumes are billed separately
+            const period = {
                 startDate: startDate.toISOString(),
                 endDate: endDate.toISOString(),
-            });
+            };
+            const [usage, volumeUsage] = await Promise.all([
+                this.getUserUsage(userId, period),
+                this.getVolumeUsage(userId, period),
+            ]);
 
-            if (usage.totalCost === 0) {
+            if (usage.totalCost === 0 && volumeUsage.totalCost === 0) {
                 throw new Error('No usage found for this billing period');
             }
 
@@ -704,7 +951,7 @@ class BillingService {
             dueDate.setDate(dueDate.getDate() + dueInDays);
 
             // Calculate subtotal, tax, and total
-            const subtotal = usage.totalCost;
+            const subtotal = usage.totalCost + volumeUsage.totalCost;
             const taxRate = parseFloat(process.env.TAX_RATE) || 0.15; // 15% default
             const taxAmount = subtotal * taxRate;
             const total = subtotal + taxAmount;
@@ -760,6 +1007,28 @@ class BillingService {
                 })
             );
 
+            // Create invoice items for each volume
+            const volumeItems = await Promise.all(
+                volumeUsage.volumes.map(async (volume) => {
+                    return prisma.invoiceItem.create({
+                        data: {
+                            invoiceId: invoice.id,
+                            description: `Volume: ${volume.volumeName} (${volume.size} GB)`,
+                            quantity: 1,
+                            unitPrice: parseFloat(volume.totalCost.toFixed(2)),
+                            amount: parseFloat(volume.totalCost.toFixed(2)),
+                            metadata: {
+                                volumeId: volume.volumeId,
+                                volumeName: volume.volumeName,
+                                size: volume.size,
+                                totalDuration: volume.totalDuration,
+                                gbHours: volume.gbHours,
+                            },
+                        },
+                    });
+                })
+            );
+
             // Log invoice creation
             await prisma.auditLog.create({
                 data: {
@@ -777,7 +1046,7 @@ class BillingService {
 
             return {
                 ...invoice,
-                items: invoiceItems,
+                items: [...invoiceItems, ...volumeItems],
             };
         } catch (error) {
             throw new Error(`Failed to generate invoice: ${error.message}`);
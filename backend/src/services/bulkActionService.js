@@ -0,0 +1,177 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const { VMStateError } = require('../utils/errors');
+const VMService = require('./vmService');
+const BackupChainService = require('./backupChainService');
+const VMStateMachine = require('./vmStateMachine');
+
+/**
+ * Actions a bulk request can run
+ * check throws when the action is not possible for a VM, run starts it
+ */
+const BULK_ACTIONS = {
+    start: {
+        check: vm => VMStateMachine.assertTransition(vm, 'START'),
+        run: (vm, userId) => VMService.requestStart(vm.id, userId),
+    },
+    stop: {
+        check: vm => VMStateMachine.assertTransition(vm, 'STOP'),
+        run: (vm, userId) => VMService.requestStop(vm.id, userId),
+    },
+    restart: {
+        check: vm => VMService.assertCanRestart(vm),
+        run: (vm, userId) => VMService.requestRestart(vm.id, userId),
+    },
+    backup: {
+        check: (vm) => {
+            VMStateMachine.assertAction(vm, 'BACKUP');
+            if (!vm.dockerContainerId) {
+                throw new Error('No container associated with this VM');
+            }
+        },
+        run: (vm, userId, options) => BackupChainService.requestBackup(
+            vm.id,
+            userId,
+            `${options.backupName || 'bulk'}-${vm.name}-${options.startedAt}`,
+            { backupType: options.backupType, description: 'Bulk backup' },
+        ),
+    },
+    delete: {
+        check: vm => VMStateMachine.assertAction(vm, 'DELETE'),
+        run: (vm, userId) => VMService.deleteVM(vm.id, userId),
+    },
+};
+
+/**
+ * Bulk Action Service
+ * Runs start, stop, restart, backup and delete on the VMs a project or tag selector matches
+ *
+ * Each VM is handled on its own: a VM the action is not possible for is skipped and a failure
+ * does not stop the others. Start, stop, restart and backup are queued as operations, the
+ * report links each VM to its operation.
+ */
+class BulkActionService {
+    /**
+     * Run an action on the user's VMs matching a selector
+     * @param {string} userId - User ID
+     * @param {Object} request - Bulk request
+     * @param {string} request.action - start, stop, restart, backup or delete
+     * @param {Object} request.selector - { projectId, tags, status }, projectId or tags is required
+     * @param {boolean} request.dryRun - Only report what the action would do
+     * @param {string} request.backupName - Backup name prefix
+     * @param {string} request.backupType - Backup type
+     * @returns {Promise<Object>} Report with a result per VM
+     */
+    static async runBulkAction(userId, request) {
+        const { action, selector = {}, dryRun = false, backupName, backupType } = request;
+
+        try {
+            const bulkAction = BULK_ACTIONS[action];
+            if (!bulkAction) {
+                throw new Error(`Unknown bulk action "${action}"`);
+            }
+
+            const vms = await this.selectVMs(userId, selector);
+            const options = {
+                backupName,
+                backupType,
+                startedAt: new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-'),
+            };
+
+            const results = [];
+            for (const vm of vms) {
+                results.push(await this.runOne(vm, userId, bulkAction, { ...options, dryRun }));
+            }
+
+            const report = {
+                action,
+                dryRun,
+                total: results.length,
+                summary: results.reduce((summary, result) => ({
+                    ...summary,
+                    [result.result]: (summary[result.result] || 0) + 1,
+                }), {}),
+                results,
+            };
+
+            if (!dryRun) {
+                await VMService.logVMEvent(userId, 'VM_BULK_ACTION', null, {
+                    action,
+                    selector,
+                    summary: report.summary,
+                    vmIds: results.map(result => result.vmId),
+                });
+            }
+
+            return report;
+        } catch (error) {
+            throw new Error(`Bulk ${action} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the user's VMs matching a selector
+     * @param {string} userId - User ID
+     * @param {Object} selector - { projectId, tags, status }
+     * @returns {Promise<Object[]>} VMs ({ id, name, status, dockerContainerId }) by name
+     */
+    static async selectVMs(userId, selector) {
+        const { projectId, tags = {}, status } = selector;
+
+        if (!projectId && Object.keys(tags).length === 0) {
+            throw new Error('Select VMs by project or tags');
+        }
+
+        const vms = await prisma.virtualMachine.findMany({
+            where: VMService.buildVMFilter(userId, { projectId, tags, status }),
+            select: { id: true, name: true, status: true, dockerContainerId: true },
+            orderBy: { name: 'asc' },
+        });
+
+        const { bulkMaxVMs } = config.projects;
+        if (vms.length > bulkMaxVMs) {
+            throw new Error(`Selector matches ${vms.length} VMs, at most ${bulkMaxVMs} per bulk action`);
+        }
+
+        return vms;
+    }
+
+    /**
+     * Run an action on one VM
+     * @param {Object} vm - VM ({ id, name, status, dockerContainerId })
+     * @param {string} userId - User ID
+     * @param {Object} bulkAction - Action ({ check, run })
+     * @param {Object} options - Action options ({ dryRun, backupName, backupType, startedAt })
+     * @returns {Promise<Object>} Result ({ vmId, name, result, operationId, error })
+     */
+    static async runOne(vm, userId, bulkAction, options) {
+        const entry = { vmId: vm.id, name: vm.name };
+
+        try {
+            bulkAction.check(vm);
+        } catch (error) {
+            return { ...entry, result: 'SKIPPED', error: error.message };
+        }
+
+        if (options.dryRun) {
+            return { ...entry, result: 'READY' };
+        }
+
+        try {
+            const operation = await bulkAction.run(vm, userId, options);
+
+            return operation
+                ? { ...entry, result: 'QUEUED', operationId: operation.id }
+                : { ...entry, result: 'DELETED' };
+        } catch (error) {
+            // The VM changed status since it was selected
+            if (error instanceof VMStateError) {
+                return { ...entry, result: 'SKIPPED', error: error.message };
+            }
+
+            return { ...entry, result: 'FAILED', error: error.message };
+        }
+    }
+}
+
+module.exports = BulkActionService;
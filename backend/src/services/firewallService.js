@@ -0,0 +1,200 @@
+const { execFile } = require('child_process');
+const config = require('../config');
+const { prisma } = require('../config/database');
+
+// All VM rules live in one chain, rebuilt atomically on every sync
+const FIREWALL_CHAIN = 'SAHARY-FIREWALL';
+// Docker evaluates this chain before its own forwarding rules
+const DOCKER_CHAIN = 'DOCKER-USER';
+const COMMAND_TIMEOUT = 10000; // 10 seconds
+
+// Syncs run one at a time, in order
+let syncQueue = Promise.resolve();
+
+/**
+ * Firewall Service
+ * Enforces VM security groups with iptables on the Docker host
+ * Only VMs on the local compute node can have security groups, the rules are not
+ * applied on the other nodes.
+ *
+ * Security groups are allow lists. Once a VM has a security group, inbound traffic
+ * to its addresses (default and private networks) is dropped unless a rule allows it. Outbound traffic is only
+ * restricted when one of its groups has egress rules. VMs without security groups
+ * are not filtered.
+ */
+class FirewallService {
+    /**
+     * Rebuild the host firewall from the security groups of all VMs
+     * @returns {Promise<Object>} Sync result ({ applied, vms, rules })
+     */
+    static sync() {
+        const run = syncQueue.then(() => this.apply());
+        syncQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Apply the firewall rules now
+     * Use sync() so concurrent changes cannot apply an outdated rule set last
+     * @returns {Promise<Object>} Sync result ({ applied, vms, rules })
+     */
+    static async apply() {
+        try {
+            if (!config.firewall.enabled) {
+                return { applied: false, vms: 0, rules: 0 };
+            }
+
+            const vms = await prisma.virtualMachine.findMany({
+                where: {
+                    AND: [
+                        { OR: [{ ipAddress: { not: null } }, { ipLeases: { some: {} } }] },
+                        // Rules are applied on this host, other nodes cannot be reached with iptables
+                        { OR: [{ nodeId: null }, { node: { endpoint: null } }] },
+                    ],
+                    securityGroups: { some: {} },
+                },
+                select: {
+                    id: true,
+                    ipAddress: true,
+                    ipLeases: {
+                        select: { address: true },
+                    },
+                    securityGroups: {
+                        select: { rules: true },
+                    },
+                },
+            });
+
+            const ruleset = this.buildRuleset(vms);
+            await this.run(config.firewall.iptablesRestore, ['--noflush'], ruleset);
+            await this.ensureJump();
+
+            return {
+                applied: true,
+                vms: vms.length,
+                rules: ruleset.split('\n').filter(line => line.startsWith('-A')).length,
+            };
+        } catch (error) {
+            throw new Error(`Firewall sync failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the iptables-restore input for a set of VMs
+     * @param {Object[]} vms - VMs with their addresses and security group rules
+     * @returns {string} iptables-restore input
+     */
+    static buildRuleset(vms) {
+        const lines = ['*filter', `:${FIREWALL_CHAIN} - [0:0]`];
+
+        vms.forEach((vm) => {
+            const rules = vm.securityGroups.flatMap(group => group.rules);
+            const ingress = rules.filter(rule => rule.direction === 'INGRESS');
+            const egress = rules.filter(rule => rule.direction === 'EGRESS');
+
+            this.getAddresses(vm).forEach((ipAddress) => {
+                lines.push(...this.buildAddressRules(`${ipAddress}/32`, ingress, egress));
+            });
+        });
+
+        lines.push('COMMIT', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Build the rules of one VM address
+     * @param {string} address - VM address in CIDR notation
+     * @param {Object[]} ingress - Inbound rules
+     * @param {Object[]} egress - Outbound rules
+     * @returns {string[]} iptables-restore lines
+     */
+    static buildAddressRules(address, ingress, egress) {
+        // Replies to allowed connections pass in both directions
+        const lines = [`-A ${FIREWALL_CHAIN} -d ${address} -m conntrack --ctstate RELATED,ESTABLISHED -j RETURN`];
+        ingress.forEach((rule) => {
+            lines.push(`-A ${FIREWALL_CHAIN} -d ${address} -s ${rule.cidr}${this.formatMatch(rule)} -j RETURN`);
+        });
+        lines.push(`-A ${FIREWALL_CHAIN} -d ${address} -j DROP`);
+
+        if (egress.length > 0) {
+            lines.push(`-A ${FIREWALL_CHAIN} -s ${address} -m conntrack --ctstate RELATED,ESTABLISHED -j RETURN`);
+            egress.forEach((rule) => {
+                lines.push(`-A ${FIREWALL_CHAIN} -s ${address} -d ${rule.cidr}${this.formatMatch(rule)} -j RETURN`);
+            });
+            lines.push(`-A ${FIREWALL_CHAIN} -s ${address} -j DROP`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Get every address of a VM, on the default and private networks
+     * @param {Object} vm - VM ({ ipAddress, ipLeases })
+     * @returns {string[]} Addresses
+     */
+    static getAddresses(vm) {
+        const addresses = [vm.ipAddress, ...(vm.ipLeases || []).map(lease => lease.address)];
+        return [...new Set(addresses.filter(Boolean))];
+    }
+
+    /**
+     * Format the protocol and port match of a rule
+     * @param {Object} rule - Security group rule
+     * @returns {string} iptables match arguments (with a leading space)
+     */
+    static formatMatch(rule) {
+        if (rule.protocol === 'ALL') {
+            return '';
+        }
+
+        const protocol = rule.protocol.toLowerCase();
+        if (protocol === 'icmp') {
+            return ' -p icmp';
+        }
+
+        const ports = rule.portTo && rule.portTo !== rule.portFrom
+            ? `${rule.portFrom}:${rule.portTo}`
+            : `${rule.portFrom}`;
+
+        return ` -p ${protocol} -m ${protocol} --dport ${ports}`;
+    }
+
+    /**
+     * Make Docker forwarded traffic go through the VM rules
+     * @returns {Promise<void>}
+     */
+    static async ensureJump() {
+        const rule = [DOCKER_CHAIN, '-j', FIREWALL_CHAIN];
+
+        try {
+            await this.run(config.firewall.iptables, ['-C', ...rule]);
+        } catch (error) {
+            await this.run(config.firewall.iptables, ['-I', ...rule]);
+        }
+    }
+
+    /**
+     * Run a firewall command
+     * @param {string} command - Executable
+     * @param {string[]} args - Arguments
+     * @param {string} input - Standard input
+     * @returns {Promise<string>} Standard output
+     */
+    static run(command, args, input = '') {
+        return new Promise((resolve, reject) => {
+            const child = execFile(command, args, { timeout: COMMAND_TIMEOUT }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`${command} failed: ${(stderr || error.message).trim()}`));
+                    return;
+                }
+                resolve(stdout);
+            });
+
+            // The exit status reports failures, not the pipe
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        });
+    }
+}
+
+module.exports = FirewallService;
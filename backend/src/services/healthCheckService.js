@@ -0,0 +1,520 @@
+const http = require('http');
+const net = require('net');
+const config = require('../config');
+const { prisma } = require('../config/database');
+const VMService = require('./vmService');
+const NodeService = require('./nodeService');
+const VMStateMachine = require('./vmStateMachine');
+
+// Longest failure output kept in the history
+const MAX_OUTPUT_LENGTH = 500;
+
+const truncate = text => (text && text.length > MAX_OUTPUT_LENGTH ? `${text.slice(0, MAX_OUTPUT_LENGTH)}…` : text);
+
+/**
+ * Health Check Service
+ * Handles user-configured VM health checks and the recovery policy applied when they fail
+ *
+ * HTTP and TCP checks connect from the API server to the private address of the VM, so the VM
+ * network of remote compute nodes has to be routable from it. COMMAND checks run in the container.
+ * A check only counts once the VM has been running for the start period of the check.
+ * Failed checks and recoveries are kept in the health history, passing checks only update the
+ * check itself.
+ */
+class HealthCheckService {
+    /**
+     * Get the health check of a VM
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object|null>} Health check
+     */
+    static async getCheck(vmId, userId = null) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            return await prisma.healthCheck.findUnique({ where: { vmId } });
+        } catch (error) {
+            throw new Error(`Failed to get health check: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create or update the health check of a VM
+     * Changing the check starts its state over
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {Object} checkData - Check and recovery policy
+     * @param {string} actorId - User performing the change
+     * @returns {Promise<Object>} Health check
+     */
+    static async upsertCheck(vmId, userId, checkData, actorId) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            const data = {
+                type: checkData.type,
+                port: checkData.type === 'COMMAND' ? null : checkData.port,
+                path: checkData.type === 'HTTP' ? checkData.path : null,
+                command: checkData.type === 'COMMAND' ? checkData.command : null,
+                interval: checkData.interval,
+                timeout: checkData.timeout,
+                startPeriod: checkData.startPeriod,
+                failureThreshold: checkData.failureThreshold,
+                action: checkData.action,
+                maxRestarts: checkData.maxRestarts,
+                isEnabled: checkData.isEnabled,
+            };
+
+            const check = await prisma.healthCheck.upsert({
+                where: { vmId },
+                update: {
+                    ...data,
+                    status: 'UNKNOWN',
+                    consecutiveFailures: 0,
+                    restartCount: 0,
+                    lastError: null,
+                },
+                create: {
+                    ...data,
+                    vmId,
+                },
+            });
+
+            await VMService.logVMEvent(actorId, 'VM_HEALTH_CHECK_UPDATED', vmId, {
+                vmName: vm.name,
+                check: data,
+            });
+
+            return check;
+        } catch (error) {
+            throw new Error(`Failed to save health check: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the health check of a VM
+     * The health history is kept
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {string} actorId - User performing the change
+     * @returns {Promise<void>}
+     */
+    static async deleteCheck(vmId, userId, actorId) {
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            const result = await prisma.healthCheck.deleteMany({ where: { vmId } });
+            if (result.count === 0) {
+                throw new Error('Health check not found');
+            }
+
+            await VMService.logVMEvent(actorId, 'VM_HEALTH_CHECK_DELETED', vmId, {
+                vmName: vm.name,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete health check: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the health history of a VM, newest first
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {Object} options - Query options ({ page, limit })
+     * @returns {Promise<Object>} Current check, results and pagination
+     */
+    static async getHistory(vmId, userId = null, options = {}) {
+        const { page = 1, limit = 20 } = options;
+
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            const [check, results, total] = await Promise.all([
+                prisma.healthCheck.findUnique({ where: { vmId } }),
+                prisma.healthCheckResult.findMany({
+                    where: { vmId },
+                    orderBy: { createdAt: 'desc' },
+                    skip: (page - 1) * limit,
+                    take: limit,
+                }),
+                prisma.healthCheckResult.count({ where: { vmId } }),
+            ]);
+
+            return {
+                check,
+                results,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            };
+        } catch (error) {
+            throw new Error(`Failed to get health history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run the checks that are due
+     * Checks of VMs that are not running are reset, their next result starts a new streak
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Run summary
+     */
+    static async runDueChecks(now = new Date()) {
+        // A restart requested by the check keeps its restart count
+        await prisma.healthCheck.updateMany({
+            where: {
+                vm: { status: { notIn: ['RUNNING', 'RESTARTING'] } },
+                OR: [
+                    { status: { not: 'UNKNOWN' } },
+                    { consecutiveFailures: { gt: 0 } },
+                    { restartCount: { gt: 0 } },
+                ],
+            },
+            data: { status: 'UNKNOWN', consecutiveFailures: 0, restartCount: 0 },
+        });
+
+        const checks = await prisma.healthCheck.findMany({
+            where: {
+                isEnabled: true,
+                vm: { status: 'RUNNING', dockerContainerId: { not: null } },
+            },
+            include: {
+                vm: {
+                    select: {
+                        id: true,
+                        name: true,
+                        status: true,
+                        userId: true,
+                        nodeId: true,
+                        ipAddress: true,
+                        dockerContainerId: true,
+                        startedAt: true,
+                    },
+                },
+            },
+        });
+
+        const due = checks.filter(check => !check.lastCheckedAt
+            || now - new Date(check.lastCheckedAt) >= check.interval * 1000);
+
+        const summary = { checked: 0, healthy: 0, failed: 0, actions: [] };
+
+        for (let index = 0; index < due.length; index += config.healthChecks.concurrency) {
+            const batch = due.slice(index, index + config.healthChecks.concurrency);
+
+            const outcomes = await Promise.all(batch.map(check => this.runCheck(check, now).catch((error) => {
+                console.error(`Failed to run health check of VM ${check.vmId}:`, error);
+                return null;
+            })));
+
+            outcomes.filter(Boolean).forEach((outcome) => {
+                summary.checked++;
+                summary[outcome.healthy ? 'healthy' : 'failed']++;
+
+                if (outcome.action) {
+                    summary.actions.push({ vmId: outcome.vmId, action: outcome.action });
+                }
+            });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run a health check and apply its recovery policy
+     * @param {Object} check - Health check with its VM
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Outcome ({ vmId, healthy, status, action })
+     */
+    static async runCheck(check, now = new Date()) {
+        const { vm } = check;
+        const result = await this.probe(check, vm);
+
+        if (result.healthy) {
+            return this.recordSuccess(check, result, now);
+        }
+
+        // The service may still be starting
+        const runningFor = vm.startedAt ? now - new Date(vm.startedAt) : Infinity;
+        if (runningFor < check.startPeriod * 1000) {
+            await prisma.healthCheck.update({
+                where: { id: check.id },
+                data: { lastCheckedAt: now, lastError: result.output },
+            });
+
+            return { vmId: vm.id, healthy: false, status: check.status, action: null };
+        }
+
+        return this.recordFailure(check, result, now);
+    }
+
+    /**
+     * Record a passing check
+     * @param {Object} check - Health check with its VM
+     * @param {Object} result - Probe result
+     * @param {Date} now - Check time
+     * @returns {Promise<Object>} Outcome
+     */
+    static async recordSuccess(check, result, now) {
+        const { vm } = check;
+
+        await prisma.healthCheck.update({
+            where: { id: check.id },
+            data: {
+                status: 'HEALTHY',
+                consecutiveFailures: 0,
+                restartCount: 0,
+                lastCheckedAt: now,
+                lastError: null,
+            },
+        });
+
+        // Only a change of health is kept, the history would otherwise fill with passing checks
+        if (check.status !== 'HEALTHY') {
+            await prisma.healthCheckResult.create({
+                data: {
+                    vmId: vm.id,
+                    healthy: true,
+                    status: 'HEALTHY',
+                    duration: result.duration,
+                },
+            });
+        }
+
+        if (check.status === 'UNHEALTHY') {
+            await this.notify(vm, 'SUCCESS', 'VM recovered', `VM "${vm.name}" passes its health check again`);
+            await VMService.logVMEvent(null, 'VM_HEALTH_RECOVERED', vm.id, { vmName: vm.name });
+        }
+
+        return { vmId: vm.id, healthy: true, status: 'HEALTHY', action: null };
+    }
+
+    /**
+     * Record a failed check and recover the VM once the failure threshold is reached
+     * @param {Object} check - Health check with its VM
+     * @param {Object} result - Probe result
+     * @param {Date} now - Check time
+     * @returns {Promise<Object>} Outcome
+     */
+    static async recordFailure(check, result, now) {
+        const { vm } = check;
+        const failures = check.consecutiveFailures + 1;
+        const reached = failures === check.failureThreshold;
+        const status = failures >= check.failureThreshold ? 'UNHEALTHY' : check.status;
+
+        const action = reached ? await this.recover(check, failures, result.output) : null;
+
+        // A restart gives the VM a new streak of failures before the next one
+        const restarted = action === 'RESTARTED';
+
+        await prisma.healthCheck.update({
+            where: { id: check.id },
+            data: {
+                status,
+                consecutiveFailures: restarted ? 0 : failures,
+                ...(restarted && { restartCount: { increment: 1 } }),
+                lastCheckedAt: now,
+                lastError: result.output,
+            },
+        });
+
+        await prisma.healthCheckResult.create({
+            data: {
+                vmId: vm.id,
+                healthy: false,
+                status,
+                output: result.output,
+                duration: result.duration,
+                action,
+            },
+        });
+
+        if (reached) {
+            await VMService.logVMEvent(null, 'VM_HEALTH_CHECK_FAILED', vm.id, {
+                vmName: vm.name,
+                failures,
+                action,
+                error: result.output,
+            });
+        }
+
+        return { vmId: vm.id, healthy: false, status, action };
+    }
+
+    /**
+     * Apply the recovery policy of a check to its unhealthy VM
+     * @param {Object} check - Health check with its VM
+     * @param {number} failures - Consecutive failures
+     * @param {string} reason - Last failure
+     * @returns {Promise<string>} Action taken (NOTIFIED, RESTARTED, MARKED_ERROR, GAVE_UP or RECOVERY_FAILED)
+     */
+    static async recover(check, failures, reason) {
+        const { vm } = check;
+        const failed = `VM "${vm.name}" failed its health check ${failures} times in a row: ${reason}`;
+
+        try {
+            if (check.action === 'RESTART') {
+                if (check.restartCount >= check.maxRestarts) {
+                    const gaveUp = `It was restarted ${check.restartCount} times without recovering and is left as is`;
+                    await this.notify(vm, 'ERROR', 'VM unhealthy', `${failed}. ${gaveUp}.`);
+                    return 'GAVE_UP';
+                }
+
+                await VMService.requestRestart(vm.id, null);
+                await this.notify(vm, 'WARNING', 'VM restarted', `${failed}. It is being restarted.`);
+                return 'RESTARTED';
+            }
+
+            if (check.action === 'MARK_ERROR') {
+                await VMStateMachine.transition(vm, 'HEALTH_CHECK_FAILED', {
+                    reason: `Health check failed ${failures} times: ${reason}`,
+                });
+                await this.notify(vm, 'ERROR', 'VM stopped', `${failed}. It was stopped and marked as failed.`);
+                return 'MARKED_ERROR';
+            }
+
+            await this.notify(vm, 'ERROR', 'VM unhealthy', `${failed}.`);
+            return 'NOTIFIED';
+        } catch (error) {
+            console.error(`Failed to recover VM ${vm.id}:`, error);
+            await this.notify(vm, 'ERROR', 'VM unhealthy', `${failed}. Recovery failed: ${error.message}`);
+            return 'RECOVERY_FAILED';
+        }
+    }
+
+    /**
+     * Probe a VM
+     * @param {Object} check - Health check
+     * @param {Object} vm - VM ({ nodeId, ipAddress, dockerContainerId })
+     * @returns {Promise<Object>} Result ({ healthy, output, duration })
+     */
+    static async probe(check, vm) {
+        const startedAt = Date.now();
+        const timeout = check.timeout * 1000;
+
+        try {
+            if (check.type === 'COMMAND') {
+                const docker = await NodeService.getDocker(vm);
+                const command = ['sh', '-c', check.command];
+                const result = await docker.execInContainer(vm.dockerContainerId, command, { timeout });
+
+                if (result.exitCode !== 0) {
+                    const output = result.output ? `: ${result.output}` : '';
+                    throw new Error(`Command exited with code ${result.exitCode}${output}`);
+                }
+            } else {
+                if (!vm.ipAddress) {
+                    throw new Error('VM has no IP address');
+                }
+
+                if (check.type === 'HTTP') {
+                    await this.probeHttp(vm.ipAddress, check.port, check.path, timeout);
+                } else {
+                    await this.probeTcp(vm.ipAddress, check.port, timeout);
+                }
+            }
+
+            return { healthy: true, output: null, duration: Date.now() - startedAt };
+        } catch (error) {
+            return { healthy: false, output: truncate(error.message), duration: Date.now() - startedAt };
+        }
+    }
+
+    /**
+     * Request a URL of the VM, 2xx and 3xx responses pass
+     * @param {string} host - VM address
+     * @param {number} port - Port
+     * @param {string} path - Request path
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<void>}
+     */
+    static probeHttp(host, port, path, timeout) {
+        return new Promise((resolve, reject) => {
+            const request = http.get({ host, port, path, timeout }, (response) => {
+                response.resume();
+
+                if (response.statusCode >= 200 && response.statusCode < 400) {
+                    resolve();
+                } else {
+                    reject(new Error(`HTTP ${response.statusCode}`));
+                }
+            });
+
+            request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeout}ms`)));
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Open a TCP connection to the VM
+     * @param {string} host - VM address
+     * @param {number} port - Port
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<void>}
+     */
+    static probeTcp(host, port, timeout) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host, port, timeout }, () => {
+                socket.end();
+                resolve();
+            });
+
+            socket.on('timeout', () => socket.destroy(new Error(`Timed out after ${timeout}ms`)));
+            socket.on('error', reject);
+        });
+    }
+
+    /**
+     * Delete health history older than HEALTH_HISTORY_RETENTION_DAYS
+     * @returns {Promise<number>} Deleted results
+     */
+    static async pruneHistory() {
+        const cutoff = new Date(Date.now() - config.healthChecks.retentionDays * 24 * 60 * 60 * 1000);
+
+        const { count } = await prisma.healthCheckResult.deleteMany({
+            where: { createdAt: { lt: cutoff } },
+        });
+
+        return count;
+    }
+
+    /**
+     * Notify the VM owner about its health
+     * @param {Object} vm - VM ({ id, name, userId })
+     * @param {string} type - Notification type
+     * @param {string} title - Title
+     * @param {string} message - Message
+     * @returns {Promise<void>}
+     */
+    static async notify(vm, type, title, message) {
+        try {
+            await prisma.notification.create({
+                data: {
+                    userId: vm.userId,
+                    type,
+                    title,
+                    message,
+                    metadata: { vmId: vm.id },
+                },
+            });
+        } catch (error) {
+            console.error('Failed to send VM health notification:', error);
+        }
+    }
+}
+
+module.exports = HealthCheckService;
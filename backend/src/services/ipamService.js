@@ -0,0 +1,512 @@
+const { prisma } = require('../config/database');
+const CidrUtils = require('../utils/cidr');
+
+// Default pool matches the subnet of the sahary-network bridge (see DockerService.createNetwork)
+const DEFAULT_POOL = {
+    name: 'default',
+    network: process.env.IPAM_DEFAULT_NETWORK || 'sahary-network',
+    cidr: process.env.IPAM_DEFAULT_CIDR || '172.20.0.0/16',
+    gateway: process.env.IPAM_DEFAULT_GATEWAY || '172.20.0.1',
+};
+
+// Attempts before giving up when concurrent allocations race for the same address
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+/**
+ * IPAM Service
+ * Manages IP pools and address leases for virtual machines
+ */
+class IpamService {
+    /**
+     * Make sure the default pool exists for the default network
+     * @returns {Promise<Object>} Default pool
+     */
+    static async ensureDefaultPool() {
+        const existing = await prisma.ipPool.findFirst({
+            where: { network: DEFAULT_POOL.network },
+            orderBy: { createdAt: 'asc' },
+        });
+
+        if (existing) {
+            return existing;
+        }
+
+        return prisma.ipPool.upsert({
+            where: { name: DEFAULT_POOL.name },
+            update: {},
+            create: {
+                ...DEFAULT_POOL,
+                cidr: CidrUtils.parse(DEFAULT_POOL.cidr).cidr,
+                description: 'Default VM address pool',
+            },
+        });
+    }
+
+    /**
+     * Allocate an address for a VM
+     * Returns the VM's existing lease on the network when it already holds one
+     * @param {string} vmId - VM ID
+     * @param {Object} options - Allocation options
+     * @param {string} options.network - Docker network (defaults to IPAM_DEFAULT_NETWORK)
+     * @returns {Promise<Object>} Lease with pool
+     */
+    static async allocateAddress(vmId, options = {}) {
+        const network = options.network || DEFAULT_POOL.network;
+
+        try {
+            const existingLease = await prisma.ipLease.findFirst({
+                where: { vmId, type: 'ALLOCATED', pool: { network } },
+                include: { pool: true },
+            });
+
+            if (existingLease) {
+                return existingLease;
+            }
+
+            if (network === DEFAULT_POOL.network) {
+                await this.ensureDefaultPool();
+            }
+
+            const pools = await prisma.ipPool.findMany({
+                where: { network, isActive: true },
+                orderBy: { createdAt: 'asc' },
+            });
+
+            if (pools.length === 0) {
+                throw new Error(`No active IP pool for network ${network}`);
+            }
+
+            for (const pool of pools) {
+                for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt += 1) {
+                    const address = CidrUtils.findFreeAddress(
+                        pool.cidr,
+                        await this.getUsedAddresses(pool),
+                        pool,
+                    );
+
+                    if (!address) {
+                        break;
+                    }
+
+                    try {
+                        return await prisma.ipLease.create({
+                            data: {
+                                address,
+                                type: 'ALLOCATED',
+                                poolId: pool.id,
+                                vmId,
+                            },
+                            include: { pool: true },
+                        });
+                    } catch (error) {
+                        // Another allocation took this address first, try the next free one
+                        if (error.code !== 'P2002') {
+                            throw error;
+                        }
+                    }
+                }
+            }
+
+            throw new Error(`IP pool exhausted for network ${network}`);
+        } catch (error) {
+            throw new Error(`IP allocation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Release addresses allocated to a VM
+     * @param {string} vmId - VM ID
+     * @param {Object} options - Release options
+     * @param {string} options.network - Only release the address on this Docker network
+     * @returns {Promise<number>} Number of released leases
+     */
+    static async releaseVMAddresses(vmId, options = {}) {
+        try {
+            const result = await prisma.ipLease.deleteMany({
+                where: {
+                    vmId,
+                    type: 'ALLOCATED',
+                    ...(options.network && { pool: { network: options.network } }),
+                },
+            });
+
+            return result.count;
+        } catch (error) {
+            throw new Error(`IP release failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get addresses in use within a pool (leases and VMs holding addresses in its block)
+     * Only VMs in the block without a lease in the pool are read, those predate IPAM
+     * @param {Object} pool - IP pool
+     * @returns {Promise<string[]>} Used addresses
+     */
+    static async getUsedAddresses(pool) {
+        const [leases, vms] = await Promise.all([
+            prisma.ipLease.findMany({
+                where: { poolId: pool.id },
+                select: { address: true },
+            }),
+            prisma.virtualMachine.findMany({
+                where: {
+                    ipAddress: { startsWith: CidrUtils.getTextPrefix(pool.cidr) },
+                    ipLeases: { none: { poolId: pool.id } },
+                },
+                select: { ipAddress: true },
+            }),
+        ]);
+
+        const used = new Set(leases.map(lease => lease.address));
+        vms.forEach((vm) => {
+            if (CidrUtils.isIPv4(vm.ipAddress) && CidrUtils.contains(pool.cidr, vm.ipAddress)) {
+                used.add(vm.ipAddress);
+            }
+        });
+
+        return Array.from(used);
+    }
+
+    /**
+     * Create an IP pool (admin only)
+     * @param {Object} poolData - Pool data ({ name, network, cidr, gateway, rangeStart, rangeEnd, description, privateNetworkId })
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<Object>} Created pool
+     */
+    static async createPool(poolData, adminId) {
+        try {
+            const { cidr } = CidrUtils.parse(poolData.cidr);
+            const gateway = poolData.gateway || CidrUtils.intToIp(CidrUtils.parse(cidr).network + 1);
+
+            if (!CidrUtils.contains(cidr, gateway)) {
+                throw new Error(`Gateway ${gateway} is outside ${cidr}`);
+            }
+
+            ['rangeStart', 'rangeEnd'].forEach((field) => {
+                if (poolData[field] && !CidrUtils.contains(cidr, poolData[field])) {
+                    throw new Error(`${field} ${poolData[field]} is outside ${cidr}`);
+                }
+            });
+
+            // Throws when the range is empty
+            CidrUtils.getHostRange(cidr, { ...poolData, gateway });
+
+            const pools = await prisma.ipPool.findMany({ select: { name: true, cidr: true } });
+            const overlapping = pools.find(pool => CidrUtils.overlaps(pool.cidr, cidr));
+            if (overlapping) {
+                throw new Error(`CIDR ${cidr} overlaps pool ${overlapping.name} (${overlapping.cidr})`);
+            }
+
+            const pool = await prisma.ipPool.create({
+                data: {
+                    name: poolData.name,
+                    description: poolData.description || null,
+                    network: poolData.network,
+                    cidr,
+                    gateway,
+                    rangeStart: poolData.rangeStart || null,
+                    rangeEnd: poolData.rangeEnd || null,
+                    privateNetworkId: poolData.privateNetworkId || null,
+                },
+            });
+
+            await this.logPoolEvent(adminId, 'IP_POOL_CREATED', pool.id, pool);
+
+            return pool;
+        } catch (error) {
+            throw new Error(`Failed to create IP pool: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update an IP pool (admin only)
+     * Only the name, description and active flag can change once addresses are leased
+     * @param {string} poolId - Pool ID
+     * @param {Object} updateData - Fields to update ({ name, description, isActive })
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<Object>} Updated pool
+     */
+    static async updatePool(poolId, updateData, adminId) {
+        try {
+            const data = {};
+            ['name', 'description', 'isActive'].forEach((field) => {
+                if (updateData[field] !== undefined) {
+                    data[field] = updateData[field];
+                }
+            });
+
+            const pool = await prisma.ipPool.update({
+                where: { id: poolId },
+                data,
+            });
+
+            await this.logPoolEvent(adminId, 'IP_POOL_UPDATED', pool.id, data);
+
+            return pool;
+        } catch (error) {
+            throw new Error(`Failed to update IP pool: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an IP pool (admin only)
+     * @param {string} poolId - Pool ID
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<void>}
+     */
+    static async deletePool(poolId, adminId) {
+        try {
+            const allocated = await prisma.ipLease.count({
+                where: { poolId, type: 'ALLOCATED' },
+            });
+
+            if (allocated > 0) {
+                throw new Error(`Pool still has ${allocated} allocated addresses`);
+            }
+
+            const existing = await prisma.ipPool.findUnique({ where: { id: poolId } });
+            if (existing && existing.privateNetworkId) {
+                throw new Error('Pool belongs to a private network, delete the network instead');
+            }
+
+            const pool = await prisma.ipPool.delete({ where: { id: poolId } });
+
+            await this.logPoolEvent(adminId, 'IP_POOL_DELETED', pool.id, {
+                name: pool.name,
+                cidr: pool.cidr,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete IP pool: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all pools with utilization
+     * @returns {Promise<Object[]>} Pools
+     */
+    static async getPools() {
+        try {
+            await this.ensureDefaultPool();
+
+            const [pools, counts] = await Promise.all([
+                prisma.ipPool.findMany({ orderBy: { createdAt: 'asc' } }),
+                prisma.ipLease.groupBy({
+                    by: ['poolId', 'type'],
+                    _count: { id: true },
+                }),
+            ]);
+
+            return pools.map(pool => ({
+                ...pool,
+                utilization: this.calculateUtilization(
+                    pool,
+                    counts.filter(count => count.poolId === pool.id),
+                ),
+            }));
+        } catch (error) {
+            throw new Error(`Failed to get IP pools: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a pool with utilization
+     * @param {string} poolId - Pool ID
+     * @returns {Promise<Object>} Pool
+     */
+    static async getPoolById(poolId) {
+        try {
+            const pool = await prisma.ipPool.findUnique({ where: { id: poolId } });
+
+            if (!pool) {
+                throw new Error('IP pool not found');
+            }
+
+            const counts = await prisma.ipLease.groupBy({
+                by: ['poolId', 'type'],
+                where: { poolId },
+                _count: { id: true },
+            });
+
+            return {
+                ...pool,
+                utilization: this.calculateUtilization(pool, counts),
+            };
+        } catch (error) {
+            throw new Error(`Failed to get IP pool: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get leases of a pool
+     * @param {string} poolId - Pool ID
+     * @param {Object} options - Query options ({ type, page, limit })
+     * @returns {Promise<Object>} Leases with pagination
+     */
+    static async getPoolLeases(poolId, options = {}) {
+        const { type, page = 1, limit = 50 } = options;
+
+        try {
+            const where = { poolId };
+            if (type) {
+                where.type = type;
+            }
+
+            const [leases, total] = await Promise.all([
+                prisma.ipLease.findMany({
+                    where,
+                    include: {
+                        vm: {
+                            select: {
+                                id: true,
+                                name: true,
+                                status: true,
+                                userId: true,
+                            },
+                        },
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    skip: (page - 1) * limit,
+                    take: limit,
+                }),
+                prisma.ipLease.count({ where }),
+            ]);
+
+            return {
+                leases,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            };
+        } catch (error) {
+            throw new Error(`Failed to get IP leases: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reserve an address so it is never allocated to a VM (admin only)
+     * @param {string} poolId - Pool ID
+     * @param {string} address - Address to reserve
+     * @param {string} note - Reason for the reservation
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<Object>} Reservation lease
+     */
+    static async reserveAddress(poolId, address, note, adminId) {
+        try {
+            const pool = await prisma.ipPool.findUnique({ where: { id: poolId } });
+            if (!pool) {
+                throw new Error('IP pool not found');
+            }
+
+            const { first, last, gateway } = CidrUtils.getHostRange(pool.cidr, pool);
+            const value = CidrUtils.ipToInt(address);
+            if (value < first || value > last || value === gateway) {
+                throw new Error(`Address ${address} is not allocatable in pool ${pool.name}`);
+            }
+
+            const existing = await prisma.ipLease.findUnique({
+                where: { poolId_address: { poolId, address } },
+            });
+            if (existing) {
+                throw new Error(`Address ${address} is already ${existing.type === 'RESERVED' ? 'reserved' : 'allocated'}`);
+            }
+
+            const lease = await prisma.ipLease.create({
+                data: {
+                    address,
+                    type: 'RESERVED',
+                    note: note || null,
+                    poolId,
+                },
+            });
+
+            await this.logPoolEvent(adminId, 'IP_ADDRESS_RESERVED', poolId, { address, note });
+
+            return lease;
+        } catch (error) {
+            throw new Error(`Failed to reserve IP address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove an address reservation (admin only)
+     * @param {string} leaseId - Reservation lease ID
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<void>}
+     */
+    static async releaseReservation(leaseId, adminId) {
+        try {
+            const lease = await prisma.ipLease.findUnique({ where: { id: leaseId } });
+
+            if (!lease) {
+                throw new Error('IP lease not found');
+            }
+
+            if (lease.type !== 'RESERVED') {
+                throw new Error('Only reserved addresses can be released manually');
+            }
+
+            await prisma.ipLease.delete({ where: { id: leaseId } });
+
+            await this.logPoolEvent(adminId, 'IP_RESERVATION_RELEASED', lease.poolId, {
+                address: lease.address,
+            });
+        } catch (error) {
+            throw new Error(`Failed to release IP reservation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Calculate pool utilization from lease counts
+     * @param {Object} pool - IP pool
+     * @param {Object[]} counts - Lease counts grouped by type
+     * @returns {Object} Utilization
+     */
+    static calculateUtilization(pool, counts) {
+        const countOf = type => counts
+            .filter(count => count.type === type)
+            .reduce((sum, count) => sum + count._count.id, 0);
+
+        const { total } = CidrUtils.getHostRange(pool.cidr, pool);
+        const allocated = countOf('ALLOCATED');
+        const reserved = countOf('RESERVED');
+
+        return {
+            total,
+            allocated,
+            reserved,
+            free: Math.max(0, total - allocated - reserved),
+            usagePercentage: total > 0 ? ((allocated + reserved) / total) * 100 : 0,
+        };
+    }
+
+    /**
+     * Log IP pool event
+     * @param {string} userId - Admin user ID
+     * @param {string} action - Action performed
+     * @param {string} poolId - Pool ID
+     * @param {Object} metadata - Additional metadata
+     * @returns {Promise<void>}
+     */
+    static async logPoolEvent(userId, action, poolId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'ip_pool',
+                    resourceId: poolId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log IP pool event:', error);
+        }
+    }
+}
+
+IpamService.DEFAULT_POOL = DEFAULT_POOL;
+
+module.exports = IpamService;
@@ -0,0 +1,141 @@
+const NodeService = require('./nodeService');
+const VMService = require('./vmService');
+
+const MAX_LINE_LENGTH = 16 * 1024; // 16KB
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\S+Z) (.*)$/;
+
+/**
+ * Log Stream Service
+ * Follows VM container logs line by line, for live tailing
+ */
+class LogStreamService {
+    /**
+     * Open a log stream on a VM container
+     * Nothing is emitted until the stream is started, so the caller can send its headers first
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {Object} options - Stream options
+     * @param {number} options.tail - Number of past lines to send first
+     * @param {string} options.since - Only logs after this date (ISO 8601)
+     * @param {string} options.stream - all, stdout or stderr
+     * @param {string} options.grep - Only lines containing this text
+     * @returns {Promise<Object>} Stream handle ({ vm, start, pause, resume, close })
+     */
+    static async follow(vmId, userId, options = {}) {
+        const { tail = 100, since, stream = 'all', grep } = options;
+
+        try {
+            const vm = await VMService.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            if (!vm.dockerContainerId) {
+                throw new Error('No container associated with this VM');
+            }
+
+            const docker = await NodeService.getDocker(vm);
+            const logs = await docker.followContainerLogs(vm.dockerContainerId, {
+                tail,
+                since,
+                stdout: stream !== 'stderr',
+                stderr: stream !== 'stdout',
+            });
+
+            let closed = false;
+            const close = () => {
+                if (closed) {
+                    return false;
+                }
+                closed = true;
+                logs.stream.destroy();
+                return true;
+            };
+
+            return {
+                vm,
+                start: (handlers) => {
+                    const emit = (entry) => {
+                        if (!closed && (!grep || entry.message.includes(grep))) {
+                            handlers.onLog(entry);
+                        }
+                    };
+
+                    let ended = 0;
+                    const onStreamEnd = () => {
+                        ended += 1;
+                        if (ended === 2 && close()) {
+                            // The container stopped, or was removed
+                            handlers.onEnd('VM stopped');
+                        }
+                    };
+
+                    this.splitLines(logs.stdout, 'stdout', emit, onStreamEnd);
+                    this.splitLines(logs.stderr, 'stderr', emit, onStreamEnd);
+
+                    logs.stream.on('error', (error) => {
+                        if (close()) {
+                            handlers.onEnd(`Log stream failed: ${error.message}`);
+                        }
+                    });
+                },
+                pause: () => logs.stream.pause(),
+                resume: () => logs.stream.resume(),
+                close,
+            };
+        } catch (error) {
+            throw new Error(`Failed to stream VM container logs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Emit the complete lines of a log stream
+     * @param {Readable} input - Demultiplexed stdout or stderr
+     * @param {string} name - stdout or stderr
+     * @param {Function} emit - Called with each log entry
+     * @param {Function} onEnd - Called once the last line was emitted
+     */
+    static splitLines(input, name, emit, onEnd) {
+        let buffer = '';
+
+        input.on('data', (chunk) => {
+            buffer += chunk.toString();
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => emit(this.parseLine(name, line)));
+
+            // Never hold an endless line in memory
+            if (buffer.length > MAX_LINE_LENGTH) {
+                emit(this.parseLine(name, buffer));
+                buffer = '';
+            }
+        });
+
+        input.on('end', () => {
+            if (buffer) {
+                emit(this.parseLine(name, buffer));
+            }
+            onEnd();
+        });
+    }
+
+    /**
+     * Parse a Docker log line ("<RFC 3339 timestamp> <message>")
+     * @param {string} name - stdout or stderr
+     * @param {string} line - Log line
+     * @returns {Object} Log entry ({ stream, timestamp, message })
+     */
+    static parseLine(name, line) {
+        const text = line.replace(/\r$/, '').slice(0, MAX_LINE_LENGTH);
+        const match = text.match(TIMESTAMP_PATTERN);
+
+        return {
+            stream: name,
+            timestamp: match ? match[1] : null,
+            message: match ? match[2] : text,
+        };
+    }
+}
+
+module.exports = LogStreamService;
@@ -0,0 +1,346 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+const VMService = require('./vmService');
+const NodeService = require('./nodeService');
+const SchedulerService = require('./schedulerService');
+const IpamService = require('./ipamService');
+const SshKeyService = require('./sshKeyService');
+const OperationService = require('./operationService');
+const VMStateMachine = require('./vmStateMachine');
+
+// Event that ends a migration, moved or rolled back, by the status the VM started in
+const END_EVENTS = {
+    RUNNING: 'MIGRATE_RUNNING',
+    STOPPED: 'MIGRATE_STOPPED',
+    SUSPENDED: 'MIGRATE_SUSPENDED',
+};
+
+const DATA_PATH = '/data';
+
+/**
+ * Migration Service
+ * Moves VMs and their containers to another compute node
+ *
+ * While the VM keeps running, its container is snapshotted and the snapshot, the images of its
+ * backups and /data are copied to the target node. At the cutover the source container stops,
+ * /data is copied again and a container with the same configuration, IP address and host ports
+ * takes over on the target node. A failure before the cutover removes what was created on the
+ * target node and leaves the VM where it was. Changes outside /data made after the snapshot
+ * are not carried over.
+ */
+class MigrationService {
+    /**
+     * Request a VM migration, run in the background as an operation
+     * @param {string} vmId - VM ID
+     * @param {string} userId - Admin user ID
+     * @param {string|null} nodeId - Target node, chosen by the scheduler when null
+     * @returns {Promise<Object>} Queued operation
+     */
+    static async requestMigration(vmId, userId, nodeId = null) {
+        try {
+            const vm = await VMService.getVMById(vmId);
+            if (!vm) {
+                throw new Error('VM not found');
+            }
+
+            VMStateMachine.assertTransition(vm, 'MIGRATE');
+
+            // Fail fast when no node can take the VM, the operation pins the chosen one
+            const target = await this.chooseTarget(vm, nodeId);
+            const params = { sourceNodeId: vm.nodeId, targetNodeId: target.id };
+            const operationTarget = { userId: vm.userId, vmId, params };
+
+            return await OperationService.enqueue('VM_MIGRATE', operationTarget, async (operation) => {
+                const migrated = await this.migrateVM(vmId, userId, target.id, operation);
+                return { nodeId: migrated.nodeId, status: migrated.status };
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM migration failed');
+        }
+    }
+
+    /**
+     * Choose the node a VM moves to
+     * @param {Object} vm - VM with its volumes and private networks
+     * @param {string|null} nodeId - Requested node
+     * @returns {Promise<Object>} Target node
+     */
+    static async chooseTarget(vm, nodeId = null) {
+        if (vm.volumes.length > 0) {
+            throw new Error('VMs with volumes cannot be migrated, volumes stay on the local compute node');
+        }
+
+        if (vm.securityGroups.length > 0) {
+            throw new Error(
+                'VMs with security groups cannot be migrated, the firewall only runs on the local compute node',
+            );
+        }
+
+        const sourceNodeId = vm.nodeId || (await NodeService.ensureLocalNode()).id;
+        if (nodeId === sourceNodeId) {
+            throw new Error('VM is already on this compute node');
+        }
+
+        return SchedulerService.placeVM({
+            cpu: vm.cpu,
+            ram: vm.ram,
+            storage: vm.storage,
+            userId: vm.userId,
+            nodeId,
+            networkIds: vm.privateNetworks.map(network => network.id),
+            excludeNodeIds: [sourceNodeId],
+        });
+    }
+
+    /**
+     * Move a VM to another node
+     * @param {string} vmId - VM ID
+     * @param {string} userId - Admin user ID
+     * @param {string|null} nodeId - Target node, chosen by the scheduler when null
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} Migrated VM
+     */
+    static async migrateVM(vmId, userId, nodeId = null, operation = OperationService.untracked()) {
+        try {
+            const vm = await VMService.getVMById(vmId);
+            if (!vm) {
+                throw new Error('VM not found');
+            }
+
+            // The VM and the nodes may have changed while the operation was queued
+            const target = await this.chooseTarget(vm, nodeId);
+            const context = { userId, operationId: operation.id };
+            const source = vm.node || { id: vm.nodeId, name: config.nodes.localName };
+
+            await VMStateMachine.transition(vm, 'MIGRATE', context);
+            const migrating = { ...vm, status: 'MIGRATING' };
+
+            const transfer = {
+                source: await NodeService.getDocker(vm),
+                target: dockerService.forNode(target),
+                snapshot: null,
+                containerId: null,
+                images: [],
+                sourceStopped: false,
+            };
+
+            try {
+                const data = { nodeId: target.id };
+
+                if (vm.dockerContainerId) {
+                    Object.assign(data, await this.transferContainer(vm, transfer, operation));
+                }
+
+                await operation.progress(90, 'Switching the VM to the new node');
+                await VMStateMachine.transition(migrating, END_EVENTS[vm.status], {
+                    ...context,
+                    reason: `Migrated to node ${target.name}`,
+                    data,
+                });
+            } catch (error) {
+                const rolledBack = await this.rollback(vm, transfer);
+
+                await VMService.failTransition(
+                    vm,
+                    'MIGRATING',
+                    rolledBack ? END_EVENTS[vm.status] : 'MIGRATE_FAILED',
+                    { ...context, reason: `${rolledBack ? 'Rolled back' : 'Rollback failed'}: ${error.message}` },
+                );
+
+                await VMService.logVMEvent(userId, 'VM_MIGRATION_FAILED', vmId, {
+                    vmName: vm.name,
+                    sourceNodeId: source.id,
+                    targetNodeId: target.id,
+                    rolledBack,
+                    error: error.message,
+                    operationId: operation.id,
+                });
+
+                throw error;
+            }
+
+            if (vm.dockerContainerId) {
+                await this.cleanupSource(vm, transfer);
+            }
+
+            await VMService.logVMEvent(userId, 'VM_MIGRATED', vmId, {
+                vmName: vm.name,
+                sourceNodeId: source.id,
+                sourceNodeName: source.name,
+                targetNodeId: target.id,
+                targetNodeName: target.name,
+                dockerContainerId: transfer.containerId || vm.dockerContainerId,
+                operationId: operation.id,
+            });
+
+            return await VMService.getVMById(vmId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM migration failed');
+        }
+    }
+
+    /**
+     * Copy the container of a VM to the target node and cut over to it
+     * Fills the transfer with what was created so a failure can be rolled back
+     * @param {Object} vm - VM as read before the migration
+     * @param {Object} transfer - Docker clients and created resources
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} VM fields of the new container ({ dockerContainerId, sshPort, appliedSecretsRevision })
+     */
+    static async transferContainer(vm, transfer, operation) {
+        const { source, target } = transfer;
+
+        await operation.progress(10, 'Snapshotting container');
+        transfer.snapshot = await source.snapshotContainer(
+            vm.dockerContainerId,
+            `sahary-migrate/${vm.id}`,
+            'Migration',
+        );
+
+        operation.throwIfCancelled();
+        await operation.progress(20, 'Transferring image');
+        await this.transferImage(source, target, transfer.snapshot.image);
+        transfer.images.push(transfer.snapshot.image);
+
+        // Backups are restored on the node of their VM
+        const backups = await prisma.backup.findMany({
+            where: { vmId: vm.id, status: 'COMPLETED', dockerImageId: { not: null } },
+            select: { dockerImageId: true },
+        });
+        for (const [index, backup] of backups.entries()) {
+            operation.throwIfCancelled();
+            await operation.progress(30 + (20 * index) / backups.length, 'Transferring backup images');
+            await this.transferImage(source, target, backup.dockerImageId);
+            transfer.images.push(backup.dockerImageId);
+        }
+
+        operation.throwIfCancelled();
+        await operation.progress(50, 'Creating container');
+        const lease = await IpamService.allocateAddress(vm.id);
+        const { containerConfig, secretsRevision } = await VMService.prepareContainerConfig(
+            { ...vm, dockerImage: transfer.snapshot.image },
+            lease,
+        );
+        const containerInfo = await target.createContainer(containerConfig);
+        transfer.containerId = containerInfo.containerId;
+
+        await operation.progress(60, 'Copying data');
+        await this.transferData(transfer, vm.dockerContainerId);
+
+        // Last point the migration can stop without downtime
+        operation.throwIfCancelled();
+
+        if (vm.status !== 'RUNNING') {
+            return { dockerContainerId: transfer.containerId, appliedSecretsRevision: secretsRevision };
+        }
+
+        await operation.progress(75, 'Stopping the VM on the source node');
+        await source.stopContainer(vm.dockerContainerId, 10);
+        transfer.sourceStopped = true;
+
+        await operation.progress(80, 'Copying data changed since the first copy');
+        await this.transferData(transfer, vm.dockerContainerId);
+
+        await operation.progress(85, 'Starting the VM on the target node');
+        const started = await target.startContainer(transfer.containerId);
+
+        if (vm.sshKeys.length > 0) {
+            try {
+                await SshKeyService.injectKeys(transfer.containerId, vm.sshKeys, target);
+            } catch (error) {
+                console.error(`Failed to inject SSH keys into VM ${vm.id}:`, error);
+            }
+        }
+
+        return {
+            dockerContainerId: transfer.containerId,
+            sshPort: VMService.getSshHostPort(started),
+            appliedSecretsRevision: secretsRevision,
+        };
+    }
+
+    /**
+     * Copy an image between nodes
+     * @param {Object} source - Docker client of the source node
+     * @param {Object} target - Docker client of the target node
+     * @param {string} imageRef - Image ID or repository tag
+     */
+    static async transferImage(source, target, imageRef) {
+        const { stream } = await source.exportImage(imageRef);
+        await target.importImage(stream);
+    }
+
+    /**
+     * Copy /data of the source container into the new container
+     * @param {Object} transfer - Docker clients and created resources
+     * @param {string} sourceId - Source container ID
+     */
+    static async transferData(transfer, sourceId) {
+        const archive = await transfer.source.getContainerArchive(sourceId, DATA_PATH);
+
+        // The archive holds the directory itself, extract it in its parent
+        if (archive) {
+            await transfer.target.putContainerArchive(transfer.containerId, archive, '/');
+        }
+    }
+
+    /**
+     * Undo a migration that did not cut over
+     * What was created on the target node is removed and the source container started again
+     * @param {Object} vm - VM as read before the migration
+     * @param {Object} transfer - Docker clients and created resources
+     * @returns {Promise<boolean>} False if the VM could not be started again on its node
+     */
+    static async rollback(vm, transfer) {
+        const { source, target } = transfer;
+
+        if (transfer.containerId) {
+            await target.removeContainer(transfer.containerId, true)
+                .catch(error => console.error(`Failed to remove container ${transfer.containerId}:`, error));
+            await target.removeVolume(`sahary-vm-${vm.id}-data`).catch(() => {});
+        }
+
+        for (const image of transfer.images) {
+            await target.removeImage(image).catch(() => {});
+        }
+
+        if (transfer.snapshot) {
+            await source.removeImage(transfer.snapshot.image).catch(() => {});
+        }
+
+        if (transfer.sourceStopped) {
+            try {
+                await source.startContainer(vm.dockerContainerId);
+            } catch (error) {
+                console.error(`Failed to start VM ${vm.id} again on its node:`, error);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the container, data and images the VM left on its previous node
+     * The VM already runs on the target node, failures are only logged
+     * @param {Object} vm - VM as read before the migration
+     * @param {Object} transfer - Docker clients and created resources
+     */
+    static async cleanupSource(vm, transfer) {
+        const { source } = transfer;
+
+        try {
+            await source.removeContainer(vm.dockerContainerId, true);
+            await source.removeVolume(`sahary-vm-${vm.id}-data`);
+
+            for (const image of transfer.images) {
+                await source.removeImage(image);
+            }
+        } catch (error) {
+            console.error(`Failed to clean up VM ${vm.id} on its previous node:`, error);
+        }
+    }
+}
+
+module.exports = MigrationService;
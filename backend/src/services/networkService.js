@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { prisma } = require('../config/database');
+const CidrUtils = require('../utils/cidr');
+const IpamService = require('./ipamService');
+const NodeService = require('./nodeService');
+
+const NETWORK_INCLUDE = {
+    pool: {
+        select: { id: true, gateway: true },
+    },
+};
+
+/**
+ * Network Service
+ * Handles private networks (VPCs) that connect a user's VMs to each other
+ *
+ * Each private network is an internal Docker bridge with its own subnet, taken from
+ * PRIVATE_NETWORK_SUPERNET, and its own IP pool. VMs keep their address on the shared
+ * network for outside access and get one more address per private network they join.
+ * Docker networks only span one host, so all VMs of a private network share a compute node.
+ */
+class NetworkService {
+    /**
+     * Get user's private networks
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Networks with their number of VMs
+     */
+    static async getNetworks(userId) {
+        return prisma.privateNetwork.findMany({
+            where: { userId },
+            include: {
+                ...NETWORK_INCLUDE,
+                _count: { select: { vms: true } },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+    }
+
+    /**
+     * Get a private network with its VMs, their addresses and DNS names
+     * @param {string} networkId - Network ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<Object>} Network
+     */
+    static async getNetwork(networkId, userId) {
+        const network = await prisma.privateNetwork.findFirst({
+            where: { id: networkId, userId },
+            include: {
+                ...NETWORK_INCLUDE,
+                vms: { select: { id: true, name: true, status: true } },
+            },
+        });
+
+        if (!network) {
+            throw new Error('Network not found');
+        }
+
+        const leases = await prisma.ipLease.findMany({
+            where: { poolId: network.pool.id, type: 'ALLOCATED' },
+            select: { vmId: true, address: true },
+        });
+
+        return {
+            ...network,
+            vms: network.vms.map((vm) => {
+                const lease = leases.find(item => item.vmId === vm.id);
+                return {
+                    ...vm,
+                    ipAddress: lease ? lease.address : null,
+                    dnsNames: this.getDnsNames(vm.name),
+                };
+            }),
+        };
+    }
+
+    /**
+     * Create a private network
+     * @param {string} userId - User ID
+     * @param {Object} networkData - Network data ({ name, description, cidr })
+     * @returns {Promise<Object>} Created network
+     */
+    static async createNetwork(userId, networkData) {
+        const { name, description } = networkData;
+
+        try {
+            const count = await prisma.privateNetwork.count({ where: { userId } });
+            if (count >= config.privateNetwork.maxPerUser) {
+                throw new Error(`Maximum ${config.privateNetwork.maxPerUser} private networks per user`);
+            }
+
+            const duplicate = await prisma.privateNetwork.findFirst({ where: { userId, name } });
+            if (duplicate) {
+                throw new Error(`A network named "${name}" already exists`);
+            }
+
+            const cidr = networkData.cidr
+                ? this.validateSubnet(networkData.cidr)
+                : await this.allocateSubnet();
+
+            const network = await prisma.privateNetwork.create({
+                data: {
+                    name,
+                    description: description || null,
+                    cidr,
+                    dockerNetwork: `sahary-net-${crypto.randomBytes(6).toString('hex')}`,
+                    userId,
+                },
+            });
+
+            // Checks the subnet against all other pools
+            try {
+                await IpamService.createPool({
+                    name: network.dockerNetwork,
+                    network: network.dockerNetwork,
+                    cidr,
+                    description: `Private network ${name}`,
+                    privateNetworkId: network.id,
+                }, userId);
+            } catch (error) {
+                await prisma.privateNetwork.delete({ where: { id: network.id } });
+                throw error;
+            }
+
+            await this.logNetworkEvent(userId, 'NETWORK_CREATED', network.id, { name, cidr });
+
+            return await prisma.privateNetwork.findUnique({
+                where: { id: network.id },
+                include: NETWORK_INCLUDE,
+            });
+        } catch (error) {
+            throw new Error(`Failed to create network: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a private network
+     * The subnet cannot change once created
+     * @param {string} networkId - Network ID
+     * @param {string} userId - Owner user ID
+     * @param {Object} networkData - Network data ({ name, description })
+     * @returns {Promise<Object>} Updated network
+     */
+    static async updateNetwork(networkId, userId, networkData) {
+        const { name, description } = networkData;
+
+        try {
+            const network = await this.getNetwork(networkId, userId);
+
+            if (name && name !== network.name) {
+                const duplicate = await prisma.privateNetwork.findFirst({
+                    where: { userId, name, id: { not: networkId } },
+                });
+                if (duplicate) {
+                    throw new Error(`A network named "${name}" already exists`);
+                }
+            }
+
+            const updatedNetwork = await prisma.privateNetwork.update({
+                where: { id: networkId },
+                data: {
+                    ...(name && { name }),
+                    ...(description !== undefined && { description }),
+                },
+                include: NETWORK_INCLUDE,
+            });
+
+            await this.logNetworkEvent(userId, 'NETWORK_UPDATED', networkId, {
+                oldName: network.name,
+                name: updatedNetwork.name,
+            });
+
+            return updatedNetwork;
+        } catch (error) {
+            throw new Error(`Failed to update network: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a private network
+     * Networks with attached VMs cannot be deleted
+     * @param {string} networkId - Network ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<void>}
+     */
+    static async deleteNetwork(networkId, userId) {
+        try {
+            const network = await this.getNetwork(networkId, userId);
+
+            if (network.vms.length > 0) {
+                throw new Error(`Network has ${network.vms.length} attached VM(s), detach them first`);
+            }
+
+            // The Docker network is normally gone with the last VM, it may be left on any node
+            const nodes = await this.getNodeDrivers();
+            for (const { docker } of nodes) {
+                await docker.removeNetwork(network.dockerNetwork);
+            }
+
+            // Removes the IP pool as well
+            await prisma.privateNetwork.delete({ where: { id: networkId } });
+
+            await this.logNetworkEvent(userId, 'NETWORK_DELETED', networkId, {
+                name: network.name,
+                cidr: network.cidr,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete network: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make sure every node has the shared network, isolated so VMs cannot reach each other
+     * A shared network created without isolation is recreated while no container uses it
+     * @returns {Promise<Object>} Result ({ nodes, failed, errors })
+     */
+    static async ensureSharedNetworks() {
+        const pool = await IpamService.ensureDefaultPool();
+        const nodes = await this.getNodeDrivers();
+
+        const results = { nodes: 0, failed: 0, errors: [] };
+
+        for (const { node, docker } of nodes) {
+            try {
+                await docker.createNetwork(pool.network, {
+                    subnet: pool.cidr,
+                    gateway: pool.gateway,
+                    isolated: true,
+                });
+                results.nodes += 1;
+            } catch (error) {
+                results.failed += 1;
+                results.errors.push({ nodeId: node.id, nodeName: node.name, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Get all compute nodes with their drivers
+     * @returns {Promise<Object[]>} Nodes ({ node, docker })
+     */
+    static async getNodeDrivers() {
+        await NodeService.ensureLocalNode();
+        const nodes = await prisma.computeNode.findMany({ orderBy: { createdAt: 'asc' } });
+
+        return Promise.all(nodes.map(async node => ({
+            node,
+            docker: await NodeService.getDocker({ nodeId: node.id, node }),
+        })));
+    }
+
+    /**
+     * Resolve private networks owned by a user
+     * @param {string} userId - Owner user ID
+     * @param {string[]} networkIds - Network IDs
+     * @returns {Promise<Object[]>} Networks
+     */
+    static async resolveNetworks(userId, networkIds = []) {
+        const ids = [...new Set(networkIds)];
+        if (ids.length === 0) {
+            return [];
+        }
+
+        if (ids.length > config.privateNetwork.maxPerVM) {
+            throw new Error(`Maximum ${config.privateNetwork.maxPerVM} private networks per VM`);
+        }
+
+        const networks = await prisma.privateNetwork.findMany({
+            where: { id: { in: ids }, userId },
+            include: NETWORK_INCLUDE,
+        });
+
+        if (networks.length !== ids.length) {
+            throw new Error('Network not found');
+        }
+
+        return networks;
+    }
+
+    /**
+     * Give a VM an address on a network and connect its container
+     * The Docker network is created when its first VM joins
+     * @param {Object} vm - VM
+     * @param {Object} network - Network with its pool
+     * @returns {Promise<Object>} Lease
+     */
+    static async connectVM(vm, network) {
+        if (vm.nodeId) {
+            const elsewhere = await prisma.virtualMachine.findFirst({
+                where: {
+                    id: { not: vm.id },
+                    nodeId: { not: vm.nodeId },
+                    privateNetworks: { some: { id: network.id } },
+                },
+                select: { id: true },
+            });
+
+            if (elsewhere) {
+                throw new Error(`Network ${network.name} is used by VMs on another compute node`);
+            }
+        }
+
+        const docker = await NodeService.getDocker(vm);
+        const lease = await IpamService.allocateAddress(vm.id, { network: network.dockerNetwork });
+
+        try {
+            await docker.createNetwork(network.dockerNetwork, {
+                subnet: network.cidr,
+                gateway: network.pool.gateway,
+                internal: true,
+                labels: {
+                    'sahary.network.id': network.id,
+                    'sahary.user.id': network.userId,
+                },
+            });
+
+            if (vm.dockerContainerId) {
+                await docker.connectNetwork(vm.dockerContainerId, network.dockerNetwork, {
+                    ipAddress: lease.address,
+                    aliases: this.getDnsNames(vm.name),
+                });
+            }
+        } catch (error) {
+            await IpamService.releaseVMAddresses(vm.id, { network: network.dockerNetwork });
+            throw error;
+        }
+
+        return lease;
+    }
+
+    /**
+     * Disconnect a VM container from a network and release its address there
+     * @param {Object} vm - VM
+     * @param {Object} network - Network
+     * @returns {Promise<void>}
+     */
+    static async disconnectVM(vm, network) {
+        if (vm.dockerContainerId) {
+            const docker = await NodeService.getDocker(vm);
+            await docker.disconnectNetwork(vm.dockerContainerId, network.dockerNetwork);
+        }
+
+        await IpamService.releaseVMAddresses(vm.id, { network: network.dockerNetwork });
+    }
+
+    /**
+     * Reconnect a VM container to its networks so its DNS names follow a rename
+     * @param {Object} vm - VM with its new name, networks and leases
+     * @returns {Promise<void>}
+     */
+    static async refreshDnsNames(vm) {
+        if (!vm.dockerContainerId) {
+            return;
+        }
+
+        const docker = await NodeService.getDocker(vm);
+        for (const endpoint of this.getContainerEndpoints(vm)) {
+            await docker.disconnectNetwork(vm.dockerContainerId, endpoint.name);
+            await docker.connectNetwork(vm.dockerContainerId, endpoint.name, endpoint);
+        }
+    }
+
+    /**
+     * Remove the Docker network of a private network once no VM uses it
+     * The network itself is kept and its Docker network is created again when a VM joins
+     * @param {Object} network - Network
+     * @param {Object} vm - VM that left the network, its node holds the Docker network
+     * @returns {Promise<boolean>} True if the Docker network was removed
+     */
+    static async cleanupNetwork(network, vm = null) {
+        const vms = await prisma.virtualMachine.count({
+            where: { privateNetworks: { some: { id: network.id } } },
+        });
+
+        if (vms > 0) {
+            return false;
+        }
+
+        const docker = await NodeService.getDocker(vm);
+        return docker.removeNetwork(network.dockerNetwork);
+    }
+
+    /**
+     * Get the private network endpoints of a VM container
+     * @param {Object} vm - VM with its private networks and leases
+     * @returns {Object[]} Endpoints ({ name, ipAddress, aliases })
+     */
+    static getContainerEndpoints(vm) {
+        return vm.privateNetworks.map((network) => {
+            const lease = vm.ipLeases.find(item => item.pool.network === network.dockerNetwork);
+
+            return {
+                name: network.dockerNetwork,
+                ipAddress: lease ? lease.address : undefined,
+                aliases: this.getDnsNames(vm.name),
+            };
+        });
+    }
+
+    /**
+     * Get the DNS names of a VM on its private networks
+     * @param {string} vmName - VM name
+     * @returns {string[]} DNS names
+     */
+    static getDnsNames(vmName) {
+        const hostname = vmName.toLowerCase();
+        return [hostname, `${hostname}.${config.privateNetwork.dnsDomain}`];
+    }
+
+    /**
+     * Validate a requested subnet
+     * @param {string} cidr - Requested subnet
+     * @returns {string} Normalized subnet
+     */
+    static validateSubnet(cidr) {
+        const supernet = CidrUtils.parse(config.privateNetwork.supernet);
+        const block = CidrUtils.parse(cidr, { minPrefix: supernet.prefix, maxPrefix: 29 });
+
+        if (block.network < supernet.network || block.broadcast > supernet.broadcast) {
+            throw new Error(`Subnet ${block.cidr} is outside ${supernet.cidr}`);
+        }
+
+        return block.cidr;
+    }
+
+    /**
+     * Find the first free subnet of the supernet
+     * @returns {Promise<string>} Subnet
+     */
+    static async allocateSubnet() {
+        const { supernet, prefix } = config.privateNetwork;
+        const { network, broadcast } = CidrUtils.parse(supernet);
+        const size = 2 ** (32 - prefix);
+
+        const pools = await prisma.ipPool.findMany({ select: { cidr: true } });
+
+        for (let start = network; start + size - 1 <= broadcast; start += size) {
+            const candidate = `${CidrUtils.intToIp(start)}/${prefix}`;
+            if (!pools.some(pool => CidrUtils.overlaps(pool.cidr, candidate))) {
+                return candidate;
+            }
+        }
+
+        throw new Error(`No free /${prefix} subnet left in ${supernet}`);
+    }
+
+    /**
+     * Log network event
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} networkId - Network ID
+     * @param {Object} metadata - Additional metadata
+     * @returns {Promise<void>}
+     */
+    static async logNetworkEvent(userId, action, networkId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'network',
+                    resourceId: networkId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log network event:', error);
+        }
+    }
+}
+
+module.exports = NetworkService;
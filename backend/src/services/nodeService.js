@@ -0,0 +1,402 @@
+const os = require('os');
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+
+/**
+ * Node Service
+ * Registry of the compute nodes (Docker endpoints) VMs are placed on
+ *
+ * The local DOCKER_HOST is registered as a node without endpoint the first time nodes are
+ * needed, and VMs created before nodes existed are placed on it.
+ */
+class NodeService {
+    /**
+     * Make sure the local Docker host is registered
+     * @returns {Promise<Object>} Local node
+     */
+    static async ensureLocalNode() {
+        const existing = await prisma.computeNode.findFirst({
+            where: { endpoint: null },
+            orderBy: { createdAt: 'asc' },
+        });
+
+        if (existing) {
+            return existing;
+        }
+
+        // DOCKER_HOST is a local socket, the node is this machine
+        const node = await prisma.computeNode.upsert({
+            where: { name: config.nodes.localName },
+            update: {},
+            create: {
+                name: config.nodes.localName,
+                endpoint: null,
+                cpu: os.cpus().length,
+                ram: Math.floor(os.totalmem() / (1024 * 1024)),
+                storage: config.nodes.localStorage,
+            },
+        });
+
+        // VMs created before nodes existed run on the local host
+        await prisma.virtualMachine.updateMany({
+            where: { nodeId: null },
+            data: { nodeId: node.id },
+        });
+
+        return node;
+    }
+
+    /**
+     * Read the CPU and memory of a Docker host
+     * @param {Object} docker - Docker client of the node
+     * @returns {Promise<Object>} Capacity ({ cpu, ram })
+     */
+    static async probeCapacity(docker) {
+        const info = await docker.getSystemInfo();
+
+        return {
+            cpu: info.cpus,
+            ram: Math.floor(info.totalMemory / (1024 * 1024)),
+        };
+    }
+
+    /**
+     * Get all nodes with the resources their VMs hold
+     * @returns {Promise<Array>} Nodes with allocated and free resources
+     */
+    static async listNodes() {
+        try {
+            await this.ensureLocalNode();
+
+            const [nodes, allocations] = await Promise.all([
+                prisma.computeNode.findMany({ orderBy: { createdAt: 'asc' } }),
+                this.getAllocations(),
+            ]);
+
+            return nodes.map(node => this.withUsage(node, allocations.get(node.id)));
+        } catch (error) {
+            throw new Error(`Failed to list compute nodes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a node with its usage and VMs
+     * @param {string} nodeId - Node ID
+     * @returns {Promise<Object>} Node
+     */
+    static async getNode(nodeId) {
+        try {
+            const node = await prisma.computeNode.findUnique({
+                where: { id: nodeId },
+                include: {
+                    vms: {
+                        select: {
+                            id: true,
+                            name: true,
+                            status: true,
+                            cpu: true,
+                            ram: true,
+                            storage: true,
+                            userId: true,
+                        },
+                        orderBy: { createdAt: 'asc' },
+                    },
+                },
+            });
+
+            if (!node) {
+                throw new Error('Node not found');
+            }
+
+            const allocations = await this.getAllocations();
+
+            return this.withUsage(node, allocations.get(node.id));
+        } catch (error) {
+            throw new Error(`Failed to get compute node: ${error.message}`);
+        }
+    }
+
+    /**
+     * Register a Docker endpoint as a compute node
+     * The endpoint must answer, CPU and RAM default to what Docker reports
+     * @param {string} userId - Admin user ID
+     * @param {Object} nodeData - Node data ({ name, endpoint, cpu, ram, storage, labels, solarPowered })
+     * @returns {Promise<Object>} Created node
+     */
+    static async registerNode(userId, nodeData) {
+        const { name, endpoint, cpu, ram, storage, labels, solarPowered = false } = nodeData;
+
+        try {
+            const existing = await prisma.computeNode.findFirst({
+                where: { OR: [{ name }, { endpoint }] },
+            });
+
+            if (existing) {
+                throw new Error(existing.name === name
+                    ? 'Node with this name already exists'
+                    : `Endpoint is already registered as node ${existing.name}`);
+            }
+
+            const docker = dockerService.forNode({ id: `probe:${endpoint}`, endpoint });
+            let capacity;
+            try {
+                capacity = await this.probeCapacity(docker);
+            } catch (error) {
+                throw new Error(`Docker endpoint is not reachable: ${error.message}`);
+            } finally {
+                dockerService.forgetNode(`probe:${endpoint}`);
+            }
+
+            const node = await prisma.computeNode.create({
+                data: {
+                    name,
+                    endpoint,
+                    cpu: cpu || capacity.cpu,
+                    ram: ram || capacity.ram,
+                    storage,
+                    labels: labels || undefined,
+                    solarPowered,
+                },
+            });
+
+            await this.logNodeEvent(userId, 'NODE_REGISTERED', node.id, {
+                name,
+                endpoint,
+                capacity: { cpu: node.cpu, ram: node.ram, storage: node.storage },
+            });
+
+            return this.withUsage(node);
+        } catch (error) {
+            throw new Error(`Node registration failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a node's capacity, labels or endpoint
+     * Capacity cannot drop below what the node's VMs hold
+     * @param {string} userId - Admin user ID
+     * @param {string} nodeId - Node ID
+     * @param {Object} updateData - Fields to update
+     * @returns {Promise<Object>} Updated node
+     */
+    static async updateNode(userId, nodeId, updateData) {
+        try {
+            const node = await prisma.computeNode.findUnique({ where: { id: nodeId } });
+            if (!node) {
+                throw new Error('Node not found');
+            }
+
+            if (updateData.endpoint !== undefined && !node.endpoint) {
+                throw new Error('The endpoint of the local node comes from DOCKER_HOST');
+            }
+
+            const allocated = (await this.getAllocations()).get(nodeId) || this.emptyAllocation();
+            for (const resource of ['cpu', 'ram', 'storage']) {
+                const capacity = updateData[resource];
+                const available = resource === 'cpu' ? capacity * config.nodes.cpuOvercommit : capacity;
+
+                if (capacity !== undefined && available < allocated[resource]) {
+                    throw new Error(`${resource} capacity is below the ${allocated[resource]} its VMs hold`);
+                }
+            }
+
+            const updated = await prisma.computeNode.update({
+                where: { id: nodeId },
+                data: updateData,
+            });
+
+            await this.logNodeEvent(userId, 'NODE_UPDATED', nodeId, {
+                name: node.name,
+                changes: updateData,
+            });
+
+            return this.withUsage(updated, allocated);
+        } catch (error) {
+            throw new Error(`Node update failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a node without VMs from the registry
+     * @param {string} userId - Admin user ID
+     * @param {string} nodeId - Node ID
+     * @returns {Promise<boolean>} Success status
+     */
+    static async removeNode(userId, nodeId) {
+        try {
+            const node = await prisma.computeNode.findUnique({
+                where: { id: nodeId },
+                include: { _count: { select: { vms: true } } },
+            });
+
+            if (!node) {
+                throw new Error('Node not found');
+            }
+
+            if (!node.endpoint) {
+                throw new Error('The local node cannot be removed');
+            }
+
+            if (node._count.vms > 0) {
+                throw new Error(`Node still has ${node._count.vms} VM(s), drain it first`);
+            }
+
+            await prisma.computeNode.delete({ where: { id: nodeId } });
+            dockerService.forgetNode(nodeId);
+
+            await this.logNodeEvent(userId, 'NODE_REMOVED', nodeId, {
+                name: node.name,
+                endpoint: node.endpoint,
+            });
+
+            return true;
+        } catch (error) {
+            throw new Error(`Node removal failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the scheduling status of a node
+     * CORDONED and DRAINING nodes keep their VMs running but get no new ones
+     * @param {string} userId - Admin user ID
+     * @param {string} nodeId - Node ID
+     * @param {string} status - ACTIVE, CORDONED or DRAINING
+     * @returns {Promise<Object>} Updated node
+     */
+    static async setStatus(userId, nodeId, status) {
+        try {
+            const node = await prisma.computeNode.findUnique({ where: { id: nodeId } });
+            if (!node) {
+                throw new Error('Node not found');
+            }
+
+            if (node.status === status) {
+                return node;
+            }
+
+            const updated = await prisma.computeNode.update({
+                where: { id: nodeId },
+                data: { status },
+            });
+
+            await this.logNodeEvent(userId, `NODE_${status}`, nodeId, {
+                name: node.name,
+                oldStatus: node.status,
+                newStatus: status,
+            });
+
+            return updated;
+        } catch (error) {
+            throw new Error(`Node status change failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the Docker client of the node a VM is placed on
+     * @param {Object} vm - VM ({ nodeId, node })
+     * @returns {Promise<Object>} Docker client
+     */
+    static async getDocker(vm) {
+        if (!vm || !vm.nodeId) {
+            return dockerService;
+        }
+
+        // VMs are usually read with the node name only
+        const node = vm.node && vm.node.endpoint !== undefined
+            ? vm.node
+            : await prisma.computeNode.findUnique({ where: { id: vm.nodeId } });
+
+        return dockerService.forNode(node);
+    }
+
+    /**
+     * Tell whether a VM is placed on the local Docker host
+     * @param {Object} vm - VM ({ nodeId })
+     * @returns {Promise<boolean>} True for the local node
+     */
+    static async isLocal(vm) {
+        if (!vm.nodeId) {
+            return true;
+        }
+
+        const node = await prisma.computeNode.findUnique({
+            where: { id: vm.nodeId },
+            select: { endpoint: true },
+        });
+
+        return !node || !node.endpoint;
+    }
+
+    /**
+     * Sum the resources held by the VMs of each node
+     * @returns {Promise<Map>} Allocation ({ cpu, ram, storage, vms }) by node ID
+     */
+    static async getAllocations() {
+        const groups = await prisma.virtualMachine.groupBy({
+            by: ['nodeId'],
+            where: { nodeId: { not: null } },
+            _sum: { cpu: true, ram: true, storage: true },
+            _count: { _all: true },
+        });
+
+        return new Map(groups.map(group => [group.nodeId, {
+            cpu: group._sum.cpu || 0,
+            ram: group._sum.ram || 0,
+            storage: group._sum.storage || 0,
+            vms: group._count._all,
+        }]));
+    }
+
+    /**
+     * Add allocated and free resources to a node
+     * CPU is overcommitted by NODE_CPU_OVERCOMMIT, RAM and storage are not
+     * @param {Object} node - Node
+     * @param {Object} allocated - Resources held by its VMs
+     * @returns {Object} Node with { allocated, free }
+     */
+    static withUsage(node, allocated = this.emptyAllocation()) {
+        return {
+            ...node,
+            allocated,
+            free: {
+                cpu: node.cpu * config.nodes.cpuOvercommit - allocated.cpu,
+                ram: node.ram - allocated.ram,
+                storage: node.storage - allocated.storage,
+            },
+        };
+    }
+
+    /**
+     * Allocation of a node without VMs
+     * @returns {Object} Allocation
+     */
+    static emptyAllocation() {
+        return { cpu: 0, ram: 0, storage: 0, vms: 0 };
+    }
+
+    /**
+     * Log node event
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} nodeId - Node ID
+     * @param {Object} metadata - Additional metadata
+     */
+    static async logNodeEvent(userId, action, nodeId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'compute_node',
+                    resourceId: nodeId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log node event:', error);
+        }
+    }
+}
+
+module.exports = NodeService;
@@ -0,0 +1,312 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+
+// Exclusive operations change the VM, so only one of them runs on a VM at a time.
+// Every operation can be cancelled while queued; cancellable ones also while running.
+const OPERATION_TYPES = {
+    VM_START: { exclusive: true, cancellable: false },
+    VM_STOP: { exclusive: true, cancellable: false },
+    VM_RESTART: { exclusive: true, cancellable: false },
+    VM_BACKUP: { exclusive: true, cancellable: true },
+    VM_RESTORE: { exclusive: false, cancellable: true },
+    VM_MIGRATE: { exclusive: true, cancellable: true },
+};
+
+const ACTIVE_STATUSES = ['PENDING', 'RUNNING'];
+
+// Operations waiting for a free slot, in submission order
+const queue = [];
+
+// Running operations by ID
+const running = new Map();
+
+/**
+ * Operation Service
+ * Runs long VM actions in the background and tracks their progress as operations
+ *
+ * Operations are queued in this process and run OPERATION_CONCURRENCY at a time. Handlers get a
+ * tracker to report progress with `progress(percent, message)` and call `throwIfCancelled()`
+ * at the points where they can stop cleanly.
+ */
+class OperationService {
+    /**
+     * Queue an operation
+     * @param {string} type - Operation type
+     * @param {Object} target - Operation target ({ userId, vmId, params })
+     * @param {Function} handler - Async function run with the tracker, its result is stored with the operation
+     * @returns {Promise<Object>} Queued operation
+     */
+    static async enqueue(type, target, handler) {
+        const { userId, vmId = null, params = null } = target;
+
+        if (vmId && OPERATION_TYPES[type].exclusive) {
+            const active = await prisma.operation.findFirst({
+                where: {
+                    vmId,
+                    type: { in: this.getExclusiveTypes() },
+                    status: { in: ACTIVE_STATUSES },
+                },
+                select: { id: true, type: true },
+            });
+
+            if (active) {
+                throw new Error(`Operation ${active.id} (${active.type}) is already in progress on this VM`);
+            }
+        }
+
+        const operation = await prisma.operation.create({
+            data: {
+                type,
+                params,
+                userId,
+                vmId,
+            },
+        });
+
+        queue.push({ id: operation.id, handler });
+        this.drain();
+
+        return this.serialize(operation);
+    }
+
+    /**
+     * Start queued operations while there are free slots
+     */
+    static drain() {
+        while (running.size < config.operations.concurrency && queue.length > 0) {
+            const { id, handler } = queue.shift();
+            const job = { cancelRequested: false, cancelled: false };
+
+            running.set(id, job);
+            this.run(id, handler, job)
+                .catch(error => console.error(`Failed to update operation ${id}:`, error))
+                .finally(() => {
+                    running.delete(id);
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Run an operation and record its outcome
+     * @param {string} operationId - Operation ID
+     * @param {Function} handler - Operation handler
+     * @param {Object} job - Cancellation state of the running operation
+     */
+    static async run(operationId, handler, job) {
+        await prisma.operation.update({
+            where: { id: operationId },
+            data: {
+                status: 'RUNNING',
+                startedAt: new Date(),
+            },
+        });
+
+        const tracker = {
+            id: operationId,
+            progress: (percent, message) => prisma.operation.update({
+                where: { id: operationId },
+                data: { progress: Math.round(percent), message },
+            }),
+            throwIfCancelled: () => {
+                if (job.cancelRequested) {
+                    job.cancelled = true;
+                    throw new Error('Operation cancelled');
+                }
+            },
+        };
+
+        try {
+            const result = await handler(tracker);
+
+            await prisma.operation.update({
+                where: { id: operationId },
+                data: {
+                    status: 'SUCCEEDED',
+                    progress: 100,
+                    message: 'Completed',
+                    result: result === undefined ? undefined : result,
+                    completedAt: new Date(),
+                },
+            });
+        } catch (error) {
+            // Handlers wrap errors, the job tells whether it stopped on a cancellation
+            await prisma.operation.update({
+                where: { id: operationId },
+                data: job.cancelled
+                    ? { status: 'CANCELLED', message: 'Cancelled', completedAt: new Date() }
+                    : { status: 'FAILED', message: 'Failed', error: error.message, completedAt: new Date() },
+            });
+        }
+    }
+
+    /**
+     * Tracker for actions run outside of an operation
+     * @returns {Object} Tracker that ignores progress and is never cancelled
+     */
+    static untracked() {
+        return {
+            id: null,
+            progress: async () => {},
+            throwIfCancelled: () => {},
+        };
+    }
+
+    /**
+     * Get an operation
+     * @param {string} operationId - Operation ID
+     * @param {string|null} userId - Owner ID (null for admin access)
+     * @returns {Promise<Object>} Operation
+     */
+    static async getOperation(operationId, userId = null) {
+        const where = { id: operationId };
+        if (userId) {
+            where.userId = userId;
+        }
+
+        const operation = await prisma.operation.findFirst({ where });
+
+        if (!operation) {
+            throw new Error('Operation not found');
+        }
+
+        return this.serialize(operation);
+    }
+
+    /**
+     * Get operations, newest first
+     * @param {Object} where - Operation filter ({ userId, vmId })
+     * @param {Object} options - Query options ({ page, limit, status, type })
+     * @returns {Promise<Object>} Operations with pagination
+     */
+    static async getOperations(where, options = {}) {
+        const { page = 1, limit = 20, status, type } = options;
+        const filter = { ...where };
+
+        if (status) {
+            filter.status = status;
+        }
+
+        if (type) {
+            filter.type = type;
+        }
+
+        try {
+            const [operations, total] = await Promise.all([
+                prisma.operation.findMany({
+                    where: filter,
+                    orderBy: { createdAt: 'desc' },
+                    skip: (page - 1) * limit,
+                    take: limit,
+                }),
+                prisma.operation.count({ where: filter }),
+            ]);
+
+            return {
+                operations: operations.map(operation => this.serialize(operation)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            };
+        } catch (error) {
+            throw new Error(`Failed to get operations: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancel an operation
+     * Queued operations are cancelled right away, running ones at their next checkpoint
+     * @param {string} operationId - Operation ID
+     * @param {string|null} userId - Owner ID (null for admin access)
+     * @returns {Promise<Object>} Updated operation
+     */
+    static async cancelOperation(operationId, userId = null) {
+        const operation = await this.getOperation(operationId, userId);
+
+        if (!ACTIVE_STATUSES.includes(operation.status)) {
+            throw new Error(`Operation is already ${operation.status.toLowerCase()}`);
+        }
+
+        const index = queue.findIndex(item => item.id === operationId);
+        if (index !== -1) {
+            queue.splice(index, 1);
+
+            const cancelled = await prisma.operation.update({
+                where: { id: operationId },
+                data: {
+                    status: 'CANCELLED',
+                    message: 'Cancelled',
+                    cancelRequested: true,
+                    completedAt: new Date(),
+                },
+            });
+
+            return this.serialize(cancelled);
+        }
+
+        const job = running.get(operationId);
+        if (!job || !OPERATION_TYPES[operation.type].cancellable) {
+            throw new Error('Operation can no longer be cancelled');
+        }
+
+        job.cancelRequested = true;
+
+        const updated = await prisma.operation.update({
+            where: { id: operationId },
+            data: { cancelRequested: true },
+        });
+
+        return this.serialize(updated);
+    }
+
+    /**
+     * Fail operations left unfinished by a previous server process
+     * @returns {Promise<number>} Number of interrupted operations
+     */
+    static async failInterrupted() {
+        const result = await prisma.operation.updateMany({
+            where: {
+                status: { in: ACTIVE_STATUSES },
+                id: { notIn: [...queue.map(item => item.id), ...running.keys()] },
+            },
+            data: {
+                status: 'FAILED',
+                message: 'Failed',
+                error: 'Interrupted by a server restart',
+                completedAt: new Date(),
+            },
+        });
+
+        return result.count;
+    }
+
+    /**
+     * Get the operation types that lock their VM
+     * @returns {string[]} Operation types
+     */
+    static getExclusiveTypes() {
+        return Object.keys(OPERATION_TYPES).filter(type => OPERATION_TYPES[type].exclusive);
+    }
+
+    /**
+     * Add whether an operation can still be cancelled
+     * @param {Object} operation - Operation
+     * @returns {Object} Operation with `cancellable`
+     */
+    static serialize(operation) {
+        const cancellable = operation.status === 'PENDING'
+            || (operation.status === 'RUNNING'
+                && OPERATION_TYPES[operation.type].cancellable
+                && !operation.cancelRequested);
+
+        return {
+            ...operation,
+            cancellable,
+        };
+    }
+}
+
+module.exports = OperationService;
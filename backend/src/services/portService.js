@@ -0,0 +1,269 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+
+// Attempts before giving up when concurrent allocations race for the same port
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+const PORT_SELECT = {
+    id: true,
+    hostPort: true,
+    containerPort: true,
+    protocol: true,
+    description: true,
+};
+
+/**
+ * Port Service
+ * Manages the pool of public host ports forwarded to VM containers
+ *
+ * Users never pick host ports: each forwarded container port gets a lease on a free
+ * port of PORT_POOL_START-PORT_POOL_END, kept until the port is closed or the VM deleted.
+ */
+class PortService {
+    /**
+     * Get the forwarded ports of a VM
+     * @param {string} vmId - VM ID
+     * @returns {Promise<Object[]>} Port leases with their public endpoint
+     */
+    static async getVMPorts(vmId) {
+        const leases = await prisma.portLease.findMany({
+            where: { vmId },
+            select: PORT_SELECT,
+            orderBy: { createdAt: 'asc' },
+        });
+
+        return this.withEndpoints(leases);
+    }
+
+    /**
+     * Allocate a public port for a container port of a VM
+     * Returns the existing lease when the container port is already forwarded
+     * @param {string} vmId - VM ID
+     * @param {Object} portData - Port data ({ containerPort, protocol, description })
+     * @returns {Promise<Object>} Port lease
+     */
+    static async allocatePort(vmId, portData) {
+        const { containerPort, description } = portData;
+        const protocol = String(portData.protocol || 'TCP').toUpperCase();
+
+        try {
+            const existingLease = await prisma.portLease.findFirst({
+                where: { vmId, containerPort, protocol },
+                select: PORT_SELECT,
+            });
+
+            if (existingLease) {
+                return existingLease;
+            }
+
+            const count = await prisma.portLease.count({ where: { vmId } });
+            if (count >= config.ports.maxPerVM) {
+                throw new Error(`Maximum ${config.ports.maxPerVM} public ports per VM`);
+            }
+
+            for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt += 1) {
+                const hostPort = this.findFreePort(await this.getUsedPorts(protocol));
+
+                if (!hostPort) {
+                    break;
+                }
+
+                try {
+                    return await prisma.portLease.create({
+                        data: {
+                            hostPort,
+                            containerPort,
+                            protocol,
+                            description: description || null,
+                            vmId,
+                        },
+                        select: PORT_SELECT,
+                    });
+                } catch (error) {
+                    // Another allocation took this port first, try the next free one
+                    if (error.code !== 'P2002') {
+                        throw error;
+                    }
+                }
+            }
+
+            throw new Error(`Port pool exhausted for ${protocol}`);
+        } catch (error) {
+            throw new Error(`Port allocation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make sure a VM has a public port for SSH
+     * @param {string} vmId - VM ID
+     * @returns {Promise<Object>} SSH port lease
+     */
+    static async ensureSshPort(vmId) {
+        return this.allocatePort(vmId, {
+            containerPort: config.ssh.containerPort,
+            protocol: 'TCP',
+            description: 'SSH',
+        });
+    }
+
+    /**
+     * Release a port lease of a VM
+     * @param {string} vmId - VM ID
+     * @param {string} leaseId - Port lease ID
+     * @returns {Promise<Object>} Released lease
+     */
+    static async releasePort(vmId, leaseId) {
+        const lease = await prisma.portLease.findFirst({
+            where: { id: leaseId, vmId },
+            select: PORT_SELECT,
+        });
+
+        if (!lease) {
+            throw new Error('Port not found');
+        }
+
+        await prisma.portLease.delete({ where: { id: leaseId } });
+
+        return lease;
+    }
+
+    /**
+     * Release all ports of a VM
+     * @param {string} vmId - VM ID
+     * @returns {Promise<number>} Number of released leases
+     */
+    static async releaseVMPorts(vmId) {
+        try {
+            const result = await prisma.portLease.deleteMany({ where: { vmId } });
+            return result.count;
+        } catch (error) {
+            throw new Error(`Port release failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get host ports in use for a protocol
+     * @param {string} protocol - TCP or UDP
+     * @returns {Promise<number[]>} Used host ports
+     */
+    static async getUsedPorts(protocol) {
+        const leases = await prisma.portLease.findMany({
+            where: { protocol },
+            select: { hostPort: true },
+        });
+
+        return leases.map(lease => lease.hostPort);
+    }
+
+    /**
+     * Find the lowest free port of the pool
+     * @param {Iterable<number>} used - Ports already in use
+     * @returns {number|null} Free port, or null when the pool is exhausted
+     */
+    static findFreePort(used = []) {
+        const usedSet = new Set(used);
+
+        for (let port = config.ports.rangeStart; port <= config.ports.rangeEnd; port += 1) {
+            if (!usedSet.has(port)) {
+                return port;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the Docker port bindings of port leases
+     * @param {Object[]} leases - Port leases
+     * @returns {Object[]} Port bindings ({ containerPort, hostPort, protocol, hostIp })
+     */
+    static getPortBindings(leases) {
+        return leases.map(lease => ({
+            containerPort: lease.containerPort,
+            hostPort: lease.hostPort,
+            protocol: lease.protocol.toLowerCase(),
+            hostIp: config.ports.bindAddress,
+        }));
+    }
+
+    /**
+     * Add the public endpoint to port leases
+     * @param {Object[]} leases - Port leases
+     * @returns {Object[]} Port leases with their endpoint
+     */
+    static withEndpoints(leases) {
+        return leases.map(lease => ({
+            ...lease,
+            endpoint: `${config.ports.publicHost}:${lease.hostPort}`,
+        }));
+    }
+
+    /**
+     * Get the port pool with its utilization and leases (admin only)
+     * @param {Object} options - Query options ({ page, limit, protocol })
+     * @returns {Promise<Object>} Pool range, utilization and leases with pagination
+     */
+    static async getPool(options = {}) {
+        const { page = 1, limit = 50, protocol } = options;
+        const { rangeStart, rangeEnd } = config.ports;
+        const where = protocol ? { protocol } : {};
+
+        try {
+            const [leases, total, counts] = await Promise.all([
+                prisma.portLease.findMany({
+                    where,
+                    include: {
+                        vm: {
+                            select: {
+                                id: true,
+                                name: true,
+                                status: true,
+                                userId: true,
+                            },
+                        },
+                    },
+                    orderBy: { hostPort: 'asc' },
+                    skip: (page - 1) * limit,
+                    take: limit,
+                }),
+                prisma.portLease.count({ where }),
+                prisma.portLease.groupBy({
+                    by: ['protocol'],
+                    _count: { id: true },
+                }),
+            ]);
+
+            const size = rangeEnd - rangeStart + 1;
+            const utilization = ['TCP', 'UDP'].reduce((result, name) => {
+                const count = counts.find(item => item.protocol === name);
+                const allocated = count ? count._count.id : 0;
+
+                return {
+                    ...result,
+                    [name]: {
+                        total: size,
+                        allocated,
+                        free: Math.max(0, size - allocated),
+                        usagePercentage: (allocated / size) * 100,
+                    },
+                };
+            }, {});
+
+            return {
+                range: { start: rangeStart, end: rangeEnd },
+                utilization,
+                leases: this.withEndpoints(leases),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            };
+        } catch (error) {
+            throw new Error(`Failed to get port pool: ${error.message}`);
+        }
+    }
+}
+
+module.exports = PortService;
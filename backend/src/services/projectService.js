@@ -0,0 +1,193 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+
+/**
+ * Project Service
+ * Handles projects, named groups a user puts VMs in
+ *
+ * A VM belongs to at most one project. Deleting a project keeps its VMs, they are left
+ * without a project.
+ */
+class ProjectService {
+    /**
+     * Get user's projects
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Projects with their number of VMs
+     */
+    static async getProjects(userId) {
+        return prisma.project.findMany({
+            where: { userId },
+            include: {
+                _count: { select: { vms: true } },
+            },
+            orderBy: { name: 'asc' },
+        });
+    }
+
+    /**
+     * Get a project with its VMs
+     * @param {string} projectId - Project ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<Object>} Project
+     */
+    static async getProject(projectId, userId) {
+        const project = await prisma.project.findFirst({
+            where: { id: projectId, userId },
+            include: {
+                vms: {
+                    select: { id: true, name: true, status: true },
+                    orderBy: { name: 'asc' },
+                },
+            },
+        });
+
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        return project;
+    }
+
+    /**
+     * Create a project
+     * @param {string} userId - User ID
+     * @param {Object} projectData - Project data ({ name, description })
+     * @returns {Promise<Object>} Created project
+     */
+    static async createProject(userId, projectData) {
+        const { name, description } = projectData;
+
+        try {
+            const count = await prisma.project.count({ where: { userId } });
+            if (count >= config.projects.maxPerUser) {
+                throw new Error(`Maximum ${config.projects.maxPerUser} projects per user`);
+            }
+
+            const duplicate = await prisma.project.findFirst({ where: { userId, name } });
+            if (duplicate) {
+                throw new Error(`A project named "${name}" already exists`);
+            }
+
+            const project = await prisma.project.create({
+                data: {
+                    name,
+                    description: description || null,
+                    userId,
+                },
+            });
+
+            await this.logProjectEvent(userId, 'PROJECT_CREATED', project.id, { name });
+
+            return project;
+        } catch (error) {
+            throw new Error(`Failed to create project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a project
+     * @param {string} projectId - Project ID
+     * @param {string} userId - Owner user ID
+     * @param {Object} projectData - Project data ({ name, description })
+     * @returns {Promise<Object>} Updated project
+     */
+    static async updateProject(projectId, userId, projectData) {
+        const { name, description } = projectData;
+
+        try {
+            const project = await this.resolveProject(userId, projectId);
+
+            if (name && name !== project.name) {
+                const duplicate = await prisma.project.findFirst({
+                    where: { userId, name, id: { not: projectId } },
+                });
+                if (duplicate) {
+                    throw new Error(`A project named "${name}" already exists`);
+                }
+            }
+
+            const updatedProject = await prisma.project.update({
+                where: { id: projectId },
+                data: {
+                    ...(name && { name }),
+                    ...(description !== undefined && { description }),
+                },
+            });
+
+            await this.logProjectEvent(userId, 'PROJECT_UPDATED', projectId, {
+                oldName: project.name,
+                name: updatedProject.name,
+            });
+
+            return updatedProject;
+        } catch (error) {
+            throw new Error(`Failed to update project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a project
+     * Its VMs are kept without a project
+     * @param {string} projectId - Project ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<void>}
+     */
+    static async deleteProject(projectId, userId) {
+        try {
+            const project = await this.getProject(projectId, userId);
+
+            await prisma.project.delete({ where: { id: projectId } });
+
+            await this.logProjectEvent(userId, 'PROJECT_DELETED', projectId, {
+                name: project.name,
+                vms: project.vms.length,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve a project owned by a user
+     * @param {string} userId - Owner user ID
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object>} Project
+     */
+    static async resolveProject(userId, projectId) {
+        const project = await prisma.project.findFirst({
+            where: { id: projectId, userId },
+        });
+
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        return project;
+    }
+
+    /**
+     * Log project event
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} projectId - Project ID
+     * @param {Object} metadata - Additional metadata
+     * @returns {Promise<void>}
+     */
+    static async logProjectEvent(userId, action, projectId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'project',
+                    resourceId: projectId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log project event:', error);
+        }
+    }
+}
+
+module.exports = ProjectService;
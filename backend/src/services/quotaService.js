@@ -0,0 +1,374 @@
+const { prisma } = require('../config/database');
+
+// Limits used when a user has no plan and no default plan is configured
+const FALLBACK_LIMITS = {
+    cpu: 16, // 16 CPU cores
+    ram: 32768, // 32 GB RAM
+    storage: 1024, // 1 TB storage
+    bandwidth: 10000, // 10 TB bandwidth
+    vms: 5,
+};
+
+const QUOTA_RESOURCES = ['cpu', 'ram', 'storage', 'bandwidth', 'vms'];
+
+// Maps quota resource keys to PricingPlan / UserQuotaOverride columns
+const PLAN_FIELDS = {
+    cpu: 'maxCpu',
+    ram: 'maxRam',
+    storage: 'maxStorage',
+    bandwidth: 'maxBandwidth',
+    vms: 'maxVMs',
+};
+
+/**
+ * Quota Service
+ * Resolves per-user resource limits from pricing plans and admin overrides
+ */
+class QuotaService {
+    /**
+     * Get the pricing plan that applies to a user
+     * Falls back to the default plan (DEFAULT_PRICING_PLAN, "Starter") when none is assigned
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} Pricing plan
+     */
+    static async getUserPlan(userId) {
+        try {
+            const user = await prisma.user.findUnique({
+                where: { id: userId },
+                select: { id: true, plan: true },
+            });
+
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (user.plan && user.plan.isActive) {
+                return user.plan;
+            }
+
+            return await this.getDefaultPlan();
+        } catch (error) {
+            throw new Error(`Failed to get user plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the default pricing plan
+     * @returns {Promise<Object|null>} Default pricing plan
+     */
+    static async getDefaultPlan() {
+        const defaultPlanName = process.env.DEFAULT_PRICING_PLAN || 'Starter';
+
+        return prisma.pricingPlan.findFirst({
+            where: { name: defaultPlanName, isActive: true },
+        });
+    }
+
+    /**
+     * Get effective resource limits for a user (plan limits with overrides applied)
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Limits, source plan and override
+     */
+    static async getEffectiveLimits(userId) {
+        try {
+            const [plan, override] = await Promise.all([
+                this.getUserPlan(userId),
+                prisma.userQuotaOverride.findUnique({ where: { userId } }),
+            ]);
+
+            const planLimits = plan
+                ? this.planToLimits(plan)
+                : { ...FALLBACK_LIMITS };
+
+            const limits = { ...planLimits };
+            if (override) {
+                QUOTA_RESOURCES.forEach((resource) => {
+                    const value = override[PLAN_FIELDS[resource]];
+                    if (value !== null && value !== undefined) {
+                        limits[resource] = value;
+                    }
+                });
+            }
+
+            return {
+                plan: plan
+                    ? { id: plan.id, name: plan.name, limits: planLimits }
+                    : null,
+                override: override || null,
+                limits,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get resource limits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get resources currently allocated to a user's VMs
+     * Storage includes the user's volumes, attached or not
+     * @param {string} userId - User ID
+     * @param {Object} db - Prisma client or transaction
+     * @returns {Promise<Object>} Allocated resources
+     */
+    static async getAllocatedResources(userId, db = prisma) {
+        try {
+            const [result, volumes] = await Promise.all([
+                db.virtualMachine.aggregate({
+                    where: { userId },
+                    _count: { id: true },
+                    _sum: {
+                        cpu: true,
+                        ram: true,
+                        storage: true,
+                        bandwidth: true,
+                    },
+                }),
+                db.volume.aggregate({
+                    where: { userId },
+                    _sum: { size: true },
+                }),
+            ]);
+
+            return {
+                cpu: result._sum.cpu || 0,
+                ram: result._sum.ram || 0,
+                storage: (result._sum.storage || 0) + (volumes._sum.size || 0),
+                bandwidth: result._sum.bandwidth || 0,
+                vms: result._count.id || 0,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get resource usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check whether a requested allocation fits within the user's quota
+     * Only resources with a positive request are checked, so shrinking a VM never fails
+     * @param {string} userId - User ID
+     * @param {Object} request - Additional resources requested ({ cpu, ram, storage, bandwidth, vms })
+     * @param {Object} db - Prisma client or transaction the allocated resources are read with
+     * @returns {Promise<Object>} Check result with violations
+     */
+    static async checkQuota(userId, request, db = prisma) {
+        const [{ limits }, allocated] = await Promise.all([
+            this.getEffectiveLimits(userId),
+            this.getAllocatedResources(userId, db),
+        ]);
+
+        const violations = [];
+        QUOTA_RESOURCES.forEach((resource) => {
+            const requested = request[resource] || 0;
+            if (requested <= 0) {
+                return;
+            }
+
+            const total = allocated[resource] + requested;
+            if (total > limits[resource]) {
+                violations.push({
+                    resource,
+                    limit: limits[resource],
+                    allocated: allocated[resource],
+                    requested,
+                });
+            }
+        });
+
+        return {
+            allowed: violations.length === 0,
+            violations,
+            limits,
+            allocated,
+        };
+    }
+
+    /**
+     * Assert that a requested allocation fits within the user's quota
+     * @param {string} userId - User ID
+     * @param {Object} request - Additional resources requested
+     * @param {Object} db - Prisma client or transaction the allocated resources are read with
+     * @returns {Promise<void>}
+     */
+    static async assertWithinQuota(userId, request, db = prisma) {
+        const result = await this.checkQuota(userId, request, db);
+
+        if (!result.allowed) {
+            const details = result.violations
+                .map(v => `${v.resource} (limit ${v.limit}, allocated ${v.allocated}, requested ${v.requested})`)
+                .join(', ');
+            throw new Error(`Quota exceeded: ${details}`);
+        }
+    }
+
+    /**
+     * Allocate resources within the user's quota
+     * Checks of the same user wait for each other on an advisory lock held until the transaction
+     * ends, and the allocation is written in that transaction, so concurrent requests cannot all
+     * pass the check.
+     * @param {string} userId - User ID
+     * @param {Object} request - Additional resources requested
+     * @param {Function} allocate - Writes the allocation, called with the transaction
+     * @returns {Promise<*>} Result of allocate
+     */
+    static async reserve(userId, request, allocate) {
+        return prisma.$transaction(async (tx) => {
+            await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`quota:${userId}`}))`;
+            await this.assertWithinQuota(userId, request, tx);
+
+            return allocate(tx);
+        });
+    }
+
+    /**
+     * Build a quota report with limits, usage and headroom
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Quota report
+     */
+    static async getQuotaReport(userId) {
+        try {
+            const [{ plan, override, limits }, usage] = await Promise.all([
+                this.getEffectiveLimits(userId),
+                this.getAllocatedResources(userId),
+            ]);
+
+            const headroom = {};
+            const usagePercentages = {};
+            QUOTA_RESOURCES.forEach((resource) => {
+                headroom[resource] = Math.max(0, limits[resource] - usage[resource]);
+                usagePercentages[resource] = limits[resource] > 0
+                    ? (usage[resource] / limits[resource]) * 100
+                    : 0;
+            });
+
+            return {
+                plan,
+                override,
+                limits,
+                usage,
+                headroom,
+                usagePercentages,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get quota report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Assign a pricing plan to a user (admin only)
+     * @param {string} userId - User ID
+     * @param {string|null} planId - Plan ID, or null to fall back to the default plan
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<Object>} Updated quota report
+     */
+    static async assignPlan(userId, planId, adminId) {
+        try {
+            if (planId) {
+                const plan = await prisma.pricingPlan.findUnique({ where: { id: planId } });
+                if (!plan) {
+                    throw new Error('Pricing plan not found');
+                }
+                if (!plan.isActive) {
+                    throw new Error('Pricing plan is not active');
+                }
+            }
+
+            const user = await prisma.user.update({
+                where: { id: userId },
+                data: { planId: planId || null },
+                select: { id: true, email: true, planId: true },
+            });
+
+            await prisma.auditLog.create({
+                data: {
+                    userId: adminId,
+                    action: 'USER_PLAN_ASSIGNED',
+                    resource: 'user',
+                    resourceId: userId,
+                    newValues: { planId: user.planId },
+                },
+            });
+
+            return await this.getQuotaReport(userId);
+        } catch (error) {
+            throw new Error(`Failed to assign plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set per-user quota overrides (admin only)
+     * @param {string} userId - User ID
+     * @param {Object} overrideData - Override values ({ maxCpu, maxRam, ..., reason })
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<Object>} Updated quota report
+     */
+    static async setOverride(userId, overrideData, adminId) {
+        try {
+            const data = { reason: overrideData.reason || null, grantedBy: adminId };
+            Object.values(PLAN_FIELDS).forEach((field) => {
+                if (overrideData[field] !== undefined) {
+                    data[field] = overrideData[field];
+                }
+            });
+
+            const override = await prisma.userQuotaOverride.upsert({
+                where: { userId },
+                update: data,
+                create: { ...data, userId },
+            });
+
+            await prisma.auditLog.create({
+                data: {
+                    userId: adminId,
+                    action: 'USER_QUOTA_OVERRIDDEN',
+                    resource: 'user',
+                    resourceId: userId,
+                    newValues: override,
+                },
+            });
+
+            return await this.getQuotaReport(userId);
+        } catch (error) {
+            throw new Error(`Failed to set quota override: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove per-user quota overrides (admin only)
+     * @param {string} userId - User ID
+     * @param {string} adminId - Admin performing the change
+     * @returns {Promise<Object>} Updated quota report
+     */
+    static async clearOverride(userId, adminId) {
+        try {
+            await prisma.userQuotaOverride.deleteMany({ where: { userId } });
+
+            await prisma.auditLog.create({
+                data: {
+                    userId: adminId,
+                    action: 'USER_QUOTA_OVERRIDE_REMOVED',
+                    resource: 'user',
+                    resourceId: userId,
+                },
+            });
+
+            return await this.getQuotaReport(userId);
+        } catch (error) {
+            throw new Error(`Failed to clear quota override: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a pricing plan to quota limits
+     * @param {Object} plan - Pricing plan
+     * @returns {Object} Limits keyed by resource
+     */
+    static planToLimits(plan) {
+        const limits = {};
+        QUOTA_RESOURCES.forEach((resource) => {
+            limits[resource] = plan[PLAN_FIELDS[resource]];
+        });
+        return limits;
+    }
+}
+
+QuotaService.FALLBACK_LIMITS = FALLBACK_LIMITS;
+
+module.exports = QuotaService;
@@ -0,0 +1,318 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+const NodeService = require('./nodeService');
+const VMService = require('./vmService');
+const VMStateMachine = require('./vmStateMachine');
+
+// Result of the last run, shown to admins
+let lastReport = null;
+
+/**
+ * Get the VM status a container state means
+ * @param {Object} container - Container from dockerService.listContainers
+ * @returns {string} VM status
+ */
+const observedStatus = (container) => {
+    if (['running', 'restarting'].includes(container.state)) {
+        return 'RUNNING';
+    }
+
+    if (container.state === 'dead') {
+        return 'ERROR';
+    }
+
+    return 'STOPPED';
+};
+
+// Container IDs are stored in full but may be shortened
+const sameContainer = (a, b) => a.startsWith(b) || b.startsWith(a);
+
+// Stands for DOCKER_HOST until the local node is registered
+const LOCAL_NODE = { id: null, name: 'local', endpoint: null };
+
+/**
+ * Reconcile Service
+ * Compares VM records with the containers Docker reports and repairs the drift
+ *
+ * VMs with an active operation or changed in the last RECONCILE_GRACE_PERIOD are skipped, their
+ * container may be changing. So are VMs on compute nodes that cannot be reached.
+ * Managed containers without a VM are only reported, never removed.
+ */
+class ReconcileService {
+    /**
+     * Compare VMs with their containers
+     * @param {Object} options - { repair } to fix the drift found (defaults to RECONCILE_AUTO_REPAIR)
+     * @returns {Promise<Object>} Reconciliation report
+     */
+    static async reconcile(options = {}) {
+        const { repair = config.reconciler.autoRepair } = options;
+        const startedAt = new Date();
+
+        try {
+            const [vms, nodes, activeOperations] = await Promise.all([
+                prisma.virtualMachine.findMany({
+                    select: {
+                        id: true,
+                        name: true,
+                        status: true,
+                        dockerContainerId: true,
+                        nodeId: true,
+                        updatedAt: true,
+                    },
+                }),
+                prisma.computeNode.findMany({ orderBy: { createdAt: 'asc' } }),
+                prisma.operation.findMany({
+                    where: {
+                        status: { in: ['PENDING', 'RUNNING'] },
+                        vmId: { not: null },
+                    },
+                    select: { vmId: true },
+                }),
+            ]);
+
+            const localNode = nodes.find(node => !node.endpoint) || LOCAL_NODE;
+            if (localNode === LOCAL_NODE) {
+                nodes.unshift(LOCAL_NODE);
+            }
+
+            const { containers, unreachableNodes } = await this.listNodeContainers(nodes);
+            const unreachable = new Set(unreachableNodes.map(node => node.nodeId));
+
+            const busy = new Set(activeOperations.map(operation => operation.vmId));
+            const settledBefore = startedAt.getTime() - config.reconciler.gracePeriod;
+            const claimed = new Set();
+            const drift = [];
+            let skipped = 0;
+
+            for (const vm of vms) {
+                // VMs created before nodes existed run on the local host
+                const nodeId = vm.nodeId || localNode.id;
+                const labeled = containers.filter(container => container.vmId === vm.id && container.nodeId === nodeId);
+
+                if (busy.has(vm.id) || unreachable.has(nodeId) || new Date(vm.updatedAt).getTime() > settledBefore) {
+                    // Not checked now, but its containers are not orphans either
+                    labeled.forEach(container => claimed.add(container.containerId));
+                    skipped += 1;
+                    continue;
+                }
+
+                const finding = this.inspectVM(vm, labeled);
+                if (finding.container) {
+                    claimed.add(finding.container.containerId);
+                }
+
+                if (finding.type) {
+                    drift.push(await this.resolve(vm, finding, repair));
+                }
+            }
+
+            const vmIds = new Set(vms.map(vm => vm.id));
+            const orphans = containers
+                .filter(container => !claimed.has(container.containerId))
+                .map(container => ({
+                    containerId: container.containerId,
+                    nodeId: container.nodeId,
+                    name: container.names?.[0]?.replace(/^\//, '') || null,
+                    image: container.image,
+                    state: container.state,
+                    vmId: container.vmId || null,
+                    reason: this.getOrphanReason(container, vmIds),
+                    createdAt: new Date(container.created * 1000),
+                }));
+
+            lastReport = {
+                startedAt,
+                completedAt: new Date(),
+                repair,
+                checkedVMs: vms.length - skipped,
+                skippedVMs: skipped,
+                containers: containers.length,
+                unreachableNodes,
+                drift,
+                orphans,
+            };
+
+            return lastReport;
+        } catch (error) {
+            throw new Error(`Reconciliation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the managed containers of all compute nodes
+     * @param {Object[]} nodes - Compute nodes
+     * @returns {Promise<Object>} { containers, unreachableNodes }, containers carry their nodeId
+     */
+    static async listNodeContainers(nodes) {
+        const containers = [];
+        const unreachableNodes = [];
+
+        for (const node of nodes) {
+            try {
+                const listed = await dockerService.forNode(node).listContainers();
+                containers.push(...listed.map(container => ({ ...container, nodeId: node.id })));
+            } catch (error) {
+                unreachableNodes.push({ nodeId: node.id, name: node.name, error: error.message });
+            }
+        }
+
+        return { containers, unreachableNodes };
+    }
+
+    /**
+     * Find how a VM record differs from its containers
+     * @param {Object} vm - VM record
+     * @param {Array} labeled - Containers labeled with the VM ID
+     * @returns {Object} Finding ({ type, container, containerId, observedStatus }), type is null without drift
+     */
+    static inspectVM(vm, labeled) {
+        const tracked = vm.dockerContainerId
+            ? labeled.find(container => sameContainer(container.containerId, vm.dockerContainerId))
+            : null;
+
+        // A start that failed after creating the container leaves it behind, a single one is adopted
+        const container = tracked || (labeled.length === 1 ? labeled[0] : null);
+
+        let type = null;
+        let status = vm.status;
+
+        if (vm.status === 'SUSPENDED') {
+            if (container && observedStatus(container) === 'RUNNING') {
+                type = 'SUSPENDED_RUNNING';
+            } else if (vm.dockerContainerId && !tracked) {
+                type = container ? 'UNTRACKED_CONTAINER' : 'MISSING_CONTAINER';
+            }
+        } else if (container) {
+            status = observedStatus(container);
+
+            // A failed VM is expected to have its container down
+            if (vm.status === 'ERROR' && status === 'STOPPED') {
+                status = 'ERROR';
+            }
+
+            if (!tracked) {
+                type = 'UNTRACKED_CONTAINER';
+            } else if (status !== vm.status) {
+                type = 'STATUS_MISMATCH';
+            }
+        } else {
+            // Without a container the VM can only be stopped or failed
+            status = vm.status === 'ERROR' ? 'ERROR' : 'STOPPED';
+
+            if (vm.dockerContainerId) {
+                type = 'MISSING_CONTAINER';
+            } else if (status !== vm.status) {
+                type = 'STATUS_MISMATCH';
+            }
+        }
+
+        return {
+            type,
+            container,
+            containerId: container ? container.containerId : null,
+            observedStatus: status,
+        };
+    }
+
+    /**
+     * Report a finding and repair it if requested
+     * @param {Object} vm - VM record
+     * @param {Object} finding - Finding from inspectVM
+     * @param {boolean} repair - Whether to repair the VM
+     * @returns {Promise<Object>} Drift entry
+     */
+    static async resolve(vm, finding, repair) {
+        const entry = {
+            type: finding.type,
+            vmId: vm.id,
+            vmName: vm.name,
+            status: vm.status,
+            observedStatus: finding.observedStatus,
+            dockerContainerId: vm.dockerContainerId,
+            containerId: finding.containerId,
+            repaired: false,
+        };
+
+        if (!repair) {
+            return entry;
+        }
+
+        try {
+            await this.repairVM(vm, finding);
+            entry.repaired = true;
+
+            await VMService.logVMEvent(null, 'VM_RECONCILED', vm.id, {
+                vmName: vm.name,
+                type: finding.type,
+                oldStatus: vm.status,
+                newStatus: finding.observedStatus,
+                oldContainerId: vm.dockerContainerId,
+                newContainerId: finding.containerId,
+            });
+        } catch (error) {
+            entry.error = error.message;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Bring a VM record in line with Docker
+     * @param {Object} vm - VM record
+     * @param {Object} finding - Finding from inspectVM
+     */
+    static async repairVM(vm, finding) {
+        // Suspension wins over the container
+        if (finding.type === 'SUSPENDED_RUNNING') {
+            const docker = await NodeService.getDocker(vm);
+            await docker.stopContainer(finding.containerId, 10);
+            return;
+        }
+
+        const data = {};
+        if (finding.containerId !== vm.dockerContainerId) {
+            data.dockerContainerId = finding.containerId;
+        }
+
+        if (finding.observedStatus !== vm.status) {
+            await VMStateMachine.transition(vm, `RECONCILE_${finding.observedStatus}`, {
+                reason: `Reconciled: ${finding.type}`,
+                data,
+            });
+            return;
+        }
+
+        await prisma.virtualMachine.update({
+            where: { id: vm.id },
+            data: {
+                ...data,
+                ...(!finding.containerId && { sshPort: null }),
+            },
+        });
+    }
+
+    /**
+     * Tell why a managed container has no VM
+     * @param {Object} container - Container
+     * @param {Set} vmIds - IDs of existing VMs
+     * @returns {string} NO_VM_LABEL, VM_DELETED or DUPLICATE
+     */
+    static getOrphanReason(container, vmIds) {
+        if (!container.vmId) {
+            return 'NO_VM_LABEL';
+        }
+
+        return vmIds.has(container.vmId) ? 'DUPLICATE' : 'VM_DELETED';
+    }
+
+    /**
+     * Get the report of the last reconciliation
+     * @returns {Object|null} Report, null before the first run
+     */
+    static getLastReport() {
+        return lastReport;
+    }
+}
+
+module.exports = ReconcileService;
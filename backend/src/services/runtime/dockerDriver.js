@@ -0,0 +1,1615 @@
+const fs = require('fs');
+const posixPath = require('path').posix;
+const { PassThrough, Writable, pipeline } = require('stream');
+const tar = require('tar-stream');
+const Docker = require('dockerode');
+const config = require('../../config');
+const RuntimeDriver = require('./runtimeDriver');
+
+/**
+ * Docker Driver
+ * Runs VM containers on a Docker daemon through dockerode
+ */
+class DockerDriver extends RuntimeDriver {
+  /**
+   * @param {string} endpoint - Docker endpoint, defaults to the local DOCKER_HOST socket
+   */
+  constructor(endpoint = null) {
+    super(endpoint);
+
+    // Initialize Docker client
+    this.docker = new Docker({
+      ...DockerDriver.parseEndpoint(endpoint || process.env.DOCKER_HOST || '/var/run/docker.sock'),
+      timeout: 30000, // 30 seconds timeout
+    });
+  }
+
+  /**
+   * Get dockerode connection options for an endpoint
+   * @param {string} endpoint - unix:///path, /path, tcp://host:port, http(s)://host:port
+   * @returns {Object} Connection options
+   */
+  static parseEndpoint(endpoint) {
+    if (endpoint.startsWith('/')) {
+      return { socketPath: endpoint };
+    }
+
+    const url = new URL(endpoint);
+
+    if (url.protocol === 'unix:') {
+      return { socketPath: url.pathname };
+    }
+
+    if (!['tcp:', 'http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Unsupported Docker endpoint: ${endpoint}`);
+    }
+
+    return {
+      host: url.hostname,
+      port: Number(url.port) || 2375,
+      protocol: url.protocol === 'https:' ? 'https' : 'http',
+    };
+  }
+
+  /**
+   * Create and start a new container for VM
+   * @param {Object} vmConfig - VM configuration
+   * @returns {Promise<Object>} Container info
+   */
+  async createContainer(vmConfig) {
+    const {
+      vmId,
+      name,
+      image = 'ubuntu:latest',
+      cpu,
+      ram,
+      storage,
+      ports = [],
+      environment = [],
+      volumes = [],
+      network = 'sahary-network',
+      ipAddress,
+      networks = [],
+    } = vmConfig;
+
+    try {
+      // Container configuration
+      const containerConfig = {
+        name: `sahary-vm-${vmId}`,
+        Image: image,
+
+        // Resource limits
+        HostConfig: {
+          // CPU limits (in nano CPUs: 1 CPU = 1000000000 nano CPUs)
+          NanoCpus: cpu * 1000000000,
+
+          // Memory limit in bytes
+          Memory: ram * 1024 * 1024,
+
+          // Storage limit (using device mapper or overlay2)
+          StorageOpt: {
+            size: `${storage}G`,
+          },
+
+          // Port mappings
+          PortBindings: this.formatPortBindings(ports),
+
+          // Volume mounts
+          Binds: volumes,
+
+          // Network mode
+          NetworkMode: network,
+
+          // Restart policy
+          RestartPolicy: {
+            Name: 'unless-stopped',
+            MaximumRetryCount: 3,
+          },
+
+          // Security options
+          SecurityOpt: ['no-new-privileges:true'],
+
+          // Resource constraints
+          CpuShares: cpu * 1024, // CPU shares (relative weight)
+          MemorySwap: ram * 1024 * 1024 * 2, // Allow 2x RAM as swap
+
+          // Logging
+          LogConfig: {
+            Type: 'json-file',
+            Config: {
+              'max-size': '10m',
+              'max-file': '3',
+            },
+          },
+        },
+
+        // Environment variables
+        Env: [
+          `VM_ID=${vmId}`,
+          `VM_NAME=${name}`,
+          `CPU_LIMIT=${cpu}`,
+          `RAM_LIMIT=${ram}`,
+          `STORAGE_LIMIT=${storage}`,
+          ...environment,
+        ],
+
+        // Labels for identification
+        Labels: {
+          'sahary.vm.id': vmId,
+          'sahary.vm.name': name,
+          'sahary.service': 'vm',
+          'sahary.managed': 'true',
+        },
+
+        // Working directory
+        WorkingDir: '/app',
+
+        // User (non-root for security)
+        User: '1000:1000',
+
+        // Exposed ports
+        ExposedPorts: this.formatExposedPorts(ports),
+
+        // Health check
+        Healthcheck: {
+          Test: ['CMD-SHELL', 'echo "healthy"'],
+          Interval: 30000000000, // 30 seconds in nanoseconds
+          Timeout: 10000000000,  // 10 seconds
+          Retries: 3,
+          StartPeriod: 60000000000, // 60 seconds
+        },
+      };
+
+      // Static address leased by IPAM
+      if (ipAddress) {
+        containerConfig.NetworkingConfig = {
+          EndpointsConfig: {
+            [network]: {
+              IPAMConfig: { IPv4Address: ipAddress },
+            },
+          },
+        };
+      }
+
+      // Create container
+      const container = await this.docker.createContainer(containerConfig);
+
+      // Join the additional networks (private networks) with their leased addresses
+      try {
+        for (const endpoint of networks) {
+          await this.connectNetwork(container.id, endpoint.name, endpoint);
+        }
+      } catch (error) {
+        await container.remove({ force: true, v: true }).catch(() => {});
+        throw error;
+      }
+
+      // Get container info
+      const containerInfo = await container.inspect();
+
+      return {
+        containerId: containerInfo.Id,
+        name: containerInfo.Name,
+        status: containerInfo.State.Status,
+        created: containerInfo.Created,
+        image: containerInfo.Config.Image,
+        ports: this.extractPortMappings(containerInfo.NetworkSettings.Ports),
+        ipAddress: this.extractIPAddress(containerInfo.NetworkSettings),
+      };
+    } catch (error) {
+      throw new Error(`Failed to create container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start container
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Container status
+   */
+  async startContainer(containerId) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Start container
+      await container.start();
+
+      // Wait a moment for container to initialize
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      // Get updated container info
+      const containerInfo = await container.inspect();
+
+      return {
+        containerId: containerInfo.Id,
+        status: containerInfo.State.Status,
+        startedAt: containerInfo.State.StartedAt,
+        ipAddress: this.extractIPAddress(containerInfo.NetworkSettings),
+        ports: this.extractPortMappings(containerInfo.NetworkSettings.Ports),
+      };
+    } catch (error) {
+      throw new Error(`Failed to start container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop container
+   * @param {string} containerId - Container ID
+   * @param {number} timeout - Stop timeout in seconds
+   * @returns {Promise<Object>} Container status
+   */
+  async stopContainer(containerId, timeout = 10) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Stop container gracefully
+      await container.stop({ t: timeout });
+
+      // Get updated container info
+      const containerInfo = await container.inspect();
+
+      return {
+        containerId: containerInfo.Id,
+        status: containerInfo.State.Status,
+        finishedAt: containerInfo.State.FinishedAt,
+      };
+    } catch (error) {
+      throw new Error(`Failed to stop container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restart container
+   * @param {string} containerId - Container ID
+   * @param {number} timeout - Restart timeout in seconds
+   * @returns {Promise<Object>} Container status
+   */
+  async restartContainer(containerId, timeout = 10) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Restart container
+      await container.restart({ t: timeout });
+
+      // Wait for container to stabilize
+      await new Promise(resolve => setTimeout(resolve, 3000));
+
+      // Get updated container info
+      const containerInfo = await container.inspect();
+
+      return {
+        containerId: containerInfo.Id,
+        status: containerInfo.State.Status,
+        startedAt: containerInfo.State.StartedAt,
+        ipAddress: this.extractIPAddress(containerInfo.NetworkSettings),
+      };
+    } catch (error) {
+      throw new Error(`Failed to restart container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update CPU and memory limits of a container
+   * Docker applies the new limits without restarting a running container
+   * @param {string} containerId - Container ID
+   * @param {Object} resources - New limits ({ cpu, ram })
+   * @returns {Promise<Object>} Applied limits
+   */
+  async updateContainerResources(containerId, resources) {
+    const { cpu, ram } = resources;
+
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Same limits as createContainer
+      await container.update({
+        NanoCpus: cpu * 1000000000,
+        CpuShares: cpu * 1024,
+        Memory: ram * 1024 * 1024,
+        MemorySwap: ram * 1024 * 1024 * 2,
+      });
+
+      return { containerId, cpu, ram };
+    } catch (error) {
+      throw new Error(`Failed to update container resources: ${error.message}`);
+    }
+  }
+
+  /**
+   * Snapshot the root filesystem of a container into an image
+   * Volumes are not part of the snapshot
+   * @param {string} containerId - Container ID
+   * @param {string} repository - Image repository
+   * @param {string} reason - Snapshot reason, for the image comment
+   * @returns {Promise<Object>} Snapshot info ({ imageId, image })
+   */
+  async snapshotContainer(containerId, repository, reason) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      const tag = Date.now().toString();
+
+      const image = await container.commit({
+        repo: repository,
+        tag,
+        comment: `${reason} snapshot created at ${new Date().toISOString()}`,
+        author: 'Sahary Cloud',
+      });
+
+      return {
+        imageId: image.Id,
+        image: `${repository}:${tag}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to snapshot container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy a directory from one container to another, volumes included
+   * Both containers may be stopped
+   * @param {string} sourceId - Source container ID
+   * @param {string} targetId - Target container ID
+   * @param {string} path - Absolute directory path
+   * @returns {Promise<boolean>} False if the path does not exist in the source
+   */
+  async copyContainerPath(sourceId, targetId, path) {
+    try {
+      const archive = await this.getContainerArchive(sourceId, path);
+      if (!archive) {
+        return false;
+      }
+
+      // The archive holds the directory itself, extract it in its parent
+      const target = this.docker.getContainer(targetId);
+      await target.putArchive(archive, { path: posixPath.dirname(path) });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to copy container path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a container with a new one keeping its root filesystem
+   * Used for changes Docker cannot apply in place (storage size).
+   * The old container is restored if the replacement cannot be created or started.
+   * @param {string} containerId - Container ID
+   * @param {Object} vmConfig - VM configuration for the new container
+   * @returns {Promise<Object>} New container info
+   */
+  async recreateContainer(containerId, vmConfig) {
+    const container = this.docker.getContainer(containerId);
+    let imageRef = null;
+    let wasRunning = false;
+    let renamed = false;
+    let replacement = null;
+
+    try {
+      const containerInfo = await container.inspect();
+      wasRunning = containerInfo.State.Running;
+      const previousImage = containerInfo.Config.Image;
+
+      const snapshot = await this.snapshotContainer(containerId, `sahary-resize/${vmConfig.vmId}`, 'Resize');
+      imageRef = snapshot.image;
+
+      if (wasRunning) {
+        await container.stop({ t: 10 });
+      }
+
+      // Free the container name for the replacement
+      await container.rename({ name: `sahary-vm-${vmConfig.vmId}-old-${Date.now()}` });
+      renamed = true;
+
+      replacement = await this.createContainer({ ...vmConfig, image: imageRef });
+      let result = replacement;
+      if (wasRunning) {
+        result = { ...replacement, ...(await this.startContainer(replacement.containerId)) };
+      }
+
+      await container.remove({ force: true, v: true });
+
+      // The snapshot of a previous resize is not used anymore
+      if (previousImage.startsWith('sahary-resize/')) {
+        await this.removeImage(previousImage).catch(() => {});
+      }
+
+      return result;
+    } catch (error) {
+      if (replacement) {
+        await this.docker.getContainer(replacement.containerId).remove({ force: true }).catch(() => {});
+      }
+      if (renamed) {
+        await container.rename({ name: `sahary-vm-${vmConfig.vmId}` }).catch(() => {});
+      }
+      if (wasRunning) {
+        await container.start().catch(() => {});
+      }
+      if (imageRef) {
+        await this.removeImage(imageRef).catch(() => {});
+      }
+
+      throw new Error(`Failed to recreate container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove container
+   * @param {string} containerId - Container ID
+   * @param {boolean} force - Force removal
+   * @returns {Promise<void>}
+   */
+  async removeContainer(containerId, force = false) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Stop container first if running
+      try {
+        const containerInfo = await container.inspect();
+        if (containerInfo.State.Running) {
+          await container.stop({ t: 10 });
+        }
+      } catch (stopError) {
+        console.warn('Container might already be stopped:', stopError.message);
+      }
+
+      // Remove container
+      await container.remove({ force, v: true }); // v: true removes associated volumes
+
+    } catch (error) {
+      throw new Error(`Failed to remove container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get container status and stats
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Container status and stats
+   */
+  async getContainerStatus(containerId) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Get container info and stats
+      const [containerInfo, stats] = await Promise.all([
+        container.inspect(),
+        this.getContainerStats(containerId).catch(() => null), // Stats might fail if container is stopped
+      ]);
+
+      return {
+        containerId: containerInfo.Id,
+        name: containerInfo.Name,
+        status: containerInfo.State.Status,
+        running: containerInfo.State.Running,
+        paused: containerInfo.State.Paused,
+        restarting: containerInfo.State.Restarting,
+        exitCode: containerInfo.State.ExitCode,
+        error: containerInfo.State.Error,
+        startedAt: containerInfo.State.StartedAt,
+        finishedAt: containerInfo.State.FinishedAt,
+        image: containerInfo.Config.Image,
+        ipAddress: this.extractIPAddress(containerInfo.NetworkSettings),
+        ports: this.extractPortMappings(containerInfo.NetworkSettings.Ports),
+        stats: stats || null,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null; // Container not found
+      }
+      throw new Error(`Failed to get container status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get container resource usage stats
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Resource usage stats
+   */
+  async getContainerStats(containerId) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Get stats (single reading)
+      const stats = await container.stats({ stream: false });
+
+      // Calculate CPU usage percentage
+      const cpuUsage = this.calculateCPUUsage(stats);
+
+      // Calculate memory usage
+      const memoryUsage = {
+        used: stats.memory_stats.usage || 0,
+        limit: stats.memory_stats.limit || 0,
+        percentage: stats.memory_stats.limit > 0
+          ? (stats.memory_stats.usage / stats.memory_stats.limit) * 100
+          : 0,
+      };
+
+      // Calculate network I/O
+      const networkIO = this.calculateNetworkIO(stats.networks);
+
+      // Calculate block I/O
+      const blockIO = this.calculateBlockIO(stats.blkio_stats);
+
+      return {
+        timestamp: new Date().toISOString(),
+        cpu: {
+          usage: cpuUsage,
+          systemUsage: stats.cpu_stats.system_cpu_usage,
+        },
+        memory: memoryUsage,
+        network: networkIO,
+        blockIO: blockIO,
+        pids: stats.pids_stats?.current || 0,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get container stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all containers managed by Sahary
+   * @param {Object} filters - Container filters
+   * @returns {Promise<Array>} List of containers
+   */
+  async listContainers(filters = {}) {
+    try {
+      const listOptions = {
+        all: true, // Include stopped containers
+        filters: {
+          label: ['sahary.managed=true'],
+          ...filters,
+        },
+      };
+
+      const containers = await this.docker.listContainers(listOptions);
+
+      return containers.map(container => ({
+        containerId: container.Id,
+        names: container.Names,
+        image: container.Image,
+        status: container.Status,
+        state: container.State,
+        created: container.Created,
+        ports: container.Ports,
+        labels: container.Labels,
+        vmId: container.Labels['sahary.vm.id'],
+        vmName: container.Labels['sahary.vm.name'],
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list containers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pull Docker image
+   * @param {string} imageName - Image name to pull
+   * @returns {Promise<void>}
+   */
+  async pullImage(imageName) {
+    try {
+      console.log(`Pulling Docker image: ${imageName}`);
+
+      const stream = await this.docker.pull(imageName);
+
+      // Wait for pull to complete
+      await new Promise((resolve, reject) => {
+        this.docker.modem.followProgress(stream, (err, res) => {
+          if (err) reject(err);
+          else resolve(res);
+        });
+      });
+
+      console.log(`Successfully pulled image: ${imageName}`);
+    } catch (error) {
+      throw new Error(`Failed to pull image ${imageName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get Docker system info
+   * @returns {Promise<Object>} Docker system information
+   */
+  async getSystemInfo() {
+    try {
+      const info = await this.docker.info();
+
+      return {
+        containers: info.Containers,
+        containersRunning: info.ContainersRunning,
+        containersPaused: info.ContainersPaused,
+        containersStopped: info.ContainersStopped,
+        images: info.Images,
+        serverVersion: info.ServerVersion,
+        architecture: info.Architecture,
+        operatingSystem: info.OperatingSystem,
+        totalMemory: info.MemTotal,
+        cpus: info.NCPU,
+        dockerRootDir: info.DockerRootDir,
+        storageDriver: info.Driver,
+        kernelVersion: info.KernelVersion,
+      };
+    } catch (error) {
+      throw new Error(`Failed to get Docker system info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create Docker network for VMs
+   * @param {string} networkName - Network name
+   * @param {Object} options - Network options, the subnet and gateway should match the IP pool
+   * @param {string} options.subnet - Subnet
+   * @param {string} options.gateway - Gateway address
+   * @param {boolean} options.internal - No outside access through this network
+   * @param {boolean} options.isolated - Containers on this network cannot reach each other
+   * @param {Object} options.labels - Additional labels
+   * @returns {Promise<Object>} Network info
+   */
+  async createNetwork(networkName = 'sahary-network', options = {}) {
+    const {
+      subnet = '172.20.0.0/16',
+      gateway = '172.20.0.1',
+      internal = false,
+      isolated = false,
+      labels = {},
+    } = options;
+
+    try {
+      // Check if network already exists (the name filter also matches longer names)
+      const networks = await this.docker.listNetworks({
+        filters: { name: [networkName] }
+      });
+      const existing = networks.find(item => item.Name === networkName);
+
+      if (existing) {
+        if (!isolated || (existing.Options || {})['com.docker.network.bridge.enable_icc'] === 'false') {
+          return existing;
+        }
+
+        // Docker cannot isolate a network in place, it is recreated while no container uses it.
+        // Stopped containers count too, they would not start on a recreated network
+        const containers = await this.docker.listContainers({ all: true, filters: { network: [networkName] } });
+        if (containers.length > 0) {
+          throw new Error(`network ${networkName} is not isolated and has ${containers.length} container(s)`);
+        }
+        await this.removeNetwork(networkName);
+      }
+
+      // Create network
+      const network = await this.docker.createNetwork({
+        Name: networkName,
+        Driver: 'bridge',
+        Internal: internal,
+        IPAM: {
+          Config: [{
+            Subnet: subnet,
+            Gateway: gateway,
+          }],
+        },
+        Options: {
+          // Interface names are limited to 15 characters, Docker names longer ones itself
+          ...(networkName.length <= 15 && { 'com.docker.network.bridge.name': networkName }),
+          'com.docker.network.bridge.enable_icc': isolated ? 'false' : 'true',
+          'com.docker.network.driver.mtu': '1500',
+        },
+        Labels: {
+          ...labels,
+          'sahary.network': 'true',
+          'sahary.managed': 'true',
+        },
+      });
+
+      return network;
+    } catch (error) {
+      throw new Error(`Failed to create network: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a Docker network
+   * Missing networks are ignored so cleanup can be retried safely
+   * @param {string} networkName - Network name
+   * @returns {Promise<boolean>} True if the network was removed
+   */
+  async removeNetwork(networkName) {
+    try {
+      await this.docker.getNetwork(networkName).remove();
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw new Error(`Failed to remove network: ${error.message}`);
+    }
+  }
+
+  /**
+   * Connect a container to a network
+   * @param {string} containerId - Container ID
+   * @param {string} networkName - Network name
+   * @param {Object} options - Endpoint options
+   * @param {string} options.ipAddress - Static address leased by IPAM
+   * @param {string[]} options.aliases - DNS names of the container on this network
+   * @returns {Promise<void>}
+   */
+  async connectNetwork(containerId, networkName, options = {}) {
+    const { ipAddress, aliases = [] } = options;
+
+    try {
+      await this.docker.getNetwork(networkName).connect({
+        Container: containerId,
+        EndpointConfig: {
+          ...(ipAddress && { IPAMConfig: { IPv4Address: ipAddress } }),
+          Aliases: aliases,
+        },
+      });
+    } catch (error) {
+      throw new Error(`Failed to connect container to network: ${error.message}`);
+    }
+  }
+
+  /**
+   * Disconnect a container from a network
+   * @param {string} containerId - Container ID
+   * @param {string} networkName - Network name
+   * @returns {Promise<void>}
+   */
+  async disconnectNetwork(containerId, networkName) {
+    try {
+      await this.docker.getNetwork(networkName).disconnect({
+        Container: containerId,
+        Force: true,
+      });
+    } catch (error) {
+      throw new Error(`Failed to disconnect container from network: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a Docker volume owned by the VM user (1000:1000)
+   * @param {string} volumeName - Volume name
+   * @param {Object} options - Volume options
+   * @param {Object} options.labels - Additional labels
+   * @returns {Promise<Object>} Volume info
+   */
+  async createVolume(volumeName, options = {}) {
+    const { labels = {} } = options;
+
+    try {
+      const volume = await this.docker.createVolume({
+        Name: volumeName,
+        Driver: 'local',
+        Labels: {
+          ...labels,
+          'sahary.managed': 'true',
+        },
+      });
+
+      // New volumes belong to root, hand them over to the container user
+      const helper = await this.createVolumeContainer(volumeName, ['chown', '1000:1000', '/volume']);
+      try {
+        await helper.start();
+        const result = await helper.wait();
+        if (result.StatusCode !== 0) {
+          throw new Error(`chown exited with code ${result.StatusCode}`);
+        }
+      } finally {
+        await helper.remove({ force: true }).catch(() => {});
+      }
+
+      return volume;
+    } catch (error) {
+      throw new Error(`Failed to create volume: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a Docker volume
+   * Missing volumes are ignored so cleanup can be retried safely
+   * @param {string} volumeName - Volume name
+   * @returns {Promise<boolean>} True if the volume was removed
+   */
+  async removeVolume(volumeName) {
+    try {
+      await this.docker.getVolume(volumeName).remove();
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw new Error(`Failed to remove volume: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a helper container with a volume mounted at `/volume`
+   * The container is not started, its volume can be read and written with archives
+   * @param {string} volumeName - Volume name
+   * @param {string[]} command - Command, for helpers that are started
+   * @returns {Promise<Object>} Dockerode container, to remove once done
+   */
+  async createVolumeContainer(volumeName, command = ['true']) {
+    const image = config.volumes.helperImage;
+
+    try {
+      try {
+        await this.docker.getImage(image).inspect();
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+        await this.pullImage(image);
+      }
+
+      return await this.docker.createContainer({
+        Image: image,
+        Cmd: command,
+        Labels: {
+          'sahary.volume.helper': volumeName,
+        },
+        HostConfig: {
+          Binds: [`${volumeName}:/volume`],
+          NetworkMode: 'none',
+        },
+      });
+    } catch (error) {
+      throw new Error(`Failed to create volume helper container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract a tar archive into a container
+   * @param {string} containerId - Container ID
+   * @param {Object} archive - Readable tar stream
+   * @param {string} path - Absolute directory to extract into
+   * @returns {Promise<void>}
+   */
+  async putContainerArchive(containerId, archive, path) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      await container.putArchive(archive, { path });
+    } catch (error) {
+      throw new Error(`Failed to write archive to container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Monitor container health
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Health status
+   */
+  async checkContainerHealth(containerId) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      const containerInfo = await container.inspect();
+
+      const health = containerInfo.State.Health;
+
+      return {
+        containerId,
+        healthy: health?.Status === 'healthy',
+        status: health?.Status || 'no-healthcheck',
+        failingStreak: health?.FailingStreak || 0,
+        log: health?.Log?.slice(-5) || [], // Last 5 health check results
+      };
+    } catch (error) {
+      throw new Error(`Failed to check container health: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get container logs
+   * @param {string} containerId - Container ID
+   * @param {Object} options - Log options
+   * @returns {Promise<string>} Container logs
+   */
+  async getContainerLogs(containerId, options = {}) {
+    try {
+      const {
+        tail = 100,
+        since,
+        until,
+        timestamps = true,
+      } = options;
+
+      const container = this.docker.getContainer(containerId);
+
+      const logStream = await container.logs({
+        stdout: true,
+        stderr: true,
+        tail,
+        since,
+        until,
+        timestamps,
+      });
+
+      return logStream.toString();
+    } catch (error) {
+      throw new Error(`Failed to get container logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Follow container logs
+   * @param {string} containerId - Container ID
+   * @param {Object} options - Log options
+   * @param {number} options.tail - Number of past lines to send first
+   * @param {string} options.since - Only logs after this date (ISO 8601)
+   * @param {boolean} options.stdout - Include stdout
+   * @param {boolean} options.stderr - Include stderr
+   * @returns {Promise<Object>} Raw Docker stream (pause/destroy it) and demultiplexed stdout/stderr streams
+   */
+  async followContainerLogs(containerId, options = {}) {
+    const {
+      tail = 100,
+      since,
+      stdout = true,
+      stderr = true,
+    } = options;
+
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      const stream = await container.logs({
+        follow: true,
+        stdout,
+        stderr,
+        tail,
+        since: since ? Math.floor(new Date(since).getTime() / 1000) : undefined,
+        timestamps: true,
+      });
+
+      const stdoutStream = new PassThrough();
+      const stderrStream = new PassThrough();
+      this.docker.modem.demuxStream(stream, stdoutStream, stderrStream);
+
+      stream.on('end', () => {
+        stdoutStream.end();
+        stderrStream.end();
+      });
+
+      return {
+        stream,
+        stdout: stdoutStream,
+        stderr: stderrStream,
+      };
+    } catch (error) {
+      throw new Error(`Failed to follow container logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute command in container
+   * @param {string} containerId - Container ID
+   * @param {Array} command - Command to execute
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Maximum run time in milliseconds
+   * @param {string} options.user - User to run as (defaults to the container user)
+   * @returns {Promise<Object>} Execution result
+   */
+  async execInContainer(containerId, command, options = {}) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Create exec instance
+      const exec = await container.exec({
+        Cmd: command,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: false,
+        ...(options.user ? { User: options.user } : {}),
+      });
+
+      // Start exec
+      const stream = await exec.start({ Detach: false, Tty: false });
+
+      // Collect output (stdout and stderr are multiplexed without a TTY)
+      let output = '';
+      const collector = new Writable({
+        write(chunk, encoding, callback) {
+          output += chunk.toString();
+          callback();
+        },
+      });
+      this.docker.modem.demuxStream(stream, collector, collector);
+
+      // Wait for completion
+      await new Promise((resolve, reject) => {
+        const timer = options.timeout
+          ? setTimeout(() => {
+            stream.destroy();
+            reject(new Error(`Command timed out after ${options.timeout}ms`));
+          }, options.timeout)
+          : null;
+
+        stream.on('end', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+
+      // Get exec info
+      const execInfo = await exec.inspect();
+
+      return {
+        exitCode: execInfo.ExitCode,
+        output: output.trim(),
+        command: command.join(' '),
+      };
+    } catch (error) {
+      throw new Error(`Failed to execute command in container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open an interactive TTY session in container
+   * @param {string} containerId - Container ID
+   * @param {Object} options - Session options
+   * @param {Array} options.command - Command to run (defaults to a login shell)
+   * @param {number} options.cols - Terminal width
+   * @param {number} options.rows - Terminal height
+   * @returns {Promise<Object>} Exec instance and duplex stream (stdin/stdout)
+   */
+  async openTerminal(containerId, options = {}) {
+    const {
+      command = ['/bin/sh', '-c', 'if command -v bash >/dev/null 2>&1; then exec bash -l; else exec sh -l; fi'],
+      cols,
+      rows,
+    } = options;
+
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      const exec = await container.exec({
+        Cmd: command,
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: true,
+        Env: ['TERM=xterm-256color'],
+      });
+
+      const stream = await exec.start({ hijack: true, stdin: true, Tty: true });
+
+      if (cols && rows) {
+        await exec.resize({ w: cols, h: rows });
+      }
+
+      return { exec, stream };
+    } catch (error) {
+      throw new Error(`Failed to open terminal in container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create container backup
+   * @param {string} containerId - Container ID
+   * @param {string} backupName - Backup name
+   * @returns {Promise<Object>} Backup info
+   */
+  async createContainerBackup(containerId, backupName) {
+    try {
+      const container = this.docker.getContainer(containerId);
+
+      // Create image from container
+      const image = await container.commit({
+        repo: `sahary-backup/${backupName}`,
+        tag: new Date().toISOString().replace(/[:.]/g, '-'),
+        comment: `Backup created at ${new Date().toISOString()}`,
+        author: 'Sahary Cloud Backup System',
+      });
+
+      // Get image info
+      const imageInfo = await this.docker.getImage(image.Id).inspect();
+
+      return {
+        backupId: image.Id,
+        name: backupName,
+        size: imageInfo.Size,
+        created: imageInfo.Created,
+        tags: imageInfo.RepoTags,
+      };
+    } catch (error) {
+      throw new Error(`Failed to create container backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore container from backup
+   * @param {string} backupId - Backup image ID
+   * @param {Object} vmConfig - VM configuration
+   * @returns {Promise<Object>} Restored container info
+   */
+  async restoreFromBackup(backupId, vmConfig) {
+    try {
+      // Use backup image instead of original image
+      const restoreConfig = {
+        ...vmConfig,
+        image: backupId,
+      };
+
+      return await this.createContainer(restoreConfig);
+    } catch (error) {
+      throw new Error(`Failed to restore from backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a backup image
+   * Missing images are ignored so pruning can be retried safely
+   * @param {string} imageId - Image ID
+   * @returns {Promise<boolean>} True if the image was removed
+   */
+  async removeImage(imageId) {
+    try {
+      await this.docker.getImage(imageId).remove({ force: true });
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw new Error(`Failed to remove image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an image as a `docker save` tar stream
+   * @param {string} imageRef - Image ID or repository tag
+   * @returns {Promise<Object>} Image info and readable tar stream
+   */
+  async exportImage(imageRef) {
+    try {
+      const image = this.docker.getImage(imageRef);
+      const imageInfo = await image.inspect();
+      const stream = await image.get();
+
+      return {
+        imageId: imageInfo.Id,
+        tags: imageInfo.RepoTags || [],
+        size: imageInfo.Size,
+        stream,
+      };
+    } catch (error) {
+      throw new Error(`Failed to export image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load images from a `docker save` tar stream
+   * @param {Object} stream - Readable tar stream
+   * @param {Object} options - Import options
+   * @param {boolean} options.untagged - Drop the repository tags recorded in the archive
+   * @returns {Promise<Object>} Loaded images ({ imageIds, tags, output })
+   */
+  async importImage(stream, options = {}) {
+    try {
+      const output = await this.docker.loadImage(options.untagged ? DockerDriver.untagImageArchive(stream) : stream);
+
+      const result = await new Promise((resolve, reject) => {
+        this.docker.modem.followProgress(output, (error, result) => {
+          if (error) {
+            reject(error);
+          } else {
+            const failure = result.find(item => item.error);
+            if (failure) {
+              reject(new Error(failure.error));
+            } else {
+              resolve(result);
+            }
+          }
+        });
+      });
+
+      // Untagged images are reported by ID, tagged ones by tag
+      const messages = result.map(item => (item.stream || '').trim());
+      return {
+        imageIds: messages.filter(message => message.startsWith('Loaded image ID: ')).map(message => message.slice(17)),
+        tags: messages.filter(message => message.startsWith('Loaded image: ')).map(message => message.slice(14)),
+        output: result,
+      };
+    } catch (error) {
+      throw new Error(`Failed to import image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rewrite a `docker save` tar stream without its repository tags
+   * @param {Object} stream - Readable tar stream
+   * @returns {Object} Readable tar stream
+   */
+  static untagImageArchive(stream) {
+    const extract = tar.extract();
+    const pack = tar.pack();
+
+    extract.on('entry', (header, entryStream, next) => {
+      if (header.name === 'repositories') {
+        entryStream.on('end', next);
+        entryStream.resume();
+      } else if (['manifest.json', 'index.json'].includes(header.name)) {
+        if (header.size > 1024 * 1024) {
+          extract.destroy(new Error(`image archive ${header.name} is too large`));
+          return;
+        }
+
+        const chunks = [];
+        entryStream.on('data', chunk => chunks.push(chunk));
+        entryStream.on('end', () => {
+          try {
+            const index = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            const data = Buffer.from(JSON.stringify(DockerDriver.untagImageIndex(header.name, index)));
+            pack.entry({ ...header, size: data.length }, data, next);
+          } catch (error) {
+            extract.destroy(new Error(`image archive ${header.name} is not valid JSON`));
+          }
+        });
+      } else {
+        entryStream.pipe(pack.entry(header, next));
+      }
+    });
+
+    pipeline(stream, extract, (error) => {
+      if (error) {
+        pack.destroy(error);
+      } else {
+        pack.finalize();
+      }
+    });
+
+    return pack;
+  }
+
+  /**
+   * Remove the image names from a `docker save` manifest.json or OCI index.json
+   * @param {string} name - Entry name
+   * @param {Object} index - Parsed entry
+   * @returns {Object} Entry without image names
+   */
+  static untagImageIndex(name, index) {
+    if (name === 'manifest.json') {
+      return index.map(image => ({ ...image, RepoTags: null }));
+    }
+
+    return {
+      ...index,
+      manifests: (index.manifests || []).map((manifest) => {
+        const annotations = { ...manifest.annotations };
+        delete annotations['io.containerd.image.name'];
+        delete annotations['org.opencontainers.image.ref.name'];
+        return { ...manifest, annotations };
+      }),
+    };
+  }
+
+  /**
+   * Get filesystem changes of a container compared to its image (`docker diff`)
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Array>} Changes ({ Path, Kind }: 0 modified, 1 added, 2 deleted)
+   */
+  async getContainerChanges(containerId) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      const changes = await container.changes();
+      return changes || [];
+    } catch (error) {
+      throw new Error(`Failed to get container changes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a path of a container as a tar stream
+   * @param {string} containerId - Container ID
+   * @param {string} path - Absolute path inside the container
+   * @returns {Promise<Object|null>} Readable tar stream, or null if the path does not exist
+   */
+  async getContainerArchive(containerId, path) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      return await container.getArchive({ path });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw new Error(`Failed to read container path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a file into a container
+   * Missing parent directories are created
+   * @param {string} containerId - Container ID
+   * @param {string} filePath - Absolute file path
+   * @param {string|Buffer} content - File content
+   * @param {number} mode - File mode
+   * @returns {Promise<void>}
+   */
+  async writeContainerFile(containerId, filePath, content, mode = 0o644) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+      const pack = tar.pack();
+      pack.entry({ name: filePath.replace(/^\/+/, ''), mode }, data);
+      pack.finalize();
+
+      await container.putArchive(pack, { path: '/' });
+    } catch (error) {
+      throw new Error(`Failed to write file to container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build an image by applying filesystem layers on top of a base image
+   * Each layer deletes its paths, then extracts its tar archive at `/`
+   * @param {string} baseImage - Base image ID
+   * @param {Array<Object>} layers - Layers in order ({ archivePath, deletedPaths })
+   * @param {Object} options - Image options ({ repo, tag, comment })
+   * @returns {Promise<Object>} Built image info
+   */
+  async buildImageFromLayers(baseImage, layers, options = {}) {
+    let container = null;
+
+    try {
+      const baseInfo = await this.docker.getImage(baseImage).inspect();
+      const { Entrypoint, Cmd } = baseInfo.Config || {};
+
+      // Keep the container idle while layers are applied, the image command is restored on commit
+      container = await this.docker.createContainer({
+        Image: baseImage,
+        Entrypoint: ['tail'],
+        Cmd: ['-f', '/dev/null'],
+        Labels: {
+          'sahary.managed': 'true',
+          'sahary.service': 'backup-restore',
+        },
+      });
+      await container.start();
+
+      for (const layer of layers) {
+        const deletedPaths = layer.deletedPaths || [];
+
+        for (let i = 0; i < deletedPaths.length; i += 100) {
+          const batch = deletedPaths.slice(i, i + 100);
+          const result = await this.execInContainer(container.id, ['rm', '-rf', '--', ...batch]);
+          if (result.exitCode !== 0) {
+            throw new Error(`Failed to delete paths: ${result.output}`);
+          }
+        }
+
+        if (layer.archivePath) {
+          await container.putArchive(fs.createReadStream(layer.archivePath), { path: '/' });
+        }
+      }
+
+      const image = await container.commit({
+        repo: options.repo,
+        tag: options.tag,
+        comment: options.comment,
+        author: 'Sahary Cloud Backup System',
+        changes: [
+          `ENTRYPOINT ${JSON.stringify(Entrypoint || [])}`,
+          `CMD ${JSON.stringify(Cmd || [])}`,
+        ],
+      });
+
+      const imageInfo = await this.docker.getImage(image.Id).inspect();
+
+      return {
+        imageId: image.Id,
+        size: imageInfo.Size,
+        tags: imageInfo.RepoTags,
+      };
+    } catch (error) {
+      throw new Error(`Failed to build image from layers: ${error.message}`);
+    } finally {
+      if (container) {
+        await container.remove({ force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Clean up unused resources
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async cleanup() {
+    try {
+      const results = {
+        containers: 0,
+        images: 0,
+        volumes: 0,
+        networks: 0,
+        reclaimedSpace: 0,
+      };
+
+      // Prune stopped containers
+      const containerPrune = await this.docker.pruneContainers({
+        filters: {
+          label: ['sahary.managed=true'],
+        },
+      });
+
+      results.containers = containerPrune.ContainersDeleted?.length || 0;
+      results.reclaimedSpace += containerPrune.SpaceReclaimed || 0;
+
+      // Prune unused images
+      const imagePrune = await this.docker.pruneImages({
+        filters: {
+          dangling: ['false'], // Remove unused images
+        },
+      });
+
+      results.images = imagePrune.ImagesDeleted?.length || 0;
+      results.reclaimedSpace += imagePrune.SpaceReclaimed || 0;
+
+      // Prune unused volumes, block storage volumes are kept while detached
+      const volumePrune = await this.docker.pruneVolumes({
+        filters: {
+          'label!': ['sahary.volume.id'],
+        },
+      });
+      results.volumes = volumePrune.VolumesDeleted?.length || 0;
+      results.reclaimedSpace += volumePrune.SpaceReclaimed || 0;
+
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to cleanup Docker resources: ${error.message}`);
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Format port bindings for Docker
+   * @param {Array} ports - Port configurations
+   * @returns {Object} Docker port bindings
+   */
+  formatPortBindings(ports) {
+    const bindings = {};
+
+    ports.forEach(port => {
+      const containerPort = `${port.containerPort}/${port.protocol || 'tcp'}`;
+      // An empty host port lets Docker pick a free one
+      bindings[containerPort] = [{
+        HostPort: port.hostPort ? port.hostPort.toString() : '',
+        ...(port.hostIp && { HostIp: port.hostIp }),
+      }];
+    });
+
+    return bindings;
+  }
+
+  /**
+   * Format exposed ports for Docker
+   * @param {Array} ports - Port configurations
+   * @returns {Object} Docker exposed ports
+   */
+  formatExposedPorts(ports) {
+    const exposed = {};
+
+    ports.forEach(port => {
+      exposed[`${port.containerPort}/${port.protocol || 'tcp'}`] = {};
+    });
+
+    return exposed;
+  }
+
+  /**
+   * Extract IP address from network settings
+   * @param {Object} networkSettings - Docker network settings
+   * @returns {string|null} IP address
+   */
+  extractIPAddress(networkSettings) {
+    if (networkSettings.Networks) {
+      const networks = Object.values(networkSettings.Networks);
+      if (networks.length > 0) {
+        return networks[0].IPAddress;
+      }
+    }
+    return networkSettings.IPAddress || null;
+  }
+
+  /**
+   * Extract port mappings from network settings
+   * @param {Object} ports - Docker port mappings
+   * @returns {Array} Port mappings
+   */
+  extractPortMappings(ports) {
+    const mappings = [];
+
+    if (ports) {
+      Object.entries(ports).forEach(([containerPort, hostPorts]) => {
+        if (hostPorts) {
+          hostPorts.forEach(hostPort => {
+            mappings.push({
+              containerPort: parseInt(containerPort.split('/')[0], 10),
+              hostPort: parseInt(hostPort.HostPort, 10),
+              protocol: containerPort.split('/')[1] || 'tcp',
+            });
+          });
+        }
+      });
+    }
+
+    return mappings;
+  }
+
+  /**
+   * Calculate CPU usage percentage
+   * @param {Object} stats - Container stats
+   * @returns {number} CPU usage percentage
+   */
+  calculateCPUUsage(stats) {
+    const cpuStats = stats.cpu_stats;
+    const preCpuStats = stats.precpu_stats;
+
+    if (!cpuStats || !preCpuStats) return 0;
+
+    const cpuDelta = cpuStats.cpu_usage.total_usage - preCpuStats.cpu_usage.total_usage;
+    const systemDelta = cpuStats.system_cpu_usage - preCpuStats.system_cpu_usage;
+    const cpuCount = cpuStats.online_cpus || 1;
+
+    if (systemDelta > 0 && cpuDelta > 0) {
+      return (cpuDelta / systemDelta) * cpuCount * 100;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Calculate network I/O
+   * @param {Object} networks - Network stats
+   * @returns {Object} Network I/O stats
+   */
+  calculateNetworkIO(networks) {
+    let rxBytes = 0;
+    let txBytes = 0;
+
+    if (networks) {
+      Object.values(networks).forEach(network => {
+        rxBytes += network.rx_bytes || 0;
+        txBytes += network.tx_bytes || 0;
+      });
+    }
+
+    return {
+      rxBytes,
+      txBytes,
+      totalBytes: rxBytes + txBytes,
+    };
+  }
+
+  /**
+   * Calculate block I/O
+   * @param {Object} blkioStats - Block I/O stats
+   * @returns {Object} Block I/O stats
+   */
+  calculateBlockIO(blkioStats) {
+    let readBytes = 0;
+    let writeBytes = 0;
+
+    if (blkioStats?.io_service_bytes_recursive) {
+      blkioStats.io_service_bytes_recursive.forEach(stat => {
+        if (stat.op === 'Read') readBytes += stat.value;
+        if (stat.op === 'Write') writeBytes += stat.value;
+      });
+    }
+
+    return {
+      readBytes,
+      writeBytes,
+      totalBytes: readBytes + writeBytes,
+    };
+  }
+
+  /**
+   * Check Docker daemon connectivity
+   * @returns {Promise<boolean>} Connection status
+   */
+  async checkConnection() {
+    try {
+      await this.docker.ping();
+      return true;
+    } catch (error) {
+      console.error('Docker connection failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = DockerDriver;
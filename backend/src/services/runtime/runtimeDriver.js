@@ -0,0 +1,415 @@
+/**
+ * Runtime Driver
+ * Interface of the container runtimes VMs run on. Drivers extend this class and
+ * implement every method with the same arguments and results as the Docker driver.
+ * Errors are thrown as `Failed to ...` messages, lookups of missing resources
+ * return null or false where documented.
+ */
+class RuntimeDriver {
+  /**
+   * @param {string} endpoint - Runtime endpoint, null for the local host
+   */
+  constructor(endpoint = null) {
+    this.endpoint = endpoint;
+
+    // Clients of the other compute nodes, by node ID
+    this.nodeClients = new Map();
+  }
+
+  /**
+   * Get the client of a compute node, using the same driver
+   * @param {Object} node - Compute node ({ id, endpoint }), the local host has no endpoint
+   * @returns {RuntimeDriver} Client for the node
+   */
+  forNode(node) {
+    if (!node || !node.endpoint) {
+      return this;
+    }
+
+    let client = this.nodeClients.get(node.id);
+
+    // The endpoint of a node may be changed by admins
+    if (!client || client.endpoint !== node.endpoint) {
+      client = new this.constructor(node.endpoint);
+      this.nodeClients.set(node.id, client);
+    }
+
+    return client;
+  }
+
+  /**
+   * Forget the client of a removed node
+   * @param {string} nodeId - Compute node ID
+   */
+  forgetNode(nodeId) {
+    this.nodeClients.delete(nodeId);
+  }
+
+  /**
+   * Error for interface methods a driver does not implement
+   * @param {string} method - Method name
+   * @returns {Error} Error to throw
+   */
+  unsupported(method) {
+    return new Error(`${this.constructor.name} does not support ${method}`);
+  }
+
+  // Containers
+
+  /**
+   * Create a VM container, not started
+   * @param {Object} vmConfig - VM configuration ({ vmId, name, image, cpu, ram, storage, ports, environment, volumes,
+   * network, ipAddress, networks })
+   * @returns {Promise<Object>} Container info ({ containerId, name, status, created, image, ports, ipAddress })
+   */
+  async createContainer() {
+    throw this.unsupported('createContainer');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Container status ({ containerId, status, startedAt, ipAddress, ports })
+   */
+  async startContainer() {
+    throw this.unsupported('startContainer');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {number} timeout - Stop timeout in seconds
+   * @returns {Promise<Object>} Container status ({ containerId, status, finishedAt })
+   */
+  async stopContainer() {
+    throw this.unsupported('stopContainer');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {number} timeout - Restart timeout in seconds
+   * @returns {Promise<Object>} Container status ({ containerId, status, startedAt, ipAddress })
+   */
+  async restartContainer() {
+    throw this.unsupported('restartContainer');
+  }
+
+  /**
+   * Update CPU and memory limits without a restart
+   * @param {string} containerId - Container ID
+   * @param {Object} resources - New limits ({ cpu, ram })
+   * @returns {Promise<Object>} Applied limits
+   */
+  async updateContainerResources() {
+    throw this.unsupported('updateContainerResources');
+  }
+
+  /**
+   * Replace a container with a new one keeping its root filesystem
+   * @param {string} containerId - Container ID
+   * @param {Object} vmConfig - VM configuration for the new container
+   * @returns {Promise<Object>} New container info
+   */
+  async recreateContainer() {
+    throw this.unsupported('recreateContainer');
+  }
+
+  /**
+   * Remove a container and its anonymous volumes, stopping it first
+   * @param {string} containerId - Container ID
+   * @param {boolean} force - Force removal
+   * @returns {Promise<void>}
+   */
+  async removeContainer() {
+    throw this.unsupported('removeContainer');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object|null>} Container status and stats, or null if the container does not exist
+   */
+  async getContainerStatus() {
+    throw this.unsupported('getContainerStatus');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Resource usage ({ timestamp, cpu, memory, network, blockIO, pids })
+   */
+  async getContainerStats() {
+    throw this.unsupported('getContainerStats');
+  }
+
+  /**
+   * List the containers managed by Sahary, stopped ones included
+   * @param {Object} filters - Docker style filters
+   * @returns {Promise<Array>} Containers ({ containerId, names, image, status, state, created, ports, labels, vmId,
+   * vmName })
+   */
+  async listContainers() {
+    throw this.unsupported('listContainers');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Health status ({ containerId, healthy, status, failingStreak, log })
+   */
+  async checkContainerHealth() {
+    throw this.unsupported('checkContainerHealth');
+  }
+
+  // Exec and logs
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {Array} command - Command to execute
+   * @param {Object} options - Execution options ({ timeout } in milliseconds, { user } to run as)
+   * @returns {Promise<Object>} Execution result ({ exitCode, output, command })
+   */
+  async execInContainer() {
+    throw this.unsupported('execInContainer');
+  }
+
+  /**
+   * Open an interactive TTY session
+   * @param {string} containerId - Container ID
+   * @param {Object} options - Session options ({ command, cols, rows })
+   * @returns {Promise<Object>} Exec (with resize) and duplex stream
+   */
+  async openTerminal() {
+    throw this.unsupported('openTerminal');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {Object} options - Log options ({ tail, since, until, timestamps })
+   * @returns {Promise<string>} Container logs
+   */
+  async getContainerLogs() {
+    throw this.unsupported('getContainerLogs');
+  }
+
+  /**
+   * Follow container logs, lines are prefixed with their RFC 3339 timestamp
+   * @param {string} containerId - Container ID
+   * @param {Object} options - Log options ({ tail, since, stdout, stderr })
+   * @returns {Promise<Object>} Raw stream (pause/destroy it) and stdout/stderr streams
+   */
+  async followContainerLogs() {
+    throw this.unsupported('followContainerLogs');
+  }
+
+  // Files
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {Object} archive - Readable tar stream, gzipped or not
+   * @param {string} path - Absolute directory to extract into
+   * @returns {Promise<void>}
+   */
+  async putContainerArchive() {
+    throw this.unsupported('putContainerArchive');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {string} path - Absolute path inside the container
+   * @returns {Promise<Object|null>} Readable tar stream, or null if the path does not exist
+   */
+  async getContainerArchive() {
+    throw this.unsupported('getContainerArchive');
+  }
+
+  /**
+   * @param {string} sourceId - Source container ID
+   * @param {string} targetId - Target container ID
+   * @param {string} path - Absolute directory path
+   * @returns {Promise<boolean>} False if the path does not exist in the source
+   */
+  async copyContainerPath() {
+    throw this.unsupported('copyContainerPath');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {string} filePath - Absolute file path
+   * @param {string|Buffer} content - File content
+   * @param {number} mode - File mode
+   * @returns {Promise<void>}
+   */
+  async writeContainerFile() {
+    throw this.unsupported('writeContainerFile');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Array>} Changes compared to the image ({ Path, Kind }: 0 modified, 1 added, 2 deleted)
+   */
+  async getContainerChanges() {
+    throw this.unsupported('getContainerChanges');
+  }
+
+  // Images (commit)
+
+  /**
+   * Commit the root filesystem of a container into an image
+   * @param {string} containerId - Container ID
+   * @param {string} repository - Image repository
+   * @param {string} reason - Snapshot reason
+   * @returns {Promise<Object>} Snapshot info ({ imageId, image })
+   */
+  async snapshotContainer() {
+    throw this.unsupported('snapshotContainer');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {string} backupName - Backup name
+   * @returns {Promise<Object>} Backup info ({ backupId, name, size, created, tags })
+   */
+  async createContainerBackup() {
+    throw this.unsupported('createContainerBackup');
+  }
+
+  /**
+   * @param {string} backupId - Backup image ID
+   * @param {Object} vmConfig - VM configuration
+   * @returns {Promise<Object>} Restored container info
+   */
+  async restoreFromBackup() {
+    throw this.unsupported('restoreFromBackup');
+  }
+
+  /**
+   * @param {string} baseImage - Base image ID
+   * @param {Array<Object>} layers - Layers in order ({ archivePath, deletedPaths })
+   * @param {Object} options - Image options ({ repo, tag, comment })
+   * @returns {Promise<Object>} Built image info ({ imageId, size, tags })
+   */
+  async buildImageFromLayers() {
+    throw this.unsupported('buildImageFromLayers');
+  }
+
+  /**
+   * @param {string} imageName - Image name to pull
+   * @returns {Promise<void>}
+   */
+  async pullImage() {
+    throw this.unsupported('pullImage');
+  }
+
+  /**
+   * @param {string} imageId - Image ID
+   * @returns {Promise<boolean>} True if the image was removed
+   */
+  async removeImage() {
+    throw this.unsupported('removeImage');
+  }
+
+  /**
+   * @param {string} imageRef - Image ID or repository tag
+   * @returns {Promise<Object>} Image info and readable tar stream ({ imageId, tags, size, stream })
+   */
+  async exportImage() {
+    throw this.unsupported('exportImage');
+  }
+
+  /**
+   * @param {Object} stream - Readable tar stream made by exportImage
+   * @param {Object} options - Import options ({ untagged } drops the repository tags of the archive)
+   * @returns {Promise<Object>} Loaded images ({ imageIds, tags, output })
+   */
+  async importImage() {
+    throw this.unsupported('importImage');
+  }
+
+  // Networks and volumes
+
+  /**
+   * An existing network is recreated when isolation is asked for and it lacks it
+   * @param {string} networkName - Network name
+   * @param {Object} options - Network options ({ subnet, gateway, internal, isolated, labels })
+   * @returns {Promise<Object>} Network info
+   */
+  async createNetwork() {
+    throw this.unsupported('createNetwork');
+  }
+
+  /**
+   * @param {string} networkName - Network name
+   * @returns {Promise<boolean>} True if the network was removed
+   */
+  async removeNetwork() {
+    throw this.unsupported('removeNetwork');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {string} networkName - Network name
+   * @param {Object} options - Endpoint options ({ ipAddress, aliases })
+   * @returns {Promise<void>}
+   */
+  async connectNetwork() {
+    throw this.unsupported('connectNetwork');
+  }
+
+  /**
+   * @param {string} containerId - Container ID
+   * @param {string} networkName - Network name
+   * @returns {Promise<void>}
+   */
+  async disconnectNetwork() {
+    throw this.unsupported('disconnectNetwork');
+  }
+
+  /**
+   * @param {string} volumeName - Volume name
+   * @param {Object} options - Volume options ({ labels })
+   * @returns {Promise<Object>} Volume info
+   */
+  async createVolume() {
+    throw this.unsupported('createVolume');
+  }
+
+  /**
+   * @param {string} volumeName - Volume name
+   * @returns {Promise<boolean>} True if the volume was removed
+   */
+  async removeVolume() {
+    throw this.unsupported('removeVolume');
+  }
+
+  /**
+   * Create a stopped helper container with a volume mounted at `/volume`
+   * @param {string} volumeName - Volume name
+   * @param {string[]} command - Command, for helpers that are started
+   * @returns {Promise<Object>} Helper container ({ id }), to remove once done
+   */
+  async createVolumeContainer() {
+    throw this.unsupported('createVolumeContainer');
+  }
+
+  // Host
+
+  /**
+   * @returns {Promise<Object>} Host information ({ containers, containersRunning, images, totalMemory, cpus, ... })
+   */
+  async getSystemInfo() {
+    throw this.unsupported('getSystemInfo');
+  }
+
+  /**
+   * Remove stopped managed containers, unused images and volumes
+   * @returns {Promise<Object>} Cleanup results ({ containers, images, volumes, networks, reclaimedSpace })
+   */
+  async cleanup() {
+    throw this.unsupported('cleanup');
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the runtime can be reached
+   */
+  async checkConnection() {
+    throw this.unsupported('checkConnection');
+  }
+}
+
+module.exports = RuntimeDriver;
@@ -0,0 +1,1741 @@
+const crypto = require('crypto');
+const os = require('os');
+const posixPath = require('path').posix;
+const zlib = require('zlib');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const tar = require('tar-stream');
+const config = require('../../config');
+const CidrUtils = require('../../utils/cidr');
+const RuntimeDriver = require('./runtimeDriver');
+
+// Docker reports unset times as the zero time
+const ZERO_TIME = '0001-01-01T00:00:00Z';
+
+// First host port handed out for bindings without one, the start of the Docker ephemeral range
+const FIRST_HOST_PORT = 32768;
+
+// Log lines kept per container
+const MAX_LOG_LINES = 1000;
+
+// Size reported for the filesystem of pulled images
+const BASE_IMAGE_SIZE = 75 * 1024 * 1024;
+
+// Entry of exported images holding their metadata
+const IMAGE_MANIFEST = 'manifest.json';
+
+/**
+ * Simulator Driver
+ * Keeps containers, images, networks and volumes in memory so the platform runs
+ * without a Docker daemon (development and tests). Containers have a filesystem,
+ * logs and stats that follow their state, commands are not really run.
+ */
+class SimulatorDriver extends RuntimeDriver {
+  /**
+   * @param {string} endpoint - Simulated host endpoint, each node gets its own host
+   */
+  constructor(endpoint = null) {
+    super(endpoint);
+    this.reset();
+  }
+
+  /**
+   * Forget everything, the host is left with its default network only
+   */
+  reset() {
+    this.containers = new Map();
+    this.images = new Map();
+    this.networks = new Map();
+    this.volumes = new Map();
+    this.nextHostPort = FIRST_HOST_PORT;
+    this.execHandler = null;
+
+    // Hosts are set up with the default VM network
+    this.addNetwork('sahary-network', { subnet: '172.20.0.0/16', gateway: '172.20.0.1' });
+  }
+
+  /**
+   * Answer commands run in containers, instead of the built-in commands
+   * @param {Function} handler - (containerId, command, options) => { exitCode, output }, or null to use the built-ins
+   */
+  setExecHandler(handler) {
+    this.execHandler = handler;
+  }
+
+  /**
+   * Add a line to the logs of a container, as if the container printed it
+   * @param {string} containerId - Container ID or name
+   * @param {string} message - Log line
+   * @param {string} stream - stdout or stderr
+   */
+  appendLog(containerId, message, stream = 'stdout') {
+    const container = this.findContainer(containerId);
+    const line = { stream, time: new Date(), message };
+
+    container.logs.push(line);
+    if (container.logs.length > MAX_LOG_LINES) {
+      container.logs.shift();
+    }
+
+    container.followers.forEach(follower => follower.stream.write(line));
+  }
+
+  // Containers
+
+  async createContainer(vmConfig) {
+    const {
+      vmId,
+      name,
+      image = 'ubuntu:latest',
+      cpu,
+      ram,
+      storage,
+      ports = [],
+      environment = [],
+      volumes = [],
+      network = 'sahary-network',
+      ipAddress,
+      networks = [],
+    } = vmConfig;
+
+    try {
+      const container = this.addContainer({
+        name: `sahary-vm-${vmId}`,
+        image: this.ensureImage(image),
+        imageRef: image,
+        labels: {
+          'sahary.vm.id': vmId,
+          'sahary.vm.name': name,
+          'sahary.service': 'vm',
+          'sahary.managed': 'true',
+        },
+        env: [
+          `VM_ID=${vmId}`,
+          `VM_NAME=${name}`,
+          `CPU_LIMIT=${cpu}`,
+          `RAM_LIMIT=${ram}`,
+          `STORAGE_LIMIT=${storage}`,
+          ...environment,
+        ],
+        resources: { cpu, ram, storage },
+        portBindings: ports.map(port => ({
+          containerPort: port.containerPort,
+          protocol: port.protocol || 'tcp',
+          hostPort: port.hostPort || null,
+        })),
+        binds: volumes,
+        healthcheck: true,
+      });
+
+      try {
+        this.attachNetwork(container, network, { ipAddress });
+        networks.forEach(endpoint => this.attachNetwork(container, endpoint.name, endpoint));
+      } catch (error) {
+        this.containers.delete(container.id);
+        throw error;
+      }
+
+      return {
+        containerId: container.id,
+        name: container.name,
+        status: container.status,
+        created: container.created,
+        image: container.imageRef,
+        ports: container.ports,
+        ipAddress: this.getIPAddress(container),
+      };
+    } catch (error) {
+      throw new Error(`Failed to create container: ${error.message}`);
+    }
+  }
+
+  async startContainer(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+      if (container.status === 'running') {
+        throw this.runtimeError(304, 'container already started');
+      }
+
+      this.runContainer(container);
+
+      return {
+        containerId: container.id,
+        status: container.status,
+        startedAt: container.startedAt,
+        ipAddress: this.getIPAddress(container),
+        ports: container.ports,
+      };
+    } catch (error) {
+      throw new Error(`Failed to start container: ${error.message}`);
+    }
+  }
+
+  async stopContainer(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+      if (container.status !== 'running') {
+        throw this.runtimeError(304, 'container already stopped');
+      }
+
+      this.haltContainer(container);
+
+      return {
+        containerId: container.id,
+        status: container.status,
+        finishedAt: container.finishedAt,
+      };
+    } catch (error) {
+      throw new Error(`Failed to stop container: ${error.message}`);
+    }
+  }
+
+  async restartContainer(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+      if (container.status === 'running') {
+        this.haltContainer(container);
+      }
+      this.runContainer(container);
+
+      return {
+        containerId: container.id,
+        status: container.status,
+        startedAt: container.startedAt,
+        ipAddress: this.getIPAddress(container),
+      };
+    } catch (error) {
+      throw new Error(`Failed to restart container: ${error.message}`);
+    }
+  }
+
+  async updateContainerResources(containerId, resources) {
+    const { cpu, ram } = resources;
+
+    try {
+      const container = this.findContainer(containerId);
+      container.resources = { ...container.resources, cpu, ram };
+
+      return { containerId, cpu, ram };
+    } catch (error) {
+      throw new Error(`Failed to update container resources: ${error.message}`);
+    }
+  }
+
+  async recreateContainer(containerId, vmConfig) {
+    let container = null;
+    let imageRef = null;
+    let wasRunning = false;
+    let replacement = null;
+
+    try {
+      container = this.findContainer(containerId);
+      wasRunning = container.status === 'running';
+      const previousImage = container.imageRef;
+
+      imageRef = (await this.snapshotContainer(containerId, `sahary-resize/${vmConfig.vmId}`, 'Resize')).image;
+
+      if (wasRunning) {
+        this.haltContainer(container);
+      }
+
+      // Free the container name for the replacement
+      container.name = `/sahary-vm-${vmConfig.vmId}-old-${Date.now()}`;
+
+      replacement = await this.createContainer({ ...vmConfig, image: imageRef });
+      let result = replacement;
+      if (wasRunning) {
+        result = { ...replacement, ...(await this.startContainer(replacement.containerId)) };
+      }
+
+      this.deleteContainer(container);
+
+      // The snapshot of a previous resize is not used anymore
+      if (previousImage.startsWith('sahary-resize/')) {
+        await this.removeImage(previousImage);
+      }
+
+      return result;
+    } catch (error) {
+      if (replacement) {
+        this.deleteContainer(this.containers.get(replacement.containerId));
+      }
+      if (container) {
+        container.name = `/sahary-vm-${vmConfig.vmId}`;
+        if (wasRunning && container.status !== 'running') {
+          this.runContainer(container);
+        }
+      }
+      if (imageRef) {
+        await this.removeImage(imageRef);
+      }
+
+      throw new Error(`Failed to recreate container: ${error.message}`);
+    }
+  }
+
+  async removeContainer(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+      if (container.status === 'running') {
+        this.haltContainer(container);
+      }
+      this.deleteContainer(container);
+    } catch (error) {
+      throw new Error(`Failed to remove container: ${error.message}`);
+    }
+  }
+
+  async getContainerStatus(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+
+      return {
+        containerId: container.id,
+        name: container.name,
+        status: container.status,
+        running: container.status === 'running',
+        paused: false,
+        restarting: false,
+        exitCode: container.exitCode,
+        error: '',
+        startedAt: container.startedAt,
+        finishedAt: container.finishedAt,
+        image: container.imageRef,
+        ipAddress: this.getIPAddress(container),
+        ports: container.ports,
+        stats: this.measure(container),
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null; // Container not found
+      }
+      throw new Error(`Failed to get container status: ${error.message}`);
+    }
+  }
+
+  async getContainerStats(containerId) {
+    try {
+      return this.measure(this.findContainer(containerId));
+    } catch (error) {
+      throw new Error(`Failed to get container stats: ${error.message}`);
+    }
+  }
+
+  async listContainers(filters = {}) {
+    try {
+      const {
+        label = [],
+        status = [],
+        name = [],
+        id = [],
+      } = { label: ['sahary.managed=true'], ...filters };
+
+      return Array.from(this.containers.values())
+        .filter(container => label.every((filter) => {
+          const [key, value] = filter.split('=');
+          return value === undefined ? key in container.labels : container.labels[key] === value;
+        }))
+        .filter(container => status.length === 0 || status.includes(container.status))
+        .filter(container => name.length === 0 || name.some(value => container.name.includes(value)))
+        .filter(container => id.length === 0 || id.some(value => container.id.startsWith(value)))
+        .map(container => ({
+          containerId: container.id,
+          names: [container.name],
+          image: container.imageRef,
+          status: this.describeStatus(container),
+          state: container.status,
+          created: Math.floor(new Date(container.created).getTime() / 1000),
+          ports: container.ports.map(port => ({
+            PrivatePort: port.containerPort,
+            PublicPort: port.hostPort,
+            Type: port.protocol,
+          })),
+          labels: container.labels,
+          vmId: container.labels['sahary.vm.id'],
+          vmName: container.labels['sahary.vm.name'],
+        }));
+    } catch (error) {
+      throw new Error(`Failed to list containers: ${error.message}`);
+    }
+  }
+
+  async checkContainerHealth(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+      const running = container.status === 'running';
+      let status = 'no-healthcheck';
+      if (container.healthcheck) {
+        status = running ? 'healthy' : 'unhealthy';
+      }
+
+      return {
+        containerId,
+        healthy: status === 'healthy',
+        status,
+        failingStreak: 0,
+        log: [],
+      };
+    } catch (error) {
+      throw new Error(`Failed to check container health: ${error.message}`);
+    }
+  }
+
+  // Exec and logs
+
+  async execInContainer(containerId, command, options = {}) {
+    try {
+      const container = this.findRunningContainer(containerId);
+      const result = (this.execHandler && await this.execHandler(container.id, command, options))
+        || this.runBuiltin(container, command);
+
+      return {
+        exitCode: result.exitCode || 0,
+        output: (result.output || '').trim(),
+        command: command.join(' '),
+      };
+    } catch (error) {
+      throw new Error(`Failed to execute command in container: ${error.message}`);
+    }
+  }
+
+  async openTerminal(containerId, options = {}) {
+    const { cols = 80, rows = 24 } = options;
+
+    try {
+      const container = this.findRunningContainer(containerId);
+
+      // Input is echoed back, like a shell that prints what is typed
+      const stream = new PassThrough();
+      const exec = {
+        id: SimulatorDriver.newId(),
+        size: { cols, rows },
+        resize: async ({ w, h }) => {
+          exec.size = { cols: w, rows: h };
+        },
+      };
+
+      stream.write(`Connected to ${container.name.slice(1)} (simulated)\r\n`);
+
+      return { exec, stream };
+    } catch (error) {
+      throw new Error(`Failed to open terminal in container: ${error.message}`);
+    }
+  }
+
+  async getContainerLogs(containerId, options = {}) {
+    try {
+      const {
+        tail = 100,
+        since,
+        until,
+        timestamps = true,
+      } = options;
+
+      const container = this.findContainer(containerId);
+
+      return this.selectLogs(container, { tail, since, until })
+        .map(line => `${timestamps ? `${line.time.toISOString()} ` : ''}${line.message}\n`)
+        .join('');
+    } catch (error) {
+      throw new Error(`Failed to get container logs: ${error.message}`);
+    }
+  }
+
+  async followContainerLogs(containerId, options = {}) {
+    const {
+      tail = 100,
+      since,
+      stdout = true,
+      stderr = true,
+    } = options;
+
+    try {
+      const container = this.findContainer(containerId);
+
+      // Lines go through the raw stream, so pausing it holds them back like Docker does
+      const stream = new PassThrough({ objectMode: true });
+      const stdoutStream = new PassThrough();
+      const stderrStream = new PassThrough();
+      const follower = { stream };
+
+      stream.on('data', (line) => {
+        if ((line.stream === 'stdout' && stdout) || (line.stream === 'stderr' && stderr)) {
+          const output = line.stream === 'stdout' ? stdoutStream : stderrStream;
+          output.write(`${line.time.toISOString()} ${line.message}\n`);
+        }
+      });
+
+      stream.on('end', () => {
+        stdoutStream.end();
+        stderrStream.end();
+      });
+
+      stream.on('close', () => {
+        container.followers.delete(follower);
+        stdoutStream.end();
+        stderrStream.end();
+      });
+
+      this.selectLogs(container, { tail, since }).forEach(line => stream.write(line));
+
+      // Following a stopped container only returns its past logs
+      if (container.status === 'running') {
+        container.followers.add(follower);
+      } else {
+        stream.end();
+      }
+
+      return {
+        stream,
+        stdout: stdoutStream,
+        stderr: stderrStream,
+      };
+    } catch (error) {
+      throw new Error(`Failed to follow container logs: ${error.message}`);
+    }
+  }
+
+  // Files
+
+  async putContainerArchive(containerId, archive, path) {
+    try {
+      const container = this.findContainer(containerId);
+      await this.extractArchive(container, archive, path);
+    } catch (error) {
+      throw new Error(`Failed to write archive to container: ${error.message}`);
+    }
+  }
+
+  async getContainerArchive(containerId, path) {
+    try {
+      const container = this.findContainer(containerId);
+      const target = posixPath.resolve('/', path);
+      const view = this.getFileView(container);
+
+      if (!view.has(target)) {
+        return null;
+      }
+
+      // Entries are named relative to the parent of the path, like `docker cp`
+      const parent = posixPath.dirname(target);
+      const pack = tar.pack();
+
+      Array.from(view.keys())
+        .filter(filePath => SimulatorDriver.isWithin(filePath, target))
+        .sort()
+        .forEach((filePath) => {
+          const name = posixPath.relative(parent, filePath);
+          if (name) {
+            SimulatorDriver.packEntry(pack, name, view.get(filePath));
+          }
+        });
+
+      pack.finalize();
+      return pack;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw new Error(`Failed to read container path: ${error.message}`);
+    }
+  }
+
+  async copyContainerPath(sourceId, targetId, path) {
+    try {
+      const archive = await this.getContainerArchive(sourceId, path);
+      if (!archive) {
+        return false;
+      }
+
+      await this.extractArchive(this.findContainer(targetId), archive, posixPath.dirname(path));
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to copy container path: ${error.message}`);
+    }
+  }
+
+  async writeContainerFile(containerId, filePath, content, mode = 0o644) {
+    try {
+      const container = this.findContainer(containerId);
+
+      this.writeEntry(container, posixPath.resolve('/', filePath), SimulatorDriver.fileEntry({
+        type: 'file',
+        mode,
+        content: Buffer.isBuffer(content) ? content : Buffer.from(content),
+      }));
+    } catch (error) {
+      throw new Error(`Failed to write file to container: ${error.message}`);
+    }
+  }
+
+  async getContainerChanges(containerId) {
+    try {
+      const container = this.findContainer(containerId);
+      const { files } = this.images.get(container.image);
+      const changes = new Map();
+
+      // Entries are replaced on write, an entry that is not the image one was changed
+      container.files.forEach((entry, filePath) => {
+        if (!files.has(filePath)) {
+          changes.set(filePath, 1);
+        } else if (files.get(filePath) !== entry) {
+          changes.set(filePath, 0);
+        }
+      });
+      files.forEach((entry, filePath) => {
+        if (!container.files.has(filePath)) {
+          changes.set(filePath, 2);
+        }
+      });
+
+      // Directories holding changes are reported as modified
+      Array.from(changes.keys()).forEach((filePath) => {
+        for (let dir = posixPath.dirname(filePath); dir !== '/'; dir = posixPath.dirname(dir)) {
+          if (!changes.has(dir) && container.files.has(dir)) {
+            changes.set(dir, 0);
+          }
+        }
+      });
+
+      return Array.from(changes.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([Path, Kind]) => ({ Path, Kind }));
+    } catch (error) {
+      throw new Error(`Failed to get container changes: ${error.message}`);
+    }
+  }
+
+  // Images
+
+  async snapshotContainer(containerId, repository, reason) {
+    try {
+      const tag = Date.now().toString();
+      const image = this.commit(this.findContainer(containerId), {
+        tag: `${repository}:${tag}`,
+        comment: `${reason} snapshot created at ${new Date().toISOString()}`,
+      });
+
+      return {
+        imageId: image.id,
+        image: `${repository}:${tag}`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to snapshot container: ${error.message}`);
+    }
+  }
+
+  async createContainerBackup(containerId, backupName) {
+    try {
+      const image = this.commit(this.findContainer(containerId), {
+        tag: `sahary-backup/${backupName}:${new Date().toISOString().replace(/[:.]/g, '-')}`,
+        comment: `Backup created at ${new Date().toISOString()}`,
+      });
+
+      return {
+        backupId: image.id,
+        name: backupName,
+        size: image.size,
+        created: image.created,
+        tags: image.tags,
+      };
+    } catch (error) {
+      throw new Error(`Failed to create container backup: ${error.message}`);
+    }
+  }
+
+  async restoreFromBackup(backupId, vmConfig) {
+    try {
+      return await this.createContainer({ ...vmConfig, image: backupId });
+    } catch (error) {
+      throw new Error(`Failed to restore from backup: ${error.message}`);
+    }
+  }
+
+  async buildImageFromLayers(baseImage, layers, options = {}) {
+    let container = null;
+
+    try {
+      container = this.addContainer({
+        image: this.findImage(baseImage).id,
+        imageRef: baseImage,
+        labels: {
+          'sahary.managed': 'true',
+          'sahary.service': 'backup-restore',
+        },
+      });
+
+      for (const layer of layers) {
+        (layer.deletedPaths || []).forEach(filePath => this.deleteEntry(container, filePath));
+
+        if (layer.archivePath) {
+          await this.extractArchive(container, fs.createReadStream(layer.archivePath), '/');
+        }
+      }
+
+      const image = this.commit(container, {
+        tag: options.tag ? `${options.repo}:${options.tag}` : options.repo,
+        comment: options.comment,
+      });
+
+      return {
+        imageId: image.id,
+        size: image.size,
+        tags: image.tags,
+      };
+    } catch (error) {
+      throw new Error(`Failed to build image from layers: ${error.message}`);
+    } finally {
+      if (container) {
+        this.deleteContainer(container);
+      }
+    }
+  }
+
+  async pullImage(imageName) {
+    try {
+      if (SimulatorDriver.isLocalImage(imageName)) {
+        throw this.runtimeError(404, `pull access denied for ${imageName}, repository does not exist`);
+      }
+
+      const tag = SimulatorDriver.normalizeTag(imageName);
+      const existing = this.findImageByTag(tag);
+      if (!existing) {
+        this.addImage({ tags: [tag], files: SimulatorDriver.baseFiles(imageName), size: BASE_IMAGE_SIZE });
+      }
+    } catch (error) {
+      throw new Error(`Failed to pull image ${imageName}: ${error.message}`);
+    }
+  }
+
+  async removeImage(imageId) {
+    try {
+      const image = this.findImage(imageId);
+      this.images.delete(image.id);
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw new Error(`Failed to remove image: ${error.message}`);
+    }
+  }
+
+  async exportImage(imageRef) {
+    try {
+      const image = this.findImage(imageRef);
+
+      // The image metadata is followed by its filesystem under `rootfs/`
+      const stream = tar.pack();
+      stream.entry({ name: IMAGE_MANIFEST }, JSON.stringify({
+        Id: image.id,
+        RepoTags: image.tags,
+        Size: image.size,
+        Created: image.created,
+        Comment: image.comment,
+      }));
+      Array.from(image.files.keys()).sort().forEach((filePath) => {
+        SimulatorDriver.packEntry(stream, posixPath.join('rootfs', filePath), image.files.get(filePath));
+      });
+      stream.finalize();
+
+      return {
+        imageId: image.id,
+        tags: image.tags,
+        size: image.size,
+        stream,
+      };
+    } catch (error) {
+      throw new Error(`Failed to export image: ${error.message}`);
+    }
+  }
+
+  async importImage(stream, options = {}) {
+    try {
+      const entries = await SimulatorDriver.readArchive(stream);
+      const manifestEntry = entries.find(entry => entry.header.name === IMAGE_MANIFEST);
+      if (!manifestEntry) {
+        throw new Error('archive is not an exported image');
+      }
+
+      const manifest = JSON.parse(manifestEntry.data.toString());
+      const files = new Map();
+      entries
+        .filter(entry => entry.header.name.startsWith('rootfs'))
+        .forEach((entry) => {
+          const filePath = posixPath.resolve('/', posixPath.relative('rootfs', entry.header.name));
+          files.set(filePath, SimulatorDriver.entryFromHeader(entry.header, entry.data));
+        });
+
+      // Untagged imports keep the tags of an image that is already present
+      const existing = this.images.get(manifest.Id);
+      const tags = options.untagged ? [] : manifest.RepoTags || [];
+      this.images.delete(manifest.Id);
+      tags.forEach(tag => this.untag(tag));
+      this.addImage({
+        id: manifest.Id,
+        tags: options.untagged && existing ? existing.tags : tags,
+        files,
+        size: manifest.Size,
+        created: manifest.Created,
+        comment: manifest.Comment,
+      });
+
+      return {
+        imageIds: [manifest.Id],
+        tags,
+        output: [{ stream: `Loaded image ID: ${manifest.Id}\n` }],
+      };
+    } catch (error) {
+      throw new Error(`Failed to import image: ${error.message}`);
+    }
+  }
+
+  // Networks and volumes
+
+  async createNetwork(networkName = 'sahary-network', options = {}) {
+    try {
+      const existing = this.networks.get(networkName);
+      if (existing) {
+        if (!options.isolated || existing.isolated) {
+          return this.describeNetwork(existing);
+        }
+
+        await this.removeNetwork(networkName);
+      }
+
+      return this.describeNetwork(this.addNetwork(networkName, options));
+    } catch (error) {
+      throw new Error(`Failed to create network: ${error.message}`);
+    }
+  }
+
+  async removeNetwork(networkName) {
+    try {
+      const network = this.networks.get(networkName);
+      if (!network) {
+        return false;
+      }
+
+      const attached = Array.from(this.containers.values()).some(container => container.networks.has(networkName));
+      if (attached) {
+        throw this.runtimeError(403, `error while removing network: network ${networkName} has active endpoints`);
+      }
+
+      this.networks.delete(networkName);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to remove network: ${error.message}`);
+    }
+  }
+
+  async connectNetwork(containerId, networkName, options = {}) {
+    try {
+      this.attachNetwork(this.findContainer(containerId), networkName, options);
+    } catch (error) {
+      throw new Error(`Failed to connect container to network: ${error.message}`);
+    }
+  }
+
+  async disconnectNetwork(containerId, networkName) {
+    try {
+      const container = this.findContainer(containerId);
+      if (!container.networks.delete(networkName)) {
+        throw this.runtimeError(404, `container ${container.id} is not connected to network ${networkName}`);
+      }
+    } catch (error) {
+      throw new Error(`Failed to disconnect container from network: ${error.message}`);
+    }
+  }
+
+  async createVolume(volumeName, options = {}) {
+    const { labels = {} } = options;
+
+    try {
+      const volume = this.ensureVolume(volumeName, labels);
+
+      // New volumes belong to the container user, like the chown of the Docker driver
+      volume.files.set('/', SimulatorDriver.fileEntry({
+        type: 'directory',
+        mode: 0o755,
+        uid: 1000,
+        gid: 1000,
+      }));
+
+      return { Name: volume.name, Driver: 'local', Labels: volume.labels };
+    } catch (error) {
+      throw new Error(`Failed to create volume: ${error.message}`);
+    }
+  }
+
+  async removeVolume(volumeName) {
+    try {
+      if (!this.volumes.has(volumeName)) {
+        return false;
+      }
+
+      const inUse = Array.from(this.containers.values())
+        .some(container => container.mounts.some(mount => mount.volume === volumeName));
+      if (inUse) {
+        throw this.runtimeError(409, `remove ${volumeName}: volume is in use`);
+      }
+
+      this.volumes.delete(volumeName);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to remove volume: ${error.message}`);
+    }
+  }
+
+  async createVolumeContainer(volumeName, command = ['true']) {
+    try {
+      const container = this.addContainer({
+        image: this.ensureImage(config.volumes.helperImage),
+        imageRef: config.volumes.helperImage,
+        labels: { 'sahary.volume.helper': volumeName },
+        cmd: command,
+        binds: [`${volumeName}:/volume`],
+      });
+
+      return { id: container.id };
+    } catch (error) {
+      throw new Error(`Failed to create volume helper container: ${error.message}`);
+    }
+  }
+
+  // Host
+
+  async getSystemInfo() {
+    const containers = Array.from(this.containers.values());
+    const running = containers.filter(container => container.status === 'running').length;
+
+    return {
+      containers: containers.length,
+      containersRunning: running,
+      containersPaused: 0,
+      containersStopped: containers.length - running,
+      images: this.images.size,
+      serverVersion: 'simulator',
+      architecture: os.arch(),
+      operatingSystem: 'Sahary runtime simulator',
+      totalMemory: os.totalmem(),
+      cpus: os.cpus().length,
+      dockerRootDir: '/var/lib/sahary-simulator',
+      storageDriver: 'memory',
+      kernelVersion: os.release(),
+    };
+  }
+
+  async cleanup() {
+    const results = {
+      containers: 0,
+      images: 0,
+      volumes: 0,
+      networks: 0,
+      reclaimedSpace: 0,
+    };
+
+    // Stopped managed containers
+    Array.from(this.containers.values())
+      .filter(container => container.status !== 'running' && container.labels['sahary.managed'] === 'true')
+      .forEach((container) => {
+        this.deleteContainer(container);
+        results.containers += 1;
+      });
+
+    // Images no container uses
+    const usedImages = new Set(Array.from(this.containers.values(), container => container.image));
+    Array.from(this.images.values())
+      .filter(image => !usedImages.has(image.id))
+      .forEach((image) => {
+        this.images.delete(image.id);
+        results.images += 1;
+        results.reclaimedSpace += image.size;
+      });
+
+    // Unused volumes, block storage volumes are kept while detached
+    const usedVolumes = new Set();
+    this.containers.forEach(container => container.mounts.forEach(mount => usedVolumes.add(mount.volume)));
+    Array.from(this.volumes.values())
+      .filter(volume => !usedVolumes.has(volume.name) && !('sahary.volume.id' in volume.labels))
+      .forEach((volume) => {
+        this.volumes.delete(volume.name);
+        results.volumes += 1;
+        results.reclaimedSpace += SimulatorDriver.filesSize(volume.files);
+      });
+
+    return results;
+  }
+
+  async checkConnection() {
+    return true;
+  }
+
+  // Helper methods
+
+  /**
+   * @returns {string} Random 64 hex characters ID, like Docker IDs
+   */
+  static newId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Error with the status code the Docker API would answer
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @returns {Error} Error to throw
+   */
+  runtimeError(statusCode, message) {
+    const error = new Error(`(HTTP code ${statusCode}) ${message}`);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Find a container by ID, ID prefix or name
+   * @param {string} ref - Container reference
+   * @returns {Object} Container
+   */
+  findContainer(ref) {
+    if (this.containers.has(ref)) {
+      return this.containers.get(ref);
+    }
+
+    const name = `/${String(ref).replace(/^\//, '')}`;
+    const container = Array.from(this.containers.values())
+      .find(candidate => candidate.name === name || (ref.length >= 12 && candidate.id.startsWith(ref)));
+
+    if (!container) {
+      throw this.runtimeError(404, `no such container - No such container: ${ref}`);
+    }
+
+    return container;
+  }
+
+  /**
+   * Find a container commands can run in
+   * @param {string} ref - Container reference
+   * @returns {Object} Running container
+   */
+  findRunningContainer(ref) {
+    const container = this.findContainer(ref);
+    if (container.status !== 'running') {
+      throw this.runtimeError(409, `Container ${container.id} is not running`);
+    }
+    return container;
+  }
+
+  /**
+   * Add a container, created from an image or empty
+   * @param {Object} spec - Container spec ({ name, image (ID), imageRef, labels, env, cmd, resources, portBindings,
+   * binds, healthcheck })
+   * @returns {Object} Container
+   */
+  addContainer(spec) {
+    const id = SimulatorDriver.newId();
+    const name = `/${spec.name || `sim_${id.slice(0, 12)}`}`;
+
+    if (Array.from(this.containers.values()).some(container => container.name === name)) {
+      throw this.runtimeError(409, `Conflict. The container name "${name}" is already in use`);
+    }
+
+    const image = this.images.get(spec.image);
+
+    const container = {
+      id,
+      name,
+      image: image.id,
+      imageRef: spec.imageRef || image.id,
+      labels: spec.labels || {},
+      env: spec.env || [],
+      cmd: spec.cmd || [],
+      resources: spec.resources || {},
+      portBindings: spec.portBindings || [],
+      healthcheck: Boolean(spec.healthcheck),
+      mounts: (spec.binds || []).map((bind) => {
+        const [volume, target] = bind.split(':');
+        this.ensureVolume(volume);
+        return { volume, target: posixPath.resolve('/', target) };
+      }),
+      networks: new Map(),
+      files: new Map(image.files),
+      ports: [],
+      logs: [],
+      followers: new Set(),
+      status: 'created',
+      exitCode: 0,
+      created: new Date().toISOString(),
+      startedAt: ZERO_TIME,
+      finishedAt: ZERO_TIME,
+    };
+
+    this.containers.set(id, container);
+    return container;
+  }
+
+  /**
+   * Start a container, taking its addresses and publishing its ports
+   * @param {Object} container - Container
+   */
+  runContainer(container) {
+    container.networks.forEach((endpoint, networkName) => {
+      this.assertAddressFree(container, networkName, endpoint.ipAddress);
+    });
+
+    const taken = new Set();
+    this.containers.forEach(other => other.ports.forEach(port => taken.add(`${port.hostPort}/${port.protocol}`)));
+
+    container.ports = container.portBindings.map((binding) => {
+      let { hostPort } = binding;
+      if (!hostPort) {
+        while (taken.has(`${this.nextHostPort}/${binding.protocol}`)) {
+          this.nextHostPort += 1;
+        }
+        hostPort = this.nextHostPort;
+        this.nextHostPort += 1;
+      } else if (taken.has(`${hostPort}/${binding.protocol}`)) {
+        container.ports = [];
+        throw this.runtimeError(500, `Bind for 0.0.0.0:${hostPort} failed: port is already allocated`);
+      }
+
+      taken.add(`${hostPort}/${binding.protocol}`);
+      return { containerPort: binding.containerPort, hostPort, protocol: binding.protocol };
+    });
+
+    container.status = 'running';
+    container.exitCode = 0;
+    container.startedAt = new Date().toISOString();
+    this.appendLog(container.id, `Container ${container.name.slice(1)} started from ${container.imageRef}`);
+  }
+
+  /**
+   * Stop a container, ending its log followers
+   * @param {Object} container - Container
+   */
+  haltContainer(container) {
+    this.appendLog(container.id, 'Received SIGTERM, shutting down');
+
+    container.status = 'exited';
+    container.exitCode = 0;
+    container.finishedAt = new Date().toISOString();
+    container.ports = [];
+    container.followers.forEach(follower => follower.stream.end());
+    container.followers.clear();
+  }
+
+  /**
+   * Remove a container, its named volumes are kept
+   * @param {Object} container - Container
+   */
+  deleteContainer(container) {
+    if (!container) {
+      return;
+    }
+
+    container.followers.forEach(follower => follower.stream.end());
+    this.containers.delete(container.id);
+  }
+
+  /**
+   * Get the status line of `docker ps`
+   * @param {Object} container - Container
+   * @returns {string} Status
+   */
+  describeStatus(container) {
+    if (container.status === 'running') {
+      const minutes = Math.floor((Date.now() - new Date(container.startedAt).getTime()) / 60000);
+      return minutes > 0 ? `Up ${minutes} minutes` : 'Up Less than a minute';
+    }
+    if (container.status === 'exited') {
+      return `Exited (${container.exitCode})`;
+    }
+    return 'Created';
+  }
+
+  /**
+   * Get resource usage of a container, derived from its uptime and limits
+   * @param {Object} container - Container
+   * @returns {Object} Stats in the format of the Docker driver
+   */
+  measure(container) {
+    const running = container.status === 'running';
+    const uptime = running ? (Date.now() - new Date(container.startedAt).getTime()) / 1000 : 0;
+    const cpus = container.resources.cpu || 1;
+    const limit = (container.resources.ram || 512) * 1024 * 1024;
+
+    // A steady load with a slow swing, so graphs have something to show
+    const load = running ? 0.2 + 0.1 * Math.sin(uptime / 60) : 0;
+    const used = running ? Math.round(limit * (0.3 + 0.05 * Math.sin(uptime / 120))) : 0;
+    const rxBytes = Math.round(uptime * 2048);
+    const txBytes = Math.round(uptime * 1024);
+    const readBytes = Math.round(uptime * 4096);
+    const writeBytes = Math.round(uptime * 8192);
+
+    return {
+      timestamp: new Date().toISOString(),
+      cpu: {
+        usage: load * cpus * 100,
+        systemUsage: Math.round(uptime * os.cpus().length * 1e9),
+      },
+      memory: {
+        used,
+        limit: running ? limit : 0,
+        percentage: running ? (used / limit) * 100 : 0,
+      },
+      network: { rxBytes, txBytes, totalBytes: rxBytes + txBytes },
+      blockIO: { readBytes, writeBytes, totalBytes: readBytes + writeBytes },
+      pids: running ? 12 : 0,
+    };
+  }
+
+  /**
+   * Select the log lines of a container
+   * @param {Object} container - Container
+   * @param {Object} options - Options ({ tail, since, until } as dates or Unix seconds)
+   * @returns {Array} Log lines
+   */
+  selectLogs(container, options) {
+    const toTime = (value) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      return typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+    };
+    const since = toTime(options.since);
+    const until = toTime(options.until);
+
+    const lines = container.logs.filter(line => (since === null || line.time.getTime() >= since)
+      && (until === null || line.time.getTime() <= until));
+
+    return options.tail === 'all' ? lines : lines.slice(-Number(options.tail || 0) || lines.length);
+  }
+
+  /**
+   * Run the built-in commands (true, false, echo, cat, mkdir, rm), others succeed without output
+   * @param {Object} container - Running container
+   * @param {Array} command - Command
+   * @returns {Object} Result ({ exitCode, output })
+   */
+  runBuiltin(container, command) {
+    const [program, ...args] = command;
+    const paths = args.filter(arg => !arg.startsWith('-')).map(arg => posixPath.resolve('/app', arg));
+
+    switch (posixPath.basename(program)) {
+      case 'false':
+        return { exitCode: 1, output: '' };
+      case 'echo':
+        return { exitCode: 0, output: args.join(' ') };
+      case 'cat': {
+        const view = this.getFileView(container);
+        const missing = paths.find(filePath => !view.has(filePath) || view.get(filePath).type !== 'file');
+        if (missing) {
+          return { exitCode: 1, output: `cat: ${missing}: No such file or directory` };
+        }
+        return { exitCode: 0, output: paths.map(filePath => view.get(filePath).content.toString()).join('') };
+      }
+      case 'mkdir':
+        paths.forEach(filePath => this.writeEntry(container, filePath, SimulatorDriver.fileEntry({
+          type: 'directory',
+          mode: 0o755,
+        })));
+        return { exitCode: 0, output: '' };
+      case 'rm':
+        paths.forEach(filePath => this.deleteEntry(container, filePath));
+        return { exitCode: 0, output: '' };
+      default:
+        return { exitCode: 0, output: '' };
+    }
+  }
+
+  /**
+   * Get the files a container sees, volumes mounted over its root filesystem
+   * @param {Object} container - Container
+   * @returns {Map} Entries by absolute path
+   */
+  getFileView(container) {
+    const view = new Map();
+
+    container.files.forEach((entry, filePath) => {
+      if (!container.mounts.some(mount => SimulatorDriver.isWithin(filePath, mount.target))) {
+        view.set(filePath, entry);
+      }
+    });
+
+    container.mounts.forEach(({ volume, target }) => {
+      this.volumes.get(volume).files.forEach((entry, filePath) => {
+        view.set(filePath === '/' ? target : posixPath.join(target, filePath), entry);
+      });
+    });
+
+    return view;
+  }
+
+  /**
+   * Find where a path of a container is stored
+   * @param {Object} container - Container
+   * @param {string} filePath - Absolute path
+   * @returns {Object} Files map and key in it ({ files, key })
+   */
+  locate(container, filePath) {
+    const mount = container.mounts
+      .filter(candidate => SimulatorDriver.isWithin(filePath, candidate.target))
+      .sort((a, b) => b.target.length - a.target.length)[0];
+
+    if (!mount) {
+      return { files: container.files, key: filePath };
+    }
+
+    return {
+      files: this.volumes.get(mount.volume).files,
+      key: posixPath.resolve('/', posixPath.relative(mount.target, filePath)),
+    };
+  }
+
+  /**
+   * Write an entry, creating its missing parent directories
+   * @param {Object} container - Container
+   * @param {string} filePath - Absolute path
+   * @param {Object} entry - File entry
+   */
+  writeEntry(container, filePath, entry) {
+    const view = this.getFileView(container);
+
+    for (let dir = posixPath.dirname(filePath); !view.has(dir); dir = posixPath.dirname(dir)) {
+      const location = this.locate(container, dir);
+      location.files.set(location.key, SimulatorDriver.fileEntry({ type: 'directory', mode: 0o755 }));
+    }
+
+    const location = this.locate(container, filePath);
+    location.files.set(location.key, entry);
+  }
+
+  /**
+   * Delete a path and everything under it, mount points are emptied but kept
+   * @param {Object} container - Container
+   * @param {string} filePath - Absolute path
+   */
+  deleteEntry(container, filePath) {
+    const target = posixPath.resolve('/', filePath);
+
+    Array.from(this.getFileView(container).keys())
+      .filter(candidate => SimulatorDriver.isWithin(candidate, target))
+      .forEach((candidate) => {
+        const location = this.locate(container, candidate);
+        if (location.files === container.files || location.key !== '/') {
+          location.files.delete(location.key);
+        }
+      });
+  }
+
+  /**
+   * Extract a tar archive (gzipped or not) into a container directory
+   * @param {Object} container - Container
+   * @param {Object} archive - Readable tar stream
+   * @param {string} path - Absolute directory, must exist
+   * @returns {Promise<void>}
+   */
+  async extractArchive(container, archive, path) {
+    const target = posixPath.resolve('/', path);
+    if (!this.getFileView(container).has(target)) {
+      throw this.runtimeError(404, `Could not find the file ${target} in container ${container.name.slice(1)}`);
+    }
+
+    const entries = await SimulatorDriver.readArchive(archive);
+
+    entries.forEach(({ header, data }) => {
+      if (['file', 'directory', 'symlink'].includes(header.type)) {
+        const filePath = posixPath.resolve(target, header.name);
+        this.writeEntry(container, filePath, SimulatorDriver.entryFromHeader(header, data));
+      }
+    });
+  }
+
+  /**
+   * Commit the root filesystem of a container into a new image
+   * @param {Object} container - Container
+   * @param {Object} options - Image options ({ tag, comment })
+   * @returns {Object} Image
+   */
+  commit(container, options) {
+    const base = this.images.get(container.image);
+    const files = new Map(container.files);
+
+    if (options.tag) {
+      this.untag(options.tag);
+    }
+
+    return this.addImage({
+      tags: options.tag ? [SimulatorDriver.normalizeTag(options.tag)] : [],
+      files,
+      size: (base ? base.size - SimulatorDriver.filesSize(base.files) : 0) + SimulatorDriver.filesSize(files),
+      comment: options.comment,
+    });
+  }
+
+  /**
+   * Add an image
+   * @param {Object} spec - Image spec ({ id, tags, files, size, created, comment })
+   * @returns {Object} Image
+   */
+  addImage(spec) {
+    const image = {
+      id: spec.id || `sha256:${SimulatorDriver.newId()}`,
+      tags: spec.tags || [],
+      files: spec.files || new Map(),
+      size: spec.size || 0,
+      created: spec.created || new Date().toISOString(),
+      comment: spec.comment || '',
+    };
+
+    this.images.set(image.id, image);
+    return image;
+  }
+
+  /**
+   * Find an image by ID, ID prefix or tag
+   * @param {string} ref - Image reference
+   * @returns {Object} Image
+   */
+  findImage(ref) {
+    const id = ref.startsWith('sha256:') ? ref : `sha256:${ref}`;
+    const isPrefix = /^(sha256:)?[0-9a-f]{12,}$/.test(ref);
+    const image = this.images.get(id)
+      || this.findImageByTag(SimulatorDriver.normalizeTag(ref))
+      || (isPrefix && Array.from(this.images.values()).find(candidate => candidate.id.startsWith(id)));
+
+    if (!image) {
+      throw this.runtimeError(404, `No such image: ${ref}`);
+    }
+
+    return image;
+  }
+
+  /**
+   * @param {string} tag - Normalized tag
+   * @returns {Object|undefined} Image with the tag
+   */
+  findImageByTag(tag) {
+    return Array.from(this.images.values()).find(image => image.tags.includes(tag));
+  }
+
+  /**
+   * Get the ID of an image, pulling public images on first use
+   * Images made by the platform (and image IDs) must exist on the host
+   * @param {string} ref - Image reference
+   * @returns {string} Image ID
+   */
+  ensureImage(ref) {
+    try {
+      return this.findImage(ref).id;
+    } catch (error) {
+      if (error.statusCode !== 404 || SimulatorDriver.isLocalImage(ref)) {
+        throw error;
+      }
+    }
+
+    return this.addImage({
+      tags: [SimulatorDriver.normalizeTag(ref)],
+      files: SimulatorDriver.baseFiles(ref),
+      size: BASE_IMAGE_SIZE,
+    }).id;
+  }
+
+  /**
+   * Move a tag away from the image that has it, like Docker does on commit
+   * @param {string} tag - Image tag
+   */
+  untag(tag) {
+    const normalized = SimulatorDriver.normalizeTag(tag);
+    this.images.forEach((image) => {
+      image.tags = image.tags.filter(candidate => candidate !== normalized);
+    });
+  }
+
+  /**
+   * Add a network
+   * @param {string} name - Network name
+   * @param {Object} options - Network options ({ subnet, gateway, internal, isolated, labels })
+   * @returns {Object} Network
+   */
+  addNetwork(name, options = {}) {
+    const {
+      subnet = '172.20.0.0/16',
+      gateway = '172.20.0.1',
+      internal = false,
+      isolated = false,
+      labels = {},
+    } = options;
+
+    const network = {
+      id: SimulatorDriver.newId(),
+      name,
+      subnet: CidrUtils.parse(subnet).cidr,
+      gateway,
+      internal,
+      isolated,
+      labels: { ...labels, 'sahary.network': 'true', 'sahary.managed': 'true' },
+    };
+
+    this.networks.set(name, network);
+    return network;
+  }
+
+  /**
+   * @param {Object} network - Network
+   * @returns {Object} Network info in the Docker format
+   */
+  describeNetwork(network) {
+    return {
+      Id: network.id,
+      Name: network.name,
+      Driver: 'bridge',
+      Internal: network.internal,
+      IPAM: { Config: [{ Subnet: network.subnet, Gateway: network.gateway }] },
+      Labels: network.labels,
+    };
+  }
+
+  /**
+   * Connect a container to a network, with a static or the lowest free address
+   * Like Docker, addresses are only held by running containers
+   * @param {Object} container - Container
+   * @param {string} networkName - Network name
+   * @param {Object} options - Endpoint options ({ ipAddress, aliases })
+   */
+  attachNetwork(container, networkName, options = {}) {
+    const network = this.networks.get(networkName);
+    if (!network) {
+      throw this.runtimeError(404, `network ${networkName} not found`);
+    }
+
+    const endpoint = {
+      ipAddress: options.ipAddress || CidrUtils.findFreeAddress(
+        network.subnet,
+        this.getAddresses(networkName, other => other !== container),
+        { gateway: network.gateway },
+      ),
+      aliases: options.aliases || [],
+    };
+
+    if (container.status === 'running') {
+      this.assertAddressFree(container, networkName, endpoint.ipAddress);
+    }
+
+    container.networks.set(networkName, endpoint);
+  }
+
+  /**
+   * Get the addresses containers have on a network
+   * @param {string} networkName - Network name
+   * @param {Function} filter - Containers to include
+   * @returns {string[]} Addresses
+   */
+  getAddresses(networkName, filter) {
+    return Array.from(this.containers.values())
+      .filter(filter)
+      .map(other => other.networks.get(networkName))
+      .filter(Boolean)
+      .map(endpoint => endpoint.ipAddress);
+  }
+
+  /**
+   * Check no other running container has an address
+   * @param {Object} container - Container taking the address
+   * @param {string} networkName - Network name
+   * @param {string} ipAddress - Address
+   */
+  assertAddressFree(container, networkName, ipAddress) {
+    const used = this.getAddresses(networkName, other => other !== container && other.status === 'running');
+    if (used.includes(ipAddress)) {
+      throw this.runtimeError(403, `Address already in use: ${ipAddress}`);
+    }
+  }
+
+  /**
+   * Get the address of a container on its first network, only while it runs
+   * @param {Object} container - Container
+   * @returns {string|null} IP address
+   */
+  getIPAddress(container) {
+    const [endpoint] = container.networks.values();
+    if (!endpoint) {
+      return null;
+    }
+    return container.status === 'running' ? endpoint.ipAddress : '';
+  }
+
+  /**
+   * Get a volume, creating it like Docker does for named volumes in binds
+   * @param {string} name - Volume name
+   * @param {Object} labels - Labels of a new volume
+   * @returns {Object} Volume
+   */
+  ensureVolume(name, labels = {}) {
+    if (!this.volumes.has(name)) {
+      const files = new Map([['/', SimulatorDriver.fileEntry({ type: 'directory', mode: 0o755 })]]);
+      this.volumes.set(name, {
+        name,
+        labels: { ...labels, 'sahary.managed': 'true' },
+        files,
+        createdAt: new Date().toISOString(),
+      });
+    }
+
+    return this.volumes.get(name);
+  }
+
+  /**
+   * @param {string} ref - Image reference
+   * @returns {boolean} Whether the image can only come from this host (platform images and IDs)
+   */
+  static isLocalImage(ref) {
+    return ref.startsWith('sha256:') || ref.startsWith('sahary-') || /^[0-9a-f]{12,64}$/.test(ref);
+  }
+
+  /**
+   * @param {string} ref - Image reference
+   * @returns {string} Reference with a tag, `latest` when it has none
+   */
+  static normalizeTag(ref) {
+    return posixPath.basename(ref).includes(':') ? ref : `${ref}:latest`;
+  }
+
+  /**
+   * @param {string} filePath - Absolute path
+   * @param {string} dir - Absolute directory
+   * @returns {boolean} Whether the path is the directory or under it
+   */
+  static isWithin(filePath, dir) {
+    return dir === '/' || filePath === dir || filePath.startsWith(`${dir}/`);
+  }
+
+  /**
+   * @param {Object} entry - Entry fields ({ type, mode, uid, gid, content, linkname })
+   * @returns {Object} File entry
+   */
+  static fileEntry(entry) {
+    return {
+      uid: 0,
+      gid: 0,
+      mtime: new Date(),
+      ...entry,
+    };
+  }
+
+  /**
+   * @param {Object} header - Tar header
+   * @param {Buffer} data - Entry content
+   * @returns {Object} File entry
+   */
+  static entryFromHeader(header, data) {
+    return SimulatorDriver.fileEntry({
+      type: header.type,
+      mode: header.mode,
+      uid: header.uid,
+      gid: header.gid,
+      mtime: header.mtime || new Date(),
+      ...(header.type === 'file' && { content: data }),
+      ...(header.type === 'symlink' && { linkname: header.linkname }),
+    });
+  }
+
+  /**
+   * Add a file entry to a tar pack
+   * @param {Object} pack - Tar pack
+   * @param {string} name - Entry name
+   * @param {Object} entry - File entry
+   */
+  static packEntry(pack, name, entry) {
+    const header = {
+      name,
+      type: entry.type,
+      mode: entry.mode,
+      uid: entry.uid,
+      gid: entry.gid,
+      mtime: entry.mtime,
+      ...(entry.type === 'symlink' && { linkname: entry.linkname }),
+    };
+
+    pack.entry(header, entry.type === 'file' ? entry.content : undefined);
+  }
+
+  /**
+   * Read all the entries of a tar stream, gzipped or not
+   * @param {Object} archive - Readable stream or buffer
+   * @returns {Promise<Array>} Entries ({ header, data })
+   */
+  static async readArchive(archive) {
+    let buffer = archive;
+    if (!Buffer.isBuffer(archive)) {
+      const chunks = [];
+      for await (const chunk of archive) {
+        chunks.push(Buffer.from(chunk));
+      }
+      buffer = Buffer.concat(chunks);
+    }
+
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = zlib.gunzipSync(buffer);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const extract = tar.extract();
+
+      extract.on('entry', (header, stream, next) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          entries.push({ header, data: Buffer.concat(chunks) });
+          next();
+        });
+      });
+      extract.on('finish', () => resolve(entries));
+      extract.on('error', reject);
+
+      extract.end(buffer);
+    });
+  }
+
+  /**
+   * @param {Map} files - File entries
+   * @returns {number} Total size of the file contents
+   */
+  static filesSize(files) {
+    let size = 0;
+    files.forEach((entry) => {
+      size += entry.content ? entry.content.length : 0;
+    });
+    return size;
+  }
+
+  /**
+   * Files of a freshly pulled image
+   * @param {string} ref - Image reference
+   * @returns {Map} File entries
+   */
+  static baseFiles(ref) {
+    const directory = () => SimulatorDriver.fileEntry({ type: 'directory', mode: 0o755 });
+
+    return new Map([
+      ['/', directory()],
+      ['/app', SimulatorDriver.fileEntry({
+        type: 'directory',
+        mode: 0o755,
+        uid: 1000,
+        gid: 1000,
+      })],
+      ['/etc', directory()],
+      ['/etc/os-release', SimulatorDriver.fileEntry({
+        type: 'file',
+        mode: 0o644,
+        content: Buffer.from(`NAME="${ref}"\nID=simulator\n`),
+      })],
+      ['/home', directory()],
+      ['/root', SimulatorDriver.fileEntry({ type: 'directory', mode: 0o700 })],
+      ['/tmp', SimulatorDriver.fileEntry({ type: 'directory', mode: 0o1777 })],
+    ]);
+  }
+}
+
+module.exports = SimulatorDriver;
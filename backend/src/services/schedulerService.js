@@ -0,0 +1,313 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const NodeService = require('./nodeService');
+
+// Solar readings the plant counts as producing in
+const PRODUCING_STATUSES = ['NORMAL', 'WARNING'];
+
+// How much each preference weighs in a node score, free capacity weighs 1
+const AFFINITY_WEIGHT = 0.5;
+const SOLAR_WEIGHT = 0.25;
+
+/**
+ * Scheduler Service
+ * Places VMs on compute nodes
+ *
+ * Nodes that are not ACTIVE, lack capacity, miss a selector label, hold an anti-affinity VM or
+ * are not the node of the VM's private networks are ruled out. The rest are scored by the share
+ * of capacity left after placement, VMs it should run next to and, while the solar plant
+ * produces, whether the node runs on it (solar nodes are avoided while it does not).
+ */
+class SchedulerService {
+    /**
+     * Choose the node for a VM
+     * @param {Object} requirements - Placement requirements
+     * @param {number} requirements.cpu - CPU cores
+     * @param {number} requirements.ram - RAM in MB
+     * @param {number} requirements.storage - Storage in GB
+     * @param {string} requirements.userId - Owner, affinity VMs must be theirs
+     * @param {string} requirements.nodeId - Only consider this node
+     * @param {Object} requirements.nodeSelector - Labels the node must have
+     * @param {string[]} requirements.affinity - VMs to run next to, if possible
+     * @param {string[]} requirements.antiAffinity - VMs to never run next to
+     * @param {string[]} requirements.networkIds - Private networks of the VM
+     * @param {string[]} requirements.excludeNodeIds - Nodes to leave out
+     * @returns {Promise<Object>} Chosen node with its score
+     */
+    static async placeVM(requirements) {
+        try {
+            // Listing registers the local node, VMs created before nodes existed are placed on it
+            const nodes = await NodeService.listNodes();
+            const [peers, solarProducing] = await Promise.all([
+                this.getPeerNodes(requirements),
+                this.isSolarProducing(),
+            ]);
+
+            const rejected = [];
+            const candidates = [];
+
+            for (const node of nodes) {
+                const reason = this.checkNode(node, requirements, peers);
+
+                if (reason) {
+                    rejected.push(`${node.name}: ${reason}`);
+                } else {
+                    candidates.push({ ...node, score: this.scoreNode(node, requirements, peers, solarProducing) });
+                }
+            }
+
+            if (candidates.length === 0) {
+                throw new Error(`No compute node can host the VM (${rejected.join('; ') || 'no nodes registered'})`);
+            }
+
+            // Highest score, then the oldest node for stable choices
+            candidates.sort((a, b) => b.score - a.score);
+
+            return candidates[0];
+        } catch (error) {
+            throw new Error(`VM placement failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tell why a node cannot host a VM
+     * @param {Object} node - Node with usage
+     * @param {Object} requirements - Placement requirements
+     * @param {Object} peers - Nodes of related VMs
+     * @returns {string|null} Reason, null when the node fits
+     */
+    static checkNode(node, requirements, peers) {
+        const { nodeId, excludeNodeIds = [], nodeSelector = {} } = requirements;
+
+        if (nodeId && node.id !== nodeId) {
+            return 'not the requested node';
+        }
+
+        if (excludeNodeIds.includes(node.id)) {
+            return 'excluded';
+        }
+
+        if (node.status !== 'ACTIVE') {
+            return node.status.toLowerCase();
+        }
+
+        for (const resource of ['cpu', 'ram', 'storage']) {
+            if (node.free[resource] < (requirements[resource] || 0)) {
+                return `not enough ${resource}`;
+            }
+        }
+
+        const labels = node.labels || {};
+        const missing = Object.keys(nodeSelector).find(key => labels[key] !== nodeSelector[key]);
+        if (missing) {
+            return `label ${missing} does not match`;
+        }
+
+        if (peers.antiAffinity.has(node.id)) {
+            return 'runs an anti-affinity VM';
+        }
+
+        // Docker networks are local to a host, VMs sharing one must share the node
+        if (peers.networks.size > 0 && !peers.networks.has(node.id)) {
+            return 'private networks are on another node';
+        }
+
+        return null;
+    }
+
+    /**
+     * Score a node that can host a VM, higher is better
+     * @param {Object} node - Node with usage
+     * @param {Object} requirements - Placement requirements
+     * @param {Object} peers - Nodes of related VMs
+     * @param {boolean|null} solarProducing - Whether the plant produces, null without recent reading
+     * @returns {number} Score
+     */
+    static scoreNode(node, requirements, peers, solarProducing) {
+        const capacity = {
+            cpu: node.cpu * config.nodes.cpuOvercommit,
+            ram: node.ram,
+            storage: node.storage,
+        };
+
+        // Share of each resource left after placement, spreads VMs over the nodes
+        const resources = Object.keys(capacity).filter(resource => capacity[resource] > 0);
+        let score = resources.reduce((sum, resource) => (
+            sum + (node.free[resource] - (requirements[resource] || 0)) / capacity[resource]
+        ), 0) / (resources.length || 1);
+
+        if (peers.affinityCount > 0) {
+            score += AFFINITY_WEIGHT * ((peers.affinity.get(node.id) || 0) / peers.affinityCount);
+        }
+
+        if (node.solarPowered && solarProducing !== null) {
+            score += solarProducing ? SOLAR_WEIGHT : -SOLAR_WEIGHT;
+        }
+
+        return Math.round(score * 1000) / 1000;
+    }
+
+    /**
+     * Find the nodes of the VMs a placement refers to
+     * @param {Object} requirements - Placement requirements
+     * @returns {Promise<Object>} { affinity: Map of VM count by node, affinityCount, antiAffinity, networks }
+     */
+    static async getPeerNodes(requirements) {
+        const { userId, affinity = [], antiAffinity = [], networkIds = [] } = requirements;
+        const ids = [...affinity, ...antiAffinity];
+
+        const [related, networkVMs] = await Promise.all([
+            ids.length > 0
+                ? prisma.virtualMachine.findMany({
+                    where: { id: { in: ids }, ...(userId && { userId }) },
+                    select: { id: true, nodeId: true },
+                })
+                : [],
+            networkIds.length > 0
+                ? prisma.virtualMachine.findMany({
+                    where: { privateNetworks: { some: { id: { in: networkIds } } }, nodeId: { not: null } },
+                    select: { nodeId: true },
+                })
+                : [],
+        ]);
+
+        const found = new Set(related.map(vm => vm.id));
+        const unknown = ids.filter(id => !found.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`VM not found or access denied: ${unknown.join(', ')}`);
+        }
+
+        const nodeOf = new Map(related.map(vm => [vm.id, vm.nodeId]));
+        const affinityNodes = new Map();
+        for (const id of affinity) {
+            const nodeId = nodeOf.get(id);
+            affinityNodes.set(nodeId, (affinityNodes.get(nodeId) || 0) + 1);
+        }
+
+        return {
+            affinity: affinityNodes,
+            affinityCount: affinity.length,
+            antiAffinity: new Set(antiAffinity.map(id => nodeOf.get(id))),
+            networks: new Set(networkVMs.map(vm => vm.nodeId)),
+        };
+    }
+
+    /**
+     * Tell whether the solar plant currently produces
+     * @returns {Promise<boolean|null>} Null when there is no reading within SCHEDULER_SOLAR_WINDOW
+     */
+    static async isSolarProducing() {
+        const reading = await prisma.solarData.findFirst({
+            where: { timestamp: { gte: new Date(Date.now() - config.nodes.solarWindow) } },
+            orderBy: { timestamp: 'desc' },
+            select: { production: true, systemStatus: true },
+        });
+
+        if (!reading) {
+            return null;
+        }
+
+        return PRODUCING_STATUSES.includes(reading.systemStatus) && reading.production > 0;
+    }
+
+    /**
+     * Check that a node can take extra resources for a VM it already hosts
+     * @param {string} nodeId - Node ID
+     * @param {Object} delta - Extra resources ({ cpu, ram, storage })
+     */
+    static async assertNodeCapacity(nodeId, delta) {
+        if (!nodeId) {
+            return;
+        }
+
+        const node = (await NodeService.listNodes()).find(entry => entry.id === nodeId);
+        if (!node) {
+            return;
+        }
+
+        for (const resource of ['cpu', 'ram', 'storage']) {
+            if ((delta[resource] || 0) > 0 && node.free[resource] < delta[resource]) {
+                throw new Error(`Node ${node.name} does not have enough ${resource} left`);
+            }
+        }
+    }
+
+    /**
+     * Drain a node: stop placing VMs on it and move its VMs away
+     * VMs without a container have nothing on the node yet and are placed again, the others
+     * are migrated in the background. VMs that cannot be moved are listed as remaining.
+     * @param {string} userId - Admin user ID
+     * @param {string} nodeId - Node ID
+     * @returns {Promise<Object>} { node, moved, migrating, remaining }
+     */
+    static async drainNode(userId, nodeId) {
+        try {
+            const node = await NodeService.setStatus(userId, nodeId, 'DRAINING');
+
+            const vms = await prisma.virtualMachine.findMany({
+                where: { nodeId },
+                include: { privateNetworks: { select: { id: true } } },
+                orderBy: { createdAt: 'asc' },
+            });
+
+            // Migrations place VMs with the scheduler, loaded here to avoid a require cycle
+            const MigrationService = require('./migrationService');
+
+            const moved = [];
+            const migrating = [];
+            const remaining = [];
+
+            for (const vm of vms) {
+                if (vm.dockerContainerId) {
+                    try {
+                        const operation = await MigrationService.requestMigration(vm.id, userId);
+                        migrating.push({
+                            vmId: vm.id,
+                            vmName: vm.name,
+                            nodeId: operation.params.targetNodeId,
+                            operationId: operation.id,
+                        });
+                    } catch (error) {
+                        remaining.push({ vmId: vm.id, vmName: vm.name, status: vm.status, reason: error.message });
+                    }
+                    continue;
+                }
+
+                try {
+                    const target = await this.placeVM({
+                        cpu: vm.cpu,
+                        ram: vm.ram,
+                        storage: vm.storage,
+                        networkIds: vm.privateNetworks.map(network => network.id),
+                        excludeNodeIds: [nodeId],
+                    });
+
+                    await prisma.virtualMachine.update({
+                        where: { id: vm.id },
+                        data: { nodeId: target.id },
+                    });
+
+                    moved.push({ vmId: vm.id, vmName: vm.name, nodeId: target.id, nodeName: target.name });
+                } catch (error) {
+                    remaining.push({ vmId: vm.id, vmName: vm.name, status: vm.status, reason: error.message });
+                }
+            }
+
+            await NodeService.logNodeEvent(userId, 'NODE_DRAINED', nodeId, {
+                name: node.name,
+                moved: moved.length,
+                migrating: migrating.length,
+                remaining: remaining.length,
+            });
+
+            return { node, moved, migrating, remaining };
+        } catch (error) {
+            throw new Error(`Node drain failed: ${error.message}`);
+        }
+    }
+}
+
+SchedulerService.AFFINITY_WEIGHT = AFFINITY_WEIGHT;
+SchedulerService.SOLAR_WEIGHT = SOLAR_WEIGHT;
+
+module.exports = SchedulerService;
@@ -0,0 +1,484 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const EncryptionUtils = require('../utils/encryption');
+
+// Variables Sahary sets in every VM container
+const RESERVED_NAMES = ['VM_ID', 'VM_NAME', 'USER_ID', 'CPU_LIMIT', 'RAM_LIMIT', 'STORAGE_LIMIT'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MASK = '********';
+
+// Secrets re-encrypted per query when rotating keys
+const ROTATE_BATCH_SIZE = 100;
+
+const SECRET_SELECT = {
+    name: true,
+    ciphertext: true,
+    iv: true,
+    authTag: true,
+    keyVersion: true,
+    isSecret: true,
+    createdBy: true,
+    updatedBy: true,
+    createdAt: true,
+    updatedAt: true,
+};
+
+/**
+ * Secret Service
+ * Handles the environment variables of VMs, encrypted at rest with AES-256-GCM.
+ *
+ * Values are bound to their VM and name, the highest master key version encrypts new values and
+ * rotateKeys re-encrypts the values of older versions. Values of secrets are only returned by
+ * getSecret, which is audited. Changes bump the secrets revision of the VM, containers are
+ * recreated with the new environment on the next start or restart.
+ */
+class SecretService {
+    /**
+     * Get the environment variables of a VM, secret values masked
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object>} Variables and whether the VM runs with them ({ secrets, applied })
+     */
+    static async listSecrets(vmId, userId = null) {
+        try {
+            const vm = await this.findVM(vmId, userId);
+            const secrets = await prisma.vmSecret.findMany({
+                where: { vmId },
+                select: SECRET_SELECT,
+                orderBy: { name: 'asc' },
+            });
+            const keys = secrets.some(secret => !secret.isSecret) ? this.getKeys() : null;
+
+            return {
+                secrets: secrets.map(secret => this.formatSecret(
+                    secret,
+                    secret.isSecret ? MASK : this.decryptValue(vmId, secret, keys),
+                )),
+                applied: vm.secretsRevision === vm.appliedSecretsRevision,
+            };
+        } catch (error) {
+            throw new Error(`Failed to list secrets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the value of an environment variable
+     * Reads are audited, secret or not
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {string} name - Variable name
+     * @param {string} actorId - User reading the value
+     * @returns {Promise<Object>} Variable with its value
+     */
+    static async getSecret(vmId, userId, name, actorId) {
+        try {
+            await this.findVM(vmId, userId);
+
+            const secret = await prisma.vmSecret.findUnique({
+                where: { vmId_name: { vmId, name } },
+                select: SECRET_SELECT,
+            });
+            if (!secret) {
+                throw new Error('Secret not found');
+            }
+
+            const value = this.decryptValue(vmId, secret, this.getKeys());
+
+            await this.logSecretEvent(actorId, 'VM_SECRET_READ', vmId, { name });
+
+            return this.formatSecret(secret, value);
+        } catch (error) {
+            throw new Error(`Failed to get secret: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create or update an environment variable
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {Object} secretData - Variable ({ name, value, isSecret })
+     * @param {string} actorId - User performing the change
+     * @returns {Promise<Object>} Masked variable and whether the VM has to be restarted ({ secret, restartRequired })
+     */
+    static async setSecret(vmId, userId, secretData, actorId) {
+        try {
+            const { name, value, isSecret = true } = secretData;
+            this.validateSecret(name, value);
+
+            const vm = await this.findVM(vmId, userId);
+
+            const existing = await prisma.vmSecret.findUnique({
+                where: { vmId_name: { vmId, name } },
+                select: { id: true },
+            });
+            if (!existing && await prisma.vmSecret.count({ where: { vmId } }) >= config.secrets.maxPerVM) {
+                throw new Error(`A VM can have at most ${config.secrets.maxPerVM} environment variables`);
+            }
+
+            const encrypted = this.encryptValue(vmId, name, value, this.getKeys());
+
+            const [secret] = await prisma.$transaction([
+                prisma.vmSecret.upsert({
+                    where: { vmId_name: { vmId, name } },
+                    create: {
+                        vmId,
+                        name,
+                        ...encrypted,
+                        isSecret,
+                        createdBy: actorId,
+                        updatedBy: actorId,
+                    },
+                    update: {
+                        ...encrypted,
+                        isSecret,
+                        updatedBy: actorId,
+                    },
+                    select: SECRET_SELECT,
+                }),
+                prisma.virtualMachine.update({
+                    where: { id: vmId },
+                    data: { secretsRevision: { increment: 1 } },
+                }),
+            ]);
+
+            await this.logSecretEvent(actorId, 'VM_SECRET_SET', vmId, {
+                name,
+                isSecret,
+                created: !existing,
+            });
+
+            return {
+                secret: this.formatSecret(secret, isSecret ? MASK : value),
+                restartRequired: this.isRunning(vm),
+            };
+        } catch (error) {
+            throw new Error(`Failed to set secret: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an environment variable
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @param {string} name - Variable name
+     * @param {string} actorId - User performing the change
+     * @returns {Promise<Object>} Whether the VM has to be restarted ({ restartRequired })
+     */
+    static async unsetSecret(vmId, userId, name, actorId) {
+        try {
+            const vm = await this.findVM(vmId, userId);
+
+            await prisma.$transaction(async (tx) => {
+                const { count } = await tx.vmSecret.deleteMany({ where: { vmId, name } });
+                if (count === 0) {
+                    throw new Error('Secret not found');
+                }
+
+                await tx.virtualMachine.update({
+                    where: { id: vmId },
+                    data: { secretsRevision: { increment: 1 } },
+                });
+            });
+
+            await this.logSecretEvent(actorId, 'VM_SECRET_UNSET', vmId, { name });
+
+            return { restartRequired: this.isRunning(vm) };
+        } catch (error) {
+            throw new Error(`Failed to unset secret: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the decrypted environment of a VM for its container
+     * VMs that never had variables skip the lookup
+     * @param {Object} vm - VM ({ id, secretsRevision })
+     * @returns {Promise<Object>} Docker style variables and their revision ({ variables, revision })
+     */
+    static async getEnvironment(vm) {
+        if (!vm.secretsRevision) {
+            return { variables: [], revision: 0 };
+        }
+
+        const record = await prisma.virtualMachine.findUnique({
+            where: { id: vm.id },
+            select: {
+                secretsRevision: true,
+                secrets: { select: SECRET_SELECT, orderBy: { name: 'asc' } },
+            },
+        });
+        if (!record || record.secrets.length === 0) {
+            return { variables: [], revision: record ? record.secretsRevision : 0 };
+        }
+
+        const keys = this.getKeys();
+        const variables = record.secrets.map(secret => `${secret.name}=${this.decryptValue(vm.id, secret, keys)}`);
+
+        await this.logSecretEvent(null, 'VM_SECRETS_INJECTED', vm.id, {
+            names: record.secrets.map(secret => secret.name),
+            revision: record.secretsRevision,
+        });
+
+        return { variables, revision: record.secretsRevision };
+    }
+
+    /**
+     * Copy the environment of a VM to another one, re-encrypted for the target
+     * @param {Object} sourceVM - Source VM ({ id, secretsRevision })
+     * @param {string} targetVmId - Target VM ID, without variables
+     * @param {string} actorId - User performing the copy
+     * @returns {Promise<number>} Number of variables copied
+     */
+    static async copySecrets(sourceVM, targetVmId, actorId) {
+        if (!sourceVM.secretsRevision) {
+            return 0;
+        }
+
+        const secrets = await prisma.vmSecret.findMany({
+            where: { vmId: sourceVM.id },
+            select: SECRET_SELECT,
+        });
+        if (secrets.length === 0) {
+            return 0;
+        }
+
+        const keys = this.getKeys();
+
+        await prisma.$transaction([
+            prisma.vmSecret.createMany({
+                data: secrets.map(secret => ({
+                    vmId: targetVmId,
+                    name: secret.name,
+                    ...this.encryptValue(targetVmId, secret.name, this.decryptValue(sourceVM.id, secret, keys), keys),
+                    isSecret: secret.isSecret,
+                    createdBy: actorId,
+                    updatedBy: actorId,
+                })),
+            }),
+            prisma.virtualMachine.update({
+                where: { id: targetVmId },
+                data: { secretsRevision: { increment: 1 } },
+            }),
+        ]);
+
+        await this.logSecretEvent(actorId, 'VM_SECRETS_COPIED', targetVmId, {
+            sourceVmId: sourceVM.id,
+            names: secrets.map(secret => secret.name),
+        });
+
+        return secrets.length;
+    }
+
+    /**
+     * Re-encrypt the values encrypted with older master keys
+     * Old keys can be removed from the configuration once nothing is left to rotate
+     * @param {string} actorId - Admin performing the rotation
+     * @returns {Promise<Object>} Rotation report ({ keyVersion, rotated, failed, keyVersions })
+     */
+    static async rotateKeys(actorId) {
+        try {
+            const keys = this.getKeys();
+            const keyVersion = EncryptionUtils.currentVersion(keys);
+            const failed = [];
+            let rotated = 0;
+            let lastId = '';
+
+            for (;;) {
+                // Failed values keep their version, the batches move on by ID
+                const secrets = await prisma.vmSecret.findMany({
+                    where: { keyVersion: { not: keyVersion }, id: { gt: lastId } },
+                    select: { id: true, vmId: true, ...SECRET_SELECT },
+                    orderBy: { id: 'asc' },
+                    take: ROTATE_BATCH_SIZE,
+                });
+                if (secrets.length === 0) {
+                    break;
+                }
+                lastId = secrets[secrets.length - 1].id;
+
+                for (const secret of secrets) {
+                    try {
+                        const value = this.decryptValue(secret.vmId, secret, keys);
+
+                        await prisma.vmSecret.update({
+                            where: { id: secret.id },
+                            data: this.encryptValue(secret.vmId, secret.name, value, keys),
+                        });
+                        rotated += 1;
+                    } catch (error) {
+                        failed.push({ vmId: secret.vmId, name: secret.name, error: error.message });
+                    }
+                }
+            }
+
+            const versions = await prisma.vmSecret.groupBy({
+                by: ['keyVersion'],
+                _count: { _all: true },
+            });
+
+            await this.logSecretEvent(actorId, 'VM_SECRET_KEYS_ROTATED', null, {
+                keyVersion,
+                rotated,
+                failed: failed.length,
+            });
+
+            return {
+                keyVersion,
+                rotated,
+                failed,
+                // Values still encrypted with each key version
+                keyVersions: versions
+                    .map(group => ({ keyVersion: group.keyVersion, count: group._count._all }))
+                    .sort((a, b) => a.keyVersion - b.keyVersion),
+            };
+        } catch (error) {
+            throw new Error(`Failed to rotate keys: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a VM the user can access
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object>} VM
+     */
+    static async findVM(vmId, userId) {
+        const where = { id: vmId };
+        if (userId) {
+            where.userId = userId;
+        }
+
+        const vm = await prisma.virtualMachine.findFirst({
+            where,
+            select: {
+                id: true,
+                status: true,
+                secretsRevision: true,
+                appliedSecretsRevision: true,
+            },
+        });
+
+        if (!vm) {
+            throw new Error('VM not found or access denied');
+        }
+
+        return vm;
+    }
+
+    /**
+     * Check a variable before storing it
+     * @param {string} name - Variable name
+     * @param {string} value - Variable value
+     */
+    static validateSecret(name, value) {
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new Error('Invalid variable name: use letters, digits and underscores, not starting with a digit');
+        }
+        if (RESERVED_NAMES.includes(name) || name.startsWith('SAHARY_')) {
+            throw new Error(`${name} is set by Sahary and cannot be overridden`);
+        }
+        if (typeof value !== 'string' || value.includes('\0')) {
+            throw new Error('Invalid variable value');
+        }
+        if (Buffer.byteLength(value) > config.secrets.maxValueSize) {
+            throw new Error(`Values are limited to ${config.secrets.maxValueSize} bytes`);
+        }
+    }
+
+    /**
+     * @returns {Map<number, Buffer>} Configured master keys by version
+     */
+    static getKeys() {
+        const keys = EncryptionUtils.parseKeys(config.secrets.masterKeys);
+        if (keys.size === 0) {
+            throw new Error('Secrets are not configured (SECRETS_MASTER_KEYS)');
+        }
+
+        return keys;
+    }
+
+    /**
+     * @param {string} vmId - VM ID
+     * @param {string} name - Variable name
+     * @param {string} value - Plain value
+     * @param {Map<number, Buffer>} keys - Master keys
+     * @returns {Object} Stored fields ({ ciphertext, iv, authTag, keyVersion })
+     */
+    static encryptValue(vmId, name, value, keys) {
+        const keyVersion = EncryptionUtils.currentVersion(keys);
+
+        return {
+            ...EncryptionUtils.encrypt(value, keys.get(keyVersion), `${vmId}:${name}`),
+            keyVersion,
+        };
+    }
+
+    /**
+     * @param {string} vmId - VM ID
+     * @param {Object} secret - Stored variable
+     * @param {Map<number, Buffer>} keys - Master keys
+     * @returns {string} Plain value
+     */
+    static decryptValue(vmId, secret, keys) {
+        const key = keys.get(secret.keyVersion);
+        if (!key) {
+            throw new Error(`Master key ${secret.keyVersion} of ${secret.name} is not configured`);
+        }
+
+        try {
+            return EncryptionUtils.decrypt(secret, key, `${vmId}:${secret.name}`);
+        } catch (error) {
+            throw new Error(`Cannot decrypt ${secret.name}: the value or its key is corrupted`);
+        }
+    }
+
+    /**
+     * @param {Object} secret - Stored variable
+     * @param {string} value - Value to return, masked for secrets
+     * @returns {Object} Variable without its encrypted fields
+     */
+    static formatSecret(secret, value) {
+        return {
+            name: secret.name,
+            value,
+            isSecret: secret.isSecret,
+            keyVersion: secret.keyVersion,
+            createdBy: secret.createdBy,
+            updatedBy: secret.updatedBy,
+            createdAt: secret.createdAt,
+            updatedAt: secret.updatedAt,
+        };
+    }
+
+    /**
+     * @param {Object} vm - VM
+     * @returns {boolean} Whether the VM runs with a container created before the change
+     */
+    static isRunning(vm) {
+        return ['RUNNING', 'SUSPENDED'].includes(vm.status);
+    }
+
+    /**
+     * Log secret events for audit, without values
+     * @param {string} userId - User ID (null for system events)
+     * @param {string} action - Action performed
+     * @param {string} vmId - VM ID
+     * @param {Object} metadata - Additional metadata
+     */
+    static async logSecretEvent(userId, action, vmId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'vm',
+                    resourceId: vmId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log secret event:', error);
+        }
+    }
+}
+
+module.exports = SecretService;
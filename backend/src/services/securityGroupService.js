@@ -0,0 +1,288 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const CidrUtils = require('../utils/cidr');
+const FirewallService = require('./firewallService');
+
+const PORT_PROTOCOLS = ['TCP', 'UDP'];
+
+const RULE_SELECT = {
+    id: true,
+    direction: true,
+    protocol: true,
+    portFrom: true,
+    portTo: true,
+    cidr: true,
+    description: true,
+};
+
+/**
+ * Security Group Service
+ * Handles reusable firewall rule sets attached to VMs
+ */
+class SecurityGroupService {
+    /**
+     * Get user's security groups
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Security groups with their rules
+     */
+    static async getGroups(userId) {
+        return prisma.securityGroup.findMany({
+            where: { userId },
+            include: {
+                rules: { select: RULE_SELECT, orderBy: { createdAt: 'asc' } },
+                _count: { select: { vms: true } },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+    }
+
+    /**
+     * Get a security group
+     * @param {string} groupId - Security group ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<Object>} Security group with its rules and VMs
+     */
+    static async getGroup(groupId, userId) {
+        const group = await prisma.securityGroup.findFirst({
+            where: { id: groupId, userId },
+            include: {
+                rules: { select: RULE_SELECT, orderBy: { createdAt: 'asc' } },
+                vms: { select: { id: true, name: true, ipAddress: true } },
+            },
+        });
+
+        if (!group) {
+            throw new Error('Security group not found');
+        }
+
+        return group;
+    }
+
+    /**
+     * Create a security group
+     * @param {string} userId - User ID
+     * @param {Object} groupData - Group data ({ name, description, rules })
+     * @returns {Promise<Object>} Created security group
+     */
+    static async createGroup(userId, groupData) {
+        const { name, description, rules = [] } = groupData;
+
+        try {
+            const normalizedRules = this.normalizeRules(rules);
+
+            const duplicate = await prisma.securityGroup.findFirst({ where: { userId, name } });
+            if (duplicate) {
+                throw new Error(`A security group named "${name}" already exists`);
+            }
+
+            const group = await prisma.securityGroup.create({
+                data: {
+                    name,
+                    description: description || null,
+                    userId,
+                    rules: { create: normalizedRules },
+                },
+                include: {
+                    rules: { select: RULE_SELECT },
+                },
+            });
+
+            await this.logSecurityGroupEvent(userId, 'SECURITY_GROUP_CREATED', group.id, {
+                name: group.name,
+                rules: normalizedRules,
+            });
+
+            return group;
+        } catch (error) {
+            throw new Error(`Failed to create security group: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a security group
+     * Rules, when given, replace the current rules and are applied to attached VMs right away
+     * @param {string} groupId - Security group ID
+     * @param {string} userId - Owner user ID
+     * @param {Object} groupData - Group data ({ name, description, rules })
+     * @returns {Promise<Object>} Updated security group
+     */
+    static async updateGroup(groupId, userId, groupData) {
+        const { name, description, rules } = groupData;
+
+        try {
+            const group = await this.getGroup(groupId, userId);
+            const normalizedRules = rules ? this.normalizeRules(rules) : null;
+
+            if (name && name !== group.name) {
+                const duplicate = await prisma.securityGroup.findFirst({
+                    where: { userId, name, id: { not: groupId } },
+                });
+                if (duplicate) {
+                    throw new Error(`A security group named "${name}" already exists`);
+                }
+            }
+
+            const updatedGroup = await prisma.$transaction(async (tx) => {
+                if (normalizedRules) {
+                    await tx.securityGroupRule.deleteMany({ where: { groupId } });
+                }
+
+                return tx.securityGroup.update({
+                    where: { id: groupId },
+                    data: {
+                        ...(name && { name }),
+                        ...(description !== undefined && { description }),
+                        ...(normalizedRules && { rules: { create: normalizedRules } }),
+                    },
+                    include: {
+                        rules: { select: RULE_SELECT, orderBy: { createdAt: 'asc' } },
+                        vms: { select: { id: true, name: true, ipAddress: true } },
+                    },
+                });
+            });
+
+            if (normalizedRules && updatedGroup.vms.length > 0) {
+                await FirewallService.sync();
+            }
+
+            await this.logSecurityGroupEvent(userId, 'SECURITY_GROUP_UPDATED', groupId, {
+                name: updatedGroup.name,
+                ...(normalizedRules && {
+                    oldRules: group.rules.map(rule => this.omitRuleId(rule)),
+                    newRules: normalizedRules,
+                }),
+            });
+
+            return updatedGroup;
+        } catch (error) {
+            throw new Error(`Failed to update security group: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the values of a rule without its ID, as given when rules are set
+     * @param {Object} rule - Security group rule
+     * @returns {Object} Rule values
+     */
+    static omitRuleId(rule) {
+        return Object.fromEntries(Object.entries(rule).filter(([key]) => key !== 'id'));
+    }
+
+    /**
+     * Delete a security group
+     * Groups still attached to VMs cannot be deleted
+     * @param {string} groupId - Security group ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<void>}
+     */
+    static async deleteGroup(groupId, userId) {
+        try {
+            const group = await this.getGroup(groupId, userId);
+
+            if (group.vms.length > 0) {
+                throw new Error(`Security group is attached to ${group.vms.length} VM(s), detach it first`);
+            }
+
+            await prisma.securityGroup.delete({ where: { id: groupId } });
+
+            await this.logSecurityGroupEvent(userId, 'SECURITY_GROUP_DELETED', groupId, {
+                name: group.name,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete security group: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve security groups owned by a user
+     * @param {string} userId - Owner user ID
+     * @param {string[]} groupIds - Security group IDs
+     * @returns {Promise<Object[]>} Security groups
+     */
+    static async resolveGroups(userId, groupIds = []) {
+        const ids = [...new Set(groupIds)];
+        if (ids.length === 0) {
+            return [];
+        }
+
+        if (ids.length > config.firewall.maxGroupsPerVM) {
+            throw new Error(`Maximum ${config.firewall.maxGroupsPerVM} security groups per VM`);
+        }
+
+        const groups = await prisma.securityGroup.findMany({
+            where: { id: { in: ids }, userId },
+            select: { id: true, name: true },
+        });
+
+        if (groups.length !== ids.length) {
+            throw new Error('Security group not found');
+        }
+
+        return groups;
+    }
+
+    /**
+     * Validate and normalize security group rules
+     * @param {Object[]} rules - Rules
+     * @returns {Object[]} Rules ready to be stored
+     */
+    static normalizeRules(rules) {
+        if (rules.length > config.firewall.maxRulesPerGroup) {
+            throw new Error(`Maximum ${config.firewall.maxRulesPerGroup} rules per security group`);
+        }
+
+        return rules.map((rule) => {
+            const protocol = String(rule.protocol).toUpperCase();
+            const direction = String(rule.direction || 'INGRESS').toUpperCase();
+            const usesPorts = PORT_PROTOCOLS.includes(protocol);
+
+            if (usesPorts && !rule.portFrom) {
+                throw new Error(`${protocol} rules require a port`);
+            }
+
+            if (!usesPorts && (rule.portFrom || rule.portTo)) {
+                throw new Error('Ports can only be set on TCP and UDP rules');
+            }
+
+            const portTo = usesPorts ? (rule.portTo || rule.portFrom) : null;
+            if (usesPorts && portTo < rule.portFrom) {
+                throw new Error(`Invalid port range ${rule.portFrom}-${portTo}`);
+            }
+
+            return {
+                direction,
+                protocol,
+                portFrom: usesPorts ? rule.portFrom : null,
+                portTo,
+                cidr: CidrUtils.parse(rule.cidr || '0.0.0.0/0', { minPrefix: 0, maxPrefix: 32 }).cidr,
+                description: rule.description || null,
+            };
+        });
+    }
+
+    /**
+     * Log security group event
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} groupId - Security group ID
+     * @param {Object} metadata - Additional metadata
+     * @returns {Promise<void>}
+     */
+    static async logSecurityGroupEvent(userId, action, groupId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'security_group',
+                    resourceId: groupId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log security group event:', error);
+        }
+    }
+}
+
+module.exports = SecurityGroupService;
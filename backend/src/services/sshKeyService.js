@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+const NodeService = require('./nodeService');
+
+const KEY_TYPES = [
+    'ssh-ed25519',
+    'ssh-rsa',
+    'ecdsa-sha2-nistp256',
+    'ecdsa-sha2-nistp384',
+    'ecdsa-sha2-nistp521',
+    'sk-ssh-ed25519@openssh.com',
+    'sk-ecdsa-sha2-nistp256@openssh.com',
+];
+const MIN_RSA_BITS = 2048;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Keys are written between these markers so keys added by the user inside the VM are kept
+const BLOCK_START = '# BEGIN sahary managed keys';
+const BLOCK_END = '# END sahary managed keys';
+const INJECT_SCRIPT = [
+    'umask 077',
+    'mkdir -p "$HOME/.ssh"',
+    'file="$HOME/.ssh/authorized_keys"',
+    'touch "$file"',
+    `sed -i '/^${BLOCK_START}$/,/^${BLOCK_END}$/d' "$file"`,
+    `{ echo '${BLOCK_START}'; printf '%s\\n' "$@"; echo '${BLOCK_END}'; } >> "$file"`,
+].join('\n');
+
+const KEY_SELECT = {
+    id: true,
+    name: true,
+    publicKey: true,
+    keyType: true,
+    fingerprint: true,
+    createdAt: true,
+    updatedAt: true,
+};
+
+/**
+ * SSH Key Service
+ * Handles user SSH public keys and their injection into VM containers
+ */
+class SshKeyService {
+    /**
+     * Get user's SSH keys
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} SSH keys
+     */
+    static async getKeys(userId) {
+        return prisma.sshKey.findMany({
+            where: { userId },
+            select: {
+                ...KEY_SELECT,
+                _count: { select: { vms: true } },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+    }
+
+    /**
+     * Get an SSH key
+     * @param {string} keyId - SSH key ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<Object>} SSH key
+     */
+    static async getKey(keyId, userId) {
+        const key = await prisma.sshKey.findFirst({
+            where: { id: keyId, userId },
+            select: {
+                ...KEY_SELECT,
+                vms: { select: { id: true, name: true } },
+            },
+        });
+
+        if (!key) {
+            throw new Error('SSH key not found');
+        }
+
+        return key;
+    }
+
+    /**
+     * Add an SSH public key
+     * @param {string} userId - User ID
+     * @param {Object} keyData - Key data
+     * @param {string} keyData.name - Key name
+     * @param {string} keyData.publicKey - OpenSSH public key
+     * @returns {Promise<Object>} Created SSH key
+     */
+    static async createKey(userId, keyData) {
+        try {
+            const parsed = this.parsePublicKey(keyData.publicKey);
+
+            const count = await prisma.sshKey.count({ where: { userId } });
+            if (count >= config.ssh.maxKeysPerUser) {
+                throw new Error(`Maximum ${config.ssh.maxKeysPerUser} SSH keys allowed`);
+            }
+
+            const duplicate = await prisma.sshKey.findFirst({
+                where: {
+                    userId,
+                    OR: [
+                        { name: keyData.name },
+                        { fingerprint: parsed.fingerprint },
+                    ],
+                },
+            });
+            if (duplicate) {
+                throw new Error(duplicate.fingerprint === parsed.fingerprint
+                    ? `This key was already added as "${duplicate.name}"`
+                    : `An SSH key named "${keyData.name}" already exists`);
+            }
+
+            const key = await prisma.sshKey.create({
+                data: {
+                    name: keyData.name,
+                    publicKey: parsed.publicKey,
+                    keyType: parsed.keyType,
+                    fingerprint: parsed.fingerprint,
+                    userId,
+                },
+                select: KEY_SELECT,
+            });
+
+            await this.logSshKeyEvent(userId, 'SSH_KEY_CREATED', key.id, {
+                name: key.name,
+                keyType: key.keyType,
+                fingerprint: key.fingerprint,
+            });
+
+            return key;
+        } catch (error) {
+            throw new Error(`Failed to add SSH key: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename an SSH key
+     * @param {string} keyId - SSH key ID
+     * @param {string} userId - Owner user ID
+     * @param {Object} keyData - Fields to update
+     * @param {string} keyData.name - New key name
+     * @returns {Promise<Object>} Updated SSH key
+     */
+    static async updateKey(keyId, userId, keyData) {
+        try {
+            const key = await prisma.sshKey.findFirst({ where: { id: keyId, userId } });
+            if (!key) {
+                throw new Error('SSH key not found');
+            }
+
+            if (keyData.name !== key.name) {
+                const existing = await prisma.sshKey.findFirst({ where: { userId, name: keyData.name } });
+                if (existing) {
+                    throw new Error(`An SSH key named "${keyData.name}" already exists`);
+                }
+            }
+
+            const updated = await prisma.sshKey.update({
+                where: { id: keyId },
+                data: { name: keyData.name },
+                select: KEY_SELECT,
+            });
+
+            await this.logSshKeyEvent(userId, 'SSH_KEY_UPDATED', keyId, {
+                oldName: key.name,
+                name: updated.name,
+            });
+
+            return updated;
+        } catch (error) {
+            throw new Error(`Failed to update SSH key: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an SSH key
+     * The key is removed from the authorized_keys of running VMs right away
+     * @param {string} keyId - SSH key ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<Object>} VMs the key was removed from and VMs it could not be removed from
+     */
+    static async deleteKey(keyId, userId) {
+        try {
+            const key = await prisma.sshKey.findFirst({
+                where: { id: keyId, userId },
+                include: {
+                    vms: {
+                        where: {
+                            status: 'RUNNING',
+                            dockerContainerId: { not: null },
+                        },
+                        select: { id: true },
+                    },
+                },
+            });
+            if (!key) {
+                throw new Error('SSH key not found');
+            }
+
+            await prisma.sshKey.delete({ where: { id: keyId } });
+
+            const report = { revoked: [], failed: [] };
+
+            for (const { id: vmId } of key.vms) {
+                const vm = await prisma.virtualMachine.findUnique({
+                    where: { id: vmId },
+                    select: {
+                        id: true,
+                        nodeId: true,
+                        dockerContainerId: true,
+                        sshKeys: { select: { publicKey: true } },
+                    },
+                });
+
+                try {
+                    const docker = await NodeService.getDocker(vm);
+                    await this.injectKeys(vm.dockerContainerId, vm.sshKeys, docker);
+                    report.revoked.push(vmId);
+                } catch (error) {
+                    console.error(`Failed to revoke SSH key from VM ${vmId}:`, error);
+                    report.failed.push({ vmId, error: error.message });
+                }
+            }
+
+            await this.logSshKeyEvent(userId, 'SSH_KEY_DELETED', keyId, {
+                name: key.name,
+                fingerprint: key.fingerprint,
+                vmIds: key.vms.map(vm => vm.id),
+                failedVmIds: report.failed.map(failure => failure.vmId),
+            });
+
+            return report;
+        } catch (error) {
+            throw new Error(`Failed to delete SSH key: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the keys selected for a new VM
+     * @param {string} userId - Owner user ID
+     * @param {string[]} keyIds - SSH key IDs
+     * @returns {Promise<Object[]>} SSH keys
+     */
+    static async resolveKeys(userId, keyIds = []) {
+        if (keyIds.length === 0) {
+            return [];
+        }
+
+        const keys = await prisma.sshKey.findMany({
+            where: {
+                id: { in: keyIds },
+                userId,
+            },
+            select: { id: true, publicKey: true },
+        });
+
+        if (keys.length !== new Set(keyIds).size) {
+            throw new Error('SSH key not found');
+        }
+
+        return keys;
+    }
+
+    /**
+     * Write the VM keys to the authorized_keys of the container user
+     * @param {string} containerId - Running container ID
+     * @param {Object[]} keys - SSH keys ({ publicKey })
+     * @param {Object} docker - Docker client of the VM node
+     * @returns {Promise<void>}
+     */
+    static async injectKeys(containerId, keys, docker = dockerService) {
+        const result = await docker.execInContainer(containerId, [
+            'sh',
+            '-c',
+            INJECT_SCRIPT,
+            'sh',
+            ...keys.map(key => key.publicKey),
+        ]);
+
+        if (result.exitCode !== 0) {
+            throw new Error(`Failed to write authorized_keys: ${result.output || `exit code ${result.exitCode}`}`);
+        }
+    }
+
+    /**
+     * Parse and validate an OpenSSH public key
+     * @param {string} publicKey - Key in "<type> <base64> [comment]" format
+     * @returns {Object} Normalized key with type and SHA256 fingerprint
+     */
+    static parsePublicKey(publicKey) {
+        const [keyType, data, ...comment] = String(publicKey).trim().split(/\s+/);
+
+        if (!KEY_TYPES.includes(keyType)) {
+            throw new Error(`Unsupported SSH key type. Supported types: ${KEY_TYPES.join(', ')}`);
+        }
+
+        if (!data || !BASE64_PATTERN.test(data)) {
+            throw new Error('Invalid SSH public key data');
+        }
+
+        const blob = Buffer.from(data, 'base64');
+        if (blob.toString('base64') !== data) {
+            throw new Error('Invalid SSH public key data');
+        }
+
+        const fields = this.readFields(blob);
+        if (fields[0].toString() !== keyType) {
+            throw new Error('SSH key type does not match the key data');
+        }
+
+        if (keyType === 'ssh-ed25519' && (fields.length !== 2 || fields[1].length !== 32)) {
+            throw new Error('Invalid ssh-ed25519 key');
+        }
+
+        if (keyType === 'ssh-rsa') {
+            if (fields.length !== 3) {
+                throw new Error('Invalid ssh-rsa key');
+            }
+
+            const bits = this.countBits(fields[2]);
+            if (bits < MIN_RSA_BITS) {
+                throw new Error(`RSA keys must be at least ${MIN_RSA_BITS} bits (got ${bits})`);
+            }
+        }
+
+        const fingerprint = `SHA256:${crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '')}`;
+
+        return {
+            keyType,
+            publicKey: [keyType, data, ...comment].join(' '),
+            comment: comment.join(' ') || null,
+            fingerprint,
+        };
+    }
+
+    /**
+     * Split an SSH wire format blob into its length-prefixed fields
+     * @param {Buffer} blob - Decoded key data
+     * @returns {Buffer[]} Fields
+     */
+    static readFields(blob) {
+        const fields = [];
+        let offset = 0;
+
+        while (offset < blob.length) {
+            if (offset + 4 > blob.length) {
+                throw new Error('Invalid SSH public key data');
+            }
+
+            const length = blob.readUInt32BE(offset);
+            offset += 4;
+
+            if (offset + length > blob.length) {
+                throw new Error('Invalid SSH public key data');
+            }
+
+            fields.push(blob.subarray(offset, offset + length));
+            offset += length;
+        }
+
+        if (fields.length < 2) {
+            throw new Error('Invalid SSH public key data');
+        }
+
+        return fields;
+    }
+
+    /**
+     * Count the significant bits of a big-endian integer
+     * @param {Buffer} value - Integer bytes
+     * @returns {number} Bit length
+     */
+    static countBits(value) {
+        let start = 0;
+        while (start < value.length && value[start] === 0) {
+            start++;
+        }
+
+        if (start === value.length) {
+            return 0;
+        }
+
+        return (value.length - start - 1) * 8 + value[start].toString(2).length;
+    }
+
+    /**
+     * Log SSH key event to audit log
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} keyId - SSH key ID
+     * @param {Object} metadata - Additional metadata
+     */
+    static async logSshKeyEvent(userId, action, keyId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'ssh_key',
+                    resourceId: keyId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log SSH key event:', error);
+        }
+    }
+}
+
+module.exports = SshKeyService;
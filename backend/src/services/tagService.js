@@ -0,0 +1,140 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+
+// No ":" in keys, it separates key and value in selectors
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_./-]{0,62}$/;
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * Tag Service
+ * Handles the key/value tags of VMs and the tag selectors used to filter and act on them.
+ *
+ * Tags are returned as an object ({ env: 'prod', team: 'web' }). In selectors a null value
+ * matches any VM with the key.
+ */
+class TagService {
+    /**
+     * Replace or merge the tags of a VM
+     * @param {string} vmId - VM ID
+     * @param {Object} tags - Tags, null values remove the key when merging
+     * @param {Object} options - { merge } to keep the tags that are not given
+     * @returns {Promise<Object>} New tags and what changed ({ tags, added, changed, removed })
+     */
+    static async setTags(vmId, tags, options = {}) {
+        const current = this.toObject(await prisma.vmTag.findMany({
+            where: { vmId },
+            select: { key: true, value: true },
+        }));
+
+        const next = options.merge ? { ...current, ...tags } : { ...tags };
+        Object.keys(next).forEach((key) => {
+            if (next[key] === null) {
+                delete next[key];
+            }
+        });
+        this.validateTags(next);
+
+        const removed = Object.keys(current).filter(key => !(key in next));
+        const added = Object.keys(next).filter(key => !(key in current));
+        const changed = Object.keys(next).filter(key => key in current && current[key] !== next[key]);
+
+        await prisma.$transaction([
+            prisma.vmTag.deleteMany({ where: { vmId, key: { in: removed } } }),
+            ...[...added, ...changed].map(key => prisma.vmTag.upsert({
+                where: { vmId_key: { vmId, key } },
+                create: { vmId, key, value: next[key] },
+                update: { value: next[key] },
+            })),
+        ]);
+
+        return {
+            tags: this.toObject(Object.entries(next).map(([key, value]) => ({ key, value }))),
+            added,
+            changed,
+            removed,
+        };
+    }
+
+    /**
+     * Check tags before storing them
+     * @param {Object} tags - Tags
+     */
+    static validateTags(tags) {
+        const entries = Object.entries(tags || {});
+
+        if (entries.length > config.projects.maxTagsPerVM) {
+            throw new Error(`A VM can have at most ${config.projects.maxTagsPerVM} tags`);
+        }
+
+        for (const [key, value] of entries) {
+            if (!KEY_PATTERN.test(key)) {
+                throw new Error(`Invalid tag key "${key}": use up to 63 letters, digits and _ . / -`);
+            }
+            if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+                throw new Error(`Tag ${key} must be a string of at most ${MAX_VALUE_LENGTH} characters`);
+            }
+        }
+    }
+
+    /**
+     * Parse tag selectors of a query string
+     * @param {string[]} selectors - "key:value" to match a value, "key" to match any value
+     * @returns {Object} Tag selector ({ key: value or null })
+     */
+    static parseSelectors(selectors = []) {
+        return selectors.reduce((selector, item) => {
+            const separator = item.indexOf(':');
+            if (separator === -1) {
+                return { ...selector, [item]: null };
+            }
+
+            return { ...selector, [item.slice(0, separator)]: item.slice(separator + 1) };
+        }, {});
+    }
+
+    /**
+     * Build the VM conditions of a tag selector
+     * @param {Object} selector - Tags to match ({ key: value or null })
+     * @returns {Object[]} Prisma conditions, all have to match
+     */
+    static buildWhere(selector = {}) {
+        return Object.entries(selector).map(([key, value]) => ({
+            tags: { some: value === null ? { key } : { key, value } },
+        }));
+    }
+
+    /**
+     * Convert tag records to an object
+     * @param {Object[]} tags - Tags ({ key, value })
+     * @returns {Object} Tags by key, in key order
+     */
+    static toObject(tags = []) {
+        return [...tags]
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .reduce((result, tag) => ({ ...result, [tag.key]: tag.value }), {});
+    }
+
+    /**
+     * Compare VMs by the value of a tag, VMs without it come last
+     * @param {string} key - Tag key
+     * @param {string} sortOrder - asc or desc
+     * @returns {Function} Comparator of VMs with tag objects
+     */
+    static compareByTag(key, sortOrder = 'asc') {
+        const direction = sortOrder === 'desc' ? -1 : 1;
+
+        return (a, b) => {
+            const valueA = a.tags[key];
+            const valueB = b.tags[key];
+
+            if (valueA === undefined || valueB === undefined) {
+                return (valueA === undefined) - (valueB === undefined);
+            }
+
+            return direction * valueA.localeCompare(valueB, undefined, { numeric: true })
+                || a.name.localeCompare(b.name);
+        };
+    }
+}
+
+module.exports = TagService;
@@ -0,0 +1,279 @@
+const { prisma } = require('../config/database');
+const ValidationHelpers = require('../utils/validation.helpers');
+
+const TEMPLATE_FIELDS = [
+    'slug',
+    'name',
+    'description',
+    'category',
+    'dockerImage',
+    'iconUrl',
+    'defaultCpu',
+    'defaultRam',
+    'defaultStorage',
+    'defaultBandwidth',
+    'minCpu',
+    'minRam',
+    'minStorage',
+    'isActive',
+    'sortOrder',
+];
+
+/**
+ * Template Service
+ * Handles the curated catalog of VM images (operating systems and application templates)
+ */
+class TemplateService {
+    /**
+     * Get catalog templates
+     * @param {Object} options - Filter options
+     * @param {string} options.category - OS or APPLICATION
+     * @param {boolean} options.includeInactive - Include hidden templates (admin)
+     * @returns {Promise<Object[]>} Templates
+     */
+    static async getTemplates(options = {}) {
+        const { category, includeInactive = false } = options;
+
+        const where = {};
+        if (category) {
+            where.category = category;
+        }
+        if (!includeInactive) {
+            where.isActive = true;
+        }
+
+        return prisma.imageTemplate.findMany({
+            where,
+            include: includeInactive ? { _count: { select: { vms: true } } } : undefined,
+            orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+        });
+    }
+
+    /**
+     * Get a template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Object>} Template
+     */
+    static async getTemplateById(templateId) {
+        const template = await prisma.imageTemplate.findUnique({
+            where: { id: templateId },
+            include: { _count: { select: { vms: true } } },
+        });
+
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        return template;
+    }
+
+    /**
+     * Get an active template for VM creation
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Object>} Template
+     */
+    static async getActiveTemplate(templateId) {
+        const template = await prisma.imageTemplate.findUnique({ where: { id: templateId } });
+
+        if (!template || !template.isActive) {
+            throw new Error('Template not found or not available');
+        }
+
+        return template;
+    }
+
+    /**
+     * Find the active template providing a Docker image
+     * @param {string} dockerImage - Docker image
+     * @returns {Promise<Object|null>} Template
+     */
+    static async findTemplateByImage(dockerImage) {
+        return prisma.imageTemplate.findFirst({
+            where: {
+                dockerImage,
+                isActive: true,
+            },
+            orderBy: { sortOrder: 'asc' },
+        });
+    }
+
+    /**
+     * Fill missing VM settings from a template
+     * @param {Object} vmData - Requested VM settings
+     * @param {Object} template - Template (null to keep the request as is)
+     * @returns {Object} VM resources and image
+     */
+    static applyTemplate(vmData, template) {
+        if (!template) {
+            return {
+                cpu: vmData.cpu,
+                ram: vmData.ram,
+                storage: vmData.storage,
+                bandwidth: vmData.bandwidth,
+                dockerImage: vmData.dockerImage,
+            };
+        }
+
+        return {
+            cpu: vmData.cpu || template.defaultCpu,
+            ram: vmData.ram || template.defaultRam,
+            storage: vmData.storage || template.defaultStorage,
+            bandwidth: vmData.bandwidth || template.defaultBandwidth,
+            dockerImage: template.dockerImage,
+        };
+    }
+
+    /**
+     * Create a template
+     * @param {Object} templateData - Template data
+     * @param {string} actorId - Admin creating the template
+     * @returns {Promise<Object>} Created template
+     */
+    static async createTemplate(templateData, actorId) {
+        try {
+            const data = this.pickFields(templateData);
+            this.assertValidDefaults(data);
+
+            const existing = await prisma.imageTemplate.findUnique({ where: { slug: data.slug } });
+            if (existing) {
+                throw new Error(`Template slug ${data.slug} already exists`);
+            }
+
+            const template = await prisma.imageTemplate.create({ data });
+
+            await this.logTemplateEvent(actorId, 'VM_TEMPLATE_CREATED', template.id, {
+                slug: template.slug,
+                dockerImage: template.dockerImage,
+            });
+
+            return template;
+        } catch (error) {
+            throw new Error(`Failed to create template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a template
+     * @param {string} templateId - Template ID
+     * @param {Object} templateData - Fields to update
+     * @param {string} actorId - Admin updating the template
+     * @returns {Promise<Object>} Updated template
+     */
+    static async updateTemplate(templateId, templateData, actorId) {
+        try {
+            const template = await prisma.imageTemplate.findUnique({ where: { id: templateId } });
+            if (!template) {
+                throw new Error('Template not found');
+            }
+
+            const data = this.pickFields(templateData);
+            this.assertValidDefaults({ ...template, ...data });
+
+            if (data.slug && data.slug !== template.slug) {
+                const existing = await prisma.imageTemplate.findUnique({ where: { slug: data.slug } });
+                if (existing) {
+                    throw new Error(`Template slug ${data.slug} already exists`);
+                }
+            }
+
+            const updated = await prisma.imageTemplate.update({
+                where: { id: templateId },
+                data,
+            });
+
+            await this.logTemplateEvent(actorId, 'VM_TEMPLATE_UPDATED', templateId, {
+                slug: updated.slug,
+                changes: data,
+            });
+
+            return updated;
+        } catch (error) {
+            throw new Error(`Failed to update template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a template
+     * VMs created from it keep their image and lose the template reference
+     * @param {string} templateId - Template ID
+     * @param {string} actorId - Admin deleting the template
+     * @returns {Promise<void>}
+     */
+    static async deleteTemplate(templateId, actorId) {
+        try {
+            const template = await prisma.imageTemplate.findUnique({ where: { id: templateId } });
+            if (!template) {
+                throw new Error('Template not found');
+            }
+
+            await prisma.imageTemplate.delete({ where: { id: templateId } });
+
+            await this.logTemplateEvent(actorId, 'VM_TEMPLATE_DELETED', templateId, {
+                slug: template.slug,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete template: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that template defaults are a valid VM and meet the template minimums
+     * @param {Object} template - Template data
+     */
+    static assertValidDefaults(template) {
+        const validation = ValidationHelpers.validateVMResources({
+            cpu: template.defaultCpu,
+            ram: template.defaultRam,
+            storage: template.defaultStorage,
+            bandwidth: template.defaultBandwidth,
+        }, {
+            name: 'Template',
+            minCpu: template.minCpu || 1,
+            minRam: template.minRam || 512,
+            minStorage: template.minStorage || 10,
+        });
+
+        if (!validation.isValid) {
+            throw new Error(`Invalid default resources: ${validation.errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Keep only template fields
+     * @param {Object} templateData - Input data
+     * @returns {Object} Template fields
+     */
+    static pickFields(templateData) {
+        return TEMPLATE_FIELDS.reduce((data, field) => {
+            if (templateData[field] !== undefined) {
+                data[field] = templateData[field];
+            }
+            return data;
+        }, {});
+    }
+
+    /**
+     * Log template event to audit log
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} templateId - Template ID
+     * @param {Object} metadata - Additional metadata
+     */
+    static async logTemplateEvent(userId, action, templateId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'vm_template',
+                    resourceId: templateId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log template event:', error);
+        }
+    }
+}
+
+module.exports = TemplateService;
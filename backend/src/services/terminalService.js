@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config');
+const JWTUtils = require('../utils/jwt');
+const {
+    AuthenticationError,
+    AuthorizationError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+} = require('../utils/errors');
+const { RBACMiddleware } = require('../middlewares/rbac');
+const AuthService = require('./authService');
+const redisService = require('./redisService');
+const VMService = require('./vmService');
+const NodeService = require('./nodeService');
+
+const TERMINAL_PATH = /^\/api\/v1\/vms\/([^/]+)\/terminal\/?$/;
+const MAX_MESSAGE_SIZE = 64 * 1024; // 64KB
+const MAX_BUFFERED_OUTPUT = 1024 * 1024; // Pause the shell output above 1MB unsent
+const MAX_TERMINAL_SIZE = 1000;
+// A shell can change anything in the VM, like the routes that update it
+const TERMINAL_PERMISSIONS = ['vm:update:own', 'vm:update:all'];
+
+// Active sessions by ID
+const sessions = new Map();
+
+/**
+ * Terminal Service
+ * Interactive TTY sessions in VM containers over WebSocket
+ *
+ * Clients connect to `/api/v1/vms/:id/terminal?token=<access token>&cols=80&rows=24`.
+ * Shell output is sent as binary frames. Clients send JSON text frames:
+ * { type: 'input', data }, { type: 'resize', cols, rows } or { type: 'ping' }.
+ */
+class TerminalService {
+    /**
+     * Handle terminal WebSocket upgrades on the HTTP server
+     * @param {http.Server} server - HTTP server
+     * @returns {WebSocketServer} WebSocket server
+     */
+    static attach(server) {
+        const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+        server.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            const match = url.pathname.match(TERMINAL_PATH);
+
+            if (!match) {
+                socket.destroy();
+                return;
+            }
+
+            try {
+                if (req.headers.origin && req.headers.origin !== config.security.corsOrigin) {
+                    throw new AuthorizationError('Origin not allowed');
+                }
+
+                const { user, vm } = await this.authorize(this.getToken(req, url), match[1]);
+
+                wss.handleUpgrade(req, socket, head, (ws) => {
+                    this.openSession(ws, {
+                        user,
+                        vm,
+                        cols: parseInt(url.searchParams.get('cols'), 10) || 80,
+                        rows: parseInt(url.searchParams.get('rows'), 10) || 24,
+                        ipAddress: req.socket.remoteAddress,
+                    }).catch(error => console.error('Failed to open terminal session:', error));
+                });
+            } catch (error) {
+                const statusCode = error.statusCode || 500;
+                const body = JSON.stringify({
+                    success: false,
+                    error: 'Terminal connection failed',
+                    message: error.statusCode ? error.message : 'Internal server error',
+                });
+
+                socket.write([
+                    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}`,
+                    'Content-Type: application/json',
+                    `Content-Length: ${Buffer.byteLength(body)}`,
+                    'Connection: close',
+                    '',
+                    body,
+                ].join('\r\n'));
+                socket.destroy();
+            }
+        });
+
+        return wss;
+    }
+
+    /**
+     * Get the access token of an upgrade request
+     * Browsers cannot set headers on WebSocket connections, so the token may be passed in the query
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {URL} url - Parsed request URL
+     * @returns {string|null} Access token
+     */
+    static getToken(req, url) {
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            return authHeader.substring(7);
+        }
+
+        return url.searchParams.get('token');
+    }
+
+    /**
+     * Authenticate the user and check the VM can be accessed
+     * Only the VM owner can open a terminal, as with the container exec route
+     * @param {string} token - Access token
+     * @param {string} vmId - VM ID
+     * @returns {Promise<Object>} User and VM
+     */
+    static async authorize(token, vmId) {
+        if (!token) {
+            throw new AuthenticationError('No access token provided');
+        }
+
+        let decoded;
+        try {
+            decoded = await JWTUtils.verifyAccessToken(token);
+        } catch (error) {
+            throw new AuthenticationError(error.message);
+        }
+
+        if (redisService.isReady() && await JWTUtils.isTokenBlacklisted(token, redisService.getClient())) {
+            throw new AuthenticationError('Token has been revoked');
+        }
+
+        const user = await AuthService.getUserById(decoded.userId);
+        if (!user || !user.isActive) {
+            throw new AuthenticationError('User not found or deactivated');
+        }
+
+        if (!TERMINAL_PERMISSIONS.some(permission => RBACMiddleware.roleHasPermission(user.role, permission))) {
+            throw new AuthorizationError(
+                `This action requires one of the following permissions: ${TERMINAL_PERMISSIONS.join(', ')}`,
+            );
+        }
+
+        const vm = await VMService.getVMById(vmId, user.id);
+        if (!vm) {
+            throw new NotFoundError('VM');
+        }
+
+        if (!vm.dockerContainerId) {
+            throw new ConflictError('No container associated with this VM');
+        }
+
+        if (vm.status !== 'RUNNING') {
+            throw new ConflictError('VM must be running to open a terminal');
+        }
+
+        const active = [...sessions.values()].filter(session => session.userId === user.id).length;
+        if (active >= config.terminal.maxSessionsPerUser) {
+            throw new RateLimitError(`Maximum ${config.terminal.maxSessionsPerUser} terminal sessions allowed`);
+        }
+
+        return { user, vm };
+    }
+
+    /**
+     * Start a shell in the VM container and connect it to the WebSocket
+     * @param {WebSocket} socket - Client WebSocket
+     * @param {Object} options - Session options
+     * @param {Object} options.user - Authenticated user
+     * @param {Object} options.vm - VM
+     * @param {number} options.cols - Initial terminal width
+     * @param {number} options.rows - Initial terminal height
+     * @param {string} options.ipAddress - Client address
+     * @returns {Promise<Object|null>} Session, or null if the shell could not be started
+     */
+    static async openSession(socket, options) {
+        const { user, vm, ipAddress } = options;
+
+        let terminal;
+        try {
+            const docker = await NodeService.getDocker(vm);
+            terminal = await docker.openTerminal(vm.dockerContainerId, {
+                cols: this.clampSize(options.cols),
+                rows: this.clampSize(options.rows),
+            });
+        } catch (error) {
+            this.sendControl(socket, { type: 'error', message: error.message });
+            socket.close(1011, 'Failed to open terminal');
+            return null;
+        }
+
+        const startedAt = new Date();
+        const session = {
+            id: crypto.randomUUID(),
+            userId: user.id,
+            vmId: vm.id,
+            vmName: vm.name,
+            socket,
+            exec: terminal.exec,
+            stream: terminal.stream,
+            startedAt,
+            expiresAt: new Date(startedAt.getTime() + config.terminal.maxDuration),
+            bytesIn: 0,
+            bytesOut: 0,
+            alive: true,
+            closed: false,
+        };
+        sessions.set(session.id, session);
+
+        await VMService.logVMEvent(user.id, 'VM_TERMINAL_OPENED', vm.id, {
+            vmName: vm.name,
+            sessionId: session.id,
+            ipAddress,
+        });
+
+        if (socket.readyState !== WebSocket.OPEN) {
+            await this.closeSession(session, 'Client disconnected');
+            return null;
+        }
+
+        session.stream.on('data', chunk => this.sendOutput(session, chunk));
+        session.stream.on('end', () => this.closeSession(session, 'Shell exited'));
+        session.stream.on('error', () => this.closeSession(session, 'Terminal stream error', 1011));
+
+        socket.on('message', (data, isBinary) => this.handleMessage(session, data, isBinary));
+        socket.on('pong', () => {
+            session.alive = true;
+        });
+        socket.on('close', () => this.closeSession(session, 'Client disconnected'));
+        socket.on('error', () => this.closeSession(session, 'Connection error', 1011));
+
+        // Drop connections that stop answering pings
+        session.keepaliveTimer = setInterval(() => {
+            if (!session.alive) {
+                this.closeSession(session, 'Keepalive timeout', 1001);
+                return;
+            }
+            session.alive = false;
+            socket.ping();
+        }, config.terminal.keepaliveInterval);
+
+        session.expiryTimer = setTimeout(
+            () => this.closeSession(session, 'Session time limit reached', 1008),
+            config.terminal.maxDuration
+        );
+        this.resetIdleTimer(session);
+
+        this.sendControl(socket, {
+            type: 'ready',
+            sessionId: session.id,
+            expiresAt: session.expiresAt,
+            idleTimeout: config.terminal.idleTimeout,
+        });
+
+        return session;
+    }
+
+    /**
+     * Handle a client message
+     * @param {Object} session - Terminal session
+     * @param {Buffer} data - Message data
+     * @param {boolean} isBinary - Binary frames are raw input
+     */
+    static handleMessage(session, data, isBinary) {
+        if (session.closed) {
+            return;
+        }
+
+        if (isBinary) {
+            this.writeInput(session, data);
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.sendControl(session.socket, { type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'input':
+                if (typeof message.data === 'string') {
+                    this.writeInput(session, Buffer.from(message.data));
+                }
+                break;
+            case 'resize':
+                session.exec.resize({
+                    w: this.clampSize(message.cols),
+                    h: this.clampSize(message.rows),
+                }).catch(() => {});
+                break;
+            case 'ping':
+                this.sendControl(session.socket, { type: 'pong' });
+                break;
+            default:
+                this.sendControl(session.socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    /**
+     * Write client input to the shell
+     * @param {Object} session - Terminal session
+     * @param {Buffer} data - Input
+     */
+    static writeInput(session, data) {
+        session.bytesIn += data.length;
+        session.stream.write(data);
+        this.resetIdleTimer(session);
+    }
+
+    /**
+     * Send shell output, pausing the shell while the client is slow to read
+     * @param {Object} session - Terminal session
+     * @param {Buffer} chunk - Output
+     */
+    static sendOutput(session, chunk) {
+        const { socket, stream } = session;
+        if (socket.readyState !== WebSocket.OPEN) {
+            return;
+        }
+
+        session.bytesOut += chunk.length;
+        socket.send(chunk, { binary: true }, () => {
+            if (stream.isPaused() && socket.bufferedAmount < MAX_BUFFERED_OUTPUT) {
+                stream.resume();
+            }
+        });
+
+        if (socket.bufferedAmount >= MAX_BUFFERED_OUTPUT) {
+            stream.pause();
+        }
+    }
+
+    /**
+     * Send a JSON control message
+     * @param {WebSocket} socket - Client WebSocket
+     * @param {Object} message - Message
+     */
+    static sendControl(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Restart the idle timeout
+     * @param {Object} session - Terminal session
+     */
+    static resetIdleTimer(session) {
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(
+            () => this.closeSession(session, 'Idle timeout', 1000),
+            config.terminal.idleTimeout
+        );
+    }
+
+    /**
+     * Close a terminal session and log its end
+     * @param {Object} session - Terminal session
+     * @param {string} reason - Close reason
+     * @param {number} code - WebSocket close code
+     * @returns {Promise<void>}
+     */
+    static async closeSession(session, reason, code = 1000) {
+        if (session.closed) {
+            return;
+        }
+        session.closed = true;
+
+        clearInterval(session.keepaliveTimer);
+        clearTimeout(session.expiryTimer);
+        clearTimeout(session.idleTimer);
+        sessions.delete(session.id);
+
+        session.stream.end();
+
+        if (session.socket.readyState === WebSocket.OPEN) {
+            this.sendControl(session.socket, { type: 'closed', reason });
+            session.socket.close(code, reason);
+        }
+
+        await VMService.logVMEvent(session.userId, 'VM_TERMINAL_CLOSED', session.vmId, {
+            vmName: session.vmName,
+            sessionId: session.id,
+            reason,
+            duration: Math.round((Date.now() - session.startedAt.getTime()) / 1000),
+            bytesIn: session.bytesIn,
+            bytesOut: session.bytesOut,
+        });
+    }
+
+    /**
+     * Close all sessions (server shutdown)
+     * @param {string} reason - Close reason
+     * @returns {Promise<void>}
+     */
+    static async closeAll(reason = 'Server shutting down') {
+        await Promise.all([...sessions.values()].map(session => this.closeSession(session, reason, 1001)));
+    }
+
+    /**
+     * Get active sessions
+     * @returns {Object[]} Session summaries
+     */
+    static getSessions() {
+        return [...sessions.values()].map(session => ({
+            id: session.id,
+            userId: session.userId,
+            vmId: session.vmId,
+            startedAt: session.startedAt,
+            expiresAt: session.expiresAt,
+        }));
+    }
+
+    /**
+     * Keep terminal sizes within sane bounds
+     * @param {number} value - Columns or rows
+     * @returns {number} Size
+     */
+    static clampSize(value) {
+        const size = parseInt(value, 10) || 1;
+        return Math.min(Math.max(size, 1), MAX_TERMINAL_SIZE);
+    }
+}
+
+module.exports = TerminalService;
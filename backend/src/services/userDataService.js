@@ -0,0 +1,273 @@
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+
+const SCRIPT_PATH = '/var/lib/sahary/user-data';
+const MAX_SCRIPT_SIZE = 1024 * 1024; // 1MB
+const USER_NAME_PATTERN = /^[a-z_][a-z0-9_-]{0,31}$/;
+
+/**
+ * User Data Service
+ * Runs cloud-init style user-data once, on the first start of a VM.
+ *
+ * User-data is either a script (a string starting with `#!`) or a config object:
+ * { users, files, packages, runcmd }, applied in that order by a generated shell script.
+ */
+class UserDataService {
+    /**
+     * Get the user-data of a VM with its execution status
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID (null for admin access)
+     * @returns {Promise<Object|null>} User-data
+     */
+    static async getUserData(vmId, userId = null) {
+        try {
+            const where = { id: vmId };
+            if (userId) {
+                where.userId = userId;
+            }
+
+            const vm = await prisma.virtualMachine.findFirst({
+                where,
+                select: {
+                    id: true,
+                    userData: true,
+                },
+            });
+
+            if (!vm) {
+                throw new Error('VM not found or access denied');
+            }
+
+            return vm.userData;
+        } catch (error) {
+            throw new Error(`Failed to get user-data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run the pending user-data of a VM
+     * The record is claimed first so concurrent starts run it only once
+     * @param {string} vmId - VM ID
+     * @param {string} containerId - Running container ID
+     * @param {Object} docker - Docker client of the VM node
+     * @returns {Promise<Object|null>} Updated user-data, or null if nothing was pending
+     */
+    static async runPending(vmId, containerId, docker = dockerService) {
+        const claimed = await prisma.userData.updateMany({
+            where: {
+                vmId,
+                status: 'PENDING',
+            },
+            data: {
+                status: 'RUNNING',
+                startedAt: new Date(),
+            },
+        });
+
+        if (claimed.count === 0) {
+            return null;
+        }
+
+        const userData = await prisma.userData.findUnique({ where: { vmId } });
+
+        try {
+            const script = this.renderScript(userData.content);
+
+            // Images may switch to an unprivileged user, user-data runs as root like cloud-init
+            await docker.writeContainerFile(containerId, SCRIPT_PATH, script, 0o700);
+            const result = await docker.execInContainer(containerId, [SCRIPT_PATH], {
+                timeout: config.userData.timeout,
+                user: 'root',
+            });
+
+            return await prisma.userData.update({
+                where: { vmId },
+                data: {
+                    status: result.exitCode === 0 ? 'COMPLETED' : 'FAILED',
+                    exitCode: result.exitCode,
+                    output: this.truncateOutput(result.output),
+                    error: result.exitCode === 0 ? null : `User-data exited with code ${result.exitCode}`,
+                    completedAt: new Date(),
+                },
+            });
+        } catch (error) {
+            return prisma.userData.update({
+                where: { vmId },
+                data: {
+                    status: 'FAILED',
+                    error: error.message,
+                    completedAt: new Date(),
+                },
+            });
+        }
+    }
+
+    /**
+     * Render user-data to the script executed in the container
+     * @param {string|Object} content - Script or config
+     * @returns {string} Script
+     */
+    static renderScript(content) {
+        const script = typeof content === 'string'
+            ? content
+            : this.renderConfig(content);
+
+        if (!script.startsWith('#!')) {
+            throw new Error('User-data scripts must start with a shebang (#!)');
+        }
+
+        if (Buffer.byteLength(script) > MAX_SCRIPT_SIZE) {
+            throw new Error(`User-data must not exceed ${MAX_SCRIPT_SIZE} bytes`);
+        }
+
+        return script;
+    }
+
+    /**
+     * Render a user-data config to a POSIX shell script
+     * @param {Object} userConfig - Config ({ users, files, packages, runcmd })
+     * @returns {string} Script
+     */
+    static renderConfig(userConfig) {
+        const { users = [], files = [], packages = [], runcmd = [] } = userConfig;
+        const q = this.quote;
+
+        const lines = [
+            '#!/bin/sh',
+            '# Generated from the VM user-data',
+            'set -e',
+        ];
+
+        users.forEach((user) => {
+            if (!USER_NAME_PATTERN.test(user.name)) {
+                throw new Error(`Invalid user name: ${user.name}`);
+            }
+
+            const shell = user.shell || '/bin/sh';
+
+            lines.push(
+                '',
+                `echo ${q(`==> Creating user ${user.name}`)}`,
+                `if ! id -u ${q(user.name)} >/dev/null 2>&1; then`,
+                '  if command -v useradd >/dev/null 2>&1; then',
+                `    useradd -m -s ${q(shell)} ${q(user.name)}`,
+                '  else',
+                `    adduser -D -s ${q(shell)} ${q(user.name)}`,
+                '  fi',
+                'fi',
+            );
+
+            (user.groups || []).forEach((group) => {
+                lines.push(
+                    `if command -v usermod >/dev/null 2>&1; then`,
+                    `  getent group ${q(group)} >/dev/null 2>&1 || groupadd ${q(group)}`,
+                    `  usermod -aG ${q(group)} ${q(user.name)}`,
+                    'else',
+                    `  addgroup ${q(group)} 2>/dev/null || true`,
+                    `  addgroup ${q(user.name)} ${q(group)}`,
+                    'fi',
+                );
+            });
+
+            if (user.sudo) {
+                lines.push(
+                    'mkdir -p /etc/sudoers.d',
+                    `echo ${q(`${user.name} ALL=(ALL) NOPASSWD:ALL`)} > ${q(`/etc/sudoers.d/90-${user.name}`)}`,
+                    `chmod 440 ${q(`/etc/sudoers.d/90-${user.name}`)}`,
+                );
+            }
+
+            if (user.sshAuthorizedKeys && user.sshAuthorizedKeys.length > 0) {
+                lines.push(
+                    `home=$(eval echo "~${user.name}")`,
+                    'mkdir -p "$home/.ssh"',
+                    ...user.sshAuthorizedKeys.map(key => `printf '%s\\n' ${q(key)} >> "$home/.ssh/authorized_keys"`),
+                    'chmod 700 "$home/.ssh"',
+                    'chmod 600 "$home/.ssh/authorized_keys"',
+                    `chown -R ${q(user.name)} "$home/.ssh"`,
+                );
+            }
+        });
+
+        files.forEach((file) => {
+            const data = file.encoding === 'base64'
+                ? file.content
+                : Buffer.from(file.content).toString('base64');
+
+            lines.push(
+                '',
+                `echo ${q(`==> Writing ${file.path}`)}`,
+                `mkdir -p "$(dirname ${q(file.path)})"`,
+                `echo ${q(data)} | base64 -d > ${q(file.path)}`,
+            );
+
+            if (file.permissions) {
+                lines.push(`chmod ${q(file.permissions)} ${q(file.path)}`);
+            }
+            if (file.owner) {
+                lines.push(`chown ${q(file.owner)} ${q(file.path)}`);
+            }
+        });
+
+        if (packages.length > 0) {
+            const list = packages.map(q).join(' ');
+
+            lines.push(
+                '',
+                `echo ${q(`==> Installing packages: ${packages.join(' ')}`)}`,
+                'if command -v apt-get >/dev/null 2>&1; then',
+                '  export DEBIAN_FRONTEND=noninteractive',
+                '  apt-get update',
+                `  apt-get install -y ${list}`,
+                'elif command -v apk >/dev/null 2>&1; then',
+                `  apk add --no-cache ${list}`,
+                'elif command -v dnf >/dev/null 2>&1; then',
+                `  dnf install -y ${list}`,
+                'elif command -v yum >/dev/null 2>&1; then',
+                `  yum install -y ${list}`,
+                'else',
+                '  echo "No supported package manager found" >&2',
+                '  exit 1',
+                'fi',
+            );
+        }
+
+        runcmd.forEach((command) => {
+            const line = Array.isArray(command) ? command.map(q).join(' ') : command;
+
+            lines.push(
+                '',
+                `echo ${q(`==> Running: ${Array.isArray(command) ? command.join(' ') : command}`)}`,
+                line,
+            );
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Quote a value for a POSIX shell
+     * @param {string} value - Value
+     * @returns {string} Single-quoted value
+     */
+    static quote(value) {
+        return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+    }
+
+    /**
+     * Keep the end of the output, where failures are reported
+     * @param {string} output - Command output
+     * @returns {string} Output of at most `config.userData.maxOutput` characters
+     */
+    static truncateOutput(output) {
+        const max = config.userData.maxOutput;
+        if (!output || output.length <= max) {
+            return output || '';
+        }
+
+        return `[output truncated]\n${output.slice(output.length - max)}`;
+    }
+}
+
+module.exports = UserDataService;
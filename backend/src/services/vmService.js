@@ -1,7 +1,26 @@
+const config = require('../config');
 const { prisma } = require('../config/database');
 const ValidationHelpers = require('../utils/validation.helpers');
 const { validateVMResources } = require('../validations/vm.validation');
 const dockerService = require('./dockerService');
+const QuotaService = require('./quotaService');
+const IpamService = require('./ipamService');
+const TemplateService = require('./templateService');
+const UserDataService = require('./userDataService');
+const SshKeyService = require('./sshKeyService');
+const SecretService = require('./secretService');
+const BillingService = require('./billingService');
+const SecurityGroupService = require('./securityGroupService');
+const FirewallService = require('./firewallService');
+const NetworkService = require('./networkService');
+const ProjectService = require('./projectService');
+const TagService = require('./tagService');
+const PortService = require('./portService');
+const VolumeService = require('./volumeService');
+const OperationService = require('./operationService');
+const NodeService = require('./nodeService');
+const SchedulerService = require('./schedulerService');
+const VMStateMachine = require('./vmStateMachine');
 
 /**
  * Virtual Machine Service
@@ -15,21 +34,48 @@ class VMService {
      * @returns {Promise<Object>} Created VM
      */
     static async createVM(userId, vmData) {
-        const { name, description, cpu, ram, storage, bandwidth, dockerImage } = vmData;
+        const {
+            name,
+            description,
+            templateId,
+            userData,
+            sshKeyIds = [],
+            securityGroupIds = [],
+            networkIds = [],
+            ports = [],
+            placement = {},
+            projectId,
+            tags = {},
+        } = vmData;
 
         try {
-            // Validate VM resources
+            // Fill defaults from the catalog template
+            const template = templateId ? await TemplateService.getActiveTemplate(templateId) : null;
+            const { cpu, ram, storage, bandwidth, dockerImage } = TemplateService.applyTemplate(vmData, template);
+
+            // Validate VM resources against the template minimum requirements
             const resourceValidation = ValidationHelpers.validateVMResources({
                 cpu,
                 ram,
                 storage,
                 bandwidth: bandwidth || 1000,
-            });
+            }, template);
 
             if (!resourceValidation.isValid) {
                 throw new Error(`Resource validation failed: ${resourceValidation.errors.join(', ')}`);
             }
 
+            // Make sure the first boot user-data can be rendered
+            if (userData) {
+                UserDataService.renderScript(userData);
+            }
+
+            const sshKeys = await SshKeyService.resolveKeys(userId, sshKeyIds);
+            const securityGroups = await SecurityGroupService.resolveGroups(userId, securityGroupIds);
+            const networks = await NetworkService.resolveNetworks(userId, networkIds);
+            const project = projectId ? await ProjectService.resolveProject(userId, projectId) : null;
+            TagService.validateTags(tags);
+
             // Check if VM name is unique for user
             const existingVM = await prisma.virtualMachine.findFirst({
                 where: {
@@ -42,42 +88,40 @@ class VMService {
                 throw new Error('VM with this name already exists');
             }
 
-            // Check user's VM limits (basic implementation)
-            const userVMCount = await prisma.virtualMachine.count({
-                where: { userId, status: { not: 'DELETED' } },
+            // Calculate hourly rate
+            const hourlyRate = ValidationHelpers.calculateVMCost({
+                cpu,
+                ram,
+                storage,
+                bandwidth: bandwidth || 1000,
             });
 
-            const maxVMs = 5; // This should come from user's plan
-            if (userVMCount >= maxVMs) {
-                throw new Error(`Maximum VM limit reached (${maxVMs})`);
-            }
-
-            // Check resource availability (simplified)
-            const totalResourceUsage = await this.getUserResourceUsage(userId);
-            const maxResources = await this.getUserResourceLimits(userId);
-
-            if (totalResourceUsage.cpu + cpu > maxResources.cpu) {
-                throw new Error('Insufficient CPU resources available');
-            }
-
-            if (totalResourceUsage.ram + ram > maxResources.ram) {
-                throw new Error('Insufficient RAM resources available');
+            // The firewall only runs on the local host, VMs with security groups are placed there
+            const localNode = securityGroups.length > 0 ? await NodeService.ensureLocalNode() : null;
+            if (localNode && placement.nodeId && placement.nodeId !== localNode.id) {
+                throw new Error('Security groups can only be attached to VMs on the local compute node');
             }
 
-            if (totalResourceUsage.storage + storage > maxResources.storage) {
-                throw new Error('Insufficient storage resources available');
-            }
-
-            // Calculate hourly rate
-            const hourlyRate = ValidationHelpers.calculateVMCost({
+            // Choose the compute node the VM runs on
+            const node = await SchedulerService.placeVM({
+                ...placement,
+                ...(localNode ? { nodeId: localNode.id } : {}),
                 cpu,
                 ram,
                 storage,
-                bandwidth: bandwidth || 1000,
+                userId,
+                networkIds: networks.map(network => network.id),
             });
 
-            // Create VM
-            const vm = await prisma.virtualMachine.create({
+            // Create VM, within the user's plan quota
+            const quotaRequest = {
+                vms: 1,
+                cpu,
+                ram,
+                storage,
+                bandwidth: bandwidth || 1000,
+            };
+            const createdVM = await QuotaService.reserve(userId, quotaRequest, tx => tx.virtualMachine.create({
                 data: {
                     name,
                     description: description || null,
@@ -86,10 +130,55 @@ class VMService {
                     storage,
                     bandwidth: bandwidth || 1000,
                     dockerImage: dockerImage || 'ubuntu:latest',
+                    templateId: template ? template.id : null,
                     hourlyRate,
                     status: 'STOPPED',
                     userId,
+                    nodeId: node.id,
+                    userData: userData ? { create: { content: userData } } : undefined,
+                    sshKeys: sshKeys.length > 0
+                        ? { connect: sshKeys.map(key => ({ id: key.id })) }
+                        : undefined,
+                    securityGroups: securityGroups.length > 0
+                        ? { connect: securityGroups.map(group => ({ id: group.id })) }
+                        : undefined,
+                    privateNetworks: networks.length > 0
+                        ? { connect: networks.map(network => ({ id: network.id })) }
+                        : undefined,
+                    projectId: project ? project.id : null,
+                    tags: Object.keys(tags).length > 0
+                        ? { create: Object.entries(tags).map(([key, value]) => ({ key, value })) }
+                        : undefined,
                 },
+            }));
+
+            // Lease an address from the VM network pool, and one on each private network
+            let lease;
+            try {
+                lease = await IpamService.allocateAddress(createdVM.id);
+
+                for (const network of networks) {
+                    await NetworkService.connectVM(createdVM, network);
+                }
+
+                // Public ports from the port pool, SSH first when the VM has keys
+                if (sshKeys.length > 0) {
+                    await PortService.ensureSshPort(createdVM.id);
+                }
+                for (const port of ports) {
+                    await PortService.allocatePort(createdVM.id, port);
+                }
+            } catch (error) {
+                await prisma.virtualMachine.delete({ where: { id: createdVM.id } });
+                for (const network of networks) {
+                    await NetworkService.cleanupNetwork(network, createdVM).catch(() => {});
+                }
+                throw error;
+            }
+
+            const vm = await prisma.virtualMachine.update({
+                where: { id: createdVM.id },
+                data: { ipAddress: lease.address },
                 include: {
                     user: {
                         select: {
@@ -107,6 +196,9 @@ class VMService {
                 vmName: vm.name,
                 resources: { cpu, ram, storage, bandwidth },
                 hourlyRate,
+                ipAddress: lease.address,
+                nodeId: node.id,
+                nodeName: node.name,
             });
 
             return vm;
@@ -139,6 +231,24 @@ class VMService {
                             lastName: true,
                         },
                     },
+                    node: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
+                    },
+                    project: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
+                    },
+                    tags: {
+                        select: {
+                            key: true,
+                            value: true,
+                        },
+                    },
                     usageRecords: {
                         take: 10,
                         orderBy: { timestamp: 'desc' },
@@ -153,6 +263,56 @@ class VMService {
                             timestamp: true,
                         },
                     },
+                    sshKeys: {
+                        select: {
+                            id: true,
+                            name: true,
+                            keyType: true,
+                            fingerprint: true,
+                            publicKey: true,
+                        },
+                    },
+                    securityGroups: {
+                        select: {
+                            id: true,
+                            name: true,
+                        },
+                    },
+                    privateNetworks: {
+                        select: {
+                            id: true,
+                            name: true,
+                            cidr: true,
+                            dockerNetwork: true,
+                        },
+                    },
+                    ipLeases: {
+                        where: { type: 'ALLOCATED' },
+                        select: {
+                            address: true,
+                            pool: { select: { network: true } },
+                        },
+                    },
+                    volumes: {
+                        orderBy: { attachedAt: 'asc' },
+                        select: {
+                            id: true,
+                            name: true,
+                            size: true,
+                            dockerVolume: true,
+                            mountPath: true,
+                        },
+                    },
+                    portLeases: {
+                        orderBy: { createdAt: 'asc' },
+                        select: {
+                            id: true,
+                            hostPort: true,
+                            containerPort: true,
+                            protocol: true,
+                            description: true,
+                        },
+                    },
                     backups: {
                         take: 5,
                         orderBy: { createdAt: 'desc' },
@@ -169,7 +329,16 @@ class VMService {
                 },
             });
 
-            return vm;
+            if (!vm) {
+                return null;
+            }
+
+            return {
+                ...vm,
+                tags: TagService.toObject(vm.tags),
+                portLeases: PortService.withEndpoints(vm.portLeases),
+                availableActions: VMStateMachine.getAvailableActions(vm.status),
+            };
         } catch (error) {
             throw new Error(`Failed to get VM: ${error.message}`);
         }
@@ -177,6 +346,7 @@ class VMService {
 
     /**
      * Get user's VMs with pagination and filtering
+     * Sorting by a tag ("tag:<key>") happens in memory, VMs without the tag come last
      * @param {string} userId - User ID
      * @param {Object} options - Query options
      * @returns {Promise<Object>} Paginated VMs
@@ -186,24 +356,45 @@ class VMService {
             const {
                 page = 1,
                 limit = 10,
-                status,
-                search,
                 sortBy = 'createdAt',
                 sortOrder = 'desc',
             } = options;
 
-            // Build where clause
-            const where = { userId };
+            const where = this.buildVMFilter(userId, options);
+            const include = {
+                project: { select: { id: true, name: true } },
+                tags: { select: { key: true, value: true } },
+                usageRecords: {
+                    take: 1,
+                    orderBy: { timestamp: 'desc' },
+                    select: {
+                        cpuUsage: true,
+                        ramUsage: true,
+                        storageUsage: true,
+                        timestamp: true,
+                    },
+                },
+            };
+            const withTags = vm => ({ ...vm, tags: TagService.toObject(vm.tags) });
 
-            if (status) {
-                where.status = status;
-            }
+            if (sortBy.startsWith('tag:')) {
+                const vms = await prisma.virtualMachine.findMany({ where, include, orderBy: { name: 'asc' } });
+                const sorted = vms.map(withTags).sort(TagService.compareByTag(sortBy.slice(4), sortOrder));
+                const pageNumber = parseInt(page);
+                const pageSize = parseInt(limit);
+                const totalPages = Math.ceil(sorted.length / pageSize);
 
-            if (search) {
-                where.OR = [
-                    { name: { contains: search, mode: 'insensitive' } },
-                    { description: { contains: search, mode: 'insensitive' } },
-                ];
+                return {
+                    data: sorted.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+                    pagination: {
+                        page: pageNumber,
+                        limit: pageSize,
+                        total: sorted.length,
+                        totalPages,
+                        hasNextPage: pageNumber < totalPages,
+                        hasPrevPage: pageNumber > 1,
+                    },
+                };
             }
 
             // Get paginated results
@@ -212,27 +403,51 @@ class VMService {
                 page: parseInt(page),
                 limit: parseInt(limit),
                 where,
-                orderBy: { [sortBy]: sortOrder },
-                include: {
-                    usageRecords: {
-                        take: 1,
-                        orderBy: { timestamp: 'desc' },
-                        select: {
-                            cpuUsage: true,
-                            ramUsage: true,
-                            storageUsage: true,
-                            timestamp: true,
-                        },
-                    },
-                },
+                orderBy: sortBy === 'project' ? { project: { name: sortOrder } } : { [sortBy]: sortOrder },
+                include,
             });
 
-            return result;
+            return { ...result, data: result.data.map(withTags) };
         } catch (error) {
             throw new Error(`Failed to get user VMs: ${error.message}`);
         }
     }
 
+    /**
+     * Build the where clause selecting a user's VMs
+     * @param {string} userId - User ID
+     * @param {Object} filters - Filters ({ status, search, projectId, tags })
+     * @param {string} filters.projectId - Project ID, "none" for VMs without a project
+     * @param {Object} filters.tags - Tags to match ({ key: value or null for any value })
+     * @returns {Object} Prisma where clause
+     */
+    static buildVMFilter(userId, filters = {}) {
+        const { status, search, projectId, tags = {} } = filters;
+        const where = { userId };
+
+        if (status) {
+            where.status = status;
+        }
+
+        if (search) {
+            where.OR = [
+                { name: { contains: search, mode: 'insensitive' } },
+                { description: { contains: search, mode: 'insensitive' } },
+            ];
+        }
+
+        if (projectId) {
+            where.projectId = projectId === 'none' ? null : projectId;
+        }
+
+        const tagConditions = TagService.buildWhere(tags);
+        if (tagConditions.length > 0) {
+            where.AND = tagConditions;
+        }
+
+        return where;
+    }
+
     /**
      * Update VM configuration
      * @param {string} vmId - VM ID
@@ -248,12 +463,15 @@ class VMService {
                 throw new Error('VM not found or access denied');
             }
 
-            // Check if VM can be updated (not in transitional state)
-            if (['STARTING', 'STOPPING', 'RESTARTING'].includes(existingVM.status)) {
-                throw new Error('Cannot update VM while it is in transitional state');
-            }
+            // Check if VM can be updated in its status
+            VMStateMachine.assertAction(existingVM, 'UPDATE');
+
+            const { name, description, cpu, ram, storage, bandwidth, projectId } = updateData;
 
-            const { name, description, cpu, ram, storage, bandwidth } = updateData;
+            // The project has to belong to the VM owner, null takes the VM out of its project
+            if (projectId) {
+                await ProjectService.resolveProject(existingVM.userId, projectId);
+            }
 
             // Validate new resources if provided
             if (cpu || ram || storage || bandwidth) {
@@ -269,27 +487,13 @@ class VMService {
                     throw new Error(`Resource validation failed: ${resourceValidation.errors.join(', ')}`);
                 }
 
-                // Check resource availability for increases
-                if (cpu > existingVM.cpu || ram > existingVM.ram || storage > existingVM.storage) {
-                    const totalResourceUsage = await this.getUserResourceUsage(userId);
-                    const maxResources = await this.getUserResourceLimits(userId);
-
-                    const cpuIncrease = Math.max(0, (cpu || existingVM.cpu) - existingVM.cpu);
-                    const ramIncrease = Math.max(0, (ram || existingVM.ram) - existingVM.ram);
-                    const storageIncrease = Math.max(0, (storage || existingVM.storage) - existingVM.storage);
-
-                    if (totalResourceUsage.cpu + cpuIncrease > maxResources.cpu) {
-                        throw new Error('Insufficient CPU resources for upgrade');
-                    }
-
-                    if (totalResourceUsage.ram + ramIncrease > maxResources.ram) {
-                        throw new Error('Insufficient RAM resources for upgrade');
-                    }
-
-                    if (totalResourceUsage.storage + storageIncrease > maxResources.storage) {
-                        throw new Error('Insufficient storage resources for upgrade');
-                    }
-                }
+                // Check owner's plan quota for increases
+                await QuotaService.assertWithinQuota(existingVM.userId, {
+                    cpu: newResources.cpu - existingVM.cpu,
+                    ram: newResources.ram - existingVM.ram,
+                    storage: newResources.storage - existingVM.storage,
+                    bandwidth: newResources.bandwidth - (existingVM.bandwidth || 0),
+                });
             }
 
             // Check name uniqueness if changed
@@ -307,6 +511,13 @@ class VMService {
                 }
             }
 
+            // Apply CPU, RAM and storage changes to the container (prorates billing)
+            if ((cpu && cpu !== existingVM.cpu)
+                || (ram && ram !== existingVM.ram)
+                || (storage && storage !== existingVM.storage)) {
+                await this.resizeVM(vmId, userId, { cpu, ram, storage });
+            }
+
             // Calculate new hourly rate if resources changed
             let newHourlyRate = existingVM.hourlyRate;
             if (cpu || ram || storage || bandwidth) {
@@ -318,8 +529,12 @@ class VMService {
                 });
             }
 
-            // Update VM
-            const updatedVM = await prisma.virtualMachine.update({
+            // Update VM, holding a bandwidth increase within the owner's quota
+            // (CPU, RAM and storage increases were held by the resize)
+            const bandwidthIncrease = bandwidth ? bandwidth - (existingVM.bandwidth || 0) : 0;
+            const updatedVM = await QuotaService.reserve(existingVM.userId, {
+                bandwidth: bandwidthIncrease,
+            }, tx => tx.virtualMachine.update({
                 where: { id: vmId },
                 data: {
                     ...(name && { name }),
@@ -328,6 +543,7 @@ class VMService {
                     ...(ram && { ram }),
                     ...(storage && { storage }),
                     ...(bandwidth && { bandwidth }),
+                    ...(projectId !== undefined && { projectId }),
                     hourlyRate: newHourlyRate,
                 },
                 include: {
@@ -340,22 +556,760 @@ class VMService {
                         },
                     },
                 },
+            }));
+
+            // Docker sets the DNS names of a VM when it joins a network
+            if (name && name !== existingVM.name && existingVM.privateNetworks.length > 0) {
+                await NetworkService.refreshDnsNames({ ...existingVM, name })
+                    .catch(error => console.error(`Failed to update DNS names of VM ${vmId}:`, error));
+            }
+
+            // Log VM update
+            await this.logVMEvent(userId, 'VM_UPDATED', vmId, {
+                vmName: updatedVM.name,
+                changes: updateData,
+                oldHourlyRate: existingVM.hourlyRate,
+                newHourlyRate,
+            });
+
+            return updatedVM;
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM update failed');
+        }
+    }
+
+    /**
+     * Resize VM resources
+     * CPU and RAM limits are applied to the live container, a storage change recreates it
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {Object} resources - New resources ({ cpu, ram, storage }), missing ones are kept
+     * @returns {Promise<Object>} Resized VM
+     */
+    static async resizeVM(vmId, userId, resources) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'RESIZE');
+
+            const oldResources = {
+                cpu: existingVM.cpu,
+                ram: existingVM.ram,
+                storage: existingVM.storage,
+            };
+            const newResources = {
+                cpu: resources.cpu || existingVM.cpu,
+                ram: resources.ram || existingVM.ram,
+                storage: resources.storage || existingVM.storage,
+            };
+
+            if (Object.keys(newResources).every(key => newResources[key] === oldResources[key])) {
+                throw new Error('No resource changes requested');
+            }
+
+            // Filesystems cannot be shrunk safely
+            if (newResources.storage < oldResources.storage) {
+                throw new Error('Storage cannot be decreased');
+            }
+
+            const template = existingVM.templateId
+                ? await TemplateService.getTemplateById(existingVM.templateId)
+                : null;
+
+            const resourceValidation = ValidationHelpers.validateVMResources({
+                ...newResources,
+                bandwidth: existingVM.bandwidth || 1000,
+            }, template);
+
+            if (!resourceValidation.isValid) {
+                throw new Error(`Resource validation failed: ${resourceValidation.errors.join(', ')}`);
+            }
+
+            const increases = {
+                cpu: newResources.cpu - oldResources.cpu,
+                ram: newResources.ram - oldResources.ram,
+                storage: newResources.storage - oldResources.storage,
+            };
+
+            // The node must have room for the increases too
+            await SchedulerService.assertNodeCapacity(existingVM.nodeId, increases);
+
+            // Bill the time up to now at the old size and rate
+            if (existingVM.status === 'RUNNING') {
+                await BillingService.prorateUsage(vmId);
+            }
+
+            // Hold the new resources within the owner's plan quota, given back if the container change fails
+            await QuotaService.reserve(existingVM.userId, increases, tx => tx.virtualMachine.update({
+                where: { id: vmId },
+                data: newResources,
+            }));
+
+            const recreated = Boolean(existingVM.dockerContainerId)
+                && newResources.storage !== oldResources.storage;
+            const containerData = {};
+
+            try {
+                if (recreated) {
+                    Object.assign(containerData, await this.recreateVMContainer({ ...existingVM, ...newResources }));
+                } else if (existingVM.dockerContainerId) {
+                    const docker = await NodeService.getDocker(existingVM);
+                    await docker.updateContainerResources(existingVM.dockerContainerId, newResources);
+                }
+            } catch (error) {
+                await prisma.virtualMachine.update({ where: { id: vmId }, data: oldResources })
+                    .catch(restoreError => console.error(`Failed to restore resources of VM ${vmId}:`, restoreError));
+                throw error;
+            }
+
+            const newHourlyRate = ValidationHelpers.calculateVMCost({
+                ...newResources,
+                bandwidth: existingVM.bandwidth,
+            });
+
+            await prisma.virtualMachine.update({
+                where: { id: vmId },
+                data: {
+                    ...newResources,
+                    ...containerData,
+                    hourlyRate: newHourlyRate,
+                },
+            });
+
+            await this.logVMEvent(userId, 'VM_RESIZED', vmId, {
+                vmName: existingVM.name,
+                oldResources,
+                newResources,
+                oldHourlyRate: existingVM.hourlyRate,
+                newHourlyRate,
+                containerRecreated: recreated,
+            });
+
+            return await this.getVMById(vmId, userId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM resize failed');
+        }
+    }
+
+    /**
+     * Clone a VM into a new VM
+     * The clone gets a snapshot of the source root filesystem, a copy of its /data volume and of its
+     * environment, project and tags, with its own name and IP address. First boot user-data is not run again.
+     * @param {string} vmId - Source VM ID
+     * @param {string} userId - User ID
+     * @param {Object} cloneData - Clone settings, missing ones are taken from the source
+     * @returns {Promise<Object>} Cloned VM
+     */
+    static async cloneVM(vmId, userId, cloneData = {}) {
+        let docker = dockerService;
+        let snapshot = null;
+        let clone = null;
+
+        try {
+            const source = await this.getVMById(vmId, userId);
+            if (!source) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(source, 'CLONE');
+
+            const resources = {
+                cpu: cloneData.cpu || source.cpu,
+                ram: cloneData.ram || source.ram,
+                storage: cloneData.storage || source.storage,
+                bandwidth: cloneData.bandwidth || source.bandwidth || 1000,
+            };
+
+            // The clone runs the source image, so it keeps its minimum requirements
+            if (source.templateId) {
+                const template = await TemplateService.getTemplateById(source.templateId);
+                const resourceValidation = ValidationHelpers.validateVMResources(resources, template);
+
+                if (!resourceValidation.isValid) {
+                    throw new Error(`Resource validation failed: ${resourceValidation.errors.join(', ')}`);
+                }
+            }
+
+            // The snapshot only exists on the source node, the clone is placed there
+            docker = await NodeService.getDocker(source);
+            const nodeId = source.nodeId || (await NodeService.ensureLocalNode()).id;
+
+            if (source.dockerContainerId) {
+                snapshot = await docker.snapshotContainer(
+                    source.dockerContainerId,
+                    `sahary-clone/${source.id}`,
+                    'Clone',
+                );
+            }
+
+            // Checks name uniqueness and the owner's quota
+            clone = await this.createVM(source.userId, {
+                name: cloneData.name || `${source.name}-clone`,
+                description: cloneData.description !== undefined
+                    ? cloneData.description
+                    : source.description,
+                ...resources,
+                dockerImage: snapshot ? snapshot.image : source.dockerImage,
+                sshKeyIds: source.sshKeys.map(key => key.id),
+                securityGroupIds: source.securityGroups.map(group => group.id),
+                networkIds: source.privateNetworks.map(network => network.id),
+                ports: source.portLeases.map(({ containerPort, protocol, description }) => ({
+                    containerPort,
+                    protocol,
+                    description,
+                })),
+                placement: { nodeId },
+                projectId: source.projectId,
+                tags: source.tags,
+            });
+
+            await prisma.virtualMachine.update({
+                where: { id: clone.id },
+                data: { templateId: source.templateId },
+            });
+
+            await SecretService.copySecrets(source, clone.id, userId);
+
+            if (snapshot) {
+                const lease = await IpamService.allocateAddress(clone.id);
+                const { containerConfig, secretsRevision } = await this.prepareContainerConfig(
+                    await this.getVMById(clone.id),
+                    lease,
+                );
+                const containerInfo = await docker.createContainer(containerConfig);
+
+                // The snapshot only seeds the container, like the source the clone is recreated from its image
+                await prisma.virtualMachine.update({
+                    where: { id: clone.id },
+                    data: {
+                        dockerContainerId: containerInfo.containerId,
+                        appliedSecretsRevision: secretsRevision,
+                        dockerImage: source.dockerImage,
+                    },
+                });
+
+                await docker.copyContainerPath(source.dockerContainerId, containerInfo.containerId, '/data');
+                await docker.removeImage(snapshot.image)
+                    .catch(error => console.warn(`Failed to remove clone snapshot ${snapshot.image}:`, error.message));
+            }
+
+            await this.logVMEvent(userId, 'VM_CLONED', clone.id, {
+                vmName: clone.name,
+                sourceVmId: source.id,
+                sourceVmName: source.name,
+                snapshotImage: snapshot ? snapshot.image : null,
+                resources,
+            });
+
+            return await this.getVMById(clone.id, userId);
+        } catch (error) {
+            // Remove what was created so far
+            if (clone) {
+                await this.deleteVM(clone.id, null)
+                    .catch(cleanupError => console.error(`Failed to remove clone ${clone.id}:`, cleanupError));
+            }
+            if (snapshot) {
+                await docker.removeImage(snapshot.image).catch(() => {});
+            }
+
+            throw VMStateMachine.wrapError(error, 'VM clone failed');
+        }
+    }
+
+    /**
+     * Set the security groups of a VM
+     * The host firewall is updated right away, the VM keeps running
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string[]} securityGroupIds - Security group IDs (empty to remove all)
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async setSecurityGroups(vmId, userId, securityGroupIds) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_SECURITY_GROUPS');
+
+            // Groups of the VM owner only
+            const groups = await SecurityGroupService.resolveGroups(existingVM.userId, securityGroupIds);
+
+            // The firewall only runs on the local host
+            if (groups.length > 0 && !(await NodeService.isLocal(existingVM))) {
+                throw new Error('Security groups can only be attached to VMs on the local compute node');
+            }
+
+            await prisma.virtualMachine.update({
+                where: { id: vmId },
+                data: {
+                    securityGroups: { set: groups.map(group => ({ id: group.id })) },
+                },
+            });
+
+            await FirewallService.sync();
+
+            await this.logVMEvent(userId, 'VM_SECURITY_GROUPS_UPDATED', vmId, {
+                vmName: existingVM.name,
+                oldSecurityGroups: existingVM.securityGroups.map(group => group.name),
+                newSecurityGroups: groups.map(group => group.name),
+            });
+
+            return await this.getVMById(vmId, userId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to update VM security groups');
+        }
+    }
+
+    /**
+     * Set the tags of a VM
+     * Tags are metadata only, they can change in any VM status
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {Object} tags - Tags ({ key: value })
+     * @param {Object} options - { merge } to keep other tags, null values then remove a tag
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async setTags(vmId, userId, tags, options = {}) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            const { added, changed, removed } = await TagService.setTags(vmId, tags, options);
+
+            await this.logVMEvent(userId, 'VM_TAGS_UPDATED', vmId, {
+                vmName: existingVM.name,
+                added,
+                changed,
+                removed,
+            });
+
+            return await this.getVMById(vmId, userId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to update VM tags');
+        }
+    }
+
+    /**
+     * Attach a VM to a private network
+     * A running VM gets the new interface right away
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} networkId - Network ID
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async attachNetwork(vmId, userId, networkId) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_NETWORKS');
+
+            if (existingVM.privateNetworks.some(network => network.id === networkId)) {
+                throw new Error('VM is already attached to this network');
+            }
+
+            if (existingVM.privateNetworks.length >= config.privateNetwork.maxPerVM) {
+                throw new Error(`Maximum ${config.privateNetwork.maxPerVM} private networks per VM`);
+            }
+
+            // Networks of the VM owner only
+            const [network] = await NetworkService.resolveNetworks(existingVM.userId, [networkId]);
+
+            const lease = await NetworkService.connectVM(existingVM, network);
+
+            await prisma.virtualMachine.update({
+                where: { id: vmId },
+                data: {
+                    privateNetworks: { connect: { id: networkId } },
+                },
+            });
+
+            // Filter the new address like the others of the VM
+            if (existingVM.securityGroups.length > 0) {
+                await FirewallService.sync();
+            }
+
+            await this.logVMEvent(userId, 'VM_NETWORK_ATTACHED', vmId, {
+                vmName: existingVM.name,
+                networkId,
+                networkName: network.name,
+                ipAddress: lease.address,
+            });
+
+            return await this.getVMById(vmId, userId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to attach network');
+        }
+    }
+
+    /**
+     * Detach a VM from a private network
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} networkId - Network ID
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async detachNetwork(vmId, userId, networkId) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_NETWORKS');
+
+            const network = existingVM.privateNetworks.find(item => item.id === networkId);
+            if (!network) {
+                throw new Error('VM is not attached to this network');
+            }
+
+            await NetworkService.disconnectVM(existingVM, network);
+
+            await prisma.virtualMachine.update({
+                where: { id: vmId },
+                data: {
+                    privateNetworks: { disconnect: { id: networkId } },
+                },
+            });
+
+            await NetworkService.cleanupNetwork(network, existingVM)
+                .catch(error => console.error(`Failed to clean up network ${networkId}:`, error));
+
+            // Drop the firewall rules of the released address
+            if (existingVM.securityGroups.length > 0) {
+                await FirewallService.sync()
+                    .catch(error => console.error(`Failed to remove firewall rules of VM ${vmId}:`, error));
+            }
+
+            await this.logVMEvent(userId, 'VM_NETWORK_DETACHED', vmId, {
+                vmName: existingVM.name,
+                networkId,
+                networkName: network.name,
+            });
+
+            return await this.getVMById(vmId, userId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to detach network');
+        }
+    }
+
+    /**
+     * Forward a public port to a VM
+     * Docker cannot change the ports of a container, so an existing container is recreated
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {Object} portData - Port data ({ containerPort, protocol, description })
+     * @returns {Promise<Object>} Port lease with its public endpoint
+     */
+    static async openPort(vmId, userId, portData) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_PORTS');
+
+            const protocol = portData.protocol || 'TCP';
+            if (existingVM.portLeases.some(lease => lease.containerPort === portData.containerPort
+                && lease.protocol === protocol)) {
+                throw new Error(`Port ${portData.containerPort}/${protocol.toLowerCase()} is already forwarded`);
+            }
+
+            const lease = await PortService.allocatePort(vmId, { ...portData, protocol });
+
+            if (existingVM.dockerContainerId) {
+                try {
+                    const containerData = await this.recreateVMContainer({
+                        ...existingVM,
+                        portLeases: [...existingVM.portLeases, lease],
+                    });
+
+                    await prisma.virtualMachine.update({
+                        where: { id: vmId },
+                        data: containerData,
+                    });
+                } catch (error) {
+                    await PortService.releasePort(vmId, lease.id);
+                    throw error;
+                }
+            }
+
+            await this.logVMEvent(userId, 'VM_PORT_OPENED', vmId, {
+                vmName: existingVM.name,
+                containerPort: lease.containerPort,
+                hostPort: lease.hostPort,
+                protocol: lease.protocol,
             });
 
-            // Log VM update
-            await this.logVMEvent(userId, 'VM_UPDATED', vmId, {
-                vmName: updatedVM.name,
-                changes: updateData,
-                oldHourlyRate: existingVM.hourlyRate,
-                newHourlyRate,
+            return PortService.withEndpoints([lease])[0];
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to open port');
+        }
+    }
+
+    /**
+     * Stop forwarding a public port to a VM and return it to the pool
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} portId - Port lease ID
+     * @returns {Promise<void>}
+     */
+    static async closePort(vmId, userId, portId) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_PORTS');
+
+            const lease = existingVM.portLeases.find(item => item.id === portId);
+            if (!lease) {
+                throw new Error('Port not found');
+            }
+
+            if (lease.containerPort === config.ssh.containerPort && lease.protocol === 'TCP'
+                && existingVM.sshKeys.length > 0) {
+                throw new Error('The SSH port is required while the VM has SSH keys');
+            }
+
+            // Release the port only once the container no longer uses it
+            if (existingVM.dockerContainerId) {
+                const containerData = await this.recreateVMContainer({
+                    ...existingVM,
+                    portLeases: existingVM.portLeases.filter(item => item.id !== portId),
+                });
+
+                await prisma.virtualMachine.update({
+                    where: { id: vmId },
+                    data: containerData,
+                });
+            }
+
+            await PortService.releasePort(vmId, portId);
+
+            await this.logVMEvent(userId, 'VM_PORT_CLOSED', vmId, {
+                vmName: existingVM.name,
+                containerPort: lease.containerPort,
+                hostPort: lease.hostPort,
+                protocol: lease.protocol,
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to close port');
+        }
+    }
+
+    /**
+     * Attach a volume to a VM at a mount path
+     * Docker cannot add mounts to a container, so an existing container is recreated
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {Object} attachData - Attachment data ({ volumeId, mountPath })
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async attachVolume(vmId, userId, attachData) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_VOLUMES');
+
+            // Volumes of the VM owner only
+            const volume = await VolumeService.resolveAttachment(existingVM, attachData.volumeId, attachData.mountPath);
+
+            // Claim the volume first so it cannot be attached twice
+            const claimed = await prisma.volume.updateMany({
+                where: { id: volume.id, vmId: null },
+                data: { vmId, mountPath: volume.mountPath, attachedAt: new Date() },
+            });
+            if (claimed.count === 0) {
+                throw new Error('Volume is already attached to a VM');
+            }
+
+            if (existingVM.dockerContainerId) {
+                try {
+                    const containerData = await this.recreateVMContainer({
+                        ...existingVM,
+                        volumes: [...existingVM.volumes, volume],
+                    });
+
+                    await prisma.virtualMachine.update({
+                        where: { id: vmId },
+                        data: containerData,
+                    });
+                } catch (error) {
+                    await VolumeService.releaseVolume(volume.id);
+                    throw error;
+                }
+            }
+
+            await this.logVMEvent(userId, 'VM_VOLUME_ATTACHED', vmId, {
+                vmName: existingVM.name,
+                volumeId: volume.id,
+                volumeName: volume.name,
+                mountPath: volume.mountPath,
+            });
+
+            return await this.getVMById(vmId, userId);
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'Failed to attach volume');
+        }
+    }
+
+    /**
+     * Detach a volume from a VM, its data stays on the volume
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {string} volumeId - Volume ID
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async detachVolume(vmId, userId, volumeId) {
+        try {
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            VMStateMachine.assertAction(existingVM, 'CHANGE_VOLUMES');
+
+            const volume = existingVM.volumes.find(item => item.id === volumeId);
+            if (!volume) {
+                throw new Error('Volume is not attached to this VM');
+            }
+
+            // Release the volume only once the container no longer mounts it
+            if (existingVM.dockerContainerId) {
+                const containerData = await this.recreateVMContainer({
+                    ...existingVM,
+                    volumes: existingVM.volumes.filter(item => item.id !== volumeId),
+                });
+
+                await prisma.virtualMachine.update({
+                    where: { id: vmId },
+                    data: containerData,
+                });
+            }
+
+            await VolumeService.releaseVolume(volumeId);
+
+            await this.logVMEvent(userId, 'VM_VOLUME_DETACHED', vmId, {
+                vmName: existingVM.name,
+                volumeId,
+                volumeName: volume.name,
+                mountPath: volume.mountPath,
             });
 
-            return updatedVM;
+            return await this.getVMById(vmId, userId);
         } catch (error) {
-            throw new Error(`VM update failed: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'Failed to detach volume');
         }
     }
 
+    /**
+     * Recreate the container of a VM with its current configuration
+     * The container filesystem is kept, a running VM is started again
+     * @param {Object} vm - VM with its SSH keys, private networks, IP and port leases
+     * @returns {Promise<Object>} Container data to store ({ dockerContainerId, sshPort, appliedSecretsRevision })
+     */
+    static async recreateVMContainer(vm) {
+        const lease = await IpamService.allocateAddress(vm.id);
+        const docker = await NodeService.getDocker(vm);
+        const { containerConfig, secretsRevision } = await this.prepareContainerConfig(vm, lease);
+        const containerInfo = await docker.recreateContainer(vm.dockerContainerId, containerConfig);
+
+        if (vm.status === 'RUNNING' && vm.sshKeys.length > 0) {
+            try {
+                await SshKeyService.injectKeys(containerInfo.containerId, vm.sshKeys, docker);
+            } catch (error) {
+                console.error(`Failed to inject SSH keys into VM ${vm.id}:`, error);
+            }
+        }
+
+        return {
+            dockerContainerId: containerInfo.containerId,
+            sshPort: this.getSshHostPort(containerInfo),
+            appliedSecretsRevision: secretsRevision,
+        };
+    }
+
+    /**
+     * Build the container configuration of a VM with its decrypted environment
+     * @param {Object} vm - VM with its SSH keys, private networks, volumes, IP and port leases
+     * @param {Object} lease - IP lease with its pool
+     * @returns {Promise<Object>} Configuration and the secrets revision it holds ({ containerConfig, secretsRevision })
+     */
+    static async prepareContainerConfig(vm, lease) {
+        const environment = await SecretService.getEnvironment(vm);
+
+        return {
+            containerConfig: this.buildContainerConfig({ ...vm, environment: environment.variables }, lease),
+            secretsRevision: environment.revision,
+        };
+    }
+
+    /**
+     * Whether the container of a VM was created before its last environment change
+     * @param {Object} vm - VM
+     * @returns {boolean} The container has to be recreated to get the environment
+     */
+    static hasStaleEnvironment(vm) {
+        return Boolean(vm.dockerContainerId) && (vm.secretsRevision || 0) !== (vm.appliedSecretsRevision || 0);
+    }
+
+    /**
+     * Build the Docker container configuration of a VM
+     * @param {Object} vm - VM with its SSH keys, private networks, volumes, IP and port leases, and its decrypted
+     * environment (["NAME=value"]) if any
+     * @param {Object} lease - IP lease with its pool
+     * @returns {Object} Container configuration
+     */
+    static buildContainerConfig(vm, lease) {
+        return {
+            vmId: vm.id,
+            name: vm.name,
+            image: vm.dockerImage || 'ubuntu:latest',
+            cpu: vm.cpu,
+            ram: vm.ram,
+            storage: vm.storage,
+            // Host ports leased from the port pool
+            ports: PortService.getPortBindings(vm.portLeases),
+            environment: [
+                `VM_ID=${vm.id}`,
+                `VM_NAME=${vm.name}`,
+                `USER_ID=${vm.userId}`,
+                ...(vm.environment || []),
+            ],
+            volumes: [`sahary-vm-${vm.id}-data:/data`, ...VolumeService.getContainerBinds(vm)],
+            network: lease.pool.network,
+            ipAddress: lease.address,
+            networks: NetworkService.getContainerEndpoints(vm),
+        };
+    }
+
+    /**
+     * Get the host port Docker mapped to the SSH port of a container
+     * @param {Object} containerInfo - Container info with port mappings
+     * @returns {number|null} Host port
+     */
+    static getSshHostPort(containerInfo) {
+        const sshMapping = (containerInfo.ports || [])
+            .find(port => port.containerPort === config.ssh.containerPort && port.protocol === 'tcp');
+
+        return sshMapping ? sshMapping.hostPort : null;
+    }
+
     /**
      * Delete VM
      * @param {string} vmId - VM ID
@@ -370,19 +1324,14 @@ class VMService {
                 throw new Error('VM not found or access denied');
             }
 
-            // Check if VM can be deleted (must be stopped)
-            if (existingVM.status === 'RUNNING') {
-                throw new Error('Cannot delete running VM. Please stop it first.');
-            }
-
-            if (['STARTING', 'STOPPING', 'RESTARTING'].includes(existingVM.status)) {
-                throw new Error('Cannot delete VM while it is in transitional state');
-            }
+            // Running VMs must be stopped first
+            VMStateMachine.assertAction(existingVM, 'DELETE');
 
             // Remove Docker container if exists
             if (existingVM.dockerContainerId) {
                 try {
-                    await dockerService.removeContainer(existingVM.dockerContainerId, true);
+                    const docker = await NodeService.getDocker(existingVM);
+                    await docker.removeContainer(existingVM.dockerContainerId, true);
                 } catch (error) {
                     console.warn(`Failed to remove container ${existingVM.dockerContainerId}:`, error.message);
                     // Continue with VM deletion even if container removal fails
@@ -394,18 +1343,55 @@ class VMService {
                 where: { vmId },
             });
 
+            // Backup images and archives go with their records. Required here, the backup
+            // services depend on this one
+            const BackupArchiveService = require('./backupArchiveService');
+            const backups = await prisma.backup.findMany({
+                where: { vmId },
+                select: {
+                    id: true,
+                    dockerImageId: true,
+                    backupPath: true,
+                    deltaPath: true,
+                },
+            });
+            for (const backup of backups) {
+                await BackupArchiveService.removeBackupFiles({ ...backup, vm: existingVM })
+                    .catch(error => console.warn(`Failed to remove files of backup ${backup.id}:`, error.message));
+            }
+
             await prisma.backup.deleteMany({
                 where: { vmId },
             });
 
+            // Return leased addresses and public ports to their pools
+            await IpamService.releaseVMAddresses(vmId);
+            await PortService.releaseVMPorts(vmId);
+
+            // Volumes outlive the VM and can be attached elsewhere
+            await VolumeService.releaseVMVolumes(vmId);
+
             // Delete VM
             await prisma.virtualMachine.delete({
                 where: { id: vmId },
             });
 
+            // Drop the firewall rules of the released address
+            if (existingVM.securityGroups.length > 0) {
+                await FirewallService.sync()
+                    .catch(error => console.error(`Failed to remove firewall rules of VM ${vmId}:`, error));
+            }
+
+            // Remove the Docker networks the VM was the last one on
+            for (const network of existingVM.privateNetworks) {
+                await NetworkService.cleanupNetwork(network, existingVM)
+                    .catch(error => console.error(`Failed to clean up network ${network.id}:`, error));
+            }
+
             // Log VM deletion
             await this.logVMEvent(userId, 'VM_DELETED', vmId, {
                 vmName: existingVM.name,
+                ipAddress: existingVM.ipAddress,
                 resources: {
                     cpu: existingVM.cpu,
                     ram: existingVM.ram,
@@ -413,112 +1399,231 @@ class VMService {
                 },
             });
         } catch (error) {
-            throw new Error(`VM deletion failed: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'VM deletion failed');
         }
     }
 
     /**
-     * Start VM
+     * Request a VM start, run in the background as an operation
      * @param {string} vmId - VM ID
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} Updated VM
+     * @returns {Promise<Object>} Queued operation
      */
-    static async startVM(vmId, userId) {
+    static async requestStart(vmId, userId) {
         try {
-            // Get existing VM
-            const existingVM = await this.getVMById(vmId, userId);
-            if (!existingVM) {
+            const vm = await this.getVMById(vmId, userId);
+            if (!vm) {
                 throw new Error('VM not found or access denied');
             }
 
-            // Check if VM can be started
-            if (existingVM.status === 'RUNNING') {
-                throw new Error('VM is already running');
-            }
+            VMStateMachine.assertTransition(vm, 'START');
+
+            return await OperationService.enqueue('VM_START', { userId: vm.userId, vmId }, async (operation) => {
+                const started = await this.startVM(vmId, userId, operation);
+                return { status: started.status, ipAddress: started.ipAddress };
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM start failed');
+        }
+    }
 
-            if (['STARTING', 'STOPPING', 'RESTARTING'].includes(existingVM.status)) {
-                throw new Error('VM is in transitional state');
+    /**
+     * Request a VM stop, run in the background as an operation
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Queued operation
+     */
+    static async requestStop(vmId, userId) {
+        try {
+            const vm = await this.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
             }
 
-            if (existingVM.status === 'ERROR') {
-                throw new Error('VM is in error state. Please check logs.');
+            VMStateMachine.assertTransition(vm, 'STOP');
+
+            return await OperationService.enqueue('VM_STOP', { userId: vm.userId, vmId }, async (operation) => {
+                const stopped = await this.stopVM(vmId, userId, operation);
+                return { status: stopped.status };
+            });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM stop failed');
+        }
+    }
+
+    /**
+     * Request a VM restart, run in the background as an operation
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Queued operation
+     */
+    static async requestRestart(vmId, userId) {
+        try {
+            const vm = await this.getVMById(vmId, userId);
+            if (!vm) {
+                throw new Error('VM not found or access denied');
             }
 
-            // Update status to STARTING
-            await prisma.virtualMachine.update({
-                where: { id: vmId },
-                data: { status: 'STARTING' },
+            this.assertCanRestart(vm);
+
+            return await OperationService.enqueue('VM_RESTART', { userId: vm.userId, vmId }, async (operation) => {
+                const restarted = await this.restartVM(vmId, userId, operation);
+                return { status: restarted.status };
             });
+        } catch (error) {
+            throw VMStateMachine.wrapError(error, 'VM restart failed');
+        }
+    }
+
+    /**
+     * Check that a VM can be restarted
+     * @param {Object} vm - VM
+     */
+    static assertCanRestart(vm) {
+        VMStateMachine.assertTransition(vm, 'RESTART');
+
+        if (!vm.dockerContainerId) {
+            throw new Error('No container associated with this VM');
+        }
+    }
+
+    /**
+     * Move a VM whose action failed to ERROR
+     * The caller reports the action error, so a failure here is only logged
+     * @param {Object} vm - VM as read before the action
+     * @param {string} status - Transitional status the action left the VM in
+     * @param {string} event - Failure event
+     * @param {Object} context - Transition context
+     */
+    static async failTransition(vm, status, event, context) {
+        try {
+            await VMStateMachine.transition({ ...vm, status }, event, context);
+        } catch (error) {
+            console.error(`Failed to record ${event} of VM ${vm.id}:`, error);
+        }
+    }
+
+    /**
+     * Start VM
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {Object} operation - Operation tracker
+     * @returns {Promise<Object>} Updated VM
+     */
+    static async startVM(vmId, userId, operation = OperationService.untracked()) {
+        try {
+            // Get existing VM
+            const existingVM = await this.getVMById(vmId, userId);
+            if (!existingVM) {
+                throw new Error('VM not found or access denied');
+            }
+
+            // The VM may have changed while the operation was queued
+            const context = { userId, operationId: operation.id };
+            await VMStateMachine.transition(existingVM, 'START', context);
 
             // Start Docker container
             try {
+                const docker = await NodeService.getDocker(existingVM);
                 let containerInfo;
+                let appliedSecretsRevision;
+                let { ipAddress } = existingVM;
+
+                // Never expose a VM without its firewall rules
+                if (existingVM.securityGroups.length > 0) {
+                    await operation.progress(10, 'Applying firewall rules');
+                    await FirewallService.sync();
+                }
 
                 // Check if container already exists
                 if (existingVM.dockerContainerId) {
+                    let containerId = existingVM.dockerContainerId;
+
+                    // Environment changes only reach new containers
+                    if (this.hasStaleEnvironment(existingVM)) {
+                        await operation.progress(20, 'Applying environment');
+                        const containerData = await this.recreateVMContainer(existingVM);
+                        containerId = containerData.dockerContainerId;
+                        ({ appliedSecretsRevision } = containerData);
+                    }
+
                     // Start existing container
-                    containerInfo = await dockerService.startContainer(existingVM.dockerContainerId);
+                    await operation.progress(40, 'Starting container');
+                    containerInfo = await docker.startContainer(containerId);
                 } else {
+                    // Reuse the VM lease (VMs created before IPAM get one here)
+                    const lease = await IpamService.allocateAddress(existingVM.id);
+                    ipAddress = lease.address;
+
+                    // VMs created before the port pool get their SSH port here
+                    if (existingVM.sshKeys.length > 0) {
+                        await PortService.ensureSshPort(existingVM.id);
+                    }
+                    const portLeases = await PortService.getVMPorts(existingVM.id);
+
                     // Create and start new container
-                    const containerConfig = {
-                        vmId: existingVM.id,
-                        name: existingVM.name,
-                        image: existingVM.dockerImage || 'ubuntu:latest',
-                        cpu: existingVM.cpu,
-                        ram: existingVM.ram,
-                        storage: existingVM.storage,
-                        ports: [], // Default ports, can be configured later
-                        environment: [
-                            `VM_ID=${existingVM.id}`,
-                            `VM_NAME=${existingVM.name}`,
-                            `USER_ID=${userId}`,
-                        ],
-                        volumes: [`sahary-vm-${existingVM.id}-data:/data`],
-                    };
-
-                    containerInfo = await dockerService.createContainer(containerConfig);
+                    await operation.progress(20, 'Creating container');
+                    const { containerConfig, secretsRevision } = await this.prepareContainerConfig(
+                        { ...existingVM, portLeases },
+                        lease,
+                    );
+                    containerInfo = await docker.createContainer(containerConfig);
+                    appliedSecretsRevision = secretsRevision;
 
                     // Start the newly created container
-                    containerInfo = await dockerService.startContainer(containerInfo.containerId);
+                    await operation.progress(60, 'Starting container');
+                    containerInfo = await docker.startContainer(containerInfo.containerId);
                 }
 
                 // Update VM with container info
-                await prisma.virtualMachine.update({
-                    where: { id: vmId },
+                await VMStateMachine.transition({ ...existingVM, status: 'STARTING' }, 'START_SUCCEEDED', {
+                    ...context,
                     data: {
-                        status: 'RUNNING',
-                        startedAt: new Date(),
                         dockerContainerId: containerInfo.containerId,
-                        ipAddress: containerInfo.ipAddress || existingVM.ipAddress,
+                        ipAddress: ipAddress || containerInfo.ipAddress,
+                        sshPort: this.getSshHostPort(containerInfo),
+                        appliedSecretsRevision,
                     },
                 });
 
+                // Keys may have changed while the VM was stopped
+                if (existingVM.sshKeys.length > 0) {
+                    await operation.progress(90, 'Injecting SSH keys');
+                    try {
+                        await SshKeyService.injectKeys(containerInfo.containerId, existingVM.sshKeys, docker);
+                    } catch (error) {
+                        console.error(`Failed to inject SSH keys into VM ${vmId}:`, error);
+                    }
+                }
+
                 // Log VM start
                 await this.logVMEvent(userId, 'VM_STARTED', vmId, {
                     vmName: existingVM.name,
                     dockerContainerId: containerInfo.containerId,
-                    ipAddress: containerInfo.ipAddress,
+                    ipAddress: ipAddress || containerInfo.ipAddress,
+                    operationId: operation.id,
                 });
 
+                // Run first boot user-data in the background, the VM is usable meanwhile
+                UserDataService.runPending(vmId, containerInfo.containerId, docker)
+                    .catch(error => console.error(`Failed to run user-data of VM ${vmId}:`, error));
+
             } catch (error) {
                 // Update status to ERROR if start fails
-                await prisma.virtualMachine.update({
-                    where: { id: vmId },
-                    data: { status: 'ERROR' },
-                });
+                await this.failTransition(existingVM, 'STARTING', 'START_FAILED', { ...context, reason: error.message });
 
                 await this.logVMEvent(userId, 'VM_START_FAILED', vmId, {
                     vmName: existingVM.name,
                     error: error.message,
+                    operationId: operation.id,
                 });
 
                 throw error;
             }
 
-            // Return VM with STARTING status
             return await this.getVMById(vmId, userId);
         } catch (error) {
-            throw new Error(`VM start failed: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'VM start failed');
         }
     }
 
@@ -526,9 +1631,10 @@ class VMService {
      * Stop VM
      * @param {string} vmId - VM ID
      * @param {string} userId - User ID
+     * @param {Object} operation - Operation tracker
      * @returns {Promise<Object>} Updated VM
      */
-    static async stopVM(vmId, userId) {
+    static async stopVM(vmId, userId, operation = OperationService.untracked()) {
         try {
             // Get existing VM
             const existingVM = await this.getVMById(vmId, userId);
@@ -536,61 +1642,44 @@ class VMService {
                 throw new Error('VM not found or access denied');
             }
 
-            // Check if VM can be stopped
-            if (existingVM.status === 'STOPPED') {
-                throw new Error('VM is already stopped');
-            }
-
-            if (['STARTING', 'STOPPING', 'RESTARTING'].includes(existingVM.status)) {
-                throw new Error('VM is in transitional state');
-            }
-
-            // Update status to STOPPING
-            await prisma.virtualMachine.update({
-                where: { id: vmId },
-                data: { status: 'STOPPING' },
-            });
+            // The VM may have changed while the operation was queued
+            const context = { userId, operationId: operation.id };
+            await VMStateMachine.transition(existingVM, 'STOP', context);
 
             // Stop Docker container
             try {
                 if (existingVM.dockerContainerId) {
-                    await dockerService.stopContainer(existingVM.dockerContainerId, 10);
+                    await operation.progress(30, 'Stopping container');
+                    const docker = await NodeService.getDocker(existingVM);
+                    await docker.stopContainer(existingVM.dockerContainerId, 10);
                 }
 
                 // Update status to STOPPED
-                await prisma.virtualMachine.update({
-                    where: { id: vmId },
-                    data: {
-                        status: 'STOPPED',
-                        stoppedAt: new Date(),
-                    },
-                });
+                await VMStateMachine.transition({ ...existingVM, status: 'STOPPING' }, 'STOP_SUCCEEDED', context);
 
                 // Log VM stop
                 await this.logVMEvent(userId, 'VM_STOPPED', vmId, {
                     vmName: existingVM.name,
                     dockerContainerId: existingVM.dockerContainerId,
+                    operationId: operation.id,
                 });
 
             } catch (error) {
                 // Update status to ERROR if stop fails
-                await prisma.virtualMachine.update({
-                    where: { id: vmId },
-                    data: { status: 'ERROR' },
-                });
+                await this.failTransition(existingVM, 'STOPPING', 'STOP_FAILED', { ...context, reason: error.message });
 
                 await this.logVMEvent(userId, 'VM_STOP_FAILED', vmId, {
                     vmName: existingVM.name,
                     error: error.message,
+                    operationId: operation.id,
                 });
 
                 throw error;
             }
 
-            // Return VM with STOPPING status
             return await this.getVMById(vmId, userId);
         } catch (error) {
-            throw new Error(`VM stop failed: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'VM stop failed');
         }
     }
 
@@ -598,9 +1687,10 @@ class VMService {
      * Restart VM
      * @param {string} vmId - VM ID
      * @param {string} userId - User ID
+     * @param {Object} operation - Operation tracker
      * @returns {Promise<Object>} Updated VM
      */
-    static async restartVM(vmId, userId) {
+    static async restartVM(vmId, userId, operation = OperationService.untracked()) {
         try {
             // Get existing VM
             const existingVM = await this.getVMById(vmId, userId);
@@ -608,115 +1698,176 @@ class VMService {
                 throw new Error('VM not found or access denied');
             }
 
-            // Check if VM can be restarted
-            if (existingVM.status !== 'RUNNING') {
-                throw new Error('VM must be running to restart');
-            }
-
-            // Update status to RESTARTING
-            await prisma.virtualMachine.update({
-                where: { id: vmId },
-                data: { status: 'RESTARTING' },
-            });
+            // The VM may have changed while the operation was queued
+            this.assertCanRestart(existingVM);
 
-            // Simulate VM restart process
-            setTimeout(async () => {
-                try {
-                    // Update status to RUNNING
-                    await prisma.virtualMachine.update({
-                        where: { id: vmId },
-                        data: {
-                            status: 'RUNNING',
-                            startedAt: new Date(),
-                        },
-                    });
+            const context = { userId, operationId: operation.id };
+            await VMStateMachine.transition(existingVM, 'RESTART', context);
 
-                    // Log VM restart
-                    await this.logVMEvent(userId, 'VM_RESTARTED', vmId, {
-                        vmName: existingVM.name,
-                    });
-                } catch (error) {
-                    // Update status to ERROR if restart fails
-                    await prisma.virtualMachine.update({
-                        where: { id: vmId },
-                        data: { status: 'ERROR' },
-                    });
+            try {
+                let data = {};
 
-                    await this.logVMEvent(userId, 'VM_RESTART_FAILED', vmId, {
-                        vmName: existingVM.name,
-                        error: error.message,
-                    });
+                // Environment changes only reach new containers, which start with the new environment
+                if (this.hasStaleEnvironment(existingVM)) {
+                    await operation.progress(30, 'Recreating container with the new environment');
+                    data = await this.recreateVMContainer(existingVM);
+                } else {
+                    await operation.progress(30, 'Restarting container');
+                    const docker = await NodeService.getDocker(existingVM);
+                    await docker.restartContainer(existingVM.dockerContainerId, 10);
                 }
-            }, 3000); // 3 second delay to simulate restart process
 
-            // Return VM with RESTARTING status
+                // Update status to RUNNING
+                await VMStateMachine.transition({ ...existingVM, status: 'RESTARTING' }, 'RESTART_SUCCEEDED', {
+                    ...context,
+                    data,
+                });
+
+                // Log VM restart
+                await this.logVMEvent(userId, 'VM_RESTARTED', vmId, {
+                    vmName: existingVM.name,
+                    operationId: operation.id,
+                });
+            } catch (error) {
+                // Update status to ERROR if restart fails
+                await this.failTransition(existingVM, 'RESTARTING', 'RESTART_FAILED', { ...context, reason: error.message });
+
+                await this.logVMEvent(userId, 'VM_RESTART_FAILED', vmId, {
+                    vmName: existingVM.name,
+                    error: error.message,
+                    operationId: operation.id,
+                });
+
+                throw error;
+            }
+
             return await this.getVMById(vmId, userId);
         } catch (error) {
-            throw new Error(`VM restart failed: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'VM restart failed');
         }
     }
 
     /**
-     * Get user's resource usage
+     * Get the operations of a VM, newest first
+     * @param {string} vmId - VM ID
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} Resource usage
+     * @param {Object} options - Query options ({ page, limit, status, type })
+     * @returns {Promise<Object>} Operations with pagination
      */
-    static async getUserResourceUsage(userId) {
+    static async getVMOperations(vmId, userId, options = {}) {
+        const vm = await this.getVMById(vmId, userId);
+        if (!vm) {
+            throw new Error('VM not found or access denied');
+        }
+
+        return OperationService.getOperations({ vmId }, options);
+    }
+
+    /**
+     * Suspend VM (admin only), a running VM is stopped first
+     * @param {string} vmId - VM ID
+     * @param {string} userId - Admin user ID
+     * @param {string} reason - Suspension reason
+     * @returns {Promise<Object>} Suspended VM
+     */
+    static async suspendVM(vmId, userId, reason = 'Administrative action') {
         try {
-            const result = await prisma.virtualMachine.aggregate({
-                where: {
-                    userId,
-                    status: { not: 'DELETED' },
-                },
-                _sum: {
-                    cpu: true,
-                    ram: true,
-                    storage: true,
-                    bandwidth: true,
-                },
+            const vm = await this.getVMById(vmId);
+            if (!vm) {
+                throw new Error('VM not found');
+            }
+
+            await VMStateMachine.transition(vm, 'SUSPEND', { userId, reason });
+
+            await this.logVMEvent(userId, 'VM_SUSPENDED', vmId, {
+                vmName: vm.name,
+                previousStatus: vm.status,
+                reason,
             });
 
-            return {
-                cpu: result._sum.cpu || 0,
-                ram: result._sum.ram || 0,
-                storage: result._sum.storage || 0,
-                bandwidth: result._sum.bandwidth || 0,
-            };
+            return await this.getVMById(vmId);
         } catch (error) {
-            throw new Error(`Failed to get resource usage: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'VM suspension failed');
         }
     }
 
     /**
-     * Get user's resource limits (from pricing plan)
-     * @param {string} userId - User ID
-     * @returns {Promise<Object>} Resource limits
+     * Resume a suspended VM (admin only), the owner can then start it
+     * @param {string} vmId - VM ID
+     * @param {string} userId - Admin user ID
+     * @returns {Promise<Object>} Resumed VM
      */
-    static async getUserResourceLimits(userId) {
+    static async resumeVM(vmId, userId) {
         try {
-            // This is a simplified implementation
-            // In a real system, this would check the user's pricing plan
-            return {
-                cpu: 16, // 16 CPU cores
-                ram: 32768, // 32 GB RAM
-                storage: 1024, // 1 TB storage
-                bandwidth: 10000, // 10 TB bandwidth
-            };
+            const vm = await this.getVMById(vmId);
+            if (!vm) {
+                throw new Error('VM not found');
+            }
+
+            await VMStateMachine.transition(vm, 'RESUME', { userId });
+
+            await this.logVMEvent(userId, 'VM_RESUMED', vmId, {
+                vmName: vm.name,
+            });
+
+            return await this.getVMById(vmId);
         } catch (error) {
-            throw new Error(`Failed to get resource limits: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'VM resumption failed');
+        }
+    }
+
+    /**
+     * Get the status changes of a VM, newest first
+     * @param {string} vmId - VM ID
+     * @param {string} userId - User ID
+     * @param {Object} options - Query options ({ page, limit })
+     * @returns {Promise<Object>} Transitions with pagination
+     */
+    static async getVMStateHistory(vmId, userId, options = {}) {
+        const vm = await this.getVMById(vmId, userId);
+        if (!vm) {
+            throw new Error('VM not found or access denied');
         }
+
+        return VMStateMachine.getHistory(vmId, options);
+    }
+
+    /**
+     * Get user's resource usage
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Resource usage
+     */
+    static async getUserResourceUsage(userId) {
+        return QuotaService.getAllocatedResources(userId);
+    }
+
+    /**
+     * Get user's resource limits (from pricing plan and admin overrides)
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Resource limits
+     */
+    static async getUserResourceLimits(userId) {
+        const { limits } = await QuotaService.getEffectiveLimits(userId);
+        return limits;
+    }
+
+    /**
+     * Get user's quota report (plan limits, current usage and headroom)
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Quota report
+     */
+    static async getUserQuotaReport(userId) {
+        return QuotaService.getQuotaReport(userId);
     }
 
     /**
      * Assign IP address to VM
+     * @param {string} vmId - VM ID
      * @returns {Promise<string>} Assigned IP address
      */
-    static async assignIPAddress() {
-        // Simplified IP assignment
-        // In a real system, this would manage IP pools
-        const baseIP = '192.168.1.';
-        const lastOctet = Math.floor(Math.random() * 200) + 50; // 50-249
-        return `${baseIP}${lastOctet}`;
+    static async assignIPAddress(vmId) {
+        const lease = await IpamService.allocateAddress(vmId);
+        return lease.address;
     }
 
     /**
@@ -948,7 +2099,8 @@ class VMService {
                 };
             }
 
-            const containerStatus = await dockerService.getContainerStatus(vm.dockerContainerId);
+            const docker = await NodeService.getDocker(vm);
+            const containerStatus = await docker.getContainerStatus(vm.dockerContainerId);
 
             return {
                 vmId,
@@ -979,7 +2131,8 @@ class VMService {
                 throw new Error('No container associated with this VM');
             }
 
-            const logs = await dockerService.getContainerLogs(vm.dockerContainerId, options);
+            const docker = await NodeService.getDocker(vm);
+            const logs = await docker.getContainerLogs(vm.dockerContainerId, options);
 
             return {
                 vmId,
@@ -1014,7 +2167,8 @@ class VMService {
                 throw new Error('VM must be running to execute commands');
             }
 
-            const result = await dockerService.execInContainer(vm.dockerContainerId, command);
+            const docker = await NodeService.getDocker(vm);
+            const result = await docker.execInContainer(vm.dockerContainerId, command);
 
             // Log command execution
             await this.logVMEvent(userId, 'VM_COMMAND_EXECUTED', vmId, {
@@ -1039,32 +2193,40 @@ class VMService {
      * @param {string} vmId - VM ID
      * @param {string} userId - User ID
      * @param {string} backupName - Backup name
+     * @param {Object} options - Backup options
+     * @param {string} options.description - Backup description
+     * @param {string} options.policyId - Backup policy that triggered the backup
      * @returns {Promise<Object>} Backup info
      */
-    static async createVMBackup(vmId, userId, backupName) {
+    static async createVMBackup(vmId, userId, backupName, options = {}) {
         try {
             const vm = await this.getVMById(vmId, userId);
             if (!vm) {
                 throw new Error('VM not found or access denied');
             }
 
+            VMStateMachine.assertAction(vm, 'BACKUP');
+
             if (!vm.dockerContainerId) {
                 throw new Error('No container associated with this VM');
             }
 
             // Create Docker container backup
-            const dockerBackup = await dockerService.createContainerBackup(vm.dockerContainerId, backupName);
+            const docker = await NodeService.getDocker(vm);
+            const dockerBackup = await docker.createContainerBackup(vm.dockerContainerId, backupName);
 
             // Create backup record in database
             const backup = await prisma.backup.create({
                 data: {
                     name: backupName,
+                    description: options.description || null,
                     vmId,
                     userId,
                     size: dockerBackup.size,
                     dockerImageId: dockerBackup.backupId,
                     status: 'COMPLETED',
                     createdAt: new Date(),
+                    policyId: options.policyId || null,
                 },
             });
 
@@ -1081,7 +2243,7 @@ class VMService {
                 dockerBackup,
             };
         } catch (error) {
-            throw new Error(`Failed to create VM backup: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'Failed to create VM backup');
         }
     }
 
@@ -1090,9 +2252,11 @@ class VMService {
      * @param {string} backupId - Backup ID
      * @param {string} userId - User ID
      * @param {Object} restoreConfig - Restore configuration
+     * @param {Object} options - Restore options
+     * @param {string} options.dockerImage - Image to restore from instead of the backup image
      * @returns {Promise<Object>} Restored VM info
      */
-    static async restoreVMFromBackup(backupId, userId, restoreConfig) {
+    static async restoreVMFromBackup(backupId, userId, restoreConfig, options = {}) {
         try {
             // Get backup info
             const backup = await prisma.backup.findFirst({
@@ -1117,7 +2281,9 @@ class VMService {
                 ram: restoreConfig.ram || backup.vm.ram,
                 storage: restoreConfig.storage || backup.vm.storage,
                 bandwidth: restoreConfig.bandwidth || backup.vm.bandwidth,
-                dockerImage: backup.dockerImageId,
+                dockerImage: options.dockerImage || backup.dockerImageId,
+                // The backup image is on the node of the backed up VM
+                placement: { nodeId: backup.vm.nodeId || (await NodeService.ensureLocalNode()).id },
             };
 
             // Create new VM
@@ -1133,7 +2299,7 @@ class VMService {
 
             return restoredVM;
         } catch (error) {
-            throw new Error(`Failed to restore VM from backup: ${error.message}`);
+            throw VMStateMachine.wrapError(error, 'Failed to restore VM from backup');
         }
     }
 
@@ -1169,7 +2335,8 @@ class VMService {
                 };
             }
 
-            const stats = await dockerService.getContainerStats(vm.dockerContainerId);
+            const docker = await NodeService.getDocker(vm);
+            const stats = await docker.getContainerStats(vm.dockerContainerId);
 
             return {
                 vmId,
@@ -0,0 +1,373 @@
+const { prisma } = require('../config/database');
+const { VMStateError } = require('../utils/errors');
+const NodeService = require('./nodeService');
+const BillingService = require('./billingService');
+
+const TRANSITIONAL_STATUSES = ['STARTING', 'STOPPING', 'RESTARTING', 'MIGRATING'];
+
+// How statuses read in error messages ("Cannot delete running VM")
+const STATUS_LABELS = {
+    RUNNING: 'running',
+    STOPPED: 'stopped',
+    STARTING: 'starting',
+    STOPPING: 'stopping',
+    RESTARTING: 'restarting',
+    MIGRATING: 'migrating',
+    ERROR: 'failed',
+    SUSPENDED: 'suspended',
+};
+
+/**
+ * Bill the minutes a VM ran since its last usage record
+ * Billing must not block a VM from stopping, failures are only logged
+ * @param {Object} vm - VM leaving the RUNNING status
+ */
+const prorateIfRunning = async (vm) => {
+    if (vm.status !== 'RUNNING') {
+        return;
+    }
+
+    try {
+        await BillingService.prorateUsage(vm.id);
+    } catch (error) {
+        console.error(`Failed to prorate usage of VM ${vm.id}:`, error);
+    }
+};
+
+/**
+ * Bill the minutes a running VM spent migrating
+ * Usage collection skips MIGRATING VMs, the whole migration is billed once the VM runs again
+ * @param {Object} vm - VM ending its migration
+ */
+const billMigration = async (vm) => {
+    try {
+        await BillingService.prorateUsage(vm.id, Infinity);
+    } catch (error) {
+        console.error(`Failed to bill the migration of VM ${vm.id}:`, error);
+    }
+};
+
+/**
+ * Stop the container of a running VM once it is suspended or taken out of service
+ * @param {Object} vm - VM being suspended or failing its health check, as read before the change
+ */
+const haltContainer = async (vm) => {
+    if (vm.status === 'RUNNING' && vm.dockerContainerId) {
+        const docker = await NodeService.getDocker(vm);
+        await docker.stopContainer(vm.dockerContainerId, 10);
+    }
+};
+
+/**
+ * Allowed status changes by event
+ * `from` lists the statuses the event is valid in and `to` the status it moves the VM to.
+ * `settles` is the status a user action ends in, to tell that the VM is already there.
+ * `bill` runs before the status is written, while usage still reads the old status; it only
+ * bills minutes already elapsed, so it is harmless when the change then loses a race.
+ * `effect` runs once the status is written (a failure puts back the old status) and
+ * `data` returns fields written together with the status.
+ */
+const TRANSITIONS = {
+    START: { verb: 'start', from: ['STOPPED'], to: 'STARTING', settles: 'RUNNING' },
+    START_SUCCEEDED: { from: ['STARTING'], to: 'RUNNING', data: () => ({ startedAt: new Date() }) },
+    START_FAILED: { from: ['STARTING'], to: 'ERROR' },
+    STOP: { verb: 'stop', from: ['RUNNING', 'ERROR'], to: 'STOPPING', settles: 'STOPPED', bill: prorateIfRunning },
+    STOP_SUCCEEDED: {
+        from: ['STOPPING'],
+        to: 'STOPPED',
+        data: () => ({
+            stoppedAt: new Date(),
+            sshPort: null, // Docker releases the host port
+        }),
+    },
+    STOP_FAILED: { from: ['STOPPING'], to: 'ERROR' },
+    RESTART: { verb: 'restart', from: ['RUNNING'], to: 'RESTARTING' },
+    RESTART_SUCCEEDED: { from: ['RESTARTING'], to: 'RUNNING', data: () => ({ startedAt: new Date() }) },
+    RESTART_FAILED: { from: ['RESTARTING'], to: 'ERROR' },
+    SUSPEND: {
+        verb: 'suspend',
+        from: ['RUNNING', 'STOPPED', 'ERROR'],
+        to: 'SUSPENDED',
+        settles: 'SUSPENDED',
+        bill: prorateIfRunning,
+        effect: haltContainer,
+        data: vm => (vm.status === 'RUNNING' ? { stoppedAt: new Date(), sshPort: null } : {}),
+    },
+    RESUME: { verb: 'resume', from: ['SUSPENDED'], to: 'STOPPED' },
+    // A migration ends, moved or rolled back, in the status it started in
+    MIGRATE: { verb: 'migrate', from: ['RUNNING', 'STOPPED', 'SUSPENDED'], to: 'MIGRATING' },
+    MIGRATE_RUNNING: { from: ['MIGRATING'], to: 'RUNNING', bill: billMigration },
+    MIGRATE_STOPPED: { from: ['MIGRATING'], to: 'STOPPED' },
+    MIGRATE_SUSPENDED: { from: ['MIGRATING'], to: 'SUSPENDED' },
+    MIGRATE_FAILED: { from: ['MIGRATING'], to: 'ERROR', data: () => ({ sshPort: null }) },
+    // A VM failing its health check with the MARK_ERROR policy is taken out of service
+    HEALTH_CHECK_FAILED: {
+        from: ['RUNNING'],
+        to: 'ERROR',
+        bill: prorateIfRunning,
+        effect: haltContainer,
+        data: () => ({ stoppedAt: new Date(), sshPort: null }),
+    },
+    // Corrections of the reconciler to the state Docker reports
+    RECONCILE_RUNNING: { from: ['STOPPED', 'ERROR', ...TRANSITIONAL_STATUSES], to: 'RUNNING' },
+    RECONCILE_STOPPED: {
+        from: ['RUNNING', 'ERROR', ...TRANSITIONAL_STATUSES],
+        to: 'STOPPED',
+        bill: prorateIfRunning,
+        data: () => ({ stoppedAt: new Date(), sshPort: null }),
+    },
+    RECONCILE_ERROR: { from: ['RUNNING', 'STOPPED', ...TRANSITIONAL_STATUSES], to: 'ERROR', bill: prorateIfRunning },
+};
+
+// Changes that keep the status, by the statuses they are allowed in
+const ACTIONS = {
+    UPDATE: { verb: 'update', allowed: ['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'] },
+    RESIZE: { verb: 'resize', allowed: ['RUNNING', 'STOPPED', 'SUSPENDED'] },
+    CLONE: { verb: 'clone', allowed: ['RUNNING', 'STOPPED', 'ERROR'] },
+    BACKUP: { verb: 'back up', allowed: ['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'] },
+    CHANGE_SECURITY_GROUPS: { verb: 'change security groups of', allowed: ['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'] },
+    CHANGE_NETWORKS: { verb: 'change networks of', allowed: ['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'] },
+    CHANGE_PORTS: { verb: 'change ports of', allowed: ['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'] },
+    CHANGE_VOLUMES: { verb: 'change volumes of', allowed: ['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'] },
+    DELETE: { verb: 'delete', allowed: ['STOPPED', 'ERROR', 'SUSPENDED'] },
+};
+
+/**
+ * VM State Machine
+ * Single place that decides which VM status changes and actions are allowed
+ *
+ * Status changes are written with a compare-and-set on the expected statuses, so two requests
+ * racing on the same VM cannot both win, and each change is recorded in the VM state history.
+ * Rejected changes throw a VMStateError (409).
+ */
+class VMStateMachine {
+    /**
+     * Check that an event is valid in the VM status
+     * @param {Object} vm - VM ({ id, status })
+     * @param {string} event - Transition event
+     */
+    static assertTransition(vm, event) {
+        const transition = TRANSITIONS[event];
+
+        if (!transition.from.includes(vm.status)) {
+            throw this.buildError(vm, event, transition.verb || event.toLowerCase(), transition.from, transition.settles);
+        }
+    }
+
+    /**
+     * Check that an action is allowed in the VM status
+     * @param {Object} vm - VM ({ id, status })
+     * @param {string} action - Action name
+     */
+    static assertAction(vm, action) {
+        const { verb, allowed } = ACTIONS[action];
+
+        if (!allowed.includes(vm.status)) {
+            throw this.buildError(vm, action, verb, allowed);
+        }
+    }
+
+    /**
+     * Move a VM to the status of an event and record it
+     * @param {Object} vm - VM as last read ({ id, status, dockerContainerId })
+     * @param {string} event - Transition event
+     * @param {Object} context - { userId, operationId, reason, data } where data are extra VM fields to write
+     * @returns {Promise<Object>} Recorded transition
+     */
+    static async transition(vm, event, context = {}) {
+        const { userId = null, operationId = null, reason = null, data = {} } = context;
+        const transition = TRANSITIONS[event];
+        const previous = { ...vm };
+        const fromStatus = vm.status;
+
+        this.assertTransition(vm, event);
+
+        if (transition.bill) {
+            await transition.bill(previous);
+        }
+
+        const fields = {
+            ...(transition.data ? transition.data(vm) : {}),
+            ...data,
+        };
+
+        const recorded = await prisma.$transaction(async (tx) => {
+            // Only moves the VM if nothing changed its status since it was read
+            const { count } = await tx.virtualMachine.updateMany({
+                where: { id: vm.id, status: fromStatus },
+                data: {
+                    ...fields,
+                    status: transition.to,
+                },
+            });
+
+            if (count === 0) {
+                const current = await tx.virtualMachine.findUnique({
+                    where: { id: vm.id },
+                    select: { id: true, status: true },
+                });
+
+                if (!current) {
+                    throw new Error('VM not found');
+                }
+
+                // Reports the status the VM actually is in
+                this.assertTransition(current, event);
+
+                throw new VMStateError(`VM status changed to ${current.status}, please try again`, {
+                    vmId: vm.id,
+                    status: current.status,
+                    action: event,
+                    allowedStatuses: transition.from,
+                });
+            }
+
+            return tx.vmStateTransition.create({
+                data: {
+                    vmId: vm.id,
+                    event,
+                    fromStatus,
+                    toStatus: transition.to,
+                    reason,
+                    actorId: userId,
+                    operationId,
+                },
+            });
+        });
+
+        if (transition.effect) {
+            try {
+                await transition.effect(previous);
+            } catch (error) {
+                await this.revert(previous, transition, fields, recorded);
+                throw error;
+            }
+        }
+
+        return recorded;
+    }
+
+    /**
+     * Put back the status and fields of a VM whose transition effect failed
+     * Leaves the VM alone if something else changed its status meanwhile
+     * @param {Object} vm - VM as read before the transition
+     * @param {Object} transition - Transition that was written
+     * @param {Object} fields - Fields written together with the status
+     * @param {Object} recorded - Recorded transition
+     */
+    static async revert(vm, transition, fields, recorded) {
+        // Fields the VM was not read with are left as written
+        const restored = Object.fromEntries(Object.keys(fields)
+            .filter(key => vm[key] !== undefined)
+            .map(key => [key, vm[key]]));
+
+        try {
+            await prisma.$transaction(async (tx) => {
+                const { count } = await tx.virtualMachine.updateMany({
+                    where: { id: vm.id, status: transition.to },
+                    data: { ...restored, status: vm.status },
+                });
+
+                if (count > 0) {
+                    await tx.vmStateTransition.delete({ where: { id: recorded.id } });
+                }
+            });
+        } catch (error) {
+            console.error(`Failed to put back the status of VM ${vm.id}:`, error);
+        }
+    }
+
+    /**
+     * Get the status changes of a VM, newest first
+     * @param {string} vmId - VM ID
+     * @param {Object} options - Query options ({ page, limit })
+     * @returns {Promise<Object>} Transitions with pagination
+     */
+    static async getHistory(vmId, options = {}) {
+        const { page = 1, limit = 20 } = options;
+
+        try {
+            const [transitions, total] = await Promise.all([
+                prisma.vmStateTransition.findMany({
+                    where: { vmId },
+                    orderBy: { createdAt: 'desc' },
+                    skip: (page - 1) * limit,
+                    take: limit,
+                }),
+                prisma.vmStateTransition.count({ where: { vmId } }),
+            ]);
+
+            return {
+                transitions,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                },
+            };
+        } catch (error) {
+            throw new Error(`Failed to get VM state history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the user actions available in a status
+     * @param {string} status - VM status
+     * @returns {string[]} Transition events and action names
+     */
+    static getAvailableActions(status) {
+        return [
+            ...Object.keys(TRANSITIONS).filter(event => TRANSITIONS[event].verb && TRANSITIONS[event].from.includes(status)),
+            ...Object.keys(ACTIONS).filter(action => ACTIONS[action].allowed.includes(status)),
+        ];
+    }
+
+    /**
+     * Prefix an error message, keeping VM state errors as conflicts
+     * @param {Error} error - Caught error
+     * @param {string} prefix - Message prefix ("VM start failed")
+     * @returns {Error} Error to throw
+     */
+    static wrapError(error, prefix) {
+        if (error instanceof VMStateError) {
+            return new VMStateError(`${prefix}: ${error.message}`, error.details);
+        }
+
+        return new Error(`${prefix}: ${error.message}`);
+    }
+
+    /**
+     * Build the error for a change not allowed in the VM status
+     * @param {Object} vm - VM ({ id, status })
+     * @param {string} action - Transition event or action name
+     * @param {string} verb - Action as read in the message
+     * @param {string[]} allowed - Statuses the change is allowed in
+     * @param {string} settles - Status the action ends in, if any
+     * @returns {VMStateError} Error
+     */
+    static buildError(vm, action, verb, allowed, settles = null) {
+        let message;
+
+        if (settles && vm.status === settles) {
+            message = `VM is already ${STATUS_LABELS[vm.status]}`;
+        } else if (TRANSITIONAL_STATUSES.includes(vm.status)) {
+            message = `Cannot ${verb} VM while it is in transitional state`;
+        } else {
+            message = `Cannot ${verb} ${STATUS_LABELS[vm.status]} VM`;
+        }
+
+        return new VMStateError(message, {
+            vmId: vm.id,
+            status: vm.status,
+            action,
+            allowedStatuses: allowed,
+        });
+    }
+}
+
+VMStateMachine.TRANSITIONS = TRANSITIONS;
+VMStateMachine.ACTIONS = ACTIONS;
+VMStateMachine.TRANSITIONAL_STATUSES = TRANSITIONAL_STATUSES;
+
+module.exports = VMStateMachine;
@@ -0,0 +1,504 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+const { prisma } = require('../config/database');
+const dockerService = require('./dockerService');
+const NodeService = require('./nodeService');
+const QuotaService = require('./quotaService');
+const BillingService = require('./billingService');
+
+// Paths volumes cannot be mounted on (or below), they belong to the VM itself
+const RESERVED_MOUNT_PATHS = ['/bin', '/boot', '/data', '/dev', '/etc', '/lib', '/lib64', '/proc', '/sbin', '/sys', '/usr'];
+
+const VOLUME_INCLUDE = {
+    vm: {
+        select: { id: true, name: true, status: true },
+    },
+};
+
+/**
+ * Volume Service
+ * Handles block storage volumes: standalone Docker volumes billed per GB-hour,
+ * attached to at most one VM at a mount path and kept when that VM is deleted
+ */
+class VolumeService {
+    /**
+     * Get user's volumes
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Volumes with their VM and number of snapshots
+     */
+    static async getVolumes(userId) {
+        return prisma.volume.findMany({
+            where: { userId },
+            include: {
+                ...VOLUME_INCLUDE,
+                _count: { select: { snapshots: true } },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+    }
+
+    /**
+     * Get a volume with its VM and snapshots
+     * @param {string} volumeId - Volume ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<Object>} Volume
+     */
+    static async getVolume(volumeId, userId) {
+        const volume = await prisma.volume.findFirst({
+            where: { id: volumeId, userId },
+            include: {
+                ...VOLUME_INCLUDE,
+                snapshots: {
+                    orderBy: { createdAt: 'desc' },
+                },
+            },
+        });
+
+        if (!volume) {
+            throw new Error('Volume not found');
+        }
+
+        return {
+            ...volume,
+            snapshots: volume.snapshots.map(snapshot => this.serializeSnapshot(snapshot)),
+        };
+    }
+
+    /**
+     * Create a volume, empty or from a snapshot
+     * @param {string} userId - User ID
+     * @param {Object} volumeData - Volume data ({ name, description, size, snapshotId })
+     * @returns {Promise<Object>} Created volume
+     */
+    static async createVolume(userId, volumeData) {
+        const { name, description, snapshotId } = volumeData;
+
+        try {
+            const count = await prisma.volume.count({ where: { userId } });
+            if (count >= config.volumes.maxPerUser) {
+                throw new Error(`Maximum ${config.volumes.maxPerUser} volumes per user`);
+            }
+
+            const duplicate = await prisma.volume.findFirst({ where: { userId, name } });
+            if (duplicate) {
+                throw new Error(`A volume named "${name}" already exists`);
+            }
+
+            let snapshot = null;
+            if (snapshotId) {
+                snapshot = await prisma.volumeSnapshot.findFirst({
+                    where: { id: snapshotId, volume: { userId } },
+                });
+                if (!snapshot) {
+                    throw new Error('Snapshot not found');
+                }
+            }
+
+            const size = volumeData.size || (snapshot && snapshot.size);
+            this.validateSize(size);
+            if (snapshot && size < snapshot.size) {
+                throw new Error(`Size must be at least ${snapshot.size}GB, the size of the snapshot`);
+            }
+
+            const volume = await QuotaService.reserve(userId, { storage: size }, tx => tx.volume.create({
+                data: {
+                    name,
+                    description: description || null,
+                    size,
+                    dockerVolume: `sahary-vol-${crypto.randomBytes(6).toString('hex')}`,
+                    hourlyRate: this.calculateHourlyRate(size),
+                    userId,
+                },
+            }));
+
+            try {
+                await dockerService.createVolume(volume.dockerVolume, {
+                    labels: {
+                        'sahary.volume.id': volume.id,
+                        'sahary.user.id': userId,
+                    },
+                });
+
+                if (snapshot) {
+                    await this.restoreSnapshot(volume, snapshot);
+                }
+            } catch (error) {
+                await dockerService.removeVolume(volume.dockerVolume).catch(() => {});
+                await prisma.volume.delete({ where: { id: volume.id } });
+                throw error;
+            }
+
+            await this.logVolumeEvent(userId, 'VOLUME_CREATED', volume.id, {
+                name,
+                size,
+                snapshotId: snapshot ? snapshot.id : null,
+            });
+
+            return await prisma.volume.findUnique({
+                where: { id: volume.id },
+                include: VOLUME_INCLUDE,
+            });
+        } catch (error) {
+            throw new Error(`Failed to create volume: ${error.message}`);
+        }
+    }
+
+    /**
+     * Grow a volume
+     * The time before the change is billed at the old size
+     * @param {string} volumeId - Volume ID
+     * @param {string} userId - Owner user ID
+     * @param {number} size - New size in GB
+     * @returns {Promise<Object>} Resized volume
+     */
+    static async resizeVolume(volumeId, userId, size) {
+        try {
+            const volume = await this.getVolume(volumeId, userId);
+
+            if (size === volume.size) {
+                throw new Error('No size change requested');
+            }
+            if (size < volume.size) {
+                throw new Error('Volume size cannot be decreased');
+            }
+            this.validateSize(size);
+
+            await BillingService.prorateVolumeUsage(volumeId);
+
+            const resizedVolume = await QuotaService.reserve(volume.userId, {
+                storage: size - volume.size,
+            }, tx => tx.volume.update({
+                where: { id: volumeId },
+                data: {
+                    size,
+                    hourlyRate: this.calculateHourlyRate(size),
+                },
+                include: VOLUME_INCLUDE,
+            }));
+
+            await this.logVolumeEvent(userId, 'VOLUME_RESIZED', volumeId, {
+                name: volume.name,
+                oldSize: volume.size,
+                size,
+            });
+
+            return resizedVolume;
+        } catch (error) {
+            throw new Error(`Failed to resize volume: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a volume with its snapshots
+     * Attached volumes cannot be deleted
+     * @param {string} volumeId - Volume ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<void>}
+     */
+    static async deleteVolume(volumeId, userId) {
+        try {
+            const volume = await this.getVolume(volumeId, userId);
+
+            if (volume.vm) {
+                throw new Error(`Volume is attached to VM ${volume.vm.name}, detach it first`);
+            }
+
+            // Bill up to now, the usage records outlive the volume for invoices
+            await BillingService.prorateVolumeUsage(volumeId);
+
+            await dockerService.removeVolume(volume.dockerVolume);
+
+            for (const snapshot of volume.snapshots) {
+                await fs.promises.rm(snapshot.archivePath, { force: true });
+            }
+
+            await prisma.volume.delete({ where: { id: volumeId } });
+
+            await this.logVolumeEvent(userId, 'VOLUME_DELETED', volumeId, {
+                name: volume.name,
+                size: volume.size,
+                snapshots: volume.snapshots.length,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete volume: ${error.message}`);
+        }
+    }
+
+    /**
+     * Snapshot the content of a volume into a compressed archive
+     * Volumes can be snapshotted while attached, writes during the snapshot may be missed
+     * @param {string} volumeId - Volume ID
+     * @param {string} userId - Owner user ID
+     * @param {Object} snapshotData - Snapshot data ({ name })
+     * @returns {Promise<Object>} Created snapshot
+     */
+    static async createSnapshot(volumeId, userId, snapshotData = {}) {
+        try {
+            const volume = await this.getVolume(volumeId, userId);
+
+            if (volume.snapshots.length >= config.volumes.maxSnapshots) {
+                throw new Error(`Maximum ${config.volumes.maxSnapshots} snapshots per volume`);
+            }
+
+            const storageDir = this.getSnapshotDir();
+            await fs.promises.mkdir(storageDir, { recursive: true });
+
+            const archivePath = path.join(storageDir, `${volume.id}-${Date.now()}.tar.gz`);
+            const tempPath = `${archivePath}.tmp`;
+
+            const helper = await dockerService.createVolumeContainer(volume.dockerVolume);
+            try {
+                const archive = await dockerService.getContainerArchive(helper.id, '/volume');
+                await pipeline(archive, zlib.createGzip(), fs.createWriteStream(tempPath));
+                await fs.promises.rename(tempPath, archivePath);
+            } catch (error) {
+                await fs.promises.rm(tempPath, { force: true });
+                throw error;
+            } finally {
+                await dockerService.removeContainer(helper.id, true).catch(() => {});
+            }
+
+            const { size: archiveSize } = await fs.promises.stat(archivePath);
+
+            const snapshot = await prisma.volumeSnapshot.create({
+                data: {
+                    name: snapshotData.name || `${volume.name}-${new Date().toISOString().slice(0, 10)}`,
+                    size: volume.size,
+                    archivePath,
+                    archiveSize,
+                    volumeId,
+                },
+            });
+
+            await this.logVolumeEvent(userId, 'VOLUME_SNAPSHOT_CREATED', volumeId, {
+                name: volume.name,
+                snapshotId: snapshot.id,
+                archiveSize,
+            });
+
+            return this.serializeSnapshot(snapshot);
+        } catch (error) {
+            throw new Error(`Failed to create snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a volume snapshot
+     * @param {string} volumeId - Volume ID
+     * @param {string} snapshotId - Snapshot ID
+     * @param {string} userId - Owner user ID
+     * @returns {Promise<void>}
+     */
+    static async deleteSnapshot(volumeId, snapshotId, userId) {
+        try {
+            const volume = await this.getVolume(volumeId, userId);
+
+            const snapshot = volume.snapshots.find(item => item.id === snapshotId);
+            if (!snapshot) {
+                throw new Error('Snapshot not found');
+            }
+
+            await fs.promises.rm(snapshot.archivePath, { force: true });
+            await prisma.volumeSnapshot.delete({ where: { id: snapshotId } });
+
+            await this.logVolumeEvent(userId, 'VOLUME_SNAPSHOT_DELETED', volumeId, {
+                name: volume.name,
+                snapshotId,
+            });
+        } catch (error) {
+            throw new Error(`Failed to delete snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the content of a snapshot into a volume
+     * @param {Object} volume - Target volume
+     * @param {Object} snapshot - Snapshot
+     * @returns {Promise<void>}
+     */
+    static async restoreSnapshot(volume, snapshot) {
+        const helper = await dockerService.createVolumeContainer(volume.dockerVolume);
+
+        try {
+            // The archive holds the `volume` directory itself, extract it at the root
+            const archive = fs.createReadStream(snapshot.archivePath).pipe(zlib.createGunzip());
+            await dockerService.putContainerArchive(helper.id, archive, '/');
+        } finally {
+            await dockerService.removeContainer(helper.id, true).catch(() => {});
+        }
+    }
+
+    /**
+     * Find a detached volume of a user for a VM and check its mount path
+     * @param {Object} vm - VM with its attached volumes
+     * @param {string} volumeId - Volume ID
+     * @param {string} mountPath - Requested mount path
+     * @returns {Promise<Object>} Volume with its normalized mount path
+     */
+    static async resolveAttachment(vm, volumeId, mountPath) {
+        const volume = await prisma.volume.findFirst({
+            where: { id: volumeId, userId: vm.userId },
+            include: VOLUME_INCLUDE,
+        });
+
+        if (!volume) {
+            throw new Error('Volume not found');
+        }
+
+        if (volume.vm) {
+            throw new Error(`Volume is already attached to VM ${volume.vm.name}`);
+        }
+
+        if (vm.volumes.length >= config.volumes.maxPerVM) {
+            throw new Error(`Maximum ${config.volumes.maxPerVM} volumes per VM`);
+        }
+
+        // Docker volumes are created on the local host
+        if (!(await NodeService.isLocal(vm))) {
+            throw new Error('Volumes can only be attached to VMs on the local compute node');
+        }
+
+        return {
+            ...volume,
+            mountPath: this.validateMountPath(mountPath, vm.volumes),
+        };
+    }
+
+    /**
+     * Validate a mount path against reserved paths and the other volumes of the VM
+     * @param {string} mountPath - Requested mount path
+     * @param {Object[]} volumes - Volumes already attached to the VM
+     * @returns {string} Normalized mount path
+     */
+    static validateMountPath(mountPath, volumes = []) {
+        const normalized = path.posix.normalize(mountPath).replace(/\/+$/, '');
+
+        if (!path.posix.isAbsolute(mountPath) || normalized === '') {
+            throw new Error('Mount path must be an absolute path below /');
+        }
+
+        const overlaps = (a, b) => a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+
+        const reserved = RESERVED_MOUNT_PATHS.find(item => normalized === item || normalized.startsWith(`${item}/`));
+        if (reserved) {
+            throw new Error(`Mount path ${normalized} is reserved`);
+        }
+
+        const conflict = volumes.find(volume => overlaps(volume.mountPath, normalized));
+        if (conflict) {
+            throw new Error(`Mount path ${normalized} overlaps volume ${conflict.name} at ${conflict.mountPath}`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Mark a volume as detached
+     * @param {string} volumeId - Volume ID
+     * @returns {Promise<void>}
+     */
+    static async releaseVolume(volumeId) {
+        await prisma.volume.update({
+            where: { id: volumeId },
+            data: { vmId: null, mountPath: null, attachedAt: null },
+        });
+    }
+
+    /**
+     * Detach all volumes of a VM, used when the VM is deleted
+     * @param {string} vmId - VM ID
+     * @returns {Promise<number>} Number of detached volumes
+     */
+    static async releaseVMVolumes(vmId) {
+        try {
+            const result = await prisma.volume.updateMany({
+                where: { vmId },
+                data: { vmId: null, mountPath: null, attachedAt: null },
+            });
+            return result.count;
+        } catch (error) {
+            throw new Error(`Volume release failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the Docker binds of the volumes attached to a VM
+     * @param {Object} vm - VM with its attached volumes
+     * @returns {string[]} Binds (`volume:mountPath`)
+     */
+    static getContainerBinds(vm) {
+        return vm.volumes.map(volume => `${volume.dockerVolume}:${volume.mountPath}`);
+    }
+
+    /**
+     * Check a volume size against the configured range
+     * @param {number} size - Size in GB
+     * @returns {void}
+     */
+    static validateSize(size) {
+        const { minSize, maxSize } = config.volumes;
+
+        if (!Number.isInteger(size) || size < minSize || size > maxSize) {
+            throw new Error(`Size must be between ${minSize}GB and ${maxSize}GB`);
+        }
+    }
+
+    /**
+     * Prepare a snapshot for JSON responses
+     * @param {Object} snapshot - Snapshot
+     * @returns {Object} Snapshot with its archive size as a number
+     */
+    static serializeSnapshot(snapshot) {
+        return {
+            ...snapshot,
+            archiveSize: Number(snapshot.archiveSize),
+        };
+    }
+
+    /**
+     * Calculate the hourly rate of a volume
+     * @param {number} size - Size in GB
+     * @returns {number} Hourly rate in USD
+     */
+    static calculateHourlyRate(size) {
+        return Number((size * config.volumes.pricePerGBHour).toFixed(4));
+    }
+
+    /**
+     * Get the snapshot storage directory
+     * @returns {string} Absolute storage path
+     */
+    static getSnapshotDir() {
+        return path.resolve(config.volumes.snapshotPath);
+    }
+
+    /**
+     * Log volume event
+     * @param {string} userId - User ID
+     * @param {string} action - Action performed
+     * @param {string} volumeId - Volume ID
+     * @param {Object} metadata - Additional metadata
+     * @returns {Promise<void>}
+     */
+    static async logVolumeEvent(userId, action, volumeId, metadata = {}) {
+        try {
+            await prisma.auditLog.create({
+                data: {
+                    userId,
+                    action,
+                    resource: 'volume',
+                    resourceId: volumeId,
+                    newValues: metadata,
+                },
+            });
+        } catch (error) {
+            console.error('Failed to log volume event:', error);
+        }
+    }
+}
+
+module.exports = VolumeService;
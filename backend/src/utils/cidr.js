@@ -0,0 +1,161 @@
+const IPV4_REGEX = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+/**
+ * IPv4 CIDR utility functions
+ */
+class CidrUtils {
+  /**
+   * Check if a string is a valid dotted IPv4 address
+   * @param {string} address - Address to check
+   * @returns {boolean} Is valid IPv4
+   */
+  static isIPv4(address) {
+    return typeof address === 'string' && IPV4_REGEX.test(address);
+  }
+
+  /**
+   * Convert dotted IPv4 address to integer
+   * @param {string} address - IPv4 address
+   * @returns {number} Integer value
+   */
+  static ipToInt(address) {
+    if (!this.isIPv4(address)) {
+      throw new Error(`Invalid IPv4 address: ${address}`);
+    }
+
+    return address
+      .split('.')
+      .reduce((acc, octet) => (acc * 256) + parseInt(octet, 10), 0);
+  }
+
+  /**
+   * Convert integer to dotted IPv4 address
+   * @param {number} value - Integer value
+   * @returns {string} IPv4 address
+   */
+  static intToIp(value) {
+    return [
+      Math.floor(value / 16777216) % 256,
+      Math.floor(value / 65536) % 256,
+      Math.floor(value / 256) % 256,
+      value % 256,
+    ].join('.');
+  }
+
+  /**
+   * Parse a CIDR block
+   * @param {string} cidr - CIDR notation (e.g. 172.20.0.0/16)
+   * @param {Object} options - Allowed prefix lengths ({ minPrefix, maxPrefix }), address pools by default
+   * @returns {Object} Parsed block ({ cidr, prefix, network, broadcast, size })
+   */
+  static parse(cidr, options = {}) {
+    const { minPrefix = 8, maxPrefix = 30 } = options;
+    const [address, prefixPart] = String(cidr).split('/');
+    const prefix = parseInt(prefixPart, 10);
+
+    if (!this.isIPv4(address) || !/^\d+$/.test(prefixPart || '') || prefix < minPrefix || prefix > maxPrefix) {
+      throw new Error(`Invalid CIDR block: ${cidr} (prefix must be between /${minPrefix} and /${maxPrefix})`);
+    }
+
+    const size = 2 ** (32 - prefix);
+    const network = this.ipToInt(address) - (this.ipToInt(address) % size);
+
+    return {
+      cidr: `${this.intToIp(network)}/${prefix}`,
+      prefix,
+      network,
+      broadcast: network + size - 1,
+      size,
+    };
+  }
+
+  /**
+   * Get the text all addresses of a CIDR block start with
+   * Only whole octets are covered, so addresses matching it may still be outside the block
+   * @param {string} cidr - CIDR block
+   * @returns {string} Leading octets with a trailing dot (e.g. "172.20."), empty below a /8
+   */
+  static getTextPrefix(cidr) {
+    const { network, prefix } = this.parse(cidr);
+    const octets = this.intToIp(network).split('.').slice(0, Math.floor(prefix / 8));
+
+    return octets.length ? `${octets.join('.')}.` : '';
+  }
+
+  /**
+   * Check if an address belongs to a CIDR block
+   * @param {string} cidr - CIDR block
+   * @param {string} address - IPv4 address
+   * @returns {boolean} Is inside block
+   */
+  static contains(cidr, address) {
+    const { network, broadcast } = this.parse(cidr);
+    const value = this.ipToInt(address);
+    return value >= network && value <= broadcast;
+  }
+
+  /**
+   * Check if two CIDR blocks overlap
+   * @param {string} a - First CIDR block
+   * @param {string} b - Second CIDR block
+   * @returns {boolean} Blocks overlap
+   */
+  static overlaps(a, b) {
+    const first = this.parse(a);
+    const second = this.parse(b);
+    return first.network <= second.broadcast && second.network <= first.broadcast;
+  }
+
+  /**
+   * Get the allocatable host range of a block
+   * Network and broadcast addresses are never allocatable; the gateway is skipped
+   * @param {string} cidr - CIDR block
+   * @param {Object} options - Range options
+   * @param {string} options.gateway - Gateway address (defaults to first host)
+   * @param {string} options.rangeStart - First allocatable address
+   * @param {string} options.rangeEnd - Last allocatable address
+   * @returns {Object} Host range ({ first, last, gateway, total })
+   */
+  static getHostRange(cidr, options = {}) {
+    const { network, broadcast } = this.parse(cidr);
+    const gateway = options.gateway ? this.ipToInt(options.gateway) : network + 1;
+
+    const first = Math.max(options.rangeStart ? this.ipToInt(options.rangeStart) : network + 1, network + 1);
+    const last = Math.min(options.rangeEnd ? this.ipToInt(options.rangeEnd) : broadcast - 1, broadcast - 1);
+
+    if (first > last) {
+      throw new Error('Allocation range is empty');
+    }
+
+    const gatewayInRange = gateway >= first && gateway <= last;
+
+    return {
+      first,
+      last,
+      gateway,
+      total: (last - first + 1) - (gatewayInRange ? 1 : 0),
+    };
+  }
+
+  /**
+   * Find the lowest free address in a block
+   * @param {string} cidr - CIDR block
+   * @param {Iterable<string>} used - Addresses already in use
+   * @param {Object} options - Range options (see getHostRange)
+   * @returns {string|null} Free address, or null when the range is exhausted
+   */
+  static findFreeAddress(cidr, used = [], options = {}) {
+    const { first, last, gateway } = this.getHostRange(cidr, options);
+    const usedSet = new Set(Array.from(used, (address) => this.ipToInt(address)));
+
+    for (let candidate = first; candidate <= last; candidate += 1) {
+      if (candidate !== gateway && !usedSet.has(candidate)) {
+        return this.intToIp(candidate);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = CidrUtils;
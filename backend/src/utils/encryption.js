@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Authenticated encryption with versioned master keys
+ */
+class EncryptionUtils {
+  /**
+   * Parse master keys
+   * @param {string} value - Comma separated "version:base64 key" pairs
+   * @returns {Map<number, Buffer>} Keys by version
+   */
+  static parseKeys(value) {
+    const keys = new Map();
+
+    for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const version = parseInt(entry.slice(0, separator), 10);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator < 1 || !Number.isInteger(version) || version < 1) {
+        throw new Error('Invalid master key: expected "version:base64 key"');
+      }
+      if (key.length !== KEY_LENGTH) {
+        throw new Error(`Invalid master key ${version}: expected ${KEY_LENGTH} bytes`);
+      }
+      if (keys.has(version)) {
+        throw new Error(`Duplicate master key version ${version}`);
+      }
+
+      keys.set(version, key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Get the version of the key new values are encrypted with
+   * @param {Map<number, Buffer>} keys - Keys by version
+   * @returns {number} Highest key version
+   */
+  static currentVersion(keys) {
+    if (!keys.size) {
+      throw new Error('No master key configured');
+    }
+
+    return Math.max(...keys.keys());
+  }
+
+  /**
+   * @param {string} plaintext - Value to encrypt
+   * @param {Buffer} key - 32 byte key
+   * @param {string} aad - Context the value is bound to, needed again to decrypt
+   * @returns {Object} Encrypted value ({ ciphertext, iv, authTag }, base64)
+   */
+  static encrypt(plaintext, key, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      ciphertext: ciphertext.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+    };
+  }
+
+  /**
+   * @param {Object} encrypted - Encrypted value ({ ciphertext, iv, authTag }, base64)
+   * @param {Buffer} key - Key the value was encrypted with
+   * @param {string} aad - Context the value was encrypted with
+   * @returns {string} Plaintext
+   */
+  static decrypt(encrypted, key, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(encrypted.authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+}
+
+module.exports = EncryptionUtils;
@@ -78,6 +78,17 @@ class ConflictError extends AppError {
   }
 }
 
+/**
+ * VM State Error (409)
+ * Raised when an action is not allowed in the current VM status
+ */
+class VMStateError extends ConflictError {
+  constructor(message, details = null) {
+    super(message, details);
+    this.errorCode = 'INVALID_VM_STATE';
+  }
+}
+
 /**
  * Rate Limit Error (429)
  */
@@ -269,6 +280,7 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  VMStateError,
   RateLimitError,
   InternalServerError,
   ServiceUnavailableError,
@@ -144,9 +144,10 @@ class ValidationHelpers {
   /**
    * Validate VM resource configuration
    * @param {Object} resources - VM resources
+   * @param {Object} template - Catalog template whose minimum requirements apply (optional)
    * @returns {Object} Validation result
    */
-  static validateVMResources(resources) {
+  static validateVMResources(resources, template = null) {
     const { cpu, ram, storage, bandwidth } = resources;
     const errors = [];
     const warnings = [];
@@ -193,6 +194,19 @@ class ValidationHelpers {
       }
     }
 
+    // Template minimum requirements
+    if (template) {
+      if (cpu < template.minCpu) {
+        errors.push(`${template.name} requires at least ${template.minCpu} CPU core(s)`);
+      }
+      if (ram < template.minRam) {
+        errors.push(`${template.name} requires at least ${template.minRam}MB of RAM`);
+      }
+      if (storage < template.minStorage) {
+        errors.push(`${template.name} requires at least ${template.minStorage}GB of storage`);
+      }
+    }
+
     // Calculate estimated cost (basic calculation)
     const estimatedHourlyCost = this.calculateVMCost(resources);
 
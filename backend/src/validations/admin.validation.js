@@ -216,6 +216,390 @@ const createSystemSettingSchema = z.object({
   }),
 });
 
+// Admin user plan assignment validation
+const assignUserPlanSchema = z.object({
+  body: z.object({
+    planId: z
+      .string({
+        required_error: 'Plan ID is required (null to use the default plan)',
+      })
+      .cuid('Invalid plan ID format')
+      .nullable(),
+  }),
+  
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'User ID is required',
+      })
+      .cuid('Invalid user ID format'),
+  }),
+});
+
+// Admin user quota override validation
+const quotaLimit = (label, max) => z
+  .number()
+  .int(`${label} must be an integer`)
+  .min(0, `${label} cannot be negative`)
+  .max(max, `${label} must not exceed ${max}`)
+  .nullable()
+  .optional();
+
+const setUserQuotaSchema = z.object({
+  body: z.object({
+    maxCpu: quotaLimit('CPU limit', 1024),
+    maxRam: quotaLimit('RAM limit', 4194304), // 4 TB in MB
+    maxStorage: quotaLimit('Storage limit', 102400), // 100 TB in GB
+    maxBandwidth: quotaLimit('Bandwidth limit', 1000000),
+    maxVMs: quotaLimit('VM limit', 1000),
+    
+    reason: z
+      .string()
+      .min(10, 'Reason must be at least 10 characters')
+      .max(500, 'Reason must not exceed 500 characters')
+      .optional(),
+  }).refine(
+    data => ['maxCpu', 'maxRam', 'maxStorage', 'maxBandwidth', 'maxVMs'].some(key => data[key] !== undefined),
+    { message: 'At least one limit must be provided' }
+  ),
+  
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'User ID is required',
+      })
+      .cuid('Invalid user ID format'),
+  }),
+});
+
+// IP pool validation
+const ipv4Address = label => z
+  .string({
+    required_error: `${label} is required`,
+  })
+  .ip({ version: 'v4', message: `${label} must be a valid IPv4 address` });
+
+const poolIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Pool ID is required',
+    })
+    .cuid('Invalid pool ID format'),
+});
+
+const createIpPoolSchema = z.object({
+  body: z.object({
+    name: z
+      .string({
+        required_error: 'Pool name is required',
+      })
+      .min(2, 'Pool name must be at least 2 characters')
+      .max(50, 'Pool name must not exceed 50 characters')
+      .regex(/^[a-zA-Z0-9_-]+$/, 'Pool name can only contain letters, numbers, hyphens, and underscores'),
+    
+    network: z
+      .string({
+        required_error: 'Network is required',
+      })
+      .min(1, 'Network is required')
+      .max(64, 'Network must not exceed 64 characters'),
+    
+    cidr: z
+      .string({
+        required_error: 'CIDR is required',
+      })
+      .regex(/^(\d{1,3}\.){3}\d{1,3}\/(8|9|[12]\d|30)$/, 'CIDR must be an IPv4 block between /8 and /30'),
+    
+    gateway: ipv4Address('Gateway').optional(),
+    rangeStart: ipv4Address('Range start').optional(),
+    rangeEnd: ipv4Address('Range end').optional(),
+    
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+  }),
+});
+
+const updateIpPoolSchema = z.object({
+  body: z.object({
+    name: z
+      .string()
+      .min(2, 'Pool name must be at least 2 characters')
+      .max(50, 'Pool name must not exceed 50 characters')
+      .regex(/^[a-zA-Z0-9_-]+$/, 'Pool name can only contain letters, numbers, hyphens, and underscores')
+      .optional(),
+    
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+    
+    isActive: z
+      .boolean()
+      .optional(),
+  }).refine(
+    data => ['name', 'description', 'isActive'].some(key => data[key] !== undefined),
+    { message: 'At least one field must be provided' }
+  ),
+  
+  params: poolIdParams,
+});
+
+const ipLeasesQuerySchema = z.object({
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive integer')
+      .transform(Number)
+      .refine(val => val > 0, 'Page must be greater than 0')
+      .optional()
+      .default('1'),
+    
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive integer')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default('50'),
+    
+    type: z
+      .enum(['ALLOCATED', 'RESERVED'])
+      .optional(),
+  }),
+  
+  params: poolIdParams,
+});
+
+const reserveIpAddressSchema = z.object({
+  body: z.object({
+    address: ipv4Address('Address'),
+    
+    note: z
+      .string()
+      .max(200, 'Note must not exceed 200 characters')
+      .optional(),
+  }),
+  
+  params: poolIdParams,
+});
+
+// Public port pool validation
+const portLeasesQuerySchema = z.object({
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive integer')
+      .transform(Number)
+      .refine(val => val > 0, 'Page must be greater than 0')
+      .optional()
+      .default('1'),
+    
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive integer')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default('50'),
+    
+    protocol: z
+      .enum(['TCP', 'UDP'])
+      .optional(),
+  }),
+});
+
+// Image catalog validation
+const templateIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Template ID is required',
+    })
+    .cuid('Invalid template ID format'),
+});
+
+const templateResource = (label, min, max) => z
+  .number({
+    required_error: `${label} is required`,
+  })
+  .int(`${label} must be an integer`)
+  .min(min, `${label} must be at least ${min}`)
+  .max(max, `${label} must not exceed ${max}`);
+
+const templateBody = z.object({
+  slug: z
+    .string({
+      required_error: 'Slug is required',
+    })
+    .min(2, 'Slug must be at least 2 characters')
+    .max(50, 'Slug must not exceed 50 characters')
+    .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers, and hyphens'),
+  
+  name: z
+    .string({
+      required_error: 'Template name is required',
+    })
+    .min(2, 'Template name must be at least 2 characters')
+    .max(100, 'Template name must not exceed 100 characters'),
+  
+  description: z
+    .string()
+    .max(500, 'Description must not exceed 500 characters')
+    .optional(),
+  
+  category: z
+    .enum(['OS', 'APPLICATION'])
+    .optional(),
+  
+  dockerImage: z
+    .string({
+      required_error: 'Docker image is required',
+    })
+    .min(1, 'Docker image cannot be empty')
+    .max(200, 'Docker image name must not exceed 200 characters')
+    .regex(/^[a-zA-Z0-9][a-zA-Z0-9._/:@-]*$/, 'Docker image contains invalid characters'),
+  
+  iconUrl: z
+    .string()
+    .url('Icon URL must be a valid URL')
+    .optional(),
+  
+  defaultCpu: templateResource('Default CPU cores', 1, 32),
+  defaultRam: templateResource('Default RAM', 512, 131072),
+  defaultStorage: templateResource('Default storage', 10, 2048),
+  defaultBandwidth: templateResource('Default bandwidth', 100, 10000).optional(),
+  
+  minCpu: templateResource('Minimum CPU cores', 1, 32).optional(),
+  minRam: templateResource('Minimum RAM', 512, 131072).optional(),
+  minStorage: templateResource('Minimum storage', 10, 2048).optional(),
+  
+  isActive: z
+    .boolean()
+    .optional(),
+  
+  sortOrder: z
+    .number()
+    .int('Sort order must be an integer')
+    .min(0, 'Sort order cannot be negative')
+    .max(10000, 'Sort order must not exceed 10000')
+    .optional(),
+});
+
+const minimumsWithinDefaults = data => ['Cpu', 'Ram', 'Storage'].every(
+  key => data[`min${key}`] === undefined
+    || data[`default${key}`] === undefined
+    || data[`min${key}`] <= data[`default${key}`]
+);
+
+const createTemplateSchema = z.object({
+  body: templateBody.refine(
+    minimumsWithinDefaults,
+    { message: 'Minimum requirements must not exceed the default resources' }
+  ),
+});
+
+const updateTemplateSchema = z.object({
+  body: templateBody.partial()
+    .refine(
+      data => Object.keys(data).length > 0,
+      { message: 'At least one field must be provided' }
+    )
+    .refine(
+      minimumsWithinDefaults,
+      { message: 'Minimum requirements must not exceed the default resources' }
+    ),
+  
+  params: templateIdParams,
+});
+
+const templateIdSchema = z.object({
+  params: templateIdParams,
+});
+
+// Docker/database reconciliation validation
+const runReconciliationSchema = z.object({
+  body: z.object({
+    repair: z
+      .boolean()
+      .optional(),
+  }),
+});
+
+// Compute node validation
+const nodeIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Node ID is required',
+    })
+    .cuid('Invalid node ID format'),
+});
+
+const nodeName = z
+  .string()
+  .min(2, 'Node name must be at least 2 characters')
+  .max(50, 'Node name must not exceed 50 characters')
+  .regex(/^[a-zA-Z0-9_-]+$/, 'Node name can only contain letters, numbers, hyphens, and underscores');
+
+const nodeEndpoint = z
+  .string()
+  .max(255, 'Endpoint must not exceed 255 characters')
+  .regex(
+    /^(unix:\/\/\/|tcp:\/\/|https?:\/\/)\S+$/,
+    'Endpoint must be a unix://, tcp://, http:// or https:// Docker endpoint'
+  );
+
+const nodeCapacity = (label, max) => z
+  .number()
+  .int(`${label} must be an integer`)
+  .min(1, `${label} must be at least 1`)
+  .max(max, `${label} must not exceed ${max}`);
+
+const nodeLabels = z
+  .record(
+    z
+      .string()
+      .regex(/^[a-zA-Z0-9._-]{1,63}$/, 'Label keys can only contain letters, numbers, dots, hyphens, and underscores'),
+    z.string().max(63, 'Label values must not exceed 63 characters')
+  )
+  .refine(labels => Object.keys(labels).length <= 20, { message: 'Maximum 20 labels per node' });
+
+const createNodeSchema = z.object({
+  body: z.object({
+    name: nodeName,
+    endpoint: nodeEndpoint,
+    cpu: nodeCapacity('CPU cores', 1024).optional(),
+    ram: nodeCapacity('RAM', 16777216).optional(),
+    storage: nodeCapacity('Storage', 1048576),
+    labels: nodeLabels.optional(),
+    solarPowered: z
+      .boolean()
+      .optional(),
+  }),
+});
+
+const updateNodeSchema = z.object({
+  body: z.object({
+    endpoint: nodeEndpoint.optional(),
+    cpu: nodeCapacity('CPU cores', 1024).optional(),
+    ram: nodeCapacity('RAM', 16777216).optional(),
+    storage: nodeCapacity('Storage', 1048576).optional(),
+    labels: nodeLabels.optional(),
+    solarPowered: z
+      .boolean()
+      .optional(),
+  }).refine(
+    data => ['endpoint', 'cpu', 'ram', 'storage', 'labels', 'solarPowered'].some(key => data[key] !== undefined),
+    { message: 'At least one field must be provided' }
+  ),
+
+  params: nodeIdParams,
+});
+
+const nodeIdSchema = z.object({
+  params: nodeIdParams,
+});
+
 // VM management validation for admins
 const adminVMActionSchema = z.object({
   body: z.object({
@@ -358,10 +742,24 @@ module.exports = {
   updateUserStatusSchema,
   updateUserRoleSchema,
   adminUsersQuerySchema,
+  assignUserPlanSchema,
+  setUserQuotaSchema,
+  createIpPoolSchema,
+  updateIpPoolSchema,
+  ipLeasesQuerySchema,
+  reserveIpAddressSchema,
+  portLeasesQuerySchema,
+  createTemplateSchema,
+  updateTemplateSchema,
+  templateIdSchema,
   systemStatsQuerySchema,
   updateSystemSettingSchema,
   createSystemSettingSchema,
   adminVMActionSchema,
+  runReconciliationSchema,
+  createNodeSchema,
+  updateNodeSchema,
+  nodeIdSchema,
   auditLogQuerySchema,
   createNotificationSchema,
 };
\ No newline at end of file
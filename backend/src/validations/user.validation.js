@@ -292,6 +292,48 @@ const activityQuerySchema = z.object({
   }),
 });
 
+// SSH key validation
+const sshKeyNameSchema = z
+  .string({
+    required_error: 'Key name is required',
+  })
+  .min(1, 'Key name cannot be empty')
+  .max(100, 'Key name must not exceed 100 characters')
+  .regex(/^[a-zA-Z0-9 ._@-]+$/, 'Key name can only contain letters, numbers, spaces, dots, hyphens, underscores and @');
+
+const createSshKeySchema = z.object({
+  body: z.object({
+    name: sshKeyNameSchema,
+
+    publicKey: z
+      .string({
+        required_error: 'Public key is required',
+      })
+      .min(1, 'Public key cannot be empty')
+      .max(16384, 'Public key must not exceed 16384 characters')
+      .refine(value => !/[\r\n]/.test(value.trim()), 'Public key must be a single line'),
+  }),
+});
+
+const updateSshKeySchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .cuid('Invalid SSH key ID format'),
+  }),
+  body: z.object({
+    name: sshKeyNameSchema,
+  }),
+});
+
+const sshKeyIdSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .cuid('Invalid SSH key ID format'),
+  }),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
@@ -305,4 +347,7 @@ module.exports = {
   deactivateAccountSchema,
   reactivateAccountSchema,
   activityQuerySchema,
+  createSshKeySchema,
+  updateSshKeySchema,
+  sshKeyIdSchema,
 };
\ No newline at end of file
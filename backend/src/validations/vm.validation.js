@@ -1,6 +1,182 @@
 const { z } = require('zod');
+const cron = require('node-cron');
 
 // VM creation validation
+// First boot user-data: a script or a cloud-init style config
+const userDataSchema = z.union([
+  z
+    .string()
+    .max(65536, 'User-data script must not exceed 64 KB')
+    .refine(value => value.startsWith('#!'), 'User-data scripts must start with a shebang (#!)'),
+  z.object({
+    packages: z
+      .array(z.string().regex(/^[a-zA-Z0-9][a-zA-Z0-9.+_:=~-]*$/, 'Invalid package name'))
+      .max(100, 'Maximum 100 packages allowed')
+      .optional(),
+    users: z
+      .array(z.object({
+        name: z
+          .string()
+          .regex(/^[a-z_][a-z0-9_-]{0,31}$/, 'Invalid user name'),
+        groups: z
+          .array(z.string().regex(/^[a-z_][a-z0-9_-]{0,31}$/, 'Invalid group name'))
+          .max(20, 'Maximum 20 groups per user allowed')
+          .optional(),
+        sudo: z.boolean().optional(),
+        shell: z
+          .string()
+          .regex(/^\/[\w/.-]+$/, 'Shell must be an absolute path')
+          .optional(),
+        sshAuthorizedKeys: z
+          .array(z.string().min(1).max(8192))
+          .max(20, 'Maximum 20 SSH keys per user allowed')
+          .optional(),
+      }).strict())
+      .max(20, 'Maximum 20 users allowed')
+      .optional(),
+    files: z
+      .array(z.object({
+        path: z
+          .string()
+          .max(4096, 'File path must not exceed 4096 characters')
+          .regex(/^\//, 'File path must be absolute'),
+        content: z
+          .string()
+          .max(65536, 'File content must not exceed 64 KB'),
+        encoding: z
+          .enum(['text', 'base64'])
+          .default('text'),
+        permissions: z
+          .string()
+          .regex(/^0?[0-7]{3,4}$/, 'Permissions must be an octal mode (e.g. 0644)')
+          .optional(),
+        owner: z
+          .string()
+          .regex(/^[a-z_][a-z0-9_-]{0,31}(:[a-z_][a-z0-9_-]{0,31})?$/, 'Owner must be user or user:group')
+          .optional(),
+      }).strict())
+      .max(50, 'Maximum 50 files allowed')
+      .optional(),
+    runcmd: z
+      .array(z.union([
+        z.string().min(1, 'Command cannot be empty'),
+        z.array(z.string()).min(1, 'Command cannot be empty'),
+      ]))
+      .max(100, 'Maximum 100 commands allowed')
+      .optional(),
+  }).strict().refine(
+    data => ['packages', 'users', 'files', 'runcmd'].some(key => data[key] && data[key].length > 0),
+    { message: 'User-data must define packages, users, files or runcmd' }
+  ),
+]);
+
+// Security group rule: protocol, port range and remote CIDR
+const firewallEnum = values => z.preprocess(
+  value => (typeof value === 'string' ? value.toUpperCase() : value),
+  z.enum(values)
+);
+
+const portSchema = z
+  .number()
+  .int('Port must be an integer')
+  .min(1, 'Port must be at least 1')
+  .max(65535, 'Port must not exceed 65535');
+
+const securityGroupRuleSchema = z.object({
+  direction: firewallEnum(['INGRESS', 'EGRESS']).default('INGRESS'),
+
+  protocol: firewallEnum(['TCP', 'UDP', 'ICMP', 'ALL']),
+
+  portFrom: portSchema.optional(),
+
+  portTo: portSchema.optional(),
+
+  cidr: z
+    .string()
+    .regex(/^(\d{1,3}\.){3}\d{1,3}\/([0-9]|[12]\d|3[0-2])$/, 'CIDR must be an IPv4 block (e.g. 203.0.113.0/24)')
+    .default('0.0.0.0/0'),
+
+  description: z
+    .string()
+    .max(255, 'Description must not exceed 255 characters')
+    .optional(),
+}).strict().superRefine((rule, ctx) => {
+  const usesPorts = ['TCP', 'UDP'].includes(rule.protocol);
+
+  if (usesPorts && rule.portFrom === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['portFrom'], message: 'TCP and UDP rules require a port' });
+  }
+
+  if (!usesPorts && (rule.portFrom !== undefined || rule.portTo !== undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['portFrom'], message: 'Ports can only be set on TCP and UDP rules' });
+  }
+
+  if (rule.portFrom !== undefined && rule.portTo !== undefined && rule.portTo < rule.portFrom) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['portTo'], message: 'portTo must not be lower than portFrom' });
+  }
+});
+
+// Public port forwarding: the host port is always taken from the port pool
+const portForwardSchema = z.object({
+  containerPort: portSchema,
+
+  protocol: firewallEnum(['TCP', 'UDP']).default('TCP'),
+
+  description: z
+    .string()
+    .max(100, 'Description must not exceed 100 characters')
+    .optional(),
+}).strict();
+
+const securityGroupIdsSchema = z
+  .array(z.string().cuid('Invalid security group ID format'))
+  .max(20, 'Maximum 20 security groups allowed');
+
+// Where the scheduler may place a new VM
+const placementSchema = z.object({
+  nodeId: z
+    .string()
+    .cuid('Invalid node ID format')
+    .optional(),
+
+  nodeSelector: z
+    .record(z.string().max(63), z.string().max(63))
+    .refine(labels => Object.keys(labels).length <= 10, { message: 'Maximum 10 node selector labels allowed' })
+    .optional(),
+
+  affinity: z
+    .array(z.string().cuid('Invalid VM ID format'))
+    .max(20, 'Maximum 20 affinity VMs allowed')
+    .optional(),
+
+  antiAffinity: z
+    .array(z.string().cuid('Invalid VM ID format'))
+    .max(20, 'Maximum 20 anti-affinity VMs allowed')
+    .optional(),
+}).strict();
+
+// VM tags, keys may not contain ":" which separates key and value in selectors
+const tagKeySchema = z
+  .string()
+  .regex(/^[A-Za-z0-9][A-Za-z0-9_./-]{0,62}$/, 'Tag keys are up to 63 letters, digits, _ . / and -');
+
+const tagValueSchema = z
+  .string()
+  .max(255, 'Tag values must not exceed 255 characters');
+
+const tagsSchema = z
+  .record(tagKeySchema, tagValueSchema)
+  .refine(tags => Object.keys(tags).length <= 50, { message: 'Maximum 50 tags allowed' });
+
+// "key:value" matches a value, "key" any value
+const tagSelectorSchema = z
+  .string()
+  .regex(/^[A-Za-z0-9][A-Za-z0-9_./-]{0,62}(:.{0,255})?$/, 'Tag selectors must be "key" or "key:value"');
+
+const projectRefSchema = z
+  .string()
+  .cuid('Invalid project ID format');
+
 const createVMSchema = z.object({
   body: z.object({
     name: z
@@ -17,28 +193,25 @@ const createVMSchema = z.object({
       .optional(),
     
     cpu: z
-      .number({
-        required_error: 'CPU cores is required',
-      })
+      .number()
       .int('CPU cores must be an integer')
       .min(1, 'CPU cores must be at least 1')
-      .max(32, 'CPU cores must not exceed 32'),
+      .max(32, 'CPU cores must not exceed 32')
+      .optional(),
     
     ram: z
-      .number({
-        required_error: 'RAM is required',
-      })
+      .number()
       .int('RAM must be an integer')
       .min(512, 'RAM must be at least 512 MB')
-      .max(131072, 'RAM must not exceed 128 GB'), // 128 GB in MB
+      .max(131072, 'RAM must not exceed 128 GB') // 128 GB in MB
+      .optional(),
     
     storage: z
-      .number({
-        required_error: 'Storage is required',
-      })
+      .number()
       .int('Storage must be an integer')
       .min(10, 'Storage must be at least 10 GB')
-      .max(2048, 'Storage must not exceed 2 TB'), // 2 TB in GB
+      .max(2048, 'Storage must not exceed 2 TB') // 2 TB in GB
+      .optional(),
     
     bandwidth: z
       .number()
@@ -52,6 +225,48 @@ const createVMSchema = z.object({
       .min(1, 'Docker image cannot be empty')
       .max(200, 'Docker image name must not exceed 200 characters')
       .optional(),
+    
+    templateId: z
+      .string()
+      .cuid('Invalid template ID format')
+      .optional(),
+
+    userData: userDataSchema.optional(),
+
+    sshKeyIds: z
+      .array(z.string().cuid('Invalid SSH key ID format'))
+      .max(20, 'Maximum 20 SSH keys allowed')
+      .optional(),
+
+    securityGroupIds: securityGroupIdsSchema.optional(),
+
+    networkIds: z
+      .array(z.string().cuid('Invalid network ID format'))
+      .max(10, 'Maximum 10 networks allowed')
+      .optional(),
+
+    ports: z
+      .array(portForwardSchema)
+      .max(10, 'Maximum 10 ports allowed')
+      .optional(),
+
+    placement: placementSchema.optional(),
+
+    projectId: projectRefSchema.optional(),
+
+    tags: tagsSchema.optional(),
+  }).refine(
+    data => data.templateId || ['cpu', 'ram', 'storage'].every(key => data[key] !== undefined),
+    { message: 'CPU cores, RAM and storage are required unless a template is selected' }
+  ),
+});
+
+// VM template catalog query validation
+const templateQuerySchema = z.object({
+  query: z.object({
+    category: z
+      .enum(['OS', 'APPLICATION'])
+      .optional(),
   }),
 });
 
@@ -97,7 +312,98 @@ const updateVMSchema = z.object({
       .min(100, 'Bandwidth must be at least 100 GB')
       .max(10000, 'Bandwidth must not exceed 10 TB')
       .optional(),
+
+    // null takes the VM out of its project
+    projectId: projectRefSchema.nullable().optional(),
+  }),
+});
+
+// VM resize validation
+const resizeVMSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  body: z.object({
+    cpu: z
+      .number()
+      .int('CPU cores must be an integer')
+      .min(1, 'CPU cores must be at least 1')
+      .max(32, 'CPU cores must not exceed 32')
+      .optional(),
+
+    ram: z
+      .number()
+      .int('RAM must be an integer')
+      .min(512, 'RAM must be at least 512 MB')
+      .max(131072, 'RAM must not exceed 128 GB')
+      .optional(),
+
+    storage: z
+      .number()
+      .int('Storage must be an integer')
+      .min(10, 'Storage must be at least 10 GB')
+      .max(2048, 'Storage must not exceed 2 TB')
+      .optional(),
+  }).strict().refine(
+    data => data.cpu !== undefined || data.ram !== undefined || data.storage !== undefined,
+    'At least one of cpu, ram or storage is required'
+  ),
+});
+
+// VM clone validation
+const cloneVMSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
   }),
+  body: z.object({
+    name: z
+      .string()
+      .min(3, 'VM name must be at least 3 characters')
+      .max(50, 'VM name must not exceed 50 characters')
+      .regex(/^[a-zA-Z0-9-_]+$/, 'VM name can only contain letters, numbers, hyphens, and underscores')
+      .optional(),
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+
+    cpu: z
+      .number()
+      .int('CPU cores must be an integer')
+      .min(1, 'CPU cores must be at least 1')
+      .max(32, 'CPU cores must not exceed 32')
+      .optional(),
+
+    ram: z
+      .number()
+      .int('RAM must be an integer')
+      .min(512, 'RAM must be at least 512 MB')
+      .max(131072, 'RAM must not exceed 128 GB')
+      .optional(),
+
+    storage: z
+      .number()
+      .int('Storage must be an integer')
+      .min(10, 'Storage must be at least 10 GB')
+      .max(2048, 'Storage must not exceed 2 TB')
+      .optional(),
+
+    bandwidth: z
+      .number()
+      .int('Bandwidth must be an integer')
+      .min(100, 'Bandwidth must be at least 100 GB')
+      .max(10000, 'Bandwidth must not exceed 10 TB')
+      .optional(),
+  }).strict(),
 });
 
 // VM action validation (start, stop, restart)
@@ -131,7 +437,7 @@ const vmQuerySchema = z.object({
       .default('10'),
     
     status: z
-      .enum(['RUNNING', 'STOPPED', 'STARTING', 'STOPPING', 'RESTARTING', 'ERROR', 'SUSPENDED'])
+      .enum(['RUNNING', 'STOPPED', 'STARTING', 'STOPPING', 'RESTARTING', 'MIGRATING', 'ERROR', 'SUSPENDED'])
       .optional(),
     
     search: z
@@ -140,8 +446,21 @@ const vmQuerySchema = z.object({
       .max(100, 'Search term must not exceed 100 characters')
       .optional(),
     
+    projectId: z
+      .union([projectRefSchema, z.literal('none')])
+      .optional(),
+
+    // Repeat to match several tags
+    tag: z
+      .union([tagSelectorSchema, z.array(tagSelectorSchema).max(10, 'Maximum 10 tag selectors allowed')])
+      .transform(value => [].concat(value))
+      .optional(),
+
     sortBy: z
-      .enum(['name', 'createdAt', 'updatedAt', 'status', 'cpu', 'ram', 'storage'])
+      .union([
+        z.enum(['name', 'createdAt', 'updatedAt', 'status', 'cpu', 'ram', 'storage', 'project']),
+        z.string().regex(/^tag:[A-Za-z0-9][A-Za-z0-9_./-]{0,62}$/, 'Sort by a field or "tag:<key>"'),
+      ])
       .optional()
       .default('createdAt'),
     
@@ -183,6 +502,152 @@ const createBackupSchema = z.object({
   }),
 });
 
+// VM backup policy validation
+const backupPolicySchema = z.object({
+  body: z.object({
+    schedule: z
+      .string({
+        required_error: 'Schedule is required',
+      })
+      .trim()
+      .refine(val => val.split(/\s+/).length === 5 && cron.validate(val), 'Schedule must be a 5-field cron expression')
+      .refine(val => /^\d{1,2}$/.test(val.split(/\s+/)[0]), 'Schedule must not run more than once per hour'),
+    
+    keepDaily: z
+      .number()
+      .int('Daily retention must be an integer')
+      .min(1, 'At least one daily backup must be kept')
+      .max(90, 'Daily retention must not exceed 90')
+      .optional()
+      .default(7),
+    
+    keepWeekly: z
+      .number()
+      .int('Weekly retention must be an integer')
+      .min(0, 'Weekly retention cannot be negative')
+      .max(52, 'Weekly retention must not exceed 52')
+      .optional()
+      .default(4),
+    
+    keepMonthly: z
+      .number()
+      .int('Monthly retention must be an integer')
+      .min(0, 'Monthly retention cannot be negative')
+      .max(24, 'Monthly retention must not exceed 24')
+      .optional()
+      .default(3),
+    
+    isEnabled: z
+      .boolean()
+      .optional()
+      .default(true),
+  }),
+  
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+});
+
+// VM health check validation
+const healthCheckSchema = z.object({
+  body: z.object({
+    type: z.enum(['HTTP', 'TCP', 'COMMAND'], {
+      required_error: 'Check type is required',
+      invalid_type_error: 'Check type must be HTTP, TCP or COMMAND',
+    }),
+    
+    port: portSchema.optional(),
+    
+    path: z
+      .string()
+      .max(255, 'Path must not exceed 255 characters')
+      .regex(/^\/[\w\-./~%?=&]*$/, 'Path must start with / and contain only URL characters')
+      .optional()
+      .default('/'),
+    
+    command: z
+      .string()
+      .trim()
+      .min(1, 'Command cannot be empty')
+      .max(1000, 'Command must not exceed 1000 characters')
+      .optional(),
+    
+    interval: z
+      .number()
+      .int('Interval must be an integer')
+      .min(10, 'Interval must be at least 10 seconds')
+      .max(3600, 'Interval must not exceed 3600 seconds')
+      .optional()
+      .default(30),
+    
+    timeout: z
+      .number()
+      .int('Timeout must be an integer')
+      .min(1, 'Timeout must be at least 1 second')
+      .max(60, 'Timeout must not exceed 60 seconds')
+      .optional()
+      .default(5),
+    
+    startPeriod: z
+      .number()
+      .int('Start period must be an integer')
+      .min(0, 'Start period cannot be negative')
+      .max(3600, 'Start period must not exceed 3600 seconds')
+      .optional()
+      .default(60),
+    
+    failureThreshold: z
+      .number()
+      .int('Failure threshold must be an integer')
+      .min(1, 'Failure threshold must be at least 1')
+      .max(20, 'Failure threshold must not exceed 20')
+      .optional()
+      .default(3),
+    
+    action: z
+      .enum(['NOTIFY', 'RESTART', 'MARK_ERROR'])
+      .optional()
+      .default('NOTIFY'),
+    
+    maxRestarts: z
+      .number()
+      .int('Maximum restarts must be an integer')
+      .min(1, 'Maximum restarts must be at least 1')
+      .max(10, 'Maximum restarts must not exceed 10')
+      .optional()
+      .default(3),
+    
+    isEnabled: z
+      .boolean()
+      .optional()
+      .default(true),
+  }).strict().superRefine((check, ctx) => {
+    if (check.type !== 'COMMAND' && check.port === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['port'], message: 'HTTP and TCP checks require a port' });
+    }
+    
+    if (check.type === 'COMMAND' && check.command === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['command'], message: 'COMMAND checks require a command' });
+    }
+    
+    if (check.timeout >= check.interval) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['timeout'], message: 'Timeout must be below the interval' });
+    }
+  }),
+  
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+});
+
 // VM container exec validation
 const execContainerSchema = z.object({
   body: z.object({
@@ -237,6 +702,43 @@ const containerLogsSchema = z.object({
   }),
 });
 
+// Container logs follow mode validation
+const containerLogsStreamSchema = z.object({
+  query: z.object({
+    tail: z
+      .string()
+      .regex(/^\d+$/, 'Tail must be a non-negative integer')
+      .transform(Number)
+      .refine(val => val <= 10000, 'Tail must not exceed 10000')
+      .optional()
+      .default('100'),
+    
+    since: z
+      .string()
+      .datetime('Invalid since date format')
+      .optional(),
+    
+    stream: z
+      .enum(['all', 'stdout', 'stderr'])
+      .optional()
+      .default('all'),
+    
+    grep: z
+      .string()
+      .min(1, 'Grep pattern cannot be empty')
+      .max(200, 'Grep pattern must not exceed 200 characters')
+      .optional(),
+  }),
+  
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+});
+
 // VM restore from backup validation
 const restoreBackupSchema = z.object({
   body: z.object({
@@ -290,13 +792,69 @@ const restoreBackupSchema = z.object({
   }),
 });
 
-// VM statistics query validation
-const vmStatsQuerySchema = z.object({
+// Backup archive validation
+const backupArchiveSchema = z.object({
+  params: z.object({
+    backupId: z
+      .string({
+        required_error: 'Backup ID is required',
+      })
+      .cuid('Invalid backup ID format'),
+  }),
+});
+
+// Backup archive import validation (archive is sent as the raw request body)
+const importBackupSchema = z.object({
   query: z.object({
-    startDate: z
+    name: z
       .string()
-      .datetime('Invalid start date format')
-      .optional(),
+      .min(3, 'VM name must be at least 3 characters')
+      .max(50, 'VM name must not exceed 50 characters')
+      .regex(/^[a-zA-Z0-9-_]+$/, 'VM name can only contain letters, numbers, hyphens, and underscores')
+      .optional(),
+    
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+    
+    cpu: z
+      .string()
+      .regex(/^\d+$/, 'CPU cores must be an integer')
+      .transform(Number)
+      .refine(val => val >= 1 && val <= 32, 'CPU cores must be between 1 and 32')
+      .optional(),
+    
+    ram: z
+      .string()
+      .regex(/^\d+$/, 'RAM must be an integer')
+      .transform(Number)
+      .refine(val => val >= 512 && val <= 131072, 'RAM must be between 512 MB and 128 GB')
+      .optional(),
+    
+    storage: z
+      .string()
+      .regex(/^\d+$/, 'Storage must be an integer')
+      .transform(Number)
+      .refine(val => val >= 10 && val <= 2048, 'Storage must be between 10 GB and 2 TB')
+      .optional(),
+    
+    bandwidth: z
+      .string()
+      .regex(/^\d+$/, 'Bandwidth must be an integer')
+      .transform(Number)
+      .refine(val => val >= 100 && val <= 10000, 'Bandwidth must be between 100 GB and 10 TB')
+      .optional(),
+  }),
+});
+
+// VM statistics query validation
+const vmStatsQuerySchema = z.object({
+  query: z.object({
+    startDate: z
+      .string()
+      .datetime('Invalid start date format')
+      .optional(),
     
     endDate: z
       .string()
@@ -346,7 +904,7 @@ const adminVMQuerySchema = z.object({
       .default('20'),
     
     status: z
-      .enum(['RUNNING', 'STOPPED', 'STARTING', 'STOPPING', 'RESTARTING', 'ERROR', 'SUSPENDED'])
+      .enum(['RUNNING', 'STOPPED', 'STARTING', 'STOPPING', 'RESTARTING', 'MIGRATING', 'ERROR', 'SUSPENDED'])
       .optional(),
     
     userId: z
@@ -372,6 +930,24 @@ const adminVMQuerySchema = z.object({
   }),
 });
 
+// VM migration validation
+const vmMigrateSchema = z.object({
+  body: z.object({
+    nodeId: z
+      .string()
+      .cuid('Invalid node ID format')
+      .optional(),
+  }).strict(),
+
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+});
+
 // VM suspend/resume validation
 const vmSuspendSchema = z.object({
   body: z.object({
@@ -391,6 +967,521 @@ const vmSuspendSchema = z.object({
   }),
 });
 
+// Security group validation
+const securityGroupNameSchema = z
+  .string({
+    required_error: 'Security group name is required',
+  })
+  .min(2, 'Security group name must be at least 2 characters')
+  .max(50, 'Security group name must not exceed 50 characters')
+  .regex(/^[a-zA-Z0-9-_]+$/, 'Security group name can only contain letters, numbers, hyphens, and underscores');
+
+const securityGroupIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Security group ID is required',
+    })
+    .cuid('Invalid security group ID format'),
+});
+
+const createSecurityGroupSchema = z.object({
+  body: z.object({
+    name: securityGroupNameSchema,
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+
+    rules: z
+      .array(securityGroupRuleSchema)
+      .max(100, 'Maximum 100 rules allowed')
+      .optional()
+      .default([]),
+  }),
+});
+
+const updateSecurityGroupSchema = z.object({
+  params: securityGroupIdParams,
+  body: z.object({
+    name: securityGroupNameSchema.optional(),
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+
+    rules: z
+      .array(securityGroupRuleSchema)
+      .max(100, 'Maximum 100 rules allowed')
+      .optional(),
+  }).refine(
+    data => ['name', 'description', 'rules'].some(key => data[key] !== undefined),
+    { message: 'At least one field must be provided' }
+  ),
+});
+
+const securityGroupIdSchema = z.object({
+  params: securityGroupIdParams,
+});
+
+// VM security groups validation
+const vmSecurityGroupsSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  body: z.object({
+    securityGroupIds: securityGroupIdsSchema,
+  }),
+});
+
+// Private network validation
+const networkNameSchema = z
+  .string({
+    required_error: 'Network name is required',
+  })
+  .min(2, 'Network name must be at least 2 characters')
+  .max(50, 'Network name must not exceed 50 characters')
+  .regex(/^[a-zA-Z0-9-_]+$/, 'Network name can only contain letters, numbers, hyphens, and underscores');
+
+const networkIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Network ID is required',
+    })
+    .cuid('Invalid network ID format'),
+});
+
+const createNetworkSchema = z.object({
+  body: z.object({
+    name: networkNameSchema,
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+
+    cidr: z
+      .string()
+      .regex(/^\d{1,3}(\.\d{1,3}){3}\/\d{1,2}$/, 'Subnet must be in CIDR notation (e.g. 10.200.5.0/24)')
+      .optional(),
+  }),
+});
+
+const updateNetworkSchema = z.object({
+  params: networkIdParams,
+  body: z.object({
+    name: networkNameSchema.optional(),
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+  }).refine(
+    data => ['name', 'description'].some(key => data[key] !== undefined),
+    { message: 'At least one field must be provided' }
+  ),
+});
+
+const networkIdSchema = z.object({
+  params: networkIdParams,
+});
+
+// VM network attachment validation
+const vmNetworkAttachSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  body: z.object({
+    networkId: z
+      .string({
+        required_error: 'Network ID is required',
+      })
+      .cuid('Invalid network ID format'),
+  }),
+});
+
+const vmNetworkDetachSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+    networkId: z
+      .string({
+        required_error: 'Network ID is required',
+      })
+      .cuid('Invalid network ID format'),
+  }),
+});
+
+// VM public port validation
+const vmPortSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  body: portForwardSchema,
+});
+
+const vmPortIdSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+    portId: z
+      .string({
+        required_error: 'Port ID is required',
+      })
+      .cuid('Invalid port ID format'),
+  }),
+});
+
+// Block storage volume validation
+const volumeNameSchema = z
+  .string({
+    required_error: 'Volume name is required',
+  })
+  .min(2, 'Volume name must be at least 2 characters')
+  .max(50, 'Volume name must not exceed 50 characters')
+  .regex(/^[a-zA-Z0-9-_]+$/, 'Volume name can only contain letters, numbers, hyphens, and underscores');
+
+const volumeSizeSchema = z
+  .number()
+  .int('Size must be a whole number of GB')
+  .positive('Size must be positive');
+
+const volumeIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Volume ID is required',
+    })
+    .cuid('Invalid volume ID format'),
+});
+
+const createVolumeSchema = z.object({
+  body: z.object({
+    name: volumeNameSchema,
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+
+    size: volumeSizeSchema.optional(),
+
+    snapshotId: z
+      .string()
+      .cuid('Invalid snapshot ID format')
+      .optional(),
+  }).strict().refine(
+    data => data.size !== undefined || data.snapshotId !== undefined,
+    { message: 'Size is required unless a snapshot is given' }
+  ),
+});
+
+const resizeVolumeSchema = z.object({
+  params: volumeIdParams,
+  body: z.object({
+    size: volumeSizeSchema,
+  }).strict(),
+});
+
+const volumeIdSchema = z.object({
+  params: volumeIdParams,
+});
+
+const createVolumeSnapshotSchema = z.object({
+  params: volumeIdParams,
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'Snapshot name cannot be empty')
+      .max(100, 'Snapshot name must not exceed 100 characters')
+      .optional(),
+  }).strict(),
+});
+
+const volumeSnapshotIdSchema = z.object({
+  params: volumeIdParams.extend({
+    snapshotId: z
+      .string({
+        required_error: 'Snapshot ID is required',
+      })
+      .cuid('Invalid snapshot ID format'),
+  }),
+});
+
+// VM volume attachment validation
+const vmVolumeAttachSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  body: z.object({
+    volumeId: z
+      .string({
+        required_error: 'Volume ID is required',
+      })
+      .cuid('Invalid volume ID format'),
+
+    mountPath: z
+      .string({
+        required_error: 'Mount path is required',
+      })
+      .max(255, 'Mount path must not exceed 255 characters')
+      .regex(/^\/[a-zA-Z0-9._\/-]+$/, 'Mount path must be an absolute path (e.g. /mnt/data)'),
+  }).strict(),
+});
+
+const vmVolumeDetachSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+    volumeId: z
+      .string({
+        required_error: 'Volume ID is required',
+      })
+      .cuid('Invalid volume ID format'),
+  }),
+});
+
+// Operation validation
+const operationQueryFields = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive integer')
+    .transform(Number)
+    .refine(val => val > 0, 'Page must be greater than 0')
+    .optional()
+    .default('1'),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive integer')
+    .transform(Number)
+    .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+    .optional()
+    .default('20'),
+
+  status: z
+    .enum(['PENDING', 'RUNNING', 'SUCCEEDED', 'FAILED', 'CANCELLED'])
+    .optional(),
+
+  type: z
+    .enum(['VM_START', 'VM_STOP', 'VM_RESTART', 'VM_BACKUP', 'VM_RESTORE', 'VM_MIGRATE'])
+    .optional(),
+};
+
+const operationQuerySchema = z.object({
+  query: z.object(operationQueryFields),
+});
+
+const operationIdSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'Operation ID is required',
+      })
+      .cuid('Invalid operation ID format'),
+  }),
+});
+
+const vmOperationsSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  query: z.object(operationQueryFields),
+});
+
+const vmStateHistorySchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  query: z.object({
+    page: operationQueryFields.page,
+    limit: operationQueryFields.limit,
+  }),
+});
+
+const vmHealthHistorySchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  query: z.object({
+    page: operationQueryFields.page,
+    limit: operationQueryFields.limit,
+  }),
+});
+
+const secretParams = z.object({
+  id: z
+    .string({
+      required_error: 'VM ID is required',
+    })
+    .cuid('Invalid VM ID format'),
+  name: z
+    .string()
+    .max(128, 'Variable name must not exceed 128 characters')
+    .regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'Variable name must be letters, digits and underscores, not a leading digit'),
+});
+
+const vmSecretSchema = z.object({
+  params: secretParams,
+  body: z.object({
+    value: z
+      .string({
+        required_error: 'Value is required',
+      })
+      .max(32768, 'Value must not exceed 32768 characters'),
+    
+    isSecret: z
+      .boolean()
+      .optional()
+      .default(true),
+  }).strict(),
+});
+
+const vmSecretIdSchema = z.object({
+  params: secretParams,
+});
+
+// VM tags validation
+const vmTagsSchema = z.object({
+  params: z.object({
+    id: z
+      .string({
+        required_error: 'VM ID is required',
+      })
+      .cuid('Invalid VM ID format'),
+  }),
+  body: z.object({
+    // null removes a tag when merging
+    tags: z.record(tagKeySchema, tagValueSchema.nullable(), {
+      required_error: 'Tags are required',
+    }),
+  }).strict(),
+});
+
+// VM bulk action validation
+const vmBulkActionSchema = z.object({
+  body: z.object({
+    action: z.enum(['start', 'stop', 'restart', 'backup', 'delete'], {
+      required_error: 'Action is required',
+    }),
+
+    selector: z.object({
+      projectId: projectRefSchema.optional(),
+
+      tags: z
+        .array(tagSelectorSchema)
+        .max(10, 'Maximum 10 tag selectors allowed')
+        .optional(),
+
+      status: z
+        .enum(['RUNNING', 'STOPPED', 'ERROR', 'SUSPENDED'])
+        .optional(),
+    }).strict().refine(
+      selector => selector.projectId || (selector.tags && selector.tags.length > 0),
+      { message: 'Select VMs by project or tags' }
+    ),
+
+    dryRun: z
+      .boolean()
+      .optional()
+      .default(false),
+
+    backupName: z
+      .string()
+      .min(1, 'Backup name cannot be empty')
+      .max(40, 'Backup name prefix must not exceed 40 characters')
+      .regex(/^[a-zA-Z0-9-_]+$/, 'Backup name can only contain letters, numbers, hyphens, and underscores')
+      .optional(),
+
+    backupType: z
+      .enum(['FULL', 'INCREMENTAL', 'DIFFERENTIAL'])
+      .optional()
+      .default('FULL'),
+  }).strict(),
+});
+
+// Project validation
+const projectNameSchema = z
+  .string()
+  .min(2, 'Project name must be at least 2 characters')
+  .max(50, 'Project name must not exceed 50 characters')
+  .regex(/^[a-zA-Z0-9-_ ]+$/, 'Project name can only contain letters, numbers, spaces, hyphens, and underscores');
+
+const projectIdParams = z.object({
+  id: z
+    .string({
+      required_error: 'Project ID is required',
+    })
+    .cuid('Invalid project ID format'),
+});
+
+const createProjectSchema = z.object({
+  body: z.object({
+    name: projectNameSchema,
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+  }),
+});
+
+const updateProjectSchema = z.object({
+  params: projectIdParams,
+  body: z.object({
+    name: projectNameSchema.optional(),
+
+    description: z
+      .string()
+      .max(500, 'Description must not exceed 500 characters')
+      .optional(),
+  }).refine(
+    data => ['name', 'description'].some(key => data[key] !== undefined),
+    { message: 'At least one field must be provided' }
+  ),
+});
+
+const projectIdSchema = z.object({
+  params: projectIdParams,
+});
+
 // VM resource validation helper
 const validateVMResources = (data) => {
   const { cpu, ram, storage } = data;
@@ -412,15 +1503,54 @@ const validateVMResources = (data) => {
 
 module.exports = {
   createVMSchema,
+  templateQuerySchema,
   updateVMSchema,
+  resizeVMSchema,
+  cloneVMSchema,
   vmActionSchema,
   vmQuerySchema,
   createBackupSchema,
+  backupPolicySchema,
+  healthCheckSchema,
   execContainerSchema,
   containerLogsSchema,
+  containerLogsStreamSchema,
   restoreBackupSchema,
+  backupArchiveSchema,
+  importBackupSchema,
   vmStatsQuerySchema,
   adminVMQuerySchema,
   vmSuspendSchema,
+  vmMigrateSchema,
+  createSecurityGroupSchema,
+  updateSecurityGroupSchema,
+  securityGroupIdSchema,
+  vmSecurityGroupsSchema,
+  createNetworkSchema,
+  updateNetworkSchema,
+  networkIdSchema,
+  vmNetworkAttachSchema,
+  vmNetworkDetachSchema,
+  vmPortSchema,
+  vmPortIdSchema,
+  createVolumeSchema,
+  resizeVolumeSchema,
+  volumeIdSchema,
+  createVolumeSnapshotSchema,
+  volumeSnapshotIdSchema,
+  vmVolumeAttachSchema,
+  vmVolumeDetachSchema,
+  operationQuerySchema,
+  operationIdSchema,
+  vmOperationsSchema,
+  vmStateHistorySchema,
+  vmHealthHistorySchema,
+  vmSecretSchema,
+  vmSecretIdSchema,
+  vmTagsSchema,
+  vmBulkActionSchema,
+  createProjectSchema,
+  updateProjectSchema,
+  projectIdSchema,
   validateVMResources,
 };
\ No newline at end of file
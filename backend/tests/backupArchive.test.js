@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { finished } = require('stream/promises');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    backup: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      count: jest.fn(),
+    },
+    virtualMachine: {
+      count: jest.fn(),
+    },
+    computeNode: {
+      findFirst: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../src/services/dockerService', () => ({
+  exportImage: jest.fn(),
+  importImage: jest.fn(),
+  removeImage: jest.fn(),
+}));
+
+jest.mock('../src/services/vmService');
+
+const config = require('../src/config');
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const VMService = require('../src/services/vmService');
+const BackupArchiveService = require('../src/services/backupArchiveService');
+
+const imageBytes = Buffer.from('fake docker save output '.repeat(1000));
+
+const backup = {
+  id: 'backup-1',
+  name: 'nightly',
+  description: null,
+  backupType: 'FULL',
+  status: 'COMPLETED',
+  dockerImageId: 'sha256:abc',
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  vmId: 'vm-1',
+  userId: 'user-1',
+  vm: {
+    id: 'vm-1',
+    name: 'web',
+    cpu: 2,
+    ram: 2048,
+    storage: 40,
+    bandwidth: 1000,
+    dockerImage: 'ubuntu:latest',
+  },
+};
+
+// Reads the image like Docker does, the service removes the file once the import ends
+const loadImages = imageIds => async (stream) => {
+  await finished(stream.resume());
+  return { imageIds, tags: [], output: [] };
+};
+
+describe('Backup Archive Service', () => {
+  let storageDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sahary-backups-'));
+    config.backup.storagePath = storageDir;
+
+    prisma.backup.findFirst.mockResolvedValue(backup);
+    prisma.backup.update.mockImplementation(({ data }) => Promise.resolve({ ...backup, ...data }));
+    prisma.backup.count.mockResolvedValue(0);
+    prisma.virtualMachine.count.mockResolvedValue(0);
+    dockerService.exportImage.mockImplementation(() => Promise.resolve({
+      imageId: 'sha256:abc',
+      tags: ['sahary-backup/nightly:2024'],
+      size: imageBytes.length,
+      stream: Readable.from([imageBytes]),
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+  });
+
+  it('should export a backup with manifest and checksum', async () => {
+    const result = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    const archivePath = path.join(storageDir, 'backup-backup-1.tar.gz');
+    expect(result.backup.backupPath).toBe(archivePath);
+    expect(result.backup.checksum).toMatch(/^[a-f0-9]{64}$/);
+    expect(result.manifest).toMatchObject({
+      format: 'sahary-backup',
+      version: 1,
+      vm: { name: 'web', cpu: 2 },
+      image: { id: 'sha256:abc', size: imageBytes.length },
+    });
+
+    const sidecar = await fs.promises.readFile(`${archivePath}.sha256`, 'utf8');
+    expect(sidecar).toBe(`${result.backup.checksum}  backup-backup-1.tar.gz\n`);
+
+    // Temporary files are cleaned up
+    expect((await fs.promises.readdir(storageDir)).sort())
+      .toEqual(['backup-backup-1.tar.gz', 'backup-backup-1.tar.gz.sha256']);
+  });
+
+  it('should reject backups that are not completed', async () => {
+    prisma.backup.findFirst.mockResolvedValue({ ...backup, status: 'FAILED' });
+
+    await expect(BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1'))
+      .rejects.toThrow('Only completed backups can be exported');
+    expect(dockerService.exportImage).not.toHaveBeenCalled();
+  });
+
+  it('should import an exported archive into a new VM', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    let loadedImage = null;
+    dockerService.importImage.mockImplementation(async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      loadedImage = Buffer.concat(chunks);
+      return { imageIds: ['sha256:def'], tags: [], output: [] };
+    });
+    VMService.createVM.mockResolvedValue({ id: 'vm-2', name: 'web-imported' });
+    prisma.computeNode.findFirst.mockResolvedValue({ id: 'node-local', name: 'local', endpoint: null });
+    prisma.backup.create.mockImplementation(({ data }) => Promise.resolve({ id: 'backup-2', ...data }));
+    prisma.backup.update.mockImplementation(({ data }) => Promise.resolve({ id: 'backup-2', ...data }));
+
+    const result = await BackupArchiveService.importArchive(
+      fs.createReadStream(exported.backup.backupPath),
+      'user-2',
+      { checksum: exported.backup.checksum },
+    );
+
+    expect(loadedImage.equals(imageBytes)).toBe(true);
+    expect(dockerService.importImage).toHaveBeenCalledWith(expect.anything(), { untagged: true });
+    expect(VMService.createVM).toHaveBeenCalledWith('user-2', expect.objectContaining({
+      name: 'web-imported',
+      cpu: 2,
+      ram: 2048,
+      dockerImage: 'sha256:def',
+      placement: { nodeId: 'node-local' },
+    }));
+    expect(result.backup.backupPath).toBe(path.join(storageDir, 'backup-backup-2.tar.gz'));
+    expect(fs.existsSync(result.backup.backupPath)).toBe(true);
+    expect(await fs.promises.readdir(path.join(storageDir, 'imports'))).toEqual([]);
+  });
+
+  it('should delete the new VM when the import fails after creating it', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    dockerService.importImage.mockImplementation(loadImages(['sha256:def']));
+    VMService.createVM.mockResolvedValue({ id: 'vm-2', name: 'web-imported' });
+    VMService.deleteVM.mockResolvedValue();
+    prisma.computeNode.findFirst.mockResolvedValue({ id: 'node-local', name: 'local', endpoint: null });
+    prisma.backup.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(BackupArchiveService.importArchive(fs.createReadStream(exported.backup.backupPath), 'user-2'))
+      .rejects.toThrow('Backup import failed: connection lost');
+    expect(VMService.deleteVM).toHaveBeenCalledWith('vm-2', 'user-2');
+  });
+
+  it('should remove the loaded image when the VM cannot be created', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    dockerService.importImage.mockImplementation(loadImages(['sha256:def']));
+    VMService.createVM.mockRejectedValue(new Error('Quota exceeded: vms (limit 1, allocated 1, requested 1)'));
+    prisma.computeNode.findFirst.mockResolvedValue({ id: 'node-local', name: 'local', endpoint: null });
+
+    await expect(BackupArchiveService.importArchive(fs.createReadStream(exported.backup.backupPath), 'user-2'))
+      .rejects.toThrow('Backup import failed: Quota exceeded');
+    expect(VMService.deleteVM).not.toHaveBeenCalled();
+    expect(dockerService.removeImage).toHaveBeenCalledWith('sha256:def');
+  });
+
+  it('should keep a loaded image that other backups use', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    dockerService.importImage.mockImplementation(loadImages(['sha256:abc']));
+    VMService.createVM.mockRejectedValue(new Error('VM with this name already exists'));
+    prisma.computeNode.findFirst.mockResolvedValue({ id: 'node-local', name: 'local', endpoint: null });
+    prisma.backup.count.mockResolvedValue(1);
+
+    await expect(BackupArchiveService.importArchive(fs.createReadStream(exported.backup.backupPath), 'user-2'))
+      .rejects.toThrow('VM with this name already exists');
+    expect(dockerService.removeImage).not.toHaveBeenCalled();
+  });
+
+  it('should reject archives that load more than one image', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    dockerService.importImage.mockImplementation(loadImages(['sha256:def', 'sha256:123']));
+
+    await expect(BackupArchiveService.importArchive(fs.createReadStream(exported.backup.backupPath), 'user-2'))
+      .rejects.toThrow('Archive image must contain exactly one image');
+    expect(VMService.createVM).not.toHaveBeenCalled();
+  });
+
+  it('should reject archives with a wrong checksum', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+
+    await expect(BackupArchiveService.importArchive(
+      fs.createReadStream(exported.backup.backupPath),
+      'user-2',
+      { checksum: '0'.repeat(64) },
+    )).rejects.toThrow('Archive checksum mismatch');
+    expect(VMService.createVM).not.toHaveBeenCalled();
+  });
+
+  it('should reject files that are not archives', async () => {
+    await expect(BackupArchiveService.importArchive(
+      Readable.from([Buffer.from('not a gzip file')]),
+      'user-2',
+    )).rejects.toThrow('Invalid archive');
+    expect(dockerService.importImage).not.toHaveBeenCalled();
+  });
+
+  it('should enforce the maximum import size', async () => {
+    const originalLimit = config.backup.maxImportSize;
+    config.backup.maxImportSize = 10;
+
+    try {
+      await expect(BackupArchiveService.importArchive(
+        Readable.from([Buffer.alloc(100)]),
+        'user-2',
+      )).rejects.toThrow('Archive exceeds the maximum import size');
+    } finally {
+      config.backup.maxImportSize = originalLimit;
+    }
+  });
+
+  it('should enforce the maximum decompressed image size', async () => {
+    const exported = await BackupArchiveService.exportBackup('backup-1', 'user-1', 'user-1');
+    const originalLimit = config.backup.maxImportImageSize;
+    config.backup.maxImportImageSize = 1024;
+
+    try {
+      await expect(BackupArchiveService.importArchive(fs.createReadStream(exported.backup.backupPath), 'user-2'))
+        .rejects.toThrow('Archive exceeds the maximum image size');
+      expect(dockerService.importImage).not.toHaveBeenCalled();
+    } finally {
+      config.backup.maxImportImageSize = originalLimit;
+    }
+  });
+});
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar-stream');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    backup: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../src/services/dockerService', () => ({
+  getContainerChanges: jest.fn(),
+  getContainerArchive: jest.fn(),
+  buildImageFromLayers: jest.fn(),
+}));
+
+jest.mock('../src/services/vmService');
+
+const config = require('../src/config');
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const VMService = require('../src/services/vmService');
+const BackupChainService = require('../src/services/backupChainService');
+const { VMStateError } = require('../src/utils/errors');
+
+const vm = { id: 'vm-1', name: 'web', userId: 'user-1', status: 'RUNNING', dockerContainerId: 'container-1' };
+
+// Simulated container filesystem: path -> { type, content }
+let files = {};
+
+const archiveOf = (filePath) => {
+  const file = files[filePath];
+  if (!file) {
+    return null;
+  }
+
+  const pack = tar.pack();
+  const name = path.posix.basename(filePath);
+
+  if (file.type === 'directory') {
+    pack.entry({ name: `${name}/`, type: 'directory', mode: 0o755 });
+    pack.entry({ name: `${name}/child` }, 'should not be read');
+  } else {
+    pack.entry({ name, mode: file.mode || 0o644 }, file.content);
+  }
+
+  pack.finalize();
+  return pack;
+};
+
+const readDelta = async (deltaPath) => {
+  const entries = {};
+  const extract = tar.extract();
+
+  extract.on('entry', (header, stream, next) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      entries[header.name] = { type: header.type, content: Buffer.concat(chunks).toString() };
+      next();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    extract.on('finish', resolve);
+    extract.on('error', reject);
+    fs.createReadStream(deltaPath).pipe(zlib.createGunzip()).pipe(extract);
+  });
+
+  return entries;
+};
+
+describe('Backup Chain Service', () => {
+  let storageDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sahary-chain-'));
+    config.backup.storagePath = storageDir;
+
+    files = {
+      '/app': { type: 'directory' },
+      '/app/config.json': { type: 'file', content: '{"debug":false}' },
+      '/app/data.db': { type: 'file', content: 'rows' },
+      '/var/cache': { type: 'directory' },
+    };
+
+    VMService.getVMById.mockResolvedValue(vm);
+    dockerService.getContainerArchive.mockImplementation((containerId, filePath) => Promise.resolve(archiveOf(filePath)));
+    prisma.backup.create.mockImplementation(({ data }) => Promise.resolve({ id: 'backup-2', ...data }));
+    prisma.backup.update.mockImplementation(({ data }) => Promise.resolve({ id: 'backup-2', ...data }));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+  });
+
+  const fullIndex = async () => {
+    dockerService.getContainerChanges.mockResolvedValue([
+      { Path: '/app', Kind: 1 },
+      { Path: '/app/config.json', Kind: 1 },
+      { Path: '/app/data.db', Kind: 1 },
+      { Path: '/var/cache', Kind: 1 },
+    ]);
+
+    const scan = await BackupChainService.scanContainer('container-1');
+    return scan.index;
+  };
+
+  describe('getChangedLeaves', () => {
+    it('should drop changed parent directories and paths below deleted directories', () => {
+      const leaves = BackupChainService.getChangedLeaves([
+        { Path: '/etc', Kind: 0 },
+        { Path: '/etc/nginx', Kind: 0 },
+        { Path: '/etc/nginx/nginx.conf', Kind: 0 },
+        { Path: '/opt/old', Kind: 2 },
+        { Path: '/opt/old/bin', Kind: 2 },
+        { Path: '/tmp/empty', Kind: 1 },
+      ]);
+
+      expect(Array.from(leaves.entries())).toEqual([
+        ['/etc/nginx/nginx.conf', 0],
+        ['/opt/old', 2],
+        ['/tmp/empty', 1],
+      ]);
+    });
+  });
+
+  describe('scanContainer', () => {
+    it('should index changed paths without descending into directories', async () => {
+      const index = await fullIndex();
+
+      expect(Object.keys(index).sort()).toEqual(['/app/config.json', '/app/data.db', '/var/cache']);
+      expect(index['/var/cache']).toMatchObject({ type: 'directory', mode: 0o755 });
+      expect(index['/app/config.json']).toMatchObject({ type: 'file', size: 15 });
+      expect(index['/app/config.json'].sha256).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should store only the paths changed since the parent', async () => {
+      const parentIndex = await fullIndex();
+
+      files['/app/config.json'] = { type: 'file', content: '{"debug":true}' };
+      files['/app/new.log'] = { type: 'file', content: 'hello' };
+      delete files['/app/data.db'];
+      dockerService.getContainerChanges.mockResolvedValue([
+        { Path: '/app', Kind: 1 },
+        { Path: '/app/config.json', Kind: 1 },
+        { Path: '/app/new.log', Kind: 1 },
+        { Path: '/var/cache', Kind: 1 },
+      ]);
+
+      const deltaPath = path.join(storageDir, 'delta.tar.gz');
+      const scan = await BackupChainService.scanContainer('container-1', parentIndex, deltaPath);
+
+      expect(scan.changedPaths).toBe(2);
+      expect(scan.deletedPaths).toEqual(['/app/data.db']);
+      expect(scan.index['/app/data.db']).toEqual({ type: 'deleted' });
+      expect(scan.size).toBe(fs.statSync(deltaPath).size);
+
+      const entries = await readDelta(deltaPath);
+      expect(entries).toEqual({
+        'app/config.json': { type: 'file', content: '{"debug":true}' },
+        'app/new.log': { type: 'file', content: 'hello' },
+      });
+      expect(fs.readdirSync(storageDir)).toEqual(['delta.tar.gz']);
+    });
+
+    it('should store paths that were reverted to the image content', async () => {
+      const parentIndex = await fullIndex();
+
+      files['/app/config.json'] = { type: 'file', content: 'image default' };
+      dockerService.getContainerChanges.mockResolvedValue([
+        { Path: '/app', Kind: 1 },
+        { Path: '/app/data.db', Kind: 1 },
+        { Path: '/var/cache', Kind: 1 },
+      ]);
+
+      const deltaPath = path.join(storageDir, 'delta.tar.gz');
+      await BackupChainService.scanContainer('container-1', parentIndex, deltaPath);
+
+      expect(await readDelta(deltaPath)).toEqual({
+        'app/config.json': { type: 'file', content: 'image default' },
+      });
+    });
+  });
+
+  describe('createBackup', () => {
+    it('should index FULL backups', async () => {
+      dockerService.getContainerChanges.mockResolvedValue([{ Path: '/app/data.db', Kind: 1 }]);
+      VMService.createVMBackup.mockResolvedValue({ id: 'backup-1', backupType: 'FULL' });
+      prisma.backup.update.mockImplementation(({ data }) => Promise.resolve({ id: 'backup-1', ...data }));
+
+      const backup = await BackupChainService.createBackup('vm-1', 'user-1', 'nightly', { policyId: 'policy-1' });
+
+      expect(VMService.createVMBackup).toHaveBeenCalledWith('vm-1', 'user-1', 'nightly', { policyId: 'policy-1' });
+      expect(Object.keys(backup.fileIndex)).toEqual(['/app/data.db']);
+    });
+
+    it('should create an INCREMENTAL backup against the latest backup', async () => {
+      const parentIndex = await fullIndex();
+      prisma.backup.findFirst.mockResolvedValue({ id: 'backup-1', name: 'full', fileIndex: parentIndex });
+      files['/app/data.db'] = { type: 'file', content: 'more rows' };
+
+      const backup = await BackupChainService.createBackup('vm-1', 'user-1', 'hourly', { backupType: 'INCREMENTAL' });
+
+      expect(prisma.backup.findFirst).toHaveBeenCalledWith({
+        where: { vmId: 'vm-1', status: 'COMPLETED' },
+        orderBy: { createdAt: 'desc' },
+      });
+      expect(prisma.backup.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ backupType: 'INCREMENTAL', parentId: 'backup-1', status: 'IN_PROGRESS' }),
+      });
+      expect(backup).toMatchObject({
+        status: 'COMPLETED',
+        deltaPath: path.join(storageDir, 'delta-backup-2.tar.gz'),
+        deletedPaths: [],
+      });
+      expect(Object.keys(await readDelta(backup.deltaPath))).toEqual(['app/data.db']);
+      expect(VMService.logVMEvent).toHaveBeenCalledWith('user-1', 'VM_BACKUP_CREATED', 'vm-1', expect.objectContaining({
+        backupType: 'INCREMENTAL',
+        changedPaths: 1,
+      }));
+    });
+
+    it('should build DIFFERENTIAL backups on the latest FULL backup', async () => {
+      prisma.backup.findFirst.mockResolvedValue(null);
+
+      await expect(BackupChainService.createBackup('vm-1', 'user-1', 'diff', { backupType: 'DIFFERENTIAL' }))
+        .rejects.toThrow('DIFFERENTIAL backups require a completed FULL backup of the VM');
+
+      expect(prisma.backup.findFirst).toHaveBeenCalledWith({
+        where: { vmId: 'vm-1', status: 'COMPLETED', backupType: 'FULL' },
+        orderBy: { createdAt: 'desc' },
+      });
+      expect(prisma.backup.create).not.toHaveBeenCalled();
+    });
+
+    it('should mark the backup as failed when the container cannot be read', async () => {
+      prisma.backup.findFirst.mockResolvedValue({ id: 'backup-1', name: 'full', fileIndex: {} });
+      dockerService.getContainerChanges.mockRejectedValue(new Error('container is gone'));
+
+      await expect(BackupChainService.createBackup('vm-1', 'user-1', 'hourly', { backupType: 'INCREMENTAL' }))
+        .rejects.toThrow('Failed to create VM backup: container is gone');
+
+      expect(prisma.backup.update).toHaveBeenCalledWith({
+        where: { id: 'backup-2' },
+        data: { status: 'FAILED' },
+      });
+      expect(fs.readdirSync(storageDir)).toEqual([]);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    const writeDelta = (name) => {
+      const deltaPath = path.join(storageDir, name);
+      fs.writeFileSync(deltaPath, 'delta');
+      return deltaPath;
+    };
+
+    it('should rebuild the image from the backup chain', async () => {
+      const chain = {
+        full: { id: 'full', name: 'full', backupType: 'FULL', status: 'COMPLETED', dockerImageId: 'sha256:full' },
+        inc1: {
+          id: 'inc1', name: 'inc1', backupType: 'INCREMENTAL', status: 'COMPLETED', parentId: 'full',
+          deltaPath: writeDelta('delta-inc1.tar.gz'), deletedPaths: ['/tmp/a'],
+        },
+        inc2: {
+          id: 'inc2', name: 'inc2', backupType: 'INCREMENTAL', status: 'COMPLETED', parentId: 'inc1',
+          deltaPath: writeDelta('delta-inc2.tar.gz'), deletedPaths: [],
+        },
+      };
+      prisma.backup.findFirst.mockResolvedValue(chain.inc2);
+      prisma.backup.findUnique.mockImplementation(({ where }) => Promise.resolve(chain[where.id]));
+      dockerService.buildImageFromLayers.mockResolvedValue({ imageId: 'sha256:restored' });
+      VMService.restoreVMFromBackup.mockResolvedValue({ id: 'vm-2' });
+
+      const restored = await BackupChainService.restoreBackup('inc2', 'user-1', { name: 'web-copy' });
+
+      expect(dockerService.buildImageFromLayers).toHaveBeenCalledWith(
+        'sha256:full',
+        [
+          { archivePath: chain.inc1.deltaPath, deletedPaths: ['/tmp/a'] },
+          { archivePath: chain.inc2.deltaPath, deletedPaths: [] },
+        ],
+        expect.objectContaining({ repo: 'sahary-restore/inc2' }),
+      );
+      expect(VMService.restoreVMFromBackup).toHaveBeenCalledWith('inc2', 'user-1', { name: 'web-copy' }, {
+        dockerImage: 'sha256:restored',
+      });
+      expect(restored).toEqual({ id: 'vm-2' });
+    });
+
+    it('should restore FULL backups from their image', async () => {
+      prisma.backup.findFirst.mockResolvedValue({ id: 'full', backupType: 'FULL' });
+      VMService.restoreVMFromBackup.mockResolvedValue({ id: 'vm-2' });
+
+      await BackupChainService.restoreBackup('full', 'user-1', {});
+
+      expect(VMService.restoreVMFromBackup).toHaveBeenCalledWith('full', 'user-1', {});
+      expect(dockerService.buildImageFromLayers).not.toHaveBeenCalled();
+    });
+
+    it('should keep the conflict status of VM state errors', async () => {
+      prisma.backup.findFirst.mockResolvedValue({ id: 'full', backupType: 'FULL' });
+      VMService.restoreVMFromBackup.mockRejectedValue(new VMStateError('Cannot update suspended VM'));
+
+      const error = await BackupChainService.restoreBackup('full', 'user-1', {}).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(VMStateError);
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe('Failed to restore VM from backup: Cannot update suspended VM');
+    });
+
+    it('should reject chains with a missing changes archive', async () => {
+      prisma.backup.findFirst.mockResolvedValue({
+        id: 'diff', name: 'diff', backupType: 'DIFFERENTIAL', status: 'COMPLETED', parentId: 'full',
+        deltaPath: path.join(storageDir, 'missing.tar.gz'), deletedPaths: [],
+      });
+
+      await expect(BackupChainService.restoreBackup('diff', 'user-1', {}))
+        .rejects.toThrow('Changes archive of backup "diff" is missing');
+      expect(VMService.restoreVMFromBackup).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const fs = require('fs');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    backupPolicy: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    backup: {
+      findMany: jest.fn(),
+      delete: jest.fn(),
+    },
+    notification: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../src/services/dockerService', () => ({
+  removeImage: jest.fn(),
+}));
+
+jest.mock('../src/services/vmService');
+jest.mock('../src/services/backupChainService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const VMService = require('../src/services/vmService');
+const BackupChainService = require('../src/services/backupChainService');
+const BackupPolicyService = require('../src/services/backupPolicyService');
+
+const policy = {
+  id: 'policy-1',
+  vmId: 'vm-1',
+  userId: 'user-1',
+  schedule: '0 2 * * *',
+  keepDaily: 2,
+  keepWeekly: 1,
+  keepMonthly: 1,
+  isEnabled: true,
+  vm: { id: 'vm-1', name: 'Web-Server' },
+};
+
+const backupAt = (id, isoDate) => ({ id, createdAt: new Date(isoDate), dockerImageId: `sha256:${id}` });
+
+describe('Backup Policy Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VMService.getVMById.mockResolvedValue({ id: 'vm-1', name: 'Web-Server', userId: 'user-1' });
+    prisma.backupPolicy.findUnique.mockResolvedValue(policy);
+    prisma.backupPolicy.update.mockResolvedValue(policy);
+    prisma.backup.findMany.mockResolvedValue([]);
+  });
+
+  describe('selectBackupsToKeep', () => {
+    it('should keep the newest backup per day, week and month', () => {
+      const backups = [
+        backupAt('mon-late', '2024-03-11T22:00:00Z'),
+        backupAt('mon-early', '2024-03-11T02:00:00Z'),
+        backupAt('sun', '2024-03-10T02:00:00Z'),
+        backupAt('sat', '2024-03-09T02:00:00Z'),
+        backupAt('feb', '2024-02-20T02:00:00Z'),
+      ];
+
+      const keep = BackupPolicyService.selectBackupsToKeep(backups, {
+        keepDaily: 2,
+        keepWeekly: 2,
+        keepMonthly: 2,
+      });
+
+      // Daily: mon-late, sun; weekly: mon-late (week of 11th), sun (week of 4th); monthly: mon-late, feb
+      expect(Array.from(keep).sort()).toEqual(['feb', 'mon-late', 'sun']);
+    });
+
+    it('should not depend on input order', () => {
+      const backups = [
+        backupAt('old', '2024-01-01T00:00:00Z'),
+        backupAt('new', '2024-01-02T00:00:00Z'),
+      ];
+
+      const keep = BackupPolicyService.selectBackupsToKeep(backups, {
+        keepDaily: 1,
+        keepWeekly: 0,
+        keepMonthly: 0,
+      });
+
+      expect(Array.from(keep)).toEqual(['new']);
+    });
+  });
+
+  describe('getWeekStart', () => {
+    it('should use Monday as the first day of the week', () => {
+      expect(BackupPolicyService.getWeekStart(new Date('2024-03-10T23:00:00Z'))).toBe('2024-03-04');
+      expect(BackupPolicyService.getWeekStart(new Date('2024-03-11T00:00:00Z'))).toBe('2024-03-11');
+    });
+  });
+
+  describe('runPolicy', () => {
+    it('should back up the VM and prune expired backups', async () => {
+      BackupChainService.createBackup.mockResolvedValue({ id: 'backup-new' });
+      prisma.backup.findMany.mockResolvedValue([
+        backupAt('today', '2024-03-11T02:00:00Z'),
+        backupAt('yesterday', '2024-03-10T02:00:00Z'),
+        backupAt('expired', '2024-03-09T02:00:00Z'),
+      ]);
+
+      const result = await BackupPolicyService.runPolicy('policy-1');
+
+      expect(BackupChainService.createBackup).toHaveBeenCalledWith(
+        'vm-1',
+        'user-1',
+        expect.stringMatching(/^auto-web-server-\d{8}-\d{4}$/),
+        { policyId: 'policy-1' },
+      );
+      expect(prisma.backupPolicy.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ lastStatus: 'COMPLETED', lastError: null }),
+      }));
+      expect(dockerService.removeImage).toHaveBeenCalledWith('sha256:expired');
+      expect(prisma.backup.delete).toHaveBeenCalledWith({ where: { id: 'expired' } });
+      expect(result).toEqual({ skipped: false, backupId: 'backup-new', pruned: 1 });
+    });
+
+    it('should record failures and notify the owner', async () => {
+      BackupChainService.createBackup.mockRejectedValue(new Error('No container associated with this VM'));
+
+      const result = await BackupPolicyService.runPolicy('policy-1');
+
+      expect(result.error).toBe('No container associated with this VM');
+      expect(prisma.backupPolicy.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          lastStatus: 'FAILED',
+          lastError: 'No container associated with this VM',
+        }),
+      }));
+      expect(prisma.notification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 'user-1',
+          type: 'ERROR',
+          title: 'Scheduled backup failed',
+        }),
+      });
+    });
+
+    it('should skip disabled policies', async () => {
+      prisma.backupPolicy.findUnique.mockResolvedValue({ ...policy, isEnabled: false });
+
+      const result = await BackupPolicyService.runPolicy('policy-1');
+
+      expect(result).toEqual({ skipped: true });
+      expect(BackupChainService.createBackup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyRetention', () => {
+    it('should keep pruning when one image cannot be removed', async () => {
+      prisma.backup.findMany.mockResolvedValue([
+        backupAt('keep', '2024-03-11T02:00:00Z'),
+        backupAt('broken', '2024-02-01T02:00:00Z'),
+        backupAt('expired', '2024-01-01T02:00:00Z'),
+      ]);
+      dockerService.removeImage
+        .mockRejectedValueOnce(new Error('image is in use'))
+        .mockResolvedValueOnce(true);
+
+      const result = await BackupPolicyService.applyRetention({
+        ...policy,
+        keepDaily: 1,
+        keepWeekly: 0,
+        keepMonthly: 0,
+      });
+
+      expect(result.pruned).toBe(1);
+      expect(result.failed).toBe(1);
+      expect(prisma.backup.delete).toHaveBeenCalledTimes(1);
+      expect(prisma.backup.delete).toHaveBeenCalledWith({ where: { id: 'expired' } });
+    });
+
+    it('should keep expired backups that other backups depend on', async () => {
+      prisma.backup.findMany.mockResolvedValue([
+        backupAt('keep', '2024-03-11T02:00:00Z'),
+        { ...backupAt('parent', '2024-02-01T02:00:00Z'), _count: { children: 1 } },
+        { ...backupAt('expired', '2024-01-01T02:00:00Z'), _count: { children: 0 } },
+      ]);
+
+      const result = await BackupPolicyService.applyRetention({
+        ...policy,
+        keepDaily: 1,
+        keepWeekly: 0,
+        keepMonthly: 0,
+      });
+
+      expect(result.pruned).toBe(1);
+      expect(prisma.backup.delete).toHaveBeenCalledWith({ where: { id: 'expired' } });
+      expect(dockerService.removeImage).not.toHaveBeenCalledWith('sha256:parent');
+    });
+
+    it('should remove the changes and exported archives of pruned backups', async () => {
+      const unlink = jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+      prisma.backup.findMany.mockResolvedValue([
+        backupAt('keep', '2024-03-11T02:00:00Z'),
+        {
+          id: 'delta',
+          createdAt: new Date('2024-01-01T02:00:00Z'),
+          dockerImageId: null,
+          backupPath: '/backups/backup-delta.tar.gz',
+          deltaPath: '/backups/delta-delta.tar.gz',
+        },
+      ]);
+
+      try {
+        await BackupPolicyService.applyRetention({
+          ...policy,
+          keepDaily: 1,
+          keepWeekly: 0,
+          keepMonthly: 0,
+        });
+
+        expect(unlink).toHaveBeenCalledWith('/backups/delta-delta.tar.gz');
+        expect(unlink).toHaveBeenCalledWith('/backups/backup-delta.tar.gz');
+        expect(unlink).toHaveBeenCalledWith('/backups/backup-delta.tar.gz.sha256');
+      } finally {
+        unlink.mockRestore();
+      }
+    });
+  });
+
+  describe('upsertPolicy', () => {
+    it('should store the policy for the VM owner', async () => {
+      prisma.backupPolicy.upsert.mockResolvedValue(policy);
+
+      await BackupPolicyService.upsertPolicy('vm-1', null, {
+        schedule: '0 2 * * *',
+        keepDaily: 7,
+        keepWeekly: 4,
+        keepMonthly: 3,
+        isEnabled: true,
+      }, 'admin-1');
+
+      const { create } = prisma.backupPolicy.upsert.mock.calls[0][0];
+      expect(create.userId).toBe('user-1');
+      expect(VMService.logVMEvent).toHaveBeenCalledWith(
+        'admin-1',
+        'VM_BACKUP_POLICY_UPDATED',
+        'vm-1',
+        expect.any(Object),
+      );
+    });
+
+    it('should reject VMs the user cannot access', async () => {
+      VMService.getVMById.mockResolvedValue(null);
+
+      await expect(BackupPolicyService.upsertPolicy('vm-1', 'user-2', { schedule: '0 2 * * *' }, 'user-2'))
+        .rejects.toThrow('VM not found or access denied');
+    });
+  });
+});
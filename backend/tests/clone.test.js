@@ -0,0 +1,250 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    imageTemplate: {
+      findUnique: jest.fn(),
+    },
+    usageRecord: {
+      deleteMany: jest.fn(),
+    },
+    backup: {
+      findMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  snapshotContainer: jest.fn(),
+  createContainer: jest.fn(),
+  copyContainerPath: jest.fn(),
+  removeContainer: jest.fn(),
+  removeImage: jest.fn(),
+}));
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/sshKeyService');
+jest.mock('../src/services/securityGroupService');
+jest.mock('../src/services/firewallService');
+jest.mock('../src/services/portService');
+jest.mock('../src/services/volumeService');
+jest.mock('../src/services/nodeService');
+jest.mock('../src/services/schedulerService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const QuotaService = require('../src/services/quotaService');
+const IpamService = require('../src/services/ipamService');
+const SshKeyService = require('../src/services/sshKeyService');
+const SecurityGroupService = require('../src/services/securityGroupService');
+const PortService = require('../src/services/portService');
+const VolumeService = require('../src/services/volumeService');
+const NodeService = require('../src/services/nodeService');
+const SchedulerService = require('../src/services/schedulerService');
+const VMService = require('../src/services/vmService');
+const { cloneVMSchema } = require('../src/validations/vm.validation');
+
+const sshKey = { id: 'key-1', publicKey: 'ssh-ed25519 AAAA' };
+
+const source = {
+  id: 'vm-1',
+  name: 'prod-web',
+  description: 'Production web server',
+  userId: 'user-1',
+  status: 'RUNNING',
+  cpu: 2,
+  ram: 2048,
+  storage: 40,
+  bandwidth: 1000,
+  dockerImage: 'nginx:latest',
+  dockerContainerId: 'container-1',
+  templateId: null,
+  nodeId: 'node-2',
+  sshKeys: [sshKey],
+  securityGroups: [{ id: 'sg-1', name: 'web' }],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [],
+  volumes: [],
+};
+
+describe('VM Clone', () => {
+  let vms;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vms = { 'vm-1': source };
+    prisma.virtualMachine.findUnique.mockImplementation(({ where }) => Promise.resolve(vms[where.id] || null));
+    prisma.virtualMachine.findFirst.mockResolvedValue(null);
+    prisma.backup.findMany.mockResolvedValue([]);
+    prisma.virtualMachine.create.mockImplementation(({ data }) => {
+      vms['vm-2'] = { id: 'vm-2', ...data, sshKeys: [sshKey], securityGroups: [], privateNetworks: [], ipLeases: [], portLeases: [], volumes: [] };
+      return Promise.resolve(vms['vm-2']);
+    });
+    prisma.virtualMachine.update.mockImplementation(({ where, data }) => {
+      Object.assign(vms[where.id], data);
+      return Promise.resolve(vms[where.id]);
+    });
+
+    QuotaService.reserve.mockImplementation((userId, request, allocate) => allocate(prisma));
+    IpamService.allocateAddress.mockResolvedValue({ address: '10.100.0.6', pool: { network: 'sahary-network' } });
+    SshKeyService.resolveKeys.mockResolvedValue([sshKey]);
+    SecurityGroupService.resolveGroups.mockResolvedValue([{ id: 'sg-1', name: 'web' }]);
+    PortService.withEndpoints.mockImplementation(leases => leases);
+    PortService.getPortBindings.mockReturnValue([]);
+    VolumeService.getContainerBinds.mockReturnValue([]);
+    NodeService.getDocker.mockResolvedValue(dockerService);
+    NodeService.ensureLocalNode.mockResolvedValue({ id: 'node-2', name: 'node-b', endpoint: null });
+    SchedulerService.placeVM.mockImplementation(({ nodeId }) => Promise.resolve({ id: nodeId, name: 'node-b' }));
+    dockerService.snapshotContainer.mockResolvedValue({ imageId: 'sha256:abc', image: 'sahary-clone/vm-1:1700000000000' });
+    dockerService.createContainer.mockResolvedValue({ containerId: 'container-2' });
+    dockerService.copyContainerPath.mockResolvedValue(true);
+    dockerService.removeImage.mockResolvedValue(true);
+  });
+
+  it('should create a VM from a snapshot of the source container', async () => {
+    const clone = await VMService.cloneVM('vm-1', 'user-1', { name: 'staging-web' });
+
+    expect(dockerService.snapshotContainer).toHaveBeenCalledWith('container-1', 'sahary-clone/vm-1', 'Clone');
+    expect(prisma.virtualMachine.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        name: 'staging-web',
+        description: 'Production web server',
+        cpu: 2,
+        ram: 2048,
+        storage: 40,
+        dockerImage: 'sahary-clone/vm-1:1700000000000',
+        userId: 'user-1',
+        sshKeys: { connect: [{ id: 'key-1' }] },
+        securityGroups: { connect: [{ id: 'sg-1' }] },
+      }),
+    });
+    expect(clone).toMatchObject({ id: 'vm-2', ipAddress: '10.100.0.6', dockerContainerId: 'container-2' });
+  });
+
+  it('should copy the data volume into the clone container', async () => {
+    await VMService.cloneVM('vm-1', 'user-1', {});
+
+    expect(dockerService.createContainer).toHaveBeenCalledWith(expect.objectContaining({
+      vmId: 'vm-2',
+      image: 'sahary-clone/vm-1:1700000000000',
+      volumes: ['sahary-vm-vm-2-data:/data'],
+      ipAddress: '10.100.0.6',
+    }));
+    expect(dockerService.copyContainerPath).toHaveBeenCalledWith('container-1', 'container-2', '/data');
+  });
+
+  it('should remove the snapshot once the clone container holds it', async () => {
+    await VMService.cloneVM('vm-1', 'user-1', {});
+
+    expect(dockerService.removeImage).toHaveBeenCalledWith('sahary-clone/vm-1:1700000000000');
+    expect(dockerService.removeImage.mock.invocationCallOrder[0])
+      .toBeGreaterThan(dockerService.copyContainerPath.mock.invocationCallOrder[0]);
+    expect(prisma.virtualMachine.update).toHaveBeenCalledWith({
+      where: { id: 'vm-2' },
+      data: expect.objectContaining({ dockerContainerId: 'container-2', dockerImage: 'nginx:latest' }),
+    });
+  });
+
+  it('should place the clone on the node of its snapshot', async () => {
+    await VMService.cloneVM('vm-1', 'user-1', {});
+
+    expect(NodeService.getDocker).toHaveBeenCalledWith(expect.objectContaining({ id: 'vm-1', nodeId: 'node-2' }));
+    expect(SchedulerService.placeVM).toHaveBeenCalledWith(expect.objectContaining({ nodeId: 'node-2', cpu: 2, ram: 2048 }));
+    expect(prisma.virtualMachine.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ nodeId: 'node-2' }),
+    });
+  });
+
+  it('should refuse to take the security groups to another node', async () => {
+    NodeService.ensureLocalNode.mockResolvedValue({ id: 'node-1', name: 'local', endpoint: null });
+
+    await expect(VMService.cloneVM('vm-1', 'user-1', {}))
+      .rejects.toThrow('Security groups can only be attached to VMs on the local compute node');
+    expect(SchedulerService.placeVM).not.toHaveBeenCalled();
+  });
+
+  it('should apply resource overrides and default the name', async () => {
+    await VMService.cloneVM('vm-1', 'user-1', { cpu: 1, ram: 1024 });
+
+    expect(prisma.virtualMachine.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ name: 'prod-web-clone', cpu: 1, ram: 1024, storage: 40 }),
+    });
+  });
+
+  it('should use the source image when it never ran', async () => {
+    vms['vm-1'] = { ...source, status: 'STOPPED', dockerContainerId: null };
+
+    await VMService.cloneVM('vm-1', 'user-1', {});
+
+    expect(dockerService.snapshotContainer).not.toHaveBeenCalled();
+    expect(dockerService.createContainer).not.toHaveBeenCalled();
+    expect(prisma.virtualMachine.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ dockerImage: 'nginx:latest' }),
+    });
+  });
+
+  it('should enforce the owner quota and remove the snapshot', async () => {
+    QuotaService.reserve.mockRejectedValue(new Error('Quota exceeded: vms (limit 1, allocated 1, requested 1)'));
+
+    await expect(VMService.cloneVM('vm-1', 'user-1', {}))
+      .rejects.toThrow('VM clone failed: VM creation failed: Quota exceeded');
+    expect(QuotaService.reserve).toHaveBeenCalledWith(
+      'user-1',
+      expect.objectContaining({ vms: 1, cpu: 2 }),
+      expect.any(Function),
+    );
+    expect(prisma.virtualMachine.create).not.toHaveBeenCalled();
+    expect(dockerService.removeImage).toHaveBeenCalledWith('sahary-clone/vm-1:1700000000000');
+  });
+
+  it('should delete the clone when the data copy fails', async () => {
+    dockerService.copyContainerPath.mockRejectedValue(new Error('Failed to copy container path: no space left'));
+
+    await expect(VMService.cloneVM('vm-1', 'user-1', {})).rejects.toThrow('no space left');
+
+    expect(dockerService.removeContainer).toHaveBeenCalledWith('container-2', true);
+    expect(IpamService.releaseVMAddresses).toHaveBeenCalledWith('vm-2');
+    expect(prisma.virtualMachine.delete).toHaveBeenCalledWith({ where: { id: 'vm-2' } });
+  });
+
+  it('should record the source in the clone history', async () => {
+    await VMService.cloneVM('vm-1', 'user-1', {});
+
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        action: 'VM_CLONED',
+        resourceId: 'vm-2',
+        newValues: expect.objectContaining({ sourceVmId: 'vm-1' }),
+      }),
+    });
+  });
+
+  it('should reject VMs in transitional state', async () => {
+    vms['vm-1'] = { ...source, status: 'STOPPING' };
+
+    await expect(VMService.cloneVM('vm-1', 'user-1', {}))
+      .rejects.toThrow('Cannot clone VM while it is in transitional state');
+  });
+
+  it('should reject unknown settings', () => {
+    const result = cloneVMSchema.safeParse({
+      params: { id: 'clh3am8h50000qwer1234abcd' },
+      body: { name: 'staging-web', dockerImage: 'alpine' },
+    });
+
+    expect(result.success).toBe(false);
+  });
+});
@@ -0,0 +1,290 @@
+const http = require('http');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    healthCheck: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    healthCheckResult: {
+      create: jest.fn(),
+    },
+    notification: {
+      create: jest.fn(),
+    },
+    virtualMachine: {
+      updateMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/dockerService', () => ({
+  execInContainer: jest.fn(),
+  stopContainer: jest.fn(),
+}));
+
+jest.mock('../src/services/vmService');
+jest.mock('../src/services/billingService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const VMService = require('../src/services/vmService');
+const HealthCheckService = require('../src/services/healthCheckService');
+
+const now = new Date('2024-03-11T12:00:00Z');
+
+const healthCheck = (overrides = {}) => ({
+  id: 'check-1',
+  vmId: 'vm-1',
+  type: 'COMMAND',
+  port: null,
+  path: null,
+  command: 'pgrep nginx',
+  interval: 30,
+  timeout: 5,
+  startPeriod: 60,
+  failureThreshold: 3,
+  action: 'NOTIFY',
+  maxRestarts: 2,
+  isEnabled: true,
+  status: 'HEALTHY',
+  consecutiveFailures: 0,
+  restartCount: 0,
+  lastCheckedAt: null,
+  ...overrides,
+  vm: {
+    id: 'vm-1',
+    name: 'Web-Server',
+    status: 'RUNNING',
+    userId: 'user-1',
+    nodeId: null,
+    ipAddress: '127.0.0.1',
+    dockerContainerId: 'container-1',
+    startedAt: new Date('2024-03-11T10:00:00Z'),
+    ...overrides.vm,
+  },
+});
+
+describe('Health Check Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VMService.getVMById.mockResolvedValue({ id: 'vm-1', name: 'Web-Server', userId: 'user-1' });
+    prisma.healthCheck.update.mockResolvedValue({});
+    prisma.healthCheck.updateMany.mockResolvedValue({ count: 0 });
+    prisma.healthCheckResult.create.mockResolvedValue({});
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.virtualMachine.updateMany.mockResolvedValue({ count: 1 });
+    prisma.vmStateTransition.create.mockImplementation(({ data }) => Promise.resolve(data));
+    dockerService.execInContainer.mockResolvedValue({ exitCode: 1, output: 'no process found' });
+  });
+
+  describe('probe', () => {
+    let server;
+    let port;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        res.statusCode = req.url === '/healthz' ? 200 : 500;
+        res.end();
+      });
+      server.listen(0, '127.0.0.1', () => {
+        ({ port } = server.address());
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+      server.closeAllConnections();
+    });
+
+    it('should pass HTTP checks on 2xx responses only', async () => {
+      const check = healthCheck({ type: 'HTTP', port, path: '/healthz' });
+
+      expect(await HealthCheckService.probe(check, check.vm)).toMatchObject({ healthy: true, output: null });
+      expect(await HealthCheckService.probe({ ...check, path: '/' }, check.vm))
+        .toMatchObject({ healthy: false, output: 'HTTP 500' });
+    });
+
+    it('should fail TCP checks when nothing listens', async () => {
+      const check = healthCheck({ type: 'TCP', port });
+
+      expect((await HealthCheckService.probe(check, check.vm)).healthy).toBe(true);
+
+      const closed = await HealthCheckService.probe({ ...check, port: 1 }, check.vm);
+      expect(closed.healthy).toBe(false);
+      expect(closed.output).toMatch(/ECONNREFUSED/);
+    });
+
+    it('should run commands in the container and fail on a non-zero exit code', async () => {
+      const check = healthCheck();
+
+      const result = await HealthCheckService.probe(check, check.vm);
+
+      expect(dockerService.execInContainer).toHaveBeenCalledWith('container-1', ['sh', '-c', 'pgrep nginx'], {
+        timeout: 5000,
+      });
+      expect(result).toMatchObject({ healthy: false, output: 'Command exited with code 1: no process found' });
+    });
+  });
+
+  describe('recovery policies', () => {
+    it('should count failures below the threshold without acting', async () => {
+      const outcome = await HealthCheckService.runCheck(healthCheck({ consecutiveFailures: 1 }), now);
+
+      expect(outcome).toEqual({ vmId: 'vm-1', healthy: false, status: 'HEALTHY', action: null });
+      expect(prisma.healthCheck.update).toHaveBeenCalledWith({
+        where: { id: 'check-1' },
+        data: expect.objectContaining({ status: 'HEALTHY', consecutiveFailures: 2 }),
+      });
+      expect(prisma.healthCheckResult.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ healthy: false, output: 'Command exited with code 1: no process found' }),
+      });
+      expect(prisma.notification.create).not.toHaveBeenCalled();
+    });
+
+    it('should notify the owner once the threshold is reached', async () => {
+      const outcome = await HealthCheckService.runCheck(healthCheck({ consecutiveFailures: 2 }), now);
+
+      expect(outcome).toMatchObject({ status: 'UNHEALTHY', action: 'NOTIFIED' });
+      expect(prisma.notification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 'user-1', type: 'ERROR', title: 'VM unhealthy' }),
+      });
+      expect(VMService.logVMEvent).toHaveBeenCalledWith(
+        null,
+        'VM_HEALTH_CHECK_FAILED',
+        'vm-1',
+        expect.objectContaining({ failures: 3, action: 'NOTIFIED' }),
+      );
+
+      // Further failures keep the VM unhealthy without notifying again
+      prisma.notification.create.mockClear();
+      await HealthCheckService.runCheck(healthCheck({ consecutiveFailures: 3, status: 'UNHEALTHY' }), now);
+      expect(prisma.notification.create).not.toHaveBeenCalled();
+    });
+
+    it('should restart the VM until it runs out of restarts', async () => {
+      VMService.requestRestart.mockResolvedValue({ id: 'op-1' });
+
+      const check = healthCheck({ action: 'RESTART', consecutiveFailures: 2 });
+      const outcome = await HealthCheckService.runCheck(check, now);
+
+      expect(outcome.action).toBe('RESTARTED');
+      expect(VMService.requestRestart).toHaveBeenCalledWith('vm-1', null);
+      expect(prisma.healthCheck.update).toHaveBeenCalledWith({
+        where: { id: 'check-1' },
+        data: expect.objectContaining({ consecutiveFailures: 0, restartCount: { increment: 1 } }),
+      });
+
+      VMService.requestRestart.mockClear();
+      const exhausted = healthCheck({ action: 'RESTART', consecutiveFailures: 2, restartCount: 2 });
+
+      expect((await HealthCheckService.runCheck(exhausted, now)).action).toBe('GAVE_UP');
+      expect(VMService.requestRestart).not.toHaveBeenCalled();
+    });
+
+    it('should stop the VM and mark it failed', async () => {
+      dockerService.stopContainer.mockResolvedValue({ status: 'exited' });
+
+      const check = healthCheck({ action: 'MARK_ERROR', consecutiveFailures: 2 });
+      const outcome = await HealthCheckService.runCheck(check, now);
+
+      expect(outcome.action).toBe('MARKED_ERROR');
+      expect(dockerService.stopContainer).toHaveBeenCalledWith('container-1', 10);
+      expect(prisma.virtualMachine.updateMany).toHaveBeenCalledWith({
+        where: { id: 'vm-1', status: 'RUNNING' },
+        data: expect.objectContaining({ status: 'ERROR', sshPort: null }),
+      });
+      expect(prisma.vmStateTransition.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'HEALTH_CHECK_FAILED', toStatus: 'ERROR' }),
+      });
+    });
+
+    it('should not count failures while the VM is starting', async () => {
+      const check = healthCheck({ consecutiveFailures: 2, vm: { startedAt: new Date('2024-03-11T11:59:30Z') } });
+
+      const outcome = await HealthCheckService.runCheck(check, now);
+
+      expect(outcome.action).toBeNull();
+      expect(prisma.healthCheck.update).toHaveBeenCalledWith({
+        where: { id: 'check-1' },
+        data: { lastCheckedAt: now, lastError: 'Command exited with code 1: no process found' },
+      });
+      expect(prisma.healthCheckResult.create).not.toHaveBeenCalled();
+    });
+
+    it('should record recoveries but not every passing check', async () => {
+      dockerService.execInContainer.mockResolvedValue({ exitCode: 0, output: '1' });
+
+      await HealthCheckService.runCheck(healthCheck(), now);
+      expect(prisma.healthCheckResult.create).not.toHaveBeenCalled();
+
+      const recovered = healthCheck({ status: 'UNHEALTHY', consecutiveFailures: 5, restartCount: 1 });
+      await HealthCheckService.runCheck(recovered, now);
+      expect(prisma.healthCheck.update).toHaveBeenLastCalledWith({
+        where: { id: 'check-1' },
+        data: expect.objectContaining({ status: 'HEALTHY', consecutiveFailures: 0, restartCount: 0 }),
+      });
+      expect(prisma.healthCheckResult.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ healthy: true, status: 'HEALTHY' }),
+      });
+      expect(prisma.notification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'SUCCESS', title: 'VM recovered' }),
+      });
+    });
+  });
+
+  describe('runDueChecks', () => {
+    it('should only run checks whose interval has passed', async () => {
+      prisma.healthCheck.findMany.mockResolvedValue([
+        healthCheck({ id: 'check-1', lastCheckedAt: new Date('2024-03-11T11:59:50Z') }),
+        healthCheck({ id: 'check-2', lastCheckedAt: new Date('2024-03-11T11:59:00Z'), vm: { id: 'vm-2' } }),
+      ]);
+
+      const summary = await HealthCheckService.runDueChecks(now);
+
+      expect(summary).toEqual({ checked: 1, healthy: 0, failed: 1, actions: [] });
+      expect(dockerService.execInContainer).toHaveBeenCalledTimes(1);
+      expect(prisma.healthCheck.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ vm: { status: { notIn: ['RUNNING', 'RESTARTING'] } } }),
+        data: { status: 'UNKNOWN', consecutiveFailures: 0, restartCount: 0 },
+      }));
+    });
+  });
+
+  describe('upsertCheck', () => {
+    it('should drop the fields other check types use and start over', async () => {
+      prisma.healthCheck.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+      await HealthCheckService.upsertCheck('vm-1', 'user-1', {
+        type: 'TCP',
+        port: 5432,
+        path: '/',
+        command: 'true',
+        interval: 30,
+        timeout: 5,
+        startPeriod: 60,
+        failureThreshold: 3,
+        action: 'RESTART',
+        maxRestarts: 3,
+        isEnabled: true,
+      }, 'user-1');
+
+      expect(prisma.healthCheck.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { vmId: 'vm-1' },
+        update: expect.objectContaining({ port: 5432, path: null, command: null, status: 'UNKNOWN', restartCount: 0 }),
+      }));
+      expect(VMService.logVMEvent)
+        .toHaveBeenCalledWith('user-1', 'VM_HEALTH_CHECK_UPDATED', 'vm-1', expect.any(Object));
+    });
+  });
+});
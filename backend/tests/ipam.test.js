@@ -0,0 +1,257 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    ipPool: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+      create: jest.fn(),
+      delete: jest.fn(),
+    },
+    ipLease: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      delete: jest.fn(),
+      deleteMany: jest.fn(),
+      count: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    virtualMachine: {
+      findMany: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../src/config/database');
+const CidrUtils = require('../src/utils/cidr');
+const IpamService = require('../src/services/ipamService');
+
+const smallPool = {
+  id: 'pool-1',
+  name: 'small',
+  network: 'sahary-network',
+  cidr: '10.0.0.0/29',
+  gateway: '10.0.0.1',
+  rangeStart: null,
+  rangeEnd: null,
+  isActive: true,
+};
+
+describe('CIDR Utils', () => {
+  it('should convert between addresses and integers', () => {
+    expect(CidrUtils.ipToInt('172.20.0.1')).toBe(2886991873);
+    expect(CidrUtils.intToIp(2886991873)).toBe('172.20.0.1');
+  });
+
+  it('should normalize the network address of a block', () => {
+    const block = CidrUtils.parse('172.20.5.9/16');
+
+    expect(block.cidr).toBe('172.20.0.0/16');
+    expect(block.size).toBe(65536);
+  });
+
+  it('should reject invalid blocks', () => {
+    expect(() => CidrUtils.parse('172.20.0.0')).toThrow('Invalid CIDR block');
+    expect(() => CidrUtils.parse('172.20.0.0/31')).toThrow('Invalid CIDR block');
+    expect(() => CidrUtils.parse('300.1.1.1/24')).toThrow('Invalid CIDR block');
+  });
+
+  it('should detect containment and overlaps', () => {
+    expect(CidrUtils.contains('10.0.0.0/24', '10.0.0.200')).toBe(true);
+    expect(CidrUtils.contains('10.0.0.0/24', '10.0.1.1')).toBe(false);
+    expect(CidrUtils.overlaps('10.0.0.0/16', '10.0.5.0/24')).toBe(true);
+    expect(CidrUtils.overlaps('10.0.0.0/24', '10.0.1.0/24')).toBe(false);
+  });
+
+  it('should derive the text prefix shared by a block', () => {
+    expect(CidrUtils.getTextPrefix('172.20.0.0/16')).toBe('172.20.');
+    expect(CidrUtils.getTextPrefix('10.0.0.0/29')).toBe('10.0.0.');
+    expect(CidrUtils.getTextPrefix('10.128.0.0/9')).toBe('10.');
+  });
+
+  it('should exclude network, broadcast and gateway from the host range', () => {
+    const range = CidrUtils.getHostRange('10.0.0.0/29', { gateway: '10.0.0.1' });
+
+    expect(CidrUtils.intToIp(range.first)).toBe('10.0.0.1');
+    expect(CidrUtils.intToIp(range.last)).toBe('10.0.0.6');
+    expect(range.total).toBe(5);
+  });
+
+  it('should find the lowest free address', () => {
+    expect(CidrUtils.findFreeAddress('10.0.0.0/29', [])).toBe('10.0.0.2');
+    expect(CidrUtils.findFreeAddress('10.0.0.0/29', ['10.0.0.2', '10.0.0.3'])).toBe('10.0.0.4');
+    expect(CidrUtils.findFreeAddress('10.0.0.0/29', [], { rangeStart: '10.0.0.5' })).toBe('10.0.0.5');
+    expect(CidrUtils.findFreeAddress(
+      '10.0.0.0/29',
+      ['10.0.0.2', '10.0.0.3', '10.0.0.4', '10.0.0.5', '10.0.0.6'],
+    )).toBeNull();
+  });
+});
+
+describe('IPAM Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.ipPool.findFirst.mockResolvedValue(smallPool);
+    prisma.ipPool.findMany.mockResolvedValue([smallPool]);
+    prisma.ipLease.findFirst.mockResolvedValue(null);
+    prisma.ipLease.findMany.mockResolvedValue([]);
+    prisma.virtualMachine.findMany.mockResolvedValue([]);
+    prisma.ipLease.create.mockImplementation(({ data }) => Promise.resolve({
+      id: `lease-${data.address}`,
+      ...data,
+      pool: smallPool,
+    }));
+    prisma.auditLog.create.mockResolvedValue({});
+  });
+
+  describe('allocateAddress', () => {
+    it('should return the existing lease of a VM', async () => {
+      const lease = { id: 'lease-1', address: '10.0.0.2', vmId: 'vm-1', pool: smallPool };
+      prisma.ipLease.findFirst.mockResolvedValue(lease);
+
+      const result = await IpamService.allocateAddress('vm-1');
+
+      expect(result).toBe(lease);
+      expect(prisma.ipLease.create).not.toHaveBeenCalled();
+    });
+
+    it('should lease the lowest free address', async () => {
+      prisma.ipLease.findMany.mockResolvedValue([{ address: '10.0.0.2' }]);
+
+      const lease = await IpamService.allocateAddress('vm-1');
+
+      expect(lease.address).toBe('10.0.0.3');
+      expect(prisma.ipLease.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: {
+          address: '10.0.0.3',
+          type: 'ALLOCATED',
+          poolId: 'pool-1',
+          vmId: 'vm-1',
+        },
+      }));
+    });
+
+    it('should skip addresses already held by VMs', async () => {
+      prisma.virtualMachine.findMany.mockResolvedValue([
+        { ipAddress: '10.0.0.2' },
+        { ipAddress: '192.168.1.77' },
+      ]);
+
+      const lease = await IpamService.allocateAddress('vm-1');
+
+      expect(lease.address).toBe('10.0.0.3');
+      expect(prisma.virtualMachine.findMany).toHaveBeenCalledWith({
+        where: {
+          ipAddress: { startsWith: '10.0.0.' },
+          ipLeases: { none: { poolId: 'pool-1' } },
+        },
+        select: { ipAddress: true },
+      });
+    });
+
+    it('should retry when a concurrent allocation wins the address', async () => {
+      const conflict = Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      prisma.ipLease.create.mockRejectedValueOnce(conflict);
+      prisma.ipLease.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ address: '10.0.0.2' }]);
+
+      const lease = await IpamService.allocateAddress('vm-1');
+
+      expect(lease.address).toBe('10.0.0.3');
+      expect(prisma.ipLease.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail when every pool is exhausted', async () => {
+      prisma.ipLease.findMany.mockResolvedValue(
+        ['10.0.0.2', '10.0.0.3', '10.0.0.4', '10.0.0.5', '10.0.0.6'].map(address => ({ address })),
+      );
+
+      await expect(IpamService.allocateAddress('vm-1'))
+        .rejects.toThrow('IP pool exhausted for network sahary-network');
+    });
+  });
+
+  describe('releaseVMAddresses', () => {
+    it('should only release allocated leases', async () => {
+      prisma.ipLease.deleteMany.mockResolvedValue({ count: 1 });
+
+      const released = await IpamService.releaseVMAddresses('vm-1');
+
+      expect(released).toBe(1);
+      expect(prisma.ipLease.deleteMany).toHaveBeenCalledWith({
+        where: { vmId: 'vm-1', type: 'ALLOCATED' },
+      });
+    });
+  });
+
+  describe('Admin operations', () => {
+    it('should reject overlapping pools', async () => {
+      prisma.ipPool.findMany.mockResolvedValue([{ name: 'default', cidr: '172.20.0.0/16' }]);
+
+      await expect(IpamService.createPool({
+        name: 'overlap',
+        network: 'sahary-network',
+        cidr: '172.20.10.0/24',
+      }, 'admin-1')).rejects.toThrow('overlaps pool default');
+      expect(prisma.ipPool.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a gateway outside the block', async () => {
+      await expect(IpamService.createPool({
+        name: 'bad-gateway',
+        network: 'sahary-network',
+        cidr: '10.1.0.0/24',
+        gateway: '10.2.0.1',
+      }, 'admin-1')).rejects.toThrow('Gateway 10.2.0.1 is outside 10.1.0.0/24');
+    });
+
+    it('should refuse to delete a pool with allocated addresses', async () => {
+      prisma.ipLease.count.mockResolvedValue(2);
+
+      await expect(IpamService.deletePool('pool-1', 'admin-1'))
+        .rejects.toThrow('Pool still has 2 allocated addresses');
+      expect(prisma.ipPool.delete).not.toHaveBeenCalled();
+    });
+
+    it('should reserve an allocatable address', async () => {
+      prisma.ipPool.findUnique.mockResolvedValue(smallPool);
+      prisma.ipLease.findUnique.mockResolvedValue(null);
+
+      const lease = await IpamService.reserveAddress('pool-1', '10.0.0.6', 'Load balancer', 'admin-1');
+
+      expect(lease.type).toBe('RESERVED');
+      expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ action: 'IP_ADDRESS_RESERVED', resource: 'ip_pool' }),
+      }));
+    });
+
+    it('should not reserve the gateway', async () => {
+      prisma.ipPool.findUnique.mockResolvedValue(smallPool);
+
+      await expect(IpamService.reserveAddress('pool-1', '10.0.0.1', null, 'admin-1'))
+        .rejects.toThrow('Address 10.0.0.1 is not allocatable in pool small');
+    });
+
+    it('should report pool utilization', () => {
+      const utilization = IpamService.calculateUtilization(smallPool, [
+        { poolId: 'pool-1', type: 'ALLOCATED', _count: { id: 3 } },
+        { poolId: 'pool-1', type: 'RESERVED', _count: { id: 1 } },
+      ]);
+
+      expect(utilization).toEqual({
+        total: 5,
+        allocated: 3,
+        reserved: 1,
+        free: 1,
+        usagePercentage: 80,
+      });
+    });
+  });
+});
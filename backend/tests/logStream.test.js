@@ -0,0 +1,139 @@
+const { PassThrough } = require('stream');
+
+jest.mock('../src/services/dockerService', () => ({
+  followContainerLogs: jest.fn(),
+}));
+jest.mock('../src/services/vmService');
+
+const dockerService = require('../src/services/dockerService');
+const VMService = require('../src/services/vmService');
+const LogStreamService = require('../src/services/logStreamService');
+
+const vm = { id: 'vm-1', name: 'web-1', status: 'RUNNING', dockerContainerId: 'container-1' };
+
+const createLogs = () => {
+  const logs = {
+    stream: Object.assign(new PassThrough(), {
+      destroy: jest.fn(),
+      pause: jest.fn(),
+      resume: jest.fn(),
+    }),
+    stdout: new PassThrough(),
+    stderr: new PassThrough(),
+  };
+  dockerService.followContainerLogs.mockResolvedValue(logs);
+  return logs;
+};
+
+const endLogs = (logs) => {
+  logs.stdout.end();
+  logs.stderr.end();
+  return new Promise(setImmediate);
+};
+
+describe('Log Stream Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VMService.getVMById.mockResolvedValue(vm);
+  });
+
+  it('should require a VM container', async () => {
+    VMService.getVMById.mockResolvedValue({ ...vm, dockerContainerId: null });
+
+    await expect(LogStreamService.follow('vm-1', 'user-1'))
+      .rejects.toThrow('Failed to stream VM container logs: No container associated with this VM');
+  });
+
+  it('should map the stream filter to Docker options', async () => {
+    createLogs();
+
+    await LogStreamService.follow('vm-1', null, { tail: 50, since: '2024-01-01T00:00:00.000Z', stream: 'stderr' });
+
+    expect(VMService.getVMById).toHaveBeenCalledWith('vm-1', null);
+    expect(dockerService.followContainerLogs).toHaveBeenCalledWith('container-1', {
+      tail: 50,
+      since: '2024-01-01T00:00:00.000Z',
+      stdout: false,
+      stderr: true,
+    });
+  });
+
+  it('should emit complete lines with their stream and timestamp', async () => {
+    const logs = createLogs();
+    const onLog = jest.fn();
+    const onEnd = jest.fn();
+
+    const logStream = await LogStreamService.follow('vm-1', 'user-1');
+    logStream.start({ onLog, onEnd });
+
+    logs.stdout.write('2024-01-01T12:00:00.123456789Z GET / 2');
+    logs.stdout.write('00\n2024-01-01T12:00:01.000000000Z GET /health 200\n');
+    logs.stderr.write('2024-01-01T12:00:02.000000000Z warning: disk almost full\r\n');
+    await endLogs(logs);
+
+    expect(onLog.mock.calls.map(([entry]) => entry)).toEqual([
+      { stream: 'stdout', timestamp: '2024-01-01T12:00:00.123456789Z', message: 'GET / 200' },
+      { stream: 'stdout', timestamp: '2024-01-01T12:00:01.000000000Z', message: 'GET /health 200' },
+      { stream: 'stderr', timestamp: '2024-01-01T12:00:02.000000000Z', message: 'warning: disk almost full' },
+    ]);
+  });
+
+  it('should only emit lines matching grep', async () => {
+    const logs = createLogs();
+    const onLog = jest.fn();
+
+    const logStream = await LogStreamService.follow('vm-1', 'user-1', { grep: 'ERROR' });
+    logStream.start({ onLog, onEnd: jest.fn() });
+
+    logs.stdout.write('2024-01-01T12:00:00Z INFO started\n2024-01-01T12:00:01Z ERROR failed\n');
+    await endLogs(logs);
+
+    expect(onLog).toHaveBeenCalledTimes(1);
+    expect(onLog.mock.calls[0][0].message).toBe('ERROR failed');
+  });
+
+  it('should end the stream when the container stops', async () => {
+    const logs = createLogs();
+    const onLog = jest.fn();
+    const onEnd = jest.fn();
+
+    const logStream = await LogStreamService.follow('vm-1', 'user-1');
+    logStream.start({ onLog, onEnd });
+
+    logs.stdout.write('2024-01-01T12:00:00Z shutting down');
+    await endLogs(logs);
+
+    expect(onLog).toHaveBeenCalledWith(expect.objectContaining({ message: 'shutting down' }));
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(onEnd).toHaveBeenCalledWith('VM stopped');
+    expect(logs.stream.destroy).toHaveBeenCalled();
+  });
+
+  it('should stop emitting once closed by the client', async () => {
+    const logs = createLogs();
+    const onLog = jest.fn();
+    const onEnd = jest.fn();
+
+    const logStream = await LogStreamService.follow('vm-1', 'user-1');
+    logStream.start({ onLog, onEnd });
+    logStream.close();
+
+    logs.stdout.write('2024-01-01T12:00:00Z late line\n');
+    await endLogs(logs);
+
+    expect(onLog).not.toHaveBeenCalled();
+    expect(onEnd).not.toHaveBeenCalled();
+    expect(logs.stream.destroy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pause and resume the Docker stream', async () => {
+    const logs = createLogs();
+
+    const logStream = await LogStreamService.follow('vm-1', 'user-1');
+    logStream.pause();
+    logStream.resume();
+
+    expect(logs.stream.pause).toHaveBeenCalled();
+    expect(logs.stream.resume).toHaveBeenCalled();
+  });
+});
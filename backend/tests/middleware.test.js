@@ -269,6 +269,7 @@ describe('RBAC Middleware', () => {
     test('should get minimum role for permission', () => {
       expect(RBACMiddleware.getMinimumRoleForPermission('profile:read')).toBe('USER');
       expect(RBACMiddleware.getMinimumRoleForPermission('user:read:all')).toBe('ADMIN');
+      expect(RBACMiddleware.getMinimumRoleForPermission('vm:migrate:all')).toBe('ADMIN');
       expect(RBACMiddleware.getMinimumRoleForPermission('system:backup')).toBe('SUPER_ADMIN');
     });
   });
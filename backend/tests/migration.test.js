@@ -0,0 +1,307 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    backup: {
+      findMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+// Mock Docker service, the default client is the source node
+jest.mock('../src/services/dockerService', () => ({
+  snapshotContainer: jest.fn(),
+  exportImage: jest.fn(),
+  getContainerArchive: jest.fn(),
+  stopContainer: jest.fn(),
+  startContainer: jest.fn(),
+  removeContainer: jest.fn(),
+  removeVolume: jest.fn(),
+  removeImage: jest.fn(),
+  forNode: jest.fn(),
+}));
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/sshKeyService');
+jest.mock('../src/services/portService');
+jest.mock('../src/services/volumeService');
+jest.mock('../src/services/billingService');
+jest.mock('../src/services/nodeService');
+jest.mock('../src/services/schedulerService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const IpamService = require('../src/services/ipamService');
+const SshKeyService = require('../src/services/sshKeyService');
+const PortService = require('../src/services/portService');
+const VolumeService = require('../src/services/volumeService');
+const BillingService = require('../src/services/billingService');
+const NodeService = require('../src/services/nodeService');
+const SchedulerService = require('../src/services/schedulerService');
+const OperationService = require('../src/services/operationService');
+const MigrationService = require('../src/services/migrationService');
+
+const sshKey = { id: 'key-1', publicKey: 'ssh-ed25519 AAAA' };
+const portLease = { id: 'port-1', hostPort: 20022, containerPort: 22, protocol: 'tcp' };
+
+const vmRecord = overrides => ({
+  id: 'vm-1',
+  name: 'prod-web',
+  userId: 'user-1',
+  status: 'RUNNING',
+  cpu: 2,
+  ram: 2048,
+  storage: 40,
+  dockerImage: 'nginx:latest',
+  dockerContainerId: 'container-1',
+  nodeId: 'node-1',
+  node: { id: 'node-1', name: 'north-1' },
+  sshPort: 20022,
+  sshKeys: [sshKey],
+  securityGroups: [],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [portLease],
+  volumes: [],
+  ...overrides,
+});
+
+describe('VM Migration', () => {
+  let vm;
+  let target;
+  let transitions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vm = vmRecord();
+    transitions = [];
+    target = {
+      importImage: jest.fn().mockResolvedValue([]),
+      createContainer: jest.fn().mockResolvedValue({ containerId: 'container-2' }),
+      putContainerArchive: jest.fn().mockResolvedValue(),
+      startContainer: jest.fn().mockResolvedValue({
+        containerId: 'container-2',
+        ports: [{ containerPort: 22, hostPort: 20022, protocol: 'tcp' }],
+      }),
+      removeContainer: jest.fn().mockResolvedValue(),
+      removeVolume: jest.fn().mockResolvedValue(true),
+      removeImage: jest.fn().mockResolvedValue(true),
+    };
+
+    prisma.virtualMachine.findUnique.mockImplementation(() => Promise.resolve({ ...vm }));
+    prisma.virtualMachine.updateMany.mockImplementation(({ where, data }) => {
+      if (where.status !== vm.status) {
+        return Promise.resolve({ count: 0 });
+      }
+      vm = { ...vm, ...data };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.vmStateTransition.create.mockImplementation(({ data }) => {
+      transitions.push(data);
+      return Promise.resolve(data);
+    });
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.backup.findMany.mockResolvedValue([{ dockerImageId: 'sha256:backup' }]);
+
+    IpamService.allocateAddress.mockResolvedValue({ address: '10.100.0.5', pool: { network: 'sahary-network' } });
+    SshKeyService.injectKeys.mockResolvedValue();
+    PortService.withEndpoints.mockImplementation(leases => leases);
+    PortService.getPortBindings.mockReturnValue([{ hostPort: 20022, containerPort: 22, protocol: 'tcp' }]);
+    VolumeService.getContainerBinds.mockReturnValue([]);
+    BillingService.prorateUsage.mockResolvedValue(null);
+    NodeService.getDocker.mockResolvedValue(dockerService);
+    SchedulerService.placeVM.mockResolvedValue({ id: 'node-2', name: 'south-1', endpoint: 'tcp://10.0.0.2:2375' });
+    dockerService.forNode.mockReturnValue(target);
+    dockerService.snapshotContainer.mockResolvedValue({
+      imageId: 'sha256:abc',
+      image: 'sahary-migrate/vm-1:1700000000000',
+    });
+    dockerService.exportImage.mockResolvedValue({ stream: 'image-tar' });
+    dockerService.getContainerArchive.mockResolvedValue('data-tar');
+    dockerService.stopContainer.mockResolvedValue({ status: 'exited' });
+    dockerService.startContainer.mockResolvedValue({ status: 'running' });
+    dockerService.removeContainer.mockResolvedValue();
+    dockerService.removeVolume.mockResolvedValue(true);
+    dockerService.removeImage.mockResolvedValue(true);
+  });
+
+  it('should move a running VM to the target node with its IP and ports', async () => {
+    const migrated = await MigrationService.migrateVM('vm-1', 'admin-1');
+
+    expect(SchedulerService.placeVM).toHaveBeenCalledWith(expect.objectContaining({
+      cpu: 2,
+      ram: 2048,
+      storage: 40,
+      nodeId: null,
+      excludeNodeIds: ['node-1'],
+    }));
+    expect(dockerService.snapshotContainer).toHaveBeenCalledWith('container-1', 'sahary-migrate/vm-1', 'Migration');
+    expect(target.importImage).toHaveBeenCalledTimes(2);
+    expect(dockerService.exportImage).toHaveBeenCalledWith('sha256:backup');
+    expect(target.createContainer).toHaveBeenCalledWith(expect.objectContaining({
+      vmId: 'vm-1',
+      image: 'sahary-migrate/vm-1:1700000000000',
+      ipAddress: '10.100.0.5',
+      ports: [{ hostPort: 20022, containerPort: 22, protocol: 'tcp' }],
+    }));
+
+    // /data is copied before and after the source container stops
+    expect(target.putContainerArchive).toHaveBeenCalledTimes(2);
+    expect(target.putContainerArchive).toHaveBeenCalledWith('container-2', 'data-tar', '/');
+    expect(dockerService.stopContainer.mock.invocationCallOrder[0])
+      .toBeLessThan(target.startContainer.mock.invocationCallOrder[0]);
+    expect(SshKeyService.injectKeys).toHaveBeenCalledWith('container-2', [sshKey], target);
+
+    expect(migrated).toMatchObject({
+      status: 'RUNNING',
+      nodeId: 'node-2',
+      dockerContainerId: 'container-2',
+      sshPort: 20022,
+    });
+    expect(transitions.map(({ event, toStatus }) => [event, toStatus])).toEqual([
+      ['MIGRATE', 'MIGRATING'],
+      ['MIGRATE_RUNNING', 'RUNNING'],
+    ]);
+
+    // The minutes spent migrating are billed, nothing is left on the source node
+    expect(BillingService.prorateUsage).toHaveBeenCalledWith('vm-1', Infinity);
+    expect(dockerService.removeContainer).toHaveBeenCalledWith('container-1', true);
+    expect(dockerService.removeVolume).toHaveBeenCalledWith('sahary-vm-vm-1-data');
+    expect(dockerService.removeImage).toHaveBeenCalledWith('sahary-migrate/vm-1:1700000000000');
+    expect(dockerService.removeImage).toHaveBeenCalledWith('sha256:backup');
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        action: 'VM_MIGRATED',
+        newValues: expect.objectContaining({ sourceNodeName: 'north-1', targetNodeName: 'south-1' }),
+      }),
+    });
+  });
+
+  it('should not start a stopped VM on the target node', async () => {
+    vm = vmRecord({ status: 'STOPPED', sshPort: null });
+
+    const migrated = await MigrationService.migrateVM('vm-1', 'admin-1', 'node-2');
+
+    expect(migrated).toMatchObject({ status: 'STOPPED', nodeId: 'node-2', dockerContainerId: 'container-2' });
+    expect(dockerService.stopContainer).not.toHaveBeenCalled();
+    expect(target.startContainer).not.toHaveBeenCalled();
+    expect(BillingService.prorateUsage).not.toHaveBeenCalled();
+  });
+
+  it('should only move the record of VMs without container', async () => {
+    vm = vmRecord({ status: 'STOPPED', dockerContainerId: null });
+
+    const migrated = await MigrationService.migrateVM('vm-1', 'admin-1');
+
+    expect(migrated).toMatchObject({ status: 'STOPPED', nodeId: 'node-2' });
+    expect(dockerService.snapshotContainer).not.toHaveBeenCalled();
+    expect(target.createContainer).not.toHaveBeenCalled();
+  });
+
+  it('should roll back to the source node when the cutover fails', async () => {
+    target.startContainer.mockRejectedValue(new Error('port is already allocated'));
+
+    await expect(MigrationService.migrateVM('vm-1', 'admin-1'))
+      .rejects.toThrow('VM migration failed: port is already allocated');
+
+    expect(target.removeContainer).toHaveBeenCalledWith('container-2', true);
+    expect(target.removeImage).toHaveBeenCalledWith('sahary-migrate/vm-1:1700000000000');
+    expect(dockerService.startContainer).toHaveBeenCalledWith('container-1');
+    expect(dockerService.removeContainer).not.toHaveBeenCalled();
+    expect(vm).toMatchObject({ status: 'RUNNING', nodeId: 'node-1', dockerContainerId: 'container-1' });
+    expect(transitions[1]).toMatchObject({
+      event: 'MIGRATE_RUNNING',
+      reason: 'Rolled back: port is already allocated',
+    });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        action: 'VM_MIGRATION_FAILED',
+        newValues: expect.objectContaining({ rolledBack: true }),
+      }),
+    });
+  });
+
+  it('should fail the VM when it cannot be started again on its node', async () => {
+    target.startContainer.mockRejectedValue(new Error('target node unreachable'));
+    dockerService.startContainer.mockRejectedValue(new Error('source node unreachable'));
+
+    await expect(MigrationService.migrateVM('vm-1', 'admin-1')).rejects.toThrow('VM migration failed');
+
+    expect(vm).toMatchObject({ status: 'ERROR', nodeId: 'node-1', sshPort: null });
+    expect(transitions[1]).toMatchObject({
+      event: 'MIGRATE_FAILED',
+      reason: 'Rollback failed: target node unreachable',
+    });
+  });
+
+  it('should stop cleanly when cancelled before the cutover', async () => {
+    const operation = {
+      ...OperationService.untracked(),
+      id: 'op-1',
+      throwIfCancelled: jest.fn()
+        .mockImplementationOnce(() => {})
+        .mockImplementationOnce(() => {})
+        .mockImplementationOnce(() => {
+          throw new Error('Operation cancelled');
+        }),
+    };
+
+    await expect(MigrationService.migrateVM('vm-1', 'admin-1', null, operation))
+      .rejects.toThrow('Operation cancelled');
+
+    expect(target.createContainer).not.toHaveBeenCalled();
+    expect(dockerService.stopContainer).not.toHaveBeenCalled();
+    expect(target.removeImage).toHaveBeenCalledTimes(2);
+    expect(vm.status).toBe('RUNNING');
+  });
+
+  it('should refuse VMs with volumes', async () => {
+    vm = vmRecord({ volumes: [{ id: 'vol-1', name: 'db' }] });
+
+    await expect(MigrationService.migrateVM('vm-1', 'admin-1'))
+      .rejects.toThrow('VMs with volumes cannot be migrated, volumes stay on the local compute node');
+    expect(transitions).toEqual([]);
+  });
+
+  it('should refuse VMs with security groups', async () => {
+    vm = vmRecord({ securityGroups: [{ id: 'sg-1', name: 'web' }] });
+
+    await expect(MigrationService.migrateVM('vm-1', 'admin-1'))
+      .rejects.toThrow('VMs with security groups cannot be migrated, the firewall only runs on the local compute node');
+    expect(transitions).toEqual([]);
+  });
+
+  it('should queue migrations pinned to the node chosen up front', async () => {
+    const enqueue = jest.spyOn(OperationService, 'enqueue').mockResolvedValue({ id: 'op-1' });
+
+    await MigrationService.requestMigration('vm-1', 'admin-1');
+
+    expect(enqueue).toHaveBeenCalledWith('VM_MIGRATE', {
+      userId: 'user-1',
+      vmId: 'vm-1',
+      params: { sourceNodeId: 'node-1', targetNodeId: 'node-2' },
+    }, expect.any(Function));
+
+    enqueue.mockRestore();
+  });
+
+  it('should refuse to migrate VMs in a transitional state', async () => {
+    vm = vmRecord({ status: 'MIGRATING' });
+
+    await expect(MigrationService.requestMigration('vm-1', 'admin-1'))
+      .rejects.toMatchObject({
+        statusCode: 409,
+        message: 'VM migration failed: Cannot migrate VM while it is in transitional state',
+      });
+  });
+});
@@ -0,0 +1,313 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    privateNetwork: {
+      count: jest.fn(),
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    ipPool: {
+      findMany: jest.fn(),
+    },
+    ipLease: {
+      findMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    virtualMachine: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      count: jest.fn(),
+    },
+    computeNode: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  createNetwork: jest.fn(),
+  removeNetwork: jest.fn(),
+  connectNetwork: jest.fn(),
+  disconnectNetwork: jest.fn(),
+}));
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/firewallService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const IpamService = require('../src/services/ipamService');
+const FirewallService = require('../src/services/firewallService');
+const NetworkService = require('../src/services/networkService');
+const NodeService = require('../src/services/nodeService');
+const VMService = require('../src/services/vmService');
+const { createNetworkSchema } = require('../src/validations/vm.validation');
+
+const network = {
+  id: 'net-1',
+  name: 'backend',
+  cidr: '10.200.0.0/24',
+  dockerNetwork: 'sahary-net-0a1b2c3d4e5f',
+  userId: 'user-1',
+  pool: { id: 'pool-1', gateway: '10.200.0.1' },
+};
+
+const vm = {
+  id: 'vm-1',
+  name: 'Web-1',
+  userId: 'user-1',
+  status: 'RUNNING',
+  dockerContainerId: 'container-1',
+  privateNetworks: [],
+  securityGroups: [],
+  ipLeases: [],
+  portLeases: [],
+  volumes: [],
+};
+
+describe('Private Networks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    prisma.privateNetwork.count.mockResolvedValue(0);
+    prisma.privateNetwork.findFirst.mockResolvedValue(null);
+    prisma.privateNetwork.create.mockImplementation(({ data }) => Promise.resolve({ id: 'net-1', ...data }));
+    prisma.ipPool.findMany.mockResolvedValue([]);
+    IpamService.createPool.mockResolvedValue({ id: 'pool-1' });
+    IpamService.allocateAddress.mockResolvedValue({ address: '10.200.0.2', pool: { network: network.dockerNetwork } });
+    dockerService.removeNetwork.mockResolvedValue(true);
+  });
+
+  describe('Subnets', () => {
+    it('should take the first subnet not used by another pool', async () => {
+      prisma.ipPool.findMany.mockResolvedValue([
+        { cidr: '172.20.0.0/16' },
+        { cidr: '10.200.0.0/24' },
+        { cidr: '10.200.1.0/24' },
+      ]);
+
+      await expect(NetworkService.allocateSubnet()).resolves.toBe('10.200.2.0/24');
+    });
+
+    it('should reject subnets outside the supernet', () => {
+      expect(() => NetworkService.validateSubnet('192.168.0.0/24'))
+        .toThrow('Subnet 192.168.0.0/24 is outside 10.200.0.0/16');
+    });
+
+    it('should normalize requested subnets', () => {
+      expect(NetworkService.validateSubnet('10.200.7.9/24')).toBe('10.200.7.0/24');
+    });
+  });
+
+  describe('Network management', () => {
+    it('should create the network with its own IP pool', async () => {
+      await NetworkService.createNetwork('user-1', { name: 'backend' });
+
+      expect(prisma.privateNetwork.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          name: 'backend',
+          cidr: '10.200.0.0/24',
+          dockerNetwork: expect.stringMatching(/^sahary-net-[0-9a-f]{12}$/),
+          userId: 'user-1',
+        }),
+      });
+      const { dockerNetwork } = prisma.privateNetwork.create.mock.calls[0][0].data;
+      expect(IpamService.createPool).toHaveBeenCalledWith(expect.objectContaining({
+        network: dockerNetwork,
+        cidr: '10.200.0.0/24',
+        privateNetworkId: 'net-1',
+      }), 'user-1');
+    });
+
+    it('should remove the network when its pool cannot be created', async () => {
+      IpamService.createPool.mockRejectedValue(new Error('Failed to create IP pool: CIDR 10.200.0.0/24 overlaps pool other'));
+
+      await expect(NetworkService.createNetwork('user-1', { name: 'backend' }))
+        .rejects.toThrow('overlaps pool other');
+      expect(prisma.privateNetwork.delete).toHaveBeenCalledWith({ where: { id: 'net-1' } });
+    });
+
+    it('should enforce the per user limit', async () => {
+      prisma.privateNetwork.count.mockResolvedValue(5);
+
+      await expect(NetworkService.createNetwork('user-1', { name: 'backend' }))
+        .rejects.toThrow('Maximum 5 private networks per user');
+    });
+
+    it('should not delete networks with attached VMs', async () => {
+      prisma.privateNetwork.findFirst.mockResolvedValue({ ...network, vms: [{ id: 'vm-1', name: 'web-1' }] });
+      prisma.ipLease.findMany.mockResolvedValue([]);
+
+      await expect(NetworkService.deleteNetwork('net-1', 'user-1'))
+        .rejects.toThrow('Network has 1 attached VM(s), detach them first');
+      expect(prisma.privateNetwork.delete).not.toHaveBeenCalled();
+    });
+
+    it('should remove the Docker network from every node', async () => {
+      const remote = { removeNetwork: jest.fn().mockResolvedValue(false) };
+      prisma.privateNetwork.findFirst.mockResolvedValue({ ...network, vms: [] });
+      prisma.ipLease.findMany.mockResolvedValue([]);
+      prisma.computeNode.findFirst.mockResolvedValue({ id: 'node-1', endpoint: null });
+      prisma.computeNode.findMany.mockResolvedValue([{ id: 'node-1', endpoint: null }, { id: 'node-2' }]);
+      jest.spyOn(NodeService, 'getDocker').mockImplementation(({ nodeId }) => (
+        Promise.resolve(nodeId === 'node-2' ? remote : dockerService)
+      ));
+
+      await NetworkService.deleteNetwork('net-1', 'user-1');
+
+      expect(dockerService.removeNetwork).toHaveBeenCalledWith(network.dockerNetwork);
+      expect(remote.removeNetwork).toHaveBeenCalledWith(network.dockerNetwork);
+      expect(prisma.privateNetwork.delete).toHaveBeenCalledWith({ where: { id: 'net-1' } });
+    });
+
+    it('should isolate the shared network on every node', async () => {
+      const remote = { createNetwork: jest.fn().mockRejectedValue(new Error('network has active endpoints')) };
+      IpamService.ensureDefaultPool.mockResolvedValue({
+        network: 'sahary-network',
+        cidr: '172.20.0.0/16',
+        gateway: '172.20.0.1',
+      });
+      prisma.computeNode.findFirst.mockResolvedValue({ id: 'node-1', endpoint: null });
+      prisma.computeNode.findMany.mockResolvedValue([
+        { id: 'node-1', name: 'local', endpoint: null },
+        { id: 'node-2', name: 'south' },
+      ]);
+      jest.spyOn(NodeService, 'getDocker').mockImplementation(({ nodeId }) => (
+        Promise.resolve(nodeId === 'node-2' ? remote : dockerService)
+      ));
+
+      const result = await NetworkService.ensureSharedNetworks();
+
+      expect(dockerService.createNetwork).toHaveBeenCalledWith('sahary-network', {
+        subnet: '172.20.0.0/16',
+        gateway: '172.20.0.1',
+        isolated: true,
+      });
+      expect(result).toEqual({
+        nodes: 1,
+        failed: 1,
+        errors: [{ nodeId: 'node-2', nodeName: 'south', error: 'network has active endpoints' }],
+      });
+    });
+
+    it('should list VM addresses and DNS names', async () => {
+      prisma.privateNetwork.findFirst.mockResolvedValue({ ...network, vms: [{ id: 'vm-1', name: 'Web-1' }] });
+      prisma.ipLease.findMany.mockResolvedValue([{ vmId: 'vm-1', address: '10.200.0.2' }]);
+
+      const result = await NetworkService.getNetwork('net-1', 'user-1');
+
+      expect(result.vms).toEqual([{
+        id: 'vm-1',
+        name: 'Web-1',
+        ipAddress: '10.200.0.2',
+        dnsNames: ['web-1', 'web-1.internal'],
+      }]);
+    });
+  });
+
+  describe('VM attachment', () => {
+    beforeEach(() => {
+      prisma.virtualMachine.findUnique.mockResolvedValue(vm);
+      prisma.privateNetwork.findMany.mockResolvedValue([network]);
+    });
+
+    it('should connect a running VM with its address and DNS names', async () => {
+      await VMService.attachNetwork('vm-1', 'user-1', 'net-1');
+
+      expect(IpamService.allocateAddress).toHaveBeenCalledWith('vm-1', { network: network.dockerNetwork });
+      expect(dockerService.createNetwork).toHaveBeenCalledWith(network.dockerNetwork, expect.objectContaining({
+        subnet: '10.200.0.0/24',
+        gateway: '10.200.0.1',
+        internal: true,
+      }));
+      expect(dockerService.connectNetwork).toHaveBeenCalledWith('container-1', network.dockerNetwork, {
+        ipAddress: '10.200.0.2',
+        aliases: ['web-1', 'web-1.internal'],
+      });
+      expect(prisma.virtualMachine.update).toHaveBeenCalledWith({
+        where: { id: 'vm-1' },
+        data: { privateNetworks: { connect: { id: 'net-1' } } },
+      });
+    });
+
+    it('should apply the security groups of the VM to its new address', async () => {
+      prisma.virtualMachine.findUnique.mockResolvedValue({ ...vm, securityGroups: [{ id: 'sg-1', name: 'web' }] });
+      FirewallService.sync.mockResolvedValue({ applied: true });
+
+      await VMService.attachNetwork('vm-1', 'user-1', 'net-1');
+
+      expect(FirewallService.sync).toHaveBeenCalled();
+    });
+
+    it('should release the address when the container cannot be connected', async () => {
+      dockerService.connectNetwork.mockRejectedValueOnce(new Error('Failed to connect container to network: conflict'));
+
+      await expect(VMService.attachNetwork('vm-1', 'user-1', 'net-1')).rejects.toThrow('conflict');
+      expect(IpamService.releaseVMAddresses).toHaveBeenCalledWith('vm-1', { network: network.dockerNetwork });
+      expect(prisma.virtualMachine.update).not.toHaveBeenCalled();
+    });
+
+    it('should not attach networks of another user', async () => {
+      prisma.privateNetwork.findMany.mockResolvedValue([]);
+
+      await expect(VMService.attachNetwork('vm-1', 'user-1', 'net-2')).rejects.toThrow('Network not found');
+      expect(IpamService.allocateAddress).not.toHaveBeenCalled();
+    });
+
+    it('should remove the Docker network when the last VM leaves', async () => {
+      prisma.virtualMachine.findUnique.mockResolvedValue({ ...vm, privateNetworks: [network] });
+      prisma.virtualMachine.count.mockResolvedValue(0);
+
+      await VMService.detachNetwork('vm-1', 'user-1', 'net-1');
+
+      expect(dockerService.disconnectNetwork).toHaveBeenCalledWith('container-1', network.dockerNetwork);
+      expect(IpamService.releaseVMAddresses).toHaveBeenCalledWith('vm-1', { network: network.dockerNetwork });
+      expect(dockerService.removeNetwork).toHaveBeenCalledWith(network.dockerNetwork);
+    });
+
+    it('should keep the Docker network while other VMs use it', async () => {
+      prisma.virtualMachine.findUnique.mockResolvedValue({ ...vm, privateNetworks: [network] });
+      prisma.virtualMachine.count.mockResolvedValue(1);
+
+      await VMService.detachNetwork('vm-1', 'user-1', 'net-1');
+
+      expect(dockerService.removeNetwork).not.toHaveBeenCalled();
+    });
+
+    it('should pass the private networks to new containers', () => {
+      const containerConfig = VMService.buildContainerConfig({
+        ...vm,
+        sshKeys: [],
+        privateNetworks: [network],
+        ipLeases: [
+          { address: '172.20.0.5', pool: { network: 'sahary-network' } },
+          { address: '10.200.0.2', pool: { network: network.dockerNetwork } },
+        ],
+      }, { address: '172.20.0.5', pool: { network: 'sahary-network' } });
+
+      expect(containerConfig.networks).toEqual([{
+        name: network.dockerNetwork,
+        ipAddress: '10.200.0.2',
+        aliases: ['web-1', 'web-1.internal'],
+      }]);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject malformed subnets', () => {
+      const result = createNetworkSchema.safeParse({
+        body: { name: 'backend', cidr: '10.200.0.0' },
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
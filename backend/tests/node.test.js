@@ -0,0 +1,234 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    computeNode: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    virtualMachine: {
+      groupBy: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    solarData: {
+      findFirst: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../src/services/migrationService', () => ({
+  requestMigration: jest.fn(),
+}));
+
+const { prisma } = require('../src/config/database');
+const MigrationService = require('../src/services/migrationService');
+const dockerService = require('../src/services/dockerService');
+const DockerDriver = require('../src/services/runtime/dockerDriver');
+const NodeService = require('../src/services/nodeService');
+const SchedulerService = require('../src/services/schedulerService');
+
+const node = (id, overrides = {}) => ({
+  id,
+  name: id,
+  endpoint: id === 'local' ? null : `tcp://${id}:2375`,
+  status: 'ACTIVE',
+  cpu: 8,
+  ram: 16384,
+  storage: 500,
+  labels: null,
+  solarPowered: false,
+  createdAt: new Date(),
+  ...overrides,
+});
+
+const request = {
+  cpu: 2,
+  ram: 2048,
+  storage: 40,
+  userId: 'user-1',
+};
+
+describe('Compute Nodes', () => {
+  let nodes;
+  let allocations;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    nodes = [node('local'), node('south-1')];
+    allocations = [];
+    prisma.computeNode.findFirst.mockImplementation(() => Promise.resolve(nodes.find(entry => !entry.endpoint)));
+    prisma.computeNode.findMany.mockImplementation(() => Promise.resolve(nodes));
+    prisma.computeNode.findUnique.mockImplementation(({ where }) => Promise.resolve(
+      nodes.find(entry => entry.id === where.id) || null,
+    ));
+    prisma.computeNode.update.mockImplementation(({ where, data }) => Promise.resolve({
+      ...nodes.find(entry => entry.id === where.id),
+      ...data,
+    }));
+    prisma.virtualMachine.groupBy.mockImplementation(() => Promise.resolve(allocations));
+    prisma.virtualMachine.findMany.mockResolvedValue([]);
+    prisma.virtualMachine.update.mockResolvedValue({});
+    prisma.solarData.findFirst.mockResolvedValue(null);
+  });
+
+  const allocate = (nodeId, cpu, ram, storage, vms = 1) => {
+    allocations.push({ nodeId, _sum: { cpu, ram, storage }, _count: { _all: vms } });
+  };
+
+  describe('Scheduler', () => {
+    it('should place VMs on the node with the most room left', async () => {
+      allocate('local', 16, 8192, 200);
+
+      const placed = await SchedulerService.placeVM(request);
+
+      expect(placed).toMatchObject({ id: 'south-1', free: { cpu: 32, ram: 16384, storage: 500 } });
+    });
+
+    it('should skip nodes that are cordoned or full', async () => {
+      nodes[1].status = 'CORDONED';
+      allocate('local', 30, 16384, 100);
+
+      await expect(SchedulerService.placeVM(request)).rejects.toThrow(
+        'VM placement failed: No compute node can host the VM (local: not enough ram; south-1: cordoned)',
+      );
+    });
+
+    it('should only use nodes with the selected labels', async () => {
+      nodes[0].labels = { zone: 'north' };
+      nodes[1].labels = { zone: 'south', disk: 'hdd' };
+      nodes.push(node('south-2', { labels: { zone: 'south', disk: 'ssd' } }));
+      allocate('south-2', 20, 12000, 400);
+
+      const placed = await SchedulerService.placeVM({ ...request, nodeSelector: { zone: 'south', disk: 'ssd' } });
+
+      expect(placed.id).toBe('south-2');
+    });
+
+    it('should keep anti-affinity VMs apart and affinity VMs together', async () => {
+      allocate('local', 8, 4096, 100);
+      prisma.virtualMachine.findMany.mockResolvedValue([
+        { id: 'vm-db', nodeId: 'south-1' },
+        { id: 'vm-app', nodeId: 'local' },
+      ]);
+
+      expect((await SchedulerService.placeVM({ ...request, antiAffinity: ['vm-db'] })).id).toBe('local');
+      expect((await SchedulerService.placeVM({ ...request, affinity: ['vm-app'] })).id).toBe('local');
+      expect(prisma.virtualMachine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { in: ['vm-app'] }, userId: 'user-1' },
+      }));
+    });
+
+    it('should reject affinity to VMs of other users', async () => {
+      await expect(SchedulerService.placeVM({ ...request, affinity: ['vm-other'] }))
+        .rejects.toThrow('VM not found or access denied: vm-other');
+    });
+
+    it('should prefer solar nodes only while the plant produces', async () => {
+      nodes[1].solarPowered = true;
+      allocate('south-1', 8, 4096, 100);
+
+      prisma.solarData.findFirst.mockResolvedValue({ production: 4.2, systemStatus: 'NORMAL' });
+      expect((await SchedulerService.placeVM(request)).id).toBe('south-1');
+
+      prisma.solarData.findFirst.mockResolvedValue({ production: 0, systemStatus: 'NORMAL' });
+      expect((await SchedulerService.placeVM(request)).id).toBe('local');
+    });
+
+    it('should place VMs next to the other VMs of their private networks', async () => {
+      allocate('south-1', 16, 8192, 200);
+      prisma.virtualMachine.findMany.mockResolvedValue([{ nodeId: 'south-1' }]);
+
+      const placed = await SchedulerService.placeVM({ ...request, networkIds: ['net-1'] });
+
+      expect(placed.id).toBe('south-1');
+    });
+  });
+
+  describe('Registry', () => {
+    it('should register the local Docker host once', async () => {
+      nodes = [];
+      prisma.computeNode.upsert = jest.fn().mockResolvedValue(node('local'));
+      prisma.virtualMachine.updateMany.mockResolvedValue({ count: 3 });
+
+      const local = await NodeService.ensureLocalNode();
+
+      expect(local.id).toBe('local');
+      expect(prisma.computeNode.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({ name: 'local', endpoint: null, storage: 500 }),
+      }));
+      expect(prisma.virtualMachine.updateMany).toHaveBeenCalledWith({
+        where: { nodeId: null },
+        data: { nodeId: 'local' },
+      });
+    });
+
+    it('should not shrink a node below what its VMs hold', async () => {
+      allocate('south-1', 12, 12288, 300);
+
+      await expect(NodeService.updateNode('admin-1', 'south-1', { ram: 8192 }))
+        .rejects.toThrow('Node update failed: ram capacity is below the 12288 its VMs hold');
+      expect(prisma.computeNode.update).not.toHaveBeenCalled();
+    });
+
+    it('should cordon nodes and record it', async () => {
+      const cordoned = await NodeService.setStatus('admin-1', 'south-1', 'CORDONED');
+
+      expect(cordoned.status).toBe('CORDONED');
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'NODE_CORDONED', resource: 'compute_node', resourceId: 'south-1' }),
+      });
+    });
+
+    it('should move the VMs of a drained node away', async () => {
+      prisma.computeNode.update.mockImplementation(({ where, data }) => {
+        const entry = nodes.find(item => item.id === where.id);
+        Object.assign(entry, data);
+        return Promise.resolve(entry);
+      });
+      const vm = (id, status, dockerContainerId) => ({
+        id, name: `web-${id.slice(3)}`, status, dockerContainerId, cpu: 2, ram: 2048, storage: 40, privateNetworks: [],
+      });
+      prisma.virtualMachine.findMany.mockImplementation(({ where }) => Promise.resolve(where.nodeId ? [
+        vm('vm-1', 'RUNNING', 'container-1'),
+        vm('vm-2', 'STOPPED', null),
+        vm('vm-3', 'ERROR', 'container-3'),
+      ] : []));
+      MigrationService.requestMigration.mockImplementation(vmId => (vmId === 'vm-1'
+        ? Promise.resolve({ id: 'op-1', params: { targetNodeId: 'local' } })
+        : Promise.reject(new Error('VM migration failed: Cannot migrate failed VM'))));
+
+      const result = await SchedulerService.drainNode('admin-1', 'south-1');
+
+      expect(result.node.status).toBe('DRAINING');
+      expect(result.moved).toEqual([{ vmId: 'vm-2', vmName: 'web-2', nodeId: 'local', nodeName: 'local' }]);
+      expect(result.migrating).toEqual([{ vmId: 'vm-1', vmName: 'web-1', nodeId: 'local', operationId: 'op-1' }]);
+      expect(result.remaining).toEqual([
+        expect.objectContaining({ vmId: 'vm-3', reason: 'VM migration failed: Cannot migrate failed VM' }),
+      ]);
+      expect(MigrationService.requestMigration).toHaveBeenCalledWith('vm-1', 'admin-1');
+      expect(prisma.virtualMachine.update).toHaveBeenCalledWith({ where: { id: 'vm-2' }, data: { nodeId: 'local' } });
+    });
+
+    it('should talk to each node through its own Docker endpoint', async () => {
+      const client = dockerService.forNode({ id: 'south-1', endpoint: 'tcp://10.0.0.2:2376' });
+
+      expect(client).not.toBe(dockerService);
+      expect(client).toBeInstanceOf(dockerService.constructor);
+      expect(client.endpoint).toBe('tcp://10.0.0.2:2376');
+      expect(dockerService.forNode({ id: 'south-1', endpoint: 'tcp://10.0.0.2:2376' })).toBe(client);
+      expect(await NodeService.getDocker({ nodeId: 'local' })).toBe(dockerService);
+      expect(await NodeService.getDocker({ nodeId: 'south-1', node: { id: 'south-1', name: 'south-1' } }))
+        .not.toBe(dockerService);
+
+      const remote = new DockerDriver().forNode({ id: 'south-1', endpoint: 'tcp://10.0.0.2:2376' });
+      expect(remote.docker.modem).toMatchObject({ host: '10.0.0.2', port: 2376, protocol: 'http' });
+    });
+  });
+});
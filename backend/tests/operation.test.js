@@ -0,0 +1,224 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    operation: {
+      create: jest.fn(),
+      update: jest.fn(),
+      findFirst: jest.fn(),
+    },
+    virtualMachine: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  restartContainer: jest.fn(),
+}));
+
+const config = require('../src/config');
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const OperationService = require('../src/services/operationService');
+const VMService = require('../src/services/vmService');
+
+const vm = {
+  id: 'vm-1',
+  name: 'web-1',
+  userId: 'user-1',
+  status: 'RUNNING',
+  dockerContainerId: 'container-1',
+  sshKeys: [],
+  securityGroups: [],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [],
+  volumes: [],
+};
+
+// Let queued operations run to completion
+const settle = async () => {
+  for (let i = 0; i < 20; i += 1) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('Operations', () => {
+  let operations;
+  let nextId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    operations = {};
+    nextId = 1;
+
+    prisma.operation.create.mockImplementation(({ data }) => {
+      const id = `op-${nextId++}`;
+      operations[id] = { id, status: 'PENDING', progress: 0, cancelRequested: false, ...data };
+      return Promise.resolve({ ...operations[id] });
+    });
+    prisma.operation.update.mockImplementation(({ where, data }) => {
+      Object.assign(operations[where.id], data);
+      return Promise.resolve({ ...operations[where.id] });
+    });
+    prisma.operation.findFirst.mockImplementation(({ where }) => {
+      const found = Object.values(operations).find(operation => (where.id
+        ? operation.id === where.id && (!where.userId || operation.userId === where.userId)
+        : operation.vmId === where.vmId
+          && where.type.in.includes(operation.type)
+          && where.status.in.includes(operation.status)));
+      return Promise.resolve(found ? { ...found } : null);
+    });
+  });
+
+  describe('Background execution', () => {
+    it('should return a pending operation and record the result', async () => {
+      const operation = await OperationService.enqueue('VM_STOP', { userId: 'user-1', vmId: 'vm-1' }, async (tracker) => {
+        await tracker.progress(50, 'Stopping container');
+        return { status: 'STOPPED' };
+      });
+
+      expect(operation).toMatchObject({ id: 'op-1', status: 'PENDING', cancellable: true });
+
+      await settle();
+
+      expect(operations['op-1']).toMatchObject({
+        status: 'SUCCEEDED',
+        progress: 100,
+        result: { status: 'STOPPED' },
+        startedAt: expect.any(Date),
+        completedAt: expect.any(Date),
+      });
+      expect(prisma.operation.update).toHaveBeenCalledWith({
+        where: { id: 'op-1' },
+        data: { progress: 50, message: 'Stopping container' },
+      });
+    });
+
+    it('should record the error of failed operations', async () => {
+      await OperationService.enqueue('VM_START', { userId: 'user-1', vmId: 'vm-1' }, async () => {
+        throw new Error('VM start failed: no such image');
+      });
+
+      await settle();
+
+      expect(operations['op-1']).toMatchObject({ status: 'FAILED', error: 'VM start failed: no such image' });
+    });
+
+    it('should allow one VM changing operation at a time', async () => {
+      const gate = deferred();
+      await OperationService.enqueue('VM_BACKUP', { userId: 'user-1', vmId: 'vm-1' }, () => gate.promise);
+
+      await expect(OperationService.enqueue('VM_STOP', { userId: 'user-1', vmId: 'vm-1' }, async () => {}))
+        .rejects.toThrow('Operation op-1 (VM_BACKUP) is already in progress on this VM');
+
+      gate.resolve();
+      await settle();
+    });
+  });
+
+  describe('Cancellation', () => {
+    it('should drop queued operations', async () => {
+      const gates = [];
+      const handler = jest.fn();
+      for (let i = 0; i < config.operations.concurrency; i += 1) {
+        const gate = deferred();
+        gates.push(gate);
+        await OperationService.enqueue('VM_RESTORE', { userId: 'user-1' }, () => gate.promise);
+      }
+      const queued = await OperationService.enqueue('VM_RESTORE', { userId: 'user-1' }, handler);
+
+      const cancelled = await OperationService.cancelOperation(queued.id, 'user-1');
+
+      expect(cancelled).toMatchObject({ status: 'CANCELLED', cancellable: false });
+      gates.forEach(gate => gate.resolve());
+      await settle();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should stop running operations at their next checkpoint', async () => {
+      const gate = deferred();
+      const operation = await OperationService.enqueue('VM_BACKUP', { userId: 'user-1', vmId: 'vm-1' }, async (tracker) => {
+        await gate.promise;
+        tracker.throwIfCancelled();
+        return { backupId: 'backup-1' };
+      });
+      await settle();
+
+      const requested = await OperationService.cancelOperation(operation.id, 'user-1');
+      expect(requested).toMatchObject({ status: 'RUNNING', cancelRequested: true, cancellable: false });
+
+      gate.resolve();
+      await settle();
+
+      expect(operations[operation.id]).toMatchObject({ status: 'CANCELLED', message: 'Cancelled' });
+    });
+
+    it('should not interrupt a running VM start', async () => {
+      const gate = deferred();
+      const operation = await OperationService.enqueue('VM_START', { userId: 'user-1', vmId: 'vm-1' }, () => gate.promise);
+      await settle();
+
+      await expect(OperationService.cancelOperation(operation.id, 'user-1'))
+        .rejects.toThrow('Operation can no longer be cancelled');
+
+      gate.resolve();
+      await settle();
+    });
+
+    it('should not show operations of other users', async () => {
+      const operation = await OperationService.enqueue('VM_STOP', { userId: 'user-1', vmId: 'vm-1' }, async () => {});
+      await settle();
+
+      await expect(OperationService.getOperation(operation.id, 'user-2')).rejects.toThrow('Operation not found');
+    });
+  });
+
+  describe('VM lifecycle', () => {
+    beforeEach(() => {
+      prisma.virtualMachine.findUnique.mockResolvedValue(vm);
+      prisma.virtualMachine.updateMany.mockResolvedValue({ count: 1 });
+      prisma.$transaction.mockImplementation(callback => callback(prisma));
+    });
+
+    it('should reject invalid actions before queueing them', async () => {
+      await expect(VMService.requestStart('vm-1', 'user-1')).rejects.toThrow('VM start failed: VM is already running');
+      expect(prisma.operation.create).not.toHaveBeenCalled();
+    });
+
+    it('should restart the container in the background', async () => {
+      dockerService.restartContainer.mockResolvedValue({ containerId: 'container-1', status: 'running' });
+
+      const operation = await VMService.requestRestart('vm-1', 'user-1');
+      await settle();
+
+      expect(dockerService.restartContainer).toHaveBeenCalledWith('container-1', 10);
+      expect(prisma.virtualMachine.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'vm-1', status: 'RESTARTING' },
+        data: { status: 'RUNNING', startedAt: expect.any(Date) },
+      });
+      expect(operations[operation.id]).toMatchObject({ type: 'VM_RESTART', status: 'SUCCEEDED', vmId: 'vm-1' });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'VM_RESTARTED',
+          newValues: expect.objectContaining({ operationId: operation.id }),
+        }),
+      });
+    });
+  });
+});
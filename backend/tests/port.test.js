@@ -0,0 +1,202 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    portLease: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      delete: jest.fn(),
+    },
+    virtualMachine: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  recreateContainer: jest.fn(),
+}));
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/sshKeyService');
+jest.mock('../src/services/firewallService');
+
+const config = require('../src/config');
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const IpamService = require('../src/services/ipamService');
+const PortService = require('../src/services/portService');
+const VMService = require('../src/services/vmService');
+const { vmPortSchema } = require('../src/validations/vm.validation');
+
+const { rangeStart } = config.ports;
+
+const sshLease = { id: 'port-1', hostPort: rangeStart, containerPort: 22, protocol: 'TCP', description: 'SSH' };
+
+const vm = {
+  id: 'vm-1',
+  name: 'web-1',
+  userId: 'user-1',
+  status: 'RUNNING',
+  cpu: 1,
+  ram: 1024,
+  storage: 20,
+  dockerImage: 'nginx:latest',
+  dockerContainerId: 'container-1',
+  sshKeys: [{ id: 'key-1', publicKey: 'ssh-ed25519 AAAA' }],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [sshLease],
+  volumes: [],
+};
+
+describe('Public Ports', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.portLease.findFirst.mockResolvedValue(null);
+    prisma.portLease.findMany.mockResolvedValue([]);
+    prisma.portLease.count.mockResolvedValue(0);
+    prisma.portLease.create.mockImplementation(({ data }) => Promise.resolve({ id: 'port-2', ...data }));
+  });
+
+  describe('Allocation', () => {
+    it('should take the lowest free port of the pool', () => {
+      expect(PortService.findFreePort([rangeStart, rangeStart + 2])).toBe(rangeStart + 1);
+    });
+
+    it('should report an exhausted pool', () => {
+      const used = [];
+      for (let port = rangeStart; port <= config.ports.rangeEnd; port += 1) {
+        used.push(port);
+      }
+
+      expect(PortService.findFreePort(used)).toBeNull();
+    });
+
+    it('should lease a free host port for the container port', async () => {
+      prisma.portLease.findMany.mockResolvedValue([{ hostPort: rangeStart }]);
+
+      const lease = await PortService.allocatePort('vm-1', { containerPort: 80, protocol: 'tcp' });
+
+      expect(prisma.portLease.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: {
+          hostPort: rangeStart + 1,
+          containerPort: 80,
+          protocol: 'TCP',
+          description: null,
+          vmId: 'vm-1',
+        },
+      }));
+      expect(lease.hostPort).toBe(rangeStart + 1);
+    });
+
+    it('should reuse the lease of an already forwarded port', async () => {
+      prisma.portLease.findFirst.mockResolvedValue(sshLease);
+
+      await expect(PortService.ensureSshPort('vm-1')).resolves.toBe(sshLease);
+      expect(prisma.portLease.create).not.toHaveBeenCalled();
+    });
+
+    it('should retry when another VM takes the port first', async () => {
+      prisma.portLease.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ hostPort: rangeStart }]);
+      prisma.portLease.create
+        .mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }))
+        .mockImplementationOnce(({ data }) => Promise.resolve({ id: 'port-2', ...data }));
+
+      const lease = await PortService.allocatePort('vm-1', { containerPort: 80 });
+
+      expect(prisma.portLease.create).toHaveBeenCalledTimes(2);
+      expect(lease.hostPort).toBe(rangeStart + 1);
+    });
+
+    it('should enforce the per VM limit', async () => {
+      prisma.portLease.count.mockResolvedValue(config.ports.maxPerVM);
+
+      await expect(PortService.allocatePort('vm-1', { containerPort: 80 }))
+        .rejects.toThrow(`Maximum ${config.ports.maxPerVM} public ports per VM`);
+    });
+  });
+
+  describe('Container configuration', () => {
+    it('should bind the leased host ports', () => {
+      const containerConfig = VMService.buildContainerConfig(vm, {
+        address: '10.100.0.5',
+        pool: { network: 'sahary-network' },
+      });
+
+      expect(containerConfig.ports).toEqual([{
+        containerPort: 22,
+        hostPort: rangeStart,
+        protocol: 'tcp',
+        hostIp: config.ports.bindAddress,
+      }]);
+    });
+
+    it('should show the public endpoint of each port', () => {
+      const [lease] = PortService.withEndpoints([sshLease]);
+
+      expect(lease.endpoint).toBe(`${config.ports.publicHost}:${rangeStart}`);
+    });
+  });
+
+  describe('VM ports', () => {
+    beforeEach(() => {
+      prisma.virtualMachine.findUnique.mockResolvedValue(vm);
+      IpamService.allocateAddress.mockResolvedValue({ address: '10.100.0.5', pool: { network: 'sahary-network' } });
+      dockerService.recreateContainer.mockResolvedValue({
+        containerId: 'container-2',
+        ports: [{ containerPort: 22, hostPort: rangeStart, protocol: 'tcp' }],
+      });
+    });
+
+    it('should recreate the container with the new port', async () => {
+      prisma.portLease.findMany.mockResolvedValue([{ hostPort: rangeStart }]);
+
+      const port = await VMService.openPort('vm-1', 'user-1', { containerPort: 80 });
+
+      expect(port).toMatchObject({ hostPort: rangeStart + 1, endpoint: `${config.ports.publicHost}:${rangeStart + 1}` });
+      expect(dockerService.recreateContainer).toHaveBeenCalledWith('container-1', expect.objectContaining({
+        ports: expect.arrayContaining([expect.objectContaining({ containerPort: 80, hostPort: rangeStart + 1 })]),
+      }));
+      expect(prisma.virtualMachine.update).toHaveBeenCalledWith({
+        where: { id: 'vm-1' },
+        data: { dockerContainerId: 'container-2', sshPort: rangeStart, appliedSecretsRevision: 0 },
+      });
+    });
+
+    it('should release the lease when the container cannot be recreated', async () => {
+      dockerService.recreateContainer.mockRejectedValue(new Error('Failed to recreate container: port is already allocated'));
+      prisma.portLease.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'port-2' });
+
+      await expect(VMService.openPort('vm-1', 'user-1', { containerPort: 80 }))
+        .rejects.toThrow('port is already allocated');
+      expect(prisma.portLease.delete).toHaveBeenCalledWith({ where: { id: 'port-2' } });
+    });
+
+    it('should keep the SSH port while the VM has SSH keys', async () => {
+      await expect(VMService.closePort('vm-1', 'user-1', 'port-1'))
+        .rejects.toThrow('The SSH port is required while the VM has SSH keys');
+      expect(dockerService.recreateContainer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Validation', () => {
+    it('should not accept host ports', () => {
+      const result = vmPortSchema.safeParse({
+        params: { id: 'cjld2cjxh0000qzrmn831i7rn' },
+        body: { containerPort: 80, hostPort: 80 },
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
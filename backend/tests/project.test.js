@@ -0,0 +1,332 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    project: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    vmTag: {
+      findMany: jest.fn(),
+      deleteMany: jest.fn(),
+      upsert: jest.fn(),
+    },
+    virtualMachine: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/backupChainService', () => ({
+  requestBackup: jest.fn(),
+}));
+
+const { prisma } = require('../src/config/database');
+const config = require('../src/config');
+const { VMStateError } = require('../src/utils/errors');
+const TagService = require('../src/services/tagService');
+const ProjectService = require('../src/services/projectService');
+const VMService = require('../src/services/vmService');
+const BackupChainService = require('../src/services/backupChainService');
+const BulkActionService = require('../src/services/bulkActionService');
+const { vmQuerySchema, vmBulkActionSchema } = require('../src/validations/vm.validation');
+
+describe('Tag Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockResolvedValue([]);
+  });
+
+  it('should parse tag selectors', () => {
+    expect(TagService.parseSelectors(['env:prod', 'team', 'url:http://example.com'])).toEqual({
+      env: 'prod',
+      team: null,
+      url: 'http://example.com',
+    });
+    expect(TagService.parseSelectors(undefined)).toEqual({});
+
+    expect(TagService.buildWhere({ env: 'prod', team: null })).toEqual([
+      { tags: { some: { key: 'env', value: 'prod' } } },
+      { tags: { some: { key: 'team' } } },
+    ]);
+  });
+
+  it('should merge tags and remove the ones set to null', async () => {
+    prisma.vmTag.findMany.mockResolvedValue([
+      { key: 'env', value: 'staging' },
+      { key: 'team', value: 'web' },
+      { key: 'old', value: '' },
+    ]);
+
+    const result = await TagService.setTags('vm-1', { env: 'prod', old: null, tier: 'db' }, { merge: true });
+
+    expect(result).toEqual({
+      tags: { env: 'prod', team: 'web', tier: 'db' },
+      added: ['tier'],
+      changed: ['env'],
+      removed: ['old'],
+    });
+    expect(prisma.vmTag.deleteMany).toHaveBeenCalledWith({ where: { vmId: 'vm-1', key: { in: ['old'] } } });
+    expect(prisma.vmTag.upsert).toHaveBeenCalledTimes(2);
+    expect(prisma.vmTag.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { vmId_key: { vmId: 'vm-1', key: 'env' } },
+      update: { value: 'prod' },
+    }));
+  });
+
+  it('should replace tags without merge', async () => {
+    prisma.vmTag.findMany.mockResolvedValue([{ key: 'env', value: 'prod' }, { key: 'team', value: 'web' }]);
+
+    const result = await TagService.setTags('vm-1', { env: 'prod' });
+
+    expect(result.tags).toEqual({ env: 'prod' });
+    expect(result.removed).toEqual(['team']);
+    expect(prisma.vmTag.upsert).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid tags', () => {
+    expect(() => TagService.validateTags({ 'env:prod': 'x' })).toThrow('Invalid tag key');
+    expect(() => TagService.validateTags({ env: 'x'.repeat(256) })).toThrow('at most 255 characters');
+
+    const tooMany = Object.fromEntries(
+      Array.from({ length: config.projects.maxTagsPerVM + 1 }, (_, index) => [`key${index}`, '']),
+    );
+    expect(() => TagService.validateTags(tooMany)).toThrow(`at most ${config.projects.maxTagsPerVM} tags`);
+  });
+});
+
+describe('Project Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should create a project with a unique name', async () => {
+    prisma.project.count.mockResolvedValue(0);
+    prisma.project.findFirst.mockResolvedValue(null);
+    prisma.project.create.mockResolvedValue({ id: 'project-1', name: 'Checkout', userId: 'user-1' });
+
+    const project = await ProjectService.createProject('user-1', { name: 'Checkout' });
+
+    expect(project.id).toBe('project-1');
+    expect(prisma.project.create).toHaveBeenCalledWith({
+      data: { name: 'Checkout', description: null, userId: 'user-1' },
+    });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'PROJECT_CREATED', resource: 'project', resourceId: 'project-1' }),
+    });
+
+    prisma.project.findFirst.mockResolvedValue({ id: 'project-1' });
+    await expect(ProjectService.createProject('user-1', { name: 'Checkout' }))
+      .rejects.toThrow('A project named "Checkout" already exists');
+  });
+
+  it('should enforce the project limit', async () => {
+    prisma.project.count.mockResolvedValue(config.projects.maxPerUser);
+
+    await expect(ProjectService.createProject('user-1', { name: 'Checkout' }))
+      .rejects.toThrow(`Maximum ${config.projects.maxPerUser} projects per user`);
+  });
+
+  it('should only resolve projects of the user', async () => {
+    prisma.project.findFirst.mockResolvedValue(null);
+
+    await expect(ProjectService.resolveProject('user-2', 'project-1')).rejects.toThrow('Project not found');
+    expect(prisma.project.findFirst).toHaveBeenCalledWith({ where: { id: 'project-1', userId: 'user-2' } });
+  });
+});
+
+describe('VM listing by project and tags', () => {
+  const tagged = (name, tags) => ({
+    id: `vm-${name}`,
+    name,
+    tags: Object.entries(tags).map(([key, value]) => ({ key, value })),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should filter by project and tags', async () => {
+    prisma.virtualMachine.findMany.mockResolvedValue([tagged('api', { env: 'prod', team: 'web' })]);
+    prisma.virtualMachine.count.mockResolvedValue(1);
+
+    const result = await VMService.getUserVMs('user-1', {
+      projectId: 'project-1',
+      tags: { env: 'prod', team: null },
+      sortBy: 'project',
+      sortOrder: 'asc',
+    });
+
+    expect(prisma.virtualMachine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        userId: 'user-1',
+        projectId: 'project-1',
+        AND: [
+          { tags: { some: { key: 'env', value: 'prod' } } },
+          { tags: { some: { key: 'team' } } },
+        ],
+      },
+      orderBy: { project: { name: 'asc' } },
+    }));
+    expect(result.data[0].tags).toEqual({ env: 'prod', team: 'web' });
+
+    expect(VMService.buildVMFilter('user-1', { projectId: 'none' })).toEqual({ userId: 'user-1', projectId: null });
+  });
+
+  it('should sort by a tag with untagged VMs last', async () => {
+    prisma.virtualMachine.findMany.mockResolvedValue([
+      tagged('a', {}),
+      tagged('b', { tier: '10' }),
+      tagged('c', { tier: '2' }),
+      tagged('d', { tier: '2' }),
+    ]);
+
+    const result = await VMService.getUserVMs('user-1', { sortBy: 'tag:tier', sortOrder: 'asc', page: 1, limit: 3 });
+
+    expect(result.data.map(vm => vm.name)).toEqual(['c', 'd', 'b']);
+    expect(result.pagination).toEqual({
+      page: 1,
+      limit: 3,
+      total: 4,
+      totalPages: 2,
+      hasNextPage: true,
+      hasPrevPage: false,
+    });
+
+    const desc = await VMService.getUserVMs('user-1', { sortBy: 'tag:tier', sortOrder: 'desc', limit: 10 });
+    expect(desc.data.map(vm => vm.name)).toEqual(['b', 'c', 'd', 'a']);
+  });
+
+  it('should validate list filters', () => {
+    const { query } = vmQuerySchema.parse({ query: { tag: 'env:prod', projectId: 'none', sortBy: 'tag:env' } });
+
+    expect(query.tag).toEqual(['env:prod']);
+    expect(vmQuerySchema.safeParse({ query: { sortBy: 'tag:' } }).success).toBe(false);
+    expect(vmQuerySchema.safeParse({ query: { projectId: 'nope' } }).success).toBe(false);
+  });
+});
+
+describe('Bulk Action Service', () => {
+  let vms;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+
+    vms = [
+      { id: 'vm-1', name: 'api-1', status: 'RUNNING', dockerContainerId: 'c-1' },
+      { id: 'vm-2', name: 'api-2', status: 'STOPPED', dockerContainerId: 'c-2' },
+      { id: 'vm-3', name: 'api-3', status: 'RUNNING', dockerContainerId: 'c-3' },
+    ];
+    prisma.virtualMachine.findMany.mockResolvedValue(vms);
+  });
+
+  it('should stop the selected VMs and report each one', async () => {
+    jest.spyOn(VMService, 'requestStop')
+      .mockResolvedValueOnce({ id: 'op-1' })
+      .mockRejectedValueOnce(new Error('Operation op-0 (VM_BACKUP) is already in progress on this VM'));
+
+    const report = await BulkActionService.runBulkAction('user-1', {
+      action: 'stop',
+      selector: { tags: { env: 'prod' } },
+    });
+
+    expect(prisma.virtualMachine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', AND: [{ tags: { some: { key: 'env', value: 'prod' } } }] },
+    }));
+    expect(report.total).toBe(3);
+    expect(report.summary).toEqual({ QUEUED: 1, SKIPPED: 1, FAILED: 1 });
+    expect(report.results).toEqual([
+      { vmId: 'vm-1', name: 'api-1', result: 'QUEUED', operationId: 'op-1' },
+      { vmId: 'vm-2', name: 'api-2', result: 'SKIPPED', error: 'VM is already stopped' },
+      {
+        vmId: 'vm-3',
+        name: 'api-3',
+        result: 'FAILED',
+        error: 'Operation op-0 (VM_BACKUP) is already in progress on this VM',
+      },
+    ]);
+    expect(VMService.requestStop).toHaveBeenCalledTimes(2);
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'VM_BULK_ACTION', resourceId: null }),
+    });
+  });
+
+  it('should only report on a dry run', async () => {
+    jest.spyOn(VMService, 'requestStart');
+
+    const report = await BulkActionService.runBulkAction('user-1', {
+      action: 'start',
+      selector: { projectId: 'project-1' },
+      dryRun: true,
+    });
+
+    expect(report.summary).toEqual({ SKIPPED: 2, READY: 1 });
+    expect(report.results[1]).toEqual({ vmId: 'vm-2', name: 'api-2', result: 'READY' });
+    expect(VMService.requestStart).not.toHaveBeenCalled();
+    expect(prisma.auditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('should skip VMs whose status changed since they were selected', async () => {
+    jest.spyOn(VMService, 'deleteVM')
+      .mockResolvedValueOnce(undefined)
+      .mockRejectedValueOnce(new VMStateError('VM deletion failed: Cannot delete running VM'));
+    prisma.virtualMachine.findMany.mockResolvedValue(vms.map(vm => ({ ...vm, status: 'STOPPED' })).slice(0, 2));
+
+    const report = await BulkActionService.runBulkAction('user-1', {
+      action: 'delete',
+      selector: { projectId: 'project-1' },
+    });
+
+    expect(report.results.map(result => result.result)).toEqual(['DELETED', 'SKIPPED']);
+  });
+
+  it('should name backups after the prefix and VM', async () => {
+    BackupChainService.requestBackup.mockResolvedValue({ id: 'op-2' });
+
+    const report = await BulkActionService.runBulkAction('user-1', {
+      action: 'backup',
+      selector: { projectId: 'project-1', status: 'RUNNING' },
+      backupName: 'nightly',
+      backupType: 'INCREMENTAL',
+    });
+
+    expect(prisma.virtualMachine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', projectId: 'project-1', status: 'RUNNING' },
+    }));
+    expect(report.summary.QUEUED).toBe(3);
+    expect(BackupChainService.requestBackup).toHaveBeenCalledWith(
+      'vm-1',
+      'user-1',
+      expect.stringMatching(/^nightly-api-1-\d{8}-\d{6}$/),
+      { backupType: 'INCREMENTAL', description: 'Bulk backup' },
+    );
+  });
+
+  it('should require a selector and limit its size', async () => {
+    await expect(BulkActionService.runBulkAction('user-1', { action: 'stop', selector: {} }))
+      .rejects.toThrow('Select VMs by project or tags');
+
+    const limit = config.projects.bulkMaxVMs;
+    config.projects.bulkMaxVMs = 2;
+    try {
+      await expect(BulkActionService.runBulkAction('user-1', { action: 'stop', selector: { projectId: 'p' } }))
+        .rejects.toThrow('Selector matches 3 VMs, at most 2 per bulk action');
+    } finally {
+      config.projects.bulkMaxVMs = limit;
+    }
+
+    expect(vmBulkActionSchema.safeParse({ body: { action: 'reboot', selector: { projectId: 'p' } } }).success)
+      .toBe(false);
+  });
+});
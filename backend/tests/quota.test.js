@@ -0,0 +1,283 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    user: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    pricingPlan: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+    },
+    userQuotaOverride: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    virtualMachine: {
+      aggregate: jest.fn(),
+    },
+    volume: {
+      aggregate: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+    $executeRaw: jest.fn(),
+  },
+}));
+
+const { prisma } = require('../src/config/database');
+const QuotaService = require('../src/services/quotaService');
+
+const starterPlan = {
+  id: 'plan-starter',
+  name: 'Starter',
+  maxCpu: 1,
+  maxRam: 1024,
+  maxStorage: 20,
+  maxBandwidth: 1000,
+  maxVMs: 1,
+  isActive: true,
+};
+
+const professionalPlan = {
+  id: 'plan-pro',
+  name: 'Professional',
+  maxCpu: 2,
+  maxRam: 4096,
+  maxStorage: 80,
+  maxBandwidth: 4000,
+  maxVMs: 3,
+  isActive: true,
+};
+
+const mockAllocation = ({ vms = 0, cpu = 0, ram = 0, storage = 0, bandwidth = 0, volumes = 0 } = {}) => {
+  prisma.virtualMachine.aggregate.mockResolvedValue({
+    _count: { id: vms },
+    _sum: {
+      cpu: vms ? cpu : null,
+      ram: vms ? ram : null,
+      storage: vms ? storage : null,
+      bandwidth: vms ? bandwidth : null,
+    },
+  });
+  prisma.volume.aggregate.mockResolvedValue({
+    _sum: { size: volumes || null },
+  });
+};
+
+describe('Quota Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.userQuotaOverride.findUnique.mockResolvedValue(null);
+    prisma.auditLog.create.mockResolvedValue({});
+  });
+
+  describe('getEffectiveLimits', () => {
+    it('should use the assigned plan limits', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: professionalPlan });
+
+      const result = await QuotaService.getEffectiveLimits('user-1');
+
+      expect(result.plan.name).toBe('Professional');
+      expect(result.limits).toEqual({
+        cpu: 2,
+        ram: 4096,
+        storage: 80,
+        bandwidth: 4000,
+        vms: 3,
+      });
+    });
+
+    it('should fall back to the default plan when none is assigned', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: null });
+      prisma.pricingPlan.findFirst.mockResolvedValue(starterPlan);
+
+      const result = await QuotaService.getEffectiveLimits('user-1');
+
+      expect(prisma.pricingPlan.findFirst).toHaveBeenCalledWith({
+        where: { name: 'Starter', isActive: true },
+      });
+      expect(result.plan.name).toBe('Starter');
+      expect(result.limits.vms).toBe(1);
+    });
+
+    it('should use fallback limits when no plans exist', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: null });
+      prisma.pricingPlan.findFirst.mockResolvedValue(null);
+
+      const result = await QuotaService.getEffectiveLimits('user-1');
+
+      expect(result.plan).toBeNull();
+      expect(result.limits).toEqual(QuotaService.FALLBACK_LIMITS);
+    });
+
+    it('should apply admin overrides on top of plan limits', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: starterPlan });
+      prisma.userQuotaOverride.findUnique.mockResolvedValue({
+        userId: 'user-1',
+        maxCpu: 4,
+        maxRam: null,
+        maxStorage: null,
+        maxBandwidth: null,
+        maxVMs: 5,
+      });
+
+      const result = await QuotaService.getEffectiveLimits('user-1');
+
+      expect(result.limits.cpu).toBe(4);
+      expect(result.limits.vms).toBe(5);
+      expect(result.limits.ram).toBe(1024);
+      expect(result.plan.limits.cpu).toBe(1);
+    });
+
+    it('should reject unknown users', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      await expect(QuotaService.getEffectiveLimits('missing')).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('checkQuota', () => {
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: professionalPlan });
+    });
+
+    it('should allow requests within the plan', async () => {
+      mockAllocation({ vms: 1, cpu: 1, ram: 1024, storage: 20, bandwidth: 1000 });
+
+      const result = await QuotaService.checkQuota('user-1', {
+        vms: 1, cpu: 1, ram: 2048, storage: 40, bandwidth: 1000,
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.violations).toHaveLength(0);
+    });
+
+    it('should report every exceeded resource', async () => {
+      mockAllocation({ vms: 3, cpu: 2, ram: 3072, storage: 60, bandwidth: 3000 });
+
+      const result = await QuotaService.checkQuota('user-1', {
+        vms: 1, cpu: 1, ram: 2048, storage: 10, bandwidth: 1000,
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.violations.map(v => v.resource)).toEqual(['cpu', 'ram', 'vms']);
+    });
+
+    it('should ignore resources that are not increasing', async () => {
+      mockAllocation({ vms: 3, cpu: 4, ram: 8192, storage: 100, bandwidth: 5000 });
+
+      const result = await QuotaService.checkQuota('user-1', { cpu: -1, ram: 0 });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    it('should count volumes as storage', async () => {
+      mockAllocation({ vms: 1, cpu: 1, ram: 1024, storage: 40, bandwidth: 1000, volumes: 30 });
+
+      const result = await QuotaService.checkQuota('user-1', { storage: 20 });
+
+      expect(result.allocated.storage).toBe(70);
+      expect(result.violations).toEqual([
+        { resource: 'storage', limit: 80, allocated: 70, requested: 20 },
+      ]);
+    });
+
+    it('should throw a descriptive error from assertWithinQuota', async () => {
+      mockAllocation({ vms: 3, cpu: 2, ram: 2048, storage: 40, bandwidth: 3000 });
+
+      await expect(QuotaService.assertWithinQuota('user-1', { vms: 1 }))
+        .rejects.toThrow('Quota exceeded: vms (limit 3, allocated 3, requested 1)');
+    });
+  });
+
+  describe('reserve', () => {
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: professionalPlan });
+      prisma.$transaction.mockImplementation(callback => callback(prisma));
+    });
+
+    it('should check and allocate under the user lock in one transaction', async () => {
+      mockAllocation({ vms: 1, cpu: 1, ram: 1024, storage: 20, bandwidth: 1000 });
+      const allocate = jest.fn().mockResolvedValue({ id: 'vm-2' });
+
+      await expect(QuotaService.reserve('user-1', { vms: 1, cpu: 1 }, allocate)).resolves.toEqual({ id: 'vm-2' });
+
+      const [strings, key] = prisma.$executeRaw.mock.calls[0];
+      expect(strings.join('?')).toContain('pg_advisory_xact_lock');
+      expect(key).toBe('quota:user-1');
+      expect(prisma.$executeRaw.mock.invocationCallOrder[0])
+        .toBeLessThan(prisma.virtualMachine.aggregate.mock.invocationCallOrder[0]);
+      expect(allocate).toHaveBeenCalledWith(prisma);
+    });
+
+    it('should not allocate over the quota', async () => {
+      mockAllocation({ vms: 3, cpu: 2, ram: 2048, storage: 40, bandwidth: 3000 });
+      const allocate = jest.fn();
+
+      await expect(QuotaService.reserve('user-1', { vms: 1 }, allocate)).rejects.toThrow('Quota exceeded: vms');
+      expect(allocate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getQuotaReport', () => {
+    it('should report usage and headroom', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: professionalPlan });
+      mockAllocation({ vms: 2, cpu: 2, ram: 1024, storage: 40, bandwidth: 2000 });
+
+      const report = await QuotaService.getQuotaReport('user-1');
+
+      expect(report.usage.vms).toBe(2);
+      expect(report.headroom).toEqual({
+        cpu: 0,
+        ram: 3072,
+        storage: 40,
+        bandwidth: 2000,
+        vms: 1,
+      });
+      expect(report.usagePercentages.storage).toBe(50);
+    });
+  });
+
+  describe('Admin operations', () => {
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', plan: starterPlan });
+      mockAllocation();
+    });
+
+    it('should reject assigning an inactive plan', async () => {
+      prisma.pricingPlan.findUnique.mockResolvedValue({ ...professionalPlan, isActive: false });
+
+      await expect(QuotaService.assignPlan('user-1', 'plan-pro', 'admin-1'))
+        .rejects.toThrow('Pricing plan is not active');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should assign a plan and audit the change', async () => {
+      prisma.pricingPlan.findUnique.mockResolvedValue(professionalPlan);
+      prisma.user.update.mockResolvedValue({ id: 'user-1', planId: 'plan-pro' });
+
+      await QuotaService.assignPlan('user-1', 'plan-pro', 'admin-1');
+
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'user-1' },
+        data: { planId: 'plan-pro' },
+      }));
+      expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ action: 'USER_PLAN_ASSIGNED', userId: 'admin-1' }),
+      }));
+    });
+
+    it('should only store provided override fields', async () => {
+      prisma.userQuotaOverride.upsert.mockResolvedValue({ userId: 'user-1', maxVMs: 10 });
+
+      await QuotaService.setOverride('user-1', { maxVMs: 10, reason: 'Enterprise trial' }, 'admin-1');
+
+      const { update } = prisma.userQuotaOverride.upsert.mock.calls[0][0];
+      expect(update).toEqual({ maxVMs: 10, reason: 'Enterprise trial', grantedBy: 'admin-1' });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    operation: {
+      findMany: jest.fn(),
+    },
+    computeNode: {
+      findMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  listContainers: jest.fn(),
+  stopContainer: jest.fn(),
+  forNode: jest.fn(),
+}));
+jest.mock('../src/services/billingService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const BillingService = require('../src/services/billingService');
+const ReconcileService = require('../src/services/reconcileService');
+
+const settled = new Date(Date.now() - 60 * 60 * 1000);
+
+const vmRecord = (id, status, dockerContainerId) => ({
+  id,
+  name: `vm-${id}`,
+  status,
+  dockerContainerId,
+  updatedAt: settled,
+});
+
+const container = (containerId, vmId, state) => ({
+  containerId,
+  names: [`/sahary-vm-${vmId}`],
+  image: 'ubuntu:latest',
+  state,
+  created: 1700000000,
+  vmId,
+});
+
+describe('Reconciliation', () => {
+  let vms;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vms = [];
+    prisma.virtualMachine.findMany.mockImplementation(() => Promise.resolve(vms));
+    prisma.operation.findMany.mockResolvedValue([]);
+    prisma.computeNode.findMany.mockResolvedValue([]);
+    dockerService.forNode.mockReturnValue(dockerService);
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.virtualMachine.updateMany.mockResolvedValue({ count: 1 });
+    prisma.vmStateTransition.create.mockImplementation(({ data }) => Promise.resolve(data));
+    BillingService.prorateUsage.mockResolvedValue(null);
+    dockerService.listContainers.mockResolvedValue([]);
+    dockerService.stopContainer.mockResolvedValue({ status: 'exited' });
+  });
+
+  it('should leave VMs matching their containers alone', async () => {
+    vms = [vmRecord('vm-1', 'RUNNING', 'container-1'), vmRecord('vm-2', 'STOPPED', 'container-2')];
+    dockerService.listContainers.mockResolvedValue([
+      container('container-1', 'vm-1', 'running'),
+      container('container-2', 'vm-2', 'exited'),
+    ]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report).toMatchObject({ checkedVMs: 2, containers: 2, drift: [], orphans: [] });
+    expect(prisma.virtualMachine.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should mark VMs whose container died as stopped', async () => {
+    vms = [vmRecord('vm-1', 'RUNNING', 'container-1')];
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'exited')]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.drift).toEqual([expect.objectContaining({
+      type: 'STATUS_MISMATCH',
+      vmId: 'vm-1',
+      status: 'RUNNING',
+      observedStatus: 'STOPPED',
+      repaired: true,
+    })]);
+    expect(BillingService.prorateUsage).toHaveBeenCalledWith('vm-1');
+    expect(prisma.virtualMachine.updateMany).toHaveBeenCalledWith({
+      where: { id: 'vm-1', status: 'RUNNING' },
+      data: expect.objectContaining({ status: 'STOPPED', sshPort: null }),
+    });
+    expect(prisma.vmStateTransition.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ event: 'RECONCILE_STOPPED', reason: 'Reconciled: STATUS_MISMATCH' }),
+    });
+  });
+
+  it('should forget deleted containers so the next start recreates them', async () => {
+    vms = [vmRecord('vm-1', 'RUNNING', 'container-1')];
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.drift[0]).toMatchObject({ type: 'MISSING_CONTAINER', observedStatus: 'STOPPED', repaired: true });
+    expect(prisma.virtualMachine.updateMany).toHaveBeenCalledWith({
+      where: { id: 'vm-1', status: 'RUNNING' },
+      data: expect.objectContaining({ status: 'STOPPED', dockerContainerId: null }),
+    });
+  });
+
+  it('should adopt the container of a start that failed halfway', async () => {
+    vms = [vmRecord('vm-1', 'ERROR', null)];
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'running')]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.drift[0]).toMatchObject({ type: 'UNTRACKED_CONTAINER', containerId: 'container-1', observedStatus: 'RUNNING' });
+    expect(prisma.virtualMachine.updateMany).toHaveBeenCalledWith({
+      where: { id: 'vm-1', status: 'ERROR' },
+      data: { dockerContainerId: 'container-1', status: 'RUNNING' },
+    });
+    expect(report.orphans).toEqual([]);
+  });
+
+  it('should keep failed VMs with a stopped container failed', async () => {
+    vms = [vmRecord('vm-1', 'ERROR', 'container-1')];
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'exited')]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.drift).toEqual([]);
+    expect(prisma.virtualMachine.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should settle VMs stuck in a transitional state', async () => {
+    vms = [vmRecord('vm-1', 'STARTING', 'container-1')];
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'running')]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.drift[0]).toMatchObject({ type: 'STATUS_MISMATCH', observedStatus: 'RUNNING', repaired: true });
+  });
+
+  it('should skip VMs with an operation in progress', async () => {
+    vms = [vmRecord('vm-1', 'STARTING', 'container-1')];
+    prisma.operation.findMany.mockResolvedValue([{ vmId: 'vm-1' }]);
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'created')]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report).toMatchObject({ checkedVMs: 0, skippedVMs: 1, drift: [], orphans: [] });
+  });
+
+  it('should stop containers of suspended VMs', async () => {
+    vms = [vmRecord('vm-1', 'SUSPENDED', 'container-1')];
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'running')]);
+
+    await ReconcileService.reconcile({ repair: true });
+
+    expect(dockerService.stopContainer).toHaveBeenCalledWith('container-1', 10);
+    expect(prisma.virtualMachine.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should only report drift without repair', async () => {
+    vms = [vmRecord('vm-1', 'RUNNING', 'container-1')];
+
+    const report = await ReconcileService.reconcile({ repair: false });
+
+    expect(report.drift[0]).toMatchObject({ type: 'MISSING_CONTAINER', repaired: false });
+    expect(prisma.virtualMachine.updateMany).not.toHaveBeenCalled();
+    expect(ReconcileService.getLastReport()).toBe(report);
+  });
+
+  it('should flag managed containers without a VM', async () => {
+    vms = [vmRecord('vm-1', 'RUNNING', 'container-1')];
+    dockerService.listContainers.mockResolvedValue([
+      container('container-1', 'vm-1', 'running'),
+      container('container-old', 'vm-1', 'exited'),
+      container('container-9', 'vm-9', 'running'),
+      { ...container('container-x', undefined, 'exited'), names: ['/manual'] },
+    ]);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.orphans).toEqual([
+      expect.objectContaining({ containerId: 'container-old', reason: 'DUPLICATE' }),
+      expect.objectContaining({ containerId: 'container-9', reason: 'VM_DELETED', name: 'sahary-vm-vm-9' }),
+      expect.objectContaining({ containerId: 'container-x', reason: 'NO_VM_LABEL', vmId: null }),
+    ]);
+    expect(dockerService.stopContainer).not.toHaveBeenCalled();
+  });
+
+  it('should check each VM against the containers of its own node', async () => {
+    const remote = { listContainers: jest.fn().mockResolvedValue([]) };
+    prisma.computeNode.findMany.mockResolvedValue([
+      { id: 'node-1', name: 'local', endpoint: null },
+      { id: 'node-2', name: 'south-1', endpoint: 'tcp://10.0.0.2:2375' },
+    ]);
+    dockerService.forNode.mockImplementation(node => (node.endpoint ? remote : dockerService));
+    remote.listContainers.mockResolvedValue([container('container-2', 'vm-2', 'running')]);
+    dockerService.listContainers.mockResolvedValue([container('container-1', 'vm-1', 'running')]);
+    vms = [
+      { ...vmRecord('vm-1', 'RUNNING', 'container-1'), nodeId: 'node-1' },
+      { ...vmRecord('vm-2', 'RUNNING', 'container-2'), nodeId: 'node-1' },
+    ];
+
+    const report = await ReconcileService.reconcile({ repair: false });
+
+    expect(report.containers).toBe(2);
+    expect(report.drift).toEqual([expect.objectContaining({ vmId: 'vm-2', type: 'MISSING_CONTAINER' })]);
+    expect(report.orphans).toEqual([expect.objectContaining({ containerId: 'container-2', nodeId: 'node-2', reason: 'DUPLICATE' })]);
+  });
+
+  it('should skip VMs on nodes that cannot be reached', async () => {
+    prisma.computeNode.findMany.mockResolvedValue([
+      { id: 'node-1', name: 'local', endpoint: null },
+      { id: 'node-2', name: 'south-1', endpoint: 'tcp://10.0.0.2:2375' },
+    ]);
+    dockerService.forNode.mockImplementation(node => (node.endpoint
+      ? { listContainers: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) }
+      : dockerService));
+    vms = [{ ...vmRecord('vm-2', 'RUNNING', 'container-2'), nodeId: 'node-2' }];
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report).toMatchObject({ checkedVMs: 0, skippedVMs: 1, drift: [] });
+    expect(report.unreachableNodes).toEqual([expect.objectContaining({ nodeId: 'node-2', error: 'connect ECONNREFUSED' })]);
+    expect(prisma.virtualMachine.updateMany).not.toHaveBeenCalled();
+  });
+});
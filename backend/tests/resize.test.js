@@ -0,0 +1,210 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    usageRecord: {
+      findFirst: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  updateContainerResources: jest.fn(),
+  recreateContainer: jest.fn(),
+}));
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/sshKeyService');
+jest.mock('../src/services/firewallService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const QuotaService = require('../src/services/quotaService');
+const IpamService = require('../src/services/ipamService');
+const BillingService = require('../src/services/billingService');
+const VMService = require('../src/services/vmService');
+
+const vm = {
+  id: 'vm-1',
+  name: 'web-1',
+  userId: 'user-1',
+  status: 'RUNNING',
+  cpu: 1,
+  ram: 1024,
+  storage: 20,
+  bandwidth: 1000,
+  hourlyRate: 0.015,
+  dockerImage: 'ubuntu:22.04',
+  dockerContainerId: 'container-1',
+  templateId: null,
+  sshKeys: [],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [],
+  volumes: [],
+};
+
+describe('VM Resize', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.virtualMachine.findUnique.mockResolvedValue(vm);
+    QuotaService.reserve.mockImplementation((userId, request, allocate) => allocate(prisma));
+    jest.spyOn(BillingService, 'prorateUsage').mockResolvedValue(null);
+  });
+
+  it('should apply CPU and RAM limits to the live container', async () => {
+    await VMService.resizeVM('vm-1', 'user-1', { cpu: 2, ram: 2048 });
+
+    expect(dockerService.updateContainerResources).toHaveBeenCalledWith('container-1', {
+      cpu: 2,
+      ram: 2048,
+      storage: 20,
+    });
+    expect(dockerService.recreateContainer).not.toHaveBeenCalled();
+    expect(prisma.virtualMachine.update).toHaveBeenCalledWith({
+      where: { id: 'vm-1' },
+      data: expect.objectContaining({ cpu: 2, ram: 2048, storage: 20 }),
+    });
+  });
+
+  it('should hold the increase only within the quota', async () => {
+    await VMService.resizeVM('vm-1', 'user-1', { cpu: 2 });
+
+    expect(QuotaService.reserve).toHaveBeenCalledWith('user-1', { cpu: 1, ram: 0, storage: 0 }, expect.any(Function));
+    expect(prisma.virtualMachine.update).toHaveBeenNthCalledWith(1, {
+      where: { id: 'vm-1' },
+      data: { cpu: 2, ram: 1024, storage: 20 },
+    });
+  });
+
+  it('should give the resources back when the container change fails', async () => {
+    dockerService.updateContainerResources.mockRejectedValueOnce(new Error('Failed to update container: gone'));
+    prisma.virtualMachine.update.mockResolvedValue(vm);
+
+    await expect(VMService.resizeVM('vm-1', 'user-1', { cpu: 2 })).rejects.toThrow('gone');
+    expect(prisma.virtualMachine.update).toHaveBeenLastCalledWith({
+      where: { id: 'vm-1' },
+      data: { cpu: 1, ram: 1024, storage: 20 },
+    });
+  });
+
+  it('should not touch the container when the quota is exceeded', async () => {
+    QuotaService.reserve.mockRejectedValue(new Error('Quota exceeded: cpu (limit 1, allocated 1, requested 1)'));
+
+    await expect(VMService.resizeVM('vm-1', 'user-1', { cpu: 2 }))
+      .rejects.toThrow('VM resize failed: Quota exceeded');
+    expect(dockerService.updateContainerResources).not.toHaveBeenCalled();
+    expect(prisma.virtualMachine.update).not.toHaveBeenCalled();
+  });
+
+  it('should bill the elapsed time at the old rate before changing it', async () => {
+    const order = [];
+    BillingService.prorateUsage.mockImplementation(async () => order.push('prorate'));
+    prisma.virtualMachine.update.mockImplementation(async () => order.push('update'));
+
+    await VMService.resizeVM('vm-1', 'user-1', { ram: 2048 });
+
+    expect(order).toEqual(['prorate', 'update', 'update']);
+    const { data } = prisma.virtualMachine.update.mock.calls[1][0];
+    expect(data.hourlyRate).toBeGreaterThan(vm.hourlyRate);
+  });
+
+  it('should not prorate stopped VMs', async () => {
+    prisma.virtualMachine.findUnique.mockResolvedValue({ ...vm, status: 'STOPPED' });
+
+    await VMService.resizeVM('vm-1', 'user-1', { cpu: 2 });
+
+    expect(BillingService.prorateUsage).not.toHaveBeenCalled();
+    expect(dockerService.updateContainerResources).toHaveBeenCalled();
+  });
+
+  it('should recreate the container when storage grows', async () => {
+    IpamService.allocateAddress.mockResolvedValue({ address: '10.100.0.5', pool: { network: 'sahary-network' } });
+    dockerService.recreateContainer.mockResolvedValue({
+      containerId: 'container-2',
+      ports: [],
+    });
+
+    await VMService.resizeVM('vm-1', 'user-1', { storage: 40 });
+
+    expect(dockerService.recreateContainer).toHaveBeenCalledWith('container-1', expect.objectContaining({
+      vmId: 'vm-1',
+      image: 'ubuntu:22.04',
+      storage: 40,
+      network: 'sahary-network',
+      ipAddress: '10.100.0.5',
+    }));
+    expect(prisma.virtualMachine.update).toHaveBeenCalledWith({
+      where: { id: 'vm-1' },
+      data: expect.objectContaining({ storage: 40, dockerContainerId: 'container-2' }),
+    });
+  });
+
+  it('should record the change in the VM history', async () => {
+    await VMService.resizeVM('vm-1', 'user-1', { cpu: 2 });
+
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        action: 'VM_RESIZED',
+        resourceId: 'vm-1',
+        newValues: expect.objectContaining({
+          oldResources: { cpu: 1, ram: 1024, storage: 20 },
+          newResources: { cpu: 2, ram: 1024, storage: 20 },
+          containerRecreated: false,
+        }),
+      }),
+    });
+  });
+
+  it('should reject storage decreases', async () => {
+    await expect(VMService.resizeVM('vm-1', 'user-1', { storage: 10 }))
+      .rejects.toThrow('Storage cannot be decreased');
+  });
+
+  it('should reject requests without changes', async () => {
+    await expect(VMService.resizeVM('vm-1', 'user-1', { cpu: 1 }))
+      .rejects.toThrow('No resource changes requested');
+  });
+
+  it('should reject VMs in transitional state', async () => {
+    prisma.virtualMachine.findUnique.mockResolvedValue({ ...vm, status: 'STARTING' });
+
+    await expect(VMService.resizeVM('vm-1', 'user-1', { cpu: 2 }))
+      .rejects.toThrow('Cannot resize VM while it is in transitional state');
+  });
+});
+
+describe('Billing proration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('should count the minutes since the last usage record', async () => {
+    prisma.virtualMachine.findUnique.mockResolvedValue({ startedAt: new Date(Date.now() - 60 * 60000) });
+    prisma.usageRecord.findFirst.mockResolvedValue({ timestamp: new Date(Date.now() - 2 * 60000) });
+
+    await expect(BillingService.getUnbilledMinutes('vm-1')).resolves.toBe(2);
+  });
+
+  it('should not count the time before the VM started', async () => {
+    prisma.virtualMachine.findUnique.mockResolvedValue({ startedAt: new Date(Date.now() - 3 * 60000) });
+    prisma.usageRecord.findFirst.mockResolvedValue({ timestamp: new Date(Date.now() - 60 * 60000) });
+
+    await expect(BillingService.getUnbilledMinutes('vm-1')).resolves.toBe(3);
+  });
+
+  it('should cap the minutes at a collection interval', async () => {
+    prisma.virtualMachine.findUnique.mockResolvedValue({ startedAt: new Date(Date.now() - 60 * 60000) });
+    prisma.usageRecord.findFirst.mockResolvedValue(null);
+
+    await expect(BillingService.getUnbilledMinutes('vm-1')).resolves.toBe(5);
+  });
+});
@@ -0,0 +1,449 @@
+const { PassThrough } = require('stream');
+const tar = require('tar-stream');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+    },
+    operation: {
+      findMany: jest.fn(),
+    },
+    computeNode: {
+      findMany: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/billingService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const RuntimeDriver = require('../src/services/runtime/runtimeDriver');
+const DockerDriver = require('../src/services/runtime/dockerDriver');
+const SimulatorDriver = require('../src/services/runtime/simulatorDriver');
+const VMService = require('../src/services/vmService');
+const ReconcileService = require('../src/services/reconcileService');
+
+const vmConfig = (overrides = {}) => ({
+  vmId: 'vm-1',
+  name: 'Web-Server',
+  image: 'ubuntu:22.04',
+  cpu: 2,
+  ram: 1024,
+  storage: 20,
+  ports: [{ containerPort: 22 }],
+  volumes: ['sahary-vm-vm-1-data:/data'],
+  ipAddress: '172.20.0.10',
+  ...overrides,
+});
+
+const readArchive = archive => new Promise((resolve, reject) => {
+  const files = {};
+  const extract = tar.extract();
+
+  extract.on('entry', (header, stream, next) => {
+    let content = '';
+    stream.on('data', (chunk) => { content += chunk; });
+    stream.on('end', () => {
+      files[header.name] = header.type === 'file' ? content : header.type;
+      next();
+    });
+  });
+  extract.on('finish', () => resolve(files));
+  extract.on('error', reject);
+
+  archive.pipe(extract);
+});
+
+describe('Runtime drivers', () => {
+  it('should implement the whole interface in every driver', () => {
+    const methods = Object.getOwnPropertyNames(RuntimeDriver.prototype)
+      .filter(name => !['constructor', 'forNode', 'forgetNode', 'unsupported'].includes(name));
+
+    expect(methods).toEqual(expect.arrayContaining(['createContainer', 'getContainerStats', 'execInContainer',
+      'followContainerLogs', 'snapshotContainer', 'connectNetwork']));
+    methods.forEach((name) => {
+      expect([name, Object.prototype.hasOwnProperty.call(DockerDriver.prototype, name)]).toEqual([name, true]);
+      expect([name, Object.prototype.hasOwnProperty.call(SimulatorDriver.prototype, name)]).toEqual([name, true]);
+    });
+  });
+
+  it('should drop image names from docker save archives', async () => {
+    const archive = tar.pack();
+    const manifest = [{ Config: 'abc.json', RepoTags: ['nginx:latest'], Layers: [] }];
+    archive.entry({ name: 'manifest.json' }, JSON.stringify(manifest));
+    archive.entry({ name: 'repositories' }, JSON.stringify({ nginx: { latest: 'abc' } }));
+    archive.entry({ name: 'abc.json' }, '{}');
+    archive.finalize();
+
+    const files = await readArchive(DockerDriver.untagImageArchive(archive));
+
+    expect(Object.keys(files)).toEqual(['manifest.json', 'abc.json']);
+    expect(JSON.parse(files['manifest.json'])).toEqual([{ Config: 'abc.json', RepoTags: null, Layers: [] }]);
+    expect(DockerDriver.untagImageIndex('index.json', {
+      manifests: [{ digest: 'sha256:abc', annotations: { 'io.containerd.image.name': 'nginx:latest' } }],
+    })).toEqual({ manifests: [{ digest: 'sha256:abc', annotations: {} }] });
+  });
+
+  it('should run tests on the simulator', () => {
+    expect(dockerService).toBeInstanceOf(SimulatorDriver);
+    expect(dockerService.forNode({ id: 'node-2', endpoint: 'sim://south-1' })).toBeInstanceOf(SimulatorDriver);
+  });
+});
+
+describe('Simulator Driver', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = new SimulatorDriver();
+  });
+
+  describe('containers', () => {
+    it('should create, start and stop containers', async () => {
+      const created = await driver.createContainer(vmConfig());
+
+      expect(created).toMatchObject({ name: '/sahary-vm-vm-1', status: 'created', image: 'ubuntu:22.04', ports: [] });
+      expect(created.containerId).toMatch(/^[0-9a-f]{64}$/);
+
+      const started = await driver.startContainer(created.containerId);
+      expect(started).toMatchObject({
+        status: 'running',
+        ipAddress: '172.20.0.10',
+        ports: [{ containerPort: 22, hostPort: 32768, protocol: 'tcp' }],
+      });
+      await expect(driver.startContainer(created.containerId))
+        .rejects.toThrow('Failed to start container: (HTTP code 304) container already started');
+
+      const stopped = await driver.stopContainer(created.containerId, 10);
+      expect(stopped.status).toBe('exited');
+      expect(await driver.getContainerStatus(created.containerId)).toMatchObject({ running: false, ports: [] });
+
+      expect(await driver.listContainers()).toEqual([expect.objectContaining({
+        containerId: created.containerId,
+        state: 'exited',
+        vmId: 'vm-1',
+        vmName: 'Web-Server',
+      })]);
+
+      await driver.removeContainer(created.containerId, true);
+      expect(await driver.getContainerStatus(created.containerId)).toBeNull();
+    });
+
+    it('should refuse host ports and names already in use', async () => {
+      const first = await driver.createContainer(vmConfig({ ports: [{ containerPort: 80, hostPort: 8080 }] }));
+      await driver.startContainer(first.containerId);
+
+      await expect(driver.createContainer(vmConfig({ ipAddress: null }))).rejects.toThrow(/is already in use/);
+
+      const second = await driver.createContainer(vmConfig({
+        vmId: 'vm-2',
+        ipAddress: null,
+        ports: [{ containerPort: 80, hostPort: 8080 }],
+        volumes: [],
+      }));
+      await expect(driver.startContainer(second.containerId)).rejects.toThrow(/port is already allocated/);
+      expect((await driver.getContainerStatus(second.containerId)).status).toBe('created');
+    });
+
+    it('should report stats while running only', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+
+      expect(await driver.getContainerStats(containerId))
+        .toMatchObject({ cpu: { usage: 0 }, memory: { used: 0 }, pids: 0 });
+
+      await driver.startContainer(containerId);
+      const stats = await driver.getContainerStats(containerId);
+
+      expect(stats.cpu.usage).toBeGreaterThan(0);
+      expect(stats.memory.limit).toBe(1024 * 1024 * 1024);
+      expect(stats.memory.percentage).toBeGreaterThan(0);
+      expect(await driver.checkContainerHealth(containerId)).toMatchObject({ healthy: true, status: 'healthy' });
+    });
+
+    it('should update limits and keep the filesystem when recreated', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      await driver.startContainer(containerId);
+      await driver.writeContainerFile(containerId, '/app/index.html', 'hello');
+      await driver.updateContainerResources(containerId, { cpu: 4, ram: 2048 });
+
+      const replacement = await driver.recreateContainer(containerId, vmConfig({ storage: 40 }));
+
+      expect(replacement).toMatchObject({ name: '/sahary-vm-vm-1', status: 'running' });
+      expect(await driver.getContainerStatus(containerId)).toBeNull();
+      expect(await driver.execInContainer(replacement.containerId, ['cat', '/app/index.html']))
+        .toMatchObject({ exitCode: 0, output: 'hello' });
+    });
+  });
+
+  describe('exec', () => {
+    it('should run built-in commands and the exec handler', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+
+      await expect(driver.execInContainer(containerId, ['true'])).rejects.toThrow(/is not running/);
+
+      await driver.startContainer(containerId);
+      expect(await driver.execInContainer(containerId, ['echo', 'hi'])).toEqual({
+        exitCode: 0,
+        output: 'hi',
+        command: 'echo hi',
+      });
+      expect((await driver.execInContainer(containerId, ['cat', '/missing'])).exitCode).toBe(1);
+
+      driver.setExecHandler((id, command) => (command[0] === 'pgrep' ? { exitCode: 1, output: 'not found' } : null));
+      expect(await driver.execInContainer(containerId, ['pgrep', 'nginx'])).toMatchObject({ exitCode: 1 });
+      expect((await driver.execInContainer(containerId, ['sh', '-c', 'apt-get update'])).exitCode).toBe(0);
+    });
+
+    it('should echo terminal input', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      await driver.startContainer(containerId);
+
+      const { exec, stream } = await driver.openTerminal(containerId, { cols: 80, rows: 24 });
+      await exec.resize({ w: 120, h: 40 });
+
+      const output = [];
+      stream.on('data', chunk => output.push(chunk.toString()));
+      stream.write('ls\r');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(output.join('')).toContain('ls\r');
+      expect(exec.size).toEqual({ cols: 120, rows: 40 });
+    });
+  });
+
+  describe('logs', () => {
+    it('should keep lifecycle and appended lines', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      await driver.startContainer(containerId);
+      driver.appendLog(containerId, 'nginx ready');
+      driver.appendLog(containerId, 'disk almost full', 'stderr');
+
+      const logs = await driver.getContainerLogs(containerId, { tail: 2, timestamps: false });
+
+      expect(logs).toBe('nginx ready\ndisk almost full\n');
+    });
+
+    it('should follow logs until the container stops', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      await driver.startContainer(containerId);
+
+      const logs = await driver.followContainerLogs(containerId, { tail: 0, stderr: false });
+      const lines = [];
+      logs.stdout.on('data', chunk => lines.push(chunk.toString()));
+      const ended = new Promise(resolve => logs.stdout.on('end', resolve));
+
+      driver.appendLog(containerId, 'request served');
+      driver.appendLog(containerId, 'ignored', 'stderr');
+      await driver.stopContainer(containerId);
+      await ended;
+
+      expect(lines).toEqual([
+        expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\S+Z request served\n$/),
+        expect.stringMatching(/Received SIGTERM/),
+      ]);
+    });
+  });
+
+  describe('files and images', () => {
+    it('should read files as archives, volumes included', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      await driver.writeContainerFile(containerId, '/data/db/records.txt', 'rows');
+      await driver.writeContainerFile(containerId, '/etc/motd', 'welcome');
+
+      expect(await readArchive(await driver.getContainerArchive(containerId, '/data'))).toEqual({
+        data: 'directory',
+        'data/db': 'directory',
+        'data/db/records.txt': 'rows',
+      });
+      expect(await driver.getContainerArchive(containerId, '/nope')).toBeNull();
+
+      // Volume files are not part of the container changes
+      expect(await driver.getContainerChanges(containerId)).toEqual([
+        { Path: '/etc', Kind: 0 },
+        { Path: '/etc/motd', Kind: 1 },
+      ]);
+
+      // Named volumes outlive their container
+      await driver.removeContainer(containerId, true);
+      const next = await driver.createContainer(vmConfig());
+      expect(await readArchive(await driver.getContainerArchive(next.containerId, '/data/db/records.txt')))
+        .toEqual({ 'records.txt': 'rows' });
+    });
+
+    it('should extract archives into a container', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      const pack = tar.pack();
+      pack.entry({ name: 'srv/app.conf' }, 'port=80');
+      pack.finalize();
+
+      await driver.putContainerArchive(containerId, pack, '/');
+      await driver.startContainer(containerId);
+
+      expect((await driver.execInContainer(containerId, ['cat', '/srv/app.conf'])).output).toBe('port=80');
+      await expect(driver.putContainerArchive(containerId, new PassThrough(), '/missing'))
+        .rejects.toThrow(/Could not find the file/);
+    });
+
+    it('should commit containers and move images between hosts', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      await driver.writeContainerFile(containerId, '/app/build.txt', 'v2');
+
+      const snapshot = await driver.snapshotContainer(containerId, 'sahary-migrate/vm-1', 'Migration');
+      expect(snapshot.image).toMatch(/^sahary-migrate\/vm-1:\d+$/);
+
+      const remote = driver.forNode({ id: 'node-2', endpoint: 'sim://south-1' });
+      await expect(remote.createContainer(vmConfig({ image: snapshot.image })))
+        .rejects.toThrow(/No such image/);
+
+      const { stream } = await driver.exportImage(snapshot.imageId);
+      await expect(remote.importImage(stream)).resolves.toMatchObject({ imageIds: [snapshot.imageId] });
+
+      const copy = await remote.createContainer(vmConfig({ image: snapshot.imageId }));
+      await remote.startContainer(copy.containerId);
+      expect((await remote.execInContainer(copy.containerId, ['cat', '/app/build.txt'])).output).toBe('v2');
+
+      const backup = await driver.createContainerBackup(containerId, 'nightly');
+      expect(backup.tags[0]).toMatch(/^sahary-backup\/nightly:/);
+      expect(await driver.removeImage(backup.backupId)).toBe(true);
+      expect(await driver.removeImage(backup.backupId)).toBe(false);
+    });
+
+    it('should import images without their tags', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+      const snapshot = await driver.snapshotContainer(containerId, 'sahary-migrate/vm-1', 'Migration');
+      const remote = driver.forNode({ id: 'node-2', endpoint: 'sim://south-1' });
+
+      const { stream } = await driver.exportImage(snapshot.imageId);
+      await expect(remote.importImage(stream, { untagged: true }))
+        .resolves.toMatchObject({ imageIds: [snapshot.imageId], tags: [] });
+
+      await expect(remote.createContainer(vmConfig({ image: snapshot.image })))
+        .rejects.toThrow(/No such image/);
+      await expect(remote.createContainer(vmConfig({ image: snapshot.imageId }))).resolves.toBeDefined();
+    });
+  });
+
+  describe('networks and volumes', () => {
+    it('should hand out addresses on networks', async () => {
+      await driver.createNetwork('sahary-net-1', { subnet: '10.10.0.0/24', gateway: '10.10.0.1', isolated: true });
+      const { containerId } = await driver.createContainer(vmConfig({
+        networks: [{ name: 'sahary-net-1', ipAddress: '10.10.0.5', aliases: ['web'] }],
+      }));
+      const other = await driver.createContainer(vmConfig({ vmId: 'vm-2', ipAddress: null, volumes: [] }));
+
+      expect(driver.containers.get(other.containerId).networks.get('sahary-network').ipAddress).toBe('172.20.0.2');
+      await driver.startContainer(containerId);
+      await driver.connectNetwork(other.containerId, 'sahary-net-1', { ipAddress: '10.10.0.5' });
+      await expect(driver.startContainer(other.containerId)).rejects.toThrow(/Address already in use/);
+      await driver.disconnectNetwork(other.containerId, 'sahary-net-1');
+      await driver.stopContainer(containerId);
+      await expect(driver.removeNetwork('sahary-net-1')).rejects.toThrow(/has active endpoints/);
+
+      await driver.disconnectNetwork(containerId, 'sahary-net-1');
+      expect(await driver.removeNetwork('sahary-net-1')).toBe(true);
+      expect(await driver.removeNetwork('sahary-net-1')).toBe(false);
+    });
+
+    it('should recreate networks that need isolation while they are unused', async () => {
+      const { containerId } = await driver.createContainer(vmConfig());
+
+      await expect(driver.createNetwork('sahary-network', { isolated: true })).rejects.toThrow(/has active endpoints/);
+
+      await driver.removeContainer(containerId);
+      await driver.createNetwork('sahary-network', { isolated: true });
+      expect(driver.networks.get('sahary-network').isolated).toBe(true);
+    });
+
+    it('should give volumes to the container user and keep them in use', async () => {
+      await driver.createVolume('sahary-vol-1', { labels: { 'sahary.volume.id': 'vol-1' } });
+      const helper = await driver.createVolumeContainer('sahary-vol-1');
+
+      const archive = await driver.getContainerArchive(helper.id, '/volume');
+      expect(await readArchive(archive)).toEqual({ volume: 'directory' });
+      await expect(driver.removeVolume('sahary-vol-1')).rejects.toThrow(/volume is in use/);
+
+      await driver.removeContainer(helper.id, true);
+      expect(await driver.cleanup()).toMatchObject({ volumes: 0 });
+      expect(await driver.removeVolume('sahary-vol-1')).toBe(true);
+    });
+  });
+});
+
+describe('VM flows on the simulator', () => {
+  let vm;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    dockerService.reset();
+
+    const container = await dockerService.createContainer(vmConfig());
+    await dockerService.startContainer(container.containerId);
+
+    vm = {
+      id: 'vm-1',
+      name: 'Web-Server',
+      userId: 'user-1',
+      status: 'RUNNING',
+      nodeId: null,
+      dockerContainerId: container.containerId,
+      updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+      usageRecords: [],
+      sshKeys: [],
+      securityGroups: [],
+      privateNetworks: [],
+      ipLeases: [],
+      volumes: [],
+      portLeases: [],
+      backups: [],
+    };
+
+    prisma.virtualMachine.findUnique.mockImplementation(() => Promise.resolve({ ...vm }));
+    prisma.virtualMachine.findMany.mockImplementation(() => Promise.resolve([{ ...vm }]));
+    prisma.virtualMachine.updateMany.mockImplementation(({ data }) => {
+      vm = { ...vm, ...data };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.vmStateTransition.create.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.operation.findMany.mockResolvedValue([]);
+    prisma.computeNode.findMany.mockResolvedValue([]);
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+  });
+
+  it('should stop and restart VM containers', async () => {
+    await VMService.stopVM('vm-1', 'user-1');
+
+    expect(vm.status).toBe('STOPPED');
+    expect((await dockerService.getContainerStatus(vm.dockerContainerId)).status).toBe('exited');
+
+    vm.status = 'RUNNING';
+    await dockerService.startContainer(vm.dockerContainerId);
+    await VMService.restartVM('vm-1', 'user-1');
+
+    expect(vm.status).toBe('RUNNING');
+    expect(await dockerService.getContainerLogs(vm.dockerContainerId, { timestamps: false }))
+      .toMatch(/started from ubuntu:22.04\n.*SIGTERM.*\n.*started from/);
+  });
+
+  it('should reconcile VMs with simulated containers', async () => {
+    expect((await ReconcileService.reconcile({ repair: true })).drift).toEqual([]);
+
+    // The container dies behind the back of the platform
+    await dockerService.stopContainer(vm.dockerContainerId);
+
+    const report = await ReconcileService.reconcile({ repair: true });
+
+    expect(report.drift).toEqual([expect.objectContaining({ type: 'STATUS_MISMATCH', observedStatus: 'STOPPED' })]);
+    expect(vm.status).toBe('STOPPED');
+  });
+});
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    vmSecret: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn(),
+      createMany: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    virtualMachine: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+    },
+    portLease: {
+      findMany: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/nodeService');
+jest.mock('../src/services/billingService');
+
+const { prisma } = require('../src/config/database');
+const config = require('../src/config');
+const dockerService = require('../src/services/dockerService');
+const IpamService = require('../src/services/ipamService');
+const NodeService = require('../src/services/nodeService');
+const VMService = require('../src/services/vmService');
+const SecretService = require('../src/services/secretService');
+const EncryptionUtils = require('../src/utils/encryption');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('Encryption Utils', () => {
+  it('should only decrypt values with their key and context', () => {
+    const keys = EncryptionUtils.parseKeys(`1:${key()}, 2:${key()}`);
+    const encrypted = EncryptionUtils.encrypt('s3cr3t', keys.get(2), 'vm-1:DB_PASSWORD');
+
+    expect(EncryptionUtils.currentVersion(keys)).toBe(2);
+    expect(encrypted.ciphertext).not.toContain('s3cr3t');
+    expect(EncryptionUtils.decrypt(encrypted, keys.get(2), 'vm-1:DB_PASSWORD')).toBe('s3cr3t');
+
+    expect(() => EncryptionUtils.decrypt(encrypted, keys.get(1), 'vm-1:DB_PASSWORD')).toThrow();
+    expect(() => EncryptionUtils.decrypt(encrypted, keys.get(2), 'vm-2:DB_PASSWORD')).toThrow();
+  });
+
+  it('should reject malformed master keys', () => {
+    expect(EncryptionUtils.parseKeys('').size).toBe(0);
+    expect(() => EncryptionUtils.parseKeys('abc')).toThrow('Invalid master key');
+    expect(() => EncryptionUtils.parseKeys('1:c2hvcnQ=')).toThrow('expected 32 bytes');
+    expect(() => EncryptionUtils.parseKeys(`1:${key()},1:${key()}`)).toThrow('Duplicate master key version 1');
+  });
+});
+
+describe('Secret Service', () => {
+  let vm;
+  let secrets;
+
+  const vmSecrets = vmId => [...secrets.values()]
+    .filter(secret => secret.vmId === vmId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dockerService.reset();
+    config.secrets.masterKeys = `1:${key()}`;
+
+    vm = {
+      id: 'vm-1',
+      name: 'Web-Server',
+      userId: 'user-1',
+      status: 'STOPPED',
+      nodeId: null,
+      dockerContainerId: null,
+      secretsRevision: 0,
+      appliedSecretsRevision: 0,
+      usageRecords: [],
+      sshKeys: [],
+      securityGroups: [],
+      privateNetworks: [],
+      ipLeases: [],
+      volumes: [],
+      portLeases: [],
+      backups: [],
+    };
+    secrets = new Map();
+    let lastId = 0;
+    const nextId = () => {
+      lastId += 1;
+      return `secret-${lastId}`;
+    };
+
+    prisma.virtualMachine.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      where.id === vm.id && (!where.userId || where.userId === vm.userId) ? { ...vm } : null,
+    ));
+    prisma.virtualMachine.findUnique.mockImplementation(({ where, select }) => Promise.resolve(
+      select && select.secrets
+        ? { secretsRevision: vm.secretsRevision, secrets: vmSecrets(where.id) }
+        : { ...vm },
+    ));
+    prisma.virtualMachine.update.mockImplementation(({ data }) => {
+      vm = {
+        ...vm,
+        ...data,
+        ...(data.secretsRevision ? { secretsRevision: vm.secretsRevision + data.secretsRevision.increment } : {}),
+      };
+      return Promise.resolve({ ...vm });
+    });
+    prisma.virtualMachine.updateMany.mockImplementation(({ data }) => {
+      vm = { ...vm, ...data };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.vmStateTransition.create.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.portLease.findMany.mockResolvedValue([]);
+
+    prisma.vmSecret.findMany.mockImplementation(({ where }) => Promise.resolve(where.vmId
+      ? vmSecrets(where.vmId)
+      : [...secrets.values()].filter(secret => secret.keyVersion !== where.keyVersion.not && secret.id > where.id.gt)));
+    prisma.vmSecret.findUnique.mockImplementation(({ where }) => Promise.resolve(
+      secrets.get(`${where.vmId_name.vmId}:${where.vmId_name.name}`) || null,
+    ));
+    prisma.vmSecret.count.mockImplementation(({ where }) => Promise.resolve(vmSecrets(where.vmId).length));
+    prisma.vmSecret.upsert.mockImplementation(({ where, create, update }) => {
+      const id = `${where.vmId_name.vmId}:${where.vmId_name.name}`;
+      const secret = secrets.has(id)
+        ? { ...secrets.get(id), ...update }
+        : { id: nextId(), ...create };
+      secrets.set(id, secret);
+      return Promise.resolve(secret);
+    });
+    prisma.vmSecret.update.mockImplementation(({ where, data }) => {
+      const [id, secret] = [...secrets.entries()].find(([, entry]) => entry.id === where.id);
+      secrets.set(id, { ...secret, ...data });
+      return Promise.resolve(secrets.get(id));
+    });
+    prisma.vmSecret.deleteMany.mockImplementation(({ where }) => Promise.resolve({
+      count: secrets.delete(`${where.vmId}:${where.name}`) ? 1 : 0,
+    }));
+    prisma.vmSecret.createMany.mockImplementation(({ data }) => {
+      data.forEach(secret => secrets.set(`${secret.vmId}:${secret.name}`, { id: nextId(), ...secret }));
+      return Promise.resolve({ count: data.length });
+    });
+    prisma.vmSecret.groupBy.mockImplementation(() => {
+      const counts = {};
+      secrets.forEach(({ keyVersion }) => { counts[keyVersion] = (counts[keyVersion] || 0) + 1; });
+      return Promise.resolve(Object.entries(counts)
+        .map(([keyVersion, count]) => ({ keyVersion: Number(keyVersion), _count: { _all: count } })));
+    });
+    prisma.$transaction.mockImplementation(operations => (Array.isArray(operations)
+      ? Promise.all(operations)
+      : operations(prisma)));
+
+    IpamService.allocateAddress.mockResolvedValue({ address: '172.20.0.10', pool: { network: 'sahary-network' } });
+    NodeService.getDocker.mockResolvedValue(dockerService);
+  });
+
+  describe('setSecret and listSecrets', () => {
+    it('should store values encrypted and mask secrets in listings', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'DB_PASSWORD', value: 's3cr3t' }, 'user-1');
+      await SecretService.setSecret('vm-1', 'user-1', {
+        name: 'NODE_ENV',
+        value: 'production',
+        isSecret: false,
+      }, 'user-1');
+
+      const stored = secrets.get('vm-1:DB_PASSWORD');
+      expect(stored).toMatchObject({ keyVersion: 1, isSecret: true, createdBy: 'user-1' });
+      expect(JSON.stringify(stored)).not.toContain('s3cr3t');
+      expect(vm.secretsRevision).toBe(2);
+
+      const { secrets: listed, applied } = await SecretService.listSecrets('vm-1', 'user-1');
+
+      expect(listed.map(({ name, value }) => [name, value])).toEqual([
+        ['DB_PASSWORD', '********'],
+        ['NODE_ENV', 'production'],
+      ]);
+      expect(listed[0]).not.toHaveProperty('ciphertext');
+      expect(applied).toBe(false);
+
+      // Audit logs never hold values
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'VM_SECRET_SET',
+          resourceId: 'vm-1',
+          newValues: { name: 'DB_PASSWORD', isSecret: true, created: true },
+        }),
+      });
+      expect(JSON.stringify(prisma.auditLog.create.mock.calls)).not.toContain('s3cr3t');
+    });
+
+    it('should refuse variables set by Sahary, other users and missing keys', async () => {
+      await expect(SecretService.setSecret('vm-1', 'user-1', { name: 'VM_ID', value: 'x' }, 'user-1'))
+        .rejects.toThrow('VM_ID is set by Sahary and cannot be overridden');
+      await expect(SecretService.setSecret('vm-1', 'user-2', { name: 'TOKEN', value: 'x' }, 'user-2'))
+        .rejects.toThrow('VM not found or access denied');
+
+      config.secrets.masterKeys = '';
+      await expect(SecretService.setSecret('vm-1', 'user-1', { name: 'TOKEN', value: 'x' }, 'user-1'))
+        .rejects.toThrow('Secrets are not configured');
+      expect(secrets.size).toBe(0);
+    });
+
+    it('should tell running VMs to restart', async () => {
+      vm.status = 'RUNNING';
+
+      const result = await SecretService.setSecret('vm-1', null, { name: 'TOKEN', value: 'x' }, 'admin-1');
+
+      expect(result).toMatchObject({ secret: { name: 'TOKEN', value: '********' }, restartRequired: true });
+    });
+  });
+
+  describe('getSecret and unsetSecret', () => {
+    it('should reveal values with an audited read', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'DB_PASSWORD', value: 's3cr3t' }, 'user-1');
+
+      const secret = await SecretService.getSecret('vm-1', 'user-1', 'DB_PASSWORD', 'user-1');
+
+      expect(secret).toMatchObject({ name: 'DB_PASSWORD', value: 's3cr3t' });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 'user-1',
+          action: 'VM_SECRET_READ',
+          newValues: { name: 'DB_PASSWORD' },
+        }),
+      });
+    });
+
+    it('should only bump the revision when a variable is deleted', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'TOKEN', value: 'x' }, 'user-1');
+
+      await expect(SecretService.unsetSecret('vm-1', 'user-1', 'MISSING', 'user-1'))
+        .rejects.toThrow('Secret not found');
+      expect(vm.secretsRevision).toBe(1);
+
+      await SecretService.unsetSecret('vm-1', 'user-1', 'TOKEN', 'user-1');
+      expect(secrets.size).toBe(0);
+      expect(vm.secretsRevision).toBe(2);
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'VM_SECRET_UNSET', newValues: { name: 'TOKEN' } }),
+      });
+    });
+  });
+
+  describe('rotateKeys', () => {
+    it('should re-encrypt values of older keys with the newest one', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'DB_PASSWORD', value: 's3cr3t' }, 'user-1');
+      const before = secrets.get('vm-1:DB_PASSWORD');
+
+      config.secrets.masterKeys = `${config.secrets.masterKeys},2:${key()}`;
+      const report = await SecretService.rotateKeys('admin-1');
+
+      expect(report).toEqual({ keyVersion: 2, rotated: 1, failed: [], keyVersions: [{ keyVersion: 2, count: 1 }] });
+      expect(secrets.get('vm-1:DB_PASSWORD').ciphertext).not.toBe(before.ciphertext);
+      expect(vm.secretsRevision).toBe(1);
+
+      // Old keys can be dropped once rotated
+      config.secrets.masterKeys = config.secrets.masterKeys.split(',')[1];
+      expect((await SecretService.getSecret('vm-1', null, 'DB_PASSWORD', 'admin-1')).value).toBe('s3cr3t');
+    });
+
+    it('should report values whose key is missing', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'TOKEN', value: 'x' }, 'user-1');
+
+      config.secrets.masterKeys = `2:${key()}`;
+      const report = await SecretService.rotateKeys('admin-1');
+
+      expect(report.rotated).toBe(0);
+      expect(report.failed).toEqual([
+        { vmId: 'vm-1', name: 'TOKEN', error: 'Master key 1 of TOKEN is not configured' },
+      ]);
+      expect(report.keyVersions).toEqual([{ keyVersion: 1, count: 1 }]);
+    });
+  });
+
+  describe('container injection', () => {
+    it('should create containers with the environment and recreate them on restart after a change', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'DB_PASSWORD', value: 's3cr3t' }, 'user-1');
+
+      await VMService.startVM('vm-1', 'user-1');
+
+      const { dockerContainerId } = vm;
+      expect(vm).toMatchObject({ status: 'RUNNING', appliedSecretsRevision: 1 });
+      expect(dockerService.findContainer(dockerContainerId).env).toEqual(expect.arrayContaining([
+        'VM_ID=vm-1',
+        'DB_PASSWORD=s3cr3t',
+      ]));
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: null,
+          action: 'VM_SECRETS_INJECTED',
+          newValues: { names: ['DB_PASSWORD'], revision: 1 },
+        }),
+      });
+
+      // Restarts without changes keep the container
+      await VMService.restartVM('vm-1', 'user-1');
+      expect(vm.dockerContainerId).toBe(dockerContainerId);
+
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'DB_PASSWORD', value: 'rotated' }, 'user-1');
+      await VMService.restartVM('vm-1', 'user-1');
+
+      expect(vm).toMatchObject({ status: 'RUNNING', appliedSecretsRevision: 2 });
+      expect(vm.dockerContainerId).not.toBe(dockerContainerId);
+      expect(dockerService.findContainer(vm.dockerContainerId).env).toContain('DB_PASSWORD=rotated');
+      expect((await dockerService.getContainerStatus(vm.dockerContainerId)).status).toBe('running');
+    });
+
+    it('should recreate stopped containers on start after a change', async () => {
+      await VMService.startVM('vm-1', 'user-1');
+      await VMService.stopVM('vm-1', 'user-1');
+      const { dockerContainerId } = vm;
+
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'API_URL', value: 'https://api', isSecret: false }, 'user-1');
+      await VMService.startVM('vm-1', 'user-1');
+
+      expect(vm.dockerContainerId).not.toBe(dockerContainerId);
+      expect(vm.appliedSecretsRevision).toBe(1);
+      expect(dockerService.findContainer(vm.dockerContainerId).env).toContain('API_URL=https://api');
+    });
+
+    it('should copy variables to clones, encrypted for the clone', async () => {
+      await SecretService.setSecret('vm-1', 'user-1', { name: 'DB_PASSWORD', value: 's3cr3t' }, 'user-1');
+
+      expect(await SecretService.copySecrets(vm, 'vm-2', 'user-1')).toBe(1);
+
+      const copy = secrets.get('vm-2:DB_PASSWORD');
+      expect(copy.ciphertext).not.toBe(secrets.get('vm-1:DB_PASSWORD').ciphertext);
+      expect(await SecretService.getEnvironment({ id: 'vm-2', secretsRevision: 1 }))
+        .toMatchObject({ variables: ['DB_PASSWORD=s3cr3t'] });
+    });
+
+    it('should skip the lookup for VMs without variables', async () => {
+      expect(await SecretService.getEnvironment(vm)).toEqual({ variables: [], revision: 0 });
+      expect(prisma.virtualMachine.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
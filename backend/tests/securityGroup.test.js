@@ -0,0 +1,263 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    $transaction: jest.fn(),
+    securityGroup: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    securityGroupRule: {
+      deleteMany: jest.fn(),
+    },
+    virtualMachine: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+const config = require('../src/config');
+const { prisma } = require('../src/config/database');
+const FirewallService = require('../src/services/firewallService');
+const NodeService = require('../src/services/nodeService');
+const SecurityGroupService = require('../src/services/securityGroupService');
+const VMService = require('../src/services/vmService');
+const { createSecurityGroupSchema } = require('../src/validations/vm.validation');
+
+const webGroup = {
+  id: 'sg-1',
+  name: 'web',
+  rules: [
+    { id: 'rule-1', direction: 'INGRESS', protocol: 'TCP', portFrom: 443, portTo: 443, cidr: '0.0.0.0/0', description: null },
+  ],
+  vms: [],
+};
+
+describe('Security Groups', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.securityGroup.findFirst.mockResolvedValue(null);
+    jest.spyOn(FirewallService, 'sync').mockResolvedValue({ applied: true });
+  });
+
+  describe('normalizeRules', () => {
+    it('should default the direction and normalize the CIDR', () => {
+      const [rule] = SecurityGroupService.normalizeRules([
+        { protocol: 'tcp', portFrom: 22, cidr: '203.0.113.7/24' },
+      ]);
+
+      expect(rule).toEqual({
+        direction: 'INGRESS',
+        protocol: 'TCP',
+        portFrom: 22,
+        portTo: 22,
+        cidr: '203.0.113.0/24',
+        description: null,
+      });
+    });
+
+    it('should allow any source when no CIDR is given', () => {
+      const [rule] = SecurityGroupService.normalizeRules([{ protocol: 'ICMP' }]);
+
+      expect(rule).toMatchObject({ cidr: '0.0.0.0/0', portFrom: null, portTo: null });
+    });
+
+    it('should require a port for TCP and UDP rules', () => {
+      expect(() => SecurityGroupService.normalizeRules([{ protocol: 'UDP' }]))
+        .toThrow('UDP rules require a port');
+    });
+
+    it('should reject ports on other protocols', () => {
+      expect(() => SecurityGroupService.normalizeRules([{ protocol: 'ICMP', portFrom: 8 }]))
+        .toThrow('Ports can only be set on TCP and UDP rules');
+    });
+
+    it('should reject reversed port ranges', () => {
+      expect(() => SecurityGroupService.normalizeRules([{ protocol: 'TCP', portFrom: 9000, portTo: 8000 }]))
+        .toThrow('Invalid port range 9000-8000');
+    });
+  });
+
+  describe('Group management', () => {
+    it('should reject duplicate group names', async () => {
+      prisma.securityGroup.findFirst.mockResolvedValue(webGroup);
+
+      await expect(SecurityGroupService.createGroup('user-1', { name: 'web' }))
+        .rejects.toThrow('A security group named "web" already exists');
+      expect(prisma.securityGroup.create).not.toHaveBeenCalled();
+    });
+
+    it('should apply new rules to attached VMs right away', async () => {
+      prisma.securityGroup.findFirst.mockResolvedValue(webGroup);
+      prisma.securityGroup.update.mockResolvedValue({ ...webGroup, vms: [{ id: 'vm-1' }] });
+
+      await SecurityGroupService.updateGroup('sg-1', 'user-1', {
+        rules: [{ protocol: 'TCP', portFrom: 80 }],
+      });
+
+      expect(prisma.securityGroupRule.deleteMany).toHaveBeenCalledWith({ where: { groupId: 'sg-1' } });
+      expect(FirewallService.sync).toHaveBeenCalled();
+    });
+
+    it('should not resync when only the name changes', async () => {
+      prisma.securityGroup.findFirst
+        .mockResolvedValueOnce(webGroup)
+        .mockResolvedValueOnce(null);
+      prisma.securityGroup.update.mockResolvedValue({ ...webGroup, name: 'https', vms: [{ id: 'vm-1' }] });
+
+      await SecurityGroupService.updateGroup('sg-1', 'user-1', { name: 'https' });
+
+      expect(prisma.securityGroupRule.deleteMany).not.toHaveBeenCalled();
+      expect(FirewallService.sync).not.toHaveBeenCalled();
+    });
+
+    it('should not delete groups attached to VMs', async () => {
+      prisma.securityGroup.findFirst.mockResolvedValue({ ...webGroup, vms: [{ id: 'vm-1' }] });
+
+      await expect(SecurityGroupService.deleteGroup('sg-1', 'user-1'))
+        .rejects.toThrow('Security group is attached to 1 VM(s), detach it first');
+      expect(prisma.securityGroup.delete).not.toHaveBeenCalled();
+    });
+
+    it('should not resolve groups owned by someone else', async () => {
+      prisma.securityGroup.findMany.mockResolvedValue([{ id: 'sg-1', name: 'web' }]);
+
+      await expect(SecurityGroupService.resolveGroups('user-1', ['sg-1', 'sg-2']))
+        .rejects.toThrow('Security group not found');
+    });
+  });
+
+  describe('VM security groups', () => {
+    it('should replace the VM groups and resync the firewall', async () => {
+      prisma.virtualMachine.findUnique.mockResolvedValue({ id: 'vm-1', userId: 'user-1', status: 'RUNNING', securityGroups: [], portLeases: [] });
+      prisma.securityGroup.findMany.mockResolvedValue([{ id: 'sg-1', name: 'web' }]);
+      prisma.virtualMachine.update.mockResolvedValue({ id: 'vm-1', securityGroups: [{ id: 'sg-1', name: 'web' }] });
+
+      await VMService.setSecurityGroups('vm-1', 'user-1', ['sg-1']);
+
+      expect(prisma.virtualMachine.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'vm-1' },
+        data: { securityGroups: { set: [{ id: 'sg-1' }] } },
+      }));
+      expect(FirewallService.sync).toHaveBeenCalled();
+    });
+
+    it('should only attach groups to VMs on the local node', async () => {
+      prisma.virtualMachine.findUnique.mockResolvedValue({
+        id: 'vm-1', userId: 'user-1', status: 'RUNNING', nodeId: 'node-2', securityGroups: [], portLeases: [],
+      });
+      prisma.securityGroup.findMany.mockResolvedValue([{ id: 'sg-1', name: 'web' }]);
+      jest.spyOn(NodeService, 'isLocal').mockResolvedValue(false);
+
+      await expect(VMService.setSecurityGroups('vm-1', 'user-1', ['sg-1']))
+        .rejects.toThrow('Security groups can only be attached to VMs on the local compute node');
+      expect(prisma.virtualMachine.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Firewall rules', () => {
+    const vm = {
+      ipAddress: '10.100.0.5',
+      securityGroups: [{
+        rules: [
+          { direction: 'INGRESS', protocol: 'TCP', portFrom: 22, portTo: 22, cidr: '203.0.113.0/24' },
+          { direction: 'INGRESS', protocol: 'UDP', portFrom: 60000, portTo: 61000, cidr: '0.0.0.0/0' },
+          { direction: 'INGRESS', protocol: 'ICMP', portFrom: null, portTo: null, cidr: '0.0.0.0/0' },
+        ],
+      }],
+    };
+
+    it('should allow matching inbound traffic and drop the rest', () => {
+      const lines = FirewallService.buildRuleset([vm]).split('\n');
+
+      expect(lines).toEqual([
+        '*filter',
+        ':SAHARY-FIREWALL - [0:0]',
+        '-A SAHARY-FIREWALL -d 10.100.0.5/32 -m conntrack --ctstate RELATED,ESTABLISHED -j RETURN',
+        '-A SAHARY-FIREWALL -d 10.100.0.5/32 -s 203.0.113.0/24 -p tcp -m tcp --dport 22 -j RETURN',
+        '-A SAHARY-FIREWALL -d 10.100.0.5/32 -s 0.0.0.0/0 -p udp -m udp --dport 60000:61000 -j RETURN',
+        '-A SAHARY-FIREWALL -d 10.100.0.5/32 -s 0.0.0.0/0 -p icmp -j RETURN',
+        '-A SAHARY-FIREWALL -d 10.100.0.5/32 -j DROP',
+        'COMMIT',
+        '',
+      ]);
+    });
+
+    it('should only restrict outbound traffic when egress rules exist', () => {
+      const ruleset = FirewallService.buildRuleset([{
+        ...vm,
+        securityGroups: [{ rules: [{ direction: 'EGRESS', protocol: 'ALL', cidr: '10.100.0.0/16' }] }],
+      }]);
+
+      expect(ruleset).toContain('-A SAHARY-FIREWALL -s 10.100.0.5/32 -d 10.100.0.0/16 -j RETURN');
+      expect(ruleset).toContain('-A SAHARY-FIREWALL -s 10.100.0.5/32 -j DROP');
+      expect(FirewallService.buildRuleset([vm])).not.toContain('-s 10.100.0.5/32');
+    });
+
+    it('should filter the private network addresses of a VM', () => {
+      const ruleset = FirewallService.buildRuleset([{
+        ...vm,
+        ipLeases: [{ address: '10.100.0.5' }, { address: '192.168.10.2' }],
+      }]);
+
+      expect(ruleset.split('\n')).toContain(
+        '-A SAHARY-FIREWALL -d 192.168.10.2/32 -s 203.0.113.0/24 -p tcp -m tcp --dport 22 -j RETURN',
+      );
+      expect(ruleset).toContain('-A SAHARY-FIREWALL -d 192.168.10.2/32 -j DROP');
+      expect(ruleset.match(/-d 10\.100\.0\.5\/32 -j DROP/g)).toHaveLength(1);
+    });
+
+    it('should not touch the host firewall when disabled', async () => {
+      jest.spyOn(FirewallService, 'run').mockResolvedValue('');
+      config.firewall.enabled = false;
+
+      await expect(FirewallService.apply()).resolves.toEqual({ applied: false, vms: 0, rules: 0 });
+      expect(FirewallService.run).not.toHaveBeenCalled();
+    });
+
+    it('should load the rules atomically and hook them into Docker', async () => {
+      jest.spyOn(FirewallService, 'run').mockResolvedValue('');
+      prisma.virtualMachine.findMany.mockResolvedValue([vm]);
+      config.firewall.enabled = true;
+
+      const result = await FirewallService.apply();
+      config.firewall.enabled = false;
+
+      expect(FirewallService.run).toHaveBeenCalledWith('iptables-restore', ['--noflush'], expect.stringContaining('*filter'));
+      expect(FirewallService.run).toHaveBeenCalledWith('iptables', ['-C', 'DOCKER-USER', '-j', 'SAHARY-FIREWALL']);
+      expect(result).toEqual({ applied: true, vms: 1, rules: 5 });
+      expect(prisma.virtualMachine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          AND: expect.arrayContaining([{ OR: [{ nodeId: null }, { node: { endpoint: null } }] }]),
+        }),
+      }));
+    });
+  });
+
+  describe('Validation', () => {
+    it('should accept lower case protocols', () => {
+      const result = createSecurityGroupSchema.safeParse({
+        body: { name: 'web', rules: [{ protocol: 'tcp', portFrom: 443 }] },
+      });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject unknown protocols', () => {
+      const result = createSecurityGroupSchema.safeParse({
+        body: { name: 'web', rules: [{ protocol: 'GRE' }] },
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    sshKey: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    virtualMachine: {
+      findUnique: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  execInContainer: jest.fn(),
+}));
+jest.mock('../src/services/nodeService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const NodeService = require('../src/services/nodeService');
+const SshKeyService = require('../src/services/sshKeyService');
+
+// Generated with ssh-keygen, fingerprints as printed by `ssh-keygen -l`
+const ED25519_KEY = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIDxmz9EK9+a9TRqCOz7YesxsgwvxCvz4eq+QNB0fAJ9Y deploy@laptop';
+const ED25519_FINGERPRINT = 'SHA256:eckaMaJQAA3Y3rfBizLL25u02WPAXfv6C92lXpr/ZEk';
+const ECDSA_KEY = 'ecdsa-sha2-nistp256 AAAAE2VjZHNhLXNoYTItbmlzdHAyNTYAAAAIbmlzdHAyNTYAAABBBN/2D3gQkhbnRhntZUWyVJd9yFZJw75WiY51OuvBNUcN7tbCfcAxTITS/OiF6ApIYEe0m1THTNLNQ4UatQ7mAwo= ci';
+const ECDSA_FINGERPRINT = 'SHA256:xH/K2K+X1t77uWpguQw/+tLxgGL7wtijaxTJtcmAC14';
+const RSA_1024_KEY = 'ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAAAgQDdqtnvuRG8+LvBL6f1KBSqvfgyheCtxM9N62X9dgJx/YE/1UbPh0tUvAzHzXoZ6lB1EsgaXgnooz9zkLReVzf1qKfjs+l6t4LEfwq36sxVW9nJVVnnK+8Ooj2+gKRYkgqHzUHJlQt6cFzjJcDf+SgPb0xcV8W66b48NiCwlZDb9w== root@vm';
+
+describe('SSH Key Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parsePublicKey', () => {
+    it('should compute the OpenSSH SHA256 fingerprint', () => {
+      expect(SshKeyService.parsePublicKey(ED25519_KEY)).toEqual({
+        keyType: 'ssh-ed25519',
+        publicKey: ED25519_KEY,
+        comment: 'deploy@laptop',
+        fingerprint: ED25519_FINGERPRINT,
+      });
+      expect(SshKeyService.parsePublicKey(ECDSA_KEY).fingerprint).toBe(ECDSA_FINGERPRINT);
+    });
+
+    it('should normalize whitespace', () => {
+      const parsed = SshKeyService.parsePublicKey(`  ${ED25519_KEY.replace(/ /g, '   ')}\n`);
+
+      expect(parsed.publicKey).toBe(ED25519_KEY);
+    });
+
+    it('should reject unsupported key types', () => {
+      expect(() => SshKeyService.parsePublicKey('ssh-dss AAAAB3NzaC1kc3M='))
+        .toThrow('Unsupported SSH key type');
+    });
+
+    it('should reject a type that does not match the key data', () => {
+      const [, data] = ED25519_KEY.split(' ');
+
+      expect(() => SshKeyService.parsePublicKey(`ssh-rsa ${data}`))
+        .toThrow('SSH key type does not match the key data');
+    });
+
+    it('should reject corrupted key data', () => {
+      const [type, data] = ED25519_KEY.split(' ');
+
+      expect(() => SshKeyService.parsePublicKey(`${type} ${data.slice(0, -8)}`))
+        .toThrow('Invalid');
+      expect(() => SshKeyService.parsePublicKey(`${type} not-base64!`))
+        .toThrow('Invalid SSH public key data');
+    });
+
+    it('should reject short RSA keys', () => {
+      expect(() => SshKeyService.parsePublicKey(RSA_1024_KEY))
+        .toThrow('RSA keys must be at least 2048 bits (got 1024)');
+    });
+  });
+
+  describe('createKey', () => {
+    it('should store the normalized key with its fingerprint', async () => {
+      prisma.sshKey.count.mockResolvedValue(0);
+      prisma.sshKey.findFirst.mockResolvedValue(null);
+      prisma.sshKey.create.mockImplementation(({ data }) => Promise.resolve({ id: 'key-1', ...data }));
+
+      const key = await SshKeyService.createKey('user-1', { name: 'laptop', publicKey: ED25519_KEY });
+
+      expect(key).toMatchObject({
+        id: 'key-1',
+        keyType: 'ssh-ed25519',
+        fingerprint: ED25519_FINGERPRINT,
+      });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'SSH_KEY_CREATED', resource: 'ssh_key' }),
+      });
+    });
+
+    it('should reject a key that was already added', async () => {
+      prisma.sshKey.count.mockResolvedValue(1);
+      prisma.sshKey.findFirst.mockResolvedValue({ name: 'laptop', fingerprint: ED25519_FINGERPRINT });
+
+      await expect(SshKeyService.createKey('user-1', { name: 'work', publicKey: ED25519_KEY }))
+        .rejects.toThrow('This key was already added as "laptop"');
+      expect(prisma.sshKey.create).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the per-user key limit', async () => {
+      prisma.sshKey.count.mockResolvedValue(20);
+
+      await expect(SshKeyService.createKey('user-1', { name: 'laptop', publicKey: ED25519_KEY }))
+        .rejects.toThrow('Maximum 20 SSH keys allowed');
+    });
+  });
+
+  describe('resolveKeys', () => {
+    it('should reject keys of other users', async () => {
+      prisma.sshKey.findMany.mockResolvedValue([{ id: 'key-1', publicKey: ED25519_KEY }]);
+
+      await expect(SshKeyService.resolveKeys('user-1', ['key-1', 'key-2']))
+        .rejects.toThrow('SSH key not found');
+      expect(prisma.sshKey.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { in: ['key-1', 'key-2'] }, userId: 'user-1' },
+      }));
+    });
+  });
+
+  describe('injectKeys', () => {
+    it('should pass the keys as arguments of the managed block script', async () => {
+      dockerService.execInContainer.mockResolvedValue({ exitCode: 0, output: '' });
+
+      await SshKeyService.injectKeys('container-1', [{ publicKey: ED25519_KEY }, { publicKey: ECDSA_KEY }]);
+
+      const [containerId, command] = dockerService.execInContainer.mock.calls[0];
+      expect(containerId).toBe('container-1');
+      expect(command.slice(0, 2)).toEqual(['sh', '-c']);
+      expect(command[2]).toContain('# BEGIN sahary managed keys');
+      expect(command.slice(3)).toEqual(['sh', ED25519_KEY, ECDSA_KEY]);
+    });
+
+    it('should fail when the script fails', async () => {
+      dockerService.execInContainer.mockResolvedValue({ exitCode: 1, output: 'sh: not found' });
+
+      await expect(SshKeyService.injectKeys('container-1', [{ publicKey: ED25519_KEY }]))
+        .rejects.toThrow('Failed to write authorized_keys: sh: not found');
+    });
+  });
+
+  describe('deleteKey', () => {
+    it('should rewrite authorized_keys of running VMs without the key', async () => {
+      prisma.sshKey.findFirst.mockResolvedValue({
+        id: 'key-1',
+        name: 'laptop',
+        fingerprint: ED25519_FINGERPRINT,
+        vms: [{ id: 'vm-1' }],
+      });
+      prisma.virtualMachine.findUnique.mockResolvedValue({
+        id: 'vm-1',
+        nodeId: 'node-2',
+        dockerContainerId: 'container-1',
+        sshKeys: [{ publicKey: ECDSA_KEY }],
+      });
+      NodeService.getDocker.mockResolvedValue(dockerService);
+      dockerService.execInContainer.mockResolvedValue({ exitCode: 0, output: '' });
+
+      const report = await SshKeyService.deleteKey('key-1', 'user-1');
+
+      expect(prisma.sshKey.delete).toHaveBeenCalledWith({ where: { id: 'key-1' } });
+      expect(NodeService.getDocker).toHaveBeenCalledWith(expect.objectContaining({ nodeId: 'node-2' }));
+      expect(dockerService.execInContainer.mock.calls[0][1].slice(3)).toEqual(['sh', ECDSA_KEY]);
+      expect(report).toEqual({ revoked: ['vm-1'], failed: [] });
+    });
+
+    it('should report the VMs the key could not be removed from', async () => {
+      prisma.sshKey.findFirst.mockResolvedValue({
+        id: 'key-1',
+        name: 'laptop',
+        fingerprint: ED25519_FINGERPRINT,
+        vms: [{ id: 'vm-1' }],
+      });
+      prisma.virtualMachine.findUnique.mockResolvedValue({
+        id: 'vm-1',
+        nodeId: 'node-2',
+        dockerContainerId: 'container-1',
+        sshKeys: [],
+      });
+      NodeService.getDocker.mockRejectedValue(new Error('Node node-b is offline'));
+
+      const report = await SshKeyService.deleteKey('key-1', 'user-1');
+
+      expect(report.failed).toEqual([{ vmId: 'vm-1', error: 'Node node-b is offline' }]);
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          newValues: expect.objectContaining({ failedVmIds: ['vm-1'] }),
+        }),
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    imageTemplate: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+const { prisma } = require('../src/config/database');
+const TemplateService = require('../src/services/templateService');
+const ValidationHelpers = require('../src/utils/validation.helpers');
+
+const wordpress = {
+  id: 'tpl-wordpress',
+  slug: 'wordpress',
+  name: 'WordPress',
+  category: 'APPLICATION',
+  dockerImage: 'wordpress:latest',
+  defaultCpu: 1,
+  defaultRam: 2048,
+  defaultStorage: 20,
+  defaultBandwidth: 1000,
+  minCpu: 1,
+  minRam: 1024,
+  minStorage: 20,
+  isActive: true,
+};
+
+describe('Template Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyTemplate', () => {
+    it('should fill missing resources and force the template image', () => {
+      const result = TemplateService.applyTemplate({ ram: 4096, dockerImage: 'other:latest' }, wordpress);
+
+      expect(result).toEqual({
+        cpu: 1,
+        ram: 4096,
+        storage: 20,
+        bandwidth: 1000,
+        dockerImage: 'wordpress:latest',
+      });
+    });
+
+    it('should keep the request without a template', () => {
+      const result = TemplateService.applyTemplate({ cpu: 2, ram: 2048, storage: 40 }, null);
+
+      expect(result).toEqual({
+        cpu: 2,
+        ram: 2048,
+        storage: 40,
+        bandwidth: undefined,
+        dockerImage: undefined,
+      });
+    });
+  });
+
+  describe('validateVMResources with a template', () => {
+    it('should reject resources below the template minimums', () => {
+      const result = ValidationHelpers.validateVMResources({ cpu: 1, ram: 512, storage: 10 }, wordpress);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'WordPress requires at least 1024MB of RAM',
+        'WordPress requires at least 20GB of storage',
+      ]);
+    });
+
+    it('should accept resources meeting the template minimums', () => {
+      const result = ValidationHelpers.validateVMResources({ cpu: 1, ram: 1024, storage: 20 }, wordpress);
+
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('getTemplates', () => {
+    it('should only list active templates by default', async () => {
+      prisma.imageTemplate.findMany.mockResolvedValue([wordpress]);
+
+      await TemplateService.getTemplates({ category: 'APPLICATION' });
+
+      expect(prisma.imageTemplate.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { category: 'APPLICATION', isActive: true },
+      }));
+    });
+  });
+
+  describe('getActiveTemplate', () => {
+    it('should reject inactive templates', async () => {
+      prisma.imageTemplate.findUnique.mockResolvedValue({ ...wordpress, isActive: false });
+
+      await expect(TemplateService.getActiveTemplate('tpl-wordpress'))
+        .rejects.toThrow('Template not found or not available');
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should create the template and log the event', async () => {
+      prisma.imageTemplate.findUnique.mockResolvedValue(null);
+      prisma.imageTemplate.create.mockImplementation(({ data }) => Promise.resolve({ id: 'tpl-1', ...data }));
+
+      const { id, ...data } = wordpress;
+      const template = await TemplateService.createTemplate({ ...data, unknown: 'ignored' }, 'admin-1');
+
+      expect(template.id).toBe('tpl-1');
+      expect(prisma.imageTemplate.create.mock.calls[0][0].data).not.toHaveProperty('unknown');
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 'admin-1',
+          action: 'VM_TEMPLATE_CREATED',
+          resource: 'vm_template',
+        }),
+      });
+    });
+
+    it('should reject defaults below the minimum requirements', async () => {
+      await expect(TemplateService.createTemplate({
+        ...wordpress,
+        defaultRam: 512,
+      }, 'admin-1')).rejects.toThrow('Invalid default resources: Template requires at least 1024MB of RAM');
+      expect(prisma.imageTemplate.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate slugs', async () => {
+      prisma.imageTemplate.findUnique.mockResolvedValue(wordpress);
+
+      await expect(TemplateService.createTemplate(wordpress, 'admin-1'))
+        .rejects.toThrow('Template slug wordpress already exists');
+    });
+  });
+
+  describe('updateTemplate', () => {
+    it('should validate the merged template', async () => {
+      prisma.imageTemplate.findUnique.mockResolvedValue(wordpress);
+
+      await expect(TemplateService.updateTemplate('tpl-wordpress', { minStorage: 40 }, 'admin-1'))
+        .rejects.toThrow('Template requires at least 40GB of storage');
+      expect(prisma.imageTemplate.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const { EventEmitter } = require('events');
+
+// The WebSocket server is not needed to test sessions
+jest.mock('ws', () => ({
+  WebSocketServer: jest.fn(),
+  WebSocket: { OPEN: 1 },
+}), { virtual: true });
+
+jest.mock('../src/services/dockerService', () => ({
+  openTerminal: jest.fn(),
+}));
+jest.mock('../src/services/vmService');
+jest.mock('../src/services/authService', () => ({
+  getUserById: jest.fn(),
+}));
+jest.mock('../src/services/redisService', () => ({
+  isReady: jest.fn(() => false),
+}));
+jest.mock('../src/utils/jwt', () => ({
+  verifyAccessToken: jest.fn(),
+  isTokenBlacklisted: jest.fn(),
+}));
+
+const config = require('../src/config');
+const dockerService = require('../src/services/dockerService');
+const VMService = require('../src/services/vmService');
+const AuthService = require('../src/services/authService');
+const JWTUtils = require('../src/utils/jwt');
+const TerminalService = require('../src/services/terminalService');
+
+const user = { id: 'user-1', role: 'USER', isActive: true };
+const vm = { id: 'vm-1', name: 'web-1', status: 'RUNNING', dockerContainerId: 'container-1' };
+
+const createSocket = () => Object.assign(new EventEmitter(), {
+  readyState: 1,
+  bufferedAmount: 0,
+  send: jest.fn((data, options, callback) => callback && callback()),
+  close: jest.fn(function close() {
+    this.readyState = 3;
+  }),
+  ping: jest.fn(),
+});
+
+const createTerminal = () => {
+  const stream = Object.assign(new EventEmitter(), {
+    write: jest.fn(),
+    end: jest.fn(),
+    pause: jest.fn(),
+    resume: jest.fn(),
+    isPaused: jest.fn(() => false),
+  });
+  const exec = { resize: jest.fn(() => Promise.resolve()) };
+  dockerService.openTerminal.mockResolvedValue({ exec, stream });
+  return { exec, stream };
+};
+
+const lastControl = socket => JSON.parse(socket.send.mock.calls
+  .filter(([data]) => typeof data === 'string')
+  .pop()[0]);
+
+describe('Terminal Service', () => {
+  const defaults = { ...config.terminal };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(config.terminal, defaults);
+  });
+
+  afterEach(async () => {
+    await TerminalService.closeAll();
+    jest.useRealTimers();
+  });
+
+  describe('authorize', () => {
+    it('should require an access token', async () => {
+      await expect(TerminalService.authorize(null, 'vm-1')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should only open terminals on VMs owned by the user', async () => {
+      JWTUtils.verifyAccessToken.mockResolvedValue({ userId: 'user-1' });
+      AuthService.getUserById.mockResolvedValue(user);
+      VMService.getVMById.mockResolvedValue(null);
+
+      await expect(TerminalService.authorize('token', 'vm-2')).rejects.toMatchObject({ statusCode: 404 });
+      expect(VMService.getVMById).toHaveBeenCalledWith('vm-2', 'user-1');
+    });
+
+    it('should let users open terminals on their VMs', async () => {
+      JWTUtils.verifyAccessToken.mockResolvedValue({ userId: 'user-1' });
+      AuthService.getUserById.mockResolvedValue(user);
+      VMService.getVMById.mockResolvedValue({ id: 'vm-1', status: 'RUNNING', dockerContainerId: 'container-1' });
+
+      await expect(TerminalService.authorize('token', 'vm-1')).resolves.toMatchObject({ user, vm: { id: 'vm-1' } });
+    });
+
+    it('should require the permission to update VMs', async () => {
+      JWTUtils.verifyAccessToken.mockResolvedValue({ userId: 'user-1' });
+      AuthService.getUserById.mockResolvedValue({ ...user, role: 'GUEST' });
+
+      await expect(TerminalService.authorize('token', 'vm-1')).rejects.toMatchObject({ statusCode: 403 });
+      expect(VMService.getVMById).not.toHaveBeenCalled();
+    });
+
+    it('should require a running VM', async () => {
+      JWTUtils.verifyAccessToken.mockResolvedValue({ userId: 'user-1' });
+      AuthService.getUserById.mockResolvedValue(user);
+      VMService.getVMById.mockResolvedValue({ ...vm, status: 'STOPPED' });
+
+      await expect(TerminalService.authorize('token', 'vm-1')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'VM must be running to open a terminal',
+      });
+    });
+
+    it('should reject invalid tokens', async () => {
+      JWTUtils.verifyAccessToken.mockRejectedValue(new Error('Access token expired'));
+
+      await expect(TerminalService.authorize('token', 'vm-1')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Access token expired',
+      });
+    });
+  });
+
+  describe('sessions', () => {
+    it('should connect the shell to the socket and log the session', async () => {
+      const socket = createSocket();
+      const { exec, stream } = createTerminal();
+
+      const session = await TerminalService.openSession(socket, { user, vm, cols: 120, rows: 5000 });
+
+      expect(dockerService.openTerminal).toHaveBeenCalledWith('container-1', { cols: 120, rows: 1000 });
+      expect(VMService.logVMEvent).toHaveBeenCalledWith(
+        'user-1',
+        'VM_TERMINAL_OPENED',
+        'vm-1',
+        expect.objectContaining({
+          sessionId: session.id,
+        }),
+      );
+      expect(lastControl(socket)).toMatchObject({ type: 'ready', sessionId: session.id });
+
+      stream.emit('data', Buffer.from('$ '));
+      expect(socket.send).toHaveBeenCalledWith(Buffer.from('$ '), { binary: true }, expect.any(Function));
+
+      socket.emit('message', Buffer.from(JSON.stringify({ type: 'input', data: 'ls\r' })), false);
+      socket.emit('message', Buffer.from('pwd\r'), true);
+      expect(stream.write).toHaveBeenNthCalledWith(1, Buffer.from('ls\r'));
+      expect(stream.write).toHaveBeenNthCalledWith(2, Buffer.from('pwd\r'));
+
+      socket.emit('message', Buffer.from(JSON.stringify({ type: 'resize', cols: 100, rows: 30 })), false);
+      expect(exec.resize).toHaveBeenCalledWith({ w: 100, h: 30 });
+
+      stream.emit('end');
+      await new Promise(setImmediate);
+
+      expect(socket.close).toHaveBeenCalledWith(1000, 'Shell exited');
+      expect(VMService.logVMEvent).toHaveBeenCalledWith(
+        'user-1',
+        'VM_TERMINAL_CLOSED',
+        'vm-1',
+        expect.objectContaining({
+          sessionId: session.id,
+          reason: 'Shell exited',
+          bytesIn: 7,
+          bytesOut: 2,
+        }),
+      );
+      expect(TerminalService.getSessions()).toHaveLength(0);
+    });
+
+    it('should pause the shell while the client is slow', async () => {
+      const socket = createSocket();
+      const { stream } = createTerminal();
+      await TerminalService.openSession(socket, { user, vm, cols: 80, rows: 24 });
+
+      socket.bufferedAmount = 2 * 1024 * 1024;
+      socket.send.mockImplementation(() => {});
+      stream.emit('data', Buffer.from('x'));
+
+      expect(stream.pause).toHaveBeenCalled();
+    });
+
+    it('should report invalid messages without closing the session', async () => {
+      const socket = createSocket();
+      createTerminal();
+      await TerminalService.openSession(socket, { user, vm, cols: 80, rows: 24 });
+
+      socket.emit('message', Buffer.from('not json'), false);
+
+      expect(lastControl(socket)).toEqual({ type: 'error', message: 'Messages must be JSON' });
+      expect(socket.close).not.toHaveBeenCalled();
+    });
+
+    it('should close the session at the time limit', async () => {
+      jest.useFakeTimers();
+      config.terminal.idleTimeout = 2 * config.terminal.maxDuration;
+      config.terminal.keepaliveInterval = 2 * config.terminal.maxDuration;
+      const socket = createSocket();
+      createTerminal();
+      await TerminalService.openSession(socket, { user, vm, cols: 80, rows: 24 });
+
+      jest.advanceTimersByTime(config.terminal.maxDuration);
+
+      expect(lastControl(socket)).toEqual({ type: 'closed', reason: 'Session time limit reached' });
+      expect(socket.close).toHaveBeenCalledWith(1008, 'Session time limit reached');
+    });
+
+    it('should close idle sessions', async () => {
+      jest.useFakeTimers();
+      config.terminal.keepaliveInterval = 2 * config.terminal.maxDuration;
+      const socket = createSocket();
+      createTerminal();
+      await TerminalService.openSession(socket, { user, vm, cols: 80, rows: 24 });
+
+      jest.advanceTimersByTime(config.terminal.idleTimeout - 1000);
+      socket.emit('message', Buffer.from('a'), true);
+      jest.advanceTimersByTime(config.terminal.idleTimeout - 1000);
+      expect(socket.close).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(socket.close).toHaveBeenCalledWith(1000, 'Idle timeout');
+    });
+
+    it('should drop connections that stop answering pings', async () => {
+      jest.useFakeTimers();
+      const socket = createSocket();
+      createTerminal();
+      await TerminalService.openSession(socket, { user, vm, cols: 80, rows: 24 });
+
+      jest.advanceTimersByTime(config.terminal.keepaliveInterval);
+      expect(socket.ping).toHaveBeenCalledTimes(1);
+      socket.emit('pong');
+
+      jest.advanceTimersByTime(config.terminal.keepaliveInterval);
+      expect(socket.ping).toHaveBeenCalledTimes(2);
+
+      jest.advanceTimersByTime(config.terminal.keepaliveInterval);
+      expect(socket.close).toHaveBeenCalledWith(1001, 'Keepalive timeout');
+    });
+
+    it('should limit concurrent sessions per user', async () => {
+      config.terminal.maxSessionsPerUser = 1;
+      JWTUtils.verifyAccessToken.mockResolvedValue({ userId: 'user-1' });
+      AuthService.getUserById.mockResolvedValue(user);
+      VMService.getVMById.mockResolvedValue(vm);
+      createTerminal();
+      await TerminalService.openSession(createSocket(), { user, vm, cols: 80, rows: 24 });
+
+      await expect(TerminalService.authorize('token', 'vm-1')).rejects.toMatchObject({ statusCode: 429 });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findFirst: jest.fn(),
+    },
+    userData: {
+      updateMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  writeContainerFile: jest.fn(),
+  execInContainer: jest.fn(),
+}));
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const config = require('../src/config');
+const UserDataService = require('../src/services/userDataService');
+const { createVMSchema } = require('../src/validations/vm.validation');
+
+describe('User Data Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.userData.update.mockImplementation(({ data }) => Promise.resolve({ vmId: 'vm-1', ...data }));
+  });
+
+  describe('renderScript', () => {
+    it('should run scripts as they are', () => {
+      const script = '#!/bin/bash\necho hello\n';
+
+      expect(UserDataService.renderScript(script)).toBe(script);
+    });
+
+    it('should reject scripts without a shebang', () => {
+      expect(() => UserDataService.renderScript('echo hello'))
+        .toThrow('User-data scripts must start with a shebang (#!)');
+    });
+  });
+
+  describe('renderConfig', () => {
+    it('should apply users, files, packages and commands in order', () => {
+      const script = UserDataService.renderConfig({
+        runcmd: ['systemctl restart nginx'],
+        packages: ['nginx', 'curl'],
+        files: [{ path: '/etc/motd', content: 'Welcome\n', permissions: '0644', owner: 'deploy' }],
+        users: [{ name: 'deploy', sudo: true, sshAuthorizedKeys: ['ssh-ed25519 AAAA deploy@host'] }],
+      });
+
+      expect(script.startsWith('#!/bin/sh\n')).toBe(true);
+      expect(script).toContain("useradd -m -s '/bin/sh' 'deploy'");
+      expect(script).toContain("echo 'deploy ALL=(ALL) NOPASSWD:ALL' > '/etc/sudoers.d/90-deploy'");
+      expect(script).toContain("printf '%s\\n' 'ssh-ed25519 AAAA deploy@host' >> \"$home/.ssh/authorized_keys\"");
+      expect(script).toContain(`echo '${Buffer.from('Welcome\n').toString('base64')}' | base64 -d > '/etc/motd'`);
+      expect(script).toContain("apt-get install -y 'nginx' 'curl'");
+
+      const order = ['useradd', 'base64 -d', 'apt-get install', 'systemctl restart nginx']
+        .map(part => script.indexOf(part));
+      expect(order).toEqual([...order].sort((a, b) => a - b));
+    });
+
+    it('should quote array commands and keep string commands as shell', () => {
+      const script = UserDataService.renderConfig({
+        runcmd: [['echo', "it's done"], 'echo $HOME > /tmp/home'],
+      });
+
+      expect(script).toContain("'echo' 'it'\\''s done'");
+      expect(script).toContain('\necho $HOME > /tmp/home\n');
+    });
+
+    it('should reject invalid user names', () => {
+      expect(() => UserDataService.renderConfig({ users: [{ name: 'root; rm -rf /' }] }))
+        .toThrow('Invalid user name');
+    });
+  });
+
+  describe('runPending', () => {
+    it('should skip VMs without pending user-data', async () => {
+      prisma.userData.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await UserDataService.runPending('vm-1', 'container-1');
+
+      expect(result).toBeNull();
+      expect(dockerService.execInContainer).not.toHaveBeenCalled();
+    });
+
+    it('should run the script and record its output', async () => {
+      prisma.userData.updateMany.mockResolvedValue({ count: 1 });
+      prisma.userData.findUnique.mockResolvedValue({ vmId: 'vm-1', content: '#!/bin/sh\necho ok\n' });
+      dockerService.execInContainer.mockResolvedValue({ exitCode: 0, output: 'ok\n' });
+
+      const result = await UserDataService.runPending('vm-1', 'container-1');
+
+      expect(prisma.userData.updateMany).toHaveBeenCalledWith({
+        where: { vmId: 'vm-1', status: 'PENDING' },
+        data: { status: 'RUNNING', startedAt: expect.any(Date) },
+      });
+      expect(dockerService.writeContainerFile)
+        .toHaveBeenCalledWith('container-1', '/var/lib/sahary/user-data', '#!/bin/sh\necho ok\n', 0o700);
+      expect(dockerService.execInContainer).toHaveBeenCalledWith('container-1', ['/var/lib/sahary/user-data'], {
+        timeout: config.userData.timeout,
+        user: 'root',
+      });
+      expect(result).toMatchObject({ status: 'COMPLETED', exitCode: 0, output: 'ok\n', error: null });
+    });
+
+    it('should mark user-data failed on a non-zero exit code', async () => {
+      prisma.userData.updateMany.mockResolvedValue({ count: 1 });
+      prisma.userData.findUnique.mockResolvedValue({ vmId: 'vm-1', content: { runcmd: ['false'] } });
+      dockerService.execInContainer.mockResolvedValue({ exitCode: 1, output: '' });
+
+      const result = await UserDataService.runPending('vm-1', 'container-1');
+
+      expect(result).toMatchObject({ status: 'FAILED', exitCode: 1, error: 'User-data exited with code 1' });
+    });
+
+    it('should mark user-data failed when it cannot be run', async () => {
+      prisma.userData.updateMany.mockResolvedValue({ count: 1 });
+      prisma.userData.findUnique.mockResolvedValue({ vmId: 'vm-1', content: '#!/bin/sh\nsleep 3600\n' });
+      dockerService.execInContainer.mockRejectedValue(new Error('Command timed out after 1800000ms'));
+
+      const result = await UserDataService.runPending('vm-1', 'container-1');
+
+      expect(result).toMatchObject({ status: 'FAILED', error: 'Command timed out after 1800000ms' });
+    });
+
+    it('should keep the end of long output', async () => {
+      prisma.userData.updateMany.mockResolvedValue({ count: 1 });
+      prisma.userData.findUnique.mockResolvedValue({ vmId: 'vm-1', content: '#!/bin/sh\n' });
+      dockerService.execInContainer.mockResolvedValue({
+        exitCode: 0,
+        output: `${'x'.repeat(config.userData.maxOutput)}end`,
+      });
+
+      const result = await UserDataService.runPending('vm-1', 'container-1');
+
+      expect(result.output.startsWith('[output truncated]\n')).toBe(true);
+      expect(result.output.endsWith('end')).toBe(true);
+    });
+  });
+
+  describe('createVMSchema userData', () => {
+    const parse = userData => createVMSchema.safeParse({
+      body: { name: 'web-1', cpu: 1, ram: 1024, storage: 20, userData },
+    });
+
+    it('should accept scripts and configs', () => {
+      expect(parse('#!/bin/sh\necho hi').success).toBe(true);
+      expect(parse({ packages: ['nginx'], runcmd: [['nginx', '-t']] }).success).toBe(true);
+    });
+
+    it('should reject empty configs and unknown keys', () => {
+      expect(parse({}).success).toBe(false);
+      expect(parse({ bootcmd: ['echo hi'] }).success).toBe(false);
+      expect(parse({ packages: ['nginx; reboot'] }).success).toBe(false);
+    });
+  });
+});
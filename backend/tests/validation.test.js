@@ -1,7 +1,7 @@
 const ValidationHelpers = require('../src/utils/validation.helpers');
 const { validate } = require('../src/middlewares/validation');
 const { registerSchema, loginSchema } = require('../src/validations/user.validation');
-const { createVMSchema } = require('../src/validations/vm.validation');
+const { createVMSchema, backupPolicySchema } = require('../src/validations/vm.validation');
 
 describe('Validation Helpers', () => {
   describe('Password Validation', () => {
@@ -333,5 +333,58 @@ describe('Zod Schema Validation', () => {
 
       await expect(createVMSchema.parseAsync(invalidData)).rejects.toThrow();
     });
+
+    test('should allow resources to come from a template', async () => {
+      const result = await createVMSchema.parseAsync({
+        body: {
+          name: 'test-vm',
+          templateId: 'clh3am8zk0000qwer1234abcd'
+        }
+      });
+
+      expect(result.body.templateId).toBe('clh3am8zk0000qwer1234abcd');
+    });
+
+    test('should require resources without a template', async () => {
+      await expect(createVMSchema.parseAsync({
+        body: {
+          name: 'test-vm',
+          cpu: 2
+        }
+      })).rejects.toThrow('CPU cores, RAM and storage are required unless a template is selected');
+    });
   });
-});
\ No newline at end of file
+
+  describe('Backup Policy Schema', () => {
+    const params = { id: 'cjld2cjxh0000qzrmn831i7rn' };
+
+    test('should apply default retention', async () => {
+      const result = await backupPolicySchema.parseAsync({
+        body: { schedule: '0 2 * * *' },
+        params,
+      });
+
+      expect(result.body).toEqual({
+        schedule: '0 2 * * *',
+        keepDaily: 7,
+        keepWeekly: 4,
+        keepMonthly: 3,
+        isEnabled: true,
+      });
+    });
+
+    test('should reject invalid cron expressions', async () => {
+      await expect(backupPolicySchema.parseAsync({
+        body: { schedule: 'every night' },
+        params,
+      })).rejects.toThrow();
+    });
+
+    test('should reject schedules running more than once per hour', async () => {
+      await expect(backupPolicySchema.parseAsync({
+        body: { schedule: '*/5 * * * *' },
+        params,
+      })).rejects.toThrow();
+    });
+  });
+});
@@ -381,9 +381,9 @@ describe('VM API Integration Tests', () => {
         .post(`/api/v1/vms/${testVMId}/start`)
         .set('Authorization', `Bearer ${userToken}`);
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.vm.status).toBe('STARTING');
+      expect(response.body.data.operation.type).toBe('VM_START');
 
       // Wait for VM to start
       await new Promise((resolve) => setTimeout(resolve, 2500));
@@ -394,7 +394,7 @@ describe('VM API Integration Tests', () => {
         .post(`/api/v1/vms/${testVMId}/start`)
         .set('Authorization', `Bearer ${userToken}`);
 
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(409);
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('already running');
     });
@@ -406,9 +406,9 @@ describe('VM API Integration Tests', () => {
         .post(`/api/v1/vms/${testVMId}/restart`)
         .set('Authorization', `Bearer ${userToken}`);
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.vm.status).toBe('RESTARTING');
+      expect(response.body.data.operation.type).toBe('VM_RESTART');
 
       // Wait for VM to restart
       await new Promise((resolve) => setTimeout(resolve, 3500));
@@ -442,15 +442,31 @@ describe('VM API Integration Tests', () => {
     });
   });
 
+  describe('POST /api/v1/vms/bulk - Bulk Action', () => {
+    it('should let users back up the VMs they select', async () => {
+      const response = await request(app)
+        .post('/api/v1/vms/bulk')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          action: 'backup',
+          selector: { tags: ['env:integration'] },
+          dryRun: true,
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+  });
+
   describe('POST /api/v1/vms/:id/stop - Stop VM', () => {
     it('should stop a running VM', async () => {
       const response = await request(app)
         .post(`/api/v1/vms/${testVMId}/stop`)
         .set('Authorization', `Bearer ${userToken}`);
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.vm.status).toBe('STOPPING');
+      expect(response.body.data.operation.type).toBe('VM_STOP');
 
       // Wait for VM to stop
       await new Promise((resolve) => setTimeout(resolve, 2000));
@@ -461,7 +477,7 @@ describe('VM API Integration Tests', () => {
         .post(`/api/v1/vms/${testVMId}/stop`)
         .set('Authorization', `Bearer ${userToken}`);
 
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(409);
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('already stopped');
     });
@@ -561,6 +577,29 @@ describe('VM API Integration Tests', () => {
       });
     });
 
+    describe('POST /api/v1/vms/:id/migrate - Migrate VM (Admin)', () => {
+      it('should let admins request a migration', async () => {
+        const response = await request(app)
+          .post(`/api/v1/vms/${testVMId}/migrate`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({});
+
+        // Reaches the migration, which needs a second compute node to succeed
+        expect(response.status).not.toBe(403);
+        expect([202, 400]).toContain(response.status);
+      });
+
+      it('should reject non-admin migration', async () => {
+        const response = await request(app)
+          .post(`/api/v1/vms/${testVMId}/migrate`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({});
+
+        expect(response.status).toBe(403);
+        expect(response.body.success).toBe(false);
+      });
+    });
+
     describe('POST /api/v1/vms/:id/resume - Resume VM (Admin)', () => {
       it('should resume a suspended VM as admin', async () => {
         const response = await request(app)
@@ -595,7 +634,7 @@ describe('VM API Integration Tests', () => {
         .delete(`/api/v1/vms/${testVMId}`)
         .set('Authorization', `Bearer ${userToken}`);
 
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(409);
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Cannot delete running VM');
     });
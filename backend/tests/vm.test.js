@@ -217,13 +217,8 @@ describe('VM Service', () => {
     test('should restart running VM', async () => {
       const vm = await VMService.restartVM(vmId, userId);
 
-      expect(vm.status).toBe('RESTARTING');
-      
-      // Wait for async status update
-      await new Promise(resolve => setTimeout(resolve, 3500));
-      
-      const updatedVM = await VMService.getVMById(vmId, userId);
-      expect(updatedVM.status).toBe('RUNNING');
+      // The container restart completes before restartVM returns
+      expect(vm.status).toBe('RUNNING');
     });
 
     test('should stop running VM', async () => {
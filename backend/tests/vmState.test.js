@@ -0,0 +1,187 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    virtualMachine: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    vmStateTransition: {
+      create: jest.fn(),
+      delete: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  stopContainer: jest.fn(),
+  startContainer: jest.fn(),
+}));
+jest.mock('../src/services/billingService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const BillingService = require('../src/services/billingService');
+const VMStateMachine = require('../src/services/vmStateMachine');
+const VMService = require('../src/services/vmService');
+const { VMStateError } = require('../src/utils/errors');
+
+const vm = {
+  id: 'vm-1',
+  name: 'web-1',
+  userId: 'user-1',
+  status: 'RUNNING',
+  dockerContainerId: 'container-1',
+  sshKeys: [],
+  securityGroups: [],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [],
+  volumes: [],
+};
+
+describe('VM State Machine', () => {
+  let vms;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vms = { 'vm-1': { ...vm } };
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.virtualMachine.findUnique.mockImplementation(({ where }) => Promise.resolve(vms[where.id] || null));
+    prisma.virtualMachine.updateMany.mockImplementation(({ where, data }) => {
+      const current = vms[where.id];
+      if (!current || current.status !== where.status) {
+        return Promise.resolve({ count: 0 });
+      }
+      Object.assign(current, data);
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.vmStateTransition.create.mockImplementation(({ data }) => Promise.resolve({ id: 'transition-1', ...data }));
+    BillingService.prorateUsage.mockResolvedValue(null);
+    dockerService.stopContainer.mockResolvedValue({ status: 'exited' });
+  });
+
+  describe('Transitions', () => {
+    it('should move the VM and record the transition', async () => {
+      const transition = await VMStateMachine.transition(vms['vm-1'], 'STOP', { userId: 'user-1', operationId: 'op-1' });
+
+      expect(prisma.virtualMachine.updateMany).toHaveBeenCalledWith({
+        where: { id: 'vm-1', status: 'RUNNING' },
+        data: { status: 'STOPPING' },
+      });
+      expect(transition).toMatchObject({
+        vmId: 'vm-1',
+        event: 'STOP',
+        fromStatus: 'RUNNING',
+        toStatus: 'STOPPING',
+        actorId: 'user-1',
+        operationId: 'op-1',
+      });
+    });
+
+    it('should bill the running time when a VM stops', async () => {
+      await VMStateMachine.transition(vms['vm-1'], 'STOP');
+
+      expect(BillingService.prorateUsage).toHaveBeenCalledWith('vm-1');
+    });
+
+    it('should reject invalid transitions with a conflict', async () => {
+      const error = await VMStateMachine.transition({ ...vm, status: 'STOPPED' }, 'RESTART').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(VMStateError);
+      expect(error).toMatchObject({
+        statusCode: 409,
+        errorCode: 'INVALID_VM_STATE',
+        message: 'Cannot restart stopped VM',
+        details: { vmId: 'vm-1', status: 'STOPPED', action: 'RESTART', allowedStatuses: ['RUNNING'] },
+      });
+      expect(prisma.virtualMachine.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should tell when the VM is already in the requested status', () => {
+      expect(() => VMStateMachine.assertTransition(vm, 'START')).toThrow('VM is already running');
+      expect(() => VMStateMachine.assertTransition({ ...vm, status: 'STOPPING' }, 'START'))
+        .toThrow('Cannot start VM while it is in transitional state');
+    });
+
+    it('should lose the race when the status changed since it was read', async () => {
+      const stale = { ...vms['vm-1'] };
+      vms['vm-1'].status = 'STOPPED';
+
+      await expect(VMStateMachine.transition(stale, 'STOP')).rejects.toThrow('VM is already stopped');
+      expect(prisma.vmStateTransition.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Actions', () => {
+    it('should only delete VMs that are not running', () => {
+      expect(() => VMStateMachine.assertAction(vm, 'DELETE')).toThrow('Cannot delete running VM');
+      expect(() => VMStateMachine.assertAction({ ...vm, status: 'ERROR' }, 'DELETE')).not.toThrow();
+    });
+
+    it('should list the actions available in a status', () => {
+      expect(VMStateMachine.getAvailableActions('SUSPENDED')).toEqual(expect.arrayContaining(['RESUME', 'DELETE']));
+      expect(VMStateMachine.getAvailableActions('SUSPENDED')).not.toContain('START');
+    });
+
+    it('should keep the conflict when prefixing the message', () => {
+      const error = VMStateMachine.wrapError(new VMStateError('Cannot clone suspended VM'), 'VM clone failed');
+
+      expect(error).toBeInstanceOf(VMStateError);
+      expect(error.message).toBe('VM clone failed: Cannot clone suspended VM');
+    });
+  });
+
+  describe('Suspension', () => {
+    it('should stop a running VM before suspending it', async () => {
+      await VMService.suspendVM('vm-1', 'admin-1', 'Unpaid invoices');
+
+      expect(dockerService.stopContainer).toHaveBeenCalledWith('container-1', 10);
+      expect(vms['vm-1']).toMatchObject({ status: 'SUSPENDED', sshPort: null });
+      expect(prisma.vmStateTransition.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'SUSPEND', reason: 'Unpaid invoices', actorId: 'admin-1' }),
+      });
+    });
+
+    it('should keep the status when the container cannot be stopped', async () => {
+      dockerService.stopContainer.mockRejectedValue(new Error('Failed to stop container: timeout'));
+
+      await expect(VMService.suspendVM('vm-1', 'admin-1')).rejects.toThrow('timeout');
+      expect(vms['vm-1'].status).toBe('RUNNING');
+      expect(prisma.vmStateTransition.delete).toHaveBeenCalledWith({ where: { id: 'transition-1' } });
+    });
+
+    it('should not stop the container when the suspension loses the race', async () => {
+      const stale = { ...vms['vm-1'] };
+      vms['vm-1'].status = 'STOPPED';
+
+      await expect(VMStateMachine.transition(stale, 'SUSPEND')).rejects.toThrow('VM status changed to STOPPED');
+      expect(dockerService.stopContainer).not.toHaveBeenCalled();
+    });
+
+    it('should not start suspended VMs', async () => {
+      vms['vm-1'].status = 'SUSPENDED';
+
+      const error = await VMService.requestStart('vm-1', 'user-1').catch(caught => caught);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe('VM start failed: Cannot start suspended VM');
+    });
+
+    it('should resume suspended VMs as stopped', async () => {
+      vms['vm-1'].status = 'SUSPENDED';
+
+      await VMService.resumeVM('vm-1', 'admin-1');
+
+      expect(vms['vm-1'].status).toBe('STOPPED');
+      await expect(VMService.resumeVM('vm-1', 'admin-1')).rejects.toThrow('Cannot resume stopped VM');
+    });
+  });
+});
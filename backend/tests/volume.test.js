@@ -0,0 +1,242 @@
+// Mock database
+jest.mock('../src/config/database', () => ({
+  prisma: {
+    volume: {
+      count: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn(),
+    },
+    volumeUsageRecord: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+    },
+    virtualMachine: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    auditLog: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// Mock Docker service
+jest.mock('../src/services/dockerService', () => ({
+  createVolume: jest.fn(),
+  removeVolume: jest.fn(),
+  recreateContainer: jest.fn(),
+}));
+jest.mock('../src/services/quotaService');
+jest.mock('../src/services/ipamService');
+jest.mock('../src/services/sshKeyService');
+jest.mock('../src/services/firewallService');
+
+const { prisma } = require('../src/config/database');
+const dockerService = require('../src/services/dockerService');
+const QuotaService = require('../src/services/quotaService');
+const IpamService = require('../src/services/ipamService');
+const BillingService = require('../src/services/billingService');
+const VolumeService = require('../src/services/volumeService');
+const VMService = require('../src/services/vmService');
+const { createVolumeSchema } = require('../src/validations/vm.validation');
+
+const volume = {
+  id: 'vol-1',
+  name: 'db-data',
+  size: 10,
+  hourlyRate: 0.001,
+  dockerVolume: 'sahary-vol-0a1b2c3d4e5f',
+  mountPath: null,
+  userId: 'user-1',
+  createdAt: new Date(Date.now() - 60 * 60000),
+  vm: null,
+  snapshots: [],
+};
+
+const vm = {
+  id: 'vm-1',
+  name: 'db-1',
+  userId: 'user-1',
+  status: 'RUNNING',
+  cpu: 1,
+  ram: 1024,
+  storage: 20,
+  dockerImage: 'postgres:16',
+  dockerContainerId: 'container-1',
+  sshKeys: [],
+  privateNetworks: [],
+  ipLeases: [],
+  portLeases: [],
+  volumes: [],
+};
+
+describe('Volumes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    prisma.volume.count.mockResolvedValue(0);
+    prisma.volume.findFirst.mockResolvedValue(null);
+    prisma.volume.create.mockImplementation(({ data }) => Promise.resolve({ id: 'vol-1', ...data }));
+    QuotaService.reserve.mockImplementation((userId, request, allocate) => allocate(prisma));
+    dockerService.removeVolume.mockResolvedValue(true);
+  });
+
+  describe('Volume management', () => {
+    it('should create a labelled Docker volume billed by size', async () => {
+      await VolumeService.createVolume('user-1', { name: 'db-data', size: 10 });
+
+      expect(prisma.volume.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          name: 'db-data',
+          size: 10,
+          dockerVolume: expect.stringMatching(/^sahary-vol-[0-9a-f]{12}$/),
+          hourlyRate: 0.001,
+        }),
+      });
+      expect(dockerService.createVolume).toHaveBeenCalledWith(expect.any(String), {
+        labels: { 'sahary.volume.id': 'vol-1', 'sahary.user.id': 'user-1' },
+      });
+    });
+
+    it('should count the size against the storage quota', async () => {
+      QuotaService.reserve.mockRejectedValue(new Error('Quota exceeded: storage (limit 20, allocated 20, requested 10)'));
+
+      await expect(VolumeService.createVolume('user-1', { name: 'db-data', size: 10 }))
+        .rejects.toThrow('Quota exceeded: storage');
+      expect(prisma.volume.create).not.toHaveBeenCalled();
+    });
+
+    it('should remove the record when the Docker volume cannot be created', async () => {
+      dockerService.createVolume.mockRejectedValueOnce(new Error('Failed to create volume: no space left'));
+
+      await expect(VolumeService.createVolume('user-1', { name: 'db-data', size: 10 }))
+        .rejects.toThrow('no space left');
+      expect(prisma.volume.delete).toHaveBeenCalledWith({ where: { id: 'vol-1' } });
+    });
+
+    it('should bill the old size before growing', async () => {
+      const order = [];
+      prisma.volume.findFirst.mockResolvedValue(volume);
+      jest.spyOn(BillingService, 'prorateVolumeUsage').mockImplementation(async () => order.push('prorate'));
+      prisma.volume.update.mockImplementation(async () => order.push('update'));
+
+      await VolumeService.resizeVolume('vol-1', 'user-1', 25);
+
+      expect(QuotaService.reserve).toHaveBeenCalledWith('user-1', { storage: 15 }, expect.any(Function));
+      expect(order).toEqual(['prorate', 'update']);
+      expect(prisma.volume.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { size: 25, hourlyRate: 0.0025 },
+      }));
+    });
+
+    it('should not shrink volumes', async () => {
+      prisma.volume.findFirst.mockResolvedValue(volume);
+
+      await expect(VolumeService.resizeVolume('vol-1', 'user-1', 5))
+        .rejects.toThrow('Volume size cannot be decreased');
+    });
+
+    it('should not delete attached volumes', async () => {
+      prisma.volume.findFirst.mockResolvedValue({ ...volume, vm: { id: 'vm-1', name: 'db-1' } });
+
+      await expect(VolumeService.deleteVolume('vol-1', 'user-1'))
+        .rejects.toThrow('Volume is attached to VM db-1, detach it first');
+      expect(dockerService.removeVolume).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Mount paths', () => {
+    it('should normalize mount paths', () => {
+      expect(VolumeService.validateMountPath('/mnt//db/')).toBe('/mnt/db');
+    });
+
+    it('should reject system paths', () => {
+      expect(() => VolumeService.validateMountPath('/etc/app')).toThrow('Mount path /etc/app is reserved');
+      expect(() => VolumeService.validateMountPath('/')).toThrow('Mount path must be an absolute path below /');
+    });
+
+    it('should reject paths nested in another volume', () => {
+      expect(() => VolumeService.validateMountPath('/mnt/db/wal', [{ name: 'db-data', mountPath: '/mnt/db' }]))
+        .toThrow('Mount path /mnt/db/wal overlaps volume db-data at /mnt/db');
+    });
+  });
+
+  describe('VM attachment', () => {
+    beforeEach(() => {
+      prisma.virtualMachine.findUnique.mockResolvedValue(vm);
+      prisma.volume.findFirst.mockResolvedValue(volume);
+      prisma.volume.updateMany.mockResolvedValue({ count: 1 });
+      IpamService.allocateAddress.mockResolvedValue({ address: '10.100.0.5', pool: { network: 'sahary-network' } });
+      dockerService.recreateContainer.mockResolvedValue({ containerId: 'container-2', ports: [] });
+    });
+
+    it('should recreate the container with the volume mounted', async () => {
+      await VMService.attachVolume('vm-1', 'user-1', { volumeId: 'vol-1', mountPath: '/mnt/db' });
+
+      expect(prisma.volume.updateMany).toHaveBeenCalledWith({
+        where: { id: 'vol-1', vmId: null },
+        data: expect.objectContaining({ vmId: 'vm-1', mountPath: '/mnt/db' }),
+      });
+      expect(dockerService.recreateContainer).toHaveBeenCalledWith('container-1', expect.objectContaining({
+        volumes: ['sahary-vm-vm-1-data:/data', 'sahary-vol-0a1b2c3d4e5f:/mnt/db'],
+      }));
+    });
+
+    it('should not attach a volume twice', async () => {
+      prisma.volume.findFirst.mockResolvedValue({ ...volume, vm: { id: 'vm-2', name: 'db-2' } });
+
+      await expect(VMService.attachVolume('vm-1', 'user-1', { volumeId: 'vol-1', mountPath: '/mnt/db' }))
+        .rejects.toThrow('Volume is already attached to VM db-2');
+      expect(prisma.volume.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should release the volume when the container cannot be recreated', async () => {
+      dockerService.recreateContainer.mockRejectedValue(new Error('Failed to recreate container: mount denied'));
+
+      await expect(VMService.attachVolume('vm-1', 'user-1', { volumeId: 'vol-1', mountPath: '/mnt/db' }))
+        .rejects.toThrow('mount denied');
+      expect(prisma.volume.update).toHaveBeenCalledWith({
+        where: { id: 'vol-1' },
+        data: { vmId: null, mountPath: null, attachedAt: null },
+      });
+    });
+  });
+
+  describe('Billing', () => {
+    it('should bill volumes from their creation', async () => {
+      prisma.volumeUsageRecord.findFirst.mockResolvedValue(null);
+
+      await expect(BillingService.getUnbilledVolumeMinutes(volume, 120)).resolves.toBe(60);
+    });
+
+    it('should group usage per volume for invoices', async () => {
+      prisma.volumeUsageRecord.findMany.mockResolvedValue([
+        { volumeId: 'vol-1', volumeName: 'db-data', size: 10, duration: 60, cost: 0.001 },
+        { volumeId: 'vol-1', volumeName: 'db-data', size: 20, duration: 60, cost: 0.002 },
+        { volumeId: null, volumeName: 'old-logs', size: 5, duration: 30, cost: 0.00025 },
+      ]);
+
+      const usage = await BillingService.getVolumeUsage('user-1');
+
+      expect(usage.volumes).toEqual([
+        { volumeId: 'vol-1', volumeName: 'db-data', size: 20, totalDuration: 120, gbHours: 30, totalCost: 0.003 },
+        { volumeId: null, volumeName: 'old-logs', size: 5, totalDuration: 30, gbHours: 2.5, totalCost: 0.0003 },
+      ]);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should require a size unless a snapshot is given', () => {
+      expect(createVolumeSchema.safeParse({ body: { name: 'db-data' } }).success).toBe(false);
+      expect(createVolumeSchema.safeParse({
+        body: { name: 'db-data', snapshotId: 'cjld2cjxh0000qzrmn831i7rn' },
+      }).success).toBe(true);
+    });
+  });
+});
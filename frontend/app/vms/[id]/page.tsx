@@ -2,7 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
-import { apiClient } from '@/lib/api';
+import { apiClient, LogEntry } from '@/lib/api';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -48,6 +48,8 @@ interface VM {
   updatedAt: string;
 }
 
+const MAX_LOG_LINES = 1000;
+
 interface VMStats {
   cpuUsage: number;
   ramUsage: number;
@@ -66,6 +68,8 @@ export default function VMDetailsPage() {
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState<string | null>(null);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  const [logs, setLogs] = useState<LogEntry[]>([]);
+  const [logStatus, setLogStatus] = useState<string | null>(null);
 
   useEffect(() => {
     loadVMDetails();
@@ -74,6 +78,26 @@ export default function VMDetailsPage() {
     return () => clearInterval(interval);
   }, [params.id]);
 
+  // Tail container logs while the VM runs
+  useEffect(() => {
+    if (vm?.status !== 'RUNNING') return;
+
+    const controller = new AbortController();
+    setLogs([]);
+    setLogStatus('Following logs...');
+
+    apiClient.streamVMLogs(params.id as string, {
+      onLog: (entry) => setLogs((previous) => [...previous.slice(-(MAX_LOG_LINES - 1)), entry]),
+      onEnd: (reason) => setLogStatus(reason),
+    }, controller.signal).catch((error) => {
+      if (error.name !== 'AbortError') {
+        setLogStatus(error.message || 'Log stream failed');
+      }
+    });
+
+    return () => controller.abort();
+  }, [params.id, vm?.status]);
+
   const loadVMDetails = async () => {
     try {
       const response = await apiClient.getVM(params.id as string);
@@ -101,16 +125,18 @@ export default function VMDetailsPage() {
   const handleAction = async (action: 'start' | 'stop' | 'restart') => {
     try {
       setActionLoading(action);
+      let response;
       if (action === 'start') {
-        await apiClient.startVM(params.id as string);
+        response = await apiClient.startVM(params.id as string);
       } else if (action === 'stop') {
-        await apiClient.stopVM(params.id as string);
+        response = await apiClient.stopVM(params.id as string);
       } else {
-        await apiClient.restartVM(params.id as string);
+        response = await apiClient.restartVM(params.id as string);
       }
+      await apiClient.waitForOperation(response.data.operation.id);
       toast({
         title: 'Success',
-        description: `VM ${action} initiated successfully`,
+        description: `VM ${action} completed successfully`,
       });
       await loadVMDetails();
     } catch (error: any) {
@@ -542,17 +568,20 @@ export default function VMDetailsPage() {
         <TabsContent value="logs" className="space-y-6">
           <Card>
             <CardHeader>
-              <CardTitle>System Logs</CardTitle>
-              <CardDescription>Recent system events and logs</CardDescription>
+              <CardTitle>Container Logs</CardTitle>
+              <CardDescription>Live output of the VM container</CardDescription>
             </CardHeader>
             <CardContent>
               <div className="bg-black text-green-400 p-4 rounded-lg font-mono text-sm h-96 overflow-y-auto">
-                <p>[{new Date().toISOString()}] VM started successfully</p>
-                <p>[{new Date().toISOString()}] Network interface initialized</p>
-                <p>[{new Date().toISOString()}] SSH service started on port 22</p>
-                <p>[{new Date().toISOString()}] System ready</p>
-                <p className="text-gray-500">...</p>
-                <p className="text-gray-500">Waiting for new events...</p>
+                {logs.map((entry, index) => (
+                  <p key={index} className={entry.stream === 'stderr' ? 'text-red-400' : undefined}>
+                    {entry.timestamp && <span className="text-gray-500">[{entry.timestamp}] </span>}
+                    {entry.message}
+                  </p>
+                ))}
+                <p className="text-gray-500">
+                  {vm.status === 'RUNNING' ? logStatus : 'Start the VM to see its logs'}
+                </p>
               </div>
             </CardContent>
           </Card>
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { apiClient } from '@/lib/api';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -35,19 +35,19 @@ const plans: Plan[] = [
   { id: 'enterprise', name: 'Enterprise', cpu: 8, ram: 16, storage: 160, price: 40 },
 ];
 
-const operatingSystems = [
-  { id: 'ubuntu-22.04', name: 'Ubuntu 22.04 LTS', icon: '🐧' },
-  { id: 'ubuntu-20.04', name: 'Ubuntu 20.04 LTS', icon: '🐧' },
-  { id: 'debian-11', name: 'Debian 11', icon: '🌀' },
-  { id: 'centos-8', name: 'CentOS 8', icon: '💠' },
-  { id: 'fedora-38', name: 'Fedora 38', icon: '🎩' },
-];
+interface Template {
+  id: string;
+  name: string;
+  description?: string;
+  category: 'OS' | 'APPLICATION';
+}
 
 export default function CreateVMPage() {
   const router = useRouter();
   const { toast } = useToast();
   const [loading, setLoading] = useState(false);
   const [step, setStep] = useState(1);
+  const [templates, setTemplates] = useState<Template[]>([]);
   
   const [formData, setFormData] = useState({
     name: '',
@@ -59,8 +59,25 @@ export default function CreateVMPage() {
     storage: 20,
   });
 
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await apiClient.getTemplates();
+      setTemplates(response.data?.templates || []);
+    } catch (error: any) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to load images',
+        variant: 'destructive',
+      });
+    }
+  };
+
   const selectedPlan = plans.find(p => p.id === formData.plan);
-  const selectedOS = operatingSystems.find(os => os.id === formData.os);
+  const selectedOS = templates.find(template => template.id === formData.os);
 
   const calculatePrice = () => {
     if (formData.customSpecs) {
@@ -85,7 +102,7 @@ export default function CreateVMPage() {
       setLoading(true);
       const vmData = {
         name: formData.name,
-        os: formData.os,
+        templateId: formData.os,
         cpu: formData.customSpecs ? formData.cpu : selectedPlan?.cpu,
         ram: formData.customSpecs ? formData.ram : selectedPlan?.ram,
         storage: formData.customSpecs ? formData.storage : selectedPlan?.storage,
@@ -182,17 +199,20 @@ export default function CreateVMPage() {
               </div>
 
               <div className="space-y-2">
-                <Label>Operating System *</Label>
+                <Label>Image *</Label>
                 <RadioGroup
                   value={formData.os}
                   onValueChange={(value) => setFormData({ ...formData, os: value })}
                 >
-                  {operatingSystems.map((os) => (
-                    <div key={os.id} className="flex items-center space-x-2 border rounded-lg p-4 hover:bg-accent cursor-pointer">
-                      <RadioGroupItem value={os.id} id={os.id} />
-                      <Label htmlFor={os.id} className="flex items-center gap-3 cursor-pointer flex-1">
-                        <span className="text-2xl">{os.icon}</span>
-                        <span className="font-medium">{os.name}</span>
+                  {templates.map((template) => (
+                    <div key={template.id} className="flex items-center space-x-2 border rounded-lg p-4 hover:bg-accent cursor-pointer">
+                      <RadioGroupItem value={template.id} id={template.id} />
+                      <Label htmlFor={template.id} className="flex items-center gap-3 cursor-pointer flex-1">
+                        <span className="text-2xl">{template.category === 'OS' ? '🐧' : '📦'}</span>
+                        <span className="font-medium">{template.name}</span>
+                        {template.description && (
+                          <span className="text-sm text-muted-foreground">{template.description}</span>
+                        )}
                       </Label>
                     </div>
                   ))}
@@ -348,7 +368,7 @@ export default function CreateVMPage() {
                     <p className="font-medium">{formData.name}</p>
                   </div>
                   <div>
-                    <p className="text-sm text-muted-foreground">Operating System</p>
+                    <p className="text-sm text-muted-foreground">Image</p>
                     <p className="font-medium">{selectedOS?.name}</p>
                   </div>
                 </div>
@@ -2,6 +2,12 @@ import { getStorageItem, setStorageItem, removeStorageItem } from './storage';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000/api/v1';
 
+export interface LogEntry {
+  stream: 'stdout' | 'stderr';
+  timestamp: string | null;
+  message: string;
+}
+
 export class ApiClient {
   private baseURL: string;
   private token: string | null = null;
@@ -105,14 +111,25 @@ export class ApiClient {
   }
 
   // VM methods
-  async getVMs() {
-    return this.request('/vms');
+  async getVMs(filters: { projectId?: string; tags?: string[]; sortBy?: string; sortOrder?: 'asc' | 'desc' } = {}) {
+    const params = new URLSearchParams();
+    if (filters.projectId) params.append('projectId', filters.projectId);
+    (filters.tags || []).forEach(tag => params.append('tag', tag));
+    if (filters.sortBy) params.append('sortBy', filters.sortBy);
+    if (filters.sortOrder) params.append('sortOrder', filters.sortOrder);
+    const query = params.toString();
+    return this.request(`/vms${query ? `?${query}` : ''}`);
   }
 
   async getVM(id: string) {
     return this.request(`/vms/${id}`);
   }
 
+  async getTemplates(category?: string) {
+    const query = category ? `?category=${encodeURIComponent(category)}` : '';
+    return this.request(`/vms/templates${query}`);
+  }
+
   async createVM(vmData: any) {
     return this.request('/vms', {
       method: 'POST',
@@ -145,6 +162,331 @@ export class ApiClient {
     return this.request(`/vms/${id}/restart`, { method: 'POST' });
   }
 
+  async resizeVM(id: string, resources: { cpu?: number; ram?: number; storage?: number }) {
+    return this.request(`/vms/${id}/resize`, {
+      method: 'POST',
+      body: JSON.stringify(resources),
+    });
+  }
+
+  async cloneVM(id: string, cloneData: any = {}) {
+    return this.request(`/vms/${id}/clone`, {
+      method: 'POST',
+      body: JSON.stringify(cloneData),
+    });
+  }
+
+  // Follows container logs until the VM stops or the signal aborts
+  async streamVMLogs(
+    id: string,
+    handlers: { onLog: (entry: LogEntry) => void; onEnd?: (reason: string) => void },
+    signal?: AbortSignal,
+    filters: Record<string, string> = {},
+  ) {
+    this.initToken();
+
+    const query = new URLSearchParams(filters).toString();
+    const response = await fetch(`${this.baseURL}/vms/${id}/container/logs/stream${query ? `?${query}` : ''}`, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const error = await response.json().catch(() => ({ message: 'Request failed' }));
+      throw new Error(error.message || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop() || '';
+
+      for (const event of events) {
+        const type = event.match(/^event: (.*)$/m)?.[1];
+        const data = event.match(/^data: (.*)$/m)?.[1];
+        if (!type || !data) continue; // keepalive comment
+
+        if (type === 'log') handlers.onLog(JSON.parse(data));
+        if (type === 'end') handlers.onEnd?.(JSON.parse(data).reason);
+      }
+    }
+  }
+
+  // SSH key methods
+  async getSshKeys() {
+    return this.request('/ssh-keys');
+  }
+
+  async createSshKey(name: string, publicKey: string) {
+    return this.request('/ssh-keys', {
+      method: 'POST',
+      body: JSON.stringify({ name, publicKey }),
+    });
+  }
+
+  async deleteSshKey(id: string) {
+    return this.request(`/ssh-keys/${id}`, { method: 'DELETE' });
+  }
+
+  // Security group methods
+  async getSecurityGroups() {
+    return this.request('/security-groups');
+  }
+
+  async createSecurityGroup(groupData: any) {
+    return this.request('/security-groups', {
+      method: 'POST',
+      body: JSON.stringify(groupData),
+    });
+  }
+
+  async updateSecurityGroup(id: string, groupData: any) {
+    return this.request(`/security-groups/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(groupData),
+    });
+  }
+
+  async deleteSecurityGroup(id: string) {
+    return this.request(`/security-groups/${id}`, { method: 'DELETE' });
+  }
+
+  async setVMSecurityGroups(id: string, securityGroupIds: string[]) {
+    return this.request(`/vms/${id}/security-groups`, {
+      method: 'PUT',
+      body: JSON.stringify({ securityGroupIds }),
+    });
+  }
+
+  // Private network methods
+  async getNetworks() {
+    return this.request('/networks');
+  }
+
+  async getNetwork(id: string) {
+    return this.request(`/networks/${id}`);
+  }
+
+  async createNetwork(networkData: { name: string; description?: string; cidr?: string }) {
+    return this.request('/networks', {
+      method: 'POST',
+      body: JSON.stringify(networkData),
+    });
+  }
+
+  async deleteNetwork(id: string) {
+    return this.request(`/networks/${id}`, { method: 'DELETE' });
+  }
+
+  async attachVMNetwork(id: string, networkId: string) {
+    return this.request(`/vms/${id}/networks`, {
+      method: 'POST',
+      body: JSON.stringify({ networkId }),
+    });
+  }
+
+  async detachVMNetwork(id: string, networkId: string) {
+    return this.request(`/vms/${id}/networks/${networkId}`, { method: 'DELETE' });
+  }
+
+  // Public port methods
+  async getVMPorts(id: string) {
+    return this.request(`/vms/${id}/ports`);
+  }
+
+  async openVMPort(id: string, portData: { containerPort: number; protocol?: 'TCP' | 'UDP'; description?: string }) {
+    return this.request(`/vms/${id}/ports`, {
+      method: 'POST',
+      body: JSON.stringify(portData),
+    });
+  }
+
+  async closeVMPort(id: string, portId: string) {
+    return this.request(`/vms/${id}/ports/${portId}`, { method: 'DELETE' });
+  }
+
+  // Volume methods
+  async getVolumes() {
+    return this.request('/volumes');
+  }
+
+  async getVolume(id: string) {
+    return this.request(`/volumes/${id}`);
+  }
+
+  async createVolume(volumeData: { name: string; description?: string; size?: number; snapshotId?: string }) {
+    return this.request('/volumes', {
+      method: 'POST',
+      body: JSON.stringify(volumeData),
+    });
+  }
+
+  async resizeVolume(id: string, size: number) {
+    return this.request(`/volumes/${id}/resize`, {
+      method: 'POST',
+      body: JSON.stringify({ size }),
+    });
+  }
+
+  async deleteVolume(id: string) {
+    return this.request(`/volumes/${id}`, { method: 'DELETE' });
+  }
+
+  async createVolumeSnapshot(id: string, name?: string) {
+    return this.request(`/volumes/${id}/snapshots`, {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  }
+
+  async deleteVolumeSnapshot(id: string, snapshotId: string) {
+    return this.request(`/volumes/${id}/snapshots/${snapshotId}`, { method: 'DELETE' });
+  }
+
+  async attachVMVolume(id: string, volumeId: string, mountPath: string) {
+    return this.request(`/vms/${id}/volumes`, {
+      method: 'POST',
+      body: JSON.stringify({ volumeId, mountPath }),
+    });
+  }
+
+  async detachVMVolume(id: string, volumeId: string) {
+    return this.request(`/vms/${id}/volumes/${volumeId}`, { method: 'DELETE' });
+  }
+
+  // Operation methods
+  async getOperations(filters: Record<string, string> = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/operations${query ? `?${query}` : ''}`);
+  }
+
+  async getOperation(id: string) {
+    return this.request(`/operations/${id}`);
+  }
+
+  async cancelOperation(id: string) {
+    return this.request(`/operations/${id}/cancel`, { method: 'POST' });
+  }
+
+  async getVMOperations(id: string, filters: Record<string, string> = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/vms/${id}/operations${query ? `?${query}` : ''}`);
+  }
+
+  // Polls an operation until it succeeds, fails or is cancelled
+  async waitForOperation(id: string, intervalMs: number = 1000) {
+    while (true) {
+      const { data } = await this.getOperation(id);
+      const { operation } = data;
+
+      if (operation.status === 'SUCCEEDED') return operation;
+      if (operation.status === 'FAILED') throw new Error(operation.error || 'Operation failed');
+      if (operation.status === 'CANCELLED') throw new Error('Operation cancelled');
+
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  async getVMStateHistory(id: string, filters: Record<string, string> = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/vms/${id}/state-history${query ? `?${query}` : ''}`);
+  }
+
+  // Health check methods
+  async getHealthCheck(id: string) {
+    return this.request(`/vms/${id}/health-check`);
+  }
+
+  async saveHealthCheck(id: string, checkData: any) {
+    return this.request(`/vms/${id}/health-check`, {
+      method: 'PUT',
+      body: JSON.stringify(checkData),
+    });
+  }
+
+  async deleteHealthCheck(id: string) {
+    return this.request(`/vms/${id}/health-check`, { method: 'DELETE' });
+  }
+
+  async getVMHealth(id: string, filters: Record<string, string> = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/vms/${id}/health${query ? `?${query}` : ''}`);
+  }
+
+  // Environment variable and secret methods
+  async getVMSecrets(id: string) {
+    return this.request(`/vms/${id}/secrets`);
+  }
+
+  async revealVMSecret(id: string, name: string) {
+    return this.request(`/vms/${id}/secrets/${encodeURIComponent(name)}`);
+  }
+
+  async setVMSecret(id: string, name: string, value: string, isSecret: boolean = true) {
+    return this.request(`/vms/${id}/secrets/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ value, isSecret }),
+    });
+  }
+
+  async deleteVMSecret(id: string, name: string) {
+    return this.request(`/vms/${id}/secrets/${encodeURIComponent(name)}`, { method: 'DELETE' });
+  }
+
+  // Project, tag and bulk action methods
+  async getProjects() {
+    return this.request('/projects');
+  }
+
+  async getProject(id: string) {
+    return this.request(`/projects/${id}`);
+  }
+
+  async createProject(projectData: { name: string; description?: string }) {
+    return this.request('/projects', {
+      method: 'POST',
+      body: JSON.stringify(projectData),
+    });
+  }
+
+  async updateProject(id: string, projectData: { name?: string; description?: string }) {
+    return this.request(`/projects/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(projectData),
+    });
+  }
+
+  async deleteProject(id: string) {
+    return this.request(`/projects/${id}`, { method: 'DELETE' });
+  }
+
+  async setVMTags(id: string, tags: Record<string, string | null>, merge: boolean = false) {
+    return this.request(`/vms/${id}/tags`, {
+      method: merge ? 'PATCH' : 'PUT',
+      body: JSON.stringify({ tags }),
+    });
+  }
+
+  async runBulkAction(bulkData: {
+    action: 'start' | 'stop' | 'restart' | 'backup' | 'delete';
+    selector: { projectId?: string; tags?: string[]; status?: string };
+    dryRun?: boolean;
+    backupName?: string;
+    backupType?: 'FULL' | 'INCREMENTAL' | 'DIFFERENTIAL';
+  }) {
+    return this.request('/vms/bulk', {
+      method: 'POST',
+      body: JSON.stringify(bulkData),
+    });
+  }
+
   // Solar methods
   async getSolarStatus() {
     return this.request('/solar/status');
@@ -186,6 +528,76 @@ export class ApiClient {
       body: JSON.stringify({ status }),
     });
   }
+
+  async getReconciliationReport() {
+    return this.request('/admin/reconciliation');
+  }
+
+  async runReconciliation(repair: boolean = true) {
+    return this.request('/admin/reconciliation', {
+      method: 'POST',
+      body: JSON.stringify({ repair }),
+    });
+  }
+
+  async getNodes() {
+    return this.request('/admin/nodes');
+  }
+
+  async getNode(id: string) {
+    return this.request(`/admin/nodes/${id}`);
+  }
+
+  async registerNode(nodeData: any) {
+    return this.request('/admin/nodes', {
+      method: 'POST',
+      body: JSON.stringify(nodeData),
+    });
+  }
+
+  async updateNode(id: string, nodeData: any) {
+    return this.request(`/admin/nodes/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(nodeData),
+    });
+  }
+
+  async removeNode(id: string) {
+    return this.request(`/admin/nodes/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async cordonNode(id: string) {
+    return this.request(`/admin/nodes/${id}/cordon`, {
+      method: 'POST',
+    });
+  }
+
+  async uncordonNode(id: string) {
+    return this.request(`/admin/nodes/${id}/uncordon`, {
+      method: 'POST',
+    });
+  }
+
+  async drainNode(id: string) {
+    return this.request(`/admin/nodes/${id}/drain`, {
+      method: 'POST',
+    });
+  }
+
+  async rotateSecretKeys() {
+    return this.request('/admin/secrets/rotate', {
+      method: 'POST',
+    });
+  }
+
+  async migrateVM(id: string, nodeId?: string) {
+    return this.request(`/vms/${id}/migrate`, {
+      method: 'POST',
+      body: JSON.stringify(nodeId ? { nodeId } : {}),
+    });
+  }
 }
 
 // Create singleton instance only on client side